@@ -4,6 +4,25 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const LLMService = require('./services/llmService');
+const SessionManager = require('./services/sessionManager');
+const { createSessionStore } = require('./services/sessionStore');
+const ConversationManager = require('./services/conversationManager');
+const { createConversationStore } = require('./services/conversationStore');
+const ApiKeyAuth = require('./services/apiKeys');
+const { loadApiKeys, parseBearerToken } = require('./services/apiKeys');
+const { RateLimitError, createLimiters } = require('./services/rateLimiter');
+const { ApiError, ERROR_CODES, errorBody } = require('./services/apiErrors');
+const { validate, toValidationError } = require('./services/schemaValidator');
+const schemas = require('./services/schemas');
+const { createRedactor } = require('./services/redaction');
+const { CITATION_STATUS, extractCitations } = require('./services/citations');
+const { EDIT_STATUS, extractEdits } = require('./services/edits');
+const { changedPaths, extractReviewComments } = require('./services/review');
+const { diagnosticPaths } = require('./services/diagnostics');
+const { createToolCallFilter, parseToolCalls, withToolReads } = require('./services/tools');
+const { buildOpenApiDocument, renderApiReference } = require('./services/openapi');
+const { extractOutline } = require('./services/outline');
+const DependencyGraph = require('./services/dependencyGraph');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -11,15 +30,61 @@ const PORT = process.env.PORT || 3001;
 // Initialize LLM Service
 const llmService = new LLMService();
 
+// Upload sessions let clients send only the files that changed since the last turn
+const sessions = new SessionManager({
+    store: createSessionStore(),
+    ttlMinutes: Number(process.env.SESSION_TTL_MINUTES) || undefined,
+    maxSessions: Number(process.env.MAX_SESSIONS) || undefined,
+});
+
+// Conversations kept on the backend so every client sees the same threads
+const conversations = new ConversationManager({ store: createConversationStore() });
+
+// Bearer-token authentication; disabled when no API keys are configured
+const apiKeys = new ApiKeyAuth(loadApiKeys());
+
+// Per-client rate limits, and a global concurrency cap for requests that reach the model
+const { rateLimiter, completionRateLimiter, workspaceRateLimiter, concurrency } = createLimiters();
+
+// Secrets are redacted from uploaded files before indexing and generation; disable with REDACT_SECRETS=false
+const redactor = createRedactor();
+
+// Proxies whose X-Forwarded-For is believed for req.ip (TRUST_PROXY); without it every
+// client behind a load balancer would share the proxy's rate limit
+const trustProxy = readTrustProxy(process.env.TRUST_PROXY);
+if (trustProxy !== undefined) {
+    app.set('trust proxy', trustProxy);
+}
+
 // Middleware
 app.use(cors({
     origin: true, // Allow all origins for development
     credentials: true,
+    exposedHeaders: ['Retry-After'],
 }));
 
+/**
+ * Log how well a compressed request body compressed. Bodies sent with
+ * `Content-Encoding: gzip` or `deflate` are decoded by the body parsers; the
+ * 10MB limit applies to the decoded body.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Buffer} body - Decoded body
+ */
+function logBodyCompression(req, res, body) {
+    const encoding = (req.get('Content-Encoding') || 'identity').toLowerCase();
+    if (encoding === 'identity') {
+        return;
+    }
+
+    const sent = Number(req.get('Content-Length'));
+    const ratio = sent > 0 ? ` (${(body.length / sent).toFixed(1)}x)` : '';
+    console.log(`Decoded ${encoding} body: ${sent > 0 ? sent : 'chunked'} -> ${body.length} bytes${ratio}`);
+}
+
 // Increase body size limit to 10MB for code uploads
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: logBodyCompression }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: logBodyCompression }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -34,77 +99,878 @@ app.get('/health', (req, res) => {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         llmStatus: llmService.getStatus(),
+        limits: {
+            rateLimit: {
+                enabled: rateLimiter.isEnabled(),
+                requestsPerMinute: rateLimiter.requestsPerMinute,
+                burst: rateLimiter.burst,
+            },
+            completionRateLimit: {
+                enabled: completionRateLimiter.isEnabled(),
+                requestsPerMinute: completionRateLimiter.requestsPerMinute,
+                burst: completionRateLimiter.burst,
+            },
+            workspaceRateLimit: {
+                enabled: workspaceRateLimiter.isEnabled(),
+                requestsPerMinute: workspaceRateLimiter.requestsPerMinute,
+                burst: workspaceRateLimiter.burst,
+            },
+            concurrency: concurrency.getStats(),
+        },
+        redaction: {
+            enabled: redactor.isEnabled(),
+        },
     });
 });
 
-// Main upload endpoint
-app.post('/upload', async (req, res) => {
-    try {
-        const { files, prompt } = req.body;
+// API reference: the OpenAPI document and a page rendered from it, built once from services/schemas.js
+const openApiDocument = buildOpenApiDocument();
+const apiReference = renderApiReference(openApiDocument);
+
+app.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
+
+app.get('/docs', (req, res) => {
+    res.type('html').send(apiReference);
+});
+
+/**
+ * Require a valid API key on every endpoint registered after this middleware
+ * (everything except /health and the API reference). Replies 401 when no bearer token is sent and
+ * 403 when the token is not a configured key. The key's label is kept on
+ * `req.apiKeyLabel` for logging and session ownership.
+ */
+app.use((req, res, next) => {
+    req.apiKeyLabel = null;
+
+    if (!apiKeys.isEnabled()) {
+        return next();
+    }
+
+    const token = parseBearerToken(req.get('Authorization'));
+    if (!token) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+            error: 'Authentication required',
+            code: ERROR_CODES.AUTH_REQUIRED,
+            message: 'Send an API key as "Authorization: Bearer <key>"',
+        });
+    }
+
+    const label = apiKeys.verify(token);
+    if (!label) {
+        return res.status(403).json({
+            error: 'Invalid API key',
+            code: ERROR_CODES.INVALID_API_KEY,
+            message: 'The API key is not recognized by this server',
+        });
+    }
 
-        // Validate request
-        if (!files || !Array.isArray(files)) {
-            return res.status(400).json({
-                error: 'Invalid request: files must be an array',
-            });
+    req.apiKeyLabel = label;
+    next();
+});
+
+/**
+ * Reject request bodies that do not match a declared schema (see
+ * services/schemas.js) with 400, the code of the first problem and every
+ * problem in `details`
+ * @param {Object} schema - Request schema
+ * @returns {Function} Express middleware
+ */
+function validateBody(schema) {
+    return (req, res, next) => {
+        const problems = validate(schema, req.body || {});
+        if (problems.length > 0) {
+            return sendError(res, toValidationError(problems));
         }
+        next();
+    };
+}
+
+/**
+ * Get the files for an upload request: from the upload session when one is
+ * referenced, otherwise from the request body. Secrets are redacted here, so
+ * nothing downstream (index, context, provider) sees them.
+ * @param {Object} req - Express request with a validated body
+ * @returns {Promise<{files: Array, redactions: Object}>} Files with filename and content, and what was redacted
+ */
+async function resolveUploadFiles(req) {
+    const files = req.body.sessionId ? await sessions.resolveFiles(req.body.sessionId, req.apiKeyLabel) : req.body.files;
+    const result = redactor.redactFiles(files);
+    if (result.redactions.total > 0) {
+        console.log(`Redacted ${result.redactions.total} secrets in ${result.redactions.files.length} files`);
+    }
+    return result;
+}
+
+/**
+ * Get the tool steps of an upload request. Clients redact tool results before
+ * sending them; this repeats the check like resolveUploadFiles does for files.
+ * @param {Object} req - Express request with a validated body
+ * @returns {Array} Tool steps, oldest first
+ */
+function resolveToolSteps(req) {
+    let redacted = 0;
+    const steps = (req.body.toolSteps || []).map(step => {
+        if (!step.output) {
+            return step;
+        }
+        const { content, findings } = redactor.redactText(step.output);
+        redacted += findings.length;
+        return findings.length > 0 ? { ...step, output: content } : step;
+    });
+    if (redacted > 0) {
+        console.log(`Redacted ${redacted} secrets in tool results`);
+    }
+    return steps;
+}
+
+/**
+ * Get the git changes of an upload request, required in review mode. Clients
+ * redact the diffs before sending them; this repeats the check like
+ * resolveToolSteps does for tool results.
+ * @param {Object} req - Express request with a validated body
+ * @returns {Object|null} Git changes, null when none were sent
+ * @throws {ApiError} INVALID_REQUEST (400) when a review is asked for without git changes
+ */
+function resolveGitChanges(req) {
+    const { git, mode } = req.body;
+    if (!git) {
+        if (mode === 'review') {
+            throw toValidationError([{ path: 'git', code: ERROR_CODES.INVALID_REQUEST, message: 'git is required when mode is review' }]);
+        }
+        return null;
+    }
 
-        if (!prompt || typeof prompt !== 'string') {
-            return res.status(400).json({
-                error: 'Invalid request: prompt must be a string',
-            });
+    let redacted = 0;
+    const redactDiff = (diff) => {
+        const { content, findings } = redactor.redactText(diff);
+        redacted += findings.length;
+        return content;
+    };
+    const changes = { ...git, stagedDiff: redactDiff(git.stagedDiff), unstagedDiff: redactDiff(git.unstagedDiff) };
+    if (redacted > 0) {
+        console.log(`Redacted ${redacted} secrets in git diffs`);
+    }
+    return changes;
+}
+
+/**
+ * Get the editor diagnostics of an upload request. Clients redact the code
+ * lines around each problem; this repeats the check like resolveGitChanges
+ * does for diffs.
+ * @param {Object} req - Express request with a validated body
+ * @returns {Array} Diagnostics, empty when none were sent
+ */
+function resolveDiagnostics(req) {
+    let redacted = 0;
+    const diagnostics = (req.body.diagnostics || []).map((diagnostic) => {
+        if (!diagnostic.snippet) {
+            return diagnostic;
         }
+        const { content, findings } = redactor.redactText(diagnostic.snippet.text);
+        redacted += findings.length;
+        return findings.length > 0 ? { ...diagnostic, snippet: { ...diagnostic.snippet, text: content } } : diagnostic;
+    });
+    if (redacted > 0) {
+        console.log(`Redacted ${redacted} secrets in diagnostics`);
+    }
+    return diagnostics;
+}
 
-        // Log incoming request details
-        console.log('\n=== NEW UPLOAD REQUEST ===');
-        console.log(`Prompt: "${prompt}"`);
-        console.log(`Files received: ${files.length}`);
+/**
+ * Generation options for the tools of a request; empty for plain chat requests
+ * @param {boolean} toolsOffered - Whether the model is offered tools
+ * @param {Array} toolSteps - Tool steps of this turn
+ * @returns {Object} `tools` and `toolSteps` options when in use
+ */
+function toolOptions(toolsOffered, toolSteps) {
+    return {
+        ...(toolsOffered && { tools: true }),
+        ...(toolSteps.length > 0 && { toolSteps }),
+    };
+}
 
-        // Log file details
-        files.forEach((file, index) => {
-            console.log(`  ${index + 1}. ${file.filename || 'unnamed'}`);
-            console.log(`     Size: ${file.content ? file.content.length : 0} characters`);
-            console.log(`     Type: ${file.filename ? file.filename.split('.').pop() : 'unknown'}`);
+/**
+ * Separate the tool calls from an answer. Calls are relayed only while tools
+ * are offered; after that, call markup the model still writes is dropped.
+ * @param {string} aiResponse - Generated answer
+ * @param {boolean} toolsOffered - Whether the model was offered tools
+ * @param {Array} toolSteps - Tool steps of this turn
+ * @returns {{text: string, calls: Array}} Answer text and the calls to relay
+ */
+function readToolCalls(aiResponse, toolsOffered, toolSteps) {
+    if (!toolsOffered && toolSteps.length === 0) {
+        return { text: aiResponse, calls: [] };
+    }
+    const { text, calls } = parseToolCalls(aiResponse, toolSteps.length + 1);
+    return { text, calls: toolsOffered ? calls : [] };
+}
+
+/**
+ * Build the response relaying tool calls to the client (also the tool_calls event of /upload/stream)
+ * @param {string} text - What the model wrote before the calls
+ * @param {Array} calls - Tool calls from readToolCalls
+ * @param {Object} servedBy - Provider and model that served the answer
+ * @returns {Object} Response body
+ */
+function buildToolCallsResponse(text, calls, servedBy) {
+    console.log(`Relaying ${calls.length} tool calls to the client: ${calls.map(call => call.name).join(', ')}`);
+    return {
+        message: `The model requested ${calls.length} tool ${calls.length === 1 ? 'call' : 'calls'}.`,
+        aiResponse: text,
+        toolCalls: calls,
+        provider: servedBy,
+    };
+}
+
+/**
+ * Send an error response: API errors (invalid requests, sessions, limits,
+ * providers) keep their status and code, refused requests also get
+ * Retry-After, anything else is a 500
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ * @param {string} label - Log label
+ */
+function sendError(res, error, label) {
+    if (error instanceof RateLimitError) {
+        return res.status(429).set('Retry-After', String(error.retryAfterSeconds)).json({
+            ...errorBody(error),
+            retryAfter: error.retryAfterSeconds,
         });
+    }
 
-        // Generate directory tree with file previews
-        const directoryTree = llmService.generateDirectoryTree(files);
-
-        // Generate AI response using LLM service (Gemini)
-        const aiResponse = await llmService.generateResponse(prompt, files, null);
-
-        // Prepare response
-        const response = {
-            message: `Successfully processed ${files.length} files.`,
-            aiResponse,
-            directoryTree: directoryTree,
-            llmStatus: llmService.getStatus(),
-            metadata: {
-                filesProcessed: files.length,
-                totalCharacters: files.reduce((sum, file) => sum + (file.content?.length || 0), 0),
-                timestamp: new Date().toISOString(),
-            },
-        };
+    if (error instanceof ApiError) {
+        if (error.status >= 500) {
+            console.error(`${label}:`, error.message);
+        }
+        return res.status(error.status).json(errorBody(error));
+    }
+
+    console.error(`${label}:`, error);
+    res.status(500).json({
+        ...errorBody(error),
+        message: error.message,
+    });
+}
+
+/**
+ * Log incoming upload request details
+ * @param {string} prompt - User's prompt
+ * @param {Array} files - Uploaded files
+ * @param {string} model - Requested model (optional)
+ * @param {Array} history - Earlier conversation messages (optional)
+ * @param {string|null} client - Label of the API key that sent the request
+ */
+function logUploadRequest(prompt, files, model, history, client) {
+    console.log('\n=== NEW UPLOAD REQUEST ===');
+    console.log(`Client: ${client || 'anonymous'}`);
+    console.log(`Prompt: "${prompt}"`);
+    console.log(`Files received: ${files.length}`);
+    console.log(`Model requested: ${model || 'default'}`);
+    console.log(`History messages: ${history ? history.length : 0}`);
+
+    // Log file details
+    files.forEach((file, index) => {
+        console.log(`  ${index + 1}. ${file.filename || 'unnamed'}`);
+        console.log(`     Size: ${file.content ? file.content.length : 0} characters`);
+        console.log(`     Type: ${file.filename ? file.filename.split('.').pop() : 'unknown'}`);
+    });
+}
+
+/**
+ * Build the /upload response body (also the final event of /upload/stream)
+ * @param {Array} files - Uploaded files
+ * @param {string} aiResponse - Generated answer
+ * @param {Object} servedBy - Provider and model that served the answer
+ * @param {Object} context - File context sent to the model (from llmService.buildContext)
+ * @param {Object} redactions - Secrets redacted from the files (from SecretRedactor.redactFiles)
+ * @param {string} mode - Request mode; `edit` adds the proposed edits, `review` the review comments
+ * @param {Array} toolSteps - Tool steps of this turn; lines read with read_file count as shown to the model
+ * @param {Object} git - Git changes of the request; marks review comments on changed lines
+ * @returns {Object} Response body
+ */
+function buildUploadResponse(files, aiResponse, servedBy, context, redactions, mode = 'chat', toolSteps = [], git = null) {
+    const manifest = withToolReads(context.manifest, toolSteps, files);
+    const citations = extractCitations(aiResponse, files, manifest);
+    const unseen = citations.filter(citation => (
+        citation.status === CITATION_STATUS.UNKNOWN_FILE || citation.status === CITATION_STATUS.OUT_OF_CONTEXT
+    )).length;
+    if (unseen > 0) {
+        console.log(`${unseen} of ${citations.length} citations point to code that was not sent to the model`);
+    }
+
+    const edits = mode === 'edit' ? extractEdits(aiResponse, files) : undefined;
+    if (edits) {
+        const failing = edits.filter(edit => edit.status !== EDIT_STATUS.APPLIES).length;
+        console.log(`Proposed edits for ${edits.length} files${failing > 0 ? `, ${failing} do not apply to the uploaded content` : ''}`);
+    }
+
+    const comments = mode === 'review' ? extractReviewComments(aiResponse, citations, git, files) : undefined;
+    if (comments) {
+        console.log(`Review found ${comments.length} comments, ${comments.filter(comment => comment.changed).length} on changed lines`);
+    }
+
+    return {
+        message: `Successfully processed ${files.length} files.`,
+        aiResponse,
+        citations,
+        ...(edits && { edits }),
+        ...(comments && { comments }),
+        directoryTree: llmService.generateDirectoryTree(files),
+        llmStatus: llmService.getStatus(),
+        provider: servedBy,
+        metadata: {
+            filesProcessed: files.length,
+            totalCharacters: files.reduce((sum, file) => sum + (file.content?.length || 0), 0),
+            timestamp: new Date().toISOString(),
+            context: manifest,
+            redactions,
+        },
+    };
+}
+
+/**
+ * Read the Express `trust proxy` setting from TRUST_PROXY: `true` or `false`,
+ * a number of proxy hops, or comma-separated addresses and subnets
+ * @param {string} value - Raw value
+ * @returns {boolean|number|string|undefined} Setting, or undefined when unset
+ */
+function readTrustProxy(value) {
+    const trimmed = (value || '').trim();
+    if (!trimmed) {
+        return undefined;
+    }
+    if (trimmed === 'true' || trimmed === 'false') {
+        return trimmed === 'true';
+    }
+    return /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+}
+
+/**
+ * Address a request came from. Under Lambda this is the source IP API Gateway
+ * saw, which clients cannot forge with forwarded headers; otherwise req.ip,
+ * which follows X-Forwarded-For only as far as TRUST_PROXY allows.
+ * @param {Object} req - Express request
+ * @returns {string} Client address
+ */
+function clientAddress(req) {
+    const context = req.requestContext;
+    return context?.http?.sourceIp || context?.identity?.sourceIp || req.ip;
+}
+
+/**
+ * Rate limit key of the client: its API key label, or its address without authentication
+ * @param {Object} req - Express request
+ * @returns {string} Key
+ */
+function clientKey(req) {
+    return req.apiKeyLabel ? `key:${req.apiKeyLabel}` : `ip:${clientAddress(req)}`;
+}
+
+/**
+ * Admit a request that reaches the model: take a token from the client's rate
+ * limit (keyed by API key label, or address without authentication), then wait for
+ * a concurrency slot. Refused requests get 429 with Retry-After. The slot is
+ * held until the response closes, including when the client disconnects.
+ */
+async function limitModelRequests(req, res, next) {
+    return admit(req, res, next, rateLimiter, true);
+}
+
+/**
+ * Admit a completion request: take a token from the client's completion rate
+ * limit, which is separate from the one for chat requests, and take a free
+ * concurrency slot without queueing. A completion that waited would be out of
+ * date by the time it is answered, so the client is told to retry instead.
+ */
+async function limitCompletionRequests(req, res, next) {
+    return admit(req, res, next, completionRateLimiter, false);
+}
+
+/**
+ * Admit a request that uploads or searches workspace files, or manages an
+ * upload session, without calling the model: take a token from the client's workspace rate limit. Refused requests
+ * get 429 with Retry-After.
+ */
+function limitWorkspaceRequests(req, res, next) {
+    try {
+        workspaceRateLimiter.take(clientKey(req));
+        next();
+    } catch (error) {
+        sendError(res, error, 'Error admitting request');
+    }
+}
+
+/**
+ * Take a rate limit token and a concurrency slot for a request, then run it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next handler
+ * @param {TokenBucketLimiter} limiter - Rate limit the request counts against
+ * @param {boolean} wait - Queue for a slot when none is free
+ */
+async function admit(req, res, next, limiter, wait) {
+    const disconnected = new AbortController();
+    res.on('close', () => disconnected.abort());
+
+    try {
+        limiter.take(clientKey(req));
+        const release = await concurrency.acquire({ signal: disconnected.signal, wait });
+
+        if (disconnected.signal.aborted) {
+            return release();
+        }
+        res.on('close', release);
+        next();
+    } catch (error) {
+        if (!disconnected.signal.aborted) {
+            sendError(res, error, 'Error admitting request');
+        }
+    }
+}
 
-        console.log('Response generated successfully');
+// Main upload endpoint
+// Validation runs before the limits so malformed requests do not use up the client's rate limit
+app.post('/upload', validateBody(schemas.requests.upload), limitModelRequests, async (req, res) => {
+    try {
+        const { prompt, model, history, currentFile, mode, tools } = req.body;
+
+        const { files, redactions } = await resolveUploadFiles(req);
+        const toolSteps = resolveToolSteps(req);
+        const git = resolveGitChanges(req);
+        const diagnostics = resolveDiagnostics(req);
+        const toolsOffered = tools === true && toolSteps.length < schemas.MAX_TOOL_STEPS;
+
+        logUploadRequest(prompt, files, model, history, req.apiKeyLabel);
+
+        // Route the requested model to a provider, pick the file context and generate the AI response
+        const servedBy = llmService.resolveModel(model);
+        const context = llmService.buildContext(prompt, files, currentFile || null, [...diagnosticPaths(diagnostics), ...changedPaths(git)]);
+        const aiResponse = await llmService.generateResponse(prompt, files, currentFile || null, {
+            model,
+            history: history || [],
+            context,
+            mode,
+            ...(git && { git }),
+            ...(diagnostics.length > 0 && { diagnostics }),
+            ...toolOptions(toolsOffered, toolSteps),
+        });
+
+        const { text, calls } = readToolCalls(aiResponse, toolsOffered, toolSteps);
+        const response = calls.length > 0
+            ? buildToolCallsResponse(text, calls, servedBy)
+            : buildUploadResponse(files, text, servedBy, context, redactions, mode, toolSteps, git);
+
+        console.log(`Response generated successfully by ${servedBy.provider} (${servedBy.model})`);
         console.log('=== END REQUEST ===\n');
 
         res.json(response);
 
     } catch (error) {
-        console.error('Error processing upload request:', error);
-        res.status(500).json({
-            error: 'Internal server error',
+        sendError(res, error, 'Error processing upload request');
+    }
+});
+
+/**
+ * Streaming upload endpoint
+ *
+ * Same request body as /upload (including `sessionId`). Responds with newline-delimited JSON events:
+ *   {"type":"start","provider":{...}}
+ *   {"type":"chunk","text":"..."}            (repeated)
+ *   {"type":"done", ...same body as /upload}
+ *   {"type":"tool_calls", ...}               (instead of done when the model asks for tools)
+ *   {"type":"error","error":"...","code":"...","message":"..."}  (instead of done on failure)
+ *
+ * While tools are offered, streamed text stops where the first tool call starts.
+ *
+ * When the app runs with `streamMode` set to `buffered` (AWS Lambda, where API
+ * Gateway cannot stream), the answer is generated in one call and emitted as a
+ * single chunk, so clients parse both deployments the same way.
+ */
+app.post('/upload/stream', validateBody(schemas.requests.upload), limitModelRequests, async (req, res) => {
+    const { prompt, model, history, currentFile, mode, tools } = req.body;
+
+    let files;
+    let redactions;
+    let servedBy;
+    let context;
+    let toolSteps;
+    let git;
+    let diagnostics;
+    try {
+        ({ files, redactions } = await resolveUploadFiles(req));
+        toolSteps = resolveToolSteps(req);
+        git = resolveGitChanges(req);
+        diagnostics = resolveDiagnostics(req);
+        servedBy = llmService.resolveModel(model);
+        context = llmService.buildContext(prompt, files, currentFile || null, [...diagnosticPaths(diagnostics), ...changedPaths(git)]);
+    } catch (error) {
+        return sendError(res, error, 'Error processing streaming upload request');
+    }
+
+    logUploadRequest(prompt, files, model, history, req.apiKeyLabel);
+
+    let clientGone = false;
+    res.on('close', () => {
+        clientGone = !res.writableFinished;
+    });
+
+    res.status(200).set({
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no',
+    });
+    const sendEvent = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+    sendEvent({ type: 'start', provider: servedBy });
+
+    const toolsOffered = tools === true && toolSteps.length < schemas.MAX_TOOL_STEPS;
+    const options = {
+        model,
+        history: history || [],
+        context,
+        mode,
+        ...(git && { git }),
+        ...(diagnostics.length > 0 && { diagnostics }),
+        ...toolOptions(toolsOffered, toolSteps),
+    };
+    // Without tools the text streams unchanged
+    const filter = toolsOffered || toolSteps.length > 0 ? createToolCallFilter() : { push: text => text, flush: () => '' };
+    const sendVisible = (text) => {
+        if (text) {
+            sendEvent({ type: 'chunk', text });
+        }
+    };
+
+    try {
+        let aiResponse = '';
+
+        if (req.app.get('streamMode') === 'buffered') {
+            aiResponse = await llmService.generateResponse(prompt, files, currentFile || null, options);
+            sendVisible(filter.push(aiResponse) + filter.flush());
+        } else {
+            for await (const text of llmService.generateResponseStream(prompt, files, currentFile || null, options)) {
+                if (clientGone) {
+                    console.log('Client disconnected, stopping stream');
+                    break;
+                }
+                aiResponse += text;
+                sendVisible(filter.push(text));
+            }
+            sendVisible(filter.flush());
+        }
+
+        const { text, calls } = readToolCalls(aiResponse, toolsOffered, toolSteps);
+        sendEvent(calls.length > 0
+            ? { type: 'tool_calls', ...buildToolCallsResponse(text, calls, servedBy) }
+            : { type: 'done', ...buildUploadResponse(files, text, servedBy, context, redactions, mode, toolSteps, git) });
+
+        console.log(`Streamed response completed by ${servedBy.provider} (${servedBy.model})`);
+        console.log('=== END REQUEST ===\n');
+    } catch (error) {
+        console.error('Error processing streaming upload request:', error);
+        sendEvent({
+            type: 'error',
+            ...errorBody(error),
             message: error.message,
         });
     }
+
+    res.end();
+});
+
+/**
+ * Commit message endpoint
+ *
+ * Writes a Conventional Commits message for the staged changes (see
+ * services/commitMessages.js), following the repository's template when sent.
+ *   POST /commit-message { diff, template?, model? } -> { message, summarizedFiles, omittedFiles, provider }
+ */
+app.post('/commit-message', validateBody(schemas.requests.commitMessage), limitModelRequests, async (req, res) => {
+    try {
+        const { model, template } = req.body;
+        const { content: diff, findings } = redactor.redactText(req.body.diff);
+        if (findings.length > 0) {
+            console.log(`Redacted ${findings.length} secrets in the staged diff`);
+        }
+
+        const servedBy = llmService.resolveModel(model);
+        const { message, summarizedFiles, omittedFiles } = await llmService.generateCommitMessage(diff, { model, template });
+        console.log(`Commit message written by ${servedBy.provider} (${servedBy.model}), ${summarizedFiles.length} files summarized`);
+
+        res.json({ message, summarizedFiles, omittedFiles, provider: servedBy });
+    } catch (error) {
+        sendError(res, error, 'Error writing commit message');
+    }
+});
+
+/**
+ * Inline completion endpoint
+ *
+ * Completes the code at the cursor (see services/completions.js) from the text
+ * around it and a few neighboring files. Counts against its own rate limit and
+ * is refused with 429 rather than queued when the server is busy.
+ *   POST /complete { prefix, suffix?, language?, path?, files?, model? } -> { completion, provider }
+ */
+app.post('/complete', validateBody(schemas.requests.complete), limitCompletionRequests, async (req, res) => {
+    try {
+        const { language = null, path = null, model } = req.body;
+        const { prefix, suffix, findings } = redactor.redactAroundCursor(req.body.prefix, req.body.suffix || '');
+        const { files, redactions } = redactor.redactFiles(req.body.files || []);
+        const redacted = findings.length + redactions.total;
+        if (redacted > 0) {
+            console.log(`Redacted ${redacted} secrets in the completion request`);
+        }
+
+        const servedBy = llmService.resolveModel(model);
+        const completion = await llmService.generateCompletion(
+            { prefix, suffix, language, path, files },
+            { model },
+        );
+
+        res.json({ completion, provider: servedBy });
+    } catch (error) {
+        sendError(res, error, 'Error completing code');
+    }
+});
+
+/**
+ * Symbol explanation endpoint
+ *
+ * Explains one function, class or other symbol in a few sentences (see
+ * services/explanations.js), e.g. for an editor hover.
+ *   POST /explain { code, name?, kind?, language?, path?, model? } -> { explanation, provider }
+ */
+app.post('/explain', validateBody(schemas.requests.explain), limitModelRequests, async (req, res) => {
+    try {
+        const { name = null, kind = null, language = null, path = null, model } = req.body;
+        const { content: code, findings } = redactor.redactText(req.body.code);
+        if (findings.length > 0) {
+            console.log(`Redacted ${findings.length} secrets in the explained code`);
+        }
+
+        const servedBy = llmService.resolveModel(model);
+        const explanation = await llmService.generateExplanation({ code, name, kind, language, path }, { model });
+
+        res.json({ explanation, provider: servedBy });
+    } catch (error) {
+        sendError(res, error, 'Error explaining code');
+    }
+});
+
+/**
+ * Upload session endpoints
+ *
+ * Instead of sending every file with every message, a client can:
+ *   POST   /sessions                     open a session -> { sessionId, expiresAt }
+ *   PUT    /sessions/:id/manifest        { files: [{ filename, hash }] } -> { missing: [filename] }
+ *   POST   /sessions/:id/files           { files: [{ filename, content }] } for the missing files
+ *   POST   /upload or /upload/stream     { sessionId, prompt, ... } without `files`
+ *   DELETE /sessions/:id                 close the session
+ *
+ * Hashes are sha256 hex digests of the UTF-8 file content. Unknown or expired
+ * sessions answer 404, and the client opens a new one. With authentication
+ * enabled, a session belongs to the API key that opened it.
+ */
+app.post('/sessions', limitWorkspaceRequests, async (req, res) => {
+    try {
+        res.status(201).json(await sessions.open(req.apiKeyLabel));
+    } catch (error) {
+        sendError(res, error, 'Error opening session');
+    }
+});
+
+app.put('/sessions/:sessionId/manifest', validateBody(schemas.requests.manifest), limitWorkspaceRequests, async (req, res) => {
+    try {
+        res.json(await sessions.syncManifest(req.params.sessionId, req.body.files, req.apiKeyLabel));
+    } catch (error) {
+        sendError(res, error, 'Error updating session manifest');
+    }
+});
+
+app.post('/sessions/:sessionId/files', validateBody(schemas.requests.sessionFiles), limitWorkspaceRequests, async (req, res) => {
+    try {
+        res.json(await sessions.addBlobs(req.params.sessionId, req.body.files, req.apiKeyLabel));
+    } catch (error) {
+        sendError(res, error, 'Error uploading session files');
+    }
+});
+
+app.delete('/sessions/:sessionId', limitWorkspaceRequests, async (req, res) => {
+    try {
+        await sessions.close(req.params.sessionId, req.apiKeyLabel);
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Error closing session');
+    }
 });
 
-// Error handling middleware
+/**
+ * Conversation endpoints
+ *
+ *   POST   /conversations                       { title?, messages? } -> the new conversation
+ *   GET    /conversations                       -> { conversations: [summary] }, most recently updated first
+ *   GET    /conversations/:id                   -> the conversation with its messages
+ *   POST   /conversations/:id/messages          { messages: [{ role, content, metadata? }] } -> summary
+ *   PATCH  /conversations/:id                   { title } -> summary
+ *   DELETE /conversations/:id                   delete the conversation
+ *
+ * A summary is `{ id, title, createdAt, updatedAt, messageCount }`. With
+ * authentication enabled, a conversation belongs to the API key that created it.
+ */
+app.post('/conversations', validateBody(schemas.requests.createConversation), async (req, res) => {
+    try {
+        res.status(201).json(await conversations.create(req.apiKeyLabel, req.body));
+    } catch (error) {
+        sendError(res, error, 'Error creating conversation');
+    }
+});
+
+app.get('/conversations', async (req, res) => {
+    try {
+        res.json({ conversations: await conversations.list(req.apiKeyLabel) });
+    } catch (error) {
+        sendError(res, error, 'Error listing conversations');
+    }
+});
+
+app.get('/conversations/:conversationId', async (req, res) => {
+    try {
+        res.json(await conversations.get(req.params.conversationId, req.apiKeyLabel));
+    } catch (error) {
+        sendError(res, error, 'Error loading conversation');
+    }
+});
+
+app.post('/conversations/:conversationId/messages', validateBody(schemas.requests.appendMessages), async (req, res) => {
+    try {
+        res.json(await conversations.append(req.params.conversationId, req.body.messages, req.apiKeyLabel));
+    } catch (error) {
+        sendError(res, error, 'Error adding conversation messages');
+    }
+});
+
+app.patch('/conversations/:conversationId', validateBody(schemas.requests.renameConversation), async (req, res) => {
+    try {
+        res.json(await conversations.rename(req.params.conversationId, req.body.title, req.apiKeyLabel));
+    } catch (error) {
+        sendError(res, error, 'Error renaming conversation');
+    }
+});
+
+app.delete('/conversations/:conversationId', async (req, res) => {
+    try {
+        await conversations.delete(req.params.conversationId, req.apiKeyLabel);
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Error deleting conversation');
+    }
+});
+
+/**
+ * Run a code search over the files of a validated search request and send the result
+ * @param {Object} req - Express request with a validated body
+ * @param {Object} res - Express response
+ */
+async function sendSearchResults(req, res) {
+    try {
+        const { query, topK } = req.body;
+        const { files } = await resolveUploadFiles(req);
+        const { results, index } = llmService.searchCode(query, { files, topK });
+        res.json({ query, results, index });
+    } catch (error) {
+        sendError(res, error, 'Error processing search request');
+    }
+}
+
+/**
+ * Code search endpoints
+ *
+ * Query the BM25 index the backend builds from uploaded files. A search only
+ * covers the files of the request, the upload session's or those in the body,
+ * never files other clients uploaded. Files are redacted like uploads before
+ * they are indexed.
+ *   GET  /search?q=...&sessionId=...&topK=5          searches the files of an upload session
+ *   POST /search { query, files | sessionId, topK? }  indexes the files and searches them
+ */
+app.get('/search', (req, res, next) => {
+    // The query string maps onto the POST body, so both are validated and answered alike
+    req.body = {
+        query: req.query.q,
+        sessionId: req.query.sessionId,
+        topK: req.query.topK === undefined ? undefined : Number(req.query.topK),
+    };
+    next();
+}, validateBody(schemas.requests.search), limitWorkspaceRequests, sendSearchResults);
+
+app.post('/search', validateBody(schemas.requests.search), limitWorkspaceRequests, sendSearchResults);
+
+/**
+ * Outline endpoint
+ *
+ * Lists the functions, classes, methods and other symbols of each file with
+ * their line ranges (see services/outline.js), without calling the model.
+ *   POST /outline { files }
+ */
+app.post('/outline', validateBody(schemas.requests.outline), (req, res) => {
+    try {
+        const files = req.body.files.map(file => ({ filename: file.filename, ...extractOutline(file.filename, file.content) }));
+        res.json({ files });
+    } catch (error) {
+        sendError(res, error, 'Error processing outline request');
+    }
+});
+
+/**
+ * Dependencies endpoint
+ *
+ * Builds the import graph of the files (see services/dependencyGraph.js) and
+ * returns the imports and importers of every file, or of `filename` only.
+ *   POST /dependencies { files | sessionId, filename? }
+ */
+app.post('/dependencies', validateBody(schemas.requests.dependencies), async (req, res) => {
+    try {
+        const { filename } = req.body;
+        const { files } = await resolveUploadFiles(req);
+        const graph = new DependencyGraph(files, filename ? [filename] : []);
+
+        res.json({ files: filename ? [graph.describe(filename)] : graph.describeAll() });
+    } catch (error) {
+        sendError(res, error, 'Error processing dependencies request');
+    }
+});
+
+// Error handling middleware: malformed, undecodable and oversized bodies are client errors, anything else is a 500
 app.use((error, req, res, _next) => {
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, new ApiError(ERROR_CODES.INVALID_JSON, 'Invalid request: body is not valid JSON', 400));
+    }
+
+    if (error.type === 'entity.too.large') {
+        return sendError(res, new ApiError(ERROR_CODES.PAYLOAD_TOO_LARGE, 'Request body exceeds the 10MB limit', 413));
+    }
+
+    if (error.type === 'encoding.unsupported') {
+        return sendError(res, new ApiError(
+            ERROR_CODES.INVALID_ENCODING,
+            `Content-Encoding "${error.encoding}" is not supported; send gzip, deflate or an uncompressed body`,
+            415,
+        ));
+    }
+
+    // zlib errors: the body does not decode with its Content-Encoding
+    if (typeof error.code === 'string' && error.code.startsWith('Z_')) {
+        return sendError(res, new ApiError(
+            ERROR_CODES.INVALID_ENCODING,
+            `Invalid request: body cannot be decoded as ${req.get('Content-Encoding')}`,
+            400,
+        ));
+    }
+
     console.error('Unhandled error:', error);
     res.status(500).json({
-        error: 'Internal server error',
+        ...errorBody(error),
         message: error.message,
     });
 });
@@ -113,6 +979,7 @@ app.use((error, req, res, _next) => {
 app.use('*', (req, res) => {
     res.status(404).json({
         error: 'Endpoint not found',
+        code: ERROR_CODES.NOT_FOUND,
         message: `The endpoint ${req.method} ${req.originalUrl} does not exist`,
     });
 });
@@ -123,10 +990,31 @@ if (require.main === module) {
     app.listen(PORT, () => {
         console.log(`🚀 AI Code Assistant Backend running on port ${PORT}`);
         console.log(`📡 Health check: http://localhost:${PORT}/health`);
+        console.log(`📖 API reference: http://localhost:${PORT}/docs (OpenAPI: /openapi.json)`);
         console.log(`📤 Upload endpoint: http://localhost:${PORT}/upload`);
+        console.log(`🌊 Streaming endpoint: http://localhost:${PORT}/upload/stream`);
+        console.log(`🗂️  Sessions endpoint: http://localhost:${PORT}/sessions`);
+        console.log(`💬 Conversations endpoint: http://localhost:${PORT}/conversations`);
+        console.log(`🔎 Search endpoint: http://localhost:${PORT}/search`);
+        console.log(`🧭 Outline endpoint: http://localhost:${PORT}/outline`);
+        console.log(`🕸️  Dependencies endpoint: http://localhost:${PORT}/dependencies`);
+        console.log(`👻 Completion endpoint: http://localhost:${PORT}/complete`);
+        console.log(`💡 Explanation endpoint: http://localhost:${PORT}/explain`);
         console.log('🌐 CORS enabled for all origins');
+        if (apiKeys.isEnabled()) {
+            console.log(`🔐 API key authentication enabled (${apiKeys.keys.length} key(s))`);
+        } else {
+            console.warn('⚠️  API key authentication disabled: set API_KEYS or API_KEYS_FILE to require keys');
+        }
         console.log('📦 Max body size: 10MB');
-        console.log('👥 Supports up to 10 concurrent users');
+        const { maxConcurrent, maxQueued } = concurrency.getStats();
+        console.log(`👥 Up to ${maxConcurrent} concurrent model requests, ${maxQueued} queued`);
+        if (rateLimiter.isEnabled()) {
+            console.log(`⏱️  Rate limit: ${rateLimiter.requestsPerMinute} requests/minute per client (burst ${rateLimiter.burst})`);
+        }
+        if (completionRateLimiter.isEnabled()) {
+            console.log(`⏱️  Completion rate limit: ${completionRateLimiter.requestsPerMinute} requests/minute per client (burst ${completionRateLimiter.burst})`);
+        }
         console.log('\n=== Server Ready ===\n');
     });
 
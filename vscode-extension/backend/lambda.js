@@ -1,12 +1,19 @@
 const serverless = require('serverless-http');
 const app = require('./index');
 
+// API Gateway buffers the whole response, so /upload/stream emits its events in one go.
+app.set('streamMode', 'buffered');
+
 // Cache the wrapped handler so warm Lambda invocations are faster.
 let cachedHandler;
 
 /**
  * AWS Lambda entrypoint for the Express app.
  * API Gateway passes events here, and serverless-http adapts them to Express.
+ * Compressed request bodies (`Content-Encoding: gzip`) arrive base64-encoded;
+ * serverless-http passes their bytes on and the app's body parser decodes them.
+ * A gateway that hands them over as text corrupts them, and the app answers
+ * 400 INVALID_ENCODING, after which the extension sends uncompressed bodies.
  */
 module.exports.handler = async (event, context) => {
     if (!cachedHandler) {
@@ -0,0 +1,69 @@
+/**
+ * Machine-readable error codes returned as `code` in every error response
+ */
+const ERROR_CODES = Object.freeze({
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    INVALID_JSON: 'INVALID_JSON',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    INVALID_ENCODING: 'INVALID_ENCODING',
+    INVALID_PATH: 'INVALID_PATH',
+    DUPLICATE_FILE: 'DUPLICATE_FILE',
+    FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+    TOO_MANY_FILES: 'TOO_MANY_FILES',
+    PROMPT_TOO_LARGE: 'PROMPT_TOO_LARGE',
+    AUTH_REQUIRED: 'AUTH_REQUIRED',
+    INVALID_API_KEY: 'INVALID_API_KEY',
+    NOT_FOUND: 'NOT_FOUND',
+    SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+    SESSION_INCOMPLETE: 'SESSION_INCOMPLETE',
+    CONVERSATION_NOT_FOUND: 'CONVERSATION_NOT_FOUND',
+    RATE_LIMITED: 'RATE_LIMITED',
+    SERVER_BUSY: 'SERVER_BUSY',
+    UNKNOWN_MODEL: 'UNKNOWN_MODEL',
+    PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE',
+    PROVIDER_ERROR: 'PROVIDER_ERROR',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+});
+
+/**
+ * Error the API reports to the client as-is: an HTTP status, a code from
+ * ERROR_CODES, a message and optional per-field details
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Human-readable message
+     * @param {number} status - HTTP status code
+     * @param {Array<{path: string, code: string, message: string}>} details - Individual problems (optional)
+     */
+    constructor(code, message, status = 400, details = undefined) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Build the error response body for an error
+ * @param {Error} error - Error to report; anything but an ApiError is an internal error
+ * @returns {{error: string, code: string, details?: Array}} Response body
+ */
+function errorBody(error) {
+    if (!(error instanceof ApiError)) {
+        return { error: 'Internal server error', code: ERROR_CODES.INTERNAL_ERROR };
+    }
+
+    const body = { error: error.message, code: error.code };
+    if (error.details && error.details.length > 0) {
+        body.details = error.details;
+    }
+    return body;
+}
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    errorBody,
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Hash a key so stored keys and presented tokens compare in constant time
+ * @param {string} key - API key
+ * @returns {Buffer} sha256 digest
+ */
+function digest(key) {
+    return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Parse "label:key" pairs separated by commas. A key without a label is
+ * labelled "key-<n>".
+ * @param {string} value - e.g. "alice:sk-123,ci:sk-456"
+ * @returns {Array<{label: string, key: string}>} Keys
+ */
+function parseKeyList(value) {
+    return (value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry, index) => {
+            const separator = entry.indexOf(':');
+            return separator > 0
+                ? { label: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() }
+                : { label: `key-${index + 1}`, key: entry };
+        });
+}
+
+/**
+ * Parse an API key file: either `{ "label": "key", ... }` or
+ * `[{ "label": "...", "key": "..." }, ...]`
+ * @param {string} text - File content
+ * @returns {Array<{label: string, key: string}>} Keys
+ */
+function parseKeyFile(text) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data)
+        ? data.map(entry => ({ label: entry && entry.label, key: entry && entry.key }))
+        : Object.entries(data || {}).map(([label, key]) => ({ label, key }));
+
+    return entries.filter(entry => typeof entry.label === 'string' && typeof entry.key === 'string');
+}
+
+/**
+ * Load the API keys configured for the server
+ * @param {Object} env - Environment variables (API_KEYS, API_KEYS_FILE)
+ * @returns {Array<{label: string, key: string}>} Keys from both sources
+ */
+function loadApiKeys(env = process.env) {
+    const keys = parseKeyList(env.API_KEYS);
+
+    if (env.API_KEYS_FILE) {
+        keys.push(...parseKeyFile(fs.readFileSync(env.API_KEYS_FILE, 'utf8')));
+    }
+
+    return keys.filter(entry => entry.key.length > 0);
+}
+
+/**
+ * Extract the token from an "Authorization: Bearer <token>" header
+ * @param {string} header - Authorization header value
+ * @returns {string|null} Token, or null when the header is missing or not a bearer token
+ */
+function parseBearerToken(header) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * API key authentication
+ *
+ * Holds the server's API keys (as digests) with a label per key, so requests
+ * can be attributed in logs and sessions without keeping the keys around.
+ * With no keys configured, authentication is disabled.
+ */
+class ApiKeyAuth {
+    /**
+     * @param {Array<{label: string, key: string}>} keys - Accepted keys
+     */
+    constructor(keys = []) {
+        this.keys = keys.map(({ label, key }) => ({ label, digest: digest(key) }));
+    }
+
+    /**
+     * @returns {boolean} true when at least one key is configured
+     */
+    isEnabled() {
+        return this.keys.length > 0;
+    }
+
+    /**
+     * Check a presented token
+     * @param {string} token - Bearer token
+     * @returns {string|null} Label of the matching key, or null
+     */
+    verify(token) {
+        const presented = digest(token || '');
+        let label = null;
+
+        // Compare against every key so timing does not reveal which one matched
+        for (const key of this.keys) {
+            if (crypto.timingSafeEqual(presented, key.digest) && label === null) {
+                label = key.label;
+            }
+        }
+
+        return label;
+    }
+}
+
+module.exports = ApiKeyAuth;
+module.exports.loadApiKeys = loadApiKeys;
+module.exports.parseBearerToken = parseBearerToken;
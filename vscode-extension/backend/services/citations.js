@@ -0,0 +1,249 @@
+/**
+ * Citation extraction and validation
+ *
+ * The model cites code as Markdown links, `[label](path:start-end "quoted line")`.
+ * This finds those links in an answer, resolves each path against the uploaded
+ * files and checks the lines: when the quoted text sits on a different line than
+ * cited, the line numbers are moved to where it actually is. Given the context
+ * manifest, citations of lines the model was never shown are flagged as well.
+ * Clients render the returned citations instead of re-parsing the answer text.
+ */
+
+// [label](target) or [label](target "quoted snippet"); targets never contain spaces
+const LINK = /\[([^\]\n]+)\]\(\s*<?([^\s"<>()]+)>?(?:\s+"((?:[^"\\\n]|\\.)*)")?\s*\)/g;
+const URL_SCHEME = /^(?:[a-z][a-z0-9+.-]+:\/\/|mailto:|data:)/i;
+// path#L12, path#L12-L20, path#L12C5
+const GITHUB_LOCATION = /^(.+?)#L(\d+)(?:C(\d+))?(?:-L?(\d+))?$/;
+// path:12, path:12-20, path:12:5 (drive letters like C:\ stay part of the path)
+const COLON_LOCATION = /^(.+?)(?::(\d+)(?:[-–](\d+))?(?::(\d+))?)?$/;
+
+const CITATION_STATUS = Object.freeze({
+    VERIFIED: 'verified',
+    CORRECTED: 'corrected',
+    UNVERIFIED: 'unverified',
+    INVALID_LINE: 'invalid-line',
+    UNKNOWN_FILE: 'unknown-file',
+    OUT_OF_CONTEXT: 'out-of-context',
+});
+
+/**
+ * Split a link target into path and location
+ * @param {string} target - Link target, e.g. `src/a.js:12-20`
+ * @returns {{path: string, startLine: number|null, endLine: number|null, column: number|null}}
+ */
+function parseTarget(target) {
+    const github = GITHUB_LOCATION.exec(target);
+    if (github) {
+        return {
+            path: github[1],
+            startLine: Number(github[2]),
+            endLine: github[4] ? Number(github[4]) : null,
+            column: github[3] ? Number(github[3]) : null,
+        };
+    }
+
+    const [, path, start, end, column] = COLON_LOCATION.exec(target);
+    return {
+        path,
+        startLine: start ? Number(start) : null,
+        endLine: end ? Number(end) : null,
+        column: column ? Number(column) : null,
+    };
+}
+
+/**
+ * Find the citation links in an answer
+ * @param {string} text - Model answer
+ * @returns {Array<Object>} Raw citations with label, path, lines, snippet and their offset/length in the text
+ */
+function parseCitations(text) {
+    const citations = [];
+
+    for (const match of (text || '').matchAll(LINK)) {
+        const [source, label, target, title] = match;
+        if (URL_SCHEME.test(target) || target.startsWith('#')) {
+            continue;
+        }
+
+        const location = parseTarget(target);
+        if (location.startLine === 0) {
+            location.startLine = 1;
+        }
+        citations.push({
+            label,
+            ...location,
+            snippet: title ? title.replace(/\\(.)/g, '$1') : null,
+            offset: match.index,
+            length: source.length,
+        });
+    }
+
+    return citations;
+}
+
+function normalizePath(path) {
+    return path.replace(/\\/g, '/').replace(/^file:\/\//i, '').replace(/^\.\//, '');
+}
+
+/**
+ * Match a cited path to an uploaded file: exact, then ignoring case, then by
+ * path suffix (absolute paths, or paths missing leading directories)
+ * @param {string} cited - Path as cited
+ * @param {Map<string, string>} filesByName - Uploaded filename -> content
+ * @returns {string|null} Uploaded filename
+ */
+function resolvePath(cited, filesByName) {
+    const path = normalizePath(cited);
+    if (filesByName.has(path)) {
+        return path;
+    }
+
+    const names = Array.from(filesByName.keys());
+    const lower = path.toLowerCase();
+    const caseInsensitive = names.find(name => name.toLowerCase() === lower);
+    if (caseInsensitive) {
+        return caseInsensitive;
+    }
+
+    const suffixes = names.filter(name => lower.endsWith(`/${name.toLowerCase()}`) || name.toLowerCase().endsWith(`/${lower}`));
+    return suffixes.length === 1 ? suffixes[0] : null;
+}
+
+function normalizeCode(text) {
+    return text.replace(/^`+|`+$/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lines (0-based) whose text contains the snippet's first non-empty line
+ * @returns {number[]}
+ */
+function findSnippet(lines, snippet) {
+    const needle = normalizeCode(snippet.split('\n').find(line => line.trim()) || '');
+    if (!needle) {
+        return [];
+    }
+
+    const exact = [];
+    const ignoringCase = [];
+    lines.forEach((line, index) => {
+        const text = normalizeCode(line);
+        if (text.includes(needle)) {
+            exact.push(index);
+        } else if (text.toLowerCase().includes(needle.toLowerCase())) {
+            ignoringCase.push(index);
+        }
+    });
+    return exact.length > 0 ? exact : ignoringCase;
+}
+
+/**
+ * Whether lines start..end lie inside one of the ranges the model was shown
+ * @param {Array<{startLine: number, endLine: number}>|null} ranges - Ranges sent, null when unknown
+ * @returns {boolean}
+ */
+function isInRanges(ranges, startLine, endLine) {
+    return !ranges || ranges.some(range => startLine >= range.startLine && endLine <= range.endLine);
+}
+
+/**
+ * Check a citation's lines against the file content, moving them to the
+ * quoted snippet when it is found elsewhere (preferring lines the model was shown)
+ * @param {Object} citation - Parsed citation with a resolved path
+ * @param {string} content - File content
+ * @param {Array<{startLine: number, endLine: number}>|null} ranges - Line ranges of the file sent to the model
+ * @returns {Object} Citation with checked lines, snippet and status
+ */
+function checkLines(citation, content, ranges) {
+    const lines = content.split('\n');
+    const { startLine, snippet } = citation;
+    const span = citation.endLine && citation.endLine > startLine ? citation.endLine - startLine : 0;
+    const inRange = startLine !== null && startLine <= lines.length;
+
+    if (startLine === null) {
+        return { ...citation, status: CITATION_STATUS.VERIFIED };
+    }
+
+    if (snippet) {
+        const matches = findSnippet(lines, snippet);
+        if (matches.includes(startLine - 1)) {
+            return { ...citation, endLine: startLine + span, status: CITATION_STATUS.VERIFIED };
+        }
+        if (matches.length > 0) {
+            const shown = matches.filter(index => isInRanges(ranges, index + 1, index + 1));
+            const nearest = (shown.length > 0 ? shown : matches).reduce((best, index) => (
+                Math.abs(index + 1 - startLine) < Math.abs(best + 1 - startLine) ? index : best
+            ));
+            return {
+                ...citation,
+                startLine: nearest + 1,
+                endLine: Math.min(nearest + 1 + span, lines.length),
+                citedLine: startLine,
+                status: CITATION_STATUS.CORRECTED,
+            };
+        }
+        return {
+            ...citation,
+            endLine: inRange ? Math.min(startLine + span, lines.length) : citation.endLine,
+            status: inRange ? CITATION_STATUS.UNVERIFIED : CITATION_STATUS.INVALID_LINE,
+        };
+    }
+
+    if (!inRange) {
+        return { ...citation, status: CITATION_STATUS.INVALID_LINE };
+    }
+    return {
+        ...citation,
+        endLine: Math.min(startLine + span, lines.length),
+        snippet: lines[startLine - 1].trim() || null,
+        status: CITATION_STATUS.VERIFIED,
+    };
+}
+
+/**
+ * Flag a checked citation whose file or lines were not part of the context
+ * @param {Object} citation - Citation from checkLines
+ * @param {Array|null|undefined} ranges - Ranges sent (undefined: file not sent, null: unknown)
+ * @returns {Object} Citation
+ */
+function checkContext(citation, ranges) {
+    const located = citation.status === CITATION_STATUS.VERIFIED || citation.status === CITATION_STATUS.CORRECTED;
+    if (!located || ranges === null) {
+        return citation;
+    }
+    if (!ranges || (citation.startLine !== null && !isInRanges(ranges, citation.startLine, citation.endLine))) {
+        return { ...citation, status: CITATION_STATUS.OUT_OF_CONTEXT };
+    }
+    return citation;
+}
+
+/**
+ * Extract the citations from an answer and validate them against the uploaded files
+ * @param {string} text - Model answer
+ * @param {Array<{filename: string, content: string}>} files - Files the answer was generated from
+ * @param {Object} manifest - Context manifest from ContextBuilder.build (optional); when given,
+ *   citations outside the line ranges sent to the model are flagged out-of-context
+ * @returns {Array<Object>} Citations in answer order: label, path, startLine, endLine,
+ *   column, snippet, status (see CITATION_STATUS), citedLine when corrected, and the
+ *   offset/length of the link in the answer
+ */
+function extractCitations(text, files, manifest = null) {
+    const filesByName = new Map(files.map(file => [normalizePath(file.filename), file.content || '']));
+    const rangesByName = manifest
+        ? new Map(manifest.files.map(file => [normalizePath(file.filename), file.ranges]))
+        : null;
+
+    return parseCitations(text).map(citation => {
+        const path = resolvePath(citation.path, filesByName);
+        if (!path) {
+            return { ...citation, path: normalizePath(citation.path), status: CITATION_STATUS.UNKNOWN_FILE };
+        }
+        const ranges = rangesByName ? rangesByName.get(path) : null;
+        return checkContext(checkLines({ ...citation, path }, filesByName.get(path), ranges || null), ranges);
+    });
+}
+
+module.exports = {
+    CITATION_STATUS,
+    extractCitations,
+    parseCitations,
+};
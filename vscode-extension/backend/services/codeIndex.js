@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+
+const DEFAULT_MAX_CHUNK_LINES = 80;
+const DEFAULT_MAX_DOCUMENTS = 5000;
+const DEFAULT_TOP_K = 10;
+
+// Segments with fewer non-blank lines than this (e.g. a lone "class Foo {") join the next one
+const MIN_CHUNK_LINES = 3;
+
+// BM25 parameters: term-frequency saturation and document-length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'her', 'was', 'one', 'our', 'out',
+    'has', 'have', 'had', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'way', 'who', 'did', 'get',
+    'let', 'put', 'say', 'she', 'too', 'use', 'does', 'this', 'that', 'with', 'from', 'what', 'when', 'where',
+    'which', 'why', 'will', 'would', 'should', 'could', 'there', 'their', 'them', 'then', 'than', 'into',
+    'about', 'code', 'file', 'files', 'function', 'explain', 'please', 'make', 'work', 'works', 'show', 'tell',
+]);
+
+// A declaration line: optional modifiers, a declaration keyword and a name.
+// Covers JS/TS, Python, Go, Rust, Java/C#/Kotlin, Swift, PHP and Ruby.
+const DECLARATION = new RegExp([
+    '^(\\s*)',
+    '(?:export\\s+(?:default\\s+)?)?',
+    '(?:(?:public|private|protected|internal|static|abstract|final|async|override|sealed|open|data|declare|pub(?:\\([\\w:]+\\))?)\\s+)*',
+    '(function\\*?|class|interface|type|enum|struct|trait|impl|def|fn|func|fun|namespace|module|object)',
+    '\\s+(?:\\([^)]*\\)\\s*)?([A-Za-z_$][\\w$]*)',
+].join(''));
+
+// A variable or CommonJS export holding a function or class, e.g.
+// "const load = async (id) => {" or "exports.handler = function (event) {"
+const FUNCTION_VALUE = /^(\s*)(?:export\s+)?(?:(?:const|let|var)\s+([A-Za-z_$][\w$]*)|(?:module\.)?exports\.([A-Za-z_$][\w$]*)|(module\.exports))\s*(?::[^=]+)?=\s*(?:async\s+)?(function\b|class\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/;
+
+// An indented method or function signature without a keyword, e.g. "  async load(id) {"
+const METHOD = /^(\s+)(?:(?:public|private|protected|static|async|get|set|override|readonly)\s+)*([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\([^)]*\)\s*(?::\s*[^{=]+)?\{\s*$/;
+
+// A top-level call that opens a callback block, e.g. "app.post('/upload', async (req, res) => {"
+const CALLBACK_BLOCK = /^()([A-Za-z_$][\w$.]*)\(\s*(?:(['"`])([^'"`]*)\3)?.*(?:=>|\bfunction\b).*\{\s*$/;
+
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'function']);
+
+/**
+ * Split text into lowercase search terms. camelCase, PascalCase and snake_case
+ * identifiers contribute both the whole identifier and its parts.
+ * @param {string} text - Prompt or code
+ * @returns {string[]} Terms (may repeat)
+ */
+function extractTerms(text) {
+    const terms = [];
+
+    for (const identifier of (text || '').match(/[A-Za-z_$][A-Za-z0-9_$]*/g) || []) {
+        const parts = identifier
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .split(/[\s_$]+/);
+
+        for (const term of new Set([identifier, ...parts])) {
+            const lower = term.toLowerCase();
+            if (lower.length >= 3 && !STOPWORDS.has(lower)) {
+                terms.push(lower);
+            }
+        }
+    }
+
+    return terms;
+}
+
+/**
+ * Hash file content; identical content is chunked and tokenized once
+ * @param {string} content - File content
+ * @returns {string} sha256 hex digest
+ */
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Match a declaration at the start of a line
+ * @param {string} line - Source line
+ * @returns {{indent: number, kind: string, symbol: string|null}|null} Declaration, or null
+ */
+function matchDeclaration(line) {
+    const declaration = DECLARATION.exec(line);
+    if (declaration) {
+        return {
+            indent: declaration[1].length,
+            kind: declaration[2].startsWith('function') ? 'function' : declaration[2],
+            symbol: declaration[3],
+        };
+    }
+
+    const value = FUNCTION_VALUE.exec(line);
+    if (value) {
+        return {
+            indent: value[1].length,
+            kind: value[5] === 'class' ? 'class' : 'function',
+            symbol: value[2] || value[3] || value[4],
+        };
+    }
+
+    const block = CALLBACK_BLOCK.exec(line);
+    if (block && !CONTROL_KEYWORDS.has(block[2])) {
+        return { indent: 0, kind: 'block', symbol: block[4] ? `${block[2]}('${block[4]}')` : block[2] };
+    }
+
+    const method = METHOD.exec(line);
+    if (method && !CONTROL_KEYWORDS.has(method[2])) {
+        return { indent: method[1].length, kind: 'method', symbol: method[2] };
+    }
+
+    return null;
+}
+
+/**
+ * Move a boundary up over the comments, decorators and attributes directly above it
+ * @param {string[]} lines - File lines
+ * @param {number} index - Declaration line (0-based)
+ * @param {number} floor - Lowest line the boundary may move to (0-based)
+ * @returns {number} Boundary line (0-based)
+ */
+function attachLeadingComments(lines, index, floor) {
+    let start = index;
+    while (start > floor && /^\s*(?:\/\/|\/\*|\*|#|@|\[)/.test(lines[start - 1]) && lines[start - 1].trim()) {
+        start--;
+    }
+    return start;
+}
+
+/**
+ * Split a file into chunks on function and class boundaries.
+ *
+ * Top-level declarations start new chunks, together with their leading comments.
+ * Anything before the first declaration (imports, module comments) is its own
+ * chunk. Chunks longer than `maxLines` are split again on the declarations
+ * nested one level down (methods), and finally into fixed-size pieces.
+ * @param {string[]} lines - File lines
+ * @param {number} maxLines - Maximum lines per chunk
+ * @returns {Array<{startLine: number, endLine: number, kind: string, symbol: string|null}>} Chunks (1-based, inclusive)
+ */
+function chunkLines(lines, maxLines = DEFAULT_MAX_CHUNK_LINES) {
+    const chunks = [];
+    splitRange(lines, 0, lines.length, maxLines, { kind: 'module', symbol: null }, chunks);
+    return chunks;
+}
+
+/**
+ * Recursively split lines [from, to) into chunks, appending them to `chunks`
+ * @param {string[]} lines - File lines
+ * @param {number} from - First line (0-based)
+ * @param {number} to - End line (0-based, exclusive)
+ * @param {number} maxLines - Maximum lines per chunk
+ * @param {{kind: string, symbol: string|null}} outer - Declaration that encloses the range
+ * @param {Array} chunks - Output
+ */
+function splitRange(lines, from, to, maxLines, outer, chunks) {
+    const declarations = [];
+    for (let index = from; index < to; index++) {
+        const declaration = matchDeclaration(lines[index]);
+        if (declaration) {
+            declarations.push({ ...declaration, index });
+        }
+    }
+
+    // Split on the outermost declarations in the range (ignoring the one that opens it)
+    const opener = declarations[0] && attachLeadingComments(lines, declarations[0].index, from) === from
+        ? declarations[0]
+        : null;
+    const inner = declarations.filter(declaration => declaration !== opener);
+    const indent = Math.min(...inner.map(declaration => declaration.indent));
+    const boundaries = inner.filter(declaration => declaration.indent === indent);
+
+    if (to - from <= maxLines && !(outer.kind === 'module' && boundaries.length > 0)) {
+        const label = opener || outer;
+        chunks.push({ startLine: from + 1, endLine: to, kind: label.kind, symbol: label.symbol });
+        return;
+    }
+
+    const segments = [];
+    let start = from;
+    let current = opener ? { kind: opener.kind, symbol: opener.symbol } : outer;
+    for (const boundary of boundaries) {
+        const boundaryStart = attachLeadingComments(lines, boundary.index, start);
+        if (boundaryStart > start) {
+            segments.push({ from: start, to: boundaryStart, ...current });
+            start = boundaryStart;
+        }
+        current = { kind: boundary.kind, symbol: boundary.symbol };
+    }
+    segments.push({ from: start, to, ...current });
+
+    // Fold headers that are too small to stand alone into the segment after them
+    for (let index = segments.length - 2; index >= 0; index--) {
+        const nonBlank = lines.slice(segments[index].from, segments[index].to).filter(line => line.trim()).length;
+        if (nonBlank < MIN_CHUNK_LINES) {
+            segments[index + 1].from = segments[index].from;
+            segments.splice(index, 1);
+        }
+    }
+
+    // No boundary to split on: cut into fixed-size pieces
+    if (segments.length === 1) {
+        for (let pieceStart = from; pieceStart < to; pieceStart += maxLines) {
+            chunks.push({
+                startLine: pieceStart + 1,
+                endLine: Math.min(pieceStart + maxLines, to),
+                kind: current.kind,
+                symbol: current.symbol,
+            });
+        }
+        return;
+    }
+
+    for (const segment of segments) {
+        if (segment.to - segment.from <= maxLines) {
+            chunks.push({ startLine: segment.from + 1, endLine: segment.to, kind: segment.kind, symbol: segment.symbol });
+        } else {
+            splitRange(lines, segment.from, segment.to, maxLines, segment, chunks);
+        }
+    }
+}
+
+/**
+ * Split file content into lines, ignoring a single trailing newline
+ * @param {string} content - File content
+ * @returns {string[]} Lines
+ */
+function splitLines(content) {
+    return content.replace(/\r?\n$/, '').split(/\r?\n/);
+}
+
+/**
+ * Code index
+ *
+ * An in-process BM25 index over uploaded files. Files are chunked on function
+ * and class boundaries and each chunk is tokenized into identifier terms.
+ * Analyzed files are cached by content hash, so the same workspace uploaded on
+ * every request of a session is only chunked once. The cache is shared by all
+ * clients, so a search is only ever scored against the files it is given.
+ */
+class CodeIndex {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxChunkLines - Maximum lines per chunk
+     * @param {number} options.maxDocuments - Analyzed files kept in memory
+     */
+    constructor({ maxChunkLines = DEFAULT_MAX_CHUNK_LINES, maxDocuments = DEFAULT_MAX_DOCUMENTS } = {}) {
+        this.maxChunkLines = maxChunkLines > 0 ? maxChunkLines : DEFAULT_MAX_CHUNK_LINES;
+        this.maxDocuments = maxDocuments > 0 ? maxDocuments : DEFAULT_MAX_DOCUMENTS;
+        this.documents = new Map();
+    }
+
+    /**
+     * Add files to the index, reusing analyzed documents for content seen before
+     * @param {Array} files - Files with filename and content
+     * @returns {Array<{filename: string, document: Object}>} Indexed files in input order
+     */
+    add(files) {
+        return (files || [])
+            .filter(file => file && typeof file.filename === 'string' && typeof file.content === 'string' && file.content)
+            .map(file => {
+                const hash = contentHash(file.content);
+                let document = this.documents.get(hash);
+
+                if (document) {
+                    // Refresh recency so the working set is not evicted
+                    this.documents.delete(hash);
+                } else {
+                    document = this.analyze(file.content, hash);
+                    if (this.documents.size >= this.maxDocuments) {
+                        this.documents.delete(this.documents.keys().next().value);
+                    }
+                }
+
+                document.filename = file.filename;
+                this.documents.set(hash, document);
+                return { filename: file.filename, document };
+            });
+    }
+
+    /**
+     * Chunk and tokenize file content
+     * @param {string} content - File content
+     * @param {string} hash - Content hash
+     * @returns {Object} Analyzed document
+     */
+    analyze(content, hash) {
+        const lines = splitLines(content);
+        const chunks = chunkLines(lines, this.maxChunkLines).map(chunk => {
+            const terms = extractTerms(lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'));
+            const termFrequencies = new Map();
+            for (const term of terms) {
+                termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1);
+            }
+            return { ...chunk, length: terms.length, termFrequencies };
+        });
+
+        return { hash, lines, chunks };
+    }
+
+    /**
+     * Score every chunk of the given files against a query with BM25
+     * @param {string} query - Search text
+     * @param {Array} files - Files to search
+     * @returns {Array} Chunks with filename, fileIndex, lines and score, in file order
+     */
+    scoreChunks(query, files) {
+        const entries = this.add(files);
+        const queryTerms = Array.from(new Set(extractTerms(query)));
+
+        const chunks = [];
+        entries.forEach(({ filename, document }, fileIndex) => {
+            for (const chunk of document.chunks) {
+                chunks.push({ ...chunk, filename, fileIndex, lines: document.lines });
+            }
+        });
+
+        if (chunks.length === 0 || queryTerms.length === 0) {
+            return chunks.map(chunk => ({ ...chunk, score: 0 }));
+        }
+
+        const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length || 1;
+        const idf = new Map(queryTerms.map(term => {
+            const documentFrequency = chunks.filter(chunk => chunk.termFrequencies.has(term)).length;
+            return [term, Math.log(1 + (chunks.length - documentFrequency + 0.5) / (documentFrequency + 0.5))];
+        }));
+
+        return chunks.map(chunk => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const frequency = chunk.termFrequencies.get(term);
+                if (frequency) {
+                    const norm = BM25_K1 * (1 - BM25_B + BM25_B * (chunk.length / averageLength));
+                    score += idf.get(term) * (frequency * (BM25_K1 + 1)) / (frequency + norm);
+                }
+            }
+            return { ...chunk, score };
+        });
+    }
+
+    /**
+     * Find the chunks that best match a query
+     * @param {string} query - Search text
+     * @param {Object} options
+     * @param {Array} options.files - Files to search
+     * @param {number} options.topK - Maximum number of results
+     * @returns {Array<{filename: string, startLine: number, endLine: number, kind: string, symbol: string|null, score: number, preview: string}>} Matches, best first
+     */
+    search(query, { files = [], topK = DEFAULT_TOP_K } = {}) {
+        return this.scoreChunks(query, files)
+            .filter(chunk => chunk.score > 0)
+            .sort((a, b) => b.score - a.score || a.fileIndex - b.fileIndex || a.startLine - b.startLine)
+            .slice(0, topK > 0 ? topK : DEFAULT_TOP_K)
+            .map(chunk => ({
+                filename: chunk.filename,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                kind: chunk.kind,
+                symbol: chunk.symbol,
+                score: Math.round(chunk.score * 1000) / 1000,
+                preview: chunk.lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'),
+            }));
+    }
+
+    /**
+     * Index statistics, of the given files or of the whole cache
+     * @param {Array} files - Files to count; every analyzed file when omitted
+     * @returns {{documents: number, chunks: number}} Counts
+     */
+    getStats(files = null) {
+        const documents = files ? this.add(files).map(({ document }) => document) : Array.from(this.documents.values());
+        const chunks = documents.reduce((sum, document) => sum + document.chunks.length, 0);
+        return { documents: documents.length, chunks };
+    }
+}
+
+module.exports = CodeIndex;
+module.exports.DEFAULT_MAX_CHUNK_LINES = DEFAULT_MAX_CHUNK_LINES;
+module.exports.DEFAULT_TOP_K = DEFAULT_TOP_K;
+module.exports.extractTerms = extractTerms;
+module.exports.contentHash = contentHash;
+module.exports.chunkLines = chunkLines;
+module.exports.splitLines = splitLines;
@@ -0,0 +1,208 @@
+const { estimateTokens, CHARS_PER_TOKEN } = require('./tokens');
+
+/**
+ * Commit messages for staged changes
+ *
+ * Clients send the output of `git diff --cached` and, when the repository has
+ * one, its commit message template. A diff within the token budget is sent to
+ * the model as is. A larger diff is cut into files; the largest files are
+ * summarized one at a time first (the same model writes the summaries) and the
+ * message is written from the summaries and the remaining diffs. Files left
+ * over once the summary limit is reached are listed with their line counts only.
+ */
+
+const DEFAULT_COMMIT_DIFF_TOKEN_BUDGET = 6000;
+const DEFAULT_MAX_FILE_SUMMARIES = 20;
+
+const COMMIT_MESSAGE_SYSTEM_PROMPT = `You write git commit messages for staged changes.
+Write a Conventional Commits message:
+- A subject line "type(scope): summary" of at most 72 characters, in the imperative mood and without a trailing period. The type is one of feat, fix, docs, style, refactor, perf, test, build, ci, chore or revert; the scope is optional
+- Then a blank line and a body, wrapped at 72 characters, that says what changed and why. Leave out the body when the subject says everything
+- Add "BREAKING CHANGE: ..." as the last paragraph only when the diff removes or changes public behaviour callers rely on
+Describe only what the changes show. Answer with the commit message only, without code fences or commentary.`;
+
+const FILE_SUMMARY_SYSTEM_PROMPT = `You summarize the staged changes to one file for someone writing the commit message.
+In one to three sentences, say what changed in the file and, when the diff shows it, why. Name the functions, classes or settings involved.
+Answer with the summary only.`;
+
+const DIFF_HEADER = /^diff --git a\/(.+?) b\/(.+)$/;
+
+/**
+ * Cut a unified diff into one diff per file
+ * @param {string} diff - Output of `git diff`
+ * @returns {Array<{path: string, diff: string, added: number, removed: number}>} File diffs in diff order
+ */
+function splitDiffByFile(diff) {
+    const files = [];
+    let current = null;
+
+    for (const line of (diff || '').split('\n')) {
+        const header = DIFF_HEADER.exec(line);
+        if (header) {
+            current = { path: header[2], lines: [], added: 0, removed: 0 };
+            files.push(current);
+        }
+        if (!current) {
+            continue;
+        }
+        current.lines.push(line);
+        if (line.startsWith('+') && !line.startsWith('+++ ')) {
+            current.added++;
+        } else if (line.startsWith('-') && !line.startsWith('--- ')) {
+            current.removed++;
+        }
+    }
+
+    return files.map(({ path, lines, added, removed }) => ({ path, diff: lines.join('\n').replace(/\n+$/, ''), added, removed }));
+}
+
+/**
+ * Tidy a generated commit message: drop code fences and quotes around it,
+ * trailing whitespace and extra blank lines, and separate the subject from the body
+ * @param {string} text - Model answer
+ * @returns {string} Commit message
+ */
+function cleanCommitMessage(text) {
+    let message = (text || '').trim();
+    const fenced = /^```[\w-]*\n([\s\S]*?)\n```$/.exec(message);
+    if (fenced) {
+        message = fenced[1].trim();
+    }
+    message = message.replace(/^(["'`])([\s\S]*)\1$/, '$2').trim();
+
+    const lines = message.split('\n').map(line => line.trimEnd());
+    if (lines.length > 1 && lines[1] !== '') {
+        lines.splice(1, 0, '');
+    }
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Commit message writer
+ *
+ * Plans which parts of a staged diff the model sees verbatim, summarizes the
+ * rest, and asks for the message. Model calls go through a caller-supplied
+ * function, as for conversation summaries (see conversationMemory.js).
+ */
+class CommitMessageWriter {
+    /**
+     * @param {Object} options
+     * @param {number} options.tokenBudget - Tokens of diff sent to the model in one request
+     * @param {number} options.maxFileSummaries - Files summarized at most for one message
+     */
+    constructor({ tokenBudget = DEFAULT_COMMIT_DIFF_TOKEN_BUDGET, maxFileSummaries = DEFAULT_MAX_FILE_SUMMARIES } = {}) {
+        this.tokenBudget = tokenBudget > 0 ? tokenBudget : DEFAULT_COMMIT_DIFF_TOKEN_BUDGET;
+        this.maxFileSummaries = maxFileSummaries >= 0 ? maxFileSummaries : DEFAULT_MAX_FILE_SUMMARIES;
+    }
+
+    /**
+     * Decide how each file of a diff is shown: verbatim while the total fits the
+     * budget, otherwise the largest files are summarized, then listed only
+     * @param {Array} files - File diffs from splitDiffByFile
+     * @returns {{summarize: Set<string>, omit: Set<string>}} Paths to summarize and to list without their diff
+     */
+    plan(files) {
+        const summarize = new Set();
+        const omit = new Set();
+        let used = files.reduce((sum, file) => sum + estimateTokens(file.diff), 0);
+
+        for (const file of [...files].sort((a, b) => b.diff.length - a.diff.length)) {
+            if (used <= this.tokenBudget) {
+                break;
+            }
+            (summarize.size < this.maxFileSummaries ? summarize : omit).add(file.path);
+            used -= estimateTokens(file.diff);
+        }
+
+        return { summarize, omit };
+    }
+
+    /**
+     * Write the commit message for a staged diff
+     * @param {string} diff - Output of `git diff --cached`
+     * @param {Object} options
+     * @param {string} options.template - Commit message template of the repository (optional)
+     * @param {Function} options.generate - async ({ systemPrompt, userPrompt }) => text
+     * @returns {Promise<{message: string, summarizedFiles: string[], omittedFiles: string[]}>} Message and
+     *   the files the model saw only as a summary or by name
+     */
+    async write(diff, { template = null, generate }) {
+        const files = splitDiffByFile(diff);
+        const { summarize, omit } = this.plan(files);
+        const summaries = new Map();
+
+        // One at a time: the requests share the caller's concurrency slot
+        for (const file of files.filter(candidate => summarize.has(candidate.path))) {
+            summaries.set(file.path, await this.summarizeFile(file, generate));
+        }
+
+        const systemPrompt = template && template.trim()
+            ? `${COMMIT_MESSAGE_SYSTEM_PROMPT}
+
+The repository has a commit message template. Follow its structure and fill in its placeholders; lines starting with "#" are guidance for you and are not part of the message. Where the template and the rules above disagree, follow the template:
+${template.trim()}`
+            : COMMIT_MESSAGE_SYSTEM_PROMPT;
+        const message = cleanCommitMessage(await generate({ systemPrompt, userPrompt: this.formatChanges(files, summaries, omit) }));
+
+        return { message, summarizedFiles: [...summaries.keys()], omittedFiles: [...omit] };
+    }
+
+    /**
+     * Summarize the diff of one file, cut to the token budget; falls back to
+     * its line counts when the model fails
+     * @param {Object} file - File diff from splitDiffByFile
+     * @param {Function} generate - async ({ systemPrompt, userPrompt }) => text
+     * @returns {Promise<string>} Summary
+     */
+    async summarizeFile(file, generate) {
+        const maxChars = this.tokenBudget * CHARS_PER_TOKEN;
+        const diff = file.diff.length > maxChars ? `${file.diff.slice(0, file.diff.lastIndexOf('\n', maxChars) + 1)}(diff cut short)` : file.diff;
+
+        try {
+            const summary = (await generate({ systemPrompt: FILE_SUMMARY_SYSTEM_PROMPT, userPrompt: `File: ${file.path}\n\n${diff}` }) || '').trim();
+            if (summary) {
+                return summary;
+            }
+        } catch (error) {
+            console.error(`Summary of the changes to ${file.path} failed, using line counts:`, error.message);
+        }
+        return `${file.added} lines added, ${file.removed} removed`;
+    }
+
+    /**
+     * Render the staged changes for the message request
+     * @param {Array} files - File diffs from splitDiffByFile
+     * @param {Map<string, string>} summaries - Summaries by path
+     * @param {Set<string>} omit - Paths listed without their diff
+     * @returns {string} User prompt
+     */
+    formatChanges(files, summaries, omit) {
+        const sections = [];
+        const diffs = files.filter(file => !summaries.has(file.path) && !omit.has(file.path));
+
+        if (diffs.length > 0) {
+            sections.push(`Staged changes:\n\`\`\`diff\n${diffs.map(file => file.diff).join('\n')}\n\`\`\``);
+        }
+        if (summaries.size > 0) {
+            sections.push(`Summaries of files whose diffs are too large to show:\n${files
+                .filter(file => summaries.has(file.path))
+                .map(file => `- ${file.path} (+${file.added} -${file.removed}): ${summaries.get(file.path)}`)
+                .join('\n')}`);
+        }
+        if (omit.size > 0) {
+            sections.push(`Other changed files:\n${files
+                .filter(file => omit.has(file.path))
+                .map(file => `- ${file.path} (+${file.added} -${file.removed})`)
+                .join('\n')}`);
+        }
+
+        return `${sections.join('\n\n')}\n\nWrite the commit message for these changes.`;
+    }
+}
+
+module.exports = CommitMessageWriter;
+module.exports.DEFAULT_COMMIT_DIFF_TOKEN_BUDGET = DEFAULT_COMMIT_DIFF_TOKEN_BUDGET;
+module.exports.COMMIT_MESSAGE_SYSTEM_PROMPT = COMMIT_MESSAGE_SYSTEM_PROMPT;
+module.exports.FILE_SUMMARY_SYSTEM_PROMPT = FILE_SUMMARY_SYSTEM_PROMPT;
+module.exports.splitDiffByFile = splitDiffByFile;
+module.exports.cleanCommitMessage = cleanCommitMessage;
@@ -0,0 +1,168 @@
+const { CHARS_PER_TOKEN } = require('./tokens');
+
+/**
+ * Inline code completions
+ *
+ * Clients send the text before and after the cursor, the document's language
+ * and a few neighboring files (open editors, imports). The code around the
+ * cursor and the neighbors are cut to a small token budget so answers come back
+ * quickly: the prefix keeps its last lines, the suffix its first lines and each
+ * neighbor its first lines. The model answers with the text to insert, which is
+ * cleaned of code fences and of code it repeated from around the cursor.
+ */
+
+const DEFAULT_COMPLETION_TOKEN_BUDGET = 2000;
+const MAX_COMPLETION_LINES = 30;
+
+// Where the budget goes: most of it to the code before the cursor
+const PREFIX_SHARE = 0.6;
+const SUFFIX_SHARE = 0.2;
+
+const CURSOR = '<|cursor|>';
+
+const COMPLETION_SYSTEM_PROMPT = `You are a code completion engine. You are shown a file with the cursor marked as ${CURSOR}, and possibly parts of related files.
+Answer with the text to insert at the cursor and nothing else: no code fences, no explanations and no text from before or after the cursor.
+Complete the current statement, or the current block when the cursor is on an empty line, in the style of the surrounding code. Keep it short, at most ${MAX_COMPLETION_LINES} lines.
+When nothing sensible can be inserted, answer with nothing.`;
+
+/**
+ * Keep the end of a text that fits in a number of characters, starting at a line
+ * @param {string} text - Text before the cursor
+ * @param {number} maxChars - Characters to keep at most
+ * @returns {string} Tail of the text
+ */
+function keepTail(text, maxChars) {
+    if (text.length <= maxChars) {
+        return text;
+    }
+    const tail = text.slice(text.length - maxChars);
+    const lineStart = tail.indexOf('\n');
+    // A single line longer than the budget is cut mid-line rather than dropped
+    return lineStart === -1 || lineStart === tail.length - 1 ? tail : tail.slice(lineStart + 1);
+}
+
+/**
+ * Keep the start of a text that fits in a number of characters, ending at a line
+ * @param {string} text - Text after the cursor, or a neighboring file
+ * @param {number} maxChars - Characters to keep at most
+ * @returns {string} Head of the text
+ */
+function keepHead(text, maxChars) {
+    if (text.length <= maxChars) {
+        return text;
+    }
+    const head = text.slice(0, maxChars);
+    const lineEnd = head.lastIndexOf('\n');
+    return lineEnd <= 0 ? head : head.slice(0, lineEnd + 1);
+}
+
+/**
+ * Tidy a completion: drop code fences and the cursor marker, the part of the
+ * current line the model repeated, lines it copied from after the cursor, and
+ * lines beyond the limit
+ * @param {string} text - Model answer
+ * @param {string} prefix - Text before the cursor
+ * @param {string} suffix - Text after the cursor
+ * @returns {string} Text to insert, possibly empty
+ */
+function cleanCompletion(text, prefix = '', suffix = '') {
+    let completion = (text || '').replace(/\r\n/g, '\n');
+    const fenced = /^\s*```[\w+-]*\n([\s\S]*?)\n?```\s*$/.exec(completion);
+    if (fenced) {
+        completion = fenced[1];
+    }
+    completion = completion.split(CURSOR).join('');
+
+    const currentLine = prefix.slice(prefix.lastIndexOf('\n') + 1);
+    if (currentLine.trim() && completion.startsWith(currentLine)) {
+        completion = completion.slice(currentLine.length);
+    }
+
+    let lines = completion.replace(/\s+$/, '').split('\n');
+    const following = suffix.replace(/\r\n/g, '\n').split('\n').map(line => line.trim()).filter(Boolean);
+    // Models often close the block again although the closing lines follow the cursor
+    for (let overlap = Math.min(lines.length - 1, following.length); overlap > 0; overlap--) {
+        const tail = lines.slice(lines.length - overlap).map(line => line.trim());
+        if (tail.every((line, index) => line === following[index])) {
+            lines = lines.slice(0, lines.length - overlap);
+            break;
+        }
+    }
+
+    return lines.slice(0, MAX_COMPLETION_LINES).join('\n').replace(/\s+$/, '');
+}
+
+/**
+ * Completion prompt builder
+ *
+ * Fits the code around the cursor and the neighboring files into the token
+ * budget and asks for the text to insert. Model calls go through a
+ * caller-supplied function, as for commit messages (see commitMessages.js).
+ */
+class CodeCompleter {
+    /**
+     * @param {Object} options
+     * @param {number} options.tokenBudget - Tokens of code sent with one completion request
+     */
+    constructor({ tokenBudget = DEFAULT_COMPLETION_TOKEN_BUDGET } = {}) {
+        this.tokenBudget = tokenBudget > 0 ? tokenBudget : DEFAULT_COMPLETION_TOKEN_BUDGET;
+    }
+
+    /**
+     * Complete the code at the cursor
+     * @param {Object} request
+     * @param {string} request.prefix - Text of the document before the cursor
+     * @param {string} request.suffix - Text of the document after the cursor (optional)
+     * @param {string} request.language - Language id of the document, e.g. `typescript` (optional)
+     * @param {string} request.path - Workspace-relative path of the document (optional)
+     * @param {Array} request.files - Neighboring `{ filename, content }` files (optional)
+     * @param {Object} options
+     * @param {Function} options.generate - async ({ systemPrompt, userPrompt }) => text
+     * @returns {Promise<string>} Text to insert at the cursor, possibly empty
+     */
+    async complete({ prefix, suffix = '', language = null, path = null, files = [] }, { generate }) {
+        const userPrompt = this.formatRequest({ prefix, suffix, language, path, files });
+        return cleanCompletion(await generate({ systemPrompt: COMPLETION_SYSTEM_PROMPT, userPrompt }), prefix, suffix);
+    }
+
+    /**
+     * Render the cursor's surroundings and the neighboring files within the budget;
+     * neighbors get what the prefix and suffix leave, in request order
+     * @param {Object} request - As for complete()
+     * @returns {string} User prompt
+     */
+    formatRequest({ prefix, suffix = '', language = null, path = null, files = [] }) {
+        const budget = this.tokenBudget * CHARS_PER_TOKEN;
+        const before = keepTail(prefix, Math.floor(budget * PREFIX_SHARE));
+        const after = keepHead(suffix || '', Math.floor(budget * SUFFIX_SHARE));
+        let remaining = budget - before.length - after.length;
+
+        const sections = [];
+        const neighbors = [];
+        for (const file of files || []) {
+            if (remaining <= 0) {
+                break;
+            }
+            const content = file.content || '';
+            const excerpt = keepHead(content, remaining);
+            const cut = excerpt.length < content.length;
+            remaining = cut ? 0 : remaining - excerpt.length;
+            neighbors.push(`File: ${file.filename}${cut ? ' (start only)' : ''}\n\`\`\`\n${excerpt.replace(/\n$/, '')}\n\`\`\``);
+        }
+        if (neighbors.length > 0) {
+            sections.push(`Related files:\n\n${neighbors.join('\n\n')}`);
+        }
+
+        const name = [path, language && `(${language})`].filter(Boolean).join(' ');
+        sections.push(`${name ? `File: ${name}` : 'File'}\n\`\`\`${language || ''}\n${before}${CURSOR}${after}\n\`\`\``);
+
+        return `${sections.join('\n\n')}\n\nWrite the text to insert at ${CURSOR}.`;
+    }
+}
+
+module.exports = CodeCompleter;
+module.exports.DEFAULT_COMPLETION_TOKEN_BUDGET = DEFAULT_COMPLETION_TOKEN_BUDGET;
+module.exports.MAX_COMPLETION_LINES = MAX_COMPLETION_LINES;
+module.exports.COMPLETION_SYSTEM_PROMPT = COMPLETION_SYSTEM_PROMPT;
+module.exports.CURSOR = CURSOR;
+module.exports.cleanCompletion = cleanCompletion;
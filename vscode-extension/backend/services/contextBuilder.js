@@ -0,0 +1,222 @@
+const path = require('path');
+const { estimateTokens } = require('./tokens');
+const CodeIndex = require('./codeIndex');
+const DependencyGraph = require('./dependencyGraph');
+const { extractTerms } = require('./codeIndex');
+const { findImportedFiles } = require('./dependencyGraph');
+
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 24000;
+const SCORES = {
+    pathMention: 25,
+    pathTerm: 4,
+};
+
+// Chunks are packed tier by tier: the active file, then files with uncommitted changes
+// or editor diagnostics, then the files the active file imports or that import it, then the rest
+const TIERS = {
+    activeFile: 0,
+    changedFile: 1,
+    relatedToActiveFile: 2,
+    other: 3,
+};
+
+/**
+ * Format lines with right-aligned line numbers, e.g. " 9 | code"
+ * @param {string[]} lines - All lines of the file
+ * @param {number} startLine - First line to include (1-based)
+ * @param {number} endLine - Last line to include (1-based, inclusive)
+ * @returns {string} Line-numbered text
+ */
+function numberLines(lines, startLine, endLine) {
+    const width = String(endLine).length;
+    return lines
+        .slice(startLine - 1, endLine)
+        .map((line, index) => `${String(startLine + index).padStart(width)} | ${line}`)
+        .join('\n');
+}
+
+/**
+ * Context builder
+ *
+ * Replaces "first N lines of every file" with a ranked, token-budgeted selection
+ * of whole chunks. Files are chunked on function and class boundaries by the
+ * code index, every chunk is scored against the prompt, and the best chunks are
+ * packed until the budget is spent. The active editor file goes first, then the
+ * files with uncommitted git changes, then the active file's direct imports and
+ * importers from the dependency graph, then everything else.
+ * Included chunks are rendered with line numbers so the model can cite exact
+ * locations, and a manifest records which line ranges were sent.
+ *
+ * Scoring signals within a tier:
+ *   - the prompt names the file path or file name
+ *   - prompt terms appear in the path
+ *   - BM25 relevance of the chunk to the prompt
+ */
+class ContextBuilder {
+    /**
+     * @param {Object} options
+     * @param {number} options.tokenBudget - Token budget for file context
+     * @param {CodeIndex} options.index - Code index used to chunk and score files
+     */
+    constructor({ tokenBudget = DEFAULT_CONTEXT_TOKEN_BUDGET, index = null } = {}) {
+        this.tokenBudget = tokenBudget > 0 ? tokenBudget : DEFAULT_CONTEXT_TOKEN_BUDGET;
+        this.index = index || new CodeIndex();
+    }
+
+    /**
+     * Build the file context for a request
+     * @param {Array} files - Uploaded files with filename and content
+     * @param {string} prompt - User's prompt
+     * @param {string} currentFile - Active editor file (optional)
+     * @param {string[]} changedFiles - Files with uncommitted git changes or editor diagnostics (optional)
+     * @returns {{text: string, manifest: Object}} Context text and manifest of included ranges
+     */
+    build(files, prompt, currentFile = null, changedFiles = []) {
+        const usable = (files || []).filter(file => file && typeof file.filename === 'string' && typeof file.content === 'string' && file.content);
+        const chunks = this.rankChunks(usable, prompt, currentFile, changedFiles);
+
+        // Greedy packing: take chunks best-first, skipping any that no longer fit
+        const selected = [];
+        let tokensUsed = 0;
+        for (const chunk of chunks) {
+            if (tokensUsed + chunk.tokens > this.tokenBudget) {
+                continue;
+            }
+            selected.push(chunk);
+            tokensUsed += chunk.tokens;
+        }
+
+        const sections = this.groupByFile(selected);
+
+        return {
+            text: sections.map(section => section.text).join('\n\n'),
+            manifest: {
+                tokenBudget: this.tokenBudget,
+                tokensUsed,
+                filesIncluded: sections.length,
+                filesOmitted: (files || []).filter(file => file && file.filename).length - sections.length,
+                files: sections.map(({ filename, totalLines, ranges }) => ({ filename, totalLines, ranges })),
+            },
+        };
+    }
+
+    /**
+     * Cut files into chunks and sort them by tier, then relevance
+     * @param {Array} files - Files with content
+     * @param {string} prompt - User's prompt
+     * @param {string} currentFile - Active editor file (optional)
+     * @param {string[]} changedFiles - Files with uncommitted git changes or editor diagnostics (optional)
+     * @returns {Array} Scored chunks, best first
+     */
+    rankChunks(files, prompt, currentFile, changedFiles = []) {
+        const changed = new Set(changedFiles);
+        const promptTerms = new Set(extractTerms(prompt));
+        const promptLower = (prompt || '').toLowerCase();
+        const related = new Set();
+        if (currentFile) {
+            // The active file may have been excluded from the upload; its importers still count
+            const graph = new DependencyGraph(files, [currentFile]);
+            graph.importsOf(currentFile).forEach(filename => related.add(filename));
+            graph.importersOf(currentFile).forEach(filename => related.add(filename));
+        }
+
+        const fileScores = files.map(file => this.scoreFile(file.filename, promptTerms, promptLower));
+        const fileTiers = files.map(file => {
+            if (file.filename === currentFile) {
+                return TIERS.activeFile;
+            }
+            if (changed.has(file.filename)) {
+                return TIERS.changedFile;
+            }
+            return related.has(file.filename) ? TIERS.relatedToActiveFile : TIERS.other;
+        });
+
+        return this.index.scoreChunks(prompt, files)
+            .map(chunk => ({
+                filename: chunk.filename,
+                fileIndex: chunk.fileIndex,
+                lines: chunk.lines,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                tier: fileTiers[chunk.fileIndex],
+                score: fileScores[chunk.fileIndex] + chunk.score,
+                // Line numbers and separators cost roughly a token per line
+                tokens: estimateTokens(chunk.lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'))
+                    + (chunk.endLine - chunk.startLine + 1),
+            }))
+            .sort((a, b) => a.tier - b.tier || b.score - a.score || a.fileIndex - b.fileIndex || a.startLine - b.startLine);
+    }
+
+    /**
+     * Score how strongly the prompt points at a file path
+     * @param {string} filename - File path
+     * @param {Set<string>} promptTerms - Prompt terms
+     * @param {string} promptLower - Lowercased prompt
+     * @returns {number} Score
+     */
+    scoreFile(filename, promptTerms, promptLower) {
+        const pathLower = filename.toLowerCase();
+        const basename = path.posix.basename(pathLower);
+        let score = 0;
+
+        if (promptLower.includes(pathLower) || promptLower.includes(basename)) {
+            score += SCORES.pathMention;
+        }
+
+        for (const term of new Set(extractTerms(filename))) {
+            if (promptTerms.has(term)) {
+                score += SCORES.pathTerm;
+            }
+        }
+
+        return score;
+    }
+
+    /**
+     * Merge selected chunks per file into contiguous ranges and render them,
+     * most relevant file first
+     * @param {Array} selected - Selected chunks, best first
+     * @returns {Array} Sections with filename, totalLines, ranges and text
+     */
+    groupByFile(selected) {
+        const byFile = new Map();
+        for (const chunk of selected) {
+            if (!byFile.has(chunk.filename)) {
+                byFile.set(chunk.filename, []);
+            }
+            byFile.get(chunk.filename).push(chunk);
+        }
+
+        return Array.from(byFile.entries()).map(([filename, chunks]) => {
+            const lines = chunks[0].lines;
+            const ranges = [];
+
+            chunks
+                .map(chunk => ({ startLine: chunk.startLine, endLine: chunk.endLine }))
+                .sort((a, b) => a.startLine - b.startLine)
+                .forEach(range => {
+                    const previous = ranges[ranges.length - 1];
+                    if (previous && previous.endLine + 1 === range.startLine) {
+                        previous.endLine = range.endLine;
+                    } else {
+                        ranges.push(range);
+                    }
+                });
+
+            const label = ranges.map(range => `${range.startLine}-${range.endLine}`).join(', ');
+            const body = ranges.map(range => numberLines(lines, range.startLine, range.endLine)).join('\n...\n');
+
+            return {
+                filename,
+                totalLines: lines.length,
+                ranges,
+                text: `File: ${filename} (lines ${label} of ${lines.length})\n${body}\n---`,
+            };
+        });
+    }
+}
+
+module.exports = ContextBuilder;
+module.exports.DEFAULT_CONTEXT_TOKEN_BUDGET = DEFAULT_CONTEXT_TOKEN_BUDGET;
+module.exports.findImportedFiles = findImportedFiles;
+module.exports.numberLines = numberLines;
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { MemoryConversationStore } = require('./conversationStore');
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+const { MAX_CONVERSATION_MESSAGES } = require('./schemas');
+
+const AUTO_TITLE_CHARS = 80;
+const DEFAULT_TITLE = 'New conversation';
+
+/**
+ * Title a conversation after its first user message
+ * @param {Array<{role: string, content: string}>} messages - Messages of the conversation
+ * @returns {string|null} The first line of the first user message, shortened; null without one
+ */
+function titleFromMessages(messages) {
+    const first = messages.find(message => message.role === 'user' && message.content.trim());
+    if (!first) {
+        return null;
+    }
+
+    const line = first.content.trim().split('\n')[0].trim();
+    return line.length > AUTO_TITLE_CHARS ? `${line.slice(0, AUTO_TITLE_CHARS - 1).trimEnd()}…` : line;
+}
+
+/**
+ * Conversation manager
+ *
+ * Keeps chat threads on the backend so every client (the extension, scripts,
+ * other editors) can list, continue and delete the same conversations. A
+ * conversation is `{ id, title, createdAt, updatedAt, messages }`; each message
+ * is `{ role, content, createdAt }` plus an optional client-defined `metadata`
+ * object (e.g. the citations shown with an answer), stored as sent.
+ *
+ * Conversations created without a title are named after their first user
+ * message until they are renamed. With authentication enabled, a conversation
+ * belongs to the API key that created it, and other keys cannot see it.
+ */
+class ConversationManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Conversation store (see conversationStore.js)
+     * @param {Function} options.now - Clock, for tests
+     */
+    constructor({ store = null, now = Date.now } = {}) {
+        this.store = store || new MemoryConversationStore();
+        this.now = now;
+    }
+
+    /**
+     * Create a conversation
+     * @param {string|null} owner - Label of the API key that owns the conversation, if any
+     * @param {Object} options
+     * @param {string} options.title - Title (optional; taken from the first user message otherwise)
+     * @param {Array} options.messages - Messages to start with (optional)
+     * @returns {Promise<Object>} The new conversation
+     */
+    async create(owner = null, { title = null, messages = [] } = {}) {
+        const timestamp = new Date(this.now()).toISOString();
+        const conversation = {
+            id: crypto.randomBytes(16).toString('hex'),
+            owner,
+            title: title || DEFAULT_TITLE,
+            autoTitle: !title,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            messages: [],
+        };
+
+        this.addMessages(conversation, messages || []);
+        await this.store.set(conversation.id, conversation);
+        return this.toResponse(conversation);
+    }
+
+    /**
+     * List the owner's conversations, most recently updated first
+     * @param {string|null} owner - Label of the requesting API key
+     * @returns {Promise<Array<Object>>} Conversation summaries without their messages
+     */
+    async list(owner = null) {
+        const conversations = await this.store.list();
+        return conversations
+            .filter(conversation => (conversation.owner || null) === owner)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt) || b.createdAt.localeCompare(a.createdAt))
+            .map(conversation => this.toSummary(conversation));
+    }
+
+    /**
+     * Get a conversation with its messages
+     * @param {string} id - Conversation id
+     * @param {string|null} owner - Label of the requesting API key
+     * @returns {Promise<Object>} Conversation
+     * @throws {ApiError} 404 when the conversation does not exist or belongs to another key
+     */
+    async get(id, owner = null) {
+        return this.toResponse(await this.load(id, owner));
+    }
+
+    /**
+     * Add messages to the end of a conversation
+     * @param {string} id - Conversation id
+     * @param {Array} messages - Messages to add, oldest first
+     * @param {string|null} owner - Label of the requesting API key
+     * @returns {Promise<Object>} Summary of the updated conversation
+     * @throws {ApiError} 400 when the conversation would exceed MAX_CONVERSATION_MESSAGES
+     */
+    async append(id, messages, owner = null) {
+        const conversation = await this.modify(id, owner, stored => this.addMessages(stored, messages));
+        return this.toSummary(conversation);
+    }
+
+    /**
+     * Rename a conversation
+     * @param {string} id - Conversation id
+     * @param {string} title - New title
+     * @param {string|null} owner - Label of the requesting API key
+     * @returns {Promise<Object>} Summary of the renamed conversation
+     */
+    async rename(id, title, owner = null) {
+        const conversation = await this.modify(id, owner, stored => {
+            stored.title = title;
+            stored.autoTitle = false;
+        });
+        return this.toSummary(conversation);
+    }
+
+    /**
+     * Delete a conversation
+     * @param {string} id - Conversation id
+     * @param {string|null} owner - Label of the requesting API key
+     * @throws {ApiError} 404 when the conversation does not exist or belongs to another key
+     */
+    async delete(id, owner = null) {
+        await this.load(id, owner);
+        await this.store.delete(id);
+    }
+
+    /**
+     * Load a stored conversation the owner may access
+     * @param {string} id - Conversation id
+     * @param {string|null} owner - Label of the requesting API key
+     * @returns {Promise<Object>} Stored conversation
+     */
+    async load(id, owner) {
+        return this.checkAccess(typeof id === 'string' ? await this.store.get(id) : null, owner);
+    }
+
+    /**
+     * Change a stored conversation the owner may access. The store reads, changes and
+     * writes it in one step, so concurrent changes to the same conversation all persist.
+     * @param {string} id - Conversation id
+     * @param {string|null} owner - Label of the requesting API key
+     * @param {function(Object): void} change - Mutates the stored conversation
+     * @returns {Promise<Object>} The changed conversation
+     */
+    async modify(id, owner, change) {
+        if (typeof id !== 'string') {
+            this.checkAccess(null, owner);
+        }
+        return this.store.modify(id, (stored) => {
+            const conversation = this.checkAccess(stored, owner);
+            change(conversation);
+            conversation.updatedAt = new Date(this.now()).toISOString();
+            return conversation;
+        });
+    }
+
+    /**
+     * @param {Object|null} conversation - Stored conversation, if any
+     * @param {string|null} owner - Label of the requesting API key
+     * @returns {Object} The conversation
+     * @throws {ApiError} 404 when the conversation does not exist or belongs to another key
+     */
+    checkAccess(conversation, owner) {
+        if (!conversation || (conversation.owner || null) !== owner) {
+            throw new ApiError(ERROR_CODES.CONVERSATION_NOT_FOUND, 'Conversation not found', 404);
+        }
+        return conversation;
+    }
+
+    /**
+     * Append messages to a stored conversation, updating an automatic title
+     * @param {Object} conversation - Stored conversation
+     * @param {Array<{role: string, content: string, metadata?: Object}>} messages - Messages to add
+     */
+    addMessages(conversation, messages) {
+        if (conversation.messages.length + messages.length > MAX_CONVERSATION_MESSAGES) {
+            throw new ApiError(
+                ERROR_CODES.INVALID_REQUEST,
+                `Invalid request: a conversation may hold at most ${MAX_CONVERSATION_MESSAGES} messages`,
+            );
+        }
+
+        const createdAt = new Date(this.now()).toISOString();
+        for (const { role, content, metadata } of messages) {
+            conversation.messages.push({ role, content, createdAt, ...(metadata && { metadata }) });
+        }
+
+        if (conversation.autoTitle) {
+            conversation.title = titleFromMessages(conversation.messages) || DEFAULT_TITLE;
+        }
+    }
+
+    /**
+     * Conversation as returned to clients
+     * @param {Object} conversation - Stored conversation
+     * @returns {Object} Summary fields and messages
+     */
+    toResponse(conversation) {
+        return { ...this.toSummary(conversation), messages: conversation.messages };
+    }
+
+    /**
+     * Conversation without its messages, as listed
+     * @param {Object} conversation - Stored conversation
+     * @returns {{id: string, title: string, createdAt: string, updatedAt: string, messageCount: number}} Summary
+     */
+    toSummary(conversation) {
+        return {
+            id: conversation.id,
+            title: conversation.title,
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+            messageCount: conversation.messages.length,
+        };
+    }
+}
+
+module.exports = ConversationManager;
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { estimateTokens } = require('./tokens');
+
+const DEFAULT_HISTORY_TOKEN_BUDGET = 2000;
+const SUMMARY_CACHE_SIZE = 100;
+const FALLBACK_SUMMARY_CHARS = 200;
+
+const SUMMARY_SYSTEM_PROMPT = `You summarize conversations between a developer and an AI coding assistant.
+Write a concise summary of the conversation below so the assistant can continue it.
+Keep file names, function names, decisions, open questions and anything the user asked to remember.
+Do not add new advice. Answer with the summary only.`;
+
+/**
+ * Normalize client-supplied history into alternating `{ role, content }` turns.
+ * Empty messages are dropped and consecutive messages from the same role are merged.
+ * @param {Array} history - Messages with role "user" or "assistant"
+ * @returns {Array<{role: string, content: string}>} Normalized turns, oldest first
+ */
+function normalizeHistory(history) {
+    const turns = [];
+
+    (Array.isArray(history) ? history : []).forEach(message => {
+        const content = typeof message?.content === 'string' ? message.content.trim() : '';
+        if (!content || (message.role !== 'user' && message.role !== 'assistant')) {
+            return;
+        }
+
+        const previous = turns[turns.length - 1];
+        if (previous && previous.role === message.role) {
+            previous.content += `\n\n${content}`;
+        } else {
+            turns.push({ role: message.role, content });
+        }
+    });
+
+    return turns;
+}
+
+/**
+ * Format turns as a plain-text transcript
+ * @param {Array<{role: string, content: string}>} turns - Conversation turns
+ * @returns {string} Transcript
+ */
+function formatTranscript(turns) {
+    return turns
+        .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+        .join('\n\n');
+}
+
+/**
+ * Conversation memory
+ *
+ * Keeps the most recent turns of a conversation verbatim within a token budget
+ * and folds everything older into a summary. Summaries are produced by a
+ * caller-supplied function (usually the LLM itself) and cached by content, so a
+ * long session only summarizes each prefix of its history once.
+ */
+class ConversationMemory {
+    /**
+     * @param {Object} options
+     * @param {number} options.tokenBudget - Token budget for verbatim history
+     */
+    constructor({ tokenBudget = DEFAULT_HISTORY_TOKEN_BUDGET } = {}) {
+        this.tokenBudget = tokenBudget > 0 ? tokenBudget : DEFAULT_HISTORY_TOKEN_BUDGET;
+        this.summaries = new Map();
+    }
+
+    /**
+     * Split history into recent turns that fit the budget and older turns to summarize
+     * @param {Array<{role: string, content: string}>} turns - Normalized turns, oldest first
+     * @returns {{older: Array, recent: Array}} Split turns
+     */
+    split(turns) {
+        let used = 0;
+        let start = turns.length;
+
+        while (start > 0) {
+            const cost = estimateTokens(turns[start - 1].content);
+            if (used + cost > this.tokenBudget) {
+                break;
+            }
+            used += cost;
+            start--;
+        }
+
+        // Recent history always opens with a user turn so the exchange reads naturally
+        while (start < turns.length && turns[start].role !== 'user') {
+            start++;
+        }
+
+        return { older: turns.slice(0, start), recent: turns.slice(start) };
+    }
+
+    /**
+     * Prepare history for a model call
+     * @param {Array} history - Raw client history
+     * @param {Function} summarize - async (transcript) => summary text
+     * @returns {Promise<{turns: Array, summary: string|null, summarizedTurns: number}>} Prepared history
+     */
+    async prepare(history, summarize) {
+        const { older, recent } = this.split(normalizeHistory(history));
+
+        if (older.length === 0) {
+            return { turns: recent, summary: null, summarizedTurns: 0 };
+        }
+
+        const summary = await this.summarize(older, summarize);
+        return { turns: recent, summary, summarizedTurns: older.length };
+    }
+
+    /**
+     * Summarize older turns, reusing a cached summary for identical history
+     * @param {Array<{role: string, content: string}>} turns - Turns to summarize
+     * @param {Function} summarize - async (transcript) => summary text
+     * @returns {Promise<string>} Summary
+     */
+    async summarize(turns, summarize) {
+        const transcript = formatTranscript(turns);
+        const key = crypto.createHash('sha256').update(transcript).digest('hex');
+
+        if (this.summaries.has(key)) {
+            return this.summaries.get(key);
+        }
+
+        let summary;
+        try {
+            summary = (await summarize(transcript) || '').trim();
+        } catch (error) {
+            console.error('Conversation summary failed, using truncated history:', error.message);
+        }
+
+        if (!summary) {
+            summary = this.fallbackSummary(turns);
+        } else {
+            this.remember(key, summary);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Cheap summary used when the model cannot summarize: the start of each turn,
+     * newest first, until half the token budget is spent
+     * @param {Array<{role: string, content: string}>} turns - Turns to summarize
+     * @returns {string} Summary
+     */
+    fallbackSummary(turns) {
+        const lines = [];
+        let used = 0;
+
+        for (const turn of [...turns].reverse()) {
+            const text = turn.content.replace(/\s+/g, ' ');
+            const line = `${turn.role === 'user' ? 'User' : 'Assistant'}: ${text.length > FALLBACK_SUMMARY_CHARS ? `${text.slice(0, FALLBACK_SUMMARY_CHARS)}…` : text}`;
+            used += estimateTokens(line);
+            if (used > this.tokenBudget / 2 && lines.length > 0) {
+                break;
+            }
+            lines.unshift(line);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Cache a summary, evicting the oldest entry when full
+     * @param {string} key - Content hash
+     * @param {string} summary - Summary text
+     */
+    remember(key, summary) {
+        if (this.summaries.size >= SUMMARY_CACHE_SIZE) {
+            this.summaries.delete(this.summaries.keys().next().value);
+        }
+        this.summaries.set(key, summary);
+    }
+}
+
+module.exports = ConversationMemory;
+module.exports.DEFAULT_HISTORY_TOKEN_BUDGET = DEFAULT_HISTORY_TOKEN_BUDGET;
+module.exports.SUMMARY_SYSTEM_PROMPT = SUMMARY_SYSTEM_PROMPT;
+module.exports.normalizeHistory = normalizeHistory;
+module.exports.formatTranscript = formatTranscript;
@@ -0,0 +1,152 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Conversation stores
+ *
+ * A store keeps conversations by id. Conversations are plain JSON-serializable
+ * objects; the conversation manager owns their shape. Every store implements
+ * the same async interface, so the in-memory default can be swapped for one
+ * that survives restarts:
+ *
+ *   get(id)                  -> conversation, or null when unknown
+ *   set(id, conversation)    -> stores (or replaces) a conversation
+ *   modify(id, change)       -> stores change(conversation or null) and returns it;
+ *                               nothing is stored when change throws
+ *   delete(id)               -> removes a conversation
+ *   list()                   -> all stored conversations
+ */
+
+/**
+ * In-memory conversation store (default)
+ *
+ * Conversations are lost on restart and are not shared between Lambda instances.
+ */
+class MemoryConversationStore {
+    constructor() {
+        this.conversations = new Map();
+    }
+
+    async get(id) {
+        return this.conversations.get(id) || null;
+    }
+
+    async set(id, conversation) {
+        this.conversations.set(id, conversation);
+    }
+
+    async modify(id, change) {
+        // Synchronous from read to write, so no other call can interleave
+        const conversation = change(this.conversations.get(id) || null);
+        this.conversations.set(id, conversation);
+        return conversation;
+    }
+
+    async delete(id) {
+        this.conversations.delete(id);
+    }
+
+    async list() {
+        return Array.from(this.conversations.values());
+    }
+}
+
+/**
+ * JSON file conversation store
+ *
+ * Keeps every conversation in one JSON file, so threads survive a restart and
+ * every client of the backend sees the same list. The file is read on every
+ * call and writes are serialized, so a single process can use it safely;
+ * separate processes should not share one file.
+ */
+class FileConversationStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Path of the JSON file (created on first write)
+     */
+    constructor({ file }) {
+        this.file = file;
+        this.pending = Promise.resolve();
+    }
+
+    async get(id) {
+        const conversations = await this.read();
+        return Object.prototype.hasOwnProperty.call(conversations, id) ? conversations[id] : null;
+    }
+
+    async set(id, conversation) {
+        await this.update(conversations => {
+            conversations[id] = conversation;
+        });
+    }
+
+    async modify(id, change) {
+        let changed;
+        await this.update(conversations => {
+            changed = change(Object.prototype.hasOwnProperty.call(conversations, id) ? conversations[id] : null);
+            conversations[id] = changed;
+        });
+        return changed;
+    }
+
+    async delete(id) {
+        await this.update(conversations => {
+            delete conversations[id];
+        });
+    }
+
+    async list() {
+        return Object.values(await this.read());
+    }
+
+    /**
+     * Read every conversation from the file
+     * @returns {Promise<Object>} Conversations by id; empty when the file does not exist yet
+     */
+    async read() {
+        try {
+            const { conversations } = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            return conversations && typeof conversations === 'object' ? conversations : {};
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Change the stored conversations. Updates run one after another and each
+     * reads the file afresh, so concurrent requests do not overwrite each
+     * other's changes as long as they read and change inside `change`.
+     * @param {function(Object): void} change - Mutates the conversations by id; throwing skips the write
+     */
+    update(change) {
+        const run = this.pending.then(async () => {
+            const conversations = await this.read();
+            change(conversations);
+
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            // Write to a temporary file first so readers never see a partial file
+            const temporary = `${this.file}.${process.pid}.tmp`;
+            await fs.writeFile(temporary, JSON.stringify({ conversations }));
+            await fs.rename(temporary, this.file);
+        });
+        this.pending = run.catch(() => {});
+        return run;
+    }
+}
+
+/**
+ * Create the conversation store selected by the environment
+ * @param {Object} env - Environment variables (CONVERSATION_STORE, CONVERSATION_FILE)
+ * @returns {MemoryConversationStore|FileConversationStore} Conversation store
+ */
+function createConversationStore(env = process.env) {
+    if ((env.CONVERSATION_STORE || 'memory').toLowerCase() === 'file') {
+        return new FileConversationStore({ file: env.CONVERSATION_FILE || path.join(process.cwd(), '.conversations.json') });
+    }
+    return new MemoryConversationStore();
+}
+
+module.exports = { MemoryConversationStore, FileConversationStore, createConversationStore };
@@ -0,0 +1,367 @@
+const path = require('path');
+
+/**
+ * Module dependency graph
+ *
+ * Built from the import statements of uploaded files: ES module imports and
+ * re-exports, CommonJS `require`, dynamic `import()` and Python imports. Relative
+ * specifiers resolve against the importing file; other specifiers resolve
+ * through the `paths` and `baseUrl` of the nearest tsconfig.json or
+ * jsconfig.json among the uploaded files (following relative `extends`), and
+ * Python modules against the workspace root. Specifiers that resolve to no
+ * uploaded file are kept as external packages, or as unresolved when they are
+ * relative or match a path alias.
+ *
+ * The context builder uses the graph to send the active file's imports and
+ * importers first; POST /dependencies returns it.
+ */
+
+const RESOLVE_EXTENSIONS = ['', '.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.json', '.py'];
+const RESOLVE_INDEXES = ['/index.ts', '/index.tsx', '/index.js', '/index.jsx', '/__init__.py'];
+
+// TypeScript sources are imported with the extension of their compiled output ("./util.js" for util.ts)
+const COMPILED_EXTENSION = /\.(?:js|jsx|mjs|cjs)$/;
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts'];
+
+const CONFIG_NAMES = new Set(['tsconfig.json', 'jsconfig.json']);
+const MAX_EXTENDS_DEPTH = 5;
+
+const SOURCE_EXTENSIONS = /\.(?:[cm]?[jt]sx?)$/;
+const PYTHON_EXTENSION = /\.py$/;
+
+const JS_IMPORT_PATTERNS = [
+    /\bimport\s+(?:type\s+)?(?:[^'";]*?\s+from\s+)?['"]([^'"\n]+)['"]/g,
+    /\bexport\s+(?:type\s+)?[^'";]*?\s+from\s+['"]([^'"\n]+)['"]/g,
+    /\b(?:require|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g,
+];
+
+const PY_FROM_IMPORT = /^[ \t]*from[ \t]+(\.*)([\w.]*)[ \t]+import[ \t]+\(?([\w, \t]+)/gm;
+const PY_IMPORT = /^[ \t]*import[ \t]+([\w.]+(?:[ \t]+as[ \t]+\w+)?(?:[ \t]*,[ \t]*[\w.]+(?:[ \t]+as[ \t]+\w+)?)*)/gm;
+
+/**
+ * Line number of a position in a text
+ * @param {string} content - Text
+ * @param {number} index - Character offset
+ * @returns {number} Line (1-based)
+ */
+function lineAt(content, index) {
+    let line = 1;
+    for (let i = content.indexOf('\n'); i !== -1 && i < index; i = content.indexOf('\n', i + 1)) {
+        line++;
+    }
+    return line;
+}
+
+/**
+ * Read the import specifiers of a source file
+ *
+ * Python imports also carry the module as a path to resolve: `from ..utils.io
+ * import read` gives `./../utils/io`, `import pkg.models` gives `pkg/models`.
+ * @param {Object} file - File with filename and content
+ * @returns {Array<{specifier: string, line: number, modulePath?: string}>} Imports in file order, each specifier once per line
+ */
+function parseImports(file) {
+    const content = file.content || '';
+    const imports = [];
+    const seen = new Set();
+    const add = (specifier, index, modulePath) => {
+        const line = lineAt(content, index);
+        const key = `${line}:${specifier}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            imports.push(modulePath === undefined ? { specifier, line } : { specifier, line, modulePath });
+        }
+    };
+
+    if (PYTHON_EXTENSION.test(file.filename)) {
+        for (const match of content.matchAll(PY_FROM_IMPORT)) {
+            const [, dots, module, names] = match;
+            const base = dots ? `./${'../'.repeat(dots.length - 1)}` : '';
+            if (module) {
+                add(`${dots}${module}`, match.index, `${base}${module.replace(/\./g, '/')}`);
+            } else {
+                // "from . import models" imports modules of the package
+                names.split(',').map(name => name.trim()).filter(Boolean).forEach(name => add(`${dots}${name}`, match.index, `${base}${name}`));
+            }
+        }
+        for (const match of content.matchAll(PY_IMPORT)) {
+            match[1].split(',').map(entry => entry.trim().split(/\s+/)[0]).forEach(module => add(module, match.index, module.replace(/\./g, '/')));
+        }
+    } else {
+        for (const pattern of JS_IMPORT_PATTERNS) {
+            for (const match of content.matchAll(pattern)) {
+                add(match[1], match.index + match[0].lastIndexOf(match[1]));
+            }
+        }
+    }
+
+    return imports.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Parse JSON with comments and trailing commas, as tsconfig.json allows
+ * @param {string} text - File content
+ * @returns {Object|null} Parsed value, or null when it is not valid
+ */
+function parseJsonc(text) {
+    let json = '';
+    let string = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (string) {
+            json += char;
+            if (char === '\\') {
+                json += text[++i] || '';
+            } else if (char === '"') {
+                string = false;
+            }
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') {
+                i++;
+            }
+            json += '\n';
+        } else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else {
+            string = char === '"';
+            json += char;
+        }
+    }
+
+    try {
+        return JSON.parse(json.replace(/,(\s*[}\]])/g, '$1'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read the path aliases of the tsconfig.json and jsconfig.json files among the uploads
+ * @param {Map<string, string>} contents - File contents by name
+ * @returns {Array<{directory: string, baseUrl: string|null, pathsBase: string, paths: Array<{pattern: string, targets: string[]}>}>}
+ *   One entry per config file, deepest directory first; directories are workspace-relative ('' for the root)
+ */
+function loadPathAliases(contents) {
+    const configs = [];
+
+    for (const filename of contents.keys()) {
+        if (!CONFIG_NAMES.has(path.posix.basename(filename))) {
+            continue;
+        }
+        const options = readCompilerOptions(filename, contents, 0);
+        if (options && (options.baseUrl !== null || options.paths.length > 0)) {
+            configs.push({ directory: dirnameOf(filename), ...options });
+        }
+    }
+
+    return configs.sort((a, b) => b.directory.length - a.directory.length);
+}
+
+/**
+ * Read baseUrl and paths from a config file and the configs it extends
+ * @param {string} filename - Config file
+ * @param {Map<string, string>} contents - File contents by name
+ * @param {number} depth - Number of `extends` followed so far
+ * @returns {{baseUrl: string|null, pathsBase: string, paths: Array}|null} Options with workspace-relative directories
+ */
+function readCompilerOptions(filename, contents, depth) {
+    const config = parseJsonc(contents.get(filename));
+    if (!config || typeof config !== 'object') {
+        return null;
+    }
+
+    const directory = dirnameOf(filename);
+    let inherited = { baseUrl: null, pathsBase: directory, paths: [] };
+    if (typeof config.extends === 'string' && config.extends.startsWith('.') && depth < MAX_EXTENDS_DEPTH) {
+        const parent = normalize(path.posix.join(directory, config.extends));
+        const parentFile = [parent, `${parent}.json`].find(candidate => contents.has(candidate));
+        inherited = (parentFile && readCompilerOptions(parentFile, contents, depth + 1)) || inherited;
+    }
+
+    const options = config.compilerOptions || {};
+    const baseUrl = typeof options.baseUrl === 'string' ? normalize(path.posix.join(directory, options.baseUrl)) : inherited.baseUrl;
+    if (!options.paths || typeof options.paths !== 'object') {
+        return { ...inherited, baseUrl, pathsBase: inherited.paths.length > 0 ? inherited.pathsBase : (baseUrl ?? directory) };
+    }
+
+    return {
+        baseUrl,
+        // Without a baseUrl, paths are relative to the config that declares them
+        pathsBase: baseUrl ?? directory,
+        paths: Object.entries(options.paths)
+            .filter(([, targets]) => Array.isArray(targets))
+            .map(([pattern, targets]) => ({ pattern, targets: targets.filter(target => typeof target === 'string') })),
+    };
+}
+
+function dirnameOf(filename) {
+    const directory = path.posix.dirname(filename);
+    return directory === '.' ? '' : directory;
+}
+
+function normalize(filePath) {
+    const normalized = path.posix.normalize(filePath).replace(/\/$/, '');
+    return normalized === '.' ? '' : normalized;
+}
+
+/**
+ * Find the uploaded file a path without extension refers to
+ * @param {string} base - Workspace-relative path
+ * @param {Set<string>} filenames - Uploaded file names
+ * @returns {string|null} File name, or null
+ */
+function resolvePath(base, filenames) {
+    const candidates = [
+        ...RESOLVE_EXTENSIONS.map(extension => `${base}${extension}`),
+        ...RESOLVE_INDEXES.map(index => `${base}${index}`),
+    ];
+    if (COMPILED_EXTENSION.test(base)) {
+        candidates.push(...TYPESCRIPT_EXTENSIONS.map(extension => base.replace(COMPILED_EXTENSION, extension)));
+    }
+    return candidates.find(candidate => filenames.has(candidate)) || null;
+}
+
+/**
+ * Match a specifier against a tsconfig `paths` pattern (at most one `*`)
+ * @param {string} pattern - Pattern, e.g. "@/*"
+ * @param {string} specifier - Import specifier
+ * @returns {string|null} Text matched by `*` ('' for exact patterns), or null when the pattern does not match
+ */
+function matchAlias(pattern, specifier) {
+    const star = pattern.indexOf('*');
+    if (star === -1) {
+        return pattern === specifier ? '' : null;
+    }
+    const prefix = pattern.slice(0, star);
+    const suffix = pattern.slice(star + 1);
+    return specifier.length >= prefix.length + suffix.length && specifier.startsWith(prefix) && specifier.endsWith(suffix)
+        ? specifier.slice(prefix.length, specifier.length - suffix.length)
+        : null;
+}
+
+/**
+ * Resolve an import specifier to an uploaded file
+ * @param {{specifier: string, modulePath?: string}} entry - Import from parseImports
+ * @param {string} fromFile - Importing file
+ * @param {Set<string>} filenames - Uploaded file names
+ * @param {Array} aliases - Path aliases from loadPathAliases
+ * @returns {{filename: string|null, local: boolean}} Resolved file (null if none); `local` is true for relative
+ *   and aliased specifiers, which should have resolved
+ */
+function resolveImport({ specifier, modulePath }, fromFile, filenames, aliases) {
+    const target = modulePath ?? specifier;
+    if (target.startsWith('.')) {
+        return { filename: resolvePath(normalize(path.posix.join(dirnameOf(fromFile), target)), filenames), local: true };
+    }
+    if (modulePath !== undefined) {
+        return { filename: resolvePath(normalize(modulePath), filenames), local: false };
+    }
+
+    const config = aliases.find(alias => alias.directory === '' || fromFile.startsWith(`${alias.directory}/`));
+    if (!config) {
+        return { filename: null, local: false };
+    }
+
+    // The longest matching prefix wins, as in TypeScript
+    const matches = config.paths
+        .map(alias => ({ alias, captured: matchAlias(alias.pattern, specifier) }))
+        .filter(match => match.captured !== null)
+        .sort((a, b) => b.alias.pattern.indexOf('*') - a.alias.pattern.indexOf('*'));
+    for (const { alias, captured } of matches) {
+        for (const target of alias.targets) {
+            const filename = resolvePath(normalize(path.posix.join(config.pathsBase, target.replace('*', captured))), filenames);
+            if (filename) {
+                return { filename, local: true };
+            }
+        }
+    }
+
+    const fromBaseUrl = config.baseUrl !== null ? resolvePath(normalize(path.posix.join(config.baseUrl, specifier)), filenames) : null;
+    return { filename: fromBaseUrl, local: matches.length > 0 || !!fromBaseUrl };
+}
+
+/**
+ * Import graph of a set of files
+ */
+class DependencyGraph {
+    /**
+     * @param {Array} files - Uploaded files with filename and content
+     * @param {string[]} extraFilenames - Files that may be imported but were not uploaded (e.g. an excluded active file)
+     */
+    constructor(files, extraFilenames = []) {
+        const usable = (files || []).filter(file => file && typeof file.filename === 'string');
+        const contents = new Map(usable.map(file => [file.filename, typeof file.content === 'string' ? file.content : '']));
+        const filenames = new Set([...contents.keys(), ...extraFilenames]);
+
+        this.aliases = loadPathAliases(contents);
+        this.nodes = new Map(Array.from(filenames, filename => [filename, { imports: [], importedBy: [], external: [], unresolved: [] }]));
+
+        for (const [filename, content] of contents) {
+            if (!SOURCE_EXTENSIONS.test(filename) && !PYTHON_EXTENSION.test(filename)) {
+                continue;
+            }
+            const node = this.nodes.get(filename);
+            for (const entry of parseImports({ filename, content })) {
+                const { filename: target, local } = resolveImport(entry, filename, filenames, this.aliases);
+                const { specifier } = entry;
+                if (target && target !== filename) {
+                    node.imports.push({ filename: target, specifier, line: entry.line });
+                    this.nodes.get(target).importedBy.push({ filename, specifier, line: entry.line });
+                } else if (!target) {
+                    (local ? node.unresolved : node.external).push({ specifier, line: entry.line });
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {string} filename - File
+     * @returns {Set<string>} Files it imports
+     */
+    importsOf(filename) {
+        return new Set((this.nodes.get(filename)?.imports || []).map(edge => edge.filename));
+    }
+
+    /**
+     * @param {string} filename - File
+     * @returns {Set<string>} Files that import it
+     */
+    importersOf(filename) {
+        return new Set((this.nodes.get(filename)?.importedBy || []).map(edge => edge.filename));
+    }
+
+    /**
+     * Dependencies of one file, as returned by POST /dependencies
+     * @param {string} filename - File
+     * @returns {{filename: string, imports: Array, importedBy: Array, external: Array, unresolved: Array}|null} Null for unknown files
+     */
+    describe(filename) {
+        const node = this.nodes.get(filename);
+        return node ? { filename, ...node } : null;
+    }
+
+    /**
+     * @returns {Array} Dependencies of every file, by file name
+     */
+    describeAll() {
+        return Array.from(this.nodes.keys()).sort().map(filename => this.describe(filename));
+    }
+}
+
+/**
+ * Find the uploaded files a source file imports
+ * @param {Object} file - File with filename and content
+ * @param {Set<string>} filenames - All uploaded file names
+ * @returns {Set<string>} Imported file names that were uploaded
+ */
+function findImportedFiles(file, filenames) {
+    const others = Array.from(filenames, filename => ({ filename, content: '' })).filter(other => other.filename !== file.filename);
+    return new DependencyGraph([file, ...others]).importsOf(file.filename);
+}
+
+module.exports = DependencyGraph;
+module.exports.findImportedFiles = findImportedFiles;
+module.exports.parseImports = parseImports;
+module.exports.parseJsonc = parseJsonc;
+module.exports.loadPathAliases = loadPathAliases;
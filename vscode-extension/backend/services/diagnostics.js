@@ -0,0 +1,64 @@
+/**
+ * Editor diagnostics in the prompt
+ *
+ * Clients can send the problems their editor reports (compiler errors, lint
+ * warnings) with a request: where each one is, its message, the tool that
+ * reported it and its rule or error code, the lines around it and the related
+ * locations the tool points to. They are added to the system prompt after the
+ * file contents, and the files they are in are ranked right after the current
+ * file when selecting context, so "fix this error" requests see the code in
+ * question.
+ */
+
+const DIAGNOSTIC_SEVERITY = Object.freeze({
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFORMATION: 'information',
+    HINT: 'hint',
+});
+
+/**
+ * Paths of the files with diagnostics, for ranking file context
+ * @param {Array} diagnostics - Diagnostics from the request
+ * @returns {string[]} Paths in diagnostic order, without repeats
+ */
+function diagnosticPaths(diagnostics) {
+    return [...new Set((diagnostics || []).map(diagnostic => diagnostic.path))];
+}
+
+/**
+ * Render one diagnostic as a list item with its location, tool and code
+ * @param {Object} diagnostic - Diagnostic from the request
+ * @returns {string} List item, with related locations and code lines indented under it
+ */
+function formatDiagnostic(diagnostic) {
+    const { path, startLine, endLine, severity, message, source, code, related, snippet } = diagnostic;
+    const location = `${path}:${startLine}${endLine !== startLine ? `-${endLine}` : ''}`;
+    const origin = [source, code].filter(Boolean).join(' ');
+    const lines = [`- ${location} ${severity}: ${message}${origin ? ` (${origin})` : ''}`];
+
+    for (const entry of related || []) {
+        lines.push(`  Related: ${entry.path}:${entry.line}: ${entry.message}`);
+    }
+    if (snippet && snippet.text) {
+        const code = snippet.text.replace(/\n$/, '').split('\n').map((text, index) => `  ${snippet.startLine + index} | ${text}`);
+        lines.push('  Code:', ...code);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Render the diagnostics for the system prompt
+ * @param {Array} diagnostics - Diagnostics from the request
+ * @returns {string} Prompt section
+ */
+function formatDiagnostics(diagnostics) {
+    return `Problems the editor reports (line numbers as in the file contents):\n${diagnostics.map(formatDiagnostic).join('\n')}`;
+}
+
+module.exports = {
+    DIAGNOSTIC_SEVERITY,
+    diagnosticPaths,
+    formatDiagnostics,
+};
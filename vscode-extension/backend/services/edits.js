@@ -0,0 +1,282 @@
+/**
+ * Code edit proposals
+ *
+ * In edit mode the model answers with search/replace blocks,
+ *
+ *     <<<<<<< SEARCH src/app.js
+ *     lines currently in the file
+ *     =======
+ *     lines that replace them
+ *     >>>>>>> REPLACE
+ *
+ * or, when it insists, with unified diffs in ```diff blocks. Both are turned into
+ * per-file hunks of exact text to replace, and each hunk is checked against the
+ * uploaded file so clients know up front which edits apply. Clients check the
+ * hunks again against the file on disk before applying them.
+ */
+
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+const { isRelativePath } = require('./schemaValidator');
+
+const SEARCH_REPLACE = /^<{5,9} SEARCH[ \t]+(\S[^\n]*?)[ \t]*\n([\s\S]*?)^={5,9}[ \t]*\n([\s\S]*?)^>{5,9} REPLACE[ \t]*$/gm;
+const DIFF_BLOCK = /^```(?:diff|patch)[ \t]*\n([\s\S]*?)^```[ \t]*$/gm;
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/;
+
+// Appended to the system prompt's instructions in edit mode; keep in step with SEARCH_REPLACE
+const EDIT_INSTRUCTIONS = `- The user wants code changes. Explain them briefly, then give every change as a search/replace block:
+<<<<<<< SEARCH relative/path/of/the/file
+exact lines currently in the file, copied without the "N | " line number prefixes
+=======
+the lines that replace them
+>>>>>>> REPLACE
+- The SEARCH part must match the file exactly and include enough lines to be unique in it
+- Use one block per change; several blocks may edit the same file
+- To create a file, leave the SEARCH part empty`;
+
+const EDIT_STATUS = Object.freeze({
+    APPLIES: 'applies',
+    NOT_FOUND: 'not-found',
+    AMBIGUOUS: 'ambiguous',
+    UNKNOWN_FILE: 'unknown-file',
+    FILE_EXISTS: 'file-exists',
+});
+
+function diffPath(header) {
+    const path = header.replace(/\t.*$/, '').trim();
+    return path === '/dev/null' ? null : path.replace(/^[ab]\//, '');
+}
+
+/**
+ * Read the hunks of one unified diff (possibly covering several files)
+ * @param {string} diff - Diff text
+ * @returns {Array<{path: string, search: string, replace: string, hintLine: number|null}>}
+ */
+function parseUnifiedDiff(diff) {
+    const edits = [];
+    const lines = diff.replace(/\n$/, '').split('\n');
+    let path = null;
+    let creating = false;
+    let hunk = null;
+
+    const flush = () => {
+        if (hunk && path) {
+            edits.push({
+                path,
+                search: creating ? '' : hunk.search.map(line => `${line}\n`).join(''),
+                replace: hunk.replace.map(line => `${line}\n`).join(''),
+                hintLine: creating ? null : hunk.hintLine,
+            });
+        }
+        hunk = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+            flush();
+            const from = diffPath(line.slice(4));
+            const to = diffPath(lines[i + 1].slice(4));
+            path = to || from;
+            creating = from === null;
+            i++;
+            continue;
+        }
+
+        const header = HUNK_HEADER.exec(line);
+        if (header) {
+            flush();
+            hunk = { search: [], replace: [], hintLine: Number(header[1]) || 1 };
+            continue;
+        }
+        if (!hunk || line.startsWith('\\')) {
+            continue;
+        }
+
+        const text = line.slice(1);
+        if (line.startsWith('-')) {
+            hunk.search.push(text);
+        } else if (line.startsWith('+')) {
+            hunk.replace.push(text);
+        } else {
+            hunk.search.push(text);
+            hunk.replace.push(text);
+        }
+    }
+    flush();
+
+    return edits;
+}
+
+/**
+ * Find the edits proposed in an answer
+ * @param {string} text - Model answer
+ * @returns {Array<{path: string, search: string, replace: string, hintLine: number|null}>}
+ *   Hunks in answer order; an empty `search` creates the file, `hintLine` is the
+ *   line a diff hunk claims to start at
+ */
+function parseEdits(text) {
+    const found = [];
+
+    for (const match of (text || '').matchAll(SEARCH_REPLACE)) {
+        found.push({ index: match.index, path: match[1].replace(/^\.\//, ''), search: match[2], replace: match[3], hintLine: null });
+    }
+    for (const match of (text || '').matchAll(DIFF_BLOCK)) {
+        // A diff block that wraps search/replace blocks was already read above
+        if (found.some(edit => edit.index > match.index && edit.index < match.index + match[0].length)) {
+            continue;
+        }
+        parseUnifiedDiff(match[1]).forEach(edit => found.push({ index: match.index, ...edit }));
+    }
+
+    return found
+        .sort((a, b) => a.index - b.index)
+        .map(({ path, search, replace, hintLine }) => ({ path, search, replace, hintLine }));
+}
+
+function lineOf(content, index) {
+    return content.slice(0, index).split('\n').length;
+}
+
+function indexesOf(content, search) {
+    const indexes = [];
+    for (let index = content.indexOf(search); index !== -1; index = content.indexOf(search, index + 1)) {
+        indexes.push(index);
+    }
+    return indexes;
+}
+
+/**
+ * Find a hunk's search text in a file. Models often drop trailing whitespace,
+ * so lines are compared without it when the exact text is not there; the
+ * returned text is always the file's own.
+ * @param {string} content - File content
+ * @param {string} search - Text to replace
+ * @returns {Array<{index: number, text: string}>} Occurrences
+ */
+function findOccurrences(content, search) {
+    const exact = indexesOf(content, search);
+    if (exact.length > 0) {
+        return exact.map(index => ({ index, text: search }));
+    }
+
+    const wanted = search.replace(/\n$/, '').split('\n').map(line => line.trimEnd());
+    const lines = content.split('\n');
+    const starts = [];
+    let offset = 0;
+    lines.forEach(line => {
+        starts.push(offset);
+        offset += line.length + 1;
+    });
+
+    const occurrences = [];
+    for (let i = 0; i + wanted.length <= lines.length; i++) {
+        if (wanted.every((line, j) => lines[i + j].trimEnd() === line)) {
+            const end = starts[i + wanted.length - 1] + lines[i + wanted.length - 1].length;
+            const withNewline = search.endsWith('\n') && end < content.length ? end + 1 : end;
+            occurrences.push({ index: starts[i], text: content.slice(starts[i], withNewline) });
+        }
+    }
+    return occurrences;
+}
+
+/**
+ * Check one hunk against the file it targets
+ * @param {Object} edit - Parsed hunk
+ * @param {string|undefined} content - Uploaded content, undefined when the file was not uploaded
+ * @returns {Object} Hunk with search, replace, startLine, endLine and status
+ */
+function checkHunk(edit, content) {
+    const { search, replace } = edit;
+    if (search === '') {
+        return {
+            search,
+            replace,
+            startLine: 1,
+            endLine: 1,
+            status: content === undefined || content === '' ? EDIT_STATUS.APPLIES : EDIT_STATUS.FILE_EXISTS,
+        };
+    }
+    if (content === undefined) {
+        return { search, replace, startLine: null, endLine: null, status: EDIT_STATUS.UNKNOWN_FILE };
+    }
+
+    const occurrences = findOccurrences(content, search);
+    let occurrence = occurrences.length === 1 ? occurrences[0] : null;
+    if (occurrences.length > 1 && edit.hintLine) {
+        occurrence = occurrences.find(candidate => lineOf(content, candidate.index) === edit.hintLine) || null;
+    }
+
+    if (!occurrence) {
+        return {
+            search,
+            replace,
+            startLine: null,
+            endLine: null,
+            status: occurrences.length > 1 ? EDIT_STATUS.AMBIGUOUS : EDIT_STATUS.NOT_FOUND,
+        };
+    }
+
+    const startLine = lineOf(content, occurrence.index);
+    // The last line of a file without a trailing newline keeps it that way
+    const keepsNewline = occurrence.text.endsWith('\n') || !replace.endsWith('\n');
+    return {
+        search: occurrence.text,
+        replace: keepsNewline ? replace : replace.slice(0, -1),
+        startLine,
+        endLine: startLine + occurrence.text.replace(/\n$/, '').split('\n').length - 1,
+        status: EDIT_STATUS.APPLIES,
+    };
+}
+
+/**
+ * Group parsed hunks by file and check them against the uploaded files
+ * @param {Array} edits - Hunks from parseEdits
+ * @param {Array<{filename: string, content: string}>} files - Files the answer was generated from
+ * @returns {Array<{path: string, create: boolean, status: string, hunks: Array}>} One entry per file in
+ *   answer order; `status` is `applies` when every hunk does, otherwise the first failing hunk's status
+ * @throws {ApiError} INVALID_PATH when an edit's path is absolute, has a drive letter or leaves the workspace
+ */
+function checkEdits(edits, files) {
+    const outside = edits.find(edit => !isRelativePath(edit.path));
+    if (outside) {
+        throw new ApiError(ERROR_CODES.INVALID_PATH, `The model proposed an edit outside the workspace: ${outside.path}`, 502);
+    }
+
+    const contents = new Map(files.map(file => [file.filename, file.content || '']));
+    const byPath = new Map();
+
+    for (const edit of edits) {
+        if (!byPath.has(edit.path)) {
+            byPath.set(edit.path, []);
+        }
+        byPath.get(edit.path).push(checkHunk(edit, contents.get(edit.path)));
+    }
+
+    return Array.from(byPath.entries()).map(([path, hunks]) => {
+        const failed = hunks.find(hunk => hunk.status !== EDIT_STATUS.APPLIES);
+        return {
+            path,
+            create: !contents.has(path) && hunks.every(hunk => hunk.search === ''),
+            status: failed ? failed.status : EDIT_STATUS.APPLIES,
+            hunks,
+        };
+    });
+}
+
+/**
+ * Find and check the edits proposed in an answer
+ * @param {string} text - Model answer
+ * @param {Array<{filename: string, content: string}>} files - Files the answer was generated from
+ * @returns {Array} See checkEdits
+ */
+function extractEdits(text, files) {
+    return checkEdits(parseEdits(text), files);
+}
+
+module.exports = {
+    EDIT_INSTRUCTIONS,
+    EDIT_STATUS,
+    checkEdits,
+    extractEdits,
+    parseEdits,
+};
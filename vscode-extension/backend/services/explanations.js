@@ -0,0 +1,109 @@
+const { CHARS_PER_TOKEN } = require('./tokens');
+
+/**
+ * Short symbol explanations
+ *
+ * Clients send the code of one function, class or method with its name, kind,
+ * language and path, e.g. for a hover. The model answers with a few sentences
+ * on what the symbol does; long symbols are cut to a token budget, keeping
+ * their first lines.
+ */
+
+const DEFAULT_EXPLANATION_TOKEN_BUDGET = 3000;
+const MAX_EXPLANATION_CHARS = 1000;
+
+const EXPLANATION_SYSTEM_PROMPT = `You are a code assistant explaining code in an editor tooltip.
+Explain what the given symbol does in one to three sentences: its purpose, what it takes and what it returns or changes. Mention side effects and surprising behavior.
+Answer in plain text with inline \`code\` for identifiers: no headings, no lists, no code blocks and no restating of the name or signature.`;
+
+/**
+ * Tidy an explanation: drop a code fence around the whole answer and cut it to
+ * the length limit at a sentence or word end
+ * @param {string} text - Model answer
+ * @returns {string} Explanation, possibly empty
+ */
+function cleanExplanation(text) {
+    let explanation = (text || '').replace(/\r\n/g, '\n').trim();
+    const fenced = /^```[\w+-]*\n([\s\S]*?)\n?```$/.exec(explanation);
+    if (fenced) {
+        explanation = fenced[1].trim();
+    }
+    if (explanation.length <= MAX_EXPLANATION_CHARS) {
+        return explanation;
+    }
+
+    const cut = explanation.slice(0, MAX_EXPLANATION_CHARS);
+    const sentenceEnd = cut.lastIndexOf('. ');
+    if (sentenceEnd > MAX_EXPLANATION_CHARS / 2) {
+        return cut.slice(0, sentenceEnd + 1);
+    }
+    const wordEnd = cut.lastIndexOf(' ');
+    return `${wordEnd > 0 ? cut.slice(0, wordEnd) : cut}...`;
+}
+
+/**
+ * Explanation prompt builder
+ *
+ * Fits a symbol's code into the token budget and asks for a short explanation.
+ * Model calls go through a caller-supplied function, as for commit messages
+ * (see commitMessages.js).
+ */
+class SymbolExplainer {
+    /**
+     * @param {Object} options
+     * @param {number} options.tokenBudget - Tokens of code sent with one explanation request
+     */
+    constructor({ tokenBudget = DEFAULT_EXPLANATION_TOKEN_BUDGET } = {}) {
+        this.tokenBudget = tokenBudget > 0 ? tokenBudget : DEFAULT_EXPLANATION_TOKEN_BUDGET;
+    }
+
+    /**
+     * Explain a symbol
+     * @param {Object} request
+     * @param {string} request.code - Source of the symbol
+     * @param {string} request.name - Name of the symbol, e.g. `parseConfig` (optional)
+     * @param {string} request.kind - Kind of the symbol, e.g. `function` or `class` (optional)
+     * @param {string} request.language - Language id of the document, e.g. `typescript` (optional)
+     * @param {string} request.path - Workspace-relative path of the document (optional)
+     * @param {Object} options
+     * @param {Function} options.generate - async ({ systemPrompt, userPrompt }) => text
+     * @returns {Promise<string>} Explanation
+     */
+    async explain({ code, name = null, kind = null, language = null, path = null }, { generate }) {
+        const userPrompt = this.formatRequest({ code, name, kind, language, path });
+        return cleanExplanation(await generate({ systemPrompt: EXPLANATION_SYSTEM_PROMPT, userPrompt }));
+    }
+
+    /**
+     * Render the symbol within the budget; code beyond it is cut at a line end
+     * @param {Object} request - As for explain()
+     * @returns {string} User prompt
+     */
+    formatRequest({ code, name = null, kind = null, language = null, path = null }) {
+        const budget = this.tokenBudget * CHARS_PER_TOKEN;
+        let excerpt = code.replace(/\r\n/g, '\n').replace(/\n+$/, '');
+        let cut = false;
+        if (excerpt.length > budget) {
+            const lineEnd = excerpt.lastIndexOf('\n', budget);
+            excerpt = excerpt.slice(0, lineEnd > 0 ? lineEnd : budget);
+            cut = true;
+        }
+
+        const symbol = [kind, name && `\`${name}\``].filter(Boolean).join(' ') || 'code';
+        const location = path ? ` in ${path}` : '';
+        return [
+            `Explain this ${symbol}${location}.`,
+            '',
+            `\`\`\`${language || ''}`,
+            excerpt,
+            '```',
+            ...(cut ? ['', 'Only its first lines are shown.'] : []),
+        ].join('\n');
+    }
+}
+
+module.exports = SymbolExplainer;
+module.exports.DEFAULT_EXPLANATION_TOKEN_BUDGET = DEFAULT_EXPLANATION_TOKEN_BUDGET;
+module.exports.MAX_EXPLANATION_CHARS = MAX_EXPLANATION_CHARS;
+module.exports.EXPLANATION_SYSTEM_PROMPT = EXPLANATION_SYSTEM_PROMPT;
+module.exports.cleanExplanation = cleanExplanation;
@@ -1,130 +1,389 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProviderRegistry } = require('./providers');
+const ConversationMemory = require('./conversationMemory');
+const ContextBuilder = require('./contextBuilder');
+const CommitMessageWriter = require('./commitMessages');
+const CodeCompleter = require('./completions');
+const SymbolExplainer = require('./explanations');
+const CodeIndex = require('./codeIndex');
+const { SUMMARY_SYSTEM_PROMPT } = require('./conversationMemory');
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+const { EDIT_INSTRUCTIONS } = require('./edits');
+const { REVIEW_INSTRUCTIONS, formatGitContext } = require('./review');
+const { formatDiagnostics } = require('./diagnostics');
+const { TOOL_INSTRUCTIONS, TOOLS_EXHAUSTED_NOTE, appendToolSteps } = require('./tools');
+const { extractOutline, formatOutline } = require('./outline');
+
+// Outline lines shown per file in the directory tree; the rest are summarized
+const MAX_TREE_OUTLINE_LINES = 20;
 
 /**
  * LLM Service for AI Code Assistant Backend
  *
- * Handles communication with the Gemini model.
- * Requires a valid API key and surfaces errors when the service is unavailable.
+ * Builds prompts from the uploaded workspace (a relevance-ranked, token-budgeted
+ * selection of line-numbered file chunks) and routes them to an LLM provider
+ * (Gemini, an OpenAI-compatible server, or the offline echo provider) chosen by
+ * the model name the client requests. Conversation history sent by the client is
+ * passed to the provider as real chat turns; turns beyond the history token budget
+ * are summarized first. Tool steps of the current turn follow the user's prompt
+ * as further turns (see tools.js).
  */
 
 class LLMService {
-    constructor() {
-        this.geminiApiKey = process.env.GEMINI_API_KEY || null;
-        this.geminiModel = null;
-
-        // Initialize Gemini if API key is available
-        if (this.geminiApiKey) {
-            try {
-                const genAI = new GoogleGenerativeAI(this.geminiApiKey);
-                this.geminiModel = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-                console.log('✅ Gemini LLM initialized successfully');
-            } catch (error) {
-                console.error('❌ Failed to initialize Gemini LLM:', error.message);
-                this.geminiApiKey = null;
-            }
-        } else {
-            console.log('⚠️  No Gemini API key found. Gemini responses are disabled until the key is provided.');
-        }
+    /**
+     * @param {Object} options
+     * @param {Object} options.registry - Provider registry (defaults to one built from process.env)
+     * @param {Object} options.memory - Conversation memory (defaults to one using HISTORY_TOKEN_BUDGET)
+     * @param {Object} options.index - Code index shared by the context builder and code search
+     * @param {Object} options.contextBuilder - File context builder (defaults to one using CONTEXT_TOKEN_BUDGET)
+     * @param {Object} options.commitMessages - Commit message writer (defaults to one using COMMIT_DIFF_TOKEN_BUDGET)
+     * @param {Object} options.completions - Inline completion builder (defaults to one using COMPLETION_TOKEN_BUDGET)
+     * @param {Object} options.explanations - Symbol explanation builder (defaults to one using EXPLANATION_TOKEN_BUDGET)
+     */
+    constructor({
+        registry = null,
+        memory = null,
+        index = null,
+        contextBuilder = null,
+        commitMessages = null,
+        completions = null,
+        explanations = null,
+    } = {}) {
+        this.registry = registry || createProviderRegistry();
+        this.memory = memory || new ConversationMemory({
+            tokenBudget: Number(process.env.HISTORY_TOKEN_BUDGET) || undefined,
+        });
+        this.index = index || new CodeIndex();
+        this.contextBuilder = contextBuilder || new ContextBuilder({
+            tokenBudget: Number(process.env.CONTEXT_TOKEN_BUDGET) || undefined,
+            index: this.index,
+        });
+        this.commitMessages = commitMessages || new CommitMessageWriter({
+            tokenBudget: Number(process.env.COMMIT_DIFF_TOKEN_BUDGET) || undefined,
+        });
+        this.completions = completions || new CodeCompleter({
+            tokenBudget: Number(process.env.COMPLETION_TOKEN_BUDGET) || undefined,
+        });
+        this.explanations = explanations || new SymbolExplainer({
+            tokenBudget: Number(process.env.EXPLANATION_TOKEN_BUDGET) || undefined,
+        });
+        this.requestsServed = {};
+        this.lastServedBy = null;
     }
 
     /**
-     * Generate AI response using available LLM service
+     * Resolve the provider and concrete model that would serve a request
+     * @param {string} model - Requested model name (optional)
+     * @returns {{provider: string, model: string}} Provider name and model
+     */
+    resolveModel(model) {
+        const route = this.registry.resolve(model);
+        return { provider: route.provider.name, model: route.model };
+    }
+
+    /**
+     * Generate AI response using the provider selected for the requested model
      * @param {string} prompt - User's prompt
      * @param {Array} files - Array of files with content
      * @param {string} currentFile - Currently open file (optional)
+     * @param {Object} options - Request options
+     * @param {string} options.model - Requested model name (optional)
+     * @param {Array} options.history - Earlier `{ role, content }` messages, oldest first (optional)
+     * @param {Object} options.context - Prebuilt file context from buildContext() (optional)
+     * @param {string} options.mode - `edit` asks for search/replace edits, `review` for a review of `git` (optional)
+     * @param {Object} options.git - Uncommitted git changes of the workspace (optional)
+     * @param {Array} options.diagnostics - Problems the editor reports (optional)
+     * @param {boolean} options.tools - Offer the workspace tools to the model (optional)
+     * @param {Array} options.toolSteps - Tool calls of this turn with their results, oldest first (optional)
      * @returns {Promise<string>} AI response
+     * @throws {ApiError} PROVIDER_UNAVAILABLE (503) when the provider is not configured, PROVIDER_ERROR (502) when it fails
+     */
+    async generateResponse(prompt, files, currentFile = null, options = {}) {
+        return this.callProvider(options.model, async ({ provider, model }) => {
+            const request = await this.buildProviderRequest(provider, model, prompt, files, currentFile, options);
+            return provider.generate(request);
+        });
+    }
+
+    /**
+     * Stream an AI response chunk by chunk from the selected provider
+     * @param {string} prompt - User's prompt
+     * @param {Array} files - Array of files with content
+     * @param {string} currentFile - Currently open file (optional)
+     * @param {Object} options - Request options
+     * @param {string} options.model - Requested model name (optional)
+     * @param {Array} options.history - Earlier `{ role, content }` messages, oldest first (optional)
+     * @param {Object} options.context - Prebuilt file context from buildContext() (optional)
+     * @param {string} options.mode - `edit` asks for search/replace edits, `review` for a review of `git` (optional)
+     * @param {Object} options.git - Uncommitted git changes of the workspace (optional)
+     * @param {Array} options.diagnostics - Problems the editor reports (optional)
+     * @param {boolean} options.tools - Offer the workspace tools to the model (optional)
+     * @param {Array} options.toolSteps - Tool calls of this turn with their results, oldest first (optional)
+     * @returns {AsyncGenerator<string>} Text chunks
+     * @throws {ApiError} PROVIDER_UNAVAILABLE (503) when the provider is not configured, PROVIDER_ERROR (502) when it fails
+     */
+    async *generateResponseStream(prompt, files, currentFile = null, options = {}) {
+        const { provider, model } = this.registry.resolve(options.model);
+
+        if (!provider.isAvailable()) {
+            throw new ApiError(ERROR_CODES.PROVIDER_UNAVAILABLE, provider.unavailableMessage(), 503);
+        }
+
+        let received = false;
+
+        try {
+            const request = await this.buildProviderRequest(provider, model, prompt, files, currentFile, options);
+
+            for await (const chunk of provider.generateStream(request)) {
+                received = true;
+                yield chunk;
+            }
+
+            if (!received) {
+                throw new Error('Empty response from provider');
+            }
+
+            this.recordServed(provider.name, model);
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            console.error(`${provider.label} API error:`, message);
+            throw new ApiError(ERROR_CODES.PROVIDER_ERROR, `${provider.label} API error: ${message}`, 502);
+        }
+    }
+
+    /**
+     * Write a commit message for staged changes with the selected provider;
+     * large diffs are summarized per file first (see commitMessages.js)
+     * @param {string} diff - Output of `git diff --cached`
+     * @param {Object} options - Request options
+     * @param {string} options.model - Requested model name (optional)
+     * @param {string} options.template - Commit message template of the repository (optional)
+     * @returns {Promise<{message: string, summarizedFiles: string[], omittedFiles: string[]}>} Message and how the diff was shown
+     * @throws {ApiError} PROVIDER_UNAVAILABLE (503) when the provider is not configured, PROVIDER_ERROR (502) when it fails
+     */
+    async generateCommitMessage(diff, options = {}) {
+        return this.callProvider(options.model, ({ generate }) => this.commitMessages.write(diff, {
+            template: options.template || null,
+            generate,
+        }));
+    }
+
+    /**
+     * Complete the code at a cursor with the selected provider (see completions.js)
+     * @param {Object} request - Prefix, suffix, language, path and neighboring files, as for CodeCompleter.complete()
+     * @param {Object} options - Request options
+     * @param {string} options.model - Requested model name (optional)
+     * @returns {Promise<string>} Text to insert at the cursor, possibly empty
+     * @throws {ApiError} PROVIDER_UNAVAILABLE (503) when the provider is not configured, PROVIDER_ERROR (502) when it fails
+     */
+    async generateCompletion(request, options = {}) {
+        return this.callProvider(options.model, ({ generate }) => this.completions.complete(request, { generate }));
+    }
+
+    /**
+     * Explain a function, class or other symbol in a few sentences with the selected provider (see explanations.js)
+     * @param {Object} request - Code, name, kind, language and path, as for SymbolExplainer.explain()
+     * @param {Object} options - Request options
+     * @param {string} options.model - Requested model name (optional)
+     * @returns {Promise<string>} Explanation
+     * @throws {ApiError} PROVIDER_UNAVAILABLE (503) when the provider is not configured, PROVIDER_ERROR (502) when it fails
      */
-    async generateResponse(prompt, files, currentFile = null) {
-        if (!this.geminiModel) {
-            throw new Error('Gemini model not initialized. Set GEMINI_API_KEY to enable AI responses.');
+    async generateExplanation(request, options = {}) {
+        return this.callProvider(options.model, ({ generate }) => this.explanations.explain(request, { generate }));
+    }
+
+    /**
+     * Run a request against the selected provider, shared by the generate methods:
+     * fails when the provider is not configured, wraps its errors and records the
+     * model that served the request
+     * @param {string} requestedModel - Requested model name (optional)
+     * @param {Function} run - Called with `{ provider, model, generate }`; `generate({ systemPrompt, userPrompt })`
+     *   sends a single prompt without history or files
+     * @returns {Promise<*>} What `run` resolves to
+     * @throws {ApiError} PROVIDER_UNAVAILABLE (503) when the provider is not configured, PROVIDER_ERROR (502) when it fails
+     */
+    async callProvider(requestedModel, run) {
+        const { provider, model } = this.registry.resolve(requestedModel);
+
+        if (!provider.isAvailable()) {
+            throw new ApiError(ERROR_CODES.PROVIDER_UNAVAILABLE, provider.unavailableMessage(), 503);
         }
 
+        const generate = ({ systemPrompt, userPrompt }) => provider.generate({
+            model,
+            systemPrompt,
+            userPrompt,
+            history: [],
+            prompt: userPrompt,
+            files: [],
+        });
+
         try {
-            return await this.generateGeminiResponse(prompt, files, currentFile);
+            const result = await run({ provider, model, generate });
+            this.recordServed(provider.name, model);
+            return result;
         } catch (error) {
             const message = error instanceof Error ? error.message : String(error);
-            console.error('Gemini API error:', message);
-            throw new Error(`Gemini API error: ${message}`);
+            console.error(`${provider.label} API error:`, message);
+            throw new ApiError(ERROR_CODES.PROVIDER_ERROR, `${provider.label} API error: ${message}`, 502);
         }
     }
 
     /**
-     * Generate response using Gemini API
+     * Assemble what a provider is sent: prompts, prepared history and the tool
+     * steps of the current turn
+     * @param {Object} provider - Provider serving the request
+     * @param {string} model - Model serving the request
      * @param {string} prompt - User's prompt
      * @param {Array} files - Array of files with content
      * @param {string} currentFile - Currently open file (optional)
-     * @returns {Promise<string>} Gemini response
+     * @param {Object} options - Request options, as for generateResponse()
+     * @returns {Promise<Object>} Provider request
      */
-    async generateGeminiResponse(prompt, files, currentFile = null) {
-        if (!this.geminiModel) {
-            throw new Error('Gemini model not initialized');
-        }
+    async buildProviderRequest(provider, model, prompt, files, currentFile, options) {
+        const { turns, summary } = await this.prepareHistory(provider, model, options.history);
+        const { systemPrompt, userPrompt } = this.buildPrompts(prompt, files, currentFile, {
+            conversationSummary: summary,
+            context: options.context,
+            mode: options.mode,
+            git: options.git,
+            diagnostics: options.diagnostics,
+            tools: options.tools,
+            toolSteps: options.toolSteps,
+        });
+
+        // Tool steps are not summarized: the model needs every result of this turn
+        const conversation = appendToolSteps(turns, userPrompt, options.toolSteps);
+        return { model, systemPrompt, userPrompt: conversation.userPrompt, history: conversation.history, prompt, files };
+    }
+
+    /**
+     * Trim conversation history to the token budget, summarizing older turns
+     * with the same provider and model that will answer the request
+     * @param {Object} provider - Provider serving the request
+     * @param {string} model - Model serving the request
+     * @param {Array} history - Raw client history (optional)
+     * @returns {Promise<{turns: Array, summary: string|null, summarizedTurns: number}>} Prepared history
+     */
+    prepareHistory(provider, model, history) {
+        return this.memory.prepare(history, (transcript) => provider.generate({
+            model,
+            systemPrompt: SUMMARY_SYSTEM_PROMPT,
+            userPrompt: transcript,
+            history: [],
+            prompt: transcript,
+            files: [],
+        }));
+    }
+
+    /**
+     * Select the file chunks sent to the model for a request
+     * @param {string} prompt - User's prompt
+     * @param {Array} files - Array of files with content
+     * @param {string} currentFile - Currently open file (optional)
+     * @param {string[]} changedFiles - Files with uncommitted git changes or editor diagnostics, ranked after the current file (optional)
+     * @returns {{text: string, manifest: Object}} Line-numbered context and the manifest of included ranges
+     */
+    buildContext(prompt, files, currentFile = null, changedFiles = []) {
+        return this.contextBuilder.build(files, prompt, currentFile, changedFiles);
+    }
+
+    /**
+     * Search the given files with the code index
+     * @param {string} query - Search text
+     * @param {Object} options
+     * @param {Array} options.files - Files to index and search
+     * @param {number} options.topK - Maximum number of results
+     * @returns {{results: Array, index: Object}} Best matching chunks and statistics of the searched files
+     */
+    searchCode(query, { files = [], topK } = {}) {
+        const results = this.index.search(query, { files, topK });
+        return { results, index: this.index.getStats(files) };
+    }
 
-        // Prepare context from files
-        const fileContext = this.prepareFileContext(files);
+    /**
+     * Build the system and user prompts for a request
+     * @param {string} prompt - User's prompt
+     * @param {Array} files - Array of files with content
+     * @param {string} currentFile - Currently open file (optional)
+     * @param {Object} options
+     * @param {string} options.conversationSummary - Summary of earlier turns (optional)
+     * @param {Object} options.context - Prebuilt file context (built from the files when omitted)
+     * @param {string} options.mode - `edit` adds the edit format instructions, `review` the review instructions (optional)
+     * @param {Object} options.git - Uncommitted git changes, added after the file contents (optional)
+     * @param {Array} options.diagnostics - Problems the editor reports, added after the git changes (optional)
+     * @param {boolean} options.tools - Add the tool instructions (optional)
+     * @param {Array} options.toolSteps - Tool steps so far; without `tools` the model is told to stop calling tools (optional)
+     * @returns {{systemPrompt: string, userPrompt: string}} Prompts
+     */
+    buildPrompts(prompt, files, currentFile = null, {
+        conversationSummary = null,
+        context = null,
+        mode = 'chat',
+        git = null,
+        diagnostics = [],
+        tools = false,
+        toolSteps = [],
+    } = {}) {
+        // Select the most relevant file chunks within the context budget
+        const fileContext = (context || this.buildContext(prompt, files, currentFile)).text;
         const directoryTree = this.generateDirectoryTree(files);
-        const formattedTree = this.formatDirectoryTree(directoryTree);
+        const formattedTree = this.formatDirectoryTree(directoryTree, '');
+        const extraInstructions = [
+            mode === 'edit' ? EDIT_INSTRUCTIONS : null,
+            mode === 'review' ? REVIEW_INSTRUCTIONS : null,
+            tools ? TOOL_INSTRUCTIONS : null,
+            !tools && toolSteps && toolSteps.length > 0 ? TOOLS_EXHAUSTED_NOTE : null,
+        ].filter(Boolean);
 
         // Create system prompt
         const systemPrompt = `You are an AI coding assistant with full access to a user's codebase. You can analyze code, explain functionality, suggest improvements, and help with development tasks.
 
-Current codebase structure:
+Current codebase structure (with the functions, classes and other symbols of each file and their line numbers):
 ${formattedTree}
 
-File contents:
-${fileContext}
+File contents (the most relevant sections; each line is prefixed with its line number as "N | code"):
+${fileContext}${git ? `
+
+${formatGitContext(git)}` : ''}${diagnostics && diagnostics.length > 0 ? `
+
+${formatDiagnostics(diagnostics)}` : ''}
 
 Instructions:
 - Provide helpful, accurate, and actionable responses
 - Reference specific files and line numbers when relevant
-- When citing code, use Markdown links formatted as [label](relative/path:line) so the editor can jump to that location
+- When citing code, use Markdown links formatted as [label](relative/path:start-end "exact text of the first cited line"), with the line numbers shown above and the quoted line copied verbatim, so the editor can jump to that location (e.g. [handleSubmit](src/App.tsx:12-18 "const handleSubmit = async () => {"))
 - Use code blocks for code examples
 - Be concise but thorough
-- Focus on practical solutions
+- Focus on practical solutions${extraInstructions.map(instructions => `
+${instructions}`).join('')}
+
+Current file being edited: ${currentFile || 'None specified'}${conversationSummary ? `
 
-Current file being edited: ${currentFile || 'None specified'}`;
+Summary of the earlier conversation:
+${conversationSummary}` : ''}`;
 
         // Create user prompt
-        const userPrompt = `User question: ${prompt}
+        const userPrompt = mode === 'review'
+            ? `Review request: ${prompt}
+Please review the uncommitted changes shown in the git diffs and list your findings in the requested format.`
+            : `User question: ${prompt}
 Please analyze the provided codebase and respond to the user's question. Include relevant file references and code examples where appropriate.`;
 
-        try {
-            const result = await this.geminiModel.generateContent([
-                systemPrompt,
-                userPrompt,
-            ]);
-
-            const response = await result.response;
-            const text = response.text();
-
-            if (!text) {
-                throw new Error('Empty response from Gemini');
-            }
-
-            console.log('✅ Gemini response generated successfully');
-            return text;
-
-        } catch (error) {
-            console.error('Gemini API call failed:', error);
-            throw error;
-        }
+        return { systemPrompt, userPrompt };
     }
 
     /**
-     * Prepare file context for LLM
-     * @param {Array} files - Array of files with content
-     * @returns {string} Formatted file context
+     * Record which provider served an answer
+     * @param {string} providerName - Provider name
+     * @param {string} model - Model used
      */
-    prepareFileContext(files) {
-        return files.map(file => {
-            const content = file.content || '';
-            const lines = content.split('\n');
-            const preview = lines.slice(0, 10).join('\n'); // First 10 lines
-
-            return `File: ${file.filename}
-${preview}${lines.length > 10 ? '\n...' : ''}
----`;
-        }).join('\n\n');
+    recordServed(providerName, model) {
+        this.requestsServed[providerName] = (this.requestsServed[providerName] || 0) + 1;
+        this.lastServedBy = {
+            provider: providerName,
+            model,
+            timestamp: new Date().toISOString(),
+        };
     }
 
     /**
@@ -149,16 +408,14 @@ ${preview}${lines.length > 10 ? '\n...' : ''}
                 if (isLast) {
                     // This is a file
                     const content = file.content || '';
-                    const lines = content.split('\n');
-                    // Get first 3 non-empty lines (filter first, then take 3)
-                    const nonEmptyLines = lines.map(line => line.trim()).filter(line => line.length > 0);
-                    const firstThreeLines = nonEmptyLines.slice(0, 3);
+                    const { language, symbols } = extractOutline(file.filename, content);
 
                     current[part] = {
                         type: 'file',
                         size: content.length,
                         extension: part.split('.').pop() || 'unknown',
-                        preview: firstThreeLines,
+                        language,
+                        outline: symbols,
                         fullContent: content,
                     };
                 } else {
@@ -181,9 +438,10 @@ ${preview}${lines.length > 10 ? '\n...' : ''}
      * Format directory tree as text
      * @param {Object} tree - Directory tree
      * @param {string} indent - Indentation string
+     * @param {boolean} showOutlines - List the symbols of each file under it
      * @returns {string} Formatted tree
      */
-    formatDirectoryTree(tree, indent = '') {
+    formatDirectoryTree(tree, indent = '', showOutlines = true) {
         let result = '';
 
         Object.keys(tree).sort().forEach(key => {
@@ -191,15 +449,15 @@ ${preview}${lines.length > 10 ? '\n...' : ''}
 
             if (item.type === 'directory') {
                 result += `${indent}📁 ${key}/\n`;
-                result += this.formatDirectoryTree(item.children, indent + '  ');
+                result += this.formatDirectoryTree(item.children, indent + '  ', showOutlines);
             } else if (item.type === 'file') {
                 result += `${indent}📄 ${key} (${item.size} chars, .${item.extension})\n`;
-                if (item.preview && item.preview.length > 0) {
-                    item.preview.forEach(line => {
-                        result += `${indent}   ${line}\n`;
-                    });
+                if (!showOutlines || !item.outline) {
+                    return;
                 }
-                result += `${indent}   ...\n`;
+                formatOutline({ language: item.language, symbols: item.outline }, MAX_TREE_OUTLINE_LINES).forEach(line => {
+                    result += `${indent}   ${line}\n`;
+                });
             }
         });
 
@@ -207,7 +465,8 @@ ${preview}${lines.length > 10 ? '\n...' : ''}
     }
 
     isGeminiAvailable() {
-        return !!this.geminiModel;
+        const gemini = this.registry.get('gemini');
+        return !!gemini && gemini.isAvailable();
     }
 
     /**
@@ -215,10 +474,18 @@ ${preview}${lines.length > 10 ? '\n...' : ''}
      * @returns {Object} Service status information
      */
     getStatus() {
+        const gemini = this.registry.get('gemini');
+
         return {
             geminiAvailable: this.isGeminiAvailable(),
-            geminiApiKey: !!this.geminiApiKey,
+            geminiApiKey: !!gemini && gemini.isConfigured(),
             service: 'LLMService',
+            defaultProvider: this.registry.defaultProvider,
+            providers: this.registry.list().map(provider => ({
+                ...provider.getStatus(),
+                requestsServed: this.requestsServed[provider.name] || 0,
+            })),
+            lastServedBy: this.lastServedBy,
         };
     }
 
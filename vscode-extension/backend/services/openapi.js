@@ -0,0 +1,557 @@
+const fs = require('fs');
+const path = require('path');
+const schemas = require('./schemas');
+const { version } = require('../package.json');
+
+/**
+ * OpenAPI document of the HTTP API
+ *
+ * Built from the declared schemas in schemas.js, so the document cannot drift
+ * from what the validation middleware enforces. Every schema in `definitions`,
+ * `requests` and `responses` becomes a named component; a schema nested in
+ * another one is referenced by name rather than repeated. `errorMessage` is a
+ * validator annotation and is left out; the `x-error-codes` and `x-unique-by`
+ * extensions are kept, since they tell clients which `code` a failure reports.
+ *
+ * The backend serves the document at GET /openapi.json and a rendered
+ * reference at GET /docs. `npm run openapi` writes it to openapi.json at the
+ * package root, where the extension's contract tests read it.
+ */
+
+const OPENAPI_FILE = path.join(__dirname, '..', 'openapi.json');
+
+const JSON_TYPE = 'application/json';
+const NDJSON_TYPE = 'application/x-ndjson';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'patch', 'delete'];
+
+// Error statuses and when the API answers with them
+const ERROR_STATUSES = {
+    400: 'Invalid request; `details` lists every problem found',
+    401: 'No API key was sent (authentication is enabled)',
+    403: 'The API key is not recognized',
+    404: 'Not found',
+    409: 'The upload session is missing file content',
+    413: 'The request body exceeds the 10MB limit',
+    415: 'The request body uses a Content-Encoding other than gzip or deflate',
+    429: 'Rate limited or too many queued requests; retry after `Retry-After` seconds',
+    500: 'Internal server error',
+    502: 'The model provider returned an error',
+    503: 'The model provider is not configured',
+};
+
+const MODEL_ERRORS = [400, 404, 409, 413, 429, 500, 502, 503];
+
+/**
+ * @param {string} name - Property name in schemas.js, e.g. "sessionFiles"
+ * @param {string} suffix - Appended to the name, e.g. "Request"
+ * @returns {string} Component name, e.g. "SessionFilesRequest"
+ */
+function componentName(name, suffix = '') {
+    return `${name.charAt(0).toUpperCase()}${name.slice(1)}${suffix}`;
+}
+
+/**
+ * @param {string} name - Component name
+ * @returns {{$ref: string}} Reference to a component schema
+ */
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Convert a declared schema to an OpenAPI schema
+ * @param {Object} schema - Schema from schemas.js
+ * @param {Map<Object, string>} names - Component name of every named schema
+ * @param {boolean} nested - Whether the schema sits inside another one; named nested schemas become references
+ * @returns {Object} OpenAPI 3.1 schema
+ */
+function toOpenApiSchema(schema, names, nested = false) {
+    if (nested && names.has(schema)) {
+        return ref(names.get(schema));
+    }
+
+    const converted = {};
+    for (const [keyword, value] of Object.entries(schema)) {
+        if (keyword === 'errorMessage') {
+            continue;
+        }
+        if (keyword === 'properties') {
+            converted.properties = Object.fromEntries(
+                Object.entries(value).map(([property, child]) => [property, toOpenApiSchema(child, names, true)]),
+            );
+        } else if (['items', 'if', 'then', 'else'].includes(keyword)) {
+            converted[keyword] = toOpenApiSchema(value, names, true);
+        } else {
+            converted[keyword] = value;
+        }
+    }
+    return converted;
+}
+
+/**
+ * Build the component schemas from schemas.js
+ * @returns {Object} Component schemas by name
+ */
+function buildComponentSchemas() {
+    const names = new Map();
+    const groups = [[schemas.definitions, ''], [schemas.requests, 'Request'], [schemas.responses, 'Response']];
+    for (const [group, suffix] of groups) {
+        for (const [name, schema] of Object.entries(group)) {
+            names.set(schema, componentName(name, suffix));
+        }
+    }
+
+    const components = {};
+    for (const [schema, name] of names) {
+        components[name] = toOpenApiSchema(schema, names);
+    }
+    return components;
+}
+
+/**
+ * @param {Object} schema - Body schema (usually a reference)
+ * @param {string} type - Media type
+ * @returns {Object} OpenAPI content map
+ */
+function content(schema, type = JSON_TYPE) {
+    return { [type]: { schema } };
+}
+
+/**
+ * @param {string} name - Request component name
+ * @returns {Object} Required JSON request body
+ */
+function requestBody(name) {
+    return { required: true, content: content(ref(`${name}Request`)) };
+}
+
+/**
+ * Describe an operation and its error responses
+ * @param {Object} operation - OpenAPI operation without error responses
+ * @param {number[]} errors - Error statuses besides the authentication and body encoding ones
+ * @returns {Object} OpenAPI operation
+ */
+function operation({ responses, ...rest }, errors = []) {
+    const statuses = [...errors, ...(rest.requestBody ? [415] : []), ...(rest.security ? [] : [401, 403])];
+    const errorResponses = Object.fromEntries(
+        [...new Set(statuses)].sort((a, b) => a - b).map(status => [status, { $ref: `#/components/responses/Error${status}` }]),
+    );
+    return { ...rest, responses: { ...responses, ...errorResponses } };
+}
+
+const sessionIdParameter = {
+    name: 'sessionId',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+    description: 'Id returned by POST /sessions',
+};
+
+const conversationIdParameter = {
+    name: 'conversationId',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+    description: 'Id returned by POST /conversations',
+};
+
+const PUBLIC = [];
+
+/**
+ * Build the OpenAPI document of the API
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument() {
+    const upload = {
+        requestBody: requestBody('Upload'),
+        responses: {
+            200: {
+                description: 'The answer, or the tool calls the model wants run first when the request offered `tools`',
+                content: content({ oneOf: [ref('UploadResponse'), ref('ToolCallsResponse')] }),
+            },
+        },
+    };
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'AI Code Assistant Backend API',
+            version,
+            description: 'Answers questions about uploaded workspace files with a language model, and keeps upload sessions and conversations for clients. '
+                + 'Request bodies may be compressed with `Content-Encoding: gzip` or `deflate`; size limits apply to the decoded body. '
+                + 'Errors share one shape: `error` (message), `code` (machine-readable, see ErrorResponse) and optional `details`.',
+        },
+        security: [{ apiKey: [] }],
+        tags: [
+            { name: 'Service', description: 'Health and API reference' },
+            { name: 'Answers', description: 'Ask the model about workspace files' },
+            { name: 'Commit messages', description: 'Commit messages written from staged changes' },
+            { name: 'Completions', description: 'Inline code completions at the cursor' },
+            { name: 'Explanations', description: 'Short explanations of functions, classes and other symbols' },
+            { name: 'Sessions', description: 'Upload only the files that changed since the previous message' },
+            { name: 'Conversations', description: 'Chat threads kept on the backend' },
+            { name: 'Search', description: 'Code search over indexed files' },
+            { name: 'Outline', description: 'Functions, classes and other symbols of files, with their line numbers' },
+            { name: 'Dependencies', description: 'Import graph of files' },
+        ],
+        paths: {
+            '/health': {
+                get: operation({
+                    tags: ['Service'],
+                    summary: 'Service status, limits and provider availability',
+                    security: PUBLIC,
+                    responses: { 200: { description: 'The service is up', content: content(ref('HealthResponse')) } },
+                }),
+            },
+            '/openapi.json': {
+                get: operation({
+                    tags: ['Service'],
+                    summary: 'This document',
+                    security: PUBLIC,
+                    responses: { 200: { description: 'OpenAPI 3.1 document', content: content({ type: 'object' }) } },
+                }),
+            },
+            '/docs': {
+                get: operation({
+                    tags: ['Service'],
+                    summary: 'API reference rendered from this document',
+                    security: PUBLIC,
+                    responses: { 200: { description: 'HTML page', content: content({ type: 'string' }, 'text/html') } },
+                }),
+            },
+            '/upload': {
+                post: operation({
+                    tags: ['Answers'],
+                    summary: 'Answer a prompt about the uploaded files',
+                    ...upload,
+                }, MODEL_ERRORS),
+            },
+            '/upload/stream': {
+                post: operation({
+                    tags: ['Answers'],
+                    summary: 'Answer a prompt, streaming the answer as it is generated',
+                    description: 'Responds with one StreamEvent per line: `start`, `chunk` (repeated), then `done` (with the fields of UploadResponse), '
+                        + '`tool_calls` (with the fields of ToolCallsResponse) or `error` (with the fields of ErrorResponse). '
+                        + 'Errors found before the stream starts are plain error responses.',
+                    requestBody: upload.requestBody,
+                    responses: { 200: { description: 'Newline-delimited JSON events', content: content(ref('StreamEventResponse'), NDJSON_TYPE) } },
+                }, MODEL_ERRORS),
+            },
+            '/commit-message': {
+                post: operation({
+                    tags: ['Commit messages'],
+                    summary: 'Write a commit message for staged changes',
+                    description: 'Writes a Conventional Commits message, following the repository template when one is sent. '
+                        + 'Diffs over the `COMMIT_DIFF_TOKEN_BUDGET` are summarized per file first, largest files first; '
+                        + 'files beyond the summary limit are listed by name.',
+                    requestBody: requestBody('CommitMessage'),
+                    responses: { 200: { description: 'The commit message', content: content(ref('CommitMessageResponse')) } },
+                }, [400, 413, 429, 500, 502, 503]),
+            },
+            '/complete': {
+                post: operation({
+                    tags: ['Completions'],
+                    summary: 'Complete the code at the cursor',
+                    description: 'Returns the text to insert at the cursor, for inline suggestions. '
+                        + 'The lines nearest the cursor and the start of the neighboring files are sent within `COMPLETION_TOKEN_BUDGET`. '
+                        + 'Completions have their own rate limit and are refused with 429 instead of queued when the server is busy.',
+                    requestBody: requestBody('Complete'),
+                    responses: { 200: { description: 'The completion', content: content(ref('CompleteResponse')) } },
+                }, [400, 413, 429, 500, 502, 503]),
+            },
+            '/explain': {
+                post: operation({
+                    tags: ['Explanations'],
+                    summary: 'Explain a symbol in a few sentences',
+                    description: 'Returns a short plain-text explanation of one function, class or other symbol, for hovers. '
+                        + 'Code beyond `EXPLANATION_TOKEN_BUDGET` is cut, keeping its first lines.',
+                    requestBody: requestBody('Explain'),
+                    responses: { 200: { description: 'The explanation', content: content(ref('ExplainResponse')) } },
+                }, [400, 413, 429, 500, 502, 503]),
+            },
+            '/sessions': {
+                post: operation({
+                    tags: ['Sessions'],
+                    summary: 'Open an upload session',
+                    responses: { 201: { description: 'The new session', content: content(ref('SessionResponse')) } },
+                }, [429, 500]),
+            },
+            '/sessions/{sessionId}': {
+                delete: operation({
+                    tags: ['Sessions'],
+                    summary: 'Close an upload session',
+                    parameters: [sessionIdParameter],
+                    responses: { 204: { description: 'The session is closed' } },
+                }, [404, 429, 500]),
+            },
+            '/sessions/{sessionId}/manifest': {
+                put: operation({
+                    tags: ['Sessions'],
+                    summary: 'Set the files of a session by hash; returns the files whose content the backend does not have',
+                    parameters: [sessionIdParameter],
+                    requestBody: requestBody('Manifest'),
+                    responses: { 200: { description: 'Files to upload', content: content(ref('ManifestResponse')) } },
+                }, [400, 404, 413, 429, 500]),
+            },
+            '/sessions/{sessionId}/files': {
+                post: operation({
+                    tags: ['Sessions'],
+                    summary: 'Upload the content of files listed in the manifest',
+                    parameters: [sessionIdParameter],
+                    requestBody: requestBody('SessionFiles'),
+                    responses: { 200: { description: 'Files stored and still missing', content: content(ref('SessionFilesResponse')) } },
+                }, [400, 404, 413, 429, 500]),
+            },
+            '/conversations': {
+                get: operation({
+                    tags: ['Conversations'],
+                    summary: 'List conversations, most recently updated first',
+                    responses: { 200: { description: 'Conversation summaries', content: content(ref('ConversationListResponse')) } },
+                }, [500]),
+                post: operation({
+                    tags: ['Conversations'],
+                    summary: 'Create a conversation',
+                    requestBody: requestBody('CreateConversation'),
+                    responses: { 201: { description: 'The new conversation', content: content(ref('ConversationResponse')) } },
+                }, [400, 413, 500]),
+            },
+            '/conversations/{conversationId}': {
+                get: operation({
+                    tags: ['Conversations'],
+                    summary: 'Load a conversation with its messages',
+                    parameters: [conversationIdParameter],
+                    responses: { 200: { description: 'The conversation', content: content(ref('ConversationResponse')) } },
+                }, [404, 500]),
+                patch: operation({
+                    tags: ['Conversations'],
+                    summary: 'Rename a conversation',
+                    parameters: [conversationIdParameter],
+                    requestBody: requestBody('RenameConversation'),
+                    responses: { 200: { description: 'The renamed conversation', content: content(ref('ConversationSummaryResponse')) } },
+                }, [400, 404, 500]),
+                delete: operation({
+                    tags: ['Conversations'],
+                    summary: 'Delete a conversation',
+                    parameters: [conversationIdParameter],
+                    responses: { 204: { description: 'The conversation is deleted' } },
+                }, [404, 500]),
+            },
+            '/conversations/{conversationId}/messages': {
+                post: operation({
+                    tags: ['Conversations'],
+                    summary: 'Add messages to the end of a conversation',
+                    parameters: [conversationIdParameter],
+                    requestBody: requestBody('AppendMessages'),
+                    responses: { 200: { description: 'The updated conversation', content: content(ref('ConversationSummaryResponse')) } },
+                }, [400, 404, 413, 500]),
+            },
+            '/search': {
+                get: operation({
+                    tags: ['Search'],
+                    summary: 'Search the files of an upload session',
+                    parameters: [
+                        { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 1 } },
+                        { name: 'sessionId', in: 'query', required: true, schema: { type: 'string', minLength: 1 }, description: 'Id returned by POST /sessions' },
+                        { name: 'topK', in: 'query', schema: { type: 'integer', minimum: 1, maximum: schemas.MAX_SEARCH_RESULTS } },
+                    ],
+                    responses: { 200: { description: 'Best matching chunks', content: content(ref('SearchResponse')) } },
+                }, [400, 404, 429, 500]),
+                post: operation({
+                    tags: ['Search'],
+                    summary: 'Index the given files, or those of an upload session, and search them',
+                    requestBody: requestBody('Search'),
+                    responses: { 200: { description: 'Best matching chunks', content: content(ref('SearchResponse')) } },
+                }, [400, 404, 413, 429, 500]),
+            },
+            '/outline': {
+                post: operation({
+                    tags: ['Outline'],
+                    summary: 'List the symbols of the given files',
+                    description: 'Functions, classes, methods, exports and React components of JavaScript and TypeScript files; '
+                        + 'functions, classes, methods and types of Python, Go and Java files (found heuristically). '
+                        + 'Top-level declarations and the members of classes and types are listed, in line order.',
+                    requestBody: requestBody('Outline'),
+                    responses: { 200: { description: 'One outline per file, in request order', content: content(ref('OutlineResponse')) } },
+                }, [400, 413, 500]),
+            },
+            '/dependencies': {
+                post: operation({
+                    tags: ['Dependencies'],
+                    summary: 'List the imports and importers of the given files',
+                    description: 'Reads ES module imports and re-exports, `require`, dynamic `import()` and Python imports. '
+                        + 'Relative specifiers resolve against the importing file; other specifiers through the `paths` and `baseUrl` '
+                        + 'of the nearest tsconfig.json or jsconfig.json among the files.',
+                    requestBody: requestBody('Dependencies'),
+                    responses: { 200: { description: 'Dependencies of each file', content: content(ref('DependenciesResponse')) } },
+                }, [400, 404, 413, 500]),
+            },
+        },
+        components: {
+            schemas: buildComponentSchemas(),
+            responses: Object.fromEntries(Object.entries(ERROR_STATUSES).map(([status, description]) => [
+                `Error${status}`,
+                { description, content: content(ref('ErrorResponse')) },
+            ])),
+            securitySchemes: {
+                apiKey: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Required on every endpoint except /health, /openapi.json and /docs when the server has API keys configured',
+                },
+            },
+        },
+    };
+}
+
+/**
+ * @param {Object} document - OpenAPI document
+ * @param {string} reference - Local reference, e.g. "#/components/schemas/Citation"
+ * @returns {Object} Referenced object
+ */
+function lookup(document, reference) {
+    return reference.replace(/^#\//, '').split('/').reduce((node, key) => node[key], document);
+}
+
+/**
+ * Inline every local reference of a schema, for validating values against it
+ * @param {Object} document - OpenAPI document
+ * @param {*} schema - Schema that may contain `$ref`s
+ * @returns {*} Schema without references
+ */
+function resolveRefs(document, schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(item => resolveRefs(document, item));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    if (schema.$ref) {
+        return resolveRefs(document, lookup(document, schema.$ref));
+    }
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, resolveRefs(document, value)]));
+}
+
+/**
+ * @param {*} value - Text to show in HTML
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {Object} schema - Schema, possibly a reference
+ * @returns {string} HTML naming the schema, linked when it is a component
+ */
+function renderSchemaName(schema) {
+    if (!schema) {
+        return '';
+    }
+    if (schema.$ref) {
+        const name = schema.$ref.split('/').pop();
+        return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+    }
+    if (schema.oneOf) {
+        return schema.oneOf.map(renderSchemaName).join(' or ');
+    }
+    return `<code>${escapeHtml(schema.type || 'any')}</code>`;
+}
+
+/**
+ * @param {Object} bodyContent - OpenAPI content map
+ * @returns {string} HTML listing the media types and their schemas
+ */
+function renderContent(bodyContent = {}) {
+    return Object.entries(bodyContent)
+        .map(([type, { schema }]) => `<code>${escapeHtml(type)}</code> ${renderSchemaName(schema)}`)
+        .join('<br>');
+}
+
+/**
+ * Render one operation of the reference page
+ * @param {Object} document - OpenAPI document
+ * @param {string} route - Path template
+ * @param {string} method - HTTP method
+ * @param {Object} details - OpenAPI operation
+ * @returns {string} HTML section
+ */
+function renderOperation(document, route, method, details) {
+    const parameters = (details.parameters || []).map(parameter => `<tr><td><code>${escapeHtml(parameter.name)}</code></td>`
+        + `<td>${escapeHtml(parameter.in)}${parameter.required ? ', required' : ''}</td>`
+        + `<td>${renderSchemaName(parameter.schema)} ${escapeHtml(parameter.description || '')}</td></tr>`);
+    const responses = Object.entries(details.responses).map(([status, response]) => {
+        const resolved = response.$ref ? lookup(document, response.$ref) : response;
+        return `<tr><td>${escapeHtml(status)}</td><td>${escapeHtml(resolved.description)}</td><td>${renderContent(resolved.content)}</td></tr>`;
+    });
+
+    return `<section class="operation" id="${escapeHtml(`${method}-${route}`)}">
+<h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(route)}</code></h3>
+<p>${escapeHtml(details.summary)}${details.security && details.security.length === 0 ? ' <em>(no API key needed)</em>' : ''}</p>
+${details.description ? `<p>${escapeHtml(details.description)}</p>` : ''}
+${parameters.length > 0 ? `<table><tr><th>Parameter</th><th>In</th><th>Schema</th></tr>${parameters.join('')}</table>` : ''}
+${details.requestBody ? `<p>Request body: ${renderContent(details.requestBody.content)}</p>` : ''}
+<table><tr><th>Status</th><th>Description</th><th>Body</th></tr>${responses.join('')}</table>
+</section>`;
+}
+
+/**
+ * Render the API reference page from the OpenAPI document. The page is
+ * self-contained (no scripts or external assets), so it works offline and
+ * behind strict content security policies.
+ * @param {Object} document - OpenAPI document
+ * @returns {string} HTML page
+ */
+function renderApiReference(document) {
+    const operations = Object.entries(document.paths).flatMap(([route, methods]) => HTTP_METHODS
+        .filter(method => methods[method])
+        .map(method => renderOperation(document, route, method, methods[method])));
+    const components = Object.entries(document.components.schemas).map(([name, schema]) => `<section id="schema-${escapeHtml(name)}">
+<h3>${escapeHtml(name)}</h3>
+<pre>${escapeHtml(JSON.stringify(schema, null, 2)).replace(/&quot;#\/components\/schemas\/(\w+)&quot;/g, '&quot;<a href="#schema-$1">#/components/schemas/$1</a>&quot;')}</pre>
+</section>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.info.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; line-height: 1.4; }
+table { border-collapse: collapse; margin: 0.5rem 0; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+pre { background: #f5f5f5; overflow-x: auto; padding: 0.5rem; }
+.operation { border-top: 1px solid #ddd; padding-top: 0.5rem; }
+.method { border-radius: 3px; color: #fff; font-size: 0.8rem; padding: 0.1rem 0.4rem; }
+.get { background: #2b7bb9; } .post { background: #3a9d5d; } .put, .patch { background: #c77c02; } .delete { background: #c0392b; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+<p>${escapeHtml(document.info.description)}</p>
+<p>Machine-readable: <a href="openapi.json">openapi.json</a></p>
+<h2>Endpoints</h2>
+${operations.join('\n')}
+<h2>Schemas</h2>
+${components.join('\n')}
+</body>
+</html>
+`;
+}
+
+// `npm run openapi` writes the document for clients and the extension's contract tests
+if (require.main === module) {
+    fs.writeFileSync(OPENAPI_FILE, `${JSON.stringify(buildOpenApiDocument(), null, 2)}\n`);
+    console.log(`Wrote ${path.relative(process.cwd(), OPENAPI_FILE)}`);
+}
+
+module.exports = {
+    OPENAPI_FILE,
+    buildOpenApiDocument,
+    renderApiReference,
+    resolveRefs,
+};
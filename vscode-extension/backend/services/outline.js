@@ -0,0 +1,637 @@
+/**
+ * Symbol outlines of source files
+ *
+ * Lists the functions, classes, methods, exports and React components of a file
+ * with their line ranges, for the directory tree in the prompt and for
+ * POST /outline. JavaScript and TypeScript are read with brace matching over
+ * the code with comments and strings blanked out; Python, Go and Java use
+ * lighter heuristics. Only top-level declarations and the members of classes
+ * (and other types) are listed; functions nested in functions are not.
+ * Files in other languages have an empty outline.
+ */
+
+const OUTLINE_KINDS = Object.freeze([
+    'function', 'component', 'class', 'method', 'interface', 'type', 'enum', 'namespace', 'struct', 'variable',
+]);
+
+const LANGUAGES = {
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    ts: 'typescript',
+    tsx: 'typescript',
+    mts: 'typescript',
+    cts: 'typescript',
+    py: 'python',
+    go: 'go',
+    java: 'java',
+};
+
+const OUTLINE_LANGUAGES = Object.freeze([...new Set(Object.values(LANGUAGES))]);
+
+// A signature split over several lines is looked for this far ahead
+const MAX_SIGNATURE_LINES = 10;
+
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'function', 'new', 'throw', 'else', 'super']);
+
+const JS_FUNCTION = /^\s*(export\s+(?:default\s+)?)?(?:declare\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)?\s*[<(]/;
+const JS_CLASS = /^\s*(export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?class\s+(?!extends\b)([A-Za-z_$][\w$]*)(?:\s*<[^>]*>)?(?:\s+extends\s+([\w$.]+))?/;
+const TS_DECLARATION = /^\s*(export\s+(?:default\s+)?)?(?:declare\s+)?(?:const\s+)?(interface|type|enum|namespace)\s+([A-Za-z_$][\w$]*)/;
+const JS_VARIABLE = /^\s*(export\s+)?(?:declare\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(.*)$/;
+const CJS_EXPORT = /^\s*(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=\s*(.*)$/;
+const CJS_MODULE_EXPORTS = /^\s*module\.exports\s*=\s*(.*)$/;
+const ESM_EXPORT_LIST = /^\s*export\s*\{([^}]*)\}/;
+const ESM_EXPORT_DEFAULT = /^\s*export\s+default\s+([A-Za-z_$][\w$]*)\s*;?\s*$/;
+
+// Values that make a variable a function or class, e.g. "async (id) =>", "memo(" or "class {"
+const FUNCTION_VALUE = /^(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>|(?:React\.)?(?:memo|forwardRef)\s*[(<])/;
+const OPEN_PARAMETERS = /^(?:async\s+)?\(\s*$/;
+
+const JS_METHOD = /^\s*((?:(?:public|private|protected|static|async|get|set|override|readonly|abstract|declare)\s+)*)\*?\s*(#?[A-Za-z_$][\w$]*)\s*\??\s*(?:<[^>]*>)?\(/;
+const JS_FUNCTION_FIELD = /^\s*((?:(?:public|private|protected|static|readonly|override)\s+)*)(#?[A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:\([^)]*\)|[A-Za-z_$][\w$]*)\s*(?::[^=]+)?=>/;
+
+const JSX_RETURN = /(?:\breturn|=>)\s*\(?\s*<[A-Za-z>]/;
+const REACT_CLASS_COMPONENT = /^(?:React\.)?(?:Pure)?Component$/;
+
+const PY_DEF = /^(\s*)(?:async\s+)?def\s+([A-Za-z_]\w*)/;
+const PY_CLASS = /^(\s*)class\s+([A-Za-z_]\w*)/;
+
+const GO_FUNC = /^func\s+(?:\(\s*(?:[A-Za-z_]\w*\s+)?\*?\s*([A-Za-z_]\w*)(?:\[[^\]]*\])?\s*\)\s*)?([A-Za-z_]\w*)/;
+const GO_TYPE = /^(?:type\s+|\s+)([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+(?:=\s*)?(struct|interface)?\b/;
+
+const JAVA_ANNOTATIONS = /^(\s*)(?:@[\w.]+(?:\([^)]*\))?\s+)*/;
+const JAVA_TYPE = /^\s*((?:(?:public|protected|private|static|final|abstract|sealed|non-sealed|strictfp)\s+)*)(class|interface|enum|record|@interface)\s+([A-Za-z_]\w*)/;
+const JAVA_METHOD = /^\s*((?:(?:public|protected|private|static|final|abstract|synchronized|native|default|strictfp)\s+)*)(?:<[^>]+>\s+)?(?:([\w$.]+(?:<[^()]*>)?(?:\[\])*)\s+)?([A-Za-z_$][\w$]*)\s*\(/;
+
+/**
+ * Language of a file, from its extension
+ * @param {string} filename - File path
+ * @returns {string|null} javascript, typescript, python, go or java; null for anything else
+ */
+function detectLanguage(filename) {
+    const extension = (filename || '').split('.').pop().toLowerCase();
+    return LANGUAGES[extension] || null;
+}
+
+/**
+ * Blank out comments and the contents of string literals, keeping columns,
+ * so braces and keywords inside them are not read as code
+ * @param {string[]} lines - File lines
+ * @param {string} multilineQuotes - Quote characters whose strings may span lines
+ * @returns {string[]} Masked lines
+ */
+function maskCode(lines, multilineQuotes) {
+    let state = null;
+
+    return lines.map(line => {
+        let masked = '';
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (state === 'comment') {
+                if (char === '*' && line[i + 1] === '/') {
+                    masked += '  ';
+                    i++;
+                    state = null;
+                } else {
+                    masked += ' ';
+                }
+            } else if (state) {
+                if (char === '\\') {
+                    masked += line[i + 1] === undefined ? ' ' : '  ';
+                    i++;
+                } else if (char === state) {
+                    masked += char;
+                    state = null;
+                } else {
+                    masked += ' ';
+                }
+            } else if (char === '/' && line[i + 1] === '/') {
+                masked += ' '.repeat(line.length - i);
+                break;
+            } else if (char === '/' && line[i + 1] === '*') {
+                masked += '  ';
+                i++;
+                state = 'comment';
+            } else if (char === '"' || char === '\'' || char === '`') {
+                masked += char;
+                state = char;
+            } else {
+                masked += char;
+            }
+        }
+        if (state && state !== 'comment' && !multilineQuotes.includes(state)) {
+            state = null;
+        }
+        return masked;
+    });
+}
+
+/**
+ * Brace depth at the start of every line
+ * @param {string[]} masked - Masked lines
+ * @returns {number[]} Depths, one per line
+ */
+function braceDepths(masked) {
+    const depths = [];
+    let depth = 0;
+    masked.forEach(line => {
+        depths.push(depth);
+        for (const char of line) {
+            if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth = Math.max(0, depth - 1);
+            }
+        }
+    });
+    return depths;
+}
+
+/**
+ * Last line of the declaration starting at `index`: where the block it opens
+ * closes, or where it ends without opening one (e.g. `const f = () => x;`)
+ * @param {string[]} masked - Masked lines
+ * @param {number} index - Declaration line (0-based)
+ * @returns {number} Last line (1-based)
+ */
+function blockEnd(masked, index) {
+    let braces = 0;
+    let parens = 0;
+    let opened = false;
+    let previous = '';
+    let template = false;
+
+    for (let j = index; j < masked.length; j++) {
+        for (const char of masked[j]) {
+            if (char === '`') {
+                template = !template;
+            } else if (char === '(' || char === '[') {
+                parens++;
+            } else if (char === ')' || char === ']') {
+                parens--;
+            } else if (char === '{') {
+                // A brace after ":" or "|" opens a type literal (e.g. a return type), not the body
+                opened = opened || (parens === 0 && braces === 0 && !/[:|&<,]/.test(previous));
+                braces++;
+            } else if (char === '}') {
+                braces--;
+                if (braces < 0 || (opened && braces === 0)) {
+                    return j + 1;
+                }
+            } else if (char === ';' && !opened && braces === 0 && parens === 0) {
+                return j + 1;
+            }
+            if (char.trim()) {
+                previous = char;
+            }
+        }
+        // An expression body or type that does not continue on the next line
+        if (!opened && !template && braces === 0 && parens <= 0 && !/(?:[=(,[:|&?]|=>|\bextends|\bimplements)\s*$/.test(masked[j])) {
+            return j + 1;
+        }
+    }
+    return masked.length;
+}
+
+function isPascalCase(name) {
+    return /^[A-Z][a-z0-9]/.test(name) || /^[A-Z]$/.test(name);
+}
+
+/**
+ * Outline JavaScript or TypeScript
+ * @param {string[]} lines - File lines
+ * @returns {Array} Symbols
+ */
+function outlineJavaScript(lines) {
+    const masked = maskCode(lines, '`');
+    const depths = braceDepths(masked);
+    const symbols = [];
+    const exportedNames = new Set();
+    const variables = new Map();
+    let containers = [];
+
+    const add = (symbol) => {
+        symbols.push(symbol);
+        return symbol;
+    };
+    const declare = (index, name, kind, exported, extras = {}) => {
+        const endLine = blockEnd(masked, index);
+        if (kind === 'function' && isPascalCase(name) && JSX_RETURN.test(masked.slice(index, endLine).join('\n'))) {
+            kind = 'component';
+        }
+        return add({ name, kind, line: index + 1, endLine, container: null, exported, ...extras });
+    };
+
+    for (let index = 0; index < masked.length; index++) {
+        const code = masked[index];
+        containers = containers.filter(container => container.endLine > index);
+        const container = containers[containers.length - 1];
+
+        if (container) {
+            if (depths[index] !== container.depth + 1) {
+                continue;
+            }
+            const field = JS_FUNCTION_FIELD.exec(code);
+            const method = field || JS_METHOD.exec(code);
+            if (method && !CONTROL_KEYWORDS.has(method[2])) {
+                add({
+                    name: method[2],
+                    kind: 'method',
+                    line: index + 1,
+                    endLine: blockEnd(masked, index),
+                    container: container.symbol.name,
+                    exported: !method[2].startsWith('#') && !/\bprivate\b/.test(method[1]),
+                });
+            }
+            continue;
+        }
+        if (depths[index] !== 0) {
+            continue;
+        }
+
+        const fn = JS_FUNCTION.exec(code);
+        if (fn) {
+            // Overload signatures have no body
+            if (!/;\s*$/.test(code)) {
+                declare(index, fn[2] || 'default', 'function', !!fn[1]);
+            }
+            continue;
+        }
+
+        const cls = JS_CLASS.exec(code);
+        if (cls) {
+            const kind = cls[3] && REACT_CLASS_COMPONENT.test(cls[3]) ? 'component' : 'class';
+            const symbol = declare(index, cls[2], kind, !!cls[1]);
+            containers.push({ symbol, depth: depths[index], endLine: symbol.endLine });
+            continue;
+        }
+
+        const ts = TS_DECLARATION.exec(code);
+        if (ts) {
+            declare(index, ts[3], ts[2], !!ts[1]);
+            continue;
+        }
+
+        const variable = JS_VARIABLE.exec(code);
+        if (variable) {
+            const kind = valueKind(variable[3], masked, index);
+            if (kind || variable[1]) {
+                declare(index, variable[2], kind || 'variable', !!variable[1]);
+            } else {
+                // Listed only if a later `module.exports = { ... }` or `export { ... }` exports it
+                variables.set(variable[2], index);
+            }
+            continue;
+        }
+
+        const cjs = CJS_EXPORT.exec(code);
+        if (cjs) {
+            declare(index, cjs[1], valueKind(cjs[2], masked, index) || 'variable', true);
+            continue;
+        }
+
+        const moduleExports = CJS_MODULE_EXPORTS.exec(code);
+        if (moduleExports) {
+            const value = moduleExports[1];
+            const named = /^(?:class|(?:async\s+)?function\s*\*?)\s+([A-Za-z_$][\w$]*)/.exec(value);
+            if (named) {
+                declare(index, named[1], valueKind(value, masked, index) || 'function', true);
+            } else if (value.startsWith('{')) {
+                const endLine = blockEnd(masked, index);
+                exportedNamesOf(masked.slice(index, endLine).join('\n').replace(/^[^{]*\{/, '')).forEach(name => exportedNames.add(name));
+            } else if (/^[A-Za-z_$][\w$]*\s*;?\s*$/.test(value)) {
+                exportedNames.add(value.replace(/[\s;]/g, ''));
+            }
+            continue;
+        }
+
+        const list = ESM_EXPORT_LIST.exec(code);
+        if (list) {
+            exportedNamesOf(list[1]).forEach(name => exportedNames.add(name));
+            continue;
+        }
+
+        const exportDefault = ESM_EXPORT_DEFAULT.exec(code);
+        if (exportDefault) {
+            exportedNames.add(exportDefault[1]);
+        }
+    }
+
+    symbols.forEach(symbol => {
+        if (symbol.container === null && exportedNames.has(symbol.name)) {
+            symbol.exported = true;
+        }
+    });
+    exportedNames.forEach(name => {
+        if (variables.has(name)) {
+            declare(variables.get(name), name, 'variable', true);
+        }
+    });
+    return symbols.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Whether a variable's value is a function or class
+ * @param {string} value - Code after the `=`
+ * @param {string[]} masked - Masked lines
+ * @param {number} index - Line of the assignment (0-based)
+ * @returns {string|null} function or class; null for other values
+ */
+function valueKind(value, masked, index) {
+    if (/^class\b/.test(value)) {
+        return 'class';
+    }
+    if (FUNCTION_VALUE.test(value)) {
+        return 'function';
+    }
+    // Parameters on the lines that follow: "const load = async (" ... ") => {"
+    if (OPEN_PARAMETERS.test(value)) {
+        const signature = masked.slice(index + 1, index + 1 + MAX_SIGNATURE_LINES);
+        const close = signature.findIndex(line => /^\s*\)/.test(line));
+        if (close >= 0 && /=>/.test(signature[close])) {
+            return 'function';
+        }
+    }
+    return null;
+}
+
+/**
+ * Local names listed in `{ a, b: c, d as e }`; nested objects are skipped
+ * @param {string} list - Text of the list, without the opening brace
+ * @returns {string[]} Names
+ */
+function exportedNamesOf(list) {
+    const entries = [''];
+    let depth = 0;
+    for (const char of list) {
+        if ('{(['.includes(char)) {
+            depth++;
+        } else if ('})]'.includes(char)) {
+            depth--;
+            if (depth < 0) {
+                break;
+            }
+        } else if (char === ',' && depth === 0) {
+            entries.push('');
+        } else if (depth === 0) {
+            entries[entries.length - 1] += char;
+        }
+    }
+
+    return entries.map(entry => {
+        const alias = /^\s*([A-Za-z_$][\w$]*)\s+as\s/.exec(entry);
+        const renamed = /:\s*([A-Za-z_$][\w$]*)\s*$/.exec(entry);
+        return alias ? alias[1] : renamed ? renamed[1] : entry.trim();
+    }).filter(name => /^[A-Za-z_$][\w$]*$/.test(name));
+}
+
+/**
+ * Outline Python: classes, functions and methods, nested by indentation
+ * @param {string[]} lines - File lines
+ * @returns {Array} Symbols
+ */
+function outlinePython(lines) {
+    const symbols = [];
+    const open = [];
+    let docstring = null;
+    let brackets = 0;
+    let lastCodeLine = 0;
+
+    const close = (indent) => {
+        while (open.length > 0 && open[open.length - 1].indent >= indent) {
+            const { symbol } = open.pop();
+            if (symbol) {
+                symbol.endLine = lastCodeLine;
+            }
+        }
+    };
+
+    lines.forEach((line, index) => {
+        if (docstring) {
+            if (line.includes(docstring)) {
+                docstring = null;
+                lastCodeLine = index + 1;
+            }
+            return;
+        }
+        const code = line.replace(/("""|''')[\s\S]*?\1|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/g, '""').replace(/#.*$/, '');
+        const quote = /"""|'''/.exec(code);
+        if (!code.trim()) {
+            return;
+        }
+
+        if (brackets === 0) {
+            const indent = /^\s*/.exec(code)[0].length;
+            close(indent);
+
+            const declaration = PY_DEF.exec(code) || PY_CLASS.exec(code);
+            if (declaration) {
+                const parent = open[open.length - 1];
+                const isClass = !PY_DEF.test(code);
+                const name = declaration[2];
+                let symbol = null;
+                if (!parent || (parent.symbol && parent.symbol.kind === 'class')) {
+                    symbol = {
+                        name,
+                        kind: isClass ? 'class' : (parent ? 'method' : 'function'),
+                        line: index + 1,
+                        endLine: index + 1,
+                        container: parent ? qualifiedName(parent.symbol) : null,
+                        exported: !name.startsWith('_') || /^__\w+__$/.test(name),
+                    };
+                    symbols.push(symbol);
+                }
+                open.push({ indent, symbol });
+            }
+        }
+
+        for (const char of code) {
+            if ('([{'.includes(char)) {
+                brackets++;
+            } else if (')]}'.includes(char)) {
+                brackets = Math.max(0, brackets - 1);
+            }
+        }
+        lastCodeLine = index + 1;
+        if (quote) {
+            docstring = quote[0];
+        }
+    });
+
+    close(0);
+    return symbols;
+}
+
+/**
+ * Outline Go: functions, methods (with their receiver type as container) and types
+ * @param {string[]} lines - File lines
+ * @returns {Array} Symbols
+ */
+function outlineGo(lines) {
+    const masked = maskCode(lines, '`');
+    const depths = braceDepths(masked);
+    const symbols = [];
+    let typeGroup = false;
+
+    masked.forEach((code, index) => {
+        if (depths[index] !== 0) {
+            return;
+        }
+        if (typeGroup && /^\)/.test(code)) {
+            typeGroup = false;
+            return;
+        }
+        if (/^type\s*\(\s*$/.test(code)) {
+            typeGroup = true;
+            return;
+        }
+
+        const fn = GO_FUNC.exec(code);
+        const type = (typeGroup || /^type\s/.test(code)) && GO_TYPE.exec(code);
+        if (fn) {
+            symbols.push({
+                name: fn[2],
+                kind: fn[1] ? 'method' : 'function',
+                line: index + 1,
+                endLine: blockEnd(masked, index),
+                container: fn[1] || null,
+                exported: /^[A-Z]/.test(fn[2]),
+            });
+        } else if (type) {
+            symbols.push({
+                name: type[1],
+                kind: type[2] || 'type',
+                line: index + 1,
+                endLine: blockEnd(masked, index),
+                container: null,
+                exported: /^[A-Z]/.test(type[1]),
+            });
+        }
+    });
+
+    return symbols;
+}
+
+/**
+ * Outline Java: classes, interfaces, enums and records (nested too) and their methods
+ * @param {string[]} lines - File lines
+ * @returns {Array} Symbols
+ */
+function outlineJava(lines) {
+    const masked = maskCode(lines, '');
+    const depths = braceDepths(masked);
+    const symbols = [];
+    let containers = [];
+
+    masked.forEach((line, index) => {
+        containers = containers.filter(container => container.symbol.endLine > index);
+        const container = containers[containers.length - 1];
+        if (depths[index] !== (container ? container.depth + 1 : 0)) {
+            return;
+        }
+        const code = line.replace(JAVA_ANNOTATIONS, '$1');
+
+        const type = JAVA_TYPE.exec(code);
+        if (type) {
+            const symbol = {
+                name: type[3],
+                kind: type[2] === '@interface' ? 'interface' : type[2],
+                line: index + 1,
+                endLine: blockEnd(masked, index),
+                container: container ? qualifiedName(container.symbol) : null,
+                exported: container ? !/\bprivate\b/.test(type[1]) : /\bpublic\b/.test(type[1]),
+            };
+            symbols.push(symbol);
+            containers.push({ symbol, depth: depths[index] });
+            return;
+        }
+
+        const method = container && JAVA_METHOD.exec(code);
+        if (method && !CONTROL_KEYWORDS.has(method[3]) && !CONTROL_KEYWORDS.has(method[2])
+            && (method[2] || method[3] === container.symbol.name)) {
+            symbols.push({
+                name: method[3],
+                kind: 'method',
+                line: index + 1,
+                endLine: blockEnd(masked, index),
+                container: qualifiedName(container.symbol),
+                exported: !/\bprivate\b/.test(method[1]),
+            });
+        }
+    });
+
+    return symbols;
+}
+
+function qualifiedName(symbol) {
+    return symbol.container ? `${symbol.container}.${symbol.name}` : symbol.name;
+}
+
+const OUTLINERS = {
+    javascript: outlineJavaScript,
+    typescript: outlineJavaScript,
+    python: outlinePython,
+    go: outlineGo,
+    java: outlineJava,
+};
+
+/**
+ * Outline a file
+ * @param {string} filename - File path; the extension selects the language
+ * @param {string} content - File content
+ * @returns {{language: string|null, symbols: Array<{name: string, kind: string, line: number, endLine: number, container: string|null, exported: boolean}>}}
+ *   Symbols in line order. `container` is the (dot-qualified) name of the class or type a member belongs to.
+ *   `exported` is true for top-level symbols other modules can import (Python: no leading underscore;
+ *   Go: capitalized; Java: public) and for members that are not private.
+ */
+function extractOutline(filename, content) {
+    const language = detectLanguage(filename);
+    if (!language || !content) {
+        return { language, symbols: [] };
+    }
+    return { language, symbols: OUTLINERS[language](content.split(/\r?\n/)) };
+}
+
+/**
+ * Render an outline as indented lines, members under their class, e.g.
+ * `export class LLMService (lines 22-390)` followed by `  method buildPrompts (lines 210-262)`
+ * @param {{language: string|null, symbols: Array}} outline - Outline from extractOutline
+ * @param {number} maxLines - Lines to render before summarizing the rest (optional)
+ * @returns {string[]} Lines
+ */
+function formatOutline({ language, symbols }, maxLines = Infinity) {
+    const names = new Set(symbols.map(qualifiedName));
+    const members = new Map();
+    symbols.forEach(symbol => {
+        if (symbol.container && names.has(symbol.container)) {
+            members.set(symbol.container, [...(members.get(symbol.container) || []), symbol]);
+        }
+    });
+    const explicitExports = language === 'javascript' || language === 'typescript';
+
+    const lines = [];
+    const render = (symbol, depth) => {
+        const topLevel = depth === 0;
+        const name = topLevel && symbol.container ? `${symbol.container}.${symbol.name}` : symbol.name;
+        const lineRange = symbol.endLine > symbol.line ? `lines ${symbol.line}-${symbol.endLine}` : `line ${symbol.line}`;
+        const exported = topLevel && explicitExports && symbol.exported && !symbol.container ? 'export ' : '';
+        lines.push(`${'  '.repeat(depth)}${exported}${symbol.kind} ${name} (${lineRange})`);
+        (members.get(qualifiedName(symbol)) || []).forEach(member => render(member, depth + 1));
+    };
+    symbols.filter(symbol => !symbol.container || !names.has(symbol.container)).forEach(symbol => render(symbol, 0));
+
+    if (lines.length > maxLines) {
+        const hidden = lines.length - maxLines;
+        return [...lines.slice(0, maxLines), `... ${hidden} more symbol${hidden === 1 ? '' : 's'}`];
+    }
+    return lines;
+}
+
+module.exports = {
+    OUTLINE_KINDS,
+    OUTLINE_LANGUAGES,
+    detectLanguage,
+    extractOutline,
+    formatOutline,
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+
+const ECHO_MODELS = ['echo', 'fixture'];
+
+/**
+ * Echo / fixture provider
+ *
+ * Deterministic, offline provider for local development, demos and tests.
+ * When a fixtures file is configured, the first fixture whose `match` string
+ * appears in the user's question supplies the response; otherwise the prompt and
+ * the list of received files are echoed back.
+ *
+ * Fixtures file format:
+ * { "responses": [{ "match": "summarize", "response": "..." }] }
+ */
+class EchoProvider {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.fixturesPath - Path to a JSON fixtures file
+     * @param {Array} options.fixtures - Inline fixtures (take precedence over the file)
+     */
+    constructor({ fixturesPath = null, fixtures = null } = {}) {
+        this.name = 'echo';
+        this.label = 'Echo (offline)';
+        this.defaultModel = 'echo';
+        this.fixturesPath = fixturesPath || null;
+        this.fixtures = fixtures || this.loadFixtures();
+    }
+
+    /**
+     * @returns {Array} Fixture entries from the configured file, or []
+     */
+    loadFixtures() {
+        if (!this.fixturesPath) {
+            return [];
+        }
+
+        try {
+            const parsed = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+            return Array.isArray(parsed.responses) ? parsed.responses : [];
+        } catch (error) {
+            console.error(`❌ Failed to load LLM fixtures from ${this.fixturesPath}:`, error.message);
+            return [];
+        }
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    unavailableMessage() {
+        return 'Echo provider unavailable.';
+    }
+
+    /**
+     * @param {string} model - Requested model name
+     * @returns {boolean} true if this provider serves the model
+     */
+    supportsModel(model) {
+        return ECHO_MODELS.includes(String(model).toLowerCase());
+    }
+
+    /**
+     * Generate a deterministic completion
+     * @param {Object} request
+     * @param {string} request.prompt - Raw user question
+     * @param {Array} request.files - Uploaded files (used for the echo summary)
+     * @param {Array} request.history - Earlier conversation turns (counted in the echo summary)
+     * @returns {Promise<string>} Response text
+     */
+    async generate({ prompt = '', files = [], history = [] }) {
+        const fixture = this.fixtures.find(entry =>
+            entry && typeof entry.match === 'string' && prompt.includes(entry.match),
+        );
+
+        if (fixture) {
+            return String(fixture.response ?? '');
+        }
+
+        const fileList = files.length > 0
+            ? files.map(file => `- ${file.filename}`).join('\n')
+            : '- (no files)';
+
+        const historyLine = history.length > 0 ? `\n\nHistory turns received: ${history.length}` : '';
+
+        return `Echo response\n\n${prompt}\n\nFiles received (${files.length}):\n${fileList}${historyLine}`;
+    }
+
+    /**
+     * Stream the deterministic completion word by word
+     * @param {Object} request - Same shape as generate()
+     * @returns {AsyncGenerator<string>} Text chunks
+     */
+    async *generateStream(request) {
+        const text = await this.generate(request);
+        for (const word of text.split(/(?<=\s)/)) {
+            yield word;
+        }
+    }
+
+    /**
+     * @returns {Object} Provider status for /health
+     */
+    getStatus() {
+        return {
+            name: this.name,
+            label: this.label,
+            available: true,
+            configured: true,
+            defaultModel: this.defaultModel,
+            fixtures: this.fixtures.length,
+        };
+    }
+}
+
+module.exports = EchoProvider;
@@ -0,0 +1,180 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Gemini provider
+ *
+ * Wraps the Google Generative AI SDK. Model handles are created lazily and
+ * cached per model name so a single provider can serve every `gemini-*` model.
+ * Each request runs as a chat session: the system prompt is sent as the
+ * system instruction and earlier conversation turns as chat history.
+ */
+class GeminiProvider {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.apiKey - Gemini API key
+     * @param {string} options.defaultModel - Model used when the request does not name one
+     * @param {Object} options.client - Optional pre-built GoogleGenerativeAI client (tests)
+     */
+    constructor({ apiKey = null, defaultModel = DEFAULT_GEMINI_MODEL, client = null } = {}) {
+        this.name = 'gemini';
+        this.label = 'Gemini';
+        this.apiKey = apiKey || null;
+        this.defaultModel = defaultModel;
+        this.client = client;
+        this.models = new Map();
+
+        if (!this.client && this.apiKey) {
+            try {
+                this.client = new GoogleGenerativeAI(this.apiKey);
+                console.log('✅ Gemini LLM initialized successfully');
+            } catch (error) {
+                console.error('❌ Failed to initialize Gemini LLM:', error.message);
+                this.apiKey = null;
+            }
+        } else if (!this.client) {
+            console.log('⚠️  No Gemini API key found. Gemini responses are disabled until the key is provided.');
+        }
+    }
+
+    isAvailable() {
+        return !!this.client;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    unavailableMessage() {
+        return 'Gemini model not initialized. Set GEMINI_API_KEY to enable AI responses.';
+    }
+
+    /**
+     * @param {string} model - Requested model name
+     * @returns {boolean} true if this provider serves the model
+     */
+    supportsModel(model) {
+        return /^gemini/i.test(model) || /^models\/gemini/i.test(model);
+    }
+
+    /**
+     * Get (and cache) a generative model handle
+     * @param {string} model - Model name
+     * @returns {Object} Gemini GenerativeModel
+     */
+    getModel(model = this.defaultModel) {
+        if (!this.client) {
+            throw new Error('Gemini model not initialized');
+        }
+
+        if (!this.models.has(model)) {
+            this.models.set(model, this.client.getGenerativeModel({ model }));
+        }
+
+        return this.models.get(model);
+    }
+
+    /**
+     * Start a chat session carrying the system instruction and earlier turns
+     * @param {Object} request - Same shape as generate()
+     * @returns {Object} Gemini ChatSession
+     */
+    startChat({ model, systemPrompt, history = [] }) {
+        return this.getModel(model || this.defaultModel).startChat({
+            systemInstruction: { role: 'system', parts: [{ text: systemPrompt }] },
+            history: this.toGeminiHistory(history),
+        });
+    }
+
+    /**
+     * Convert `{ role, content }` turns to Gemini chat history. Gemini calls the
+     * assistant "model" and requires the history to open with a user turn.
+     * @param {Array<{role: string, content: string}>} history - Conversation turns, oldest first
+     * @returns {Array} Gemini Content objects
+     */
+    toGeminiHistory(history) {
+        const firstUser = history.findIndex(turn => turn.role === 'user');
+        if (firstUser === -1) {
+            return [];
+        }
+
+        return history.slice(firstUser).map(turn => ({
+            role: turn.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: turn.content }],
+        }));
+    }
+
+    /**
+     * Generate a completion
+     * @param {Object} request
+     * @param {string} request.model - Model name (defaults to provider default)
+     * @param {string} request.systemPrompt - System/context prompt
+     * @param {string} request.userPrompt - User prompt
+     * @param {Array} request.history - Earlier `{ role, content }` turns (optional)
+     * @returns {Promise<string>} Response text
+     */
+    async generate({ model, systemPrompt, userPrompt, history }) {
+        const chat = this.startChat({ model, systemPrompt, history });
+
+        try {
+            const result = await chat.sendMessage(userPrompt);
+
+            const response = await result.response;
+            const text = response.text();
+
+            if (!text) {
+                throw new Error('Empty response from Gemini');
+            }
+
+            console.log('✅ Gemini response generated successfully');
+            return text;
+
+        } catch (error) {
+            console.error('Gemini API call failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stream a completion chunk by chunk using Gemini's streaming API
+     * @param {Object} request - Same shape as generate()
+     * @returns {AsyncGenerator<string>} Text chunks
+     */
+    async *generateStream({ model, systemPrompt, userPrompt, history }) {
+        const chat = this.startChat({ model, systemPrompt, history });
+
+        try {
+            const result = await chat.sendMessageStream(userPrompt);
+
+            for await (const chunk of result.stream) {
+                const text = chunk.text();
+                if (text) {
+                    yield text;
+                }
+            }
+
+            console.log('✅ Gemini stream completed successfully');
+
+        } catch (error) {
+            console.error('Gemini streaming API call failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Object} Provider status for /health
+     */
+    getStatus() {
+        return {
+            name: this.name,
+            label: this.label,
+            available: this.isAvailable(),
+            configured: this.isConfigured(),
+            defaultModel: this.defaultModel,
+        };
+    }
+}
+
+module.exports = GeminiProvider;
+module.exports.DEFAULT_GEMINI_MODEL = DEFAULT_GEMINI_MODEL;
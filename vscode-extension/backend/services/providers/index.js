@@ -0,0 +1,114 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const EchoProvider = require('./echoProvider');
+const { ApiError, ERROR_CODES } = require('../apiErrors');
+
+const DEFAULT_PROVIDER = 'gemini';
+const AUTO_MODELS = ['', 'auto', 'default'];
+
+/**
+ * Provider registry
+ *
+ * Holds every configured LLM provider and routes a requested model name to the
+ * provider that serves it. Routing rules, in order:
+ *   1. empty / "auto" / "default"   → the default provider and its default model
+ *   2. "<provider>:<model>"         → that provider, e.g. "openai:llama3:8b"
+ *   3. a provider claiming the name → e.g. "gemini-*", "gpt-*", "echo"
+ *   4. anything else                → a self-hosted OpenAI-compatible server, if one is configured
+ */
+class ProviderRegistry {
+    /**
+     * @param {Array} providers - Provider instances
+     * @param {string} defaultProvider - Name of the provider used when no model is requested
+     */
+    constructor(providers, defaultProvider = DEFAULT_PROVIDER) {
+        this.providers = new Map(providers.map(provider => [provider.name, provider]));
+        this.defaultProvider = this.providers.has(defaultProvider) ? defaultProvider : DEFAULT_PROVIDER;
+    }
+
+    /**
+     * @param {string} name - Provider name
+     * @returns {Object|undefined} Provider instance
+     */
+    get(name) {
+        return this.providers.get(name);
+    }
+
+    /**
+     * @returns {Array} All provider instances
+     */
+    list() {
+        return Array.from(this.providers.values());
+    }
+
+    /**
+     * Resolve a requested model name to a provider and concrete model
+     * @param {string} requestedModel - Model name sent by the client (optional)
+     * @returns {{provider: Object, model: string}} Routing decision
+     * @throws {ApiError} UNKNOWN_MODEL when no configured provider serves the model
+     */
+    resolve(requestedModel) {
+        const model = typeof requestedModel === 'string' ? requestedModel.trim() : '';
+
+        if (AUTO_MODELS.includes(model.toLowerCase())) {
+            const provider = this.get(this.defaultProvider);
+            return { provider, model: provider.defaultModel };
+        }
+
+        const separator = model.indexOf(':');
+        if (separator > 0) {
+            const provider = this.get(model.slice(0, separator).toLowerCase());
+            if (provider) {
+                return { provider, model: model.slice(separator + 1) || provider.defaultModel };
+            }
+        }
+
+        const claimed = this.list().find(provider => provider.supportsModel(model));
+        if (claimed) {
+            return { provider: claimed, model };
+        }
+
+        const openai = this.get('openai');
+        if (openai && openai.isLocal()) {
+            return { provider: openai, model };
+        }
+
+        throw new ApiError(ERROR_CODES.UNKNOWN_MODEL, `Unknown model "${model}". No configured provider serves it.`, 400);
+    }
+}
+
+/**
+ * Build the provider registry from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {ProviderRegistry} Registry with Gemini, OpenAI-compatible and echo providers
+ */
+function createProviderRegistry(env = process.env) {
+    const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+    const providers = [
+        new GeminiProvider({
+            apiKey: env.GEMINI_API_KEY,
+            defaultModel: env.GEMINI_MODEL || undefined,
+        }),
+        new OpenAIProvider({
+            apiKey: env.OPENAI_API_KEY,
+            baseUrl: env.OPENAI_BASE_URL || undefined,
+            defaultModel: env.OPENAI_MODEL || undefined,
+            models: splitList(env.OPENAI_MODELS),
+        }),
+        new EchoProvider({
+            fixturesPath: env.LLM_FIXTURES_PATH,
+        }),
+    ];
+
+    return new ProviderRegistry(providers, (env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase());
+}
+
+module.exports = {
+    ProviderRegistry,
+    createProviderRegistry,
+    GeminiProvider,
+    OpenAIProvider,
+    EchoProvider,
+    DEFAULT_PROVIDER,
+};
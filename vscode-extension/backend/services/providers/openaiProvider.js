@@ -0,0 +1,199 @@
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+/**
+ * OpenAI-compatible provider
+ *
+ * Talks to any server implementing the `/chat/completions` API: OpenAI itself,
+ * or local servers such as Ollama (`http://localhost:11434/v1`) and llama.cpp.
+ * Local servers usually need no API key, so setting a custom base URL is enough
+ * to enable the provider.
+ */
+class OpenAIProvider {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.apiKey - Bearer token (optional for local servers)
+     * @param {string} options.baseUrl - API base URL including the `/v1` prefix
+     * @param {string} options.defaultModel - Model used when the request does not name one
+     * @param {string[]} options.models - Extra model names routed to this provider
+     * @param {Function} options.fetchImpl - fetch implementation (tests)
+     */
+    constructor({
+        apiKey = null,
+        baseUrl = DEFAULT_OPENAI_BASE_URL,
+        defaultModel = DEFAULT_OPENAI_MODEL,
+        models = [],
+        fetchImpl = globalThis.fetch,
+    } = {}) {
+        this.name = 'openai';
+        this.label = 'OpenAI-compatible';
+        this.apiKey = apiKey || null;
+        this.baseUrl = (baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+        this.defaultModel = defaultModel;
+        this.models = models;
+        this.fetchImpl = fetchImpl;
+    }
+
+    /**
+     * A custom base URL means a self-hosted server that accepts any model name.
+     * @returns {boolean}
+     */
+    isLocal() {
+        return this.baseUrl !== DEFAULT_OPENAI_BASE_URL;
+    }
+
+    isAvailable() {
+        return typeof this.fetchImpl === 'function' && (!!this.apiKey || this.isLocal());
+    }
+
+    isConfigured() {
+        return !!this.apiKey || this.isLocal();
+    }
+
+    unavailableMessage() {
+        return 'OpenAI-compatible provider not configured. Set OPENAI_API_KEY or OPENAI_BASE_URL to enable it.';
+    }
+
+    /**
+     * @param {string} model - Requested model name
+     * @returns {boolean} true if this provider serves the model
+     */
+    supportsModel(model) {
+        if (this.models.includes(model)) {
+            return true;
+        }
+        return /^(gpt-|chatgpt-|o\d)/i.test(model);
+    }
+
+    /**
+     * Generate a completion
+     * @param {Object} request
+     * @param {string} request.model - Model name (defaults to provider default)
+     * @param {string} request.systemPrompt - System/context prompt
+     * @param {string} request.userPrompt - User prompt
+     * @param {Array} request.history - Earlier `{ role, content }` turns (optional)
+     * @returns {Promise<string>} Response text
+     */
+    async generate({ model, systemPrompt, userPrompt, history }) {
+        const response = await this.postChatCompletion({ model, systemPrompt, userPrompt, history });
+        const payload = await response.json();
+        const text = payload?.choices?.[0]?.message?.content;
+
+        if (!text) {
+            throw new Error('Empty response from OpenAI-compatible provider');
+        }
+
+        console.log('✅ OpenAI-compatible response generated successfully');
+        return text;
+    }
+
+    /**
+     * Stream a completion using server-sent events (`stream: true`)
+     * @param {Object} request - Same shape as generate()
+     * @returns {AsyncGenerator<string>} Text chunks
+     */
+    async *generateStream({ model, systemPrompt, userPrompt, history }) {
+        const response = await this.postChatCompletion({ model, systemPrompt, userPrompt, history, stream: true });
+        const decoder = new TextDecoder();
+        let buffered = '';
+
+        for await (const bytes of response.body) {
+            buffered += decoder.decode(bytes, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+
+            for (const line of lines) {
+                const text = this.parseStreamLine(line);
+                if (text === null) {
+                    return;
+                }
+                if (text) {
+                    yield text;
+                }
+            }
+        }
+
+        const trailing = this.parseStreamLine(buffered);
+        if (trailing) {
+            yield trailing;
+        }
+    }
+
+    /**
+     * Parse one SSE line of a streamed chat completion
+     * @param {string} line - Raw line
+     * @returns {string|null} Delta text ('' for non-content lines), or null at `[DONE]`
+     */
+    parseStreamLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+            return '';
+        }
+
+        const data = trimmed.slice('data:'.length).trim();
+        if (data === '[DONE]') {
+            return null;
+        }
+
+        try {
+            return JSON.parse(data)?.choices?.[0]?.delta?.content || '';
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * POST to `/chat/completions` and fail on non-2xx responses
+     * @param {Object} request - Model, prompts, history and optional `stream` flag
+     * @returns {Promise<Response>} fetch response
+     */
+    async postChatCompletion({ model, systemPrompt, userPrompt, history = [], stream = false }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: model || this.defaultModel,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                ...history.map(turn => ({ role: turn.role, content: turn.content })),
+                { role: 'user', content: userPrompt },
+            ],
+        };
+        if (stream) {
+            body.stream = true;
+        }
+
+        const response = await this.fetchImpl(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+        }
+
+        return response;
+    }
+
+    /**
+     * @returns {Object} Provider status for /health
+     */
+    getStatus() {
+        return {
+            name: this.name,
+            label: this.label,
+            available: this.isAvailable(),
+            configured: this.isConfigured(),
+            defaultModel: this.defaultModel,
+            baseUrl: this.baseUrl,
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
+module.exports.DEFAULT_OPENAI_BASE_URL = DEFAULT_OPENAI_BASE_URL;
+module.exports.DEFAULT_OPENAI_MODEL = DEFAULT_OPENAI_MODEL;
@@ -0,0 +1,251 @@
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+
+const DEFAULT_REQUESTS_PER_MINUTE = 30;
+const DEFAULT_BURST = 10;
+const DEFAULT_MAX_CONCURRENT = 10;
+const DEFAULT_MAX_QUEUED = 20;
+const DEFAULT_QUEUE_TIMEOUT_MS = 30000;
+// Completions are requested while typing, so they get a bucket of their own
+const DEFAULT_COMPLETION_REQUESTS_PER_MINUTE = 120;
+const DEFAULT_COMPLETION_BURST = 20;
+// Uploading and searching workspace files does not reach the model but still costs memory and CPU
+const DEFAULT_WORKSPACE_REQUESTS_PER_MINUTE = 120;
+const DEFAULT_WORKSPACE_BURST = 60;
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Error for requests turned away by a limit, carrying how long the client should wait
+ */
+class RateLimitError extends ApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {number} retryAfterSeconds - Seconds until a retry can succeed
+     * @param {string} code - RATE_LIMITED for the per-client limit, SERVER_BUSY for the concurrency cap
+     */
+    constructor(message, retryAfterSeconds, code = ERROR_CODES.RATE_LIMITED) {
+        super(code, message, 429);
+        this.name = 'RateLimitError';
+        this.retryAfterSeconds = Math.max(1, Math.ceil(retryAfterSeconds));
+    }
+}
+
+/**
+ * Per-client token bucket
+ *
+ * Each client (API key label or IP) holds up to `burst` tokens, refilled at
+ * `requestsPerMinute`. A request takes one token; with none left it is
+ * refused and told when the next token arrives. A rate of 0 disables the limit.
+ */
+class TokenBucketLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.requestsPerMinute - Sustained rate per client
+     * @param {number} options.burst - Bucket size, i.e. requests allowed back to back
+     * @param {Function} options.now - Clock, for tests
+     */
+    constructor({ requestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE, burst = DEFAULT_BURST, now = Date.now } = {}) {
+        this.requestsPerMinute = Math.max(0, requestsPerMinute);
+        this.burst = Math.max(1, burst);
+        this.now = now;
+        this.buckets = new Map();
+    }
+
+    /**
+     * @returns {boolean} true when the limit is enforced
+     */
+    isEnabled() {
+        return this.requestsPerMinute > 0;
+    }
+
+    /**
+     * Take a token for a client
+     * @param {string} client - Client key
+     * @throws {RateLimitError} When the client has no token left
+     */
+    take(client) {
+        if (!this.isEnabled()) {
+            return;
+        }
+
+        const now = this.now();
+        const perMs = this.requestsPerMinute / 60000;
+        const bucket = this.buckets.get(client) || { tokens: this.burst, updatedAt: now };
+
+        bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * perMs);
+        bucket.updatedAt = now;
+
+        // Map order is insertion order, so re-inserting keeps recently seen clients last
+        this.buckets.delete(client);
+        this.buckets.set(client, bucket);
+        if (this.buckets.size > MAX_TRACKED_CLIENTS) {
+            this.buckets.delete(this.buckets.keys().next().value);
+        }
+
+        if (bucket.tokens < 1) {
+            throw new RateLimitError('Too many requests: rate limit exceeded', (1 - bucket.tokens) / perMs / 1000);
+        }
+        bucket.tokens -= 1;
+    }
+}
+
+/**
+ * Global concurrency cap with a bounded wait queue
+ *
+ * At most `maxConcurrent` requests run at once; up to `maxQueued` more wait
+ * in arrival order for at most `queueTimeoutMs`. Beyond that requests are
+ * refused so a burst cannot pile up unbounded work.
+ */
+class ConcurrencyLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxConcurrent - Requests allowed to run at once
+     * @param {number} options.maxQueued - Requests allowed to wait for a slot
+     * @param {number} options.queueTimeoutMs - Longest a request waits before it is refused
+     */
+    constructor({ maxConcurrent = DEFAULT_MAX_CONCURRENT, maxQueued = DEFAULT_MAX_QUEUED, queueTimeoutMs = DEFAULT_QUEUE_TIMEOUT_MS } = {}) {
+        this.maxConcurrent = Math.max(1, maxConcurrent);
+        this.maxQueued = Math.max(0, maxQueued);
+        this.queueTimeoutMs = queueTimeoutMs;
+        this.active = 0;
+        this.queue = [];
+    }
+
+    /**
+     * Wait for a slot
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Aborts the wait, e.g. when the client disconnects
+     * @param {boolean} options.wait - Queue for a slot when none is free; false refuses the request at once
+     * @returns {Promise<Function>} Resolves with a release function once the request may run
+     * @throws {RateLimitError} When the queue is full, the wait times out or no slot is free for a request that does not wait
+     */
+    acquire({ signal, wait = true } = {}) {
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+            return Promise.resolve(this.createRelease());
+        }
+
+        if (!wait) {
+            return Promise.reject(new RateLimitError('Server busy: no free slot', 1, ERROR_CODES.SERVER_BUSY));
+        }
+
+        if (this.queue.length >= this.maxQueued) {
+            return Promise.reject(new RateLimitError('Server busy: request queue is full', this.queueTimeoutMs / 1000, ERROR_CODES.SERVER_BUSY));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve,
+                reject,
+                timer: setTimeout(() => {
+                    this.removeWaiter(waiter);
+                    reject(new RateLimitError('Server busy: timed out waiting for a free slot', this.queueTimeoutMs / 1000, ERROR_CODES.SERVER_BUSY));
+                }, this.queueTimeoutMs),
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (this.removeWaiter(waiter)) {
+                        reject(new Error('Request aborted while queued'));
+                    }
+                }, { once: true });
+            }
+
+            this.queue.push(waiter);
+        });
+    }
+
+    /**
+     * @returns {{maxConcurrent: number, maxQueued: number, active: number, queued: number}} Current load
+     */
+    getStats() {
+        return { maxConcurrent: this.maxConcurrent, maxQueued: this.maxQueued, active: this.active, queued: this.queue.length };
+    }
+
+    /**
+     * Build a release function that frees the slot once, handing it to the next waiter
+     * @returns {Function} Release function
+     */
+    createRelease() {
+        let released = false;
+
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+
+            const next = this.queue.shift();
+            if (next) {
+                clearTimeout(next.timer);
+                next.resolve(this.createRelease());
+            } else {
+                this.active--;
+            }
+        };
+    }
+
+    /**
+     * Drop a waiter from the queue
+     * @param {Object} waiter - Queued waiter
+     * @returns {boolean} true when the waiter was still queued
+     */
+    removeWaiter(waiter) {
+        const index = this.queue.indexOf(waiter);
+        if (index === -1) {
+            return false;
+        }
+
+        this.queue.splice(index, 1);
+        clearTimeout(waiter.timer);
+        return true;
+    }
+}
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} value - Raw value
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number} Parsed value
+ */
+function readNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Build the limiters from environment variables
+ * @param {Object} env - Environment (RATE_LIMIT_REQUESTS_PER_MINUTE, RATE_LIMIT_BURST,
+ *   COMPLETION_RATE_LIMIT_REQUESTS_PER_MINUTE, COMPLETION_RATE_LIMIT_BURST,
+ *   WORKSPACE_RATE_LIMIT_REQUESTS_PER_MINUTE, WORKSPACE_RATE_LIMIT_BURST,
+ *   MAX_CONCURRENT_REQUESTS, MAX_QUEUED_REQUESTS, QUEUE_TIMEOUT_MS)
+ * @returns {{rateLimiter: TokenBucketLimiter, completionRateLimiter: TokenBucketLimiter,
+ *   workspaceRateLimiter: TokenBucketLimiter, concurrency: ConcurrencyLimiter}} Limiters
+ */
+function createLimiters(env = process.env) {
+    return {
+        rateLimiter: new TokenBucketLimiter({
+            requestsPerMinute: readNumber(env.RATE_LIMIT_REQUESTS_PER_MINUTE, DEFAULT_REQUESTS_PER_MINUTE),
+            burst: readNumber(env.RATE_LIMIT_BURST, DEFAULT_BURST),
+        }),
+        completionRateLimiter: new TokenBucketLimiter({
+            requestsPerMinute: readNumber(env.COMPLETION_RATE_LIMIT_REQUESTS_PER_MINUTE, DEFAULT_COMPLETION_REQUESTS_PER_MINUTE),
+            burst: readNumber(env.COMPLETION_RATE_LIMIT_BURST, DEFAULT_COMPLETION_BURST),
+        }),
+        workspaceRateLimiter: new TokenBucketLimiter({
+            requestsPerMinute: readNumber(env.WORKSPACE_RATE_LIMIT_REQUESTS_PER_MINUTE, DEFAULT_WORKSPACE_REQUESTS_PER_MINUTE),
+            burst: readNumber(env.WORKSPACE_RATE_LIMIT_BURST, DEFAULT_WORKSPACE_BURST),
+        }),
+        concurrency: new ConcurrencyLimiter({
+            maxConcurrent: readNumber(env.MAX_CONCURRENT_REQUESTS, DEFAULT_MAX_CONCURRENT),
+            maxQueued: readNumber(env.MAX_QUEUED_REQUESTS, DEFAULT_MAX_QUEUED),
+            queueTimeoutMs: readNumber(env.QUEUE_TIMEOUT_MS, DEFAULT_QUEUE_TIMEOUT_MS),
+        }),
+    };
+}
+
+module.exports = {
+    RateLimitError,
+    TokenBucketLimiter,
+    ConcurrencyLimiter,
+    createLimiters,
+};
@@ -0,0 +1,242 @@
+/**
+ * Secret redaction safety net
+ *
+ * The VS Code extension redacts secrets before uploading; this applies the same
+ * detectors on the backend so files from clients that do not (older extensions,
+ * scripts calling the API directly) never reach a model provider with credentials
+ * in them. Keep the formats in sync with the extension's src/redaction.ts; both
+ * are tested against tests/fixtures/redaction-cases.json.
+ */
+
+const BUILTIN_PATTERNS = [
+    { type: 'private-key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g },
+    { type: 'aws-access-key', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16}\b/g },
+    { type: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { type: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+    { type: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+    { type: 'stripe-key', pattern: /\b[rs]k_live_[A-Za-z0-9]{16,}\b/g },
+    { type: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+    { type: 'openai-key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g },
+    { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+    { type: 'connection-string-password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:([^\s/@]{3,})@/gi, group: 1 },
+];
+
+// `NAME = "value"`, `NAME: value`, `name := 'value'`
+const ASSIGNMENT = /([A-Za-z_][A-Za-z0-9_.-]*)(["']?\s*(?::=|=|:)\s*)(["'`]?)([^\s"'`,;(){}[\]<>]{8,})\3(?=[\s,;)}\]]|$)/g;
+const SECRET_NAME = /(secret|passw(or)?d|pwd|token|api[_-]?key|apikey|private[_-]?key|access[_-]?key|credential|auth)/i;
+const NON_SECRET_NAME = /(hash|checksum|integrity|digest|sha\d*|commit|uuid|guid)$/i;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// URLs without a query string, absolute or relative paths and `file.ext:line`
+// references are long and varied but not secrets. Only `/`-separated word
+// segments count, so base64 keys that happen to contain `/` are still checked.
+const URL_OR_PATH = /^(?:[a-z][a-z0-9+.-]*:\/\/[^?#]+|(?:~|\.{1,2})?(?:\/[\w@.~-]+)+\/?|(?:[\w@.~-]+\/)*[\w@.~-]+\.[a-z][a-z0-9]{0,9}(?::\d+(?:-\d+)?)?)$/i;
+const MIN_ENTROPY_LENGTH = 20;
+const MIN_ENTROPY_BITS = 3.5;
+
+/**
+ * Shannon entropy of a string
+ * @param {string} value - String to measure
+ * @returns {number} Bits per character
+ */
+function shannonEntropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Classify an assigned value: a secret by name, a random-looking string, or neither.
+ * Unquoted values without digits under a secret name are usually code
+ * (`password = user.password`), so they are left alone.
+ * @returns {string|undefined} Finding type
+ */
+function classifyAssignment(name, value, quoted) {
+    if (value.startsWith('[REDACTED:') || value.startsWith('$')) {
+        return undefined;
+    }
+    if (SECRET_NAME.test(name) && !NON_SECRET_NAME.test(name) && (quoted || /[0-9]/.test(value))) {
+        return 'secret-assignment';
+    }
+    if (
+        value.length >= MIN_ENTROPY_LENGTH
+        && /[0-9]/.test(value) && /[A-Za-z]/.test(value)
+        && !NON_SECRET_NAME.test(name) && !UUID.test(value) && !/^sha\d+-/.test(value)
+        && !URL_OR_PATH.test(value) && shannonEntropy(value) >= MIN_ENTROPY_BITS
+    ) {
+        return 'high-entropy-string';
+    }
+    return undefined;
+}
+
+// Multi-line secrets keep their line breaks so line numbers in the file stay valid
+function placeholder(type, secret = '') {
+    return `[REDACTED:${type}]${'\n'.repeat(secret.split('\n').length - 1)}`;
+}
+
+function lineAt(text, index) {
+    let line = 1;
+    for (let i = 0; i < index; i++) {
+        if (text.charCodeAt(i) === 10) {
+            line++;
+        }
+    }
+    return line;
+}
+
+// Where a cursor moves when `length` characters at `offset` are replaced by
+// `replacement` ones; a cursor inside the replaced text moves after the replacement
+function shiftCursor(shifted, cursor, offset, length, replacement) {
+    if (offset + length <= cursor) {
+        return shifted + replacement - length;
+    }
+    return offset < cursor ? shifted - cursor + offset + replacement : shifted;
+}
+
+/**
+ * Replace secrets in a string and track where a cursor in it ends up
+ * @param {string} content - Text to redact
+ * @param {number} cursor - Offset of the cursor in `content`
+ * @returns {{content: string, findings: Array<{type: string, line: number}>, cursor: number}}
+ *   Redacted content, what was replaced and the cursor's offset in the redacted content
+ */
+function redactWithCursor(content, cursor) {
+    const findings = [];
+    let text = content;
+
+    for (const { type, pattern, group } of BUILTIN_PATTERNS) {
+        let shifted = cursor;
+        text = text.replace(pattern, (...args) => {
+            const match = args[0];
+            const offset = args[args.length - 2];
+            const secret = group ? args[group] : match;
+            if (!secret) {
+                return match;
+            }
+            findings.push({ type, line: lineAt(text, offset) });
+            const replaced = group ? match.replace(secret, placeholder(type, secret)) : placeholder(type, secret);
+            shifted = shiftCursor(shifted, cursor, offset, match.length, replaced.length);
+            return replaced;
+        });
+        cursor = shifted;
+    }
+
+    let shifted = cursor;
+    text = text.replace(ASSIGNMENT, (match, name, separator, quote, value, offset) => {
+        const type = classifyAssignment(name, value, quote !== '');
+        if (!type) {
+            return match;
+        }
+        findings.push({ type, line: lineAt(text, offset) });
+        const replaced = `${name}${separator}${quote}${placeholder(type)}${quote}`;
+        shifted = shiftCursor(shifted, cursor, offset, match.length, replaced.length);
+        return replaced;
+    });
+
+    findings.sort((a, b) => a.line - b.line);
+    return { content: text, findings, cursor: shifted };
+}
+
+/**
+ * Replace secrets in a string with `[REDACTED:<type>]` placeholders
+ * @param {string} content - File content
+ * @returns {{content: string, findings: Array<{type: string, line: number}>}} Redacted content and what was replaced
+ */
+function redactSecrets(content) {
+    const { content: redacted, findings } = redactWithCursor(content, 0);
+    return { content: redacted, findings };
+}
+
+/**
+ * Redacts uploaded files before they are indexed or sent to a model
+ */
+class SecretRedactor {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.enabled - false passes files through unchanged
+     */
+    constructor({ enabled = true } = {}) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * @returns {boolean} true when files are redacted
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Redact a list of files
+     * @param {Array<{filename: string, content: string}>} files - Uploaded files
+     * @returns {{files: Array, redactions: {total: number, files: Array<{filename: string, findings: Array}>}}}
+     *   Files to use from here on and what was redacted in which file
+     */
+    redactFiles(files) {
+        const redacted = [];
+        if (!this.enabled) {
+            return { files, redactions: { total: 0, files: redacted } };
+        }
+
+        const result = files.map(file => {
+            const { content, findings } = redactSecrets(file.content);
+            if (findings.length === 0) {
+                return file;
+            }
+            redacted.push({ filename: file.filename, findings });
+            return { ...file, content };
+        });
+
+        return {
+            files: result,
+            redactions: { total: redacted.reduce((sum, file) => sum + file.findings.length, 0), files: redacted },
+        };
+    }
+
+    /**
+     * Redact text that is not an uploaded file, such as a tool result sent back by a client
+     * @param {string} text - Text to redact
+     * @returns {{content: string, findings: Array<{type: string, line: number}>}} Text to use and what was replaced
+     */
+    redactText(text) {
+        return this.enabled ? redactSecrets(text) : { content: text, findings: [] };
+    }
+
+    /**
+     * Redact the code around a cursor as one text, so a secret the cursor splits
+     * is still found; its placeholder ends up before the cursor
+     * @param {string} prefix - Code before the cursor
+     * @param {string} suffix - Code after the cursor
+     * @returns {{prefix: string, suffix: string, findings: Array<{type: string, line: number}>}}
+     *   Code to use on either side of the cursor and what was replaced
+     */
+    redactAroundCursor(prefix, suffix) {
+        if (!this.enabled) {
+            return { prefix, suffix, findings: [] };
+        }
+
+        const { content, findings, cursor } = redactWithCursor(prefix + suffix, prefix.length);
+        return { prefix: content.slice(0, cursor), suffix: content.slice(cursor), findings };
+    }
+}
+
+/**
+ * Create the redactor from the environment; REDACT_SECRETS=false disables it
+ * @param {Object} env - Environment variables
+ * @returns {SecretRedactor}
+ */
+function createRedactor(env = process.env) {
+    return new SecretRedactor({ enabled: String(env.REDACT_SECRETS ?? 'true').toLowerCase() !== 'false' });
+}
+
+module.exports = SecretRedactor;
+module.exports.createRedactor = createRedactor;
+module.exports.redactSecrets = redactSecrets;
+module.exports.shannonEntropy = shannonEntropy;
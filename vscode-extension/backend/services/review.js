@@ -0,0 +1,218 @@
+/**
+ * Reviews of local git changes
+ *
+ * Clients send what `git` reports for the workspace (branch, status, staged and
+ * unstaged diffs, recent commit subjects). It is added to the system prompt of
+ * any request that carries it; in review mode the model is also asked to report
+ * its findings one per line,
+ *
+ *     - [warning] [src/cart.js:14](src/cart.js:14 "total += price") Discount is applied twice
+ *
+ * and each finding that cites a location becomes a review comment on that line.
+ * Comments record whether they land on a line the diffs add or change, so
+ * clients can tell findings about the change from remarks about nearby code.
+ * A finding may be followed by a fenced `suggestion` block with replacement
+ * text for the cited lines, as in GitHub reviews; the comment then carries the
+ * replacement and the uploaded text it replaces, so clients can check that the
+ * lines are unchanged before applying it.
+ */
+
+const { CITATION_STATUS } = require('./citations');
+
+const REVIEW_SEVERITY = Object.freeze({
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info',
+});
+
+// A list item starting with a severity tag, e.g. "- [error] ..."
+const FINDING = /^[ \t]*[-*][ \t]+\[(error|warning|info)\][ \t]*(.*)$/gim;
+const DIFF_FILE = /^\+\+\+ (.+)$/;
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+// A ```suggestion block, possibly indented under its list item
+const SUGGESTION = /^([ \t]*)```suggestion[ \t]*\n([\s\S]*?)^[ \t]*```[ \t]*$/m;
+
+// Appended to the system prompt's instructions in review mode; keep in step with FINDING
+const REVIEW_INSTRUCTIONS = `- The user wants a code review of their uncommitted changes (the git diffs above). Review the changed lines, using the file contents for the surrounding code
+- Report each finding on its own line as a list item: a severity tag ([error], [warning] or [info]), a citation link to the line it is about, then the finding, e.g.
+- [warning] [src/cart.js:14](src/cart.js:14 "total += price") The discount is applied twice
+- Use [error] for bugs and security problems, [warning] for risky or unclear code, [info] for suggestions
+- Cite lines of the current files (the "+" side of the diffs), not removed lines
+- When a finding has a concrete fix, follow its line with a \`\`\`suggestion block holding the replacement for all the cited lines, indented like them; an empty block deletes them
+- After the findings, give a one-paragraph overall assessment; say so when you found nothing to report`;
+
+function diffPath(header) {
+    const path = header.replace(/\t.*$/, '').trim();
+    return path === '/dev/null' ? null : path.replace(/^b\//, '');
+}
+
+/**
+ * Find the lines a unified diff adds or changes, numbered as in the new files
+ * @param {string} diff - Output of `git diff`
+ * @returns {Map<string, Set<number>>} Path -> changed line numbers
+ */
+function changedLines(diff) {
+    const changed = new Map();
+    let lines = null;
+    let lineNumber = 0;
+
+    for (const line of (diff || '').split('\n')) {
+        const file = DIFF_FILE.exec(line);
+        if (file) {
+            const path = diffPath(file[1]);
+            lines = path ? changed.get(path) || new Set() : null;
+            if (path) {
+                changed.set(path, lines);
+            }
+            continue;
+        }
+        const hunk = HUNK_HEADER.exec(line);
+        if (hunk) {
+            lineNumber = Number(hunk[1]);
+            continue;
+        }
+        if (!lines || lineNumber === 0) {
+            continue;
+        }
+        if (line.startsWith('+')) {
+            lines.add(lineNumber++);
+        } else if (line.startsWith(' ')) {
+            lineNumber++;
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Paths the git changes touch, for ranking file context
+ * @param {Object|null} git - Git changes from the request
+ * @returns {string[]} Changed paths, in status order
+ */
+function changedPaths(git) {
+    return git ? git.status.map(entry => entry.path) : [];
+}
+
+/**
+ * Render the git changes for the system prompt
+ * @param {Object} git - Git changes from the request
+ * @returns {string} Prompt section
+ */
+function formatGitContext(git) {
+    const sections = [`Git changes in the workspace (branch: ${git.branch || 'detached HEAD'}):`];
+
+    sections.push(git.status.length > 0
+        ? `Changed files (git status --porcelain):\n${git.status.map(entry => (
+            `${entry.code} ${entry.originalPath ? `${entry.originalPath} -> ` : ''}${entry.path}`
+        )).join('\n')}`
+        : 'Changed files: none');
+
+    if (git.recentCommits.length > 0) {
+        sections.push(`Recent commits, newest first:\n${git.recentCommits.map(commit => `${commit.hash} ${commit.subject}`).join('\n')}`);
+    }
+    if (git.stagedDiff) {
+        sections.push(`Staged changes:\n\`\`\`diff\n${git.stagedDiff.replace(/\n$/, '')}\n\`\`\``);
+    }
+    if (git.unstagedDiff) {
+        sections.push(`Unstaged changes:\n\`\`\`diff\n${git.unstagedDiff.replace(/\n$/, '')}\n\`\`\``);
+    }
+    if (git.truncated) {
+        sections.push('(The diffs were cut short to fit the request.)');
+    }
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Read the suggested replacement that follows a finding
+ * @param {string} text - Answer text between the finding and the next one
+ * @returns {string|null} Replacement lines without the block's indentation, or null
+ */
+function parseSuggestion(text) {
+    const block = SUGGESTION.exec(text);
+    if (!block) {
+        return null;
+    }
+    const indent = block[1];
+    return block[2]
+        .replace(/\n$/, '')
+        .split('\n')
+        .map(line => (line.startsWith(indent) ? line.slice(indent.length) : line.trimStart()))
+        .join('\n');
+}
+
+/**
+ * Turn the findings of a review answer into per-line comments
+ * @param {string} text - Model answer
+ * @param {Array} citations - Citations extracted from the answer (see citations.js)
+ * @param {Object|null} git - Git changes the review was asked for
+ * @param {Array<{filename: string, content: string}>} files - Files the answer was generated from;
+ *   suggestions are kept only for lines found in them
+ * @returns {Array<Object>} Comments in answer order: path, startLine, endLine, severity,
+ *   message, status of the cited location, whether it is on a changed line and, when
+ *   the finding suggests a fix, the suggestion ({original, replacement})
+ */
+function extractReviewComments(text, citations, git = null, files = []) {
+    const changed = new Map();
+    if (git) {
+        for (const diff of [git.stagedDiff, git.unstagedDiff]) {
+            changedLines(diff).forEach((lines, path) => {
+                changed.set(path, new Set([...(changed.get(path) || []), ...lines]));
+            });
+        }
+    }
+
+    const contents = new Map(files.map(file => [file.filename.replace(/\\/g, '/').replace(/^\.\//, ''), file.content || '']));
+    const matches = [...text.matchAll(FINDING)];
+    const comments = [];
+    matches.forEach((match, index) => {
+        const finding = match[2];
+        const findingStart = match.index + match[0].length - finding.length;
+        const citation = citations.find(candidate => (
+            candidate.offset >= findingStart && candidate.offset < findingStart + finding.length
+        ));
+        if (!citation) {
+            return;
+        }
+
+        // The finding without its link, e.g. "The discount is applied twice"
+        const linkStart = citation.offset - findingStart;
+        const message = (finding.slice(0, linkStart) + finding.slice(linkStart + citation.length))
+            .replace(/^[\s:–—-]+/, '')
+            .trim();
+        const lines = changed.get(citation.path);
+        const startLine = citation.startLine;
+        const endLine = citation.endLine || startLine;
+
+        // Only for lines that were checked against the uploaded file
+        const replacement = parseSuggestion(text.slice(match.index + match[0].length, matches[index + 1]?.index));
+        const located = citation.status === CITATION_STATUS.VERIFIED || citation.status === CITATION_STATUS.CORRECTED;
+        const content = contents.get(citation.path);
+        const suggestion = replacement !== null && located && content !== undefined
+            ? { original: content.split('\n').slice(startLine - 1, endLine).join('\n'), replacement }
+            : null;
+
+        comments.push({
+            path: citation.path,
+            startLine,
+            endLine,
+            severity: match[1].toLowerCase(),
+            message,
+            status: citation.status,
+            changed: !!lines && startLine !== null && Array.from(lines).some(line => line >= startLine && line <= endLine),
+            ...(suggestion && { suggestion }),
+        });
+    });
+
+    return comments;
+}
+
+module.exports = {
+    REVIEW_INSTRUCTIONS,
+    REVIEW_SEVERITY,
+    changedLines,
+    changedPaths,
+    extractReviewComments,
+    formatGitContext,
+    parseSuggestion,
+};
@@ -0,0 +1,220 @@
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+
+const MAX_REPORTED_PROBLEMS = 20;
+
+const TYPE_DESCRIPTIONS = {
+    string: 'a string',
+    array: 'an array',
+    object: 'an object',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+};
+
+/**
+ * Check that a path stays inside the workspace: relative, without `..`
+ * segments, drive letters or NUL bytes. Backslashes count as separators.
+ * @param {string} value - File path
+ * @returns {boolean} true for a safe relative path
+ */
+function isRelativePath(value) {
+    const normalized = value.replace(/\\/g, '/');
+    if (normalized.includes('\0') || normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+        return false;
+    }
+
+    const segments = normalized.split('/');
+    return !segments.includes('..') && segments.some(segment => segment !== '' && segment !== '.');
+}
+
+const FORMATS = {
+    'relative-path': { test: isRelativePath, description: 'must be a relative path inside the workspace' },
+};
+
+/**
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} true when the value has the type
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Describe a schema type for messages; `null` is left out so nullable
+ * fields read "must be a string"
+ * @param {string|string[]} type - JSON Schema type
+ * @returns {string} e.g. "a string"
+ */
+function describeType(type) {
+    return [].concat(type).filter(name => name !== 'null').map(name => TYPE_DESCRIPTIONS[name] || name).join(' or ');
+}
+
+/**
+ * @param {string} path - Property path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Child path, e.g. files[2].filename
+ */
+function childPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * Supports the JSON Schema subset the API schemas use: type, enum,
+ * properties, required, items, minItems/maxItems, minLength/maxLength,
+ * pattern, minimum/maximum, format ("relative-path") and if/then/else,
+ * plus three annotations:
+ *   errorMessage       replaces the message of failures at this node and below
+ *                      (unless a more specific code applies)
+ *   x-error-codes      keyword -> error code, e.g. { maxLength: 'FILE_TOO_LARGE' }
+ *   x-unique-by        array items must differ in this property (code from x-error-codes.x-unique-by)
+ *
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to validate
+ * @returns {Array<{path: string, code: string, message: string}>} Problems, empty when valid
+ */
+function validate(schema, value) {
+    const problems = [];
+    check(schema, value, '', null, schema, problems);
+
+    const seen = new Set();
+    return problems.filter(problem => {
+        const key = `${problem.path}\n${problem.code}\n${problem.message}`;
+        return seen.has(key) ? false : seen.add(key);
+    });
+}
+
+/**
+ * Check one schema node
+ * @param {Object} schema - Schema node
+ * @param {*} value - Value at this node
+ * @param {string} path - Path of the value
+ * @param {{path: string, message: string}|null} inherited - Nearest errorMessage above this node
+ * @param {Object} scope - Schema whose `properties` describe fields named in `required`
+ * @param {Array} problems - Collected problems
+ */
+function check(schema, value, path, inherited, scope, problems) {
+    const override = schema.errorMessage ? { path, message: schema.errorMessage } : inherited;
+    const codes = schema['x-error-codes'] || {};
+
+    const fail = (keyword, message, at = path) => {
+        if (codes[keyword]) {
+            problems.push({ path: at, code: codes[keyword], message: `${at || 'body'} ${message}` });
+        } else if (override) {
+            problems.push({ path: override.path, code: ERROR_CODES.INVALID_REQUEST, message: `${override.path || 'body'} ${override.message}` });
+        } else {
+            problems.push({ path: at, code: ERROR_CODES.INVALID_REQUEST, message: `${at || 'body'} ${message}` });
+        }
+    };
+
+    if (schema.type && ![].concat(schema.type).some(type => hasType(value, type))) {
+        fail('type', `must be ${describeType(schema.type)}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail('enum', `must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail('minLength', `must be at least ${schema.minLength} character(s)`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail('maxLength', `must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail('pattern', `must match ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+            fail('format', FORMATS[schema.format].description);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail('minimum', `must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail('maximum', `must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail('minItems', `must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail('maxItems', `must contain at most ${schema.maxItems} items`);
+            return;
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, childPath(path, index), override, schema.items, problems));
+        }
+        if (schema['x-unique-by']) {
+            const property = schema['x-unique-by'];
+            const seen = new Set();
+            value.forEach((item, index) => {
+                const key = item && typeof item === 'object' ? item[property] : undefined;
+                if (key === undefined) {
+                    return;
+                }
+                if (seen.has(key)) {
+                    fail('x-unique-by', `repeats ${property} "${key}"`, childPath(childPath(path, index), property));
+                }
+                seen.add(key);
+            });
+        }
+    }
+
+    if (hasType(value, 'object')) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                const property = (scope.properties || {})[key] || {};
+                const message = property.errorMessage || (property.type ? `must be ${describeType(property.type)}` : 'is required');
+                fail('required', message, childPath(path, key));
+            }
+        }
+
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                check(propertySchema, value[key], childPath(path, key), override, propertySchema, problems);
+            }
+        }
+
+        if (schema.if) {
+            const branch = validate(schema.if, value).length === 0 ? schema.then : schema.else;
+            if (branch) {
+                check(branch, value, path, override, scope, problems);
+            }
+        }
+    }
+}
+
+/**
+ * Turn validation problems into the 400 error sent to the client
+ * @param {Array<{path: string, code: string, message: string}>} problems - Problems from validate()
+ * @returns {ApiError} Error whose message and code come from the first problem
+ */
+function toValidationError(problems) {
+    const [first] = problems;
+    return new ApiError(first.code, `Invalid request: ${first.message}`, 400, problems.slice(0, MAX_REPORTED_PROBLEMS));
+}
+
+module.exports = {
+    validate,
+    toValidationError,
+    isRelativePath,
+};
@@ -0,0 +1,960 @@
+const { ERROR_CODES } = require('./apiErrors');
+const { CITATION_STATUS } = require('./citations');
+const { DIAGNOSTIC_SEVERITY } = require('./diagnostics');
+const { EDIT_STATUS } = require('./edits');
+const { OUTLINE_KINDS, OUTLINE_LANGUAGES } = require('./outline');
+const { REVIEW_SEVERITY } = require('./review');
+
+/**
+ * Declared request and response schemas of the HTTP API
+ *
+ * Request schemas are enforced by the validation middleware in index.js
+ * (see schemaValidator.js for the supported keywords); response schemas
+ * document what clients can rely on and are checked by the handler tests.
+ * openapi.js publishes all of them, plus the shared `definitions`, as the
+ * OpenAPI document served at /openapi.json.
+ */
+
+const MAX_FILES = 5000;
+const MAX_FILE_CHARS = 1000000;
+const MAX_PATH_LENGTH = 1024;
+const MAX_PROMPT_CHARS = 100000;
+const MAX_SEARCH_RESULTS = 100;
+const MAX_TOOL_STEPS = 25;
+const MAX_TOOL_OUTPUT_CHARS = 100000;
+const MAX_CONVERSATION_MESSAGES = 1000;
+const MAX_MESSAGE_CHARS = 1000000;
+const MAX_TITLE_CHARS = 200;
+const MAX_DIFF_CHARS = 200000;
+const MAX_GIT_STATUS_ENTRIES = 1000;
+const MAX_RECENT_COMMITS = 50;
+const MAX_TEMPLATE_CHARS = 10000;
+const MAX_DIAGNOSTICS = 50;
+const MAX_DIAGNOSTIC_CHARS = 10000;
+const MAX_RELATED_LOCATIONS = 10;
+const MAX_COMPLETION_CONTEXT_CHARS = 100000;
+const MAX_COMPLETION_FILES = 10;
+const MAX_SYMBOL_CODE_CHARS = 100000;
+
+const nullableString = { type: ['string', 'null'] };
+
+const filePath = {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_PATH_LENGTH,
+    format: 'relative-path',
+    description: 'Workspace-relative path; absolute paths, drive letters and ".." segments are rejected',
+    'x-error-codes': { minLength: ERROR_CODES.INVALID_PATH, maxLength: ERROR_CODES.INVALID_PATH, format: ERROR_CODES.INVALID_PATH },
+};
+
+const workspaceFile = {
+    type: 'object',
+    required: ['filename', 'content'],
+    properties: {
+        filename: filePath,
+        content: {
+            type: 'string',
+            maxLength: MAX_FILE_CHARS,
+            'x-error-codes': { maxLength: ERROR_CODES.FILE_TOO_LARGE },
+        },
+    },
+};
+
+const workspaceFiles = {
+    type: 'array',
+    maxItems: MAX_FILES,
+    items: workspaceFile,
+    'x-unique-by': 'filename',
+    'x-error-codes': { maxItems: ERROR_CODES.TOO_MANY_FILES, 'x-unique-by': ERROR_CODES.DUPLICATE_FILE },
+};
+
+const historyMessage = {
+    type: 'object',
+    required: ['role', 'content'],
+    properties: {
+        role: { enum: ['user', 'assistant'] },
+        content: { type: 'string' },
+    },
+};
+
+const history = {
+    type: ['array', 'null'],
+    items: historyMessage,
+    errorMessage: 'must be an array of { role: "user" | "assistant", content: string } messages',
+};
+
+const toolStep = {
+    type: 'object',
+    description: 'A tool call the backend relayed, with the result the client got from running it',
+    required: ['id', 'name', 'arguments'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        arguments: { type: 'object' },
+        output: { type: 'string', maxLength: MAX_TOOL_OUTPUT_CHARS },
+        error: { type: 'string', maxLength: MAX_TOOL_OUTPUT_CHARS },
+    },
+};
+
+const gitChanges = {
+    type: 'object',
+    description: 'Uncommitted changes of the workspace as reported by git; clients redact the diffs and cut them to fit',
+    required: ['branch', 'status', 'stagedDiff', 'unstagedDiff', 'recentCommits'],
+    properties: {
+        branch: { ...nullableString, description: 'Current branch, null when HEAD is detached' },
+        status: {
+            type: 'array',
+            maxItems: MAX_GIT_STATUS_ENTRIES,
+            items: {
+                type: 'object',
+                required: ['path', 'code'],
+                properties: {
+                    path: filePath,
+                    originalPath: { ...filePath, description: 'Path before a rename or copy' },
+                    code: { type: 'string', pattern: '^[ MTADRCU?!]{2}$', description: 'Two-letter status code of `git status --porcelain`' },
+                },
+            },
+        },
+        stagedDiff: { type: 'string', maxLength: MAX_DIFF_CHARS, description: 'Output of `git diff --cached`' },
+        unstagedDiff: { type: 'string', maxLength: MAX_DIFF_CHARS, description: 'Output of `git diff`' },
+        recentCommits: {
+            type: 'array',
+            maxItems: MAX_RECENT_COMMITS,
+            items: {
+                type: 'object',
+                required: ['hash', 'subject'],
+                properties: {
+                    hash: { type: 'string' },
+                    subject: { type: 'string' },
+                },
+            },
+            description: 'Newest first',
+        },
+        truncated: { type: 'boolean', description: 'The diffs were cut short' },
+    },
+};
+
+const diagnostic = {
+    type: 'object',
+    description: 'A problem the editor reports, e.g. a compiler error or lint warning',
+    required: ['path', 'startLine', 'endLine', 'severity', 'message'],
+    properties: {
+        path: filePath,
+        startLine: { type: 'integer', minimum: 1 },
+        endLine: { type: 'integer', minimum: 1 },
+        severity: { enum: Object.values(DIAGNOSTIC_SEVERITY) },
+        message: { type: 'string', minLength: 1, maxLength: MAX_DIAGNOSTIC_CHARS },
+        source: { ...nullableString, description: 'Tool that reported it, e.g. "ts" or "eslint"' },
+        code: { ...nullableString, description: 'Error code or rule, e.g. "2304" or "no-unused-vars"' },
+        related: {
+            type: 'array',
+            maxItems: MAX_RELATED_LOCATIONS,
+            items: {
+                type: 'object',
+                required: ['path', 'line', 'message'],
+                properties: {
+                    path: { type: 'string', maxLength: MAX_PATH_LENGTH },
+                    line: { type: 'integer', minimum: 1 },
+                    message: { type: 'string', maxLength: MAX_DIAGNOSTIC_CHARS },
+                },
+            },
+            description: 'Other locations the tool points to, e.g. the declaration a type error conflicts with',
+        },
+        snippet: {
+            type: 'object',
+            required: ['startLine', 'text'],
+            properties: {
+                startLine: { type: 'integer', minimum: 1 },
+                text: { type: 'string', maxLength: MAX_DIAGNOSTIC_CHARS },
+            },
+            description: 'Lines around the problem, starting at `startLine`; clients redact them',
+        },
+    },
+};
+
+const uploadRequest = {
+    type: 'object',
+    description: 'Body of POST /upload and POST /upload/stream; `files` may be omitted when `sessionId` names an upload session',
+    required: ['prompt'],
+    properties: {
+        prompt: {
+            type: 'string',
+            minLength: 1,
+            maxLength: MAX_PROMPT_CHARS,
+            errorMessage: 'must be a string',
+            'x-error-codes': { maxLength: ERROR_CODES.PROMPT_TOO_LARGE },
+        },
+        files: workspaceFiles,
+        sessionId: nullableString,
+        model: nullableString,
+        currentFile: nullableString,
+        history,
+        mode: {
+            enum: ['chat', 'edit', 'review'],
+            description: '`edit` asks the model for search/replace edits, returned as `edits` in the response; '
+                + '`review` reviews the changes in `git` (required in this mode), returned as `comments`; defaults to `chat`',
+        },
+        git: gitChanges,
+        diagnostics: {
+            type: 'array',
+            maxItems: MAX_DIAGNOSTICS,
+            items: diagnostic,
+            description: 'Problems the editor reports for the files the request is about; added to the prompt',
+        },
+        tools: {
+            type: 'boolean',
+            description: 'The client can run workspace tools; the model may then answer with `toolCalls` instead of an answer',
+        },
+        toolSteps: {
+            type: ['array', 'null'],
+            maxItems: MAX_TOOL_STEPS,
+            items: toolStep,
+            description: 'Tool calls of the current turn and their results, oldest first',
+        },
+    },
+    if: { required: ['sessionId'], properties: { sessionId: { type: 'string', minLength: 1 } } },
+    else: { required: ['files'] },
+};
+
+const commitMessageRequest = {
+    type: 'object',
+    description: 'Body of POST /commit-message',
+    required: ['diff'],
+    properties: {
+        diff: {
+            type: 'string',
+            minLength: 1,
+            maxLength: MAX_DIFF_CHARS,
+            errorMessage: 'must be a non-empty string',
+            description: 'Output of `git diff --cached`',
+        },
+        template: {
+            type: ['string', 'null'],
+            maxLength: MAX_TEMPLATE_CHARS,
+            description: 'Commit message template of the repository (`commit.template` or `.gitmessage`); the message follows its structure',
+        },
+        model: nullableString,
+    },
+};
+
+const completeRequest = {
+    type: 'object',
+    description: 'Body of POST /complete',
+    required: ['prefix'],
+    properties: {
+        prefix: {
+            type: 'string',
+            maxLength: MAX_COMPLETION_CONTEXT_CHARS,
+            description: 'Text of the document before the cursor; the backend keeps the lines nearest the cursor',
+        },
+        suffix: {
+            type: 'string',
+            maxLength: MAX_COMPLETION_CONTEXT_CHARS,
+            description: 'Text of the document after the cursor',
+        },
+        language: {
+            type: ['string', 'null'],
+            maxLength: 100,
+            description: 'Language id of the document, e.g. `typescript`',
+        },
+        path: {
+            ...filePath,
+            type: ['string', 'null'],
+            description: 'Workspace-relative path of the document',
+        },
+        files: {
+            type: 'array',
+            maxItems: MAX_COMPLETION_FILES,
+            items: workspaceFile,
+            'x-error-codes': { maxItems: ERROR_CODES.TOO_MANY_FILES },
+            description: 'Neighboring files, most relevant first; they share what the code around the cursor leaves of `COMPLETION_TOKEN_BUDGET`',
+        },
+        model: nullableString,
+    },
+};
+
+const explainRequest = {
+    type: 'object',
+    description: 'Body of POST /explain',
+    required: ['code'],
+    properties: {
+        code: {
+            type: 'string',
+            minLength: 1,
+            maxLength: MAX_SYMBOL_CODE_CHARS,
+            errorMessage: 'must be a non-empty string',
+            description: 'Source of the function, class or other symbol; code beyond `EXPLANATION_TOKEN_BUDGET` is cut',
+        },
+        name: {
+            type: ['string', 'null'],
+            maxLength: 500,
+            description: 'Name of the symbol, e.g. `parseConfig`',
+        },
+        kind: {
+            type: ['string', 'null'],
+            maxLength: 50,
+            description: 'Kind of the symbol, e.g. `function`, `method` or `class`',
+        },
+        language: {
+            type: ['string', 'null'],
+            maxLength: 100,
+            description: 'Language id of the document, e.g. `typescript`',
+        },
+        path: {
+            ...filePath,
+            type: ['string', 'null'],
+            description: 'Workspace-relative path of the document',
+        },
+        model: nullableString,
+    },
+};
+
+const searchRequest = {
+    type: 'object',
+    description: 'Body of POST /search; GET /search maps ?q=, ?sessionId= and ?topK= onto the same fields. '
+        + '`files` may be omitted when `sessionId` names an upload session',
+    required: ['query'],
+    properties: {
+        query: { type: 'string', minLength: 1, errorMessage: 'must be a non-empty string' },
+        files: workspaceFiles,
+        sessionId: nullableString,
+        topK: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_SEARCH_RESULTS,
+            errorMessage: `must be an integer between 1 and ${MAX_SEARCH_RESULTS}`,
+        },
+    },
+    if: { required: ['sessionId'], properties: { sessionId: { type: 'string', minLength: 1 } } },
+    else: { required: ['files'] },
+};
+
+const outlineRequest = {
+    type: 'object',
+    description: 'Body of POST /outline',
+    required: ['files'],
+    properties: {
+        files: workspaceFiles,
+    },
+};
+
+const dependenciesRequest = {
+    type: 'object',
+    description: 'Body of POST /dependencies; `files` may be omitted when `sessionId` names an upload session',
+    properties: {
+        files: workspaceFiles,
+        sessionId: nullableString,
+        filename: {
+            ...filePath,
+            description: 'Return only this file; its importers are found even when the file itself is not among `files`',
+        },
+    },
+    if: { required: ['sessionId'], properties: { sessionId: { type: 'string', minLength: 1 } } },
+    else: { required: ['files'] },
+};
+
+const manifestRequest = {
+    type: 'object',
+    description: 'Body of PUT /sessions/:sessionId/manifest',
+    required: ['files'],
+    properties: {
+        files: {
+            type: 'array',
+            maxItems: MAX_FILES,
+            'x-unique-by': 'filename',
+            'x-error-codes': { maxItems: ERROR_CODES.TOO_MANY_FILES, 'x-unique-by': ERROR_CODES.DUPLICATE_FILE },
+            items: {
+                type: 'object',
+                required: ['filename', 'hash'],
+                properties: {
+                    filename: filePath,
+                    hash: { type: 'string', pattern: '^[a-f0-9]{64}$', errorMessage: 'must be a sha256 hex digest' },
+                },
+            },
+        },
+    },
+};
+
+const sessionFilesRequest = {
+    type: 'object',
+    description: 'Body of POST /sessions/:sessionId/files',
+    required: ['files'],
+    properties: {
+        files: {
+            type: 'array',
+            maxItems: MAX_FILES,
+            items: workspaceFile,
+            'x-error-codes': { maxItems: ERROR_CODES.TOO_MANY_FILES },
+        },
+    },
+};
+
+const conversationTitle = {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_TITLE_CHARS,
+    errorMessage: `must be a string of 1 to ${MAX_TITLE_CHARS} characters`,
+};
+
+const conversationMessages = {
+    type: 'array',
+    maxItems: MAX_CONVERSATION_MESSAGES,
+    items: {
+        type: 'object',
+        required: ['role', 'content'],
+        properties: {
+            role: { enum: ['user', 'assistant'] },
+            content: { type: 'string', maxLength: MAX_MESSAGE_CHARS },
+            metadata: {
+                type: 'object',
+                description: 'Client-defined data kept with the message, e.g. the citations shown with an answer',
+            },
+        },
+    },
+};
+
+const createConversationRequest = {
+    type: 'object',
+    description: 'Body of POST /conversations; the title defaults to the first user message',
+    properties: {
+        title: conversationTitle,
+        messages: conversationMessages,
+    },
+};
+
+const appendMessagesRequest = {
+    type: 'object',
+    description: 'Body of POST /conversations/:conversationId/messages',
+    required: ['messages'],
+    properties: {
+        messages: { ...conversationMessages, minItems: 1 },
+    },
+};
+
+const renameConversationRequest = {
+    type: 'object',
+    description: 'Body of PATCH /conversations/:conversationId',
+    required: ['title'],
+    properties: {
+        title: conversationTitle,
+    },
+};
+
+const servedBy = {
+    type: 'object',
+    required: ['provider', 'model'],
+    properties: {
+        provider: { type: 'string' },
+        model: { type: 'string' },
+    },
+};
+
+const nullableLine = { type: ['integer', 'null'], minimum: 1 };
+
+const citation = {
+    type: 'object',
+    description: 'A code location cited in aiResponse, checked against the uploaded files',
+    required: ['label', 'path', 'startLine', 'endLine', 'column', 'snippet', 'status', 'offset', 'length'],
+    properties: {
+        label: { type: 'string' },
+        path: { type: 'string' },
+        startLine: nullableLine,
+        endLine: nullableLine,
+        column: nullableLine,
+        snippet: nullableString,
+        status: { enum: Object.values(CITATION_STATUS) },
+        citedLine: { type: 'integer', minimum: 1 },
+        offset: { type: 'integer', minimum: 0 },
+        length: { type: 'integer', minimum: 1 },
+    },
+};
+
+const editHunk = {
+    type: 'object',
+    description: 'Replace `search` (the exact text in the uploaded file; empty to create the file) with `replace`',
+    required: ['search', 'replace', 'startLine', 'endLine', 'status'],
+    properties: {
+        search: { type: 'string' },
+        replace: { type: 'string' },
+        startLine: nullableLine,
+        endLine: nullableLine,
+        status: { enum: Object.values(EDIT_STATUS) },
+    },
+};
+
+const fileEdit = {
+    type: 'object',
+    description: 'Edits proposed for one file, checked against the uploaded content',
+    required: ['path', 'create', 'status', 'hunks'],
+    properties: {
+        path: { type: 'string' },
+        create: { type: 'boolean' },
+        status: { enum: Object.values(EDIT_STATUS) },
+        hunks: { type: 'array', items: editHunk },
+    },
+};
+
+const reviewComment = {
+    type: 'object',
+    description: 'A review finding about the cited lines; `changed` is true when they include a line the diffs add or change',
+    required: ['path', 'startLine', 'endLine', 'severity', 'message', 'status', 'changed'],
+    properties: {
+        path: { type: 'string' },
+        startLine: nullableLine,
+        endLine: nullableLine,
+        severity: { enum: Object.values(REVIEW_SEVERITY) },
+        message: { type: 'string' },
+        status: { enum: Object.values(CITATION_STATUS), description: 'Status of the cited location, as for citations' },
+        changed: { type: 'boolean' },
+        suggestion: {
+            type: 'object',
+            description: 'Suggested replacement for the cited lines; `original` is their uploaded text, so clients can check they are unchanged before applying it',
+            required: ['original', 'replacement'],
+            properties: {
+                original: { type: 'string' },
+                replacement: { type: 'string' },
+            },
+        },
+    },
+};
+
+const uploadResponse = {
+    type: 'object',
+    required: ['message', 'aiResponse', 'citations', 'directoryTree', 'provider', 'metadata'],
+    properties: {
+        message: { type: 'string' },
+        aiResponse: { type: 'string' },
+        citations: { type: 'array', items: citation },
+        edits: { type: 'array', items: fileEdit, description: 'Present when the request used `mode: "edit"`' },
+        comments: { type: 'array', items: reviewComment, description: 'Present when the request used `mode: "review"`' },
+        directoryTree: { type: 'object' },
+        llmStatus: { type: 'object' },
+        provider: servedBy,
+        metadata: {
+            type: 'object',
+            required: ['filesProcessed', 'totalCharacters', 'timestamp'],
+            properties: {
+                filesProcessed: { type: 'integer', minimum: 0 },
+                totalCharacters: { type: 'integer', minimum: 0 },
+                timestamp: { type: 'string' },
+                context: { type: 'object' },
+                redactions: {
+                    type: 'object',
+                    required: ['total', 'files'],
+                    properties: {
+                        total: { type: 'integer', minimum: 0 },
+                        files: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['filename', 'findings'],
+                                properties: {
+                                    filename: { type: 'string' },
+                                    findings: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            required: ['type', 'line'],
+                                            properties: {
+                                                type: { type: 'string' },
+                                                line: { type: 'integer', minimum: 1 },
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+const toolCall = {
+    type: 'object',
+    description: 'A tool the model asked for; `error` is set when the call cannot run and is the result to send back',
+    required: ['id', 'name', 'arguments'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        arguments: { type: 'object' },
+        error: { type: 'string' },
+    },
+};
+
+const toolCallsResponse = {
+    type: 'object',
+    description: 'Body of /upload (and the tool_calls event of /upload/stream) when the model asks for tools before answering',
+    required: ['message', 'aiResponse', 'toolCalls', 'provider'],
+    properties: {
+        message: { type: 'string' },
+        aiResponse: { type: 'string', description: 'What the model wrote before the calls, often empty' },
+        toolCalls: { type: 'array', minItems: 1, items: toolCall },
+        provider: servedBy,
+    },
+};
+
+const errorResponse = {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+        error: { type: 'string' },
+        code: { enum: Object.values(ERROR_CODES) },
+        message: { type: 'string' },
+        retryAfter: { type: 'integer', minimum: 1 },
+        details: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['path', 'code', 'message'],
+                properties: {
+                    path: { type: 'string' },
+                    code: { enum: Object.values(ERROR_CODES) },
+                    message: { type: 'string' },
+                },
+            },
+        },
+    },
+};
+
+const streamEvent = {
+    type: 'object',
+    description: 'One NDJSON line of POST /upload/stream: start, chunk (repeated), then done, tool_calls or error',
+    required: ['type'],
+    properties: {
+        type: { enum: ['start', 'chunk', 'done', 'tool_calls', 'error'] },
+        provider: servedBy,
+        text: { type: 'string' },
+        error: { type: 'string' },
+        code: { enum: Object.values(ERROR_CODES) },
+        message: { type: 'string' },
+    },
+};
+
+const searchResponse = {
+    type: 'object',
+    required: ['query', 'results', 'index'],
+    properties: {
+        query: { type: 'string' },
+        results: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['filename', 'startLine', 'endLine', 'kind', 'score', 'preview'],
+                properties: {
+                    filename: { type: 'string' },
+                    startLine: { type: 'integer', minimum: 1 },
+                    endLine: { type: 'integer', minimum: 1 },
+                    kind: { type: 'string' },
+                    symbol: nullableString,
+                    score: { type: 'number' },
+                    preview: { type: 'string' },
+                },
+            },
+        },
+        index: {
+            type: 'object',
+            required: ['documents', 'chunks'],
+            properties: {
+                documents: { type: 'integer', minimum: 0 },
+                chunks: { type: 'integer', minimum: 0 },
+            },
+        },
+    },
+};
+
+const outlineSymbol = {
+    type: 'object',
+    description: 'A function, class, method or other declaration of a file',
+    required: ['name', 'kind', 'line', 'endLine', 'container', 'exported'],
+    properties: {
+        name: { type: 'string' },
+        kind: { enum: OUTLINE_KINDS },
+        line: { type: 'integer', minimum: 1 },
+        endLine: { type: 'integer', minimum: 1 },
+        container: {
+            ...nullableString,
+            description: 'Dot-qualified name of the class or type the symbol is a member of; null for top-level symbols',
+        },
+        exported: {
+            type: 'boolean',
+            description: 'Top-level symbols: importable from other modules (Python: no leading underscore, Go: capitalized, Java: public). Members: not private',
+        },
+    },
+};
+
+const outlineResponse = {
+    type: 'object',
+    required: ['files'],
+    properties: {
+        files: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['filename', 'language', 'symbols'],
+                properties: {
+                    filename: { type: 'string' },
+                    language: {
+                        enum: [...OUTLINE_LANGUAGES, null],
+                        description: 'Detected from the extension; files in other languages have no symbols',
+                    },
+                    symbols: { type: 'array', items: outlineSymbol },
+                },
+            },
+        },
+    },
+};
+
+const dependencyLink = {
+    type: 'object',
+    description: 'An import statement: `filename` is the imported file (in `imports`) or the importing file (in `importedBy`)',
+    required: ['filename', 'specifier', 'line'],
+    properties: {
+        filename: { type: 'string' },
+        specifier: { type: 'string', description: 'Module name as written in the import statement' },
+        line: { type: 'integer', minimum: 1, description: 'Line of the import statement in the importing file' },
+    },
+};
+
+const unresolvedImport = {
+    type: 'object',
+    description: 'An import statement that resolves to no uploaded file',
+    required: ['specifier', 'line'],
+    properties: {
+        specifier: { type: 'string' },
+        line: { type: 'integer', minimum: 1 },
+    },
+};
+
+const dependenciesResponse = {
+    type: 'object',
+    required: ['files'],
+    properties: {
+        files: {
+            type: 'array',
+            description: 'Every file by name, or only the requested `filename`',
+            items: {
+                type: 'object',
+                required: ['filename', 'imports', 'importedBy', 'external', 'unresolved'],
+                properties: {
+                    filename: { type: 'string' },
+                    imports: { type: 'array', items: dependencyLink },
+                    importedBy: { type: 'array', items: dependencyLink },
+                    external: {
+                        type: 'array',
+                        items: unresolvedImport,
+                        description: 'Package imports (no uploaded file and not relative or path-aliased)',
+                    },
+                    unresolved: {
+                        type: 'array',
+                        items: unresolvedImport,
+                        description: 'Relative or path-aliased imports whose file was not uploaded',
+                    },
+                },
+            },
+        },
+    },
+};
+
+const commitMessageResponse = {
+    type: 'object',
+    required: ['message', 'summarizedFiles', 'omittedFiles', 'provider'],
+    properties: {
+        message: { type: 'string', description: 'Conventional Commits subject, then a blank line and the body when there is one' },
+        summarizedFiles: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Files whose diffs were too large to send and were summarized first',
+        },
+        omittedFiles: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Files the model saw only by name and line counts',
+        },
+        provider: servedBy,
+    },
+};
+
+const completeResponse = {
+    type: 'object',
+    required: ['completion', 'provider'],
+    properties: {
+        completion: { type: 'string', description: 'Text to insert at the cursor; empty when the model has nothing to add' },
+        provider: servedBy,
+    },
+};
+
+const explainResponse = {
+    type: 'object',
+    required: ['explanation', 'provider'],
+    properties: {
+        explanation: { type: 'string', description: 'One to three sentences of plain text with inline code' },
+        provider: servedBy,
+    },
+};
+
+const sessionResponse = {
+    type: 'object',
+    required: ['sessionId', 'expiresAt'],
+    properties: {
+        sessionId: { type: 'string' },
+        expiresAt: { type: 'string' },
+    },
+};
+
+const manifestResponse = {
+    type: 'object',
+    required: ['missing', 'expiresAt'],
+    properties: {
+        missing: { type: 'array', items: { type: 'string' } },
+        expiresAt: { type: 'string' },
+    },
+};
+
+const sessionFilesResponse = {
+    type: 'object',
+    required: ['stored', 'missing'],
+    properties: {
+        stored: { type: 'integer', minimum: 0 },
+        missing: { type: 'array', items: { type: 'string' } },
+    },
+};
+
+const conversationSummary = {
+    type: 'object',
+    required: ['id', 'title', 'createdAt', 'updatedAt', 'messageCount'],
+    properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' },
+        messageCount: { type: 'integer', minimum: 0 },
+    },
+};
+
+const conversationResponse = {
+    ...conversationSummary,
+    required: [...conversationSummary.required, 'messages'],
+    properties: {
+        ...conversationSummary.properties,
+        messages: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['role', 'content', 'createdAt'],
+                properties: {
+                    role: { enum: ['user', 'assistant'] },
+                    content: { type: 'string' },
+                    createdAt: { type: 'string' },
+                    metadata: { type: 'object' },
+                },
+            },
+        },
+    },
+};
+
+const conversationListResponse = {
+    type: 'object',
+    required: ['conversations'],
+    properties: {
+        conversations: { type: 'array', items: conversationSummary },
+    },
+};
+
+const healthResponse = {
+    type: 'object',
+    required: ['status', 'timestamp', 'uptime', 'llmStatus', 'limits'],
+    properties: {
+        status: { enum: ['healthy'] },
+        timestamp: { type: 'string' },
+        uptime: { type: 'number' },
+        llmStatus: { type: 'object' },
+        limits: {
+            type: 'object',
+            required: ['rateLimit', 'completionRateLimit', 'workspaceRateLimit', 'concurrency'],
+            properties: {
+                rateLimit: { type: 'object' },
+                completionRateLimit: { type: 'object' },
+                workspaceRateLimit: { type: 'object' },
+                concurrency: { type: 'object' },
+            },
+        },
+        redaction: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+            },
+        },
+    },
+};
+
+module.exports = {
+    MAX_FILES,
+    MAX_FILE_CHARS,
+    MAX_PATH_LENGTH,
+    MAX_PROMPT_CHARS,
+    MAX_SEARCH_RESULTS,
+    MAX_TOOL_STEPS,
+    MAX_TOOL_OUTPUT_CHARS,
+    MAX_CONVERSATION_MESSAGES,
+    MAX_MESSAGE_CHARS,
+    MAX_TITLE_CHARS,
+    MAX_DIFF_CHARS,
+    MAX_GIT_STATUS_ENTRIES,
+    MAX_RECENT_COMMITS,
+    MAX_TEMPLATE_CHARS,
+    MAX_DIAGNOSTICS,
+    MAX_COMPLETION_CONTEXT_CHARS,
+    MAX_COMPLETION_FILES,
+    MAX_SYMBOL_CODE_CHARS,
+    definitions: {
+        workspaceFile,
+        historyMessage,
+        toolStep,
+        gitChanges,
+        diagnostic,
+        servedBy,
+        citation,
+        editHunk,
+        fileEdit,
+        reviewComment,
+        toolCall,
+        outlineSymbol,
+        dependencyLink,
+        unresolvedImport,
+    },
+    requests: {
+        upload: uploadRequest,
+        commitMessage: commitMessageRequest,
+        complete: completeRequest,
+        explain: explainRequest,
+        search: searchRequest,
+        outline: outlineRequest,
+        dependencies: dependenciesRequest,
+        manifest: manifestRequest,
+        sessionFiles: sessionFilesRequest,
+        createConversation: createConversationRequest,
+        appendMessages: appendMessagesRequest,
+        renameConversation: renameConversationRequest,
+    },
+    responses: {
+        upload: uploadResponse,
+        toolCalls: toolCallsResponse,
+        streamEvent,
+        commitMessage: commitMessageResponse,
+        complete: completeResponse,
+        explain: explainResponse,
+        search: searchResponse,
+        outline: outlineResponse,
+        dependencies: dependenciesResponse,
+        session: sessionResponse,
+        manifest: manifestResponse,
+        sessionFiles: sessionFilesResponse,
+        conversation: conversationResponse,
+        conversationSummary,
+        conversationList: conversationListResponse,
+        health: healthResponse,
+        error: errorResponse,
+    },
+};
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const { MemorySessionStore } = require('./sessionStore');
+const { contentHash } = require('./codeIndex');
+const { ApiError, ERROR_CODES } = require('./apiErrors');
+
+const DEFAULT_SESSION_TTL_MINUTES = 30;
+const DEFAULT_MAX_SESSIONS = 1000;
+const MAX_MANIFEST_FILES = 5000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Error for session requests the client must fix, carrying the HTTP status to reply with
+ */
+class SessionError extends ApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status code
+     * @param {string} code - Error code (see apiErrors.js)
+     */
+    constructor(message, status = 400, code = ERROR_CODES.INVALID_REQUEST) {
+        super(code, message, status);
+        this.name = 'SessionError';
+    }
+}
+
+/**
+ * Check a client manifest entry
+ * @param {*} entry - Manifest entry
+ * @returns {boolean} true for `{ filename, hash }` with a sha256 hex hash
+ */
+function isManifestEntry(entry) {
+    return !!entry && typeof entry === 'object'
+        && typeof entry.filename === 'string' && entry.filename.length > 0
+        && typeof entry.hash === 'string' && /^[a-f0-9]{64}$/.test(entry.hash);
+}
+
+/**
+ * Session manager
+ *
+ * Lets a client upload its workspace once and then send only what changed.
+ * A session holds the client's current manifest (path -> content hash) and
+ * the blobs (hash -> content) it has uploaded. On every turn the client sends
+ * its manifest, uploads the blobs the backend reports missing, and then refers
+ * to the session instead of re-sending files.
+ *
+ * Sessions expire after `ttlMinutes` without use. Expired sessions are pruned
+ * lazily when a new session is opened, at most once a minute, so no timer is
+ * needed (which keeps the manager usable on Lambda). At most `maxSessions` are
+ * kept; opening one more evicts the session closest to expiring.
+ */
+class SessionManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Session store (see sessionStore.js)
+     * @param {number} options.ttlMinutes - Idle time after which a session expires
+     * @param {number} options.maxSessions - Most sessions kept at once
+     * @param {Function} options.now - Clock, for tests
+     */
+    constructor({ store = null, ttlMinutes = DEFAULT_SESSION_TTL_MINUTES, maxSessions = DEFAULT_MAX_SESSIONS, now = Date.now } = {}) {
+        this.store = store || new MemorySessionStore();
+        this.ttlMs = (ttlMinutes > 0 ? ttlMinutes : DEFAULT_SESSION_TTL_MINUTES) * 60 * 1000;
+        this.maxSessions = maxSessions > 0 ? Math.floor(maxSessions) : DEFAULT_MAX_SESSIONS;
+        this.now = now;
+        this.lastPruned = -Infinity;
+    }
+
+    /**
+     * Open a new, empty session
+     * @param {string|null} owner - Label of the API key that owns the session, if any
+     * @returns {Promise<{sessionId: string, expiresAt: string}>} New session
+     */
+    async open(owner = null) {
+        await this.prune();
+
+        const session = {
+            id: crypto.randomBytes(16).toString('hex'),
+            owner,
+            createdAt: this.now(),
+            manifest: {},
+            blobs: {},
+            expiresAt: this.now() + this.ttlMs,
+        };
+        await this.store.set(session.id, session);
+
+        return { sessionId: session.id, expiresAt: new Date(session.expiresAt).toISOString() };
+    }
+
+    /**
+     * Load a live session
+     * @param {string} sessionId - Session id
+     * @param {string|null} owner - Label of the requesting API key; sessions of other keys are not found
+     * @returns {Promise<Object>} Session
+     * @throws {SessionError} 404 when the session does not exist, has expired or belongs to another key
+     */
+    async get(sessionId, owner = null) {
+        const session = typeof sessionId === 'string' ? await this.store.get(sessionId) : null;
+
+        if (session && (session.owner || null) !== owner) {
+            throw new SessionError('Session not found or expired', 404, ERROR_CODES.SESSION_NOT_FOUND);
+        }
+
+        if (!session || session.expiresAt <= this.now()) {
+            if (session) {
+                await this.store.delete(sessionId);
+            }
+            throw new SessionError('Session not found or expired', 404, ERROR_CODES.SESSION_NOT_FOUND);
+        }
+
+        return session;
+    }
+
+    /**
+     * Replace the session's manifest and report which files still need uploading.
+     * Blobs no longer referenced by the manifest are dropped.
+     * @param {string} sessionId - Session id
+     * @param {Array<{filename: string, hash: string}>} manifest - Workspace files and their sha256 content hashes
+     * @param {string|null} owner - Label of the requesting API key
+     * @returns {Promise<{missing: string[], expiresAt: string}>} Files whose content the backend does not have
+     */
+    async syncManifest(sessionId, manifest, owner = null) {
+        if (!Array.isArray(manifest) || !manifest.every(isManifestEntry)) {
+            throw new SessionError('Invalid request: files must be an array of { filename, hash } entries with sha256 hex hashes');
+        }
+        if (manifest.length > MAX_MANIFEST_FILES) {
+            throw new SessionError(`Invalid request: a manifest may list at most ${MAX_MANIFEST_FILES} files`, 400, ERROR_CODES.TOO_MANY_FILES);
+        }
+
+        const session = await this.modify(sessionId, owner, session => {
+            session.manifest = {};
+            for (const { filename, hash } of manifest) {
+                session.manifest[filename] = hash;
+            }
+
+            const referenced = new Set(Object.values(session.manifest));
+            for (const hash of Object.keys(session.blobs)) {
+                if (!referenced.has(hash)) {
+                    delete session.blobs[hash];
+                }
+            }
+        });
+
+        return { missing: this.missingFiles(session), expiresAt: new Date(session.expiresAt).toISOString() };
+    }
+
+    /**
+     * Store uploaded file contents. Files are matched to the manifest by content
+     * hash; content the manifest does not reference is ignored.
+     * @param {string} sessionId - Session id
+     * @param {Array<{filename: string, content: string}>} files - Uploaded files
+     * @param {string|null} owner - Label of the requesting API key
+     * @returns {Promise<{stored: number, missing: string[]}>} Count of stored blobs and files still missing
+     */
+    async addBlobs(sessionId, files, owner = null) {
+        if (!Array.isArray(files) || !files.every(file => file && typeof file.content === 'string')) {
+            throw new SessionError('Invalid request: files must be an array of { filename, content } entries');
+        }
+
+        const uploads = files.map(file => ({ hash: contentHash(file.content), content: file.content }));
+
+        let stored = 0;
+        const session = await this.modify(sessionId, owner, session => {
+            const referenced = new Set(Object.values(session.manifest));
+            stored = 0;
+            for (const { hash, content } of uploads) {
+                if (referenced.has(hash) && !(hash in session.blobs)) {
+                    session.blobs[hash] = content;
+                    stored++;
+                }
+            }
+        });
+
+        return { stored, missing: this.missingFiles(session) };
+    }
+
+    /**
+     * Resolve the session's manifest into files for a model request
+     * @param {string} sessionId - Session id
+     * @param {string|null} owner - Label of the requesting API key
+     * @returns {Promise<Array<{filename: string, content: string}>>} Files in manifest order
+     * @throws {SessionError} 409 when some file contents have not been uploaded yet
+     */
+    async resolveFiles(sessionId, owner = null) {
+        const session = await this.get(sessionId, owner);
+        const missing = this.missingFiles(session);
+
+        if (missing.length > 0) {
+            throw new SessionError(`Session is missing the content of ${missing.length} file(s); upload them first`, 409, ERROR_CODES.SESSION_INCOMPLETE);
+        }
+
+        // Only the expiry changes, so the blobs are not written again
+        await this.store.touch(sessionId, this.now() + this.ttlMs);
+        return Object.entries(session.manifest).map(([filename, hash]) => ({ filename, content: session.blobs[hash] }));
+    }
+
+    /**
+     * Close a session
+     * @param {string} sessionId - Session id
+     * @param {string|null} owner - Label of the requesting API key; other keys' sessions are left alone
+     */
+    async close(sessionId, owner = null) {
+        const session = typeof sessionId === 'string' ? await this.store.get(sessionId) : null;
+
+        if (session && (session.owner || null) === owner) {
+            await this.store.delete(sessionId);
+        }
+    }
+
+    /**
+     * Delete expired sessions, and the sessions closest to expiring when the
+     * store is full, so one more fits. Runs at most once per PRUNE_INTERVAL_MS
+     * unless the store is full.
+     * @returns {Promise<number>} Number of sessions deleted
+     */
+    async prune() {
+        const now = this.now();
+        if (now - this.lastPruned < PRUNE_INTERVAL_MS && await this.store.count() < this.maxSessions) {
+            return 0;
+        }
+        this.lastPruned = now;
+
+        const expiries = Array.from(await this.store.expiries()).sort((a, b) => a[1] - b[1]);
+        const excess = expiries.length - (this.maxSessions - 1);
+        const doomed = expiries.filter(([, expiresAt], index) => index < excess || expiresAt <= now);
+
+        for (const [id] of doomed) {
+            await this.store.delete(id);
+        }
+
+        return doomed.length;
+    }
+
+    /**
+     * Files in the manifest whose content has not been uploaded
+     * @param {Object} session - Session
+     * @returns {string[]} File names
+     */
+    missingFiles(session) {
+        return Object.entries(session.manifest)
+            .filter(([, hash]) => !(hash in session.blobs))
+            .map(([filename]) => filename);
+    }
+
+    /**
+     * Change a live session and extend its expiry. Changes of one session run
+     * one after another, so concurrent requests do not overwrite each other.
+     * @param {string} sessionId - Session id
+     * @param {string|null} owner - Label of the requesting API key
+     * @param {Function} change - Mutates the session
+     * @returns {Promise<Object>} Changed session
+     * @throws {SessionError} 404 when the session does not exist, has expired or belongs to another key
+     */
+    async modify(sessionId, owner, change) {
+        if (typeof sessionId !== 'string') {
+            throw new SessionError('Session not found or expired', 404, ERROR_CODES.SESSION_NOT_FOUND);
+        }
+
+        let expired = false;
+        try {
+            return await this.store.modify(sessionId, session => {
+                if (!session || (session.owner || null) !== owner) {
+                    throw new SessionError('Session not found or expired', 404, ERROR_CODES.SESSION_NOT_FOUND);
+                }
+                if (session.expiresAt <= this.now()) {
+                    expired = true;
+                    throw new SessionError('Session not found or expired', 404, ERROR_CODES.SESSION_NOT_FOUND);
+                }
+
+                change(session);
+                session.expiresAt = this.now() + this.ttlMs;
+                return session;
+            });
+        } catch (error) {
+            if (expired) {
+                await this.store.delete(sessionId);
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = SessionManager;
+module.exports.SessionError = SessionError;
+module.exports.DEFAULT_SESSION_TTL_MINUTES = DEFAULT_SESSION_TTL_MINUTES;
+module.exports.DEFAULT_MAX_SESSIONS = DEFAULT_MAX_SESSIONS;
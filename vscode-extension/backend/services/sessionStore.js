@@ -0,0 +1,242 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Session stores
+ *
+ * A store keeps upload sessions by id. Sessions are plain JSON-serializable
+ * objects; the session manager owns their shape and expiry. Every store
+ * implements the same async interface, so the in-memory default can be swapped
+ * for one that survives restarts or is shared between instances:
+ *
+ *   get(id)                -> session, or null when unknown
+ *   set(id, session)       -> stores (or replaces) a session
+ *   modify(id, change)     -> stores change(session or null) and returns it; changes of
+ *                             one session run one after another, and nothing is stored
+ *                             when change throws
+ *   touch(id, expiresAt)   -> moves a session's expiry without rewriting its blobs
+ *   delete(id)             -> removes a session
+ *   count()                -> number of stored sessions
+ *   expiries()             -> Map of every stored session's id to its expiresAt
+ */
+
+/**
+ * In-memory session store (default)
+ *
+ * Fast, but sessions are lost on restart and are not shared between Lambda
+ * instances; clients reopen a session when theirs is not found.
+ */
+class MemorySessionStore {
+    constructor() {
+        this.sessions = new Map();
+    }
+
+    async get(id) {
+        return this.sessions.get(id) || null;
+    }
+
+    async set(id, session) {
+        this.sessions.set(id, session);
+    }
+
+    async modify(id, change) {
+        // Synchronous from read to write, so no other call can interleave
+        const session = change(this.sessions.get(id) || null);
+        this.sessions.set(id, session);
+        return session;
+    }
+
+    async touch(id, expiresAt) {
+        const session = this.sessions.get(id);
+        if (session) {
+            session.expiresAt = expiresAt;
+        }
+    }
+
+    async delete(id) {
+        this.sessions.delete(id);
+    }
+
+    async count() {
+        return this.sessions.size;
+    }
+
+    async expiries() {
+        return new Map(Array.from(this.sessions, ([id, session]) => [id, session.expiresAt]));
+    }
+}
+
+/**
+ * File-backed session store
+ *
+ * Writes one JSON file per session into a directory, so sessions survive a
+ * server restart and can be shared by processes on the same machine. A
+ * session's expiry is kept as its file's modification time: extending it does
+ * not rewrite the blobs, and expired sessions are found without reading them.
+ * Writes of one session are serialized within the process.
+ */
+class FileSessionStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Directory for session files (created on first write)
+     */
+    constructor({ directory }) {
+        this.directory = directory;
+        this.pending = new Map();
+    }
+
+    /**
+     * Path of a session's file. Ids are generated by the session manager, but
+     * they arrive in URLs, so anything that is not a plain token is rejected.
+     * @param {string} id - Session id
+     * @returns {string|null} File path, or null for an invalid id
+     */
+    filePath(id) {
+        return /^[A-Za-z0-9_-]+$/.test(id) ? path.join(this.directory, `${id}.json`) : null;
+    }
+
+    async get(id) {
+        const file = this.filePath(id);
+        if (!file) {
+            return null;
+        }
+
+        try {
+            const session = JSON.parse(await fs.readFile(file, 'utf8'));
+            session.expiresAt = (await fs.stat(file)).mtimeMs;
+            return session;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(id, session) {
+        const file = this.filePath(id);
+        if (!file) {
+            throw new Error(`Invalid session id "${id}"`);
+        }
+
+        await this.queue(id, () => this.write(file, session));
+    }
+
+    async modify(id, change) {
+        const file = this.filePath(id);
+        if (!file) {
+            throw new Error(`Invalid session id "${id}"`);
+        }
+
+        return this.queue(id, async () => {
+            const session = change(await this.get(id));
+            await this.write(file, session);
+            return session;
+        });
+    }
+
+    async touch(id, expiresAt) {
+        const file = this.filePath(id);
+        if (!file) {
+            return;
+        }
+
+        await this.queue(id, async () => {
+            try {
+                await fs.utimes(file, new Date(), new Date(expiresAt));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        });
+    }
+
+    async delete(id) {
+        const file = this.filePath(id);
+        if (file) {
+            await this.queue(id, () => fs.rm(file, { force: true }));
+        }
+    }
+
+    async count() {
+        return (await this.ids()).length;
+    }
+
+    async expiries() {
+        const expiries = new Map();
+        for (const id of await this.ids()) {
+            try {
+                expiries.set(id, (await fs.stat(this.filePath(id))).mtimeMs);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        return expiries;
+    }
+
+    /**
+     * Ids of the stored sessions
+     * @returns {Promise<string[]>} Ids
+     */
+    async ids() {
+        try {
+            const names = await fs.readdir(this.directory);
+            return names.filter(name => name.endsWith('.json')).map(name => name.slice(0, -'.json'.length));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write a session's file, with its expiry as the modification time
+     * @param {string} file - File path
+     * @param {Object} session - Session
+     */
+    async write(file, session) {
+        await fs.mkdir(this.directory, { recursive: true });
+        // Write to a temporary file first so readers never see a partial session
+        const temporary = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify(session));
+        await fs.utimes(temporary, new Date(), new Date(session.expiresAt));
+        await fs.rename(temporary, file);
+    }
+
+    /**
+     * Run a read-modify-write of one session after the earlier ones of the same
+     * session, so concurrent requests do not overwrite each other's changes
+     * @param {string} id - Session id
+     * @param {Function} run - Async work
+     * @returns {Promise<*>} What `run` resolves to
+     */
+    queue(id, run) {
+        const result = (this.pending.get(id) || Promise.resolve()).then(run);
+        const settled = result.catch(() => {});
+        this.pending.set(id, settled);
+        settled.then(() => {
+            if (this.pending.get(id) === settled) {
+                this.pending.delete(id);
+            }
+        });
+        return result;
+    }
+}
+
+/**
+ * Create the session store selected by the environment
+ * @param {Object} env - Environment variables (SESSION_STORE, SESSION_DIR)
+ * @returns {MemorySessionStore|FileSessionStore} Session store
+ */
+function createSessionStore(env = process.env) {
+    if ((env.SESSION_STORE || 'memory').toLowerCase() === 'file') {
+        return new FileSessionStore({ directory: env.SESSION_DIR || path.join(process.cwd(), '.sessions') });
+    }
+    return new MemorySessionStore();
+}
+
+module.exports = { MemorySessionStore, FileSessionStore, createSessionStore };
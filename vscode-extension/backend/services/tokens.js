@@ -0,0 +1,18 @@
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Rough token estimate (about four characters per token)
+ *
+ * Good enough for budgeting prompt context across providers without shipping
+ * a tokenizer per model.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+module.exports = {
+    CHARS_PER_TOKEN,
+    estimateTokens,
+};
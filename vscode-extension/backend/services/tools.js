@@ -0,0 +1,250 @@
+const { validate } = require('./schemaValidator');
+
+/**
+ * Workspace tools
+ *
+ * A client that can service tools sends `tools: true`. The model may then ask
+ * for more of the workspace than was uploaded by answering with tool calls,
+ *
+ *     <tool_call>{"name": "read_file", "arguments": {"path": "src/app.js"}}</tool_call>
+ *
+ * The backend does not run them. It returns the calls to the client, which
+ * services them against the live workspace and sends the request again with
+ * every call so far and its result as `toolSteps`. Each round replays the steps
+ * to the model as chat turns, until it answers without calling a tool. Nothing
+ * is kept between rounds, so the loop also works behind the buffered Lambda handler.
+ */
+
+const TOOL_CALL = /<tool_call>([\s\S]*?)(?:<\/tool_call>|$)/g;
+const TOOL_CALL_START = '<tool_call>';
+
+const optionalPath = {
+    type: 'string',
+    format: 'relative-path',
+    description: 'Workspace-relative path',
+};
+
+// Argument schemas double as the tool list in the prompt; validated with schemaValidator
+const TOOLS = Object.freeze({
+    read_file: {
+        description: 'Read a file with line numbers, optionally only lines startLine to endLine',
+        arguments: {
+            type: 'object',
+            required: ['path'],
+            properties: {
+                path: optionalPath,
+                startLine: { type: 'integer', minimum: 1 },
+                endLine: { type: 'integer', minimum: 1 },
+            },
+        },
+    },
+    list_directory: {
+        description: 'List the files and folders in a directory; omit path for the workspace root',
+        arguments: {
+            type: 'object',
+            properties: {
+                path: optionalPath,
+            },
+        },
+    },
+    search_text: {
+        description: 'Find the lines that contain query as plain text, ignoring case, optionally only under path',
+        arguments: {
+            type: 'object',
+            required: ['query'],
+            properties: {
+                query: { type: 'string', minLength: 1 },
+                path: optionalPath,
+            },
+        },
+    },
+    get_diagnostics: {
+        description: 'List the errors and warnings the editor reports, optionally only for one file or folder',
+        arguments: {
+            type: 'object',
+            properties: {
+                path: optionalPath,
+            },
+        },
+    },
+});
+
+function describeArguments(schema) {
+    const required = schema.required || [];
+    return Object.entries(schema.properties)
+        .map(([name, property]) => `${name}${required.includes(name) ? '' : '?'}: ${property.type}`)
+        .join(', ');
+}
+
+// Appended to the system prompt's instructions while tools are offered; keep in step with TOOL_CALL
+const TOOL_INSTRUCTIONS = `- When the code shown above is not enough to answer, look at more of the workspace with these tools:
+${Object.entries(TOOLS).map(([name, tool]) => `  - ${name}(${describeArguments(tool.arguments)}): ${tool.description}`).join('\n')}
+- Call a tool by answering with one line per call and nothing after it:
+<tool_call>{"name": "read_file", "arguments": {"path": "src/app.js", "startLine": 1, "endLine": 80}}</tool_call>
+- The results come back in the next message. Call tools only when needed, then answer normally`;
+
+// Replaces the tool instructions once the client stops offering tools for the turn
+const TOOLS_EXHAUSTED_NOTE = '- No more tool calls are available for this question. Answer with what you have found so far';
+
+/**
+ * Read the tool calls out of an answer
+ * @param {string} text - Model answer
+ * @param {number} firstId - Number of the first call, so ids stay unique across rounds
+ * @returns {{text: string, calls: Array<{id: string, name: string, arguments: Object, error?: string}>}}
+ *   The answer without the calls, and the calls in answer order. Calls the
+ *   client cannot run carry an `error` that it returns to the model as their result.
+ */
+function parseToolCalls(text, firstId = 1) {
+    const calls = [];
+    const source = text || '';
+
+    for (const match of source.matchAll(TOOL_CALL)) {
+        const id = `call-${firstId + calls.length}`;
+        let parsed;
+        try {
+            parsed = JSON.parse(match[1].trim());
+        } catch {
+            calls.push({ id, name: 'unknown', arguments: {}, error: 'The tool call is not valid JSON.' });
+            continue;
+        }
+
+        const name = parsed && typeof parsed.name === 'string' ? parsed.name : 'unknown';
+        const args = parsed && parsed.arguments && typeof parsed.arguments === 'object' && !Array.isArray(parsed.arguments)
+            ? parsed.arguments
+            : {};
+        const tool = TOOLS[name];
+        if (!tool) {
+            calls.push({ id, name, arguments: args, error: `Unknown tool "${name}". Use one of ${Object.keys(TOOLS).join(', ')}.` });
+            continue;
+        }
+
+        const problems = validate(tool.arguments, args);
+        calls.push(problems.length > 0
+            ? { id, name, arguments: args, error: problems.map(problem => problem.message).join('; ') }
+            : { id, name, arguments: args });
+    }
+
+    return { text: source.replace(TOOL_CALL, '').trim(), calls };
+}
+
+/**
+ * Format a step's result as the message the model reads
+ * @param {Object} step - Tool step sent by the client
+ * @returns {string} Message text
+ */
+function formatToolResult(step) {
+    if (step.error) {
+        return `Tool ${step.name} (${step.id}) failed: ${step.error}`;
+    }
+    return `Result of ${step.name} (${step.id}):\n${step.output || '(no output)'}`;
+}
+
+/**
+ * Continue a conversation with the tool steps of the current turn: each step
+ * becomes the model's call followed by the client's result
+ * @param {Array} history - Earlier `{ role, content }` turns
+ * @param {string} userPrompt - Prompt of the current turn
+ * @param {Array} steps - Tool steps sent by the client, oldest first
+ * @returns {{history: Array, userPrompt: string}} Turns to send before the last message, and the last message
+ */
+function appendToolSteps(history, userPrompt, steps) {
+    if (!steps || steps.length === 0) {
+        return { history, userPrompt };
+    }
+
+    const turns = [...history, { role: 'user', content: userPrompt }];
+    steps.forEach((step, index) => {
+        turns.push({ role: 'assistant', content: `${TOOL_CALL_START}${JSON.stringify({ name: step.name, arguments: step.arguments })}</tool_call>` });
+        if (index < steps.length - 1) {
+            turns.push({ role: 'user', content: formatToolResult(step) });
+        }
+    });
+
+    return { history: turns, userPrompt: formatToolResult(steps[steps.length - 1]) };
+}
+
+/**
+ * Add the lines the model read with read_file to a context manifest, so
+ * citations of them are not flagged as out of context
+ * @param {Object} manifest - Context manifest from the context builder
+ * @param {Array} steps - Tool steps sent by the client
+ * @param {Array<{filename: string, content: string}>} files - Uploaded files
+ * @returns {Object} The manifest, or a copy with the read ranges added
+ */
+function withToolReads(manifest, steps, files) {
+    const reads = (steps || []).filter(step => step.name === 'read_file' && !step.error && typeof step.arguments?.path === 'string');
+    if (!manifest || reads.length === 0) {
+        return manifest;
+    }
+
+    const entries = new Map(manifest.files.map(entry => [entry.filename, { ...entry, ranges: [...entry.ranges] }]));
+    for (const step of reads) {
+        const path = step.arguments.path.replace(/^\.\//, '');
+        const file = files.find(candidate => candidate.filename === path);
+        if (!file) {
+            continue;
+        }
+
+        const totalLines = (file.content || '').split('\n').length;
+        const startLine = Math.min(step.arguments.startLine || 1, totalLines);
+        const endLine = Math.min(Math.max(step.arguments.endLine || totalLines, startLine), totalLines);
+        if (!entries.has(path)) {
+            entries.set(path, { filename: path, totalLines, ranges: [] });
+        }
+        entries.get(path).ranges.push({ startLine, endLine });
+    }
+
+    return { ...manifest, files: Array.from(entries.values()) };
+}
+
+/**
+ * Withhold streamed text from the first tool call on, so clients only see the
+ * prose before it. A chunk ending in what may be the start of `<tool_call>` is
+ * held back until the next chunk shows whether it is.
+ * @returns {{push: function(string): string, flush: function(): string}} Filter returning the text to show
+ */
+function createToolCallFilter() {
+    let pending = '';
+    let calling = false;
+
+    return {
+        push(text) {
+            if (calling) {
+                return '';
+            }
+
+            pending += text;
+            const start = pending.indexOf(TOOL_CALL_START);
+            if (start !== -1) {
+                calling = true;
+                const visible = pending.slice(0, start);
+                pending = '';
+                return visible;
+            }
+
+            let keep = Math.min(pending.length, TOOL_CALL_START.length - 1);
+            while (keep > 0 && !TOOL_CALL_START.startsWith(pending.slice(-keep))) {
+                keep--;
+            }
+            const visible = pending.slice(0, pending.length - keep);
+            pending = pending.slice(pending.length - keep);
+            return visible;
+        },
+        flush() {
+            const rest = calling ? '' : pending;
+            pending = '';
+            return rest;
+        },
+    };
+}
+
+module.exports = {
+    TOOLS,
+    TOOL_INSTRUCTIONS,
+    TOOLS_EXHAUSTED_NOTE,
+    appendToolSteps,
+    createToolCallFilter,
+    formatToolResult,
+    parseToolCalls,
+    withToolReads,
+};
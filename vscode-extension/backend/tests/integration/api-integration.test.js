@@ -271,9 +271,9 @@ describe('API Integration Tests', () => {
                 .set('Content-Type', 'application/json')
                 .send('{broken json');
 
-            // Body-parser error triggers global error handler which returns 500
-            expect(response.status).toBe(500);
-            expect(response.body).toHaveProperty('error');
+            // Body-parser errors are reported as client errors with a code
+            expect(response.status).toBe(400);
+            expect(response.body).toMatchObject({ code: 'INVALID_JSON' });
         });
 
         test('8.4: error response includes error message', async () => {
@@ -1,7 +1,8 @@
 /**
  * Shared Test Data for Integration and Unit Tests
  *
- * Contains mock files and prompts used across test suites.
+ * Contains mock files, prompts and the citation regression fixture used across
+ * test suites.
  */
 
 const mockFiles = [
@@ -143,6 +144,75 @@ export function ChatInterface({ selectedFile, onFileSelect }: ChatInterfaceProps
     },
 ];
 
+/**
+ * Citation regression fixture: with this prompt and budget the context builder
+ * sends src/cart.js from line 17 only and leaves src/shipping.js out, so the
+ * answer cites a line it saw, a line it misnumbered, a line it never saw, an
+ * omitted file and a file that does not exist.
+ */
+const citationFixture = {
+    prompt: 'How does the cart apply discount codes?',
+    tokenBudget: 120,
+    files: [
+        {
+            filename: 'src/cart.js',
+            content: `const TAX_RATE = 0.2;
+
+/**
+ * Sum the line items of a cart
+ */
+function subtotal(items) {
+    return items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+}
+
+/**
+ * Tax owed on an amount
+ */
+function tax(amount) {
+    return Math.round(amount * TAX_RATE * 100) / 100;
+}
+
+/**
+ * Apply a discount code to a subtotal
+ */
+function applyDiscount(amount, code, discounts) {
+    const discount = discounts[code];
+    if (!discount) {
+        throw new Error(\`Unknown discount code: \${code}\`);
+    }
+    return Math.max(0, amount - discount.amount);
+}
+
+module.exports = { subtotal, tax, applyDiscount };`,
+        },
+        {
+            filename: 'src/shipping.js',
+            content: `const RATES = { standard: 4.99, express: 14.99 };
+
+function shippingCost(method, weight) {
+    const base = RATES[method] ?? RATES.standard;
+    return weight > 20 ? base * 2 : base;
+}
+
+module.exports = { shippingCost };`,
+        },
+    ],
+    answer: [
+        'Codes are looked up in [applyDiscount](src/cart.js:20-26 "function applyDiscount(amount, code, discounts) {").',
+        'An unknown code [throws](src/cart.js:22 "throw new Error(`Unknown discount code: ${code}`);").',
+        'Tax is added by [tax](src/cart.js:13 "function tax(amount) {"), shipping by [shippingCost](src/shipping.js:3)',
+        'and totals are assembled in [checkout](src/checkout.js:4).',
+    ].join('\n'),
+    expectedRanges: [{ filename: 'src/cart.js', totalLines: 28, ranges: [{ startLine: 17, endLine: 28 }] }],
+    expectedCitations: [
+        { label: 'applyDiscount', path: 'src/cart.js', startLine: 20, endLine: 26, status: 'verified' },
+        { label: 'throws', path: 'src/cart.js', startLine: 23, endLine: 23, citedLine: 22, status: 'corrected' },
+        { label: 'tax', path: 'src/cart.js', startLine: 13, endLine: 13, status: 'out-of-context' },
+        { label: 'shippingCost', path: 'src/shipping.js', startLine: 3, endLine: 3, status: 'out-of-context' },
+        { label: 'checkout', path: 'src/checkout.js', startLine: 4, endLine: null, status: 'unknown-file' },
+    ],
+};
+
 const mockPrompts = [
     'Summarize this repository',
     'Explain how the React components work',
@@ -159,5 +229,6 @@ const mockPrompts = [
 module.exports = {
     mockFiles,
     mockPrompts,
+    citationFixture,
 };
 
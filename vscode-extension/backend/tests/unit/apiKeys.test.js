@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for API key authentication
+ *
+ * Tests key loading from the environment and key files, bearer header
+ * parsing and key verification.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyAuth = require('../../services/apiKeys');
+const { loadApiKeys, parseBearerToken } = require('../../services/apiKeys');
+
+describe('ApiKeyAuth', () => {
+    describe('loading keys', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test('1.1: reads labelled keys from API_KEYS', () => {
+            expect(loadApiKeys({ API_KEYS: 'alice:sk-1, ci:sk-2,sk-3' })).toEqual([
+                { label: 'alice', key: 'sk-1' },
+                { label: 'ci', key: 'sk-2' },
+                { label: 'key-3', key: 'sk-3' },
+            ]);
+            expect(loadApiKeys({})).toEqual([]);
+        });
+
+        test('1.2: reads keys from a JSON file in either shape', () => {
+            const objectFile = path.join(directory, 'object.json');
+            const listFile = path.join(directory, 'list.json');
+            fs.writeFileSync(objectFile, JSON.stringify({ alice: 'sk-1' }));
+            fs.writeFileSync(listFile, JSON.stringify([{ label: 'ci', key: 'sk-2' }, { label: 'broken' }]));
+
+            expect(loadApiKeys({ API_KEYS_FILE: objectFile })).toEqual([{ label: 'alice', key: 'sk-1' }]);
+            expect(loadApiKeys({ API_KEYS: 'bob:sk-0', API_KEYS_FILE: listFile })).toEqual([
+                { label: 'bob', key: 'sk-0' },
+                { label: 'ci', key: 'sk-2' },
+            ]);
+        });
+    });
+
+    describe('verification', () => {
+        test('2.1: parses bearer tokens only', () => {
+            expect(parseBearerToken('Bearer sk-1')).toBe('sk-1');
+            expect(parseBearerToken('bearer  sk-1 ')).toBe('sk-1');
+            expect(parseBearerToken('Basic abc')).toBeNull();
+            expect(parseBearerToken(undefined)).toBeNull();
+        });
+
+        test('2.2: returns the label of the matching key', () => {
+            const auth = new ApiKeyAuth([{ label: 'alice', key: 'sk-1' }, { label: 'ci', key: 'sk-2' }]);
+
+            expect(auth.isEnabled()).toBe(true);
+            expect(auth.verify('sk-2')).toBe('ci');
+            expect(auth.verify('sk-3')).toBeNull();
+            expect(auth.verify(null)).toBeNull();
+        });
+
+        test('2.3: is disabled without keys', () => {
+            expect(new ApiKeyAuth().isEnabled()).toBe(false);
+        });
+    });
+});
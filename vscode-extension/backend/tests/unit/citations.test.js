@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for citation extraction and validation
+ *
+ * Tests link parsing (colon, range, column, GitHub and Windows forms), path
+ * resolution against the uploaded files, snippet-based line correction and
+ * checking citations against the line ranges sent to the model.
+ */
+
+const ContextBuilder = require('../../services/contextBuilder');
+const { CITATION_STATUS, extractCitations, parseCitations } = require('../../services/citations');
+const { citationFixture, mockFiles } = require('../test-data');
+
+const files = [
+    { filename: 'src/a.js', content: 'const x = 1;\n\nfunction handle(req) {\n    return req.body;\n}\n' },
+    { filename: 'src/util/format.js', content: 'module.exports = value => String(value);\n' },
+];
+
+describe('parseCitations', () => {
+    test('1.1: parses line, range, column and quoted snippet with their position in the text', () => {
+        const text = 'See [handle](src/a.js:3-5 "function handle(req) {") and [x](src/a.js:1:7).';
+
+        expect(parseCitations(text)).toEqual([
+            { label: 'handle', path: 'src/a.js', startLine: 3, endLine: 5, column: null, snippet: 'function handle(req) {', offset: 4, length: 47 },
+            { label: 'x', path: 'src/a.js', startLine: 1, endLine: null, column: 7, snippet: null, offset: 56, length: 17 },
+        ]);
+    });
+
+    test('1.2: keeps Windows drive letters in the path and reads GitHub-style anchors', () => {
+        const [windows, github] = parseCitations('[w](C:\\repo\\src\\a.js:4) [g](src/a.js#L3-L5)');
+
+        expect(windows).toMatchObject({ path: 'C:\\repo\\src\\a.js', startLine: 4, endLine: null });
+        expect(github).toMatchObject({ path: 'src/a.js', startLine: 3, endLine: 5 });
+    });
+
+    test('1.3: ignores web links and anchors', () => {
+        expect(parseCitations('[docs](https://example.com/a.js:3) [mail](mailto:a@b.c) [top](#intro)')).toEqual([]);
+    });
+
+    test('1.4: unescapes quotes in snippets', () => {
+        const [citation] = parseCitations('[s](src/a.js:1 "say \\"hi\\"")');
+
+        expect(citation.snippet).toBe('say "hi"');
+    });
+});
+
+describe('extractCitations', () => {
+    test('2.1: verifies citations whose line holds the quoted text and fills in missing snippets', () => {
+        const [quoted, bare] = extractCitations('[h](src/a.js:3 "function handle(req) {") [r](src/a.js:4)', files);
+
+        expect(quoted).toMatchObject({ path: 'src/a.js', startLine: 3, endLine: 3, status: CITATION_STATUS.VERIFIED });
+        expect(bare).toMatchObject({ startLine: 4, endLine: 4, snippet: 'return req.body;', status: CITATION_STATUS.VERIFIED });
+    });
+
+    test('2.2: moves lines to where the quoted text actually is', () => {
+        const [citation] = extractCitations('[h](src/a.js:1-3 "return req.body;")', files);
+
+        expect(citation).toMatchObject({ startLine: 4, endLine: 6, citedLine: 1, status: CITATION_STATUS.CORRECTED });
+    });
+
+    test('2.3: picks the occurrence nearest to the cited line', () => {
+        const repeated = [{ filename: 'r.js', content: 'x();\ny();\nx();\ny();\nx();\n' }];
+
+        const [citation] = extractCitations('[x](r.js:4 "x();")', repeated);
+
+        expect(citation).toMatchObject({ startLine: 3, citedLine: 4, status: CITATION_STATUS.CORRECTED });
+    });
+
+    test('2.4: flags lines past the end of the file and quotes that cannot be found', () => {
+        const [pastEnd, notFound] = extractCitations('[p](src/a.js:40) [n](src/a.js:2 "no such code")', files);
+
+        expect(pastEnd.status).toBe(CITATION_STATUS.INVALID_LINE);
+        expect(notFound).toMatchObject({ startLine: 2, status: CITATION_STATUS.UNVERIFIED });
+    });
+
+    test('2.5: flags files that were not uploaded', () => {
+        const [citation] = extractCitations('[m](src/missing.js:2)', files);
+
+        expect(citation).toMatchObject({ path: 'src/missing.js', status: CITATION_STATUS.UNKNOWN_FILE });
+    });
+
+    test('2.6: resolves absolute, backslashed, ./ and case-different paths to the uploaded file', () => {
+        const citations = extractCitations(
+            '[a](C:\\repo\\src\\util\\format.js:1) [b](./src/a.js:1) [c](SRC/A.JS:1) [d](util/format.js) [e](/home/me/repo/src/a.js:1)',
+            files,
+        );
+
+        expect(citations.map(citation => citation.path)).toEqual([
+            'src/util/format.js',
+            'src/a.js',
+            'src/a.js',
+            'src/util/format.js',
+            'src/a.js',
+        ]);
+        expect(citations.every(citation => citation.status === CITATION_STATUS.VERIFIED)).toBe(true);
+    });
+
+    test('2.7: validates citations into the shared mock workspace', () => {
+        const answer = 'The app renders the sidebar in [App](src/App.tsx:1 "<Sidebar onFileSelect={setSelectedFile} />").';
+
+        const [citation] = extractCitations(answer, mockFiles);
+
+        expect(citation).toMatchObject({ path: 'src/App.tsx', startLine: 12, citedLine: 1, status: CITATION_STATUS.CORRECTED });
+        expect(answer.slice(citation.offset, citation.offset + citation.length)).toBe(
+            '[App](src/App.tsx:1 "<Sidebar onFileSelect={setSelectedFile} />")',
+        );
+    });
+});
+
+describe('extractCitations with a context manifest', () => {
+    const manifest = { files: [{ filename: 'src/a.js', totalLines: 6, ranges: [{ startLine: 3, endLine: 5 }] }] };
+
+    test('3.1: flags lines and files the model was not shown', () => {
+        const [shown, hidden, omitted, fileOnly] = extractCitations(
+            '[h](src/a.js:3-5) [x](src/a.js:1) [f](src/util/format.js:1) [g](src/util/format.js)',
+            files,
+            manifest,
+        );
+
+        expect(shown.status).toBe(CITATION_STATUS.VERIFIED);
+        expect(hidden).toMatchObject({ startLine: 1, status: CITATION_STATUS.OUT_OF_CONTEXT });
+        expect(omitted.status).toBe(CITATION_STATUS.OUT_OF_CONTEXT);
+        expect(fileOnly.status).toBe(CITATION_STATUS.OUT_OF_CONTEXT);
+    });
+
+    test('3.2: corrects to the occurrence the model was shown', () => {
+        const repeated = [{ filename: 'r.js', content: 'x();\ny();\nx();\ny();\nx();\n' }];
+        const shownTail = { files: [{ filename: 'r.js', totalLines: 6, ranges: [{ startLine: 4, endLine: 6 }] }] };
+
+        const [citation] = extractCitations('[x](r.js:2 "x();")', repeated, shownTail);
+
+        expect(citation).toMatchObject({ startLine: 5, citedLine: 2, status: CITATION_STATUS.CORRECTED });
+    });
+
+    test('3.3: regression fixture - numbers partial files from their first line and checks every citation', () => {
+        const { files: fixtureFiles, prompt, tokenBudget, answer, expectedRanges, expectedCitations } = citationFixture;
+
+        const context = new ContextBuilder({ tokenBudget }).build(fixtureFiles, prompt);
+        const citations = extractCitations(answer, fixtureFiles, context.manifest);
+
+        expect(context.manifest.files).toEqual(expectedRanges);
+        expect(context.text).toContain('File: src/cart.js (lines 17-28 of 28)\n17 | /**');
+        expect(context.text).toContain('23 |         throw new Error(`Unknown discount code: ${code}`);');
+        expect(citations).toHaveLength(expectedCitations.length);
+        citations.forEach((citation, i) => expect(citation).toMatchObject(expectedCitations[i]));
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for CodeIndex
+ *
+ * Tests term extraction, chunking on function and class boundaries, BM25
+ * scoring and the content-hash cache of analyzed files.
+ */
+
+const CodeIndex = require('../../services/codeIndex');
+const { DEFAULT_TOP_K, chunkLines, extractTerms, splitLines } = require('../../services/codeIndex');
+
+/**
+ * Chunk source text and describe each chunk as "start-end kind:symbol"
+ * @param {string[]} source - Source lines
+ * @param {number} maxLines - Maximum lines per chunk
+ * @returns {string[]} Chunk descriptions
+ */
+function describeChunks(source, maxLines = 80) {
+    return chunkLines(source, maxLines).map(chunk => `${chunk.startLine}-${chunk.endLine} ${chunk.kind}:${chunk.symbol}`);
+}
+
+describe('CodeIndex', () => {
+    describe('extractTerms()', () => {
+        test('1.1: splits identifiers into lowercase terms and drops stopwords', () => {
+            const terms = extractTerms('How does parseUserInput handle the max_retries value?');
+
+            expect(terms).toEqual(expect.arrayContaining(['parseuserinput', 'parse', 'user', 'input', 'max_retries', 'max', 'retries', 'handle', 'value']));
+            expect(terms).not.toContain('how');
+            expect(terms).not.toContain('the');
+        });
+
+        test('1.2: ignores a single trailing newline when splitting lines', () => {
+            expect(splitLines('a\r\nb\n')).toEqual(['a', 'b']);
+        });
+    });
+
+    describe('chunkLines()', () => {
+        test('2.1: starts a chunk at every top-level function and class, with its comments', () => {
+            const source = [
+                'const fs = require(\'fs\');',
+                'const path = require(\'path\');',
+                'const root = \'/tmp\';',
+                '',
+                '/**',
+                ' * Read a file',
+                ' */',
+                'async function read(name) {',
+                '    return fs.promises.readFile(path.join(root, name));',
+                '}',
+                '',
+                'export class Store {',
+                '    constructor() {',
+                '        this.items = [];',
+                '    }',
+                '}',
+                '',
+                'const write = async (name, data) => {',
+                '    await fs.promises.writeFile(name, data);',
+                '};',
+            ];
+
+            expect(describeChunks(source)).toEqual([
+                '1-4 module:null',
+                '5-11 function:read',
+                '12-17 class:Store',
+                '18-20 function:write',
+            ]);
+        });
+
+        test('2.2: recognizes Python, Go and route handler boundaries', () => {
+            const python = ['import os', 'import sys', 'import json', '@cache', 'def load(path):', '    return os.read(path)', '', 'class Repo:', '    pass'];
+            const go = ['package main', '', 'import "fmt"', 'import "os"', 'func (s *Server) Start() {', '    fmt.Println("up")', '}'];
+            const routes = ['const app = express();', 'app.use(cors());', 'app.use(express.json());', 'app.get(\'/health\', (req, res) => {', '    res.json({});', '});'];
+
+            expect(describeChunks(python)).toEqual(['1-3 module:null', '4-7 def:load', '8-9 class:Repo']);
+            expect(describeChunks(go)).toEqual(['1-4 module:null', '5-7 func:Start']);
+            expect(describeChunks(routes)).toEqual(['1-3 module:null', '4-6 block:app.get(\'/health\')']);
+        });
+
+        test('2.3: splits long classes on their methods', () => {
+            const body = Array.from({ length: 6 }, (_, i) => `        this.value${i} = ${i};`);
+            const source = [
+                'class Service {',
+                '    start() {',
+                ...body,
+                '    }',
+                '',
+                '    stop() {',
+                ...body,
+                '    }',
+                '}',
+            ];
+
+            expect(describeChunks(source, 10)).toEqual([
+                '1-10 method:start',
+                '11-19 method:stop',
+            ]);
+        });
+
+        test('2.4: cuts code without boundaries into fixed-size pieces', () => {
+            const source = Array.from({ length: 25 }, (_, i) => `line ${i}`);
+
+            expect(describeChunks(source, 10)).toEqual([
+                '1-10 module:null',
+                '11-20 module:null',
+                '21-25 module:null',
+            ]);
+        });
+    });
+
+    describe('search()', () => {
+        const files = [
+            { filename: 'cart.js', content: 'function calculateTotal(items) {\n    return items.reduce((sum, item) => sum + item.price, 0);\n}\n' },
+            { filename: 'user.js', content: 'function loadUser(id) {\n    return db.find(id);\n}\n\nfunction saveUser(user) {\n    return db.save(user);\n}\n' },
+            { filename: 'README.md', content: 'Cart and user helpers.' },
+        ];
+
+        test('3.1: returns the best matching chunks first', () => {
+            const index = new CodeIndex();
+
+            const results = index.search('Where is the user saved?', { files });
+
+            expect(results[0]).toMatchObject({ filename: 'user.js', startLine: 5, endLine: 7, kind: 'function', symbol: 'saveUser' });
+            expect(results[0].preview).toContain('db.save(user)');
+            expect(results.every(result => result.score > 0)).toBe(true);
+        });
+
+        test('3.2: ranks rare terms above common ones', () => {
+            const index = new CodeIndex();
+
+            const results = index.search('user price', { files });
+
+            expect(results.map(result => result.filename)[0]).toBe('cart.js');
+        });
+
+        test('3.3: limits results to topK', () => {
+            const index = new CodeIndex();
+
+            expect(index.search('user', { files, topK: 1 })).toHaveLength(1);
+            expect(index.search('user', { files, topK: 0 }).length).toBeLessThanOrEqual(DEFAULT_TOP_K);
+        });
+
+        test('3.4: returns nothing for queries without searchable terms', () => {
+            const index = new CodeIndex();
+
+            expect(index.search('how is the', { files })).toEqual([]);
+        });
+
+        test('3.5: searches only the files it is given, not everything indexed', () => {
+            const index = new CodeIndex();
+            index.add(files);
+
+            expect(index.search('calculateTotal')).toEqual([]);
+            expect(index.search('calculateTotal', { files: files.slice(1) })).toEqual([]);
+            expect(index.search('calculateTotal', { files }).map(result => result.filename)).toEqual(['cart.js']);
+        });
+    });
+
+    describe('content-hash cache', () => {
+        test('4.1: analyzes identical content only once', () => {
+            const index = new CodeIndex();
+            const analyze = jest.spyOn(index, 'analyze');
+
+            index.add([{ filename: 'a.js', content: 'function a() {}' }]);
+            index.add([{ filename: 'a.js', content: 'function a() {}' }, { filename: 'b.js', content: 'function b() {}' }]);
+
+            expect(analyze).toHaveBeenCalledTimes(2);
+            expect(index.getStats()).toEqual({ documents: 2, chunks: 2 });
+        });
+
+        test('4.2: evicts the least recently used file when full', () => {
+            const index = new CodeIndex({ maxDocuments: 2 });
+
+            index.add([{ filename: 'a.js', content: 'alpha' }, { filename: 'b.js', content: 'beta' }]);
+            index.add([{ filename: 'a.js', content: 'alpha' }]);
+            index.add([{ filename: 'c.js', content: 'gamma' }]);
+
+            expect(Array.from(index.documents.values()).map(document => document.filename)).toEqual(['a.js', 'c.js']);
+        });
+
+        test('4.3: skips files without text content', () => {
+            const index = new CodeIndex();
+
+            const entries = index.add([{ filename: 'a.js', content: '' }, { filename: 'b.js' }, null, { content: 'x' }]);
+
+            expect(entries).toEqual([]);
+        });
+    });
+});
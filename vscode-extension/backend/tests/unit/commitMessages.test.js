@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for commit messages
+ *
+ * Tests cutting staged diffs into files, which files are summarized or only
+ * listed when a diff exceeds the token budget, the prompts the model is sent
+ * and tidying the generated message.
+ */
+
+const CommitMessageWriter = require('../../services/commitMessages');
+const {
+    COMMIT_MESSAGE_SYSTEM_PROMPT,
+    FILE_SUMMARY_SYSTEM_PROMPT,
+    cleanCommitMessage,
+    splitDiffByFile,
+} = require('../../services/commitMessages');
+
+/**
+ * Build the diff of one file
+ * @param {string} path - File path
+ * @param {string[]} added - Added lines
+ * @param {string[]} removed - Removed lines
+ * @returns {string} Unified diff
+ */
+function fileDiff(path, added, removed = []) {
+    return [
+        `diff --git a/${path} b/${path}`,
+        'index 1111111..2222222 100644',
+        `--- a/${path}`,
+        `+++ b/${path}`,
+        `@@ -1,${removed.length} +1,${added.length} @@`,
+        ...removed.map(line => `-${line}`),
+        ...added.map(line => `+${line}`),
+    ].join('\n');
+}
+
+describe('splitDiffByFile', () => {
+    test('1.1: cuts a diff into files with their line counts', () => {
+        const diff = `${fileDiff('src/a.js', ['const a = 2;', '// a'], ['const a = 1;'])}\n${fileDiff('docs/b.md', ['# B'])}\n`;
+
+        expect(splitDiffByFile(diff)).toEqual([
+            { path: 'src/a.js', diff: fileDiff('src/a.js', ['const a = 2;', '// a'], ['const a = 1;']), added: 2, removed: 1 },
+            { path: 'docs/b.md', diff: fileDiff('docs/b.md', ['# B']), added: 1, removed: 0 },
+        ]);
+        expect(splitDiffByFile('')).toEqual([]);
+    });
+
+    test('1.2: names renamed files by their new path', () => {
+        const diff = 'diff --git a/old.js b/new.js\nsimilarity index 100%\nrename from old.js\nrename to new.js';
+
+        expect(splitDiffByFile(diff)).toEqual([{ path: 'new.js', diff, added: 0, removed: 0 }]);
+    });
+});
+
+describe('cleanCommitMessage', () => {
+    test('2.1: removes fences and quotes and separates the subject from the body', () => {
+        expect(cleanCommitMessage('```\nfix(cart): round totals\nPrices were summed as floats.   \n```')).toBe(
+            'fix(cart): round totals\n\nPrices were summed as floats.',
+        );
+        expect(cleanCommitMessage('"feat: add export"')).toBe('feat: add export');
+        expect(cleanCommitMessage('docs: fix typo\n\n\n\nBody')).toBe('docs: fix typo\n\nBody');
+    });
+});
+
+describe('CommitMessageWriter', () => {
+    const small = fileDiff('src/small.js', ['a();']);
+    const medium = fileDiff('src/medium.js', Array.from({ length: 20 }, (_, i) => `medium(${i});`));
+    const large = fileDiff('src/large.js', Array.from({ length: 60 }, (_, i) => `large(${i});`));
+    const diff = [small, large, medium].join('\n');
+
+    test('3.1: sends a diff within the budget as is', async () => {
+        const generate = jest.fn().mockResolvedValue('feat: add calls');
+        const writer = new CommitMessageWriter();
+
+        const result = await writer.write(diff, { generate });
+
+        expect(result).toEqual({ message: 'feat: add calls', summarizedFiles: [], omittedFiles: [] });
+        expect(generate).toHaveBeenCalledTimes(1);
+        expect(generate.mock.calls[0][0].systemPrompt).toBe(COMMIT_MESSAGE_SYSTEM_PROMPT);
+        expect(generate.mock.calls[0][0].userPrompt).toBe(`Staged changes:\n\`\`\`diff\n${diff}\n\`\`\`\n\nWrite the commit message for these changes.`);
+    });
+
+    test('3.2: summarizes the largest files first until the rest fits', async () => {
+        const generate = jest.fn()
+            .mockResolvedValueOnce('Adds sixty calls to large().')
+            .mockResolvedValueOnce('refactor: split work into calls');
+        const writer = new CommitMessageWriter({ tokenBudget: 250 });
+
+        const result = await writer.write(diff, { generate });
+
+        expect(result).toEqual({ message: 'refactor: split work into calls', summarizedFiles: ['src/large.js'], omittedFiles: [] });
+        expect(generate.mock.calls[0][0]).toEqual({ systemPrompt: FILE_SUMMARY_SYSTEM_PROMPT, userPrompt: `File: src/large.js\n\n${large}` });
+        const { userPrompt } = generate.mock.calls[1][0];
+        expect(userPrompt).toContain(`Staged changes:\n\`\`\`diff\n${small}\n${medium}\n\`\`\``);
+        expect(userPrompt).toContain('Summaries of files whose diffs are too large to show:\n- src/large.js (+60 -0): Adds sixty calls to large().');
+    });
+
+    test('3.3: lists files beyond the summary limit by name and falls back to line counts', async () => {
+        const generate = jest.fn()
+            .mockRejectedValueOnce(new Error('quota'))
+            .mockResolvedValueOnce('chore: update calls');
+        const writer = new CommitMessageWriter({ tokenBudget: 40, maxFileSummaries: 1 });
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const result = await writer.write(diff, { generate });
+        error.mockRestore();
+
+        expect(result.summarizedFiles).toEqual(['src/large.js']);
+        expect(result.omittedFiles).toEqual(['src/medium.js']);
+        const { userPrompt } = generate.mock.calls[1][0];
+        expect(userPrompt).toContain('- src/large.js (+60 -0): 60 lines added, 0 removed');
+        expect(userPrompt).toContain('Other changed files:\n- src/medium.js (+20 -0)');
+        expect(userPrompt).toContain(small);
+    });
+
+    test('3.4: follows the repository template when there is one', async () => {
+        const generate = jest.fn().mockResolvedValue('fix: a');
+        const template = '# Subject: what changed\n\n# Ticket: ABC-123\n';
+
+        await new CommitMessageWriter().write(small, { template, generate });
+        await new CommitMessageWriter().write(small, { template: '  \n', generate });
+
+        expect(generate.mock.calls[0][0].systemPrompt).toBe(`${COMMIT_MESSAGE_SYSTEM_PROMPT}\n\n`
+            + 'The repository has a commit message template. Follow its structure and fill in its placeholders; lines starting with "#" '
+            + 'are guidance for you and are not part of the message. Where the template and the rules above disagree, follow the template:\n'
+            + '# Subject: what changed\n\n# Ticket: ABC-123');
+        expect(generate.mock.calls[1][0].systemPrompt).toBe(COMMIT_MESSAGE_SYSTEM_PROMPT);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for inline completions
+ *
+ * Tests fitting the code around the cursor and the neighboring files into the
+ * token budget, the prompts the model is sent and tidying the completion.
+ */
+
+const CodeCompleter = require('../../services/completions');
+const { COMPLETION_SYSTEM_PROMPT, CURSOR, MAX_COMPLETION_LINES, cleanCompletion } = require('../../services/completions');
+
+describe('cleanCompletion', () => {
+    test('1.1: drops code fences and the cursor marker', () => {
+        expect(cleanCompletion('```ts\nreturn a + b;\n```')).toBe('return a + b;');
+        expect(cleanCompletion(`a + b;${CURSOR}\n`)).toBe('a + b;');
+        expect(cleanCompletion('')).toBe('');
+    });
+
+    test('1.2: drops the part of the current line the model repeated', () => {
+        expect(cleanCompletion('  const total = a + b;', 'function f() {\n  const total = ')).toBe('a + b;');
+        expect(cleanCompletion('  return 1;', 'function f() {\n  ')).toBe('  return 1;');
+    });
+
+    test('1.3: drops closing lines that already follow the cursor', () => {
+        const prefix = 'function f(items) {\n    for (const item of items) {\n        ';
+        const answer = 'sum += item;\n    }\n}';
+
+        expect(cleanCompletion(answer, prefix, '\n    }\n}\n')).toBe('sum += item;');
+        expect(cleanCompletion(answer, prefix, '\n')).toBe(answer);
+        expect(cleanCompletion('}', prefix, '}\n')).toBe('}');
+    });
+
+    test('1.4: keeps at most the line limit', () => {
+        const answer = Array.from({ length: MAX_COMPLETION_LINES + 5 }, (_line, index) => `line${index};`).join('\n');
+
+        expect(cleanCompletion(answer).split('\n')).toHaveLength(MAX_COMPLETION_LINES);
+    });
+});
+
+describe('CodeCompleter', () => {
+    test('2.1: marks the cursor in the file and lists the neighbors first', () => {
+        const completer = new CodeCompleter();
+
+        const prompt = completer.formatRequest({
+            prefix: 'import { add } from \'./math\';\nconst total = ',
+            suffix: ';\n',
+            language: 'typescript',
+            path: 'src/app.ts',
+            files: [{ filename: 'src/math.ts', content: 'export const add = (a: number, b: number) => a + b;\n' }],
+        });
+
+        expect(prompt).toBe([
+            'Related files:',
+            '',
+            'File: src/math.ts',
+            '```',
+            'export const add = (a: number, b: number) => a + b;',
+            '```',
+            '',
+            'File: src/app.ts (typescript)',
+            '```typescript',
+            `import { add } from './math';\nconst total = ${CURSOR};`,
+            '',
+            '```',
+            '',
+            `Write the text to insert at ${CURSOR}.`,
+        ].join('\n'));
+    });
+
+    test('2.2: keeps the lines nearest the cursor within the budget', () => {
+        const completer = new CodeCompleter({ tokenBudget: 50 });
+        const lines = count => Array.from({ length: count }, (_line, index) => `line ${index}`).join('\n');
+
+        const prompt = completer.formatRequest({
+            prefix: `${lines(100)}\n`,
+            suffix: `\n${lines(100)}`,
+        });
+
+        expect(prompt).toContain(`line 99\n${CURSOR}\nline 0\n`);
+        expect(prompt).not.toContain('line 80\n');
+        expect(prompt).not.toContain('line 10\n');
+        expect(prompt.startsWith('File\n```\n')).toBe(true);
+    });
+
+    test('2.3: cuts neighbors to what the cursor\'s surroundings leave', () => {
+        const completer = new CodeCompleter({ tokenBudget: 100 });
+        const content = Array.from({ length: 200 }, (_line, index) => `n${index}`).join('\n');
+
+        const prompt = completer.formatRequest({ prefix: 'x = ', files: [{ filename: 'a.js', content }, { filename: 'b.js', content: 'b' }] });
+
+        expect(prompt).toContain('File: a.js (start only)\n```\nn0\n');
+        expect(prompt).not.toContain('File: b.js');
+    });
+
+    test('2.4: asks the model and cleans its answer', async () => {
+        const completer = new CodeCompleter();
+        const generate = jest.fn().mockResolvedValue('```js\nconst total = a + b;\n```');
+
+        const completion = await completer.complete({ prefix: 'const total = ', language: 'javascript' }, { generate });
+
+        expect(completion).toBe('a + b;');
+        expect(generate).toHaveBeenCalledWith({
+            systemPrompt: COMPLETION_SYSTEM_PROMPT,
+            userPrompt: expect.stringContaining(`const total = ${CURSOR}`),
+        });
+    });
+});
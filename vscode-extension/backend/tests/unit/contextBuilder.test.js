@@ -0,0 +1,182 @@
+/**
+ * Unit Tests for ContextBuilder
+ *
+ * Tests chunk ranking, dependency tiers, budget packing, import detection and
+ * the manifest of included line ranges.
+ */
+
+const ContextBuilder = require('../../services/contextBuilder');
+const CodeIndex = require('../../services/codeIndex');
+const {
+    DEFAULT_CONTEXT_TOKEN_BUDGET,
+    findImportedFiles,
+    numberLines,
+} = require('../../services/contextBuilder');
+
+/**
+ * Build file content with the given number of numbered lines
+ * @param {string} prefix - Text used on every line
+ * @param {number} count - Number of lines
+ * @returns {string} Content
+ */
+function linesOf(prefix, count) {
+    return Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`).join('\n');
+}
+
+describe('ContextBuilder', () => {
+    describe('helpers', () => {
+        test('1.1: numbers lines with aligned widths', () => {
+            const lines = linesOf('x', 12).split('\n');
+
+            expect(numberLines(lines, 9, 10)).toBe(' 9 | x 9\n10 | x 10');
+        });
+
+        test('1.2: resolves relative ES, CommonJS and Python imports', () => {
+            const filenames = new Set(['src/app.ts', 'src/utils/index.ts', 'src/config.json', 'lib/db.js', 'pkg/models.py', 'pkg/api/views.py']);
+
+            const jsImports = findImportedFiles({
+                filename: 'src/app.ts',
+                content: [
+                    'import { a } from "./utils";',
+                    'const cfg = require("./config.json");',
+                    'import express from "express";',
+                    'export * from "../lib/db";',
+                ].join('\n'),
+            }, filenames);
+            const pyImports = findImportedFiles({
+                filename: 'pkg/api/views.py',
+                content: 'from ..models import User\nimport os',
+            }, filenames);
+
+            expect(Array.from(jsImports).sort()).toEqual(['lib/db.js', 'src/config.json', 'src/utils/index.ts']);
+            expect(Array.from(pyImports)).toEqual(['pkg/models.py']);
+        });
+    });
+
+    describe('build()', () => {
+        test('2.1: includes every file when the budget allows', () => {
+            const builder = new ContextBuilder();
+            const files = [
+                { filename: 'a.js', content: 'const a = 1;\n' },
+                { filename: 'b.js', content: 'const b = 2;' },
+            ];
+
+            const { text, manifest } = builder.build(files, 'anything');
+
+            expect(text).toContain('File: a.js (lines 1-1 of 1)\n1 | const a = 1;\n---');
+            expect(manifest).toMatchObject({
+                tokenBudget: DEFAULT_CONTEXT_TOKEN_BUDGET,
+                filesIncluded: 2,
+                filesOmitted: 0,
+            });
+            expect(manifest.tokensUsed).toBeGreaterThan(0);
+        });
+
+        test('2.2: ranks files named in the prompt first', () => {
+            const builder = new ContextBuilder();
+            const files = [
+                { filename: 'src/other.js', content: 'other' },
+                { filename: 'src/router.js', content: 'routes' },
+            ];
+
+            const { manifest } = builder.build(files, 'What does router.js do?');
+
+            expect(manifest.files.map(file => file.filename)).toEqual(['src/router.js', 'src/other.js']);
+        });
+
+        test('2.3: fills the budget with the chunks that mention prompt identifiers', () => {
+            const builder = new ContextBuilder({ tokenBudget: 60, index: new CodeIndex({ maxChunkLines: 10 }) });
+            const content = [linesOf('filler', 10), linesOf('calculateTotal', 10), linesOf('filler', 10)].join('\n');
+
+            const { text, manifest } = builder.build([{ filename: 'cart.js', content }], 'Why is calculateTotal wrong?');
+
+            expect(manifest.files).toEqual([{ filename: 'cart.js', totalLines: 30, ranges: [{ startLine: 11, endLine: 20 }] }]);
+            expect(text).toContain('File: cart.js (lines 11-20 of 30)');
+            expect(text).toContain('11 | calculateTotal 1');
+            expect(text).not.toContain('filler');
+            expect(manifest.tokensUsed).toBeLessThanOrEqual(60);
+        });
+
+        test('2.4: prefers the active file and the files it imports', () => {
+            const builder = new ContextBuilder({ tokenBudget: 12 });
+            const files = [
+                { filename: 'src/unrelated.js', content: 'module.exports = 1;' },
+                { filename: 'src/helper.js', content: 'module.exports = 2;' },
+                { filename: 'src/main.js', content: 'require(\'./helper\');' },
+            ];
+
+            const { manifest } = builder.build(files, 'fix the bug', 'src/main.js');
+
+            expect(manifest.files.map(file => file.filename)).toEqual(['src/main.js', 'src/helper.js']);
+            expect(manifest.filesOmitted).toBe(1);
+        });
+
+        test('2.5: merges adjacent chunks and separates gaps', () => {
+            const builder = new ContextBuilder({ tokenBudget: 55, index: new CodeIndex({ maxChunkLines: 5 }) });
+            const content = [linesOf('target', 10), linesOf('filler', 5), linesOf('target', 5)].join('\n');
+
+            const { text, manifest } = builder.build([{ filename: 'a.js', content }], 'target');
+
+            expect(manifest.files[0].ranges).toEqual([
+                { startLine: 1, endLine: 10 },
+                { startLine: 16, endLine: 20 },
+            ]);
+            expect(text).toContain('File: a.js (lines 1-10, 16-20 of 20)');
+            expect(text).toContain('10 | target 10\n...\n16 | target 1');
+        });
+
+        test('2.6: falls back to defaults for invalid options', () => {
+            const builder = new ContextBuilder({ tokenBudget: -1 });
+
+            expect(builder.tokenBudget).toBe(DEFAULT_CONTEXT_TOKEN_BUDGET);
+            expect(builder.index).toBeInstanceOf(CodeIndex);
+        });
+
+        test('2.7: ranks whole functions by BM25 relevance to the prompt', () => {
+            const builder = new ContextBuilder({ tokenBudget: 40 });
+            const content = [
+                'function formatDate(date) {',
+                '    return date.toISOString();',
+                '}',
+                '',
+                'function parseInvoice(text) {',
+                '    const invoice = JSON.parse(text);',
+                '    return invoice;',
+                '}',
+            ].join('\n');
+
+            const { manifest } = builder.build([{ filename: 'utils.js', content }], 'Why does parseInvoice throw on bad invoice text?');
+
+            expect(manifest.files[0].ranges).toEqual([{ startLine: 5, endLine: 8 }]);
+        });
+
+        test('2.8: sends the active file, its imports and its importers before other files', () => {
+            const builder = new ContextBuilder({ tokenBudget: 28 });
+            const files = [
+                { filename: 'tsconfig.json', content: '{ "compilerOptions": { "paths": { "@/*": ["src/*"] } } }' },
+                { filename: 'src/router.js', content: 'module.exports = 1;' },
+                { filename: 'src/page.ts', content: 'import { api } from "./api";' },
+                { filename: 'src/client.ts', content: 'export const client = 1;' },
+                { filename: 'src/api.ts', content: 'import { client } from "@/client";' },
+            ];
+
+            const { manifest } = builder.build(files, 'What does router.js do?', 'src/api.ts');
+
+            expect(manifest.files.map(file => file.filename)).toEqual(['src/api.ts', 'src/page.ts', 'src/client.ts']);
+        });
+
+        test('2.9: sends files with uncommitted changes right after the active file', () => {
+            const builder = new ContextBuilder();
+            const files = [
+                { filename: 'src/router.js', content: 'module.exports = 1;' },
+                { filename: 'src/page.ts', content: 'import { api } from "./api";' },
+                { filename: 'src/cart.js', content: 'module.exports = 2;' },
+                { filename: 'src/api.ts', content: 'export const api = 3;' },
+            ];
+
+            const { manifest } = builder.build(files, 'What does router.js do?', 'src/api.ts', ['src/cart.js', 'src/deleted.js']);
+
+            expect(manifest.files.map(file => file.filename)).toEqual(['src/api.ts', 'src/cart.js', 'src/page.ts', 'src/router.js']);
+        });
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for ConversationManager and conversation stores
+ *
+ * Tests creating, listing, appending to, renaming and deleting conversations,
+ * ownership by API key, and the interchangeable in-memory and JSON file stores.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConversationManager = require('../../services/conversationManager');
+const { MemoryConversationStore, FileConversationStore, createConversationStore } = require('../../services/conversationStore');
+const { MAX_CONVERSATION_MESSAGES } = require('../../services/schemas');
+
+describe('ConversationManager', () => {
+    let clock;
+    let manager;
+
+    beforeEach(() => {
+        clock = Date.UTC(2024, 0, 15, 10, 0, 0);
+        manager = new ConversationManager({ now: () => clock });
+    });
+
+    describe('conversations', () => {
+        test('1.1: creates a conversation titled after its first user message', async () => {
+            const conversation = await manager.create(null, {
+                messages: [
+                    { role: 'user', content: '  How does the upload session work?\nSome detail' },
+                    { role: 'assistant', content: 'See [open](services/sessionManager.js:62).', metadata: { citations: [] } },
+                ],
+            });
+
+            expect(conversation).toEqual({
+                id: expect.stringMatching(/^[a-f0-9]{32}$/),
+                title: 'How does the upload session work?',
+                createdAt: '2024-01-15T10:00:00.000Z',
+                updatedAt: '2024-01-15T10:00:00.000Z',
+                messageCount: 2,
+                messages: [
+                    { role: 'user', content: '  How does the upload session work?\nSome detail', createdAt: '2024-01-15T10:00:00.000Z' },
+                    { role: 'assistant', content: 'See [open](services/sessionManager.js:62).', createdAt: '2024-01-15T10:00:00.000Z', metadata: { citations: [] } },
+                ],
+            });
+        });
+
+        test('1.2: names an empty conversation after the first message appended', async () => {
+            const { id, title } = await manager.create();
+            clock += 1000;
+
+            const summary = await manager.append(id, [{ role: 'user', content: 'x'.repeat(100) }]);
+
+            expect(title).toBe('New conversation');
+            expect(summary.title).toBe(`${'x'.repeat(79)}…`);
+            expect(summary.messageCount).toBe(1);
+            expect(summary.updatedAt).toBe('2024-01-15T10:00:01.000Z');
+        });
+
+        test('1.3: keeps explicit titles and renames', async () => {
+            const { id } = await manager.create(null, { title: 'Refactoring', messages: [{ role: 'user', content: 'Start' }] });
+
+            await manager.append(id, [{ role: 'user', content: 'Next' }]);
+            expect((await manager.get(id)).title).toBe('Refactoring');
+
+            await manager.rename(id, 'Cart refactoring');
+            await manager.append(id, [{ role: 'assistant', content: 'Done' }]);
+            expect((await manager.get(id)).title).toBe('Cart refactoring');
+        });
+
+        test('1.4: lists summaries, most recently updated first', async () => {
+            const older = await manager.create(null, { title: 'Older' });
+            clock += 1000;
+            const newer = await manager.create(null, { title: 'Newer' });
+            clock += 1000;
+            await manager.append(older.id, [{ role: 'user', content: 'bump' }]);
+
+            const list = await manager.list();
+
+            expect(list.map(conversation => conversation.title)).toEqual(['Older', 'Newer']);
+            expect(list[0]).not.toHaveProperty('messages');
+            expect(list[1].id).toBe(newer.id);
+        });
+
+        test('1.5: deletes conversations and reports unknown ones', async () => {
+            const { id } = await manager.create();
+
+            await manager.delete(id);
+
+            await expect(manager.get(id)).rejects.toMatchObject({ status: 404, code: 'CONVERSATION_NOT_FOUND' });
+            await expect(manager.delete(id)).rejects.toMatchObject({ status: 404 });
+            await expect(manager.append('missing', [{ role: 'user', content: 'x' }])).rejects.toMatchObject({ status: 404 });
+        });
+
+        test('1.6: hides conversations from other API keys', async () => {
+            const { id } = await manager.create('alice', { title: 'Alice' });
+
+            await expect(manager.get(id, 'bob')).rejects.toMatchObject({ status: 404 });
+            await expect(manager.rename(id, 'Mine', 'bob')).rejects.toMatchObject({ status: 404 });
+            await expect(manager.list('bob')).resolves.toEqual([]);
+            await expect(manager.list('alice')).resolves.toHaveLength(1);
+        });
+
+        test('1.7: refuses messages beyond the per-conversation limit', async () => {
+            const { id } = await manager.create(null, {
+                messages: Array.from({ length: MAX_CONVERSATION_MESSAGES }, () => ({ role: 'user', content: 'x' })),
+            });
+
+            await expect(manager.append(id, [{ role: 'user', content: 'one more' }]))
+                .rejects.toMatchObject({ status: 400, code: 'INVALID_REQUEST' });
+            expect((await manager.get(id)).messageCount).toBe(MAX_CONVERSATION_MESSAGES);
+        });
+    });
+
+    describe('stores', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test('2.1: the file store persists conversations across manager instances', async () => {
+            const file = path.join(directory, 'data', 'conversations.json');
+            const first = new ConversationManager({ store: new FileConversationStore({ file }), now: () => clock });
+            const { id } = await first.create(null, { messages: [{ role: 'user', content: 'Hello' }] });
+
+            const second = new ConversationManager({ store: new FileConversationStore({ file }), now: () => clock });
+
+            await expect(second.get(id)).resolves.toMatchObject({ title: 'Hello', messageCount: 1 });
+            expect(fs.readdirSync(path.dirname(file))).toEqual(['conversations.json']);
+        });
+
+        test('2.2: the file store applies concurrent updates one after another', async () => {
+            const store = new FileConversationStore({ file: path.join(directory, 'conversations.json') });
+
+            await Promise.all(['a', 'b', 'c'].map(id => store.set(id, { id })));
+            await store.delete('b');
+
+            expect((await store.list()).map(conversation => conversation.id).sort()).toEqual(['a', 'c']);
+            await expect(store.get('constructor')).resolves.toBeNull();
+            await expect(new FileConversationStore({ file: path.join(directory, 'none.json') }).list()).resolves.toEqual([]);
+        });
+
+        test('2.3: the store is selected from the environment', () => {
+            expect(createConversationStore({})).toBeInstanceOf(MemoryConversationStore);
+            expect(createConversationStore({ CONVERSATION_STORE: 'file', CONVERSATION_FILE: path.join(directory, 'c.json') }))
+                .toBeInstanceOf(FileConversationStore);
+        });
+
+        test('2.4: concurrent appends and renames against the file store all persist', async () => {
+            const file = path.join(directory, 'conversations.json');
+            const store = new FileConversationStore({ file });
+            const fileManager = new ConversationManager({ store, now: () => clock });
+            const { id } = await fileManager.create(null, { messages: [{ role: 'user', content: 'Hello' }] });
+
+            await Promise.all([
+                fileManager.append(id, [{ role: 'assistant', content: 'Hi!' }]),
+                fileManager.append(id, [{ role: 'user', content: 'Still there?' }]),
+                fileManager.rename(id, 'Greetings'),
+            ]);
+
+            const stored = await new ConversationManager({ store: new FileConversationStore({ file }) }).get(id);
+            expect(stored.title).toBe('Greetings');
+            expect(stored.messages.map(message => message.content)).toEqual(['Hello', 'Hi!', 'Still there?']);
+        });
+
+        test('2.5: a failed change leaves the stored conversation as it was', async () => {
+            const store = new FileConversationStore({ file: path.join(directory, 'conversations.json') });
+            await store.set('a', { id: 'a', title: 'Kept' });
+
+            await expect(store.modify('a', () => {
+                throw new Error('refused');
+            })).rejects.toThrow('refused');
+            await expect(new MemoryConversationStore().modify('a', conversation => conversation)).resolves.toBeNull();
+
+            await expect(store.get('a')).resolves.toEqual({ id: 'a', title: 'Kept' });
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for ConversationMemory
+ *
+ * Tests history normalization, the token-budget split and summary caching.
+ * Summaries come from a mocked summarize function, so no API calls are made.
+ */
+
+const ConversationMemory = require('../../services/conversationMemory');
+const {
+    DEFAULT_HISTORY_TOKEN_BUDGET,
+    normalizeHistory,
+    formatTranscript,
+} = require('../../services/conversationMemory');
+const { estimateTokens } = require('../../services/tokens');
+
+/**
+ * Build alternating user/assistant turns
+ * @param {number} count - Number of turns
+ * @param {number} size - Characters per turn
+ * @returns {Array} Turns, oldest first
+ */
+function buildHistory(count, size = 40) {
+    return Array.from({ length: count }, (_, index) => ({
+        role: index % 2 === 0 ? 'user' : 'assistant',
+        content: `${index}:`.padEnd(size, 'x'),
+    }));
+}
+
+describe('ConversationMemory', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('helpers', () => {
+        test('1.1: estimates about four characters per token', () => {
+            expect(estimateTokens('')).toBe(0);
+            expect(estimateTokens('abcd')).toBe(1);
+            expect(estimateTokens('abcde')).toBe(2);
+        });
+
+        test('1.2: drops empty and unknown messages and merges repeated roles', () => {
+            const turns = normalizeHistory([
+                { role: 'user', content: ' first ' },
+                { role: 'user', content: 'second' },
+                { role: 'system', content: 'ignored' },
+                { role: 'assistant', content: '   ' },
+                { role: 'assistant', content: 'answer' },
+                null,
+            ]);
+
+            expect(turns).toEqual([
+                { role: 'user', content: 'first\n\nsecond' },
+                { role: 'assistant', content: 'answer' },
+            ]);
+        });
+
+        test('1.3: treats non-array history as empty', () => {
+            expect(normalizeHistory(undefined)).toEqual([]);
+        });
+
+        test('1.4: formats a transcript with speaker labels', () => {
+            expect(formatTranscript([
+                { role: 'user', content: 'q' },
+                { role: 'assistant', content: 'a' },
+            ])).toBe('User: q\n\nAssistant: a');
+        });
+    });
+
+    describe('split()', () => {
+        test('2.1: keeps everything within the budget', () => {
+            const memory = new ConversationMemory({ tokenBudget: 1000 });
+            const turns = buildHistory(4);
+
+            expect(memory.split(turns)).toEqual({ older: [], recent: turns });
+        });
+
+        test('2.2: keeps the newest turns and starts them with a user turn', () => {
+            const memory = new ConversationMemory({ tokenBudget: 30 });
+            const turns = buildHistory(6);
+
+            const { older, recent } = memory.split(turns);
+
+            expect(recent).toEqual(turns.slice(4));
+            expect(older).toEqual(turns.slice(0, 4));
+        });
+
+        test('2.3: falls back to the default budget for invalid values', () => {
+            expect(new ConversationMemory({ tokenBudget: 0 }).tokenBudget).toBe(DEFAULT_HISTORY_TOKEN_BUDGET);
+        });
+    });
+
+    describe('prepare()', () => {
+        test('3.1: does not summarize short conversations', async () => {
+            const memory = new ConversationMemory();
+            const summarize = jest.fn();
+
+            const result = await memory.prepare(buildHistory(2), summarize);
+
+            expect(result).toEqual({ turns: buildHistory(2), summary: null, summarizedTurns: 0 });
+            expect(summarize).not.toHaveBeenCalled();
+        });
+
+        test('3.2: summarizes older turns once and reuses the cached summary', async () => {
+            const memory = new ConversationMemory({ tokenBudget: 30 });
+            const summarize = jest.fn().mockResolvedValue(' Summary of turns 0-3 ');
+            const history = buildHistory(6);
+
+            const first = await memory.prepare(history, summarize);
+            const second = await memory.prepare(history, summarize);
+
+            expect(first.summary).toBe('Summary of turns 0-3');
+            expect(first.summarizedTurns).toBe(4);
+            expect(first.turns).toEqual(history.slice(4));
+            expect(second.summary).toBe('Summary of turns 0-3');
+            expect(summarize).toHaveBeenCalledTimes(1);
+            expect(summarize.mock.calls[0][0]).toContain('User: 0:');
+        });
+
+        test('3.3: falls back to a truncated transcript when summarizing fails', async () => {
+            const memory = new ConversationMemory({ tokenBudget: 30 });
+            const summarize = jest.fn().mockRejectedValue(new Error('quota'));
+
+            const { summary } = await memory.prepare(buildHistory(6), summarize);
+
+            expect(summary).toMatch(/^(User|Assistant): \d:x+/);
+            expect(console.error).toHaveBeenCalledWith('Conversation summary failed, using truncated history:', 'quota');
+        });
+
+        test('3.4: does not cache fallback summaries', async () => {
+            const memory = new ConversationMemory({ tokenBudget: 30 });
+            const summarize = jest.fn().mockResolvedValueOnce('').mockResolvedValueOnce('Real summary');
+
+            await memory.prepare(buildHistory(6), summarize);
+            const { summary } = await memory.prepare(buildHistory(6), summarize);
+
+            expect(summary).toBe('Real summary');
+        });
+
+        test('3.5: evicts the oldest cached summary when the cache is full', () => {
+            const memory = new ConversationMemory();
+            for (let i = 0; i < 101; i++) {
+                memory.remember(`key-${i}`, `summary-${i}`);
+            }
+
+            expect(memory.summaries.size).toBe(100);
+            expect(memory.summaries.has('key-0')).toBe(false);
+            expect(memory.summaries.has('key-100')).toBe(true);
+        });
+    });
+});
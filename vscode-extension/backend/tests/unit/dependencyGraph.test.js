@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for the dependency graph
+ *
+ * Tests import parsing with line numbers, tsconfig/jsconfig path aliases,
+ * resolution of relative, aliased and Python imports, and the imports,
+ * importers, external packages and unresolved specifiers of each file.
+ */
+
+const DependencyGraph = require('../../services/dependencyGraph');
+const { loadPathAliases, parseImports, parseJsonc } = require('../../services/dependencyGraph');
+
+describe('parseImports', () => {
+    test('1.1: reads ES, CommonJS and dynamic imports with the line of their specifier', () => {
+        const content = [
+            'import React from \'react\';',
+            'import {',
+            '    a,',
+            '    b,',
+            '} from "./letters";',
+            'import type { User } from \'./types\';',
+            'import \'./styles.css\';',
+            'export * from \'../lib/db\';',
+            'const fs = require(\'fs\');',
+            'const page = await import(\'./page\');',
+        ].join('\n');
+
+        expect(parseImports({ filename: 'src/app.tsx', content })).toEqual([
+            { specifier: 'react', line: 1 },
+            { specifier: './letters', line: 5 },
+            { specifier: './types', line: 6 },
+            { specifier: './styles.css', line: 7 },
+            { specifier: '../lib/db', line: 8 },
+            { specifier: 'fs', line: 9 },
+            { specifier: './page', line: 10 },
+        ]);
+    });
+
+    test('1.2: reads Python imports as written, with the module path to resolve', () => {
+        const content = [
+            'import os, app.models as models',
+            'from ..utils.io import read',
+            'from . import views, forms',
+        ].join('\n');
+
+        expect(parseImports({ filename: 'app/api/routes.py', content })).toEqual([
+            { specifier: 'os', line: 1, modulePath: 'os' },
+            { specifier: 'app.models', line: 1, modulePath: 'app/models' },
+            { specifier: '..utils.io', line: 2, modulePath: './../utils/io' },
+            { specifier: '.views', line: 3, modulePath: './views' },
+            { specifier: '.forms', line: 3, modulePath: './forms' },
+        ]);
+    });
+});
+
+describe('tsconfig path aliases', () => {
+    test('2.1: parses JSON with comments and trailing commas', () => {
+        expect(parseJsonc('{\n  // paths\n  "a": "http://x", /* note */\n  "b": [1, 2,],\n}')).toEqual({ a: 'http://x', b: [1, 2] });
+        expect(parseJsonc('{ not json')).toBeNull();
+    });
+
+    test('2.2: reads baseUrl and paths, following relative extends', () => {
+        const contents = new Map([
+            ['tsconfig.base.json', '{ "compilerOptions": { "baseUrl": ".", "paths": { "@shared/*": ["shared/*"] } } }'],
+            ['web/tsconfig.json', '{ "extends": "../tsconfig.base.json", "compilerOptions": { "strict": true } }'],
+            ['api/jsconfig.json', '{ "compilerOptions": { "paths": { "~/*": ["./src/*"] } } }'],
+            ['tools/tsconfig.json', '{ "extends": "@tsconfig/node18" }'],
+        ]);
+
+        expect(loadPathAliases(contents)).toEqual([
+            { directory: 'web', baseUrl: '', pathsBase: '', paths: [{ pattern: '@shared/*', targets: ['shared/*'] }] },
+            { directory: 'api', baseUrl: null, pathsBase: 'api', paths: [{ pattern: '~/*', targets: ['./src/*'] }] },
+        ]);
+    });
+});
+
+describe('DependencyGraph', () => {
+    const files = [
+        { filename: 'tsconfig.json', content: '{ "compilerOptions": { "baseUrl": "src", "paths": { "@/*": ["*"], "@ui": ["components/index"] } } }' },
+        {
+            filename: 'src/main.ts',
+            content: [
+                'import express from \'express\';',
+                'import { format } from \'@/utils/format.js\';',
+                'import { Button } from \'@ui\';',
+                'import config from \'config\';',
+                'import missing from \'./missing\';',
+                'import gone from \'@/gone\';',
+            ].join('\n'),
+        },
+        { filename: 'src/utils/format.ts', content: 'export const format = String;' },
+        { filename: 'src/components/index.ts', content: 'export * from \'./Button\';' },
+        { filename: 'src/components/Button.tsx', content: 'import { format } from \'../utils/format\';' },
+        { filename: 'src/config.ts', content: 'export default {};' },
+    ];
+
+    test('3.1: resolves relative, aliased and baseUrl imports and keeps the rest as external or unresolved', () => {
+        const graph = new DependencyGraph(files);
+
+        expect(graph.describe('src/main.ts')).toEqual({
+            filename: 'src/main.ts',
+            imports: [
+                { filename: 'src/utils/format.ts', specifier: '@/utils/format.js', line: 2 },
+                { filename: 'src/components/index.ts', specifier: '@ui', line: 3 },
+                { filename: 'src/config.ts', specifier: 'config', line: 4 },
+            ],
+            importedBy: [],
+            external: [{ specifier: 'express', line: 1 }],
+            unresolved: [{ specifier: './missing', line: 5 }, { specifier: '@/gone', line: 6 }],
+        });
+    });
+
+    test('3.2: lists the importers of a file', () => {
+        const graph = new DependencyGraph(files);
+
+        expect(graph.describe('src/utils/format.ts').importedBy).toEqual([
+            { filename: 'src/main.ts', specifier: '@/utils/format.js', line: 2 },
+            { filename: 'src/components/Button.tsx', specifier: '../utils/format', line: 1 },
+        ]);
+        expect(Array.from(graph.importersOf('src/components/Button.tsx'))).toEqual(['src/components/index.ts']);
+        expect(Array.from(graph.importsOf('src/components/index.ts'))).toEqual(['src/components/Button.tsx']);
+    });
+
+    test('3.3: finds the importers of a file that was not uploaded', () => {
+        const graph = new DependencyGraph(files, ['src/missing.ts']);
+
+        expect(graph.describe('src/missing.ts').importedBy).toEqual([{ filename: 'src/main.ts', specifier: './missing', line: 5 }]);
+        expect(graph.describe('src/main.ts').unresolved).toEqual([{ specifier: '@/gone', line: 6 }]);
+        expect(graph.describe('src/unknown.ts')).toBeNull();
+    });
+
+    test('3.4: resolves Python package and absolute imports', () => {
+        const graph = new DependencyGraph([
+            { filename: 'app/__init__.py', content: '' },
+            { filename: 'app/models.py', content: 'import os' },
+            { filename: 'app/api/views.py', content: 'from ..models import User\nfrom .. import models\nimport app.models\nimport requests' },
+        ]);
+
+        expect(graph.describe('app/api/views.py')).toMatchObject({
+            imports: [
+                { filename: 'app/models.py', specifier: '..models', line: 1 },
+                { filename: 'app/models.py', specifier: '..models', line: 2 },
+                { filename: 'app/models.py', specifier: 'app.models', line: 3 },
+            ],
+            external: [{ specifier: 'requests', line: 4 }],
+        });
+        expect(graph.describe('app/models.py').external).toEqual([{ specifier: 'os', line: 1 }]);
+    });
+
+    test('3.5: lists every file by name and ignores self-imports', () => {
+        const graph = new DependencyGraph([
+            { filename: 'b.js', content: 'require(\'./b\');' },
+            { filename: 'a.js', content: 'require(\'./b\');' },
+            { filename: 'notes.md', content: 'import x from \'./a\'' },
+        ]);
+
+        expect(graph.describeAll().map(entry => [entry.filename, entry.imports.length, entry.importedBy.length])).toEqual([
+            ['a.js', 1, 0],
+            ['b.js', 0, 1],
+            ['notes.md', 0, 0],
+        ]);
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Unit Tests for editor diagnostics in the prompt
+ *
+ * Tests how the problems a client's editor reports are rendered for the
+ * system prompt and which files they rank for context.
+ */
+
+const { diagnosticPaths, formatDiagnostics } = require('../../services/diagnostics');
+
+const diagnostics = [
+    {
+        path: 'src/cart.ts',
+        startLine: 3,
+        endLine: 3,
+        severity: 'error',
+        message: 'Type \'string\' is not assignable to type \'number\'.',
+        source: 'ts',
+        code: '2322',
+        related: [{ path: 'src/types.ts', line: 7, message: 'The expected type comes from property \'total\'' }],
+        snippet: { startLine: 2, text: 'function total(items) {\n    const sum: number = "0";\n    return sum;\n' },
+    },
+    { path: 'src/app.ts', startLine: 10, endLine: 12, severity: 'warning', message: 'Unexpected console statement.', source: 'eslint', code: null },
+    { path: 'src/cart.ts', startLine: 9, endLine: 9, severity: 'hint', message: '\'x\' is declared but never used.' },
+];
+
+describe('formatDiagnostics', () => {
+    test('1.1: lists each problem with its location, tool, code, related locations and code lines', () => {
+        expect(formatDiagnostics(diagnostics)).toBe([
+            'Problems the editor reports (line numbers as in the file contents):',
+            '- src/cart.ts:3 error: Type \'string\' is not assignable to type \'number\'. (ts 2322)',
+            '  Related: src/types.ts:7: The expected type comes from property \'total\'',
+            '  Code:',
+            '  2 | function total(items) {',
+            '  3 |     const sum: number = "0";',
+            '  4 |     return sum;',
+            '- src/app.ts:10-12 warning: Unexpected console statement. (eslint)',
+            '- src/cart.ts:9 hint: \'x\' is declared but never used.',
+        ].join('\n'));
+    });
+});
+
+describe('diagnosticPaths', () => {
+    test('2.1: lists the files with problems once, in diagnostic order', () => {
+        expect(diagnosticPaths(diagnostics)).toEqual(['src/cart.ts', 'src/app.ts']);
+        expect(diagnosticPaths(undefined)).toEqual([]);
+    });
+});
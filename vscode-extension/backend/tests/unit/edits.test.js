@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for code edit proposals
+ *
+ * Tests reading search/replace blocks and unified diffs out of an answer and
+ * checking the resulting hunks against the uploaded files.
+ */
+
+const { EDIT_STATUS, checkEdits, extractEdits, parseEdits } = require('../../services/edits');
+
+const files = [
+    { filename: 'src/a.js', content: 'const x = 1;\n\nfunction handle(req) {\n    return req.body;\n}\n' },
+    { filename: 'src/b.js', content: 'a();\nb();\na();\nb();\n' },
+];
+
+describe('parseEdits', () => {
+    test('1.1: reads search/replace blocks in answer order', () => {
+        const answer = [
+            'Validate the body first:',
+            '```',
+            '<<<<<<< SEARCH src/a.js',
+            '    return req.body;',
+            '=======',
+            '    if (!req.body) {',
+            '        throw new Error(\'Missing body\');',
+            '    }',
+            '    return req.body;',
+            '>>>>>>> REPLACE',
+            '```',
+            '<<<<<<< SEARCH ./src/new.js',
+            '=======',
+            'module.exports = {};',
+            '>>>>>>> REPLACE',
+        ].join('\n');
+
+        expect(parseEdits(answer)).toEqual([
+            {
+                path: 'src/a.js',
+                search: '    return req.body;\n',
+                replace: '    if (!req.body) {\n        throw new Error(\'Missing body\');\n    }\n    return req.body;\n',
+                hintLine: null,
+            },
+            { path: 'src/new.js', search: '', replace: 'module.exports = {};\n', hintLine: null },
+        ]);
+    });
+
+    test('1.2: reads unified diff hunks, including new files', () => {
+        const answer = [
+            '```diff',
+            '--- a/src/a.js',
+            '+++ b/src/a.js',
+            '@@ -3,3 +3,3 @@',
+            ' function handle(req) {',
+            '-    return req.body;',
+            '+    return req.body || {};',
+            ' }',
+            '--- /dev/null',
+            '+++ b/src/c.js',
+            '@@ -0,0 +1 @@',
+            '+export const c = 3;',
+            '\\ No newline at end of file',
+            '```',
+        ].join('\n');
+
+        expect(parseEdits(answer)).toEqual([
+            {
+                path: 'src/a.js',
+                search: 'function handle(req) {\n    return req.body;\n}\n',
+                replace: 'function handle(req) {\n    return req.body || {};\n}\n',
+                hintLine: 3,
+            },
+            { path: 'src/c.js', search: '', replace: 'export const c = 3;\n', hintLine: null },
+        ]);
+    });
+
+    test('1.3: finds nothing in answers without edits', () => {
+        expect(parseEdits('Use `git diff` to compare.\n```js\nconst a = 1;\n```')).toEqual([]);
+    });
+});
+
+describe('checkEdits', () => {
+    test('2.1: groups hunks per file with the lines they replace', () => {
+        const edits = checkEdits([
+            { path: 'src/a.js', search: 'const x = 1;\n', replace: 'const x = 2;\n', hintLine: null },
+            { path: 'src/a.js', search: '    return req.body;\n', replace: '    return {};\n', hintLine: null },
+        ], files);
+
+        expect(edits).toEqual([{
+            path: 'src/a.js',
+            create: false,
+            status: EDIT_STATUS.APPLIES,
+            hunks: [
+                { search: 'const x = 1;\n', replace: 'const x = 2;\n', startLine: 1, endLine: 1, status: EDIT_STATUS.APPLIES },
+                { search: '    return req.body;\n', replace: '    return {};\n', startLine: 4, endLine: 4, status: EDIT_STATUS.APPLIES },
+            ],
+        }]);
+    });
+
+    test('2.2: matches despite trailing whitespace and returns the file\'s own text', () => {
+        const content = 'let a = 1;  \nlet b = 2;';
+
+        const [edit] = checkEdits([{ path: 'f.js', search: 'let a = 1;\nlet b = 2;\n', replace: 'let a = 3;\nlet b = 4;\n', hintLine: null }], [
+            { filename: 'f.js', content },
+        ]);
+
+        expect(edit.hunks[0]).toMatchObject({ search: content, replace: 'let a = 3;\nlet b = 4;', startLine: 1, endLine: 2, status: EDIT_STATUS.APPLIES });
+    });
+
+    test('2.3: reports hunks that do not apply', () => {
+        const edits = checkEdits([
+            { path: 'src/a.js', search: 'const y = 1;\n', replace: '', hintLine: null },
+            { path: 'src/b.js', search: 'a();\n', replace: 'c();\n', hintLine: null },
+            { path: 'src/gone.js', search: 'x\n', replace: 'y\n', hintLine: null },
+            { path: 'src/a.js', search: '', replace: 'new\n', hintLine: null },
+        ], files);
+
+        expect(edits.map(({ path, status }) => ({ path, status }))).toEqual([
+            { path: 'src/a.js', status: EDIT_STATUS.NOT_FOUND },
+            { path: 'src/b.js', status: EDIT_STATUS.AMBIGUOUS },
+            { path: 'src/gone.js', status: EDIT_STATUS.UNKNOWN_FILE },
+        ]);
+        expect(edits[0].hunks[1].status).toBe(EDIT_STATUS.FILE_EXISTS);
+    });
+
+    test('2.4: uses a diff hunk\'s line to pick between repeated text', () => {
+        const [edit] = checkEdits([{ path: 'src/b.js', search: 'a();\n', replace: 'c();\n', hintLine: 3 }], files);
+
+        expect(edit.hunks[0]).toMatchObject({ startLine: 3, status: EDIT_STATUS.APPLIES });
+    });
+
+    test('2.5: marks files that only receive new content as created', () => {
+        const [edit] = extractEdits('<<<<<<< SEARCH src/new.js\n=======\nexport {};\n>>>>>>> REPLACE', files);
+
+        expect(edit).toMatchObject({ path: 'src/new.js', create: true, status: EDIT_STATUS.APPLIES });
+    });
+
+    test('2.6: rejects paths outside the workspace', () => {
+        for (const path of ['../outside.sh', 'src/../../outside.sh', '/etc/profile', 'C:\\Windows\\evil.bat', 'src\\..\\..\\evil.js']) {
+            const edit = { path, search: '', replace: 'echo pwned\n' };
+
+            expect(() => checkEdits([edit], files)).toThrow(expect.objectContaining({ code: 'INVALID_PATH', status: 502 }));
+        }
+    });
+});
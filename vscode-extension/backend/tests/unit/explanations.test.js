@@ -0,0 +1,77 @@
+/**
+ * Unit Tests for symbol explanations
+ *
+ * Tests fitting a symbol's code into the token budget, the prompts the model is
+ * sent and tidying the explanation.
+ */
+
+const SymbolExplainer = require('../../services/explanations');
+const { EXPLANATION_SYSTEM_PROMPT, MAX_EXPLANATION_CHARS, cleanExplanation } = require('../../services/explanations');
+
+describe('cleanExplanation', () => {
+    test('1.1: trims the answer and drops a code fence around it', () => {
+        expect(cleanExplanation('\n  Adds `a` and `b`.\n')).toBe('Adds `a` and `b`.');
+        expect(cleanExplanation('```\nAdds `a` and `b`.\n```')).toBe('Adds `a` and `b`.');
+        expect(cleanExplanation('')).toBe('');
+    });
+
+    test('1.2: cuts long answers at a sentence end, or else at a word end', () => {
+        const sentence = 'This sentence explains a part of the function. ';
+        const sentences = cleanExplanation(sentence.repeat(40));
+        const words = cleanExplanation('word '.repeat(400));
+
+        expect(sentences.length).toBeLessThanOrEqual(MAX_EXPLANATION_CHARS);
+        expect(sentences.endsWith('function.')).toBe(true);
+        expect(words.length).toBeLessThanOrEqual(MAX_EXPLANATION_CHARS + 3);
+        expect(words.endsWith('word...')).toBe(true);
+    });
+});
+
+describe('SymbolExplainer', () => {
+    test('2.1: names the symbol and its file and fences its code', () => {
+        const explainer = new SymbolExplainer();
+
+        const prompt = explainer.formatRequest({
+            code: 'function add(a, b) {\r\n    return a + b;\r\n}\r\n',
+            name: 'add',
+            kind: 'function',
+            language: 'javascript',
+            path: 'src/math.js',
+        });
+
+        expect(prompt).toBe([
+            'Explain this function `add` in src/math.js.',
+            '',
+            '```javascript',
+            'function add(a, b) {',
+            '    return a + b;',
+            '}',
+            '```',
+        ].join('\n'));
+        expect(explainer.formatRequest({ code: 'x' })).toBe('Explain this code.\n\n```\nx\n```');
+    });
+
+    test('2.2: keeps the first lines within the budget', () => {
+        const explainer = new SymbolExplainer({ tokenBudget: 50 });
+        const code = Array.from({ length: 100 }, (_line, index) => `line ${index}`).join('\n');
+
+        const prompt = explainer.formatRequest({ code, name: 'Big', kind: 'class' });
+
+        expect(prompt).toContain('```\nline 0\nline 1\n');
+        expect(prompt).not.toContain('line 99');
+        expect(prompt.endsWith('```\n\nOnly its first lines are shown.')).toBe(true);
+    });
+
+    test('2.3: asks the model and cleans its answer', async () => {
+        const explainer = new SymbolExplainer();
+        const generate = jest.fn().mockResolvedValue('  Adds `a` and `b`.\n');
+
+        const explanation = await explainer.explain({ code: 'function add(a, b) { return a + b; }', name: 'add' }, { generate });
+
+        expect(explanation).toBe('Adds `a` and `b`.');
+        expect(generate).toHaveBeenCalledWith({
+            systemPrompt: EXPLANATION_SYSTEM_PROMPT,
+            userPrompt: expect.stringContaining('Explain this `add`.'),
+        });
+    });
+});
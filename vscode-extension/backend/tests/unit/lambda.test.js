@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for the Lambda handler
+ *
+ * Sends API Gateway (HTTP API) events through lambda.js to check that the
+ * Express app behind it decodes compressed request bodies.
+ * Mocks LLMService to avoid external dependencies.
+ */
+
+const zlib = require('zlib');
+const LLMService = require('../../services/llmService');
+
+jest.mock('../../services/llmService');
+
+const mockLLMService = {
+    generateResponse: jest.fn().mockResolvedValue('Mock AI response'),
+    resolveModel: jest.fn().mockReturnValue({ provider: 'echo', model: 'echo' }),
+    buildContext: jest.fn().mockReturnValue({ text: '', manifest: { files: [] } }),
+    generateDirectoryTree: jest.fn().mockReturnValue({}),
+    getStatus: jest.fn().mockReturnValue({}),
+};
+
+LLMService.mockImplementation(() => mockLLMService);
+
+const { handler } = require('../../lambda');
+
+/**
+ * Build an HTTP API (payload format 2.0) event for POST /upload
+ * @param {string} body - Body as API Gateway passes it
+ * @param {Object} options
+ * @param {boolean} options.isBase64Encoded - Whether the body is base64-encoded
+ * @param {Object} options.headers - Extra request headers
+ * @returns {Object} Lambda event
+ */
+function uploadEvent(body, { isBase64Encoded = false, headers = {} } = {}) {
+    return {
+        version: '2.0',
+        routeKey: '$default',
+        rawPath: '/upload',
+        rawQueryString: '',
+        headers: { 'content-type': 'application/json', ...headers },
+        requestContext: { http: { method: 'POST', path: '/upload', sourceIp: '127.0.0.1' } },
+        body,
+        isBase64Encoded,
+    };
+}
+
+describe('Lambda handler', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    const upload = { files: [{ filename: 'app.js', content: 'const a = 1;\n'.repeat(100) }], prompt: 'test' };
+
+    test('1.1: answers gzip bodies passed base64-encoded', async () => {
+        const body = zlib.gzipSync(JSON.stringify(upload)).toString('base64');
+
+        const response = await handler(uploadEvent(body, { isBase64Encoded: true, headers: { 'content-encoding': 'gzip' } }), {});
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).aiResponse).toBe('Mock AI response');
+        expect(mockLLMService.generateResponse.mock.calls[0][1][0].content).toBe(upload.files[0].content);
+    });
+
+    test('1.2: answers uncompressed bodies', async () => {
+        const response = await handler(uploadEvent(JSON.stringify(upload)), {});
+
+        expect(response.statusCode).toBe(200);
+    });
+
+    test('1.3: reports gzip bodies the gateway passed as text with INVALID_ENCODING', async () => {
+        const body = zlib.gzipSync(JSON.stringify(upload)).toString('latin1');
+
+        const response = await handler(uploadEvent(body, { headers: { 'content-encoding': 'gzip' } }), {});
+
+        expect(response.statusCode).toBe(400);
+        expect(JSON.parse(response.body).code).toBe('INVALID_ENCODING');
+    });
+
+    test('1.4: rate limits by the source IP API Gateway reports, not X-Forwarded-For', async () => {
+        let limitedHandler;
+        Object.assign(process.env, { RATE_LIMIT_REQUESTS_PER_MINUTE: '60', RATE_LIMIT_BURST: '1', TRUST_PROXY: 'true' });
+        jest.isolateModules(() => {
+            require('../../services/llmService').mockImplementation(() => mockLLMService);
+            limitedHandler = require('../../lambda').handler;
+        });
+        delete process.env.RATE_LIMIT_REQUESTS_PER_MINUTE;
+        delete process.env.RATE_LIMIT_BURST;
+        delete process.env.TRUST_PROXY;
+        const send = sourceIp => {
+            const event = uploadEvent(JSON.stringify(upload), { headers: { 'x-forwarded-for': '198.51.100.7' } });
+            event.requestContext.http.sourceIp = sourceIp;
+            return limitedHandler(event, {});
+        };
+
+        expect((await send('203.0.113.1')).statusCode).toBe(200);
+        expect((await send('203.0.113.2')).statusCode).toBe(200);
+        expect((await send('203.0.113.1')).statusCode).toBe(429);
+    });
+});
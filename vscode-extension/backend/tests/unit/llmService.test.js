@@ -6,6 +6,10 @@
  */
 
 const LLMService = require('../../services/llmService');
+const ConversationMemory = require('../../services/conversationMemory');
+const ContextBuilder = require('../../services/contextBuilder');
+const CodeIndex = require('../../services/codeIndex');
+const { SUMMARY_SYSTEM_PROMPT } = require('../../services/conversationMemory');
 
 // ==================== CONSOLE OUTPUT CONTROL ====================
 // Set to true to see all console logs during testing (useful for debugging)
@@ -13,6 +17,19 @@ const LLMService = require('../../services/llmService');
 const SHOW_CONSOLE_LOGS = false;
 // ================================================================
 
+/**
+ * Replace the Gemini provider's client and generate() with mocks
+ * @param {LLMService} service - Service under test
+ * @param {Function} generate - Mocked generate implementation
+ * @returns {Object} The mocked Gemini provider
+ */
+function mockGemini(service, generate) {
+    const gemini = service.registry.get('gemini');
+    gemini.client = { getGenerativeModel: jest.fn() };
+    gemini.generate = generate;
+    return gemini;
+}
+
 describe('LLMService', () => {
     const consoleSpies = {};
 
@@ -44,16 +61,18 @@ describe('LLMService', () => {
             delete process.env.GEMINI_API_KEY;
             const service = new LLMService();
 
-            expect(service.geminiApiKey).toBeNull();
-            expect(service.geminiModel).toBeNull();
+            const gemini = service.registry.get('gemini');
+            expect(gemini.apiKey).toBeNull();
+            expect(gemini.isAvailable()).toBe(false);
         });
 
         test('1.2: handles invalid API key format (empty string)', () => {
             process.env.GEMINI_API_KEY = '';
             const service = new LLMService();
 
-            expect(service.geminiApiKey).toBeFalsy();
-            expect(service.geminiModel).toBeNull();
+            const gemini = service.registry.get('gemini');
+            expect(gemini.apiKey).toBeFalsy();
+            expect(gemini.isAvailable()).toBe(false);
         });
 
         test('1.3: logs warning when no API key', () => {
@@ -83,26 +102,25 @@ describe('LLMService', () => {
         });
     });
 
-    describe('prepareFileContext()', () => {
+    describe('buildContext()', () => {
         let service;
 
         beforeEach(() => {
             service = new LLMService();
         });
 
-        test('3.1: formats single file correctly', () => {
+        test('3.1: sends whole files with line numbers', () => {
             const files = [{
                 filename: 'test.js',
                 content: 'line1\nline2\nline3',
             }];
 
-            const result = service.prepareFileContext(files);
+            const { text } = service.buildContext('test', files);
 
-            expect(result).toContain('File: test.js');
-            expect(result).toContain('line1');
-            expect(result).toContain('line2');
-            expect(result).toContain('line3');
-            expect(result).toContain('---');
+            expect(text).toContain('File: test.js (lines 1-3 of 3)');
+            expect(text).toContain('1 | line1');
+            expect(text).toContain('3 | line3');
+            expect(text).toContain('---');
         });
 
         test('3.2: handles multiple files', () => {
@@ -111,48 +129,48 @@ describe('LLMService', () => {
                 { filename: 'b.js', content: 'b' },
             ];
 
-            const result = service.prepareFileContext(files);
+            const { text, manifest } = service.buildContext('test', files);
 
-            expect(result).toContain('File: a.js');
-            expect(result).toContain('File: b.js');
-            expect(result.split('\n\n').length).toBeGreaterThan(1);
+            expect(text).toContain('File: a.js');
+            expect(text).toContain('File: b.js');
+            expect(manifest.filesIncluded).toBe(2);
         });
 
-        test('3.3: limits preview to 10 lines', () => {
+        test('3.3: includes content beyond the first 10 lines', () => {
             const content = Array(15).fill(0).map((_, i) => `line${i + 1}`).join('\n');
             const files = [{ filename: 'test.js', content }];
 
-            const result = service.prepareFileContext(files);
+            const { text, manifest } = service.buildContext('test', files);
 
-            expect(result).toContain('line1');
-            expect(result).toContain('line10');
-            expect(result).toContain('...');
-            expect(result).not.toContain('line15');
+            expect(text).toContain('15 | line15');
+            expect(manifest.files[0].ranges).toEqual([{ startLine: 1, endLine: 15 }]);
         });
 
-        test('3.4: handles empty file content', () => {
-            const files = [{ filename: 'empty.js', content: '' }];
+        test('3.4: skips files without content', () => {
+            const files = [{ filename: 'empty.js', content: '' }, { filename: 'test.js' }];
 
-            const result = service.prepareFileContext(files);
+            const { text, manifest } = service.buildContext('test', files);
 
-            expect(result).toContain('File: empty.js');
-            expect(result).toContain('---');
+            expect(text).toBe('');
+            expect(manifest.filesOmitted).toBe(2);
         });
 
-        test('3.5: handles files without content property', () => {
-            const files = [{ filename: 'test.js' }];
+        test('3.5: respects the configured token budget', () => {
+            const budgeted = new LLMService({ contextBuilder: new ContextBuilder({ tokenBudget: 10 }) });
+            const files = [{ filename: 'big.js', content: 'x'.repeat(400) }];
 
-            expect(() => service.prepareFileContext(files)).not.toThrow();
-            const result = service.prepareFileContext(files);
-            expect(result).toContain('File: test.js');
+            const { text, manifest } = budgeted.buildContext('test', files);
+
+            expect(text).toBe('');
+            expect(manifest.tokenBudget).toBe(10);
+            expect(manifest.tokensUsed).toBe(0);
         });
 
         test('3.6: handles empty files array', () => {
-            const files = [];
-
-            const result = service.prepareFileContext(files);
+            const { text, manifest } = service.buildContext('test', []);
 
-            expect(result).toBe('');
+            expect(text).toBe('');
+            expect(manifest.files).toEqual([]);
         });
     });
 
@@ -189,32 +207,32 @@ describe('LLMService', () => {
 
             expect(tree['test.js']).toHaveProperty('size', 5);
             expect(tree['test.js']).toHaveProperty('extension', 'js');
-            expect(tree['test.js']).toHaveProperty('preview');
+            expect(tree['test.js']).toHaveProperty('language', 'javascript');
+            expect(tree['test.js']).toHaveProperty('outline', []);
             expect(tree['test.js']).toHaveProperty('fullContent', 'hello');
         });
 
-        test('4.4: extracts up to 3 trimmed non-empty lines for preview', () => {
+        test('4.4: outlines the symbols of each file with line numbers', () => {
             const files = [{
-                filename: 'test.js',
-                content: 'line1\n\nline2\nline3\nline4',
+                filename: 'src/store.js',
+                content: 'const fs = require(\'fs\');\n\nclass Store {\n    load(id) {\n        return id;\n    }\n}\n\nmodule.exports = Store;\n',
             }];
 
             const tree = service.generateDirectoryTree(files);
 
-            expect(tree['test.js'].preview).toEqual(['line1', 'line2', 'line3']);
-            expect(tree['test.js'].preview.length).toBe(3);
+            expect(tree.src.children['store.js'].outline).toEqual([
+                { name: 'Store', kind: 'class', line: 3, endLine: 7, container: null, exported: true },
+                { name: 'load', kind: 'method', line: 4, endLine: 6, container: 'Store', exported: true },
+            ]);
         });
 
-        test('4.5: preview may have fewer than 3 items when filtered', () => {
-            const files = [{
-                filename: 'test.js',
-                content: '\n\nline1\n\n',
-            }];
+        test('4.5: outlines of files in unsupported languages are empty', () => {
+            const files = [{ filename: 'README.md', content: '# Title\n\nfunction looksLikeCode() {}' }];
 
             const tree = service.generateDirectoryTree(files);
 
-            expect(tree['test.js'].preview).toEqual(['line1']);
-            expect(tree['test.js'].preview.length).toBe(1);
+            expect(tree['README.md'].language).toBeNull();
+            expect(tree['README.md'].outline).toEqual([]);
         });
 
         test('4.6: handles multiple levels of nesting', () => {
@@ -281,7 +299,7 @@ describe('LLMService', () => {
 
         test('5.1: formats flat file structure', () => {
             const tree = {
-                'test.js': { type: 'file', size: 10, extension: 'js', preview: [] },
+                'test.js': { type: 'file', size: 10, extension: 'js', outline: [] },
             };
 
             const result = service.formatDirectoryTree(tree, '');
@@ -304,7 +322,7 @@ describe('LLMService', () => {
                 src: {
                     type: 'directory',
                     children: {
-                        'app.js': { type: 'file', size: 10, extension: 'js', preview: [] },
+                        'app.js': { type: 'file', size: 10, extension: 'js', outline: [] },
                     },
                 },
             };
@@ -315,26 +333,36 @@ describe('LLMService', () => {
             expect(result).toContain('  📄 app.js');
         });
 
-        test('5.4: includes file previews', () => {
+        test('5.4: lists the outline under each file, members under their class', () => {
             const tree = {
                 'test.js': {
                     type: 'file',
                     size: 10,
                     extension: 'js',
-                    preview: ['line1', 'line2'],
+                    language: 'javascript',
+                    outline: [
+                        { name: 'Store', kind: 'class', line: 3, endLine: 7, container: null, exported: true },
+                        { name: 'load', kind: 'method', line: 4, endLine: 6, container: 'Store', exported: true },
+                        { name: 'helper', kind: 'function', line: 9, endLine: 9, container: null, exported: false },
+                    ],
                 },
             };
 
             const result = service.formatDirectoryTree(tree, '');
 
-            expect(result).toContain('line1');
-            expect(result).toContain('line2');
+            expect(result).toBe([
+                '📄 test.js (10 chars, .js)',
+                '   export class Store (lines 3-7)',
+                '     method load (lines 4-6)',
+                '   function helper (line 9)',
+                '',
+            ].join('\n'));
         });
 
         test('5.5: sorts keys alphabetically', () => {
             const tree = {
-                'z.js': { type: 'file', size: 1, extension: 'js', preview: [] },
-                'a.js': { type: 'file', size: 1, extension: 'js', preview: [] },
+                'z.js': { type: 'file', size: 1, extension: 'js', outline: [] },
+                'a.js': { type: 'file', size: 1, extension: 'js', outline: [] },
             };
 
             const result = service.formatDirectoryTree(tree, '');
@@ -354,13 +382,34 @@ describe('LLMService', () => {
 
         test('5.7: uses custom indent', () => {
             const tree = {
-                'test.js': { type: 'file', size: 10, extension: 'js', preview: [] },
+                'test.js': { type: 'file', size: 10, extension: 'js', outline: [] },
             };
 
             const result = service.formatDirectoryTree(tree, '  ');
 
             expect(result).toMatch(/^ {2}/);
         });
+
+        test('5.8: omits outlines when showOutlines is false', () => {
+            const tree = {
+                src: {
+                    type: 'directory',
+                    children: {
+                        'test.js': {
+                            type: 'file',
+                            size: 10,
+                            extension: 'js',
+                            language: 'javascript',
+                            outline: [{ name: 'x', kind: 'function', line: 1, endLine: 1, container: null, exported: false }],
+                        },
+                    },
+                },
+            };
+
+            const result = service.formatDirectoryTree(tree, '', false);
+
+            expect(result).toBe('📁 src/\n  📄 test.js (10 chars, .js)\n');
+        });
     });
 
     describe('isGeminiAvailable()', () => {
@@ -373,8 +422,8 @@ describe('LLMService', () => {
 
         test('6.2: returns true when model exists', () => {
             const service = new LLMService();
-            // Mock a geminiModel to exist
-            service.geminiModel = { generateContent: jest.fn() };
+            // Mock a Gemini client to exist
+            service.registry.get('gemini').client = { getGenerativeModel: jest.fn() };
 
             expect(service.isGeminiAvailable()).toBe(true);
         });
@@ -427,32 +476,33 @@ describe('LLMService', () => {
                 .rejects.toThrow('Gemini model not initialized');
         });
 
-        test('2.2: delegates to generateGeminiResponse', async () => {
+        test('2.2: delegates to the provider selected for the model', async () => {
             const service = new LLMService();
-            service.geminiModel = { generateContent: jest.fn() };
-            service.generateGeminiResponse = jest.fn().mockResolvedValue('result');
+            const gemini = mockGemini(service, jest.fn().mockResolvedValue('result'));
 
             const result = await service.generateResponse('test', [], null);
 
             expect(result).toBe('result');
-            expect(service.generateGeminiResponse).toHaveBeenCalledWith('test', [], null);
+            expect(gemini.generate).toHaveBeenCalledWith(expect.objectContaining({
+                model: 'gemini-2.5-flash',
+                prompt: 'test',
+                files: [],
+            }));
         });
 
         test('2.3: wraps errors with descriptive message', async () => {
             const service = new LLMService();
-            service.geminiModel = { generateContent: jest.fn() };
-            service.generateGeminiResponse = jest.fn().mockRejectedValue(
-                new Error('API failed'),
-            );
+            mockGemini(service, jest.fn().mockRejectedValue(new Error('API failed')));
 
             await expect(service.generateResponse('test', []))
                 .rejects.toThrow('Gemini API error: API failed');
+            await expect(service.generateResponse('test', []))
+                .rejects.toMatchObject({ code: 'PROVIDER_ERROR', status: 502 });
         });
 
         test('2.4: handles non-Error exceptions', async () => {
             const service = new LLMService();
-            service.geminiModel = { generateContent: jest.fn() };
-            service.generateGeminiResponse = jest.fn().mockRejectedValue('string error');
+            mockGemini(service, jest.fn().mockRejectedValue('string error'));
 
             await expect(service.generateResponse('test', []))
                 .rejects.toThrow('Gemini API error: string error');
@@ -466,10 +516,7 @@ describe('LLMService', () => {
 
             const consoleSpy = jest.spyOn(console, 'error');
             const service = new LLMService();
-            service.geminiModel = { generateContent: jest.fn() };
-            service.generateGeminiResponse = jest.fn().mockRejectedValue(
-                new Error('Test error'),
-            );
+            mockGemini(service, jest.fn().mockRejectedValue(new Error('Test error')));
 
             try {
                 await service.generateResponse('test', []);
@@ -488,105 +535,414 @@ describe('LLMService', () => {
                 consoleSpies.error = jest.spyOn(console, 'error').mockImplementation(() => {});
             }
         });
+
+        test('2.6: routes requested model to the matching provider', async () => {
+            const service = new LLMService();
+
+            const result = await service.generateResponse('hello', [{ filename: 'a.js', content: 'a' }], null, { model: 'echo' });
+
+            expect(result).toContain('Echo response');
+            expect(result).toContain('- a.js');
+        });
+
+        test('2.7: records which provider served the answer', async () => {
+            const service = new LLMService();
+
+            await service.generateResponse('hello', [], null, { model: 'echo' });
+            const status = service.getStatus();
+
+            expect(status.lastServedBy).toMatchObject({ provider: 'echo', model: 'echo' });
+            expect(status.providers.find(p => p.name === 'echo').requestsServed).toBe(1);
+        });
+
+        test('2.8: rejects models no provider serves', async () => {
+            const service = new LLMService();
+
+            await expect(service.generateResponse('hello', [], null, { model: 'mystery-model' }))
+                .rejects.toThrow('Unknown model "mystery-model"');
+            await expect(service.generateResponse('hello', [], null, { model: 'mystery-model' }))
+                .rejects.toMatchObject({ code: 'UNKNOWN_MODEL', status: 400 });
+        });
+
+        test('2.9: reports unavailable provider for its models', async () => {
+            const service = new LLMService();
+
+            await expect(service.generateResponse('hello', [], null, { model: 'gpt-4o' }))
+                .rejects.toThrow('OpenAI-compatible provider not configured');
+            await expect(service.generateResponse('hello', [], null, { model: 'gpt-4o' }))
+                .rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE', status: 503 });
+        });
+
+        test('2.10: replays the tool steps of the turn after the prompt', async () => {
+            const service = new LLMService();
+            const gemini = mockGemini(service, jest.fn().mockResolvedValue('result'));
+            const toolSteps = [
+                { id: 'call-1', name: 'list_directory', arguments: {}, output: 'src/' },
+                { id: 'call-2', name: 'read_file', arguments: { path: 'src/a.js' }, error: 'File not found' },
+            ];
+
+            await service.generateResponse('where is a?', [], null, { tools: true, toolSteps });
+
+            const request = gemini.generate.mock.calls[0][0];
+            expect(request.history.map(turn => turn.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+            expect(request.history[0].content).toContain('User question: where is a?');
+            expect(request.history[1].content).toBe('<tool_call>{"name":"list_directory","arguments":{}}</tool_call>');
+            expect(request.history[2].content).toBe('Result of list_directory (call-1):\nsrc/');
+            expect(request.userPrompt).toBe('Tool read_file (call-2) failed: File not found');
+        });
     });
 
-    describe('generateGeminiResponse()', () => {
-        test('8.1: successfully generates response', async () => {
+    describe('buildPrompts()', () => {
+        test('8.1: includes file context in system prompt', () => {
             const service = new LLMService();
-            const mockGenerateContent = jest.fn().mockResolvedValue({
-                response: {
-                    text: () => 'AI response text',
-                },
-            });
-            service.geminiModel = { generateContent: mockGenerateContent };
 
-            const result = await service.generateGeminiResponse('test', []);
+            const files = [{ filename: 'test.js', content: 'code' }];
+            const { systemPrompt } = service.buildPrompts('test', files);
 
-            expect(result).toBe('AI response text');
-            expect(mockGenerateContent).toHaveBeenCalled();
+            expect(systemPrompt).toContain('File: test.js');
+            expect(systemPrompt).toContain('code');
         });
 
-        test('8.2: throws error on empty response', async () => {
+        test('8.2: includes directory tree in system prompt', () => {
             const service = new LLMService();
-            const mockGenerateContent = jest.fn().mockResolvedValue({
-                response: {
-                    text: () => '',
-                },
+
+            const files = [{ filename: 'test.js', content: 'code' }];
+            const { systemPrompt } = service.buildPrompts('test', files);
+
+            expect(systemPrompt).toContain('📄 test.js');
+        });
+
+        test('8.3: includes currentFile in system prompt', () => {
+            const service = new LLMService();
+
+            const { systemPrompt } = service.buildPrompts('test', [], 'current.js');
+
+            expect(systemPrompt).toContain('Current file being edited: current.js');
+        });
+
+        test('8.4: includes user question in user prompt', () => {
+            const service = new LLMService();
+
+            const { userPrompt } = service.buildPrompts('What does it do?', []);
+
+            expect(userPrompt).toContain('User question: What does it do?');
+        });
+
+        test('8.5: includes conversation summary in system prompt when given', () => {
+            const service = new LLMService();
+
+            const withSummary = service.buildPrompts('test', [], null, { conversationSummary: 'User asked about a.js' });
+            const withoutSummary = service.buildPrompts('test', []);
+
+            expect(withSummary.systemPrompt).toContain('Summary of the earlier conversation:\nUser asked about a.js');
+            expect(withoutSummary.systemPrompt).not.toContain('Summary of the earlier conversation');
+        });
+
+        test('8.6: uses a prebuilt context instead of rebuilding it', () => {
+            const service = new LLMService();
+            const buildContext = jest.spyOn(service, 'buildContext');
+
+            const { systemPrompt } = service.buildPrompts('test', [{ filename: 'a.js', content: 'a' }], null, {
+                context: { text: 'PREBUILT CONTEXT', manifest: {} },
             });
-            service.geminiModel = { generateContent: mockGenerateContent };
 
-            await expect(service.generateGeminiResponse('test', []))
-                .rejects.toThrow('Empty response from Gemini');
+            expect(systemPrompt).toContain('PREBUILT CONTEXT');
+            expect(buildContext).not.toHaveBeenCalled();
         });
 
-        test('8.3: handles API call failure', async () => {
-            // This test verifies error logging, so temporarily restore console.error
-            if (!SHOW_CONSOLE_LOGS) {
-                consoleSpies.error.mockRestore();
+        test('8.7: outlines the files in the directory tree instead of previewing their first lines', () => {
+            const service = new LLMService();
+            const content = 'import x from \'x\';\n\nexport function run() {\n    return x;\n}\n';
+
+            const { systemPrompt } = service.buildPrompts('test', [{ filename: 'a.js', content }]);
+
+            expect(systemPrompt).toContain(`📄 a.js (${content.length} chars, .js)\n   export function run (lines 3-5)\n`);
+            expect(systemPrompt).not.toContain('   import x from \'x\';');
+        });
+
+        test('8.8: asks for citations with a line range and the quoted first line', () => {
+            const service = new LLMService();
+
+            const { systemPrompt } = service.buildPrompts('test', []);
+
+            expect(systemPrompt).toContain('[label](relative/path:start-end "exact text of the first cited line")');
+        });
+
+        test('8.9: adds the search/replace format only in edit mode', () => {
+            const service = new LLMService();
+
+            const chat = service.buildPrompts('test', []).systemPrompt;
+            const edit = service.buildPrompts('test', [], null, { mode: 'edit' }).systemPrompt;
+
+            expect(chat).not.toContain('<<<<<<< SEARCH');
+            expect(edit).toContain('<<<<<<< SEARCH relative/path/of/the/file');
+            expect(edit).toContain('>>>>>>> REPLACE');
+        });
+
+        test('8.10: lists the tools only while they are offered', () => {
+            const service = new LLMService();
+            const steps = [{ id: 'call-1', name: 'list_directory', arguments: {}, output: 'src/' }];
+
+            const chat = service.buildPrompts('test', []).systemPrompt;
+            const offered = service.buildPrompts('test', [], null, { tools: true }).systemPrompt;
+            const exhausted = service.buildPrompts('test', [], null, { tools: false, toolSteps: steps }).systemPrompt;
+
+            expect(chat).not.toContain('<tool_call>');
+            expect(offered).toContain('read_file(path: string, startLine?: integer, endLine?: integer)');
+            expect(offered).toContain('<tool_call>{"name": "read_file"');
+            expect(exhausted).not.toContain('<tool_call>');
+            expect(exhausted).toContain('No more tool calls are available');
+        });
+
+        test('8.11: adds the git changes and, in review mode, the review format', () => {
+            const service = new LLMService();
+            const git = {
+                branch: 'main',
+                status: [{ path: 'a.js', code: ' M' }],
+                stagedDiff: '',
+                unstagedDiff: '--- a/a.js\n+++ b/a.js\n@@ -1 +1 @@\n-old\n+new\n',
+                recentCommits: [],
+            };
+
+            const chat = service.buildPrompts('test', []);
+            const withGit = service.buildPrompts('what changed?', [], null, { git });
+            const review = service.buildPrompts('check error handling', [], null, { mode: 'review', git });
+
+            expect(chat.systemPrompt).not.toContain('Git changes');
+            expect(withGit.systemPrompt).toContain('Git changes in the workspace (branch: main):');
+            expect(withGit.systemPrompt).toContain('Unstaged changes:\n```diff\n--- a/a.js');
+            expect(withGit.systemPrompt).not.toContain('[warning]');
+            expect(withGit.userPrompt).toContain('User question: what changed?');
+            expect(review.systemPrompt).toContain('- [warning] [src/cart.js:14](src/cart.js:14 "total += price")');
+            expect(review.userPrompt).toContain('Review request: check error handling');
+        });
+
+        test('8.12: adds the editor diagnostics after the file contents', () => {
+            const service = new LLMService();
+            const diagnostics = [{ path: 'a.js', startLine: 2, endLine: 2, severity: 'error', message: 'Cannot find name \'totl\'.', source: 'ts', code: '2304' }];
+
+            const withDiagnostics = service.buildPrompts('fix this', [], null, { diagnostics });
+
+            expect(service.buildPrompts('fix this', []).systemPrompt).not.toContain('Problems the editor reports');
+            expect(withDiagnostics.systemPrompt).toContain('Problems the editor reports (line numbers as in the file contents):\n- a.js:2 error: Cannot find name \'totl\'. (ts 2304)');
+        });
+    });
+
+    describe('resolveModel()', () => {
+        test('9.1: uses default provider when no model is requested', () => {
+            const service = new LLMService();
+
+            expect(service.resolveModel(undefined)).toEqual({ provider: 'gemini', model: 'gemini-2.5-flash' });
+        });
+
+        test('9.2: resolves provider-prefixed model names', () => {
+            const service = new LLMService();
+
+            expect(service.resolveModel('openai:llama3:8b')).toEqual({ provider: 'openai', model: 'llama3:8b' });
+        });
+    });
+
+    describe('generateResponseStream()', () => {
+        async function collect(stream) {
+            const chunks = [];
+            for await (const chunk of stream) {
+                chunks.push(chunk);
             }
+            return chunks;
+        }
 
-            const consoleSpy = jest.spyOn(console, 'error');
+        test('10.1: yields provider chunks and records the provider', async () => {
             const service = new LLMService();
-            const mockGenerateContent = jest.fn().mockRejectedValue(
-                new Error('API error'),
-            );
-            service.geminiModel = { generateContent: mockGenerateContent };
 
-            await expect(service.generateGeminiResponse('test', []))
-                .rejects.toThrow('API error');
-            expect(consoleSpy).toHaveBeenCalledWith(
-                'Gemini API call failed:', expect.any(Error),
-            );
+            const chunks = await collect(service.generateResponseStream('hi', [], null, { model: 'echo' }));
 
-            consoleSpy.mockRestore();
+            expect(chunks.length).toBeGreaterThan(1);
+            expect(chunks.join('')).toBe('Echo response\n\nhi\n\nFiles received (0):\n- (no files)');
+            expect(service.getStatus().lastServedBy.provider).toBe('echo');
+        });
 
-            // Re-suppress if needed
-            if (!SHOW_CONSOLE_LOGS) {
-                consoleSpies.error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        test('10.2: throws when provider is unavailable', async () => {
+            const service = new LLMService();
+
+            await expect(collect(service.generateResponseStream('hi', [])))
+                .rejects.toThrow('Gemini model not initialized');
+        });
+
+        test('10.3: wraps empty streams as provider errors', async () => {
+            const service = new LLMService();
+            const gemini = mockGemini(service, jest.fn());
+            gemini.generateStream = async function* () {};
+
+            await expect(collect(service.generateResponseStream('hi', [])))
+                .rejects.toThrow('Gemini API error: Empty response from provider');
+        });
+    });
+
+    describe('conversation history', () => {
+        const history = [
+            { role: 'user', content: 'First question about a.js' },
+            { role: 'assistant', content: 'First answer' },
+            { role: 'user', content: 'Second question' },
+            { role: 'assistant', content: 'Second answer' },
+        ];
+
+        test('11.1: passes history to the provider as chat turns', async () => {
+            const service = new LLMService();
+            const gemini = mockGemini(service, jest.fn().mockResolvedValue('result'));
+
+            await service.generateResponse('Third question', [], null, { history });
+
+            expect(gemini.generate).toHaveBeenCalledTimes(1);
+            expect(gemini.generate.mock.calls[0][0].history).toEqual(history);
+            expect(gemini.generate.mock.calls[0][0].systemPrompt).not.toContain('Summary of the earlier conversation');
+        });
+
+        test('11.2: summarizes turns beyond the token budget with the same provider', async () => {
+            const service = new LLMService({ memory: new ConversationMemory({ tokenBudget: 8 }) });
+            const gemini = mockGemini(service, jest.fn()
+                .mockResolvedValueOnce('They discussed a.js')
+                .mockResolvedValueOnce('result'));
+
+            await service.generateResponse('Third question', [], null, { history });
+
+            const [summaryCall, answerCall] = gemini.generate.mock.calls.map(call => call[0]);
+            expect(summaryCall.systemPrompt).toBe(SUMMARY_SYSTEM_PROMPT);
+            expect(summaryCall.userPrompt).toContain('User: First question about a.js');
+            expect(answerCall.history).toEqual(history.slice(2));
+            expect(answerCall.systemPrompt).toContain('Summary of the earlier conversation:\nThey discussed a.js');
+        });
+
+        test('11.3: streams with history', async () => {
+            const service = new LLMService();
+            const chunks = [];
+
+            for await (const chunk of service.generateResponseStream('hi', [], null, { model: 'echo', history })) {
+                chunks.push(chunk);
             }
+
+            expect(chunks.join('')).toContain('History turns received: 4');
         });
+    });
+
+    describe('searchCode()', () => {
+        const files = [
+            { filename: 'cart.js', content: 'function calculateTotal(items) {\n    return items.length;\n}\n' },
+            { filename: 'user.js', content: 'function loadUser(id) {\n    return id;\n}\n' },
+        ];
 
-        test('8.4: includes file context in prompt', async () => {
+        test('12.1: searches the files it is given', () => {
             const service = new LLMService();
-            const mockGenerateContent = jest.fn().mockResolvedValue({
-                response: { text: () => 'response' },
-            });
-            service.geminiModel = { generateContent: mockGenerateContent };
 
-            const files = [{ filename: 'test.js', content: 'code' }];
-            await service.generateGeminiResponse('test', files);
+            const { results, index } = service.searchCode('calculateTotal', { files });
+
+            expect(results).toHaveLength(1);
+            expect(results[0]).toMatchObject({ filename: 'cart.js', startLine: 1, endLine: 3, symbol: 'calculateTotal' });
+            expect(index).toEqual({ documents: 2, chunks: 2 });
+        });
 
-            const callArgs = mockGenerateContent.mock.calls[0][0];
-            expect(callArgs[0]).toContain('File: test.js');
-            expect(callArgs[0]).toContain('code');
+        test('12.2: shares the index with the context builder but searches only the given files', () => {
+            const index = new CodeIndex();
+            const service = new LLMService({ index });
+
+            service.buildContext('anything', files);
+            const analyze = jest.spyOn(index, 'analyze');
+            const own = service.searchCode('loadUser', { files: files.slice(0, 1) });
+            const both = service.searchCode('loadUser', { files });
+
+            expect(service.contextBuilder.index).toBe(index);
+            expect(analyze).not.toHaveBeenCalled();
+            expect(own).toEqual({ results: [], index: { documents: 1, chunks: 1 } });
+            expect(both.results.map(result => result.filename)).toEqual(['user.js']);
         });
+    });
 
-        test('8.5: includes directory tree in prompt', async () => {
+    describe('generateCommitMessage()', () => {
+        const diff = 'diff --git a/a.js b/a.js\n--- a/a.js\n+++ b/a.js\n@@ -1 +1 @@\n-let a = 1;\n+const a = 1;';
+
+        test('13.1: writes the message with the provider selected for the model', async () => {
             const service = new LLMService();
-            const mockGenerateContent = jest.fn().mockResolvedValue({
-                response: { text: () => 'response' },
-            });
-            service.geminiModel = { generateContent: mockGenerateContent };
+            const gemini = mockGemini(service, jest.fn().mockResolvedValue('```\nrefactor: make a constant\n```'));
 
-            const files = [{ filename: 'test.js', content: 'code' }];
-            await service.generateGeminiResponse('test', files);
+            const result = await service.generateCommitMessage(diff, { template: '# Why:' });
 
-            const callArgs = mockGenerateContent.mock.calls[0][0];
-            expect(callArgs[0]).toContain('📄 test.js');
+            expect(result).toEqual({ message: 'refactor: make a constant', summarizedFiles: [], omittedFiles: [] });
+            expect(gemini.generate).toHaveBeenCalledWith(expect.objectContaining({
+                model: 'gemini-2.5-flash',
+                systemPrompt: expect.stringContaining('# Why:'),
+                userPrompt: expect.stringContaining('+const a = 1;'),
+                history: [],
+                files: [],
+            }));
+            expect(service.getStatus().lastServedBy).toMatchObject({ provider: 'gemini' });
         });
 
-        test('8.6: includes currentFile in prompt', async () => {
+        test('13.2: reports unavailable and failing providers like answers', async () => {
             const service = new LLMService();
-            const mockGenerateContent = jest.fn().mockResolvedValue({
-                response: { text: () => 'response' },
+
+            await expect(service.generateCommitMessage(diff)).rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE', status: 503 });
+
+            mockGemini(service, jest.fn().mockRejectedValue(new Error('quota exceeded')));
+            await expect(service.generateCommitMessage(diff)).rejects.toMatchObject({
+                code: 'PROVIDER_ERROR',
+                status: 502,
+                message: 'Gemini API error: quota exceeded',
             });
-            service.geminiModel = { generateContent: mockGenerateContent };
+        });
+    });
+
+    describe('generateCompletion()', () => {
+        test('14.1: completes with the provider selected for the model', async () => {
+            const service = new LLMService();
+            const gemini = mockGemini(service, jest.fn().mockResolvedValue('const total = a + b;'));
 
-            await service.generateGeminiResponse('test', [], 'current.js');
+            const completion = await service.generateCompletion({ prefix: 'const total = ', language: 'javascript', files: [] });
 
-            const callArgs = mockGenerateContent.mock.calls[0][0];
-            expect(callArgs[0]).toContain('Current file being edited: current.js');
+            expect(completion).toBe('a + b;');
+            expect(gemini.generate).toHaveBeenCalledWith(expect.objectContaining({
+                model: 'gemini-2.5-flash',
+                systemPrompt: expect.stringContaining('code completion'),
+                userPrompt: expect.stringContaining('const total = <|cursor|>'),
+                history: [],
+                files: [],
+            }));
+            expect(service.getStatus().lastServedBy).toMatchObject({ provider: 'gemini' });
+        });
+
+        test('14.2: reports unavailable and failing providers like answers', async () => {
+            const service = new LLMService();
+
+            await expect(service.generateCompletion({ prefix: 'a' })).rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE', status: 503 });
+
+            mockGemini(service, jest.fn().mockRejectedValue(new Error('quota exceeded')));
+            await expect(service.generateCompletion({ prefix: 'a' })).rejects.toMatchObject({ code: 'PROVIDER_ERROR', status: 502 });
         });
     });
-});
 
+    describe('generateExplanation()', () => {
+        test('15.1: explains with the provider selected for the model', async () => {
+            const service = new LLMService();
+            const gemini = mockGemini(service, jest.fn().mockResolvedValue('Adds `a` and `b`.\n'));
+
+            const explanation = await service.generateExplanation({ code: 'function add(a, b) { return a + b; }', name: 'add', kind: 'function' });
+
+            expect(explanation).toBe('Adds `a` and `b`.');
+            expect(gemini.generate).toHaveBeenCalledWith(expect.objectContaining({
+                model: 'gemini-2.5-flash',
+                systemPrompt: expect.stringContaining('editor tooltip'),
+                userPrompt: expect.stringContaining('Explain this function `add`.'),
+                history: [],
+                files: [],
+            }));
+            expect(service.getStatus().lastServedBy).toMatchObject({ provider: 'gemini' });
+        });
+
+        test('15.2: reports unavailable and failing providers like answers', async () => {
+            const service = new LLMService();
+
+            await expect(service.generateExplanation({ code: 'a' })).rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE', status: 503 });
+
+            mockGemini(service, jest.fn().mockRejectedValue(new Error('quota exceeded')));
+            await expect(service.generateExplanation({ code: 'a' })).rejects.toMatchObject({ code: 'PROVIDER_ERROR', status: 502 });
+        });
+    });
+});
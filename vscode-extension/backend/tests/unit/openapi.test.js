@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for the OpenAPI document
+ *
+ * Tests that the document is built from the declared schemas, that the copy
+ * written for clients is current, and that the reference page renders it.
+ * The handler tests check real responses against the document.
+ */
+
+const fs = require('fs');
+const { OPENAPI_FILE, buildOpenApiDocument, renderApiReference, resolveRefs } = require('../../services/openapi');
+const { ERROR_CODES } = require('../../services/apiErrors');
+const { validate } = require('../../services/schemaValidator');
+const schemas = require('../../services/schemas');
+
+/**
+ * Collect every `$ref` in a document
+ * @param {*} node - Part of the document
+ * @param {string[]} refs - Collected references
+ * @returns {string[]} References found
+ */
+function collectRefs(node, refs = []) {
+    if (Array.isArray(node)) {
+        node.forEach(item => collectRefs(item, refs));
+    } else if (node && typeof node === 'object') {
+        Object.entries(node).forEach(([key, value]) => (key === '$ref' ? refs.push(value) : collectRefs(value, refs)));
+    }
+    return refs;
+}
+
+describe('OpenAPI document', () => {
+    const document = buildOpenApiDocument();
+
+    test('1.1: the openapi.json written for clients is up to date', () => {
+        const written = JSON.parse(fs.readFileSync(OPENAPI_FILE, 'utf8'));
+
+        // Run `npm run openapi` after changing services/schemas.js or services/openapi.js
+        expect(written).toEqual(JSON.parse(JSON.stringify(document)));
+    });
+
+    test('1.2: publishes every declared schema as a component, referenced by name where nested', () => {
+        const components = document.components.schemas;
+
+        expect(Object.keys(components)).toEqual(expect.arrayContaining([
+            'WorkspaceFile', 'Citation', 'FileEdit', 'ToolCall', 'ToolStep',
+            'UploadRequest', 'UploadResponse', 'StreamEventResponse', 'ErrorResponse', 'ConversationResponse',
+        ]));
+        expect(components.UploadRequest.properties.files.items).toEqual({ $ref: '#/components/schemas/WorkspaceFile' });
+        expect(components.UploadResponse.properties.citations.items).toEqual({ $ref: '#/components/schemas/Citation' });
+        expect(components.ErrorResponse.properties.code.enum).toEqual(Object.values(ERROR_CODES));
+        expect(components.UploadRequest.properties.prompt).not.toHaveProperty('errorMessage');
+        expect(components.UploadRequest.properties.prompt['x-error-codes']).toEqual({ maxLength: 'PROMPT_TOO_LARGE' });
+    });
+
+    test('1.3: every reference resolves', () => {
+        const refs = [...new Set(collectRefs(document))];
+
+        expect(refs.length).toBeGreaterThan(0);
+        refs.forEach(ref => {
+            expect(resolveRefs(document, { $ref: ref })).toEqual(expect.any(Object));
+        });
+    });
+
+    test('1.4: resolved schemas validate like the declared ones', () => {
+        const upload = resolveRefs(document, { $ref: '#/components/schemas/UploadRequest' });
+        const bodies = [
+            { files: [{ filename: 'a.js', content: '' }], prompt: 'test' },
+            { sessionId: 'abc', prompt: 'test', history: [{ role: 'user', content: 'hi' }] },
+            { prompt: 'test' },
+            { files: [{ filename: '../a.js', content: '' }], prompt: 'test' },
+        ];
+
+        bodies.forEach(body => {
+            expect(validate(upload, body).map(problem => problem.code))
+                .toEqual(validate(schemas.requests.upload, body).map(problem => problem.code));
+        });
+        expect(validate(upload, bodies[3])[0].code).toBe('INVALID_PATH');
+    });
+
+    test('1.5: marks only the service endpoints as public', () => {
+        const publicRoutes = Object.entries(document.paths)
+            .filter(([, methods]) => Object.values(methods).some(operation => Array.isArray(operation.security)))
+            .map(([route]) => route);
+
+        expect(publicRoutes).toEqual(['/health', '/openapi.json', '/docs']);
+        expect(document.paths['/upload'].post.responses).toHaveProperty('401');
+        expect(document.paths['/health'].get.responses).not.toHaveProperty('401');
+    });
+
+    test('1.6: renders a self-contained reference page', () => {
+        const html = renderApiReference({
+            ...document,
+            info: { ...document.info, description: 'Use <b>bold</b> & more' },
+        });
+
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain('<span class="method post">POST</span> <code>/conversations/{conversationId}/messages</code>');
+        expect(html).toContain('<a href="#schema-UploadRequest">UploadRequest</a>');
+        expect(html).toContain('<section id="schema-Citation">');
+        expect(html).toContain('Use &lt;b&gt;bold&lt;/b&gt; &amp; more');
+        expect(html).not.toMatch(/<script|<link/);
+    });
+});
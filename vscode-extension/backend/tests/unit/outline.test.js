@@ -0,0 +1,344 @@
+/**
+ * Unit Tests for symbol outlines
+ *
+ * Tests the JavaScript/TypeScript extractor (declarations, class members,
+ * exports and React components), the Python, Go and Java heuristics, and
+ * rendering an outline for the directory tree.
+ */
+
+const { detectLanguage, extractOutline, formatOutline } = require('../../services/outline');
+
+/**
+ * Outline a file, keeping only what a test looks at
+ * @param {string} filename - File path
+ * @param {string[]} lines - File lines
+ * @returns {Array<string>} `kind name line-endLine`, members prefixed with their container
+ */
+function outline(filename, lines) {
+    return extractOutline(filename, lines.join('\n')).symbols.map(symbol => (
+        `${symbol.kind} ${symbol.container ? `${symbol.container}.` : ''}${symbol.name} ${symbol.line}-${symbol.endLine}${symbol.exported ? ' exported' : ''}`
+    ));
+}
+
+describe('detectLanguage', () => {
+    test('1.1: maps extensions to languages', () => {
+        expect(detectLanguage('src/App.tsx')).toBe('typescript');
+        expect(detectLanguage('index.mjs')).toBe('javascript');
+        expect(detectLanguage('tools/build.py')).toBe('python');
+        expect(detectLanguage('cmd/main.go')).toBe('go');
+        expect(detectLanguage('Main.JAVA')).toBe('java');
+        expect(detectLanguage('README.md')).toBeNull();
+        expect(detectLanguage('Makefile')).toBeNull();
+    });
+});
+
+describe('extractOutline: JavaScript and TypeScript', () => {
+    test('2.1: lists functions, classes and methods with their line ranges', () => {
+        expect(outline('src/store.js', [
+            'const fs = require(\'fs\');',
+            '',
+            'async function load(path) {',
+            '    return fs.promises.readFile(path, "utf8");',
+            '}',
+            '',
+            'class Store {',
+            '    constructor(path) {',
+            '        this.path = path;',
+            '    }',
+            '',
+            '    static async open(path) {',
+            '        return new Store(path);',
+            '    }',
+            '',
+            '    #cache() {}',
+            '}',
+        ])).toEqual([
+            'function load 3-5',
+            'class Store 7-17',
+            'method Store.constructor 8-10 exported',
+            'method Store.open 12-14 exported',
+            'method Store.#cache 16-16',
+        ]);
+    });
+
+    test('2.2: lists arrow functions and exported values, not other variables', () => {
+        expect(outline('src/api.ts', [
+            'const cache = new Map<string, number>();',
+            'export const API_URL = "https://example.com";',
+            'const fetchUser = async (id: string) => {',
+            '    return cache.get(id);',
+            '};',
+            'const double = (n: number): number => n * 2;',
+            'export const load = async (',
+            '    id: string,',
+            '): Promise<void> => {',
+            '    await fetchUser(id);',
+            '};',
+        ])).toEqual([
+            'variable API_URL 2-2 exported',
+            'function fetchUser 3-5',
+            'function double 6-6',
+            'function load 7-11 exported',
+        ]);
+    });
+
+    test('2.3: lists TypeScript interfaces, types, enums and overloaded functions once', () => {
+        expect(outline('src/types.ts', [
+            'export interface User {',
+            '    id: string;',
+            '}',
+            'export type Role = \'admin\' | \'user\';',
+            'const enum Level { Low, High }',
+            'export function parse(value: string): User;',
+            'export function parse(value: string, strict: boolean): User;',
+            'export function parse(value: string, strict = false): { id: string } {',
+            '    return { id: value };',
+            '}',
+        ])).toEqual([
+            'interface User 1-3 exported',
+            'type Role 4-4 exported',
+            'enum Level 5-5',
+            'function parse 8-10 exported',
+        ]);
+    });
+
+    test('2.4: marks CommonJS and ES module exports', () => {
+        expect(outline('src/util.js', [
+            'const LIMIT = 10;',
+            'function a() {}',
+            'function b() {}',
+            'function c() {}',
+            'exports.d = function () {};',
+            'module.exports = {',
+            '    LIMIT,',
+            '    a,',
+            '    renamed: b,',
+            '    nested: { c },',
+            '};',
+        ])).toEqual([
+            'variable LIMIT 1-1 exported',
+            'function a 2-2 exported',
+            'function b 3-3 exported',
+            'function c 4-4',
+            'function d 5-5 exported',
+        ]);
+        expect(outline('src/esm.js', [
+            'function a() {}',
+            'class B {}',
+            'export { a as alias };',
+            'export default B;',
+        ])).toEqual(['function a 1-1 exported', 'class B 2-2 exported']);
+    });
+
+    test('2.5: recognizes React function, memo and class components', () => {
+        expect(outline('src/App.tsx', [
+            'import React, { memo } from \'react\';',
+            '',
+            'export const Button = memo(({ label }: { label: string }) => {',
+            '    return <button>{label}</button>;',
+            '});',
+            '',
+            'const Header = () => (',
+            '    <h1>Title</h1>',
+            ');',
+            '',
+            'function Formatter() {',
+            '    return \'not JSX\';',
+            '}',
+            '',
+            'export default function App() {',
+            '    return (',
+            '        <div><Header /></div>',
+            '    );',
+            '}',
+            '',
+            'class Legacy extends React.Component {',
+            '    handleClick = () => this.setState({ open: true });',
+            '    render() {',
+            '        return <div />;',
+            '    }',
+            '}',
+        ])).toEqual([
+            'component Button 3-5 exported',
+            'component Header 7-9',
+            'function Formatter 11-13',
+            'component App 15-19 exported',
+            'component Legacy 21-26',
+            'method Legacy.handleClick 22-22 exported',
+            'method Legacy.render 23-25 exported',
+        ]);
+    });
+
+    test('2.6: ignores braces and declarations in comments and strings', () => {
+        expect(outline('src/tricky.js', [
+            '/* function commented() {',
+            '} */',
+            'const text = "function inString() {";',
+            'const template = `',
+            '  class InTemplate {',
+            '`;',
+            'function real() {',
+            '    const brace = \'}\';',
+            '    // }',
+            '}',
+            'function next() {}',
+        ])).toEqual(['function real 7-10', 'function next 11-11']);
+    });
+
+    test('2.7: skips functions nested in functions', () => {
+        expect(outline('src/nested.js', [
+            'function outer() {',
+            '    function inner() {}',
+            '    const alsoInner = () => {};',
+            '}',
+        ])).toEqual(['function outer 1-4']);
+    });
+});
+
+describe('extractOutline: Python, Go and Java', () => {
+    test('3.1: nests Python methods under their class by indentation', () => {
+        expect(outline('app/store.py', [
+            '"""Store module.',
+            '',
+            'def in_docstring():',
+            '"""',
+            'import os',
+            '',
+            '',
+            'class Store(Base):',
+            '    """A store."""',
+            '',
+            '    def __init__(self, path):',
+            '        self.path = path',
+            '',
+            '    async def load(',
+            '        self,',
+            '        key,',
+            '    ):',
+            '        def helper():',
+            '            return key',
+            '        return helper()',
+            '',
+            '    def _evict(self):',
+            '        pass',
+            '',
+            '',
+            'def _main():',
+            '    Store(os.getcwd())',
+        ])).toEqual([
+            'class Store 8-23 exported',
+            'method Store.__init__ 11-12 exported',
+            'method Store.load 14-20 exported',
+            'method Store._evict 22-23',
+            'function _main 26-27',
+        ]);
+    });
+
+    test('3.2: lists Go functions, methods with their receiver type, and types', () => {
+        expect(outline('server/server.go', [
+            'package server',
+            '',
+            'type (',
+            '\tID string',
+            '\tPoint struct {',
+            '\t\tX, Y int',
+            '\t}',
+            ')',
+            '',
+            'type Server struct {',
+            '\taddr string // {',
+            '}',
+            '',
+            'func (s *Server) Start() error {',
+            '\tfmt.Println("{")',
+            '\treturn nil',
+            '}',
+            '',
+            'func newServer[T any](addr string) *Server {',
+            '\treturn &Server{addr: addr}',
+            '}',
+        ])).toEqual([
+            'type ID 4-4 exported',
+            'struct Point 5-7 exported',
+            'struct Server 10-12 exported',
+            'method Server.Start 14-17 exported',
+            'function newServer 19-21',
+        ]);
+    });
+
+    test('3.3: lists Java types, nested types, constructors and methods', () => {
+        expect(outline('src/Shop.java', [
+            'package shop;',
+            '',
+            '@Entity',
+            'public class Shop {',
+            '    private final Map<String, Item> items = new HashMap<>();',
+            '',
+            '    public Shop() {',
+            '        super();',
+            '    }',
+            '',
+            '    @Override',
+            '    public <T> List<T> find(String name) {',
+            '        if (name == null) {',
+            '            return List.of();',
+            '        }',
+            '        return List.of();',
+            '    }',
+            '',
+            '    private static int count(int[] values) { return values.length; }',
+            '',
+            '    enum Color { RED("r"), GREEN("g") }',
+            '',
+            '    interface Listener {',
+            '        void onEvent(String event);',
+            '    }',
+            '}',
+        ])).toEqual([
+            'class Shop 4-26 exported',
+            'method Shop.Shop 7-9 exported',
+            'method Shop.find 12-17 exported',
+            'method Shop.count 19-19',
+            'enum Shop.Color 21-21 exported',
+            'interface Shop.Listener 23-25 exported',
+            'method Shop.Listener.onEvent 24-24 exported',
+        ]);
+    });
+
+    test('3.4: gives other languages and empty files an empty outline', () => {
+        expect(extractOutline('README.md', 'function notCode() {}')).toEqual({ language: null, symbols: [] });
+        expect(extractOutline('src/empty.js', '')).toEqual({ language: 'javascript', symbols: [] });
+    });
+});
+
+describe('formatOutline', () => {
+    const symbols = [
+        { name: 'Store', kind: 'class', line: 3, endLine: 20, container: null, exported: true },
+        { name: 'load', kind: 'method', line: 4, endLine: 8, container: 'Store', exported: true },
+        { name: 'helper', kind: 'function', line: 22, endLine: 22, container: null, exported: false },
+    ];
+
+    test('4.1: renders members under their class, with export markers for JS and TS', () => {
+        expect(formatOutline({ language: 'javascript', symbols })).toEqual([
+            'export class Store (lines 3-20)',
+            '  method load (lines 4-8)',
+            'function helper (line 22)',
+        ]);
+        expect(formatOutline({ language: 'python', symbols })[0]).toBe('class Store (lines 3-20)');
+    });
+
+    test('4.2: qualifies members whose type is declared in another file', () => {
+        const methods = [{ name: 'Start', kind: 'method', line: 5, endLine: 9, container: 'Server', exported: true }];
+
+        expect(formatOutline({ language: 'go', symbols: methods })).toEqual(['method Server.Start (lines 5-9)']);
+    });
+
+    test('4.3: summarizes lines beyond the limit', () => {
+        expect(formatOutline({ language: 'javascript', symbols }, 1)).toEqual(['export class Store (lines 3-20)', '... 2 more symbols']);
+        expect(formatOutline({ language: 'javascript', symbols }, 2)).toEqual([
+            'export class Store (lines 3-20)',
+            '  method load (lines 4-8)',
+            '... 1 more symbol',
+        ]);
+    });
+});
@@ -0,0 +1,414 @@
+/**
+ * Unit Tests for LLM Providers
+ *
+ * Tests the provider registry and each provider in isolation.
+ * The Gemini SDK and fetch are mocked so no network calls are made.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    ProviderRegistry,
+    createProviderRegistry,
+    GeminiProvider,
+    OpenAIProvider,
+    EchoProvider,
+} = require('../../services/providers');
+
+describe('LLM Providers', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('GeminiProvider', () => {
+        function createGemini(sendMessage, sendMessageStream = jest.fn()) {
+            const startChat = jest.fn().mockReturnValue({ sendMessage, sendMessageStream });
+            const getGenerativeModel = jest.fn().mockReturnValue({ startChat });
+            const provider = new GeminiProvider({ apiKey: 'key', client: { getGenerativeModel } });
+            return { provider, getGenerativeModel, startChat };
+        }
+
+        test('1.1: is unavailable without an API key', () => {
+            const provider = new GeminiProvider({ apiKey: null });
+
+            expect(provider.isAvailable()).toBe(false);
+            expect(provider.isConfigured()).toBe(false);
+            expect(() => provider.getModel()).toThrow('Gemini model not initialized');
+        });
+
+        test('1.2: sends the system prompt as system instruction and the user prompt as a chat message', async () => {
+            const sendMessage = jest.fn().mockResolvedValue({
+                response: { text: () => 'AI response text' },
+            });
+            const { provider, startChat } = createGemini(sendMessage);
+
+            const result = await provider.generate({ systemPrompt: 'system', userPrompt: 'user' });
+
+            expect(result).toBe('AI response text');
+            expect(startChat).toHaveBeenCalledWith({
+                systemInstruction: { role: 'system', parts: [{ text: 'system' }] },
+                history: [],
+            });
+            expect(sendMessage).toHaveBeenCalledWith('user');
+        });
+
+        test('1.3: throws error on empty response', async () => {
+            const sendMessage = jest.fn().mockResolvedValue({
+                response: { text: () => '' },
+            });
+            const { provider } = createGemini(sendMessage);
+
+            await expect(provider.generate({ systemPrompt: 's', userPrompt: 'u' }))
+                .rejects.toThrow('Empty response from Gemini');
+        });
+
+        test('1.4: logs and rethrows API call failures', async () => {
+            const sendMessage = jest.fn().mockRejectedValue(new Error('API error'));
+            const { provider } = createGemini(sendMessage);
+
+            await expect(provider.generate({ systemPrompt: 's', userPrompt: 'u' }))
+                .rejects.toThrow('API error');
+            expect(console.error).toHaveBeenCalledWith('Gemini API call failed:', expect.any(Error));
+        });
+
+        test('1.5: caches model handles per model name', async () => {
+            const sendMessage = jest.fn().mockResolvedValue({ response: { text: () => 'ok' } });
+            const { provider, getGenerativeModel } = createGemini(sendMessage);
+
+            await provider.generate({ model: 'gemini-2.5-pro', systemPrompt: 's', userPrompt: 'u' });
+            await provider.generate({ model: 'gemini-2.5-pro', systemPrompt: 's', userPrompt: 'u' });
+
+            expect(getGenerativeModel).toHaveBeenCalledTimes(1);
+            expect(getGenerativeModel).toHaveBeenCalledWith({ model: 'gemini-2.5-pro' });
+        });
+
+        test('1.6: claims gemini model names only', () => {
+            const provider = new GeminiProvider();
+
+            expect(provider.supportsModel('gemini-2.5-flash')).toBe(true);
+            expect(provider.supportsModel('gpt-4o')).toBe(false);
+        });
+
+        test('1.7: streams chunks from sendMessageStream', async () => {
+            const stream = (async function* () {
+                yield { text: () => 'Hel' };
+                yield { text: () => '' };
+                yield { text: () => 'lo' };
+            })();
+            const { provider } = createGemini(jest.fn(), jest.fn().mockResolvedValue({ stream }));
+
+            const chunks = [];
+            for await (const chunk of provider.generateStream({ systemPrompt: 's', userPrompt: 'u' })) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks).toEqual(['Hel', 'lo']);
+        });
+
+        test('1.8: logs and rethrows streaming failures', async () => {
+            const { provider } = createGemini(jest.fn(), jest.fn().mockRejectedValue(new Error('stream failed')));
+
+            await expect(provider.generateStream({ systemPrompt: 's', userPrompt: 'u' }).next())
+                .rejects.toThrow('stream failed');
+            expect(console.error).toHaveBeenCalledWith('Gemini streaming API call failed:', expect.any(Error));
+        });
+
+        test('1.9: passes conversation turns as chat history', async () => {
+            const sendMessage = jest.fn().mockResolvedValue({ response: { text: () => 'ok' } });
+            const { provider, startChat } = createGemini(sendMessage);
+
+            await provider.generate({
+                systemPrompt: 's',
+                userPrompt: 'u',
+                history: [
+                    { role: 'assistant', content: 'orphan' },
+                    { role: 'user', content: 'question' },
+                    { role: 'assistant', content: 'answer' },
+                ],
+            });
+
+            expect(startChat.mock.calls[0][0].history).toEqual([
+                { role: 'user', parts: [{ text: 'question' }] },
+                { role: 'model', parts: [{ text: 'answer' }] },
+            ]);
+        });
+    });
+
+    describe('OpenAIProvider', () => {
+        function okResponse(payload) {
+            return {
+                ok: true,
+                status: 200,
+                json: jest.fn().mockResolvedValue(payload),
+                text: jest.fn().mockResolvedValue(JSON.stringify(payload)),
+            };
+        }
+
+        test('2.1: requires an API key for the hosted endpoint', () => {
+            const provider = new OpenAIProvider({ fetchImpl: jest.fn() });
+
+            expect(provider.isAvailable()).toBe(false);
+        });
+
+        test('2.2: enables keyless local servers via base URL', () => {
+            const provider = new OpenAIProvider({ baseUrl: 'http://localhost:11434/v1/', fetchImpl: jest.fn() });
+
+            expect(provider.isAvailable()).toBe(true);
+            expect(provider.isLocal()).toBe(true);
+            expect(provider.baseUrl).toBe('http://localhost:11434/v1');
+        });
+
+        test('2.3: posts chat completion request', async () => {
+            const fetchImpl = jest.fn().mockResolvedValue(okResponse({
+                choices: [{ message: { content: 'hello' } }],
+            }));
+            const provider = new OpenAIProvider({ apiKey: 'sk-test', fetchImpl });
+
+            const text = await provider.generate({ model: 'gpt-4o', systemPrompt: 'sys', userPrompt: 'usr' });
+
+            expect(text).toBe('hello');
+            const [url, init] = fetchImpl.mock.calls[0];
+            expect(url).toBe('https://api.openai.com/v1/chat/completions');
+            expect(init.headers.Authorization).toBe('Bearer sk-test');
+            expect(JSON.parse(init.body)).toEqual({
+                model: 'gpt-4o',
+                messages: [
+                    { role: 'system', content: 'sys' },
+                    { role: 'user', content: 'usr' },
+                ],
+            });
+        });
+
+        test('2.4: surfaces HTTP errors', async () => {
+            const fetchImpl = jest.fn().mockResolvedValue({
+                ok: false,
+                status: 401,
+                text: jest.fn().mockResolvedValue('bad key'),
+            });
+            const provider = new OpenAIProvider({ apiKey: 'sk-test', fetchImpl });
+
+            await expect(provider.generate({ systemPrompt: 's', userPrompt: 'u' }))
+                .rejects.toThrow('HTTP 401: bad key');
+        });
+
+        test('2.5: throws on empty completion', async () => {
+            const fetchImpl = jest.fn().mockResolvedValue(okResponse({ choices: [] }));
+            const provider = new OpenAIProvider({ apiKey: 'sk-test', fetchImpl });
+
+            await expect(provider.generate({ systemPrompt: 's', userPrompt: 'u' }))
+                .rejects.toThrow('Empty response from OpenAI-compatible provider');
+        });
+
+        test('2.6: claims gpt models and configured extras', () => {
+            const provider = new OpenAIProvider({ models: ['mistral-large'] });
+
+            expect(provider.supportsModel('gpt-4o-mini')).toBe(true);
+            expect(provider.supportsModel('o3-mini')).toBe(true);
+            expect(provider.supportsModel('mistral-large')).toBe(true);
+            expect(provider.supportsModel('llama3')).toBe(false);
+        });
+
+        test('2.7: streams server-sent event deltas', async () => {
+            const encoder = new TextEncoder();
+            const sse = [
+                'data: {"choices":[{"delta":{"role":"assistant"}}]}\n',
+                'data: {"choices":[{"delta":{"content":"Hel"}}]}\n: keep-alive\n',
+                'data: {"choices":[{"delta":{"con',
+                'tent":"lo"}}]}\ndata: not-json\n',
+                'data: [DONE]\n',
+                'data: {"choices":[{"delta":{"content":"ignored"}}]}\n',
+            ];
+            const fetchImpl = jest.fn().mockResolvedValue({
+                ok: true,
+                body: (async function* () {
+                    for (const part of sse) {
+                        yield encoder.encode(part);
+                    }
+                })(),
+            });
+            const provider = new OpenAIProvider({ apiKey: 'sk-test', fetchImpl });
+
+            const chunks = [];
+            for await (const chunk of provider.generateStream({ systemPrompt: 's', userPrompt: 'u' })) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks).toEqual(['Hel', 'lo']);
+            expect(JSON.parse(fetchImpl.mock.calls[0][1].body).stream).toBe(true);
+        });
+
+        test('2.8: yields trailing delta without final newline', async () => {
+            const encoder = new TextEncoder();
+            const fetchImpl = jest.fn().mockResolvedValue({
+                ok: true,
+                body: (async function* () {
+                    yield encoder.encode('data: {"choices":[{"delta":{"content":"end"}}]}');
+                })(),
+            });
+            const provider = new OpenAIProvider({ apiKey: 'sk-test', fetchImpl });
+
+            const chunks = [];
+            for await (const chunk of provider.generateStream({ systemPrompt: 's', userPrompt: 'u' })) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks).toEqual(['end']);
+        });
+
+        test('2.9: sends conversation turns between system and user messages', async () => {
+            const fetchImpl = jest.fn().mockResolvedValue(okResponse({
+                choices: [{ message: { content: 'hello' } }],
+            }));
+            const provider = new OpenAIProvider({ apiKey: 'sk-test', fetchImpl });
+
+            await provider.generate({
+                systemPrompt: 'sys',
+                userPrompt: 'usr',
+                history: [
+                    { role: 'user', content: 'earlier question' },
+                    { role: 'assistant', content: 'earlier answer' },
+                ],
+            });
+
+            expect(JSON.parse(fetchImpl.mock.calls[0][1].body).messages).toEqual([
+                { role: 'system', content: 'sys' },
+                { role: 'user', content: 'earlier question' },
+                { role: 'assistant', content: 'earlier answer' },
+                { role: 'user', content: 'usr' },
+            ]);
+        });
+    });
+
+    describe('EchoProvider', () => {
+        test('3.1: echoes prompt and file names', async () => {
+            const provider = new EchoProvider();
+
+            const text = await provider.generate({ prompt: 'hi', files: [{ filename: 'a.js' }] });
+
+            expect(text).toBe('Echo response\n\nhi\n\nFiles received (1):\n- a.js');
+        });
+
+        test('3.2: returns matching fixture', async () => {
+            const provider = new EchoProvider({ fixtures: [{ match: 'summarize', response: 'Fixture summary' }] });
+
+            await expect(provider.generate({ prompt: 'please summarize', files: [] }))
+                .resolves.toBe('Fixture summary');
+        });
+
+        test('3.3: loads fixtures from file', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-fixtures-'));
+            const fixturesPath = path.join(dir, 'fixtures.json');
+            fs.writeFileSync(fixturesPath, JSON.stringify({ responses: [{ match: 'x', response: 'y' }] }));
+
+            const provider = new EchoProvider({ fixturesPath });
+
+            expect(provider.getStatus().fixtures).toBe(1);
+            await expect(provider.generate({ prompt: 'x' })).resolves.toBe('y');
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('3.4: tolerates unreadable fixtures file', () => {
+            const provider = new EchoProvider({ fixturesPath: '/nonexistent/fixtures.json' });
+
+            expect(provider.fixtures).toEqual([]);
+            expect(provider.isAvailable()).toBe(true);
+        });
+
+        test('3.5: streams the echo word by word', async () => {
+            const provider = new EchoProvider({ fixtures: [{ match: 'x', response: 'one two  three' }] });
+
+            const chunks = [];
+            for await (const chunk of provider.generateStream({ prompt: 'x' })) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks).toEqual(['one ', 'two ', ' ', 'three']);
+            expect(chunks.join('')).toBe('one two  three');
+        });
+
+        test('3.6: reports how many history turns were received', async () => {
+            const provider = new EchoProvider();
+
+            const text = await provider.generate({ prompt: 'hi', history: [{ role: 'user', content: 'a' }] });
+
+            expect(text).toContain('History turns received: 1');
+        });
+    });
+
+    describe('ProviderRegistry', () => {
+        function createRegistry(defaultProvider) {
+            return new ProviderRegistry([
+                new GeminiProvider({ apiKey: null }),
+                new OpenAIProvider({ fetchImpl: jest.fn() }),
+                new EchoProvider(),
+            ], defaultProvider);
+        }
+
+        test('4.1: resolves auto models to default provider', () => {
+            const registry = createRegistry('echo');
+
+            for (const model of [undefined, '', 'auto', 'default']) {
+                const { provider, model: resolved } = registry.resolve(model);
+                expect(provider.name).toBe('echo');
+                expect(resolved).toBe('echo');
+            }
+        });
+
+        test('4.2: falls back to gemini for unknown default provider', () => {
+            const registry = createRegistry('nope');
+
+            expect(registry.defaultProvider).toBe('gemini');
+        });
+
+        test('4.3: resolves by model name', () => {
+            const registry = createRegistry();
+
+            expect(registry.resolve('gemini-2.5-pro').provider.name).toBe('gemini');
+            expect(registry.resolve('gpt-4o').provider.name).toBe('openai');
+            expect(registry.resolve('fixture').provider.name).toBe('echo');
+        });
+
+        test('4.4: honors explicit provider prefix', () => {
+            const registry = createRegistry();
+
+            const route = registry.resolve('openai:llama3:8b');
+
+            expect(route.provider.name).toBe('openai');
+            expect(route.model).toBe('llama3:8b');
+        });
+
+        test('4.5: routes unknown models to a local OpenAI-compatible server', () => {
+            const registry = new ProviderRegistry([
+                new OpenAIProvider({ baseUrl: 'http://localhost:11434/v1', fetchImpl: jest.fn() }),
+            ]);
+
+            expect(registry.resolve('llama3:8b').provider.name).toBe('openai');
+        });
+
+        test('4.6: rejects unknown models without a local server', () => {
+            const registry = createRegistry();
+
+            expect(() => registry.resolve('llama3')).toThrow('Unknown model "llama3"');
+        });
+
+        test('4.7: builds providers from environment', () => {
+            const registry = createProviderRegistry({
+                LLM_PROVIDER: 'ECHO',
+                GEMINI_MODEL: 'gemini-2.5-pro',
+                OPENAI_BASE_URL: 'http://localhost:8080/v1',
+                OPENAI_MODELS: 'qwen, phi3',
+            });
+
+            expect(registry.defaultProvider).toBe('echo');
+            expect(registry.get('gemini').defaultModel).toBe('gemini-2.5-pro');
+            expect(registry.get('openai').models).toEqual(['qwen', 'phi3']);
+            expect(registry.list().map(p => p.name)).toEqual(['gemini', 'openai', 'echo']);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for the rate limiter and concurrency limiter
+ *
+ * Tests token bucket refill, the bounded wait queue and configuration
+ * from the environment.
+ */
+
+const { RateLimitError, TokenBucketLimiter, ConcurrencyLimiter, createLimiters } = require('../../services/rateLimiter');
+
+describe('TokenBucketLimiter', () => {
+    let clock;
+    let limiter;
+
+    beforeEach(() => {
+        clock = 0;
+        limiter = new TokenBucketLimiter({ requestsPerMinute: 6, burst: 2, now: () => clock });
+    });
+
+    test('1.1: allows a burst, then refuses with the time until the next token', () => {
+        limiter.take('a');
+        limiter.take('a');
+
+        expect(() => limiter.take('a')).toThrow(RateLimitError);
+        try {
+            limiter.take('a');
+        } catch (error) {
+            expect(error.status).toBe(429);
+            expect(error.code).toBe('RATE_LIMITED');
+            expect(error.retryAfterSeconds).toBe(10);
+        }
+    });
+
+    test('1.2: refills over time and keeps clients separate', () => {
+        limiter.take('a');
+        limiter.take('a');
+
+        expect(() => limiter.take('b')).not.toThrow();
+        clock += 10000;
+        expect(() => limiter.take('a')).not.toThrow();
+        expect(() => limiter.take('a')).toThrow(RateLimitError);
+    });
+
+    test('1.3: a rate of 0 disables the limit', () => {
+        const unlimited = new TokenBucketLimiter({ requestsPerMinute: 0 });
+
+        for (let i = 0; i < 100; i++) {
+            unlimited.take('a');
+        }
+        expect(unlimited.isEnabled()).toBe(false);
+    });
+});
+
+describe('ConcurrencyLimiter', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('2.1: hands freed slots to queued requests in order', async () => {
+        const limiter = new ConcurrencyLimiter({ maxConcurrent: 1, maxQueued: 2 });
+        const order = [];
+
+        const releaseFirst = await limiter.acquire();
+        const second = limiter.acquire().then(release => {
+            order.push('second');
+            return release;
+        });
+        const third = limiter.acquire().then(release => {
+            order.push('third');
+            return release;
+        });
+
+        expect(limiter.getStats()).toEqual({ maxConcurrent: 1, maxQueued: 2, active: 1, queued: 2 });
+        releaseFirst();
+        releaseFirst();
+        (await second)();
+        (await third)();
+
+        expect(order).toEqual(['second', 'third']);
+        expect(limiter.getStats()).toMatchObject({ active: 0, queued: 0 });
+    });
+
+    test('2.2: refuses requests when the queue is full', async () => {
+        const limiter = new ConcurrencyLimiter({ maxConcurrent: 1, maxQueued: 0, queueTimeoutMs: 3000 });
+        await limiter.acquire();
+
+        await expect(limiter.acquire()).rejects.toMatchObject({ status: 429, code: 'SERVER_BUSY', retryAfterSeconds: 3 });
+    });
+
+    test('2.3: gives up on requests that wait too long', async () => {
+        jest.useFakeTimers();
+        const limiter = new ConcurrencyLimiter({ maxConcurrent: 1, maxQueued: 1, queueTimeoutMs: 1000 });
+        await limiter.acquire();
+
+        const waiting = limiter.acquire();
+        jest.advanceTimersByTime(1000);
+
+        await expect(waiting).rejects.toThrow('timed out');
+        expect(limiter.getStats().queued).toBe(0);
+    });
+
+    test('2.4: drops aborted waiters from the queue', async () => {
+        const limiter = new ConcurrencyLimiter({ maxConcurrent: 1, maxQueued: 1 });
+        const controller = new AbortController();
+        await limiter.acquire();
+
+        const waiting = limiter.acquire({ signal: controller.signal });
+        controller.abort();
+
+        await expect(waiting).rejects.toThrow('aborted');
+        expect(limiter.getStats().queued).toBe(0);
+    });
+
+    test('2.5: refuses requests that do not wait when no slot is free', async () => {
+        const limiter = new ConcurrencyLimiter({ maxConcurrent: 1, maxQueued: 5 });
+        const release = await limiter.acquire({ wait: false });
+
+        await expect(limiter.acquire({ wait: false })).rejects.toMatchObject({ status: 429, code: 'SERVER_BUSY', retryAfterSeconds: 1 });
+        expect(limiter.getStats()).toMatchObject({ active: 1, queued: 0 });
+
+        release();
+        await expect(limiter.acquire({ wait: false })).resolves.toEqual(expect.any(Function));
+    });
+});
+
+describe('createLimiters', () => {
+    test('3.1: reads limits from the environment with defaults', () => {
+        const { rateLimiter, concurrency } = createLimiters({ RATE_LIMIT_REQUESTS_PER_MINUTE: '120', MAX_QUEUED_REQUESTS: 'lots' });
+
+        expect(rateLimiter.requestsPerMinute).toBe(120);
+        expect(rateLimiter.burst).toBe(10);
+        expect(concurrency.getStats()).toMatchObject({ maxConcurrent: 10, maxQueued: 20 });
+    });
+
+    test('3.2: gives completions a bucket of their own', () => {
+        const { rateLimiter, completionRateLimiter } = createLimiters({ COMPLETION_RATE_LIMIT_BURST: '5' });
+
+        expect(completionRateLimiter).not.toBe(rateLimiter);
+        expect(completionRateLimiter.requestsPerMinute).toBe(120);
+        expect(completionRateLimiter.burst).toBe(5);
+    });
+
+    test('3.3: gives workspace uploads and searches a bucket of their own', () => {
+        const { rateLimiter, workspaceRateLimiter } = createLimiters({ WORKSPACE_RATE_LIMIT_REQUESTS_PER_MINUTE: '600' });
+
+        expect(workspaceRateLimiter).not.toBe(rateLimiter);
+        expect(workspaceRateLimiter.requestsPerMinute).toBe(600);
+        expect(workspaceRateLimiter.burst).toBe(60);
+    });
+});
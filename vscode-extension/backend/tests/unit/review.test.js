@@ -0,0 +1,182 @@
+/**
+ * Unit Tests for reviews of git changes
+ *
+ * Tests the changed lines read from unified diffs, the git section of the
+ * system prompt, and turning the findings of a review answer into per-line
+ * comments marked as on or off the changed lines, with suggested replacements.
+ */
+
+const { changedLines, changedPaths, extractReviewComments, formatGitContext, parseSuggestion } = require('../../services/review');
+const { extractCitations } = require('../../services/citations');
+
+const unstagedDiff = [
+    'diff --git a/src/cart.js b/src/cart.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/cart.js',
+    '+++ b/src/cart.js',
+    '@@ -1,4 +1,5 @@',
+    ' function total(items) {',
+    '-    let sum = 0;',
+    '+    let sum = 0.0;',
+    '+    const discount = 0.1;',
+    '     for (const item of items) sum += item.price;',
+    '     return sum;',
+    '@@ -10,2 +11,3 @@ module.exports = total;',
+    ' // end',
+    '+// more',
+    ' ',
+].join('\n');
+
+const stagedDiff = [
+    'diff --git a/src/old.js b/src/old.js',
+    'deleted file mode 100644',
+    '--- a/src/old.js',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-gone',
+    'diff --git a/src/new.js b/src/new.js',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/src/new.js',
+    '@@ -0,0 +1,2 @@',
+    '+const a = 1;',
+    '+module.exports = a;',
+].join('\n');
+
+const git = {
+    branch: 'feature/cart',
+    status: [
+        { path: 'src/cart.js', code: ' M' },
+        { path: 'src/new.js', code: 'A ' },
+        { path: 'src/old.js', code: 'D ' },
+        { path: 'lib/b.js', originalPath: 'lib/a.js', code: 'R ' },
+    ],
+    stagedDiff,
+    unstagedDiff,
+    recentCommits: [{ hash: 'abc1234', subject: 'Add cart totals' }],
+};
+
+describe('changedLines', () => {
+    test('1.1: numbers added lines as in the new file, across hunks and files', () => {
+        expect(changedLines(unstagedDiff)).toEqual(new Map([['src/cart.js', new Set([2, 3, 12])]]));
+        expect(changedLines(stagedDiff)).toEqual(new Map([['src/new.js', new Set([1, 2])]]));
+        expect(changedLines('')).toEqual(new Map());
+    });
+
+    test('1.2: lists the changed paths in status order', () => {
+        expect(changedPaths(git)).toEqual(['src/cart.js', 'src/new.js', 'src/old.js', 'lib/b.js']);
+        expect(changedPaths(null)).toEqual([]);
+    });
+});
+
+describe('formatGitContext', () => {
+    test('2.1: renders branch, status, commits and both diffs', () => {
+        const text = formatGitContext(git);
+
+        expect(text).toContain('Git changes in the workspace (branch: feature/cart):');
+        expect(text).toContain(' M src/cart.js\nA  src/new.js\nD  src/old.js\nR  lib/a.js -> lib/b.js');
+        expect(text).toContain('Recent commits, newest first:\nabc1234 Add cart totals');
+        expect(text).toContain(`Staged changes:\n\`\`\`diff\n${stagedDiff}\n\`\`\``);
+        expect(text).toContain(`Unstaged changes:\n\`\`\`diff\n${unstagedDiff}\n\`\`\``);
+        expect(text).not.toContain('cut short');
+    });
+
+    test('2.2: leaves out empty sections and notes truncated diffs', () => {
+        const text = formatGitContext({ branch: null, status: [], stagedDiff: '', unstagedDiff: '', recentCommits: [], truncated: true });
+
+        expect(text).toBe('Git changes in the workspace (branch: detached HEAD):\n\nChanged files: none\n\n(The diffs were cut short to fit the request.)');
+    });
+});
+
+describe('extractReviewComments', () => {
+    const files = [
+        { filename: 'src/cart.js', content: 'function total(items) {\n    let sum = 0.0;\n    const discount = 0.1;\n    for (const item of items) sum += item.price;\n    return sum;\n}\n' },
+        { filename: 'src/new.js', content: 'const a = 1;\nmodule.exports = a;\n' },
+    ];
+
+    function review(text) {
+        return extractReviewComments(text, extractCitations(text, files), git, files);
+    }
+
+    test('3.1: turns each cited finding into a comment with its severity', () => {
+        const text = [
+            'Findings:',
+            '- [error] [src/cart.js:3](src/cart.js:3 "const discount = 0.1;") `discount` is never applied',
+            '* [Warning] [src/cart.js:4-5](src/cart.js:4-5) — Prices are summed as floats',
+            '- [info] Consider adding tests: [src/new.js:1](src/new.js:1)',
+            '',
+            'Overall the change looks fine.',
+        ].join('\n');
+
+        expect(review(text)).toEqual([
+            { path: 'src/cart.js', startLine: 3, endLine: 3, severity: 'error', message: '`discount` is never applied', status: 'verified', changed: true },
+            { path: 'src/cart.js', startLine: 4, endLine: 5, severity: 'warning', message: 'Prices are summed as floats', status: 'verified', changed: false },
+            { path: 'src/new.js', startLine: 1, endLine: 1, severity: 'info', message: 'Consider adding tests:', status: 'verified', changed: true },
+        ]);
+    });
+
+    test('3.2: follows corrected citations and skips findings without a location', () => {
+        const text = [
+            '- [warning] [sum](src/cart.js:9 "    let sum = 0.0;") Float literal is unnecessary',
+            '- [error] The tests were not updated',
+            'A plain [link](src/new.js:1) outside a finding',
+        ].join('\n');
+
+        expect(review(text)).toEqual([
+            { path: 'src/cart.js', startLine: 2, endLine: 2, severity: 'warning', message: 'Float literal is unnecessary', status: 'corrected', changed: true },
+        ]);
+    });
+
+    test('3.3: marks nothing as changed without git changes', () => {
+        const text = '- [info] [src/new.js:2](src/new.js:2) Fine';
+
+        expect(extractReviewComments(text, extractCitations(text, files))).toEqual([
+            expect.objectContaining({ path: 'src/new.js', startLine: 2, changed: false }),
+        ]);
+    });
+
+    test('3.4: attaches the suggestion that follows a finding to its comment', () => {
+        const text = [
+            '- [warning] [src/cart.js:4-5](src/cart.js:4-5) Use reduce',
+            '  ```suggestion',
+            '      const sum = items.reduce((total, item) => total + item.price, 0);',
+            '      return sum;',
+            '  ```',
+            '- [info] [src/cart.js:3](src/cart.js:3) Unused',
+            '```suggestion',
+            '```',
+            '- [info] [src/new.js:1](src/new.js:1) Fine',
+        ].join('\n');
+
+        const [reduce, unused, fine] = review(text);
+
+        expect(reduce.suggestion).toEqual({
+            original: '    for (const item of items) sum += item.price;\n    return sum;',
+            replacement: '    const sum = items.reduce((total, item) => total + item.price, 0);\n    return sum;',
+        });
+        expect(unused.suggestion).toEqual({ original: '    const discount = 0.1;', replacement: '' });
+        expect(fine).not.toHaveProperty('suggestion');
+    });
+
+    test('3.5: drops suggestions for lines that were not found in the uploaded files', () => {
+        const text = [
+            '- [error] [src/other.js:1](src/other.js:1) Missing file',
+            '```suggestion',
+            'x',
+            '```',
+            '- [error] [src/cart.js:40](src/cart.js:40) Past the end',
+            '```suggestion',
+            'y',
+            '```',
+        ].join('\n');
+
+        expect(review(text).map(comment => comment.suggestion)).toEqual([undefined, undefined]);
+    });
+});
+
+describe('parseSuggestion', () => {
+    test('4.1: reads the first suggestion block without its list indentation', () => {
+        expect(parseSuggestion('\n   ```suggestion\n     a();\n   b();\n   ```\n```suggestion\nc\n```')).toBe('  a();\nb();');
+        expect(parseSuggestion('\n```js\na();\n```')).toBe(null);
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit Tests for the schema validator and the declared API schemas
+ *
+ * Tests keyword checks, error codes and messages, path safety and the
+ * request schemas the middleware enforces.
+ */
+
+const { validate, toValidationError, isRelativePath } = require('../../services/schemaValidator');
+const { ApiError, errorBody } = require('../../services/apiErrors');
+const schemas = require('../../services/schemas');
+
+describe('validate', () => {
+    test('1.1: reports type, length, range and enum problems with their paths', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 2 },
+                count: { type: 'integer', minimum: 1, maximum: 3 },
+                role: { enum: ['user', 'assistant'] },
+                tags: { type: 'array', items: { type: 'string' } },
+            },
+        };
+
+        expect(validate(schema, { name: 'a', count: 5, role: 'system', tags: ['x', 1] })).toEqual([
+            { path: 'name', code: 'INVALID_REQUEST', message: 'name must be at least 2 character(s)' },
+            { path: 'count', code: 'INVALID_REQUEST', message: 'count must be at most 3' },
+            { path: 'role', code: 'INVALID_REQUEST', message: 'role must be one of user, assistant' },
+            { path: 'tags[1]', code: 'INVALID_REQUEST', message: 'tags[1] must be a string' },
+        ]);
+        expect(validate(schema, { name: 'ab', count: 2, role: 'user', tags: [] })).toEqual([]);
+        expect(validate(schema, 'nope')).toEqual([
+            { path: '', code: 'INVALID_REQUEST', message: 'body must be an object' },
+        ]);
+    });
+
+    test('1.2: describes missing required fields by their type and accepts null for nullable ones', () => {
+        const schema = {
+            type: 'object',
+            required: ['prompt', 'extra'],
+            properties: { prompt: { type: 'string' }, model: { type: ['string', 'null'] } },
+        };
+
+        expect(validate(schema, { model: null }).map(problem => problem.message)).toEqual([
+            'prompt must be a string',
+            'extra is required',
+        ]);
+        expect(validate(schema, { prompt: 'p', extra: 1, model: 3 }).map(problem => problem.message)).toEqual([
+            'model must be a string',
+        ]);
+    });
+
+    test('1.3: uses x-error-codes before errorMessage and errorMessage before generated text', () => {
+        const schema = {
+            type: 'array',
+            errorMessage: 'must be a list of short names',
+            items: { type: 'string', maxLength: 3, 'x-error-codes': { maxLength: 'FILE_TOO_LARGE' } },
+        };
+
+        expect(validate(schema, ['long name', 7])).toEqual([
+            { path: '[0]', code: 'FILE_TOO_LARGE', message: '[0] must be at most 3 characters' },
+            { path: '', code: 'INVALID_REQUEST', message: 'body must be a list of short names' },
+        ]);
+    });
+
+    test('1.4: checks uniqueness and item counts with their codes', () => {
+        const schema = {
+            type: 'array',
+            maxItems: 3,
+            'x-unique-by': 'filename',
+            'x-error-codes': { maxItems: 'TOO_MANY_FILES', 'x-unique-by': 'DUPLICATE_FILE' },
+        };
+
+        expect(validate(schema, [{ filename: 'a' }, { filename: 'b' }, { filename: 'a' }])).toEqual([
+            { path: '[2].filename', code: 'DUPLICATE_FILE', message: '[2].filename repeats filename "a"' },
+        ]);
+        expect(validate(schema, [1, 2, 3, 4]).map(problem => problem.code)).toEqual(['TOO_MANY_FILES']);
+    });
+
+    test('1.5: applies then/else depending on the if schema', () => {
+        const schema = {
+            type: 'object',
+            properties: { files: { type: 'array' } },
+            if: { required: ['sessionId'] },
+            else: { required: ['files'] },
+        };
+
+        expect(validate(schema, { sessionId: 's' })).toEqual([]);
+        expect(validate(schema, {})).toEqual([
+            { path: 'files', code: 'INVALID_REQUEST', message: 'files must be an array' },
+        ]);
+    });
+
+    test('1.6: reports a problem once even when several keywords map to the same message', () => {
+        const schema = { type: 'string', minLength: 5, pattern: '^x', errorMessage: 'must be an x-word' };
+
+        expect(validate(schema, 'ab')).toHaveLength(1);
+    });
+});
+
+describe('isRelativePath', () => {
+    test('2.1: accepts workspace-relative paths', () => {
+        for (const path of ['a.js', 'src/a.js', './src/a.js', 'src\\a.js', 'a..b/c.js']) {
+            expect(isRelativePath(path)).toBe(true);
+        }
+    });
+
+    test('2.2: rejects absolute, traversing, drive-letter and empty paths', () => {
+        for (const path of ['/etc/passwd', '\\\\server\\share', '../a.js', 'src/../../a.js', 'src\\..\\a.js', 'C:\\a.js', 'c:a.js', 'a\0.js', '.', './']) {
+            expect(isRelativePath(path)).toBe(false);
+        }
+    });
+});
+
+describe('toValidationError', () => {
+    test('3.1: builds a 400 ApiError from the first problem and keeps every problem as details', () => {
+        const problems = [
+            { path: 'files[0].filename', code: 'INVALID_PATH', message: 'files[0].filename must be a relative path inside the workspace' },
+            { path: 'prompt', code: 'INVALID_REQUEST', message: 'prompt must be a string' },
+        ];
+
+        const error = toValidationError(problems);
+
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error.status).toBe(400);
+        expect(errorBody(error)).toEqual({
+            error: 'Invalid request: files[0].filename must be a relative path inside the workspace',
+            code: 'INVALID_PATH',
+            details: problems,
+        });
+    });
+
+    test('3.2: reports anything but an ApiError as an internal error', () => {
+        expect(errorBody(new Error('secret detail'))).toEqual({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+    });
+});
+
+describe('request schemas', () => {
+    test('4.1: upload requests need files unless they reference a session', () => {
+        expect(validate(schemas.requests.upload, { prompt: 'p', files: [] })).toEqual([]);
+        expect(validate(schemas.requests.upload, { prompt: 'p', sessionId: 's' })).toEqual([]);
+        expect(validate(schemas.requests.upload, { prompt: 'p', sessionId: '' })[0].message).toBe('files must be an array');
+    });
+
+    test('4.2: upload requests check history messages', () => {
+        const problems = validate(schemas.requests.upload, {
+            prompt: 'p',
+            files: [],
+            history: [{ role: 'system', content: 1 }],
+        });
+
+        expect(problems).toEqual([{
+            path: 'history',
+            code: 'INVALID_REQUEST',
+            message: 'history must be an array of { role: "user" | "assistant", content: string } messages',
+        }]);
+    });
+
+    test('4.3: manifests need sha256 hashes', () => {
+        const problems = validate(schemas.requests.manifest, { files: [{ filename: 'a.js', hash: 'abc' }] });
+
+        expect(problems).toEqual([{ path: 'files[0].hash', code: 'INVALID_REQUEST', message: 'files[0].hash must be a sha256 hex digest' }]);
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * Unit Tests for SessionManager and session stores
+ *
+ * Tests the manifest/blob protocol, expiry and the interchangeable
+ * in-memory and file-backed stores.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionManager = require('../../services/sessionManager');
+const { SessionError } = require('../../services/sessionManager');
+const { MemorySessionStore, FileSessionStore, createSessionStore } = require('../../services/sessionStore');
+const { contentHash } = require('../../services/codeIndex');
+
+/**
+ * Build a manifest entry for a file
+ * @param {string} filename - File name
+ * @param {string} content - File content
+ * @returns {{filename: string, hash: string}} Manifest entry
+ */
+function entry(filename, content) {
+    return { filename, hash: contentHash(content) };
+}
+
+describe('SessionManager', () => {
+    let clock;
+    let manager;
+
+    beforeEach(() => {
+        clock = 1000000;
+        manager = new SessionManager({ now: () => clock, ttlMinutes: 10 });
+    });
+
+    describe('manifest and blobs', () => {
+        test('1.1: reports every file missing for a new session', async () => {
+            const { sessionId, expiresAt } = await manager.open();
+
+            const { missing } = await manager.syncManifest(sessionId, [entry('a.js', 'a'), entry('b.js', 'b')]);
+
+            expect(sessionId).toMatch(/^[a-f0-9]{32}$/);
+            expect(expiresAt).toBe(new Date(clock + 10 * 60 * 1000).toISOString());
+            expect(missing).toEqual(['a.js', 'b.js']);
+        });
+
+        test('1.2: only asks for changed files on later turns', async () => {
+            const { sessionId } = await manager.open();
+            await manager.syncManifest(sessionId, [entry('a.js', 'a'), entry('b.js', 'b')]);
+            await manager.addBlobs(sessionId, [{ filename: 'a.js', content: 'a' }, { filename: 'b.js', content: 'b' }]);
+
+            const { missing } = await manager.syncManifest(sessionId, [entry('a.js', 'a'), entry('b.js', 'b2'), entry('c.js', 'a')]);
+
+            // c.js has the same content as a.js, so its blob is already there
+            expect(missing).toEqual(['b.js']);
+        });
+
+        test('1.3: resolves the manifest into files once every blob is uploaded', async () => {
+            const { sessionId } = await manager.open();
+            await manager.syncManifest(sessionId, [entry('a.js', 'a'), entry('b.js', 'b')]);
+
+            const { stored, missing } = await manager.addBlobs(sessionId, [
+                { filename: 'a.js', content: 'a' },
+                { filename: 'b.js', content: 'b' },
+                { filename: 'x.js', content: 'not in manifest' },
+            ]);
+
+            expect(stored).toBe(2);
+            expect(missing).toEqual([]);
+            await expect(manager.resolveFiles(sessionId)).resolves.toEqual([
+                { filename: 'a.js', content: 'a' },
+                { filename: 'b.js', content: 'b' },
+            ]);
+        });
+
+        test('1.4: refuses to resolve while content is missing', async () => {
+            const { sessionId } = await manager.open();
+            await manager.syncManifest(sessionId, [entry('a.js', 'a')]);
+
+            await expect(manager.resolveFiles(sessionId)).rejects.toMatchObject({ status: 409, code: 'SESSION_INCOMPLETE' });
+        });
+
+        test('1.5: drops blobs the manifest no longer references', async () => {
+            const { sessionId } = await manager.open();
+            await manager.syncManifest(sessionId, [entry('a.js', 'a')]);
+            await manager.addBlobs(sessionId, [{ filename: 'a.js', content: 'a' }]);
+
+            await manager.syncManifest(sessionId, [entry('b.js', 'b')]);
+            const session = await manager.get(sessionId);
+
+            expect(Object.keys(session.blobs)).toEqual([]);
+        });
+
+        test('1.6: rejects malformed manifests and uploads', async () => {
+            const { sessionId } = await manager.open();
+
+            await expect(manager.syncManifest(sessionId, [{ filename: 'a.js', hash: 'abc' }])).rejects.toBeInstanceOf(SessionError);
+            await expect(manager.syncManifest(sessionId, 'a.js')).rejects.toMatchObject({ status: 400 });
+            await expect(manager.addBlobs(sessionId, [{ filename: 'a.js' }])).rejects.toMatchObject({ status: 400 });
+        });
+    });
+
+    describe('expiry', () => {
+        test('2.1: unknown sessions are not found', async () => {
+            await expect(manager.get('missing')).rejects.toMatchObject({ status: 404, code: 'SESSION_NOT_FOUND' });
+            await expect(manager.get(undefined)).rejects.toMatchObject({ status: 404 });
+        });
+
+        test('2.2: sessions expire after the idle TTL', async () => {
+            const { sessionId } = await manager.open();
+
+            clock += 10 * 60 * 1000;
+
+            await expect(manager.syncManifest(sessionId, [])).rejects.toMatchObject({ status: 404 });
+            expect(await manager.store.count()).toBe(0);
+        });
+
+        test('2.3: every use extends the expiry', async () => {
+            const { sessionId } = await manager.open();
+
+            clock += 9 * 60 * 1000;
+            await manager.syncManifest(sessionId, []);
+            clock += 9 * 60 * 1000;
+
+            await expect(manager.resolveFiles(sessionId)).resolves.toEqual([]);
+        });
+
+        test('2.4: opening a session prunes expired ones', async () => {
+            await manager.open();
+            await manager.open();
+            clock += 11 * 60 * 1000;
+
+            await manager.open();
+
+            expect(await manager.store.count()).toBe(1);
+        });
+
+        test('2.6: pruning runs at most once a minute', async () => {
+            const expiries = jest.spyOn(manager.store, 'expiries');
+
+            await manager.open();
+            clock += 30 * 1000;
+            await manager.open();
+            expect(expiries).toHaveBeenCalledTimes(1);
+
+            clock += 30 * 1000;
+            await manager.open();
+            expect(expiries).toHaveBeenCalledTimes(2);
+        });
+
+        test('2.7: a full store evicts the session closest to expiring', async () => {
+            manager = new SessionManager({ now: () => clock, ttlMinutes: 10, maxSessions: 2 });
+            const first = await manager.open();
+            clock += 1000;
+            const second = await manager.open();
+            clock += 1000;
+            await manager.syncManifest(first.sessionId, []);
+
+            const third = await manager.open();
+
+            expect(Array.from((await manager.store.expiries()).keys()).sort()).toEqual([first.sessionId, third.sessionId].sort());
+            await expect(manager.get(second.sessionId)).rejects.toMatchObject({ status: 404 });
+        });
+
+        test('2.5: close deletes the session', async () => {
+            const { sessionId } = await manager.open();
+
+            await manager.close(sessionId);
+
+            await expect(manager.get(sessionId)).rejects.toMatchObject({ status: 404 });
+        });
+    });
+
+    describe('stores', () => {
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        test('3.1: the file store persists sessions across manager instances', async () => {
+            const first = new SessionManager({ store: new FileSessionStore({ directory }), now: () => clock });
+            const { sessionId } = await first.open();
+            await first.syncManifest(sessionId, [entry('a.js', 'a')]);
+            await first.addBlobs(sessionId, [{ filename: 'a.js', content: 'a' }]);
+
+            const second = new SessionManager({ store: new FileSessionStore({ directory }), now: () => clock });
+
+            await expect(second.resolveFiles(sessionId)).resolves.toEqual([{ filename: 'a.js', content: 'a' }]);
+            expect(fs.readdirSync(directory)).toEqual([`${sessionId}.json`]);
+        });
+
+        test('3.2: the file store ignores ids that are not plain tokens', async () => {
+            const store = new FileSessionStore({ directory });
+
+            await expect(store.get('../etc/passwd')).resolves.toBeNull();
+            await expect(store.set('../x', {})).rejects.toThrow('Invalid session id');
+            await expect(new FileSessionStore({ directory: path.join(directory, 'none') }).count()).resolves.toBe(0);
+        });
+
+        test('3.3: the store is selected from the environment', () => {
+            expect(createSessionStore({})).toBeInstanceOf(MemorySessionStore);
+            expect(createSessionStore({ SESSION_STORE: 'file', SESSION_DIR: directory })).toBeInstanceOf(FileSessionStore);
+        });
+
+        test('3.4: concurrent updates of a file-backed session are all kept', async () => {
+            const fileManager = new SessionManager({ store: new FileSessionStore({ directory }), now: () => clock });
+            const { sessionId } = await fileManager.open();
+            const names = ['a', 'b', 'c', 'd', 'e'];
+            await fileManager.syncManifest(sessionId, names.map(name => entry(`${name}.js`, name)));
+
+            await Promise.all(names.map(name => fileManager.addBlobs(sessionId, [{ filename: `${name}.js`, content: name }])));
+
+            await expect(fileManager.resolveFiles(sessionId)).resolves.toHaveLength(names.length);
+        });
+
+        test('3.5: using a file-backed session extends its expiry without rewriting it', async () => {
+            const store = new FileSessionStore({ directory });
+            const fileManager = new SessionManager({ store, now: () => clock, ttlMinutes: 10 });
+            const { sessionId } = await fileManager.open();
+            const file = path.join(directory, `${sessionId}.json`);
+            const written = fs.readFileSync(file, 'utf8');
+
+            clock += 5 * 60 * 1000;
+            await fileManager.resolveFiles(sessionId);
+
+            expect(fs.readFileSync(file, 'utf8')).toBe(written);
+            expect((await store.expiries()).get(sessionId)).toBe(clock + 10 * 60 * 1000);
+            expect((await store.get(sessionId)).expiresAt).toBe(clock + 10 * 60 * 1000);
+        });
+    });
+});
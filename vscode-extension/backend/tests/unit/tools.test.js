@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for the workspace tool protocol
+ *
+ * Tests reading tool calls out of an answer, replaying tool steps to the
+ * model, counting read_file ranges as context and holding streamed tool calls back.
+ */
+
+const {
+    appendToolSteps,
+    createToolCallFilter,
+    parseToolCalls,
+    withToolReads,
+} = require('../../services/tools');
+
+describe('parseToolCalls', () => {
+    test('1.1: reads calls in answer order and removes them from the text', () => {
+        const answer = [
+            'Let me look at the handler first.',
+            '<tool_call>{"name": "read_file", "arguments": {"path": "src/app.js", "startLine": 10, "endLine": 40}}</tool_call>',
+            '<tool_call>{"name": "search_text", "arguments": {"query": "handleSubmit"}}</tool_call>',
+        ].join('\n');
+
+        expect(parseToolCalls(answer)).toEqual({
+            text: 'Let me look at the handler first.',
+            calls: [
+                { id: 'call-1', name: 'read_file', arguments: { path: 'src/app.js', startLine: 10, endLine: 40 } },
+                { id: 'call-2', name: 'search_text', arguments: { query: 'handleSubmit' } },
+            ],
+        });
+    });
+
+    test('1.2: numbers calls after the steps of earlier rounds and accepts an unclosed last call', () => {
+        const { calls } = parseToolCalls('<tool_call>{"name": "list_directory", "arguments": {}}', 4);
+
+        expect(calls).toEqual([{ id: 'call-4', name: 'list_directory', arguments: {} }]);
+    });
+
+    test('1.3: attaches an error to calls the client cannot run', () => {
+        const answer = [
+            '<tool_call>{"name": "read_file", "arguments": {"path": "../secrets.txt"}}</tool_call>',
+            '<tool_call>{"name": "delete_file", "arguments": {"path": "a.js"}}</tool_call>',
+            '<tool_call>{name: read_file}</tool_call>',
+            '<tool_call>{"name": "search_text", "arguments": {}}</tool_call>',
+        ].join('\n');
+
+        const { text, calls } = parseToolCalls(answer);
+
+        expect(text).toBe('');
+        expect(calls.map(call => call.error)).toEqual([
+            'path must be a relative path inside the workspace',
+            'Unknown tool "delete_file". Use one of read_file, list_directory, search_text, get_diagnostics.',
+            'The tool call is not valid JSON.',
+            'query must be a string',
+        ]);
+    });
+
+    test('1.4: leaves answers without calls unchanged', () => {
+        expect(parseToolCalls('The answer is 42.')).toEqual({ text: 'The answer is 42.', calls: [] });
+    });
+});
+
+describe('appendToolSteps', () => {
+    const history = [{ role: 'user', content: 'earlier' }, { role: 'assistant', content: 'reply' }];
+
+    test('2.1: returns the conversation unchanged without steps', () => {
+        expect(appendToolSteps(history, 'prompt', [])).toEqual({ history, userPrompt: 'prompt' });
+    });
+
+    test('2.2: replays each step as the call and its result, ending with the last result', () => {
+        const steps = [
+            { id: 'call-1', name: 'read_file', arguments: { path: 'a.js' }, output: '1 | a();' },
+            { id: 'call-2', name: 'get_diagnostics', arguments: {}, output: '' },
+        ];
+
+        expect(appendToolSteps(history, 'prompt', steps)).toEqual({
+            history: [
+                ...history,
+                { role: 'user', content: 'prompt' },
+                { role: 'assistant', content: '<tool_call>{"name":"read_file","arguments":{"path":"a.js"}}</tool_call>' },
+                { role: 'user', content: 'Result of read_file (call-1):\n1 | a();' },
+                { role: 'assistant', content: '<tool_call>{"name":"get_diagnostics","arguments":{}}</tool_call>' },
+            ],
+            userPrompt: 'Result of get_diagnostics (call-2):\n(no output)',
+        });
+    });
+});
+
+describe('withToolReads', () => {
+    const manifest = {
+        tokenBudget: 100,
+        files: [{ filename: 'a.js', totalLines: 10, ranges: [{ startLine: 1, endLine: 3 }] }],
+    };
+    const files = [
+        { filename: 'a.js', content: 'x\n'.repeat(9) + 'x' },
+        { filename: 'b.js', content: 'y\ny\ny' },
+    ];
+
+    test('3.1: adds the ranges read with read_file without changing the original manifest', () => {
+        const steps = [
+            { id: 'call-1', name: 'read_file', arguments: { path: 'a.js', startLine: 5, endLine: 20 }, output: '...' },
+            { id: 'call-2', name: 'read_file', arguments: { path: './b.js' }, output: '...' },
+            { id: 'call-3', name: 'read_file', arguments: { path: 'c.js' }, error: 'File not found' },
+            { id: 'call-4', name: 'search_text', arguments: { query: 'x' }, output: '...' },
+        ];
+
+        const result = withToolReads(manifest, steps, files);
+
+        expect(result.files).toEqual([
+            { filename: 'a.js', totalLines: 10, ranges: [{ startLine: 1, endLine: 3 }, { startLine: 5, endLine: 10 }] },
+            { filename: 'b.js', totalLines: 3, ranges: [{ startLine: 1, endLine: 3 }] },
+        ]);
+        expect(result.tokenBudget).toBe(100);
+        expect(manifest.files[0].ranges).toHaveLength(1);
+    });
+
+    test('3.2: returns the manifest itself when nothing was read', () => {
+        expect(withToolReads(manifest, [], files)).toBe(manifest);
+    });
+});
+
+describe('createToolCallFilter', () => {
+    test('4.1: shows the text before the first call, even when the marker spans chunks', () => {
+        const filter = createToolCallFilter();
+
+        const shown = ['Checking the ', 'config <to', 'ol_call>{"name"', ': "read_file"}</tool_call>', 'more']
+            .map(chunk => filter.push(chunk));
+
+        expect(shown).toEqual(['Checking the ', 'config ', '', '', '']);
+        expect(filter.flush()).toBe('');
+    });
+
+    test('4.2: releases held-back text that did not start a call', () => {
+        const filter = createToolCallFilter();
+
+        expect(filter.push('a <t')).toBe('a ');
+        expect(filter.push('able>')).toBe('<table>');
+        expect(filter.push(' x <')).toBe(' x ');
+        expect(filter.flush()).toBe('<');
+    });
+});
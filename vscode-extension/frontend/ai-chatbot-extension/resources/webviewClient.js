@@ -8,13 +8,30 @@
         OPEN_FILE: 'openFile',
         SAVE_CHAT_HISTORY: 'saveChatHistory',
         REQUEST_CHAT_HISTORY: 'requestChatHistory',
+        UPDATE_API_KEY: 'updateApiKey',
+        OPEN_SETTINGS: 'openSettings',
+        PREVIEW_EDIT: 'previewEdit',
+        APPLY_EDITS: 'applyEdits',
+        EDITS_RESULT: 'editsResult',
         AI_RESPONSE: 'aiResponse',
+        AI_RESPONSE_START: 'aiResponseStart',
+        AI_RESPONSE_CHUNK: 'aiResponseChunk',
+        AI_RESPONSE_QUEUED: 'aiResponseQueued',
+        REDACTION_NOTICE: 'redactionNotice',
+        TOOL_STEP: 'toolStep',
+        AI_RESPONSE_END: 'aiResponseEnd',
         WORKSPACE_FILES: 'workspaceFiles',
         CURRENT_FILE: 'currentFile',
         LOAD_CHAT_HISTORY: 'loadChatHistory',
         INITIAL_MESSAGE: 'initialMessage',
     });
 
+    // Buttons offered under an AI message, keyed by the action the extension attaches
+    const MESSAGE_ACTIONS = Object.freeze({
+        updateApiKey: {label: 'Update API Key', type: MESSAGE_TYPES.UPDATE_API_KEY},
+        openSettings: {label: 'Open Settings', type: MESSAGE_TYPES.OPEN_SETTINGS},
+    });
+
     const SAVE_DELAY_MS = 100;
     const WEBVIEW_REQUEST_DELAY_MS = 200;
 
@@ -23,6 +40,25 @@
         currentFile: 'No file selected',
     };
 
+    // In-flight AI responses keyed by response id
+    const streamingMessages = new Map();
+
+    // Edit proposals waiting for the outcome of "Apply all", keyed by request id
+    const pendingEditRequests = new Map();
+    let editRequestCounter = 0;
+
+    // Notes for files whose edits did not match the uploaded content
+    const EDIT_STATUS_NOTES = Object.freeze({
+        'not-found': 'the code to replace was not found',
+        ambiguous: 'the code to replace appears more than once',
+        'unknown-file': 'file was not uploaded',
+        'file-exists': 'file already exists',
+    });
+
+    // Review comments are listed most severe first
+    const SEVERITY_ORDER = Object.freeze(['error', 'warning', 'info']);
+    const SEVERITY_ICONS = Object.freeze({error: '⛔', warning: '⚠️', info: 'ℹ️'});
+
     function postMessage(type, payload = {}) {
         vscode.postMessage({type, payload});
     }
@@ -52,12 +88,7 @@
         addMessageWithParsing(type, content, true);
     }
 
-    function addMessageWithParsing(type, content, saveHistory = false) {
-        const container = document.getElementById('messages');
-        if (!container) {
-            return;
-        }
-
+    function createMessageElement(type) {
         const messageDiv = document.createElement('div');
         messageDiv.className = 'message';
 
@@ -68,9 +99,47 @@
         const contentDiv = document.createElement('div');
         contentDiv.className = 'message-content';
 
-        if (type === 'ai') {
-            messageDiv.setAttribute('data-raw-content', content);
+        messageDiv.appendChild(avatar);
+        messageDiv.appendChild(contentDiv);
+        return {messageDiv, contentDiv};
+    }
+
+    function appendToMessages(messageDiv) {
+        const container = document.getElementById('messages');
+        if (!container) {
+            return false;
+        }
+
+        container.appendChild(messageDiv);
+        container.scrollTop = container.scrollHeight;
+        return true;
+    }
+
+    // Citations come validated from the backend; messages without them (older backends,
+    // older chat history) fall back to reading the links out of the text
+    function renderAIContent(messageDiv, contentDiv, content, citations) {
+        messageDiv.setAttribute('data-raw-content', content);
+        contentDiv.innerHTML = '';
+
+        if (Array.isArray(citations)) {
+            messageDiv.setAttribute('data-citations', JSON.stringify(citations));
+            renderContentWithCitations(content, citations).forEach((line) => contentDiv.appendChild(line));
+        } else {
+            messageDiv.removeAttribute('data-citations');
             parseContentWithCitations(content).forEach((line) => contentDiv.appendChild(line));
+        }
+    }
+
+    function addMessageWithParsing(
+        type, content, saveHistory = false, citations = undefined, edits = undefined, toolSteps = undefined, comments = undefined,
+    ) {
+        const {messageDiv, contentDiv} = createMessageElement(type);
+
+        if (type === 'ai') {
+            renderAIContent(messageDiv, contentDiv, content, citations);
+            renderToolSteps(messageDiv, contentDiv, toolSteps);
+            renderReviewComments(messageDiv, contentDiv, comments);
+            renderEditProposal(messageDiv, contentDiv, edits);
         } else {
             const textDiv = document.createElement('div');
             textDiv.className = 'message-text';
@@ -78,16 +147,302 @@
             contentDiv.appendChild(textDiv);
         }
 
-        messageDiv.appendChild(avatar);
-        messageDiv.appendChild(contentDiv);
-        container.appendChild(messageDiv);
-        container.scrollTop = container.scrollHeight;
+        if (!appendToMessages(messageDiv)) {
+            return;
+        }
 
         if (saveHistory) {
             window.setTimeout(saveChatHistory, SAVE_DELAY_MS);
         }
     }
 
+    function startStreamingMessage(id) {
+        const {messageDiv, contentDiv} = createMessageElement('ai');
+        messageDiv.classList.add('streaming');
+
+        const textDiv = document.createElement('div');
+        textDiv.className = 'message-text streaming-text';
+        contentDiv.appendChild(textDiv);
+
+        if (!appendToMessages(messageDiv)) {
+            return;
+        }
+
+        streamingMessages.set(id, {messageDiv, contentDiv, textDiv, raw: '', notice: undefined, toolSteps: []});
+        updateStatus('Generating response…');
+    }
+
+    function appendStreamingChunk(id, text) {
+        const entry = streamingMessages.get(id);
+        if (!entry) {
+            return;
+        }
+
+        entry.raw += text;
+        entry.textDiv.textContent = entry.raw;
+        entry.messageDiv.classList.remove('queued');
+
+        const container = document.getElementById('messages');
+        if (container) {
+            container.scrollTop = container.scrollHeight;
+        }
+    }
+
+    function showQueuedMessage(id, retryAfterSeconds) {
+        const entry = streamingMessages.get(id);
+        if (!entry) {
+            return;
+        }
+
+        entry.messageDiv.classList.add('queued');
+        entry.textDiv.textContent = `⏳ The backend is busy. Your message is queued and will be retried in ${retryAfterSeconds}s…`;
+        updateStatus('Queued…');
+    }
+
+    function showRedactionNotice(id, text) {
+        const entry = streamingMessages.get(id);
+        if (!entry || !text) {
+            return;
+        }
+
+        const notice = document.createElement('div');
+        notice.className = 'redaction-notice';
+        notice.textContent = text;
+        entry.notice = notice;
+        entry.contentDiv.insertBefore(notice, entry.contentDiv.firstChild);
+    }
+
+    // A step arrives when a tool starts and again when it finishes; the text streamed
+    // before it was the model's lead-in to the call, so the next round starts afresh
+    function showToolStep(id, step) {
+        const entry = streamingMessages.get(id);
+        if (!entry || !step) {
+            return;
+        }
+
+        const index = entry.toolSteps.findIndex((existing) => existing.id === step.id);
+        if (index === -1) {
+            entry.toolSteps.push(step);
+        } else {
+            entry.toolSteps[index] = step;
+        }
+
+        entry.stepsDiv?.remove();
+        entry.stepsDiv = createToolStepsElement(entry.toolSteps);
+        entry.contentDiv.insertBefore(entry.stepsDiv, entry.textDiv);
+        entry.raw = '';
+        entry.textDiv.textContent = '';
+        updateStatus(step.status === 'running' ? `${step.title}…` : 'Generating response…');
+    }
+
+    function createToolStepsElement(steps) {
+        const stepsDiv = document.createElement('div');
+        stepsDiv.className = 'tool-steps';
+
+        steps.forEach((step) => {
+            const details = document.createElement('details');
+            details.className = `tool-step ${step.status}`;
+
+            const summary = document.createElement('summary');
+            const icon = step.status === 'running' ? '⏳' : step.status === 'failed' ? '⚠️' : '🔧';
+            summary.textContent = `${icon} ${step.title}`;
+            details.appendChild(summary);
+
+            if (step.detail) {
+                const detail = document.createElement('pre');
+                detail.className = 'tool-step-detail';
+                detail.textContent = step.detail;
+                details.appendChild(detail);
+            }
+            stepsDiv.appendChild(details);
+        });
+
+        return stepsDiv;
+    }
+
+    // Steps go above the answer; rendering the answer replaces the message content
+    function renderToolSteps(messageDiv, contentDiv, steps) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            messageDiv.removeAttribute('data-tool-steps');
+            return;
+        }
+
+        messageDiv.setAttribute('data-tool-steps', JSON.stringify(steps));
+        contentDiv.insertBefore(createToolStepsElement(steps), contentDiv.firstChild);
+    }
+
+    function finishStreamingMessage(id, response, action, citations, edits, comments) {
+        const entry = streamingMessages.get(id);
+        if (!entry) {
+            addMessageWithParsing('ai', response, true, citations, edits, undefined, comments);
+            return;
+        }
+
+        streamingMessages.delete(id);
+        entry.messageDiv.classList.remove('streaming');
+        renderAIContent(entry.messageDiv, entry.contentDiv, response, citations);
+        renderToolSteps(entry.messageDiv, entry.contentDiv, entry.toolSteps);
+        if (entry.notice) {
+            entry.contentDiv.insertBefore(entry.notice, entry.contentDiv.firstChild);
+        }
+        renderReviewComments(entry.messageDiv, entry.contentDiv, comments);
+        renderEditProposal(entry.messageDiv, entry.contentDiv, edits);
+        appendMessageAction(entry.contentDiv, action);
+        renderStatus();
+        window.setTimeout(saveChatHistory, SAVE_DELAY_MS);
+    }
+
+    function appendMessageAction(contentDiv, action) {
+        const definition = action ? MESSAGE_ACTIONS[action] : undefined;
+        if (!definition) {
+            return;
+        }
+
+        const button = document.createElement('button');
+        button.className = 'status-button message-action';
+        button.textContent = definition.label;
+        button.addEventListener('click', () => postMessage(definition.type, {}));
+        contentDiv.appendChild(button);
+    }
+
+    // Findings of a review, most severe first; each opens its file at the commented line
+    function renderReviewComments(messageDiv, contentDiv, comments) {
+        if (!Array.isArray(comments) || comments.length === 0) {
+            messageDiv.removeAttribute('data-comments');
+            return;
+        }
+        messageDiv.setAttribute('data-comments', JSON.stringify(comments));
+
+        const review = document.createElement('div');
+        review.className = 'review-comments';
+
+        const title = document.createElement('div');
+        title.className = 'review-comments-title';
+        title.textContent = `Review comments (${comments.length})`;
+        review.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'review-comment-list';
+        comments
+            .map((comment, index) => ({comment, index}))
+            .sort((a, b) => SEVERITY_ORDER.indexOf(a.comment.severity) - SEVERITY_ORDER.indexOf(b.comment.severity) || a.index - b.index)
+            .forEach(({comment}) => list.appendChild(createReviewCommentItem(comment)));
+        review.appendChild(list);
+
+        contentDiv.appendChild(review);
+    }
+
+    function createReviewCommentItem(comment) {
+        const item = document.createElement('li');
+        item.className = `review-comment review-${comment.severity}`;
+        item.appendChild(document.createTextNode(`${SEVERITY_ICONS[comment.severity] || ''} `));
+
+        const location = document.createElement('span');
+        location.className = 'file-link review-comment-location';
+        location.textContent = comment.startLine ? `${comment.path}:${formatLines(comment)}` : comment.path;
+        if (isNavigable(comment)) {
+            const line = comment.status === 'invalid-line' ? undefined : comment.startLine ?? undefined;
+            location.addEventListener('click', () => openFile(comment.path, line));
+        }
+        item.appendChild(location);
+        item.appendChild(document.createTextNode(` ${comment.message}`));
+
+        if (!comment.changed) {
+            const note = document.createElement('span');
+            note.className = 'review-comment-note';
+            note.textContent = ' (not on a changed line)';
+            item.appendChild(note);
+        }
+        return item;
+    }
+
+    // Edits are checked again against the files on disk when previewed or applied
+    function renderEditProposal(messageDiv, contentDiv, edits) {
+        if (!Array.isArray(edits) || edits.length === 0) {
+            messageDiv.removeAttribute('data-edits');
+            return;
+        }
+        messageDiv.setAttribute('data-edits', JSON.stringify(edits));
+
+        const proposal = document.createElement('div');
+        proposal.className = 'edit-proposal';
+
+        const title = document.createElement('div');
+        title.className = 'edit-proposal-title';
+        title.textContent = `Proposed edits (${edits.length} ${edits.length === 1 ? 'file' : 'files'})`;
+        proposal.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'edit-files';
+        edits.forEach((edit) => list.appendChild(createEditFileItem(edit)));
+        proposal.appendChild(list);
+
+        const applyButton = document.createElement('button');
+        applyButton.className = 'status-button edit-apply';
+        applyButton.textContent = 'Apply all';
+        proposal.appendChild(applyButton);
+
+        const result = document.createElement('div');
+        result.className = 'edit-result';
+        proposal.appendChild(result);
+
+        applyButton.addEventListener('click', () => {
+            const requestId = `edits-${++editRequestCounter}`;
+            pendingEditRequests.set(requestId, {applyButton, result});
+            applyButton.disabled = true;
+            result.textContent = 'Applying…';
+            postMessage(MESSAGE_TYPES.APPLY_EDITS, {requestId, edits});
+        });
+
+        contentDiv.appendChild(proposal);
+    }
+
+    function createEditFileItem(edit) {
+        const item = document.createElement('li');
+        item.className = 'edit-file';
+
+        const path = document.createElement('span');
+        path.className = 'edit-file-path';
+        path.textContent = edit.path;
+        item.appendChild(path);
+
+        const warning = EDIT_STATUS_NOTES[edit.status];
+        const changes = `${edit.hunks.length} ${edit.hunks.length === 1 ? 'change' : 'changes'}`;
+        const note = document.createElement('span');
+        note.className = 'edit-file-note';
+        note.textContent = ` (${warning ? `⚠️ ${warning}` : edit.create ? 'new file' : changes}) `;
+        item.appendChild(note);
+        if (warning) {
+            item.classList.add('edit-warning');
+        }
+
+        const previewButton = document.createElement('button');
+        previewButton.className = 'status-button edit-preview';
+        previewButton.textContent = 'Preview';
+        previewButton.addEventListener('click', () => postMessage(MESSAGE_TYPES.PREVIEW_EDIT, {edit}));
+        item.appendChild(previewButton);
+
+        return item;
+    }
+
+    function showEditsResult(payload) {
+        const pending = pendingEditRequests.get(payload?.requestId);
+        if (!pending) {
+            return;
+        }
+        pendingEditRequests.delete(payload.requestId);
+
+        pending.result.textContent = payload.message || '';
+        (payload.conflicts || []).forEach((conflict) => {
+            const line = document.createElement('div');
+            line.className = 'edit-conflict';
+            line.textContent = `${conflict.path}: ${conflict.reason}`;
+            pending.result.appendChild(line);
+        });
+        // Applied edits no longer match the files, so they cannot be applied twice
+        pending.applyButton.disabled = !!payload.applied;
+    }
+
     function parseContent(text) {
         const linkRegex = /\[([^\]]+)\]\(([^:)]+):?(\d+)?\)/g;
         return text.replace(linkRegex, (_match, linkText, fileName, lineNumber) => {
@@ -163,6 +518,96 @@
         return result;
     }
 
+    function renderContentWithCitations(text, citations) {
+        const sorted = citations
+            .filter((citation) => citation.offset >= 0 && citation.offset + citation.length <= text.length)
+            .sort((a, b) => a.offset - b.offset);
+        const result = [];
+        let lineStart = 0;
+        let next = 0;
+
+        text.split('\n').forEach((line) => {
+            const lineEnd = lineStart + line.length;
+            const lineDiv = document.createElement('div');
+            lineDiv.className = 'message-line';
+
+            const contentDiv = document.createElement('div');
+            contentDiv.className = 'line-content';
+
+            const lineCitations = [];
+            let position = lineStart;
+            while (next < sorted.length && sorted[next].offset < lineEnd) {
+                const citation = sorted[next++];
+                if (citation.offset < position) {
+                    continue;
+                }
+                contentDiv.appendChild(document.createTextNode(text.slice(position, citation.offset)));
+                contentDiv.appendChild(createCitationLink(citation));
+                position = citation.offset + citation.length;
+                lineCitations.push(citation);
+            }
+            contentDiv.appendChild(document.createTextNode(text.slice(position, Math.max(position, lineEnd))));
+            lineDiv.appendChild(contentDiv);
+
+            const navigable = lineCitations.filter((citation) => citation.startLine && isNavigable(citation));
+            if (navigable.length > 0) {
+                const citationsDiv = document.createElement('div');
+                citationsDiv.className = 'line-citations';
+
+                navigable.forEach((citation) => {
+                    const citationBtn = document.createElement('button');
+                    citationBtn.className = 'file-reference';
+                    citationBtn.textContent = `📄 ${citation.path}:${formatLines(citation)}`;
+                    citationBtn.title = describeCitation(citation);
+                    citationBtn.addEventListener('click', () => openFile(citation.path, citation.startLine));
+                    citationsDiv.appendChild(citationBtn);
+                });
+
+                lineDiv.appendChild(citationsDiv);
+            }
+
+            result.push(lineDiv);
+            lineStart = lineEnd + 1;
+        });
+
+        return result;
+    }
+
+    function createCitationLink(citation) {
+        const link = document.createElement('span');
+        link.className = `file-link citation-${citation.status}`;
+        link.textContent = citation.label;
+        link.title = describeCitation(citation);
+        if (isNavigable(citation)) {
+            // Lines past the end of the file open the file without jumping
+            const line = citation.status === 'invalid-line' ? undefined : citation.startLine ?? undefined;
+            link.addEventListener('click', () => openFile(citation.path, line));
+        }
+        return link;
+    }
+
+    function isNavigable(citation) {
+        return citation.status !== 'unknown-file';
+    }
+
+    function formatLines(citation) {
+        return citation.endLine && citation.endLine !== citation.startLine
+            ? `${citation.startLine}-${citation.endLine}`
+            : `${citation.startLine}`;
+    }
+
+    function describeCitation(citation) {
+        const location = citation.startLine ? `${citation.path}:${formatLines(citation)}` : citation.path;
+        const notes = {
+            corrected: `Moved from line ${citation.citedLine} to where the quoted code is`,
+            unverified: 'The quoted code was not found in this file',
+            'invalid-line': 'The cited line is past the end of the file',
+            'unknown-file': 'This file was not sent to the model',
+            'out-of-context': 'The model was not shown these lines',
+        };
+        return [location, citation.snippet, notes[citation.status]].filter(Boolean).join('\n');
+    }
+
     function openFile(fileName, lineNumber) {
         postMessage(MESSAGE_TYPES.OPEN_FILE, {fileName, lineNumber});
     }
@@ -194,7 +639,7 @@
             container.appendChild(initialMessage);
         }
 
-        messages.forEach((msg) => addMessageWithParsing(msg.type, msg.content));
+        messages.forEach((msg) => addMessageWithParsing(msg.type, msg.content, false, msg.citations, msg.edits, msg.toolSteps, msg.comments));
     }
 
     function collectMessagesForSave() {
@@ -222,8 +667,19 @@
                 }
             } else {
                 const rawContent = element.getAttribute('data-raw-content');
+                const citations = element.getAttribute('data-citations');
+                const edits = element.getAttribute('data-edits');
+                const comments = element.getAttribute('data-comments');
+                const toolSteps = element.getAttribute('data-tool-steps');
                 if (rawContent) {
-                    messages.push({type, content: rawContent});
+                    messages.push({
+                        type,
+                        content: rawContent,
+                        ...(citations && {citations: JSON.parse(citations)}),
+                        ...(edits && {edits: JSON.parse(edits)}),
+                        ...(comments && {comments: JSON.parse(comments)}),
+                        ...(toolSteps && {toolSteps: JSON.parse(toolSteps)}),
+                    });
                 }
             }
         });
@@ -252,7 +708,8 @@
             container.appendChild(initialMessage);
         }
 
-        saveChatHistory();
+        // Saved even though empty, so the next message starts a new conversation
+        postMessage(MESSAGE_TYPES.SAVE_CHAT_HISTORY, {messages: []});
     }
 
     function exportChat() {
@@ -289,6 +746,34 @@
             case MESSAGE_TYPES.AI_RESPONSE:
                 addMessage('ai', message.payload?.response ?? '');
                 break;
+            case MESSAGE_TYPES.AI_RESPONSE_START:
+                startStreamingMessage(message.payload?.id);
+                break;
+            case MESSAGE_TYPES.AI_RESPONSE_CHUNK:
+                appendStreamingChunk(message.payload?.id, message.payload?.text ?? '');
+                break;
+            case MESSAGE_TYPES.AI_RESPONSE_QUEUED:
+                showQueuedMessage(message.payload?.id, message.payload?.retryAfterSeconds ?? 0);
+                break;
+            case MESSAGE_TYPES.REDACTION_NOTICE:
+                showRedactionNotice(message.payload?.id, message.payload?.text);
+                break;
+            case MESSAGE_TYPES.TOOL_STEP:
+                showToolStep(message.payload?.id, message.payload?.step);
+                break;
+            case MESSAGE_TYPES.AI_RESPONSE_END:
+                finishStreamingMessage(
+                    message.payload?.id,
+                    message.payload?.response ?? '',
+                    message.payload?.action,
+                    message.payload?.citations,
+                    message.payload?.edits,
+                    message.payload?.comments,
+                );
+                break;
+            case MESSAGE_TYPES.EDITS_RESULT:
+                showEditsResult(message.payload);
+                break;
             case MESSAGE_TYPES.WORKSPACE_FILES:
                 statusState.workspaceFiles = message.payload?.files?.length ?? 0;
                 renderStatus();
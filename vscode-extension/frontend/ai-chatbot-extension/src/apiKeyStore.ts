@@ -0,0 +1,119 @@
+import * as vscode from 'vscode';
+import { CONFIG } from './config';
+
+/**
+ * Keeps the backend API key in VS Code SecretStorage. A key left in the
+ * deprecated plain-text `ai-chatbot.apiKey` setting is moved into secret
+ * storage the first time it is read, and the setting is cleared in user,
+ * workspace and folder settings alike.
+ */
+export class ApiKeyStore {
+    constructor(
+        private readonly secrets: vscode.SecretStorage,
+        private readonly key: string = CONFIG.API_KEY_SECRET,
+    ) {}
+
+    public async getApiKey(): Promise<string | undefined> {
+        const stored = await this.secrets.get(this.key);
+        if (stored) {
+            return stored;
+        }
+
+        const legacy = findLegacySettings();
+        if (legacy.length === 0) {
+            return undefined;
+        }
+
+        const apiKey = legacy[0].value;
+        await this.secrets.store(this.key, apiKey);
+        await clearLegacySettings(legacy);
+        return apiKey;
+    }
+
+    /**
+     * Stores a new key; an empty value removes it.
+     */
+    public async setApiKey(value: string): Promise<void> {
+        const apiKey = value.trim();
+        if (apiKey) {
+            await this.secrets.store(this.key, apiKey);
+        } else {
+            await this.secrets.delete(this.key);
+        }
+    }
+
+    /**
+     * Asks the user for a new key.
+     * @returns true when the key was changed, false when the prompt was cancelled
+     */
+    public async promptForApiKey(): Promise<boolean> {
+        const value = await vscode.window.showInputBox({
+            title: 'AI Chatbot: Backend API Key',
+            prompt: 'API key sent to the backend as a bearer token. Leave empty to remove the stored key.',
+            password: true,
+            ignoreFocusOut: true,
+        });
+
+        if (value === undefined) {
+            return false;
+        }
+
+        await this.setApiKey(value);
+        vscode.window.showInformationMessage(value.trim() ? 'AI Chatbot API key saved.' : 'AI Chatbot API key removed.');
+        return true;
+    }
+}
+
+interface LegacySetting {
+    configuration: vscode.WorkspaceConfiguration;
+    target: vscode.ConfigurationTarget;
+    value: string;
+}
+
+/**
+ * Every scope holding the deprecated setting, in VS Code's order of precedence:
+ * folder settings, then workspace settings, then user settings.
+ */
+function findLegacySettings(): LegacySetting[] {
+    const settings: LegacySetting[] = [];
+    const add = (configuration: vscode.WorkspaceConfiguration, target: vscode.ConfigurationTarget, value: string | undefined) => {
+        const trimmed = value?.trim();
+        if (trimmed) {
+            settings.push({ configuration, target, value: trimmed });
+        }
+    };
+
+    // Folders have settings of their own only in multi-root workspaces
+    if (vscode.workspace.workspaceFile) {
+        for (const folder of vscode.workspace.workspaceFolders ?? []) {
+            const configuration = vscode.workspace.getConfiguration('ai-chatbot', folder.uri);
+            add(configuration, vscode.ConfigurationTarget.WorkspaceFolder, configuration.inspect<string>('apiKey')?.workspaceFolderValue);
+        }
+    }
+
+    const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+    const inspected = configuration.inspect<string>('apiKey');
+    add(configuration, vscode.ConfigurationTarget.Workspace, inspected?.workspaceValue);
+    add(configuration, vscode.ConfigurationTarget.Global, inspected?.globalValue);
+    return settings;
+}
+
+async function clearLegacySettings(settings: LegacySetting[]): Promise<void> {
+    let failed = false;
+    for (const { configuration, target } of settings) {
+        try {
+            await configuration.update('apiKey', undefined, target);
+        } catch (error) {
+            console.warn('[AI Chatbot] Could not clear the ai-chatbot.apiKey setting after moving it to secret storage:', error);
+            failed = true;
+        }
+    }
+
+    if (failed) {
+        vscode.window.showWarningMessage('AI Chatbot moved your API key to secret storage but could not remove it from the ai-chatbot.apiKey setting. Remove it from your settings files.');
+    }
+}
+
+export function createApiKeyStore(context: vscode.ExtensionContext): ApiKeyStore {
+    return new ApiKeyStore(context.secrets);
+}
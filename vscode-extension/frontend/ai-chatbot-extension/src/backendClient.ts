@@ -1,53 +1,378 @@
 import * as http from 'http';
 import * as https from 'https';
 import { URL } from 'url';
-import { WorkspaceFile } from './types';
+import {
+    BackendApiError,
+    BackendErrorDetail,
+    BackendHttpError,
+    BackendRequestOptions,
+    BackendResponse,
+    BackendStreamEvent,
+    Citation,
+    CommitMessageResponse,
+    CompletionRequest,
+    CompletionResponse,
+    Conversation,
+    ConversationMessage,
+    ConversationSummary,
+    DependenciesResponse,
+    ExplanationRequest,
+    ExplanationResponse,
+    FileDependencies,
+    FileEdit,
+    FileManifestEntry,
+    ReviewComment,
+    ToolCall,
+    WorkspaceFile,
+    isBackendErrorCode,
+} from './types';
+import { EncodedBody, checkRequestSize, decodeResponse, describeCompression, encodeRequestBody } from './requestEncoding';
 
-export async function callBackendAPI(prompt: string, files: WorkspaceFile[], backendUrl: string): Promise<string> {
-    const endpoint = new URL('/upload', backendUrl.endsWith('/') ? backendUrl : `${backendUrl}/`);
-    const client = endpoint.protocol === 'https:' ? https : http;
-    const postData = JSON.stringify({ files, prompt });
-
-    return new Promise((resolve, reject) => {
-        const options: https.RequestOptions = {
-            hostname: endpoint.hostname,
-            port: endpoint.port || (endpoint.protocol === 'https:' ? 443 : 80),
-            path: endpoint.pathname,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(postData),
-            },
-        };
+// A busy backend (429) is retried after its Retry-After delay, within these bounds
+const MAX_RATE_LIMIT_RETRIES = 3;
+const MAX_RETRY_AFTER_SECONDS = 60;
+
+// Backends that could not decode a compressed body; they get uncompressed bodies from then on
+const uncompressedBackends = new Set<string>();
+
+export async function callBackendAPI(
+    prompt: string,
+    files: WorkspaceFile[],
+    backendUrl: string,
+    options: BackendRequestOptions = {},
+): Promise<BackendResponse> {
+    const json = buildRequestBody(prompt, files, options);
 
-        const req = client.request(options, (res) => {
+    return sendEncoded('/upload', backendUrl, json, options.onLargeRequest, body => withRateLimitRetry(() => new Promise<BackendResponse>((resolve, reject) => {
+        const req = createRequest('POST', '/upload', backendUrl, body, options.apiKey, (res) => {
+            const decoded = decodeResponse(res);
             let rawData = '';
 
-            res.on('data', (chunk) => {
+            decoded.on('error', reject);
+            decoded.on('data', (chunk) => {
                 rawData += chunk;
             });
 
-            res.on('end', () => {
+            decoded.on('end', () => {
                 if (!res.statusCode || res.statusCode < 200 || res.statusCode >= 300) {
-                    reject(new Error(`Backend API error: ${res.statusCode ?? 'unknown'} ${res.statusMessage ?? ''}`.trim()));
+                    reject(httpError(res, rawData));
                     return;
                 }
 
                 try {
-                    const payload = JSON.parse(rawData);
+                    resolve(parseUploadPayload(rawData));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
 
-                    if (payload.error) {
-                        reject(new Error(payload.error));
-                        return;
-                    }
+        req.on('error', (error) => {
+            reject(error);
+        });
+
+        req.end(body.data);
+    }), options.onQueued));
+}
+
+/**
+ * Calls the streaming `/upload/stream` endpoint and reports text chunks as they arrive.
+ * Works against both deployments: a streaming Express server and the buffered Lambda
+ * handler (which delivers the same NDJSON events in a single body). A plain JSON body
+ * is also accepted and reported as one chunk.
+ * @returns The complete AI response and its citations once the stream finishes, or the tools the model asked for
+ */
+export async function streamBackendAPI(
+    prompt: string,
+    files: WorkspaceFile[],
+    backendUrl: string,
+    onChunk: (text: string) => void,
+    options: BackendRequestOptions = {},
+): Promise<BackendResponse> {
+    const json = buildRequestBody(prompt, files, options);
 
-                    const aiResponse = typeof payload.aiResponse === 'string' ? payload.aiResponse : payload.message;
-                    if (typeof aiResponse === 'string' && aiResponse.trim().length > 0) {
-                        resolve(aiResponse);
-                        return;
+    return sendEncoded('/upload/stream', backendUrl, json, options.onLargeRequest, body => withRateLimitRetry(() => new Promise<BackendResponse>((resolve, reject) => {
+        const req = createRequest('POST', '/upload/stream', backendUrl, body, options.apiKey, (res) => {
+            const isStream = String(res.headers['content-type'] ?? '').includes('application/x-ndjson');
+            const isSuccess = !!res.statusCode && res.statusCode >= 200 && res.statusCode < 300;
+            let pending = '';
+            let accumulated = '';
+            let settled = false;
+
+            const settle = (error: Error | undefined, value?: BackendResponse) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(value ?? { aiResponse: '' });
+                }
+            };
+
+            const handleEvent = (event: BackendStreamEvent) => {
+                switch (event.type) {
+                    case 'chunk':
+                        accumulated += event.text;
+                        onChunk(event.text);
+                        break;
+                    case 'done':
+                        settle(undefined, {
+                            aiResponse: typeof event.aiResponse === 'string' ? event.aiResponse : accumulated,
+                            citations: Array.isArray(event.citations) ? event.citations : undefined,
+                            ...(Array.isArray(event.edits) && { edits: event.edits }),
+                            ...(Array.isArray(event.comments) && { comments: event.comments }),
+                        });
+                        break;
+                    case 'tool_calls':
+                        settle(undefined, {
+                            aiResponse: typeof event.aiResponse === 'string' ? event.aiResponse : accumulated,
+                            toolCalls: Array.isArray(event.toolCalls) ? event.toolCalls : [],
+                        });
+                        break;
+                    case 'error':
+                        settle(backendError(undefined, event) ?? new Error(event.message || event.error));
+                        break;
+                    default:
+                        break;
+                }
+            };
+
+            const handleLine = (line: string) => {
+                if (!line.trim()) {
+                    return;
+                }
+                try {
+                    handleEvent(JSON.parse(line) as BackendStreamEvent);
+                } catch (error) {
+                    settle(new Error(`Invalid response from backend: ${error instanceof Error ? error.message : String(error)}`));
+                }
+            };
+
+            const decoded = decodeResponse(res);
+            decoded.on('error', error => settle(error));
+            decoded.on('data', (chunk) => {
+                pending += chunk;
+                if (!isStream || !isSuccess) {
+                    return;
+                }
+
+                const lines = pending.split('\n');
+                pending = lines.pop() ?? '';
+                lines.forEach(handleLine);
+            });
+
+            decoded.on('end', () => {
+                if (!isSuccess) {
+                    settle(httpError(res, pending));
+                    return;
+                }
+
+                if (!isStream) {
+                    try {
+                        const response = parseUploadPayload(pending);
+                        onChunk(response.aiResponse);
+                        settle(undefined, response);
+                    } catch (error) {
+                        settle(error instanceof Error ? error : new Error(String(error)));
                     }
+                    return;
+                }
+
+                handleLine(pending);
+                settle(new Error('Backend stream ended before the response was complete.'));
+            });
+        });
+
+        req.on('error', (error) => {
+            reject(error);
+        });
+
+        req.end(body.data);
+    }), options.onQueued));
+}
+
+/**
+ * Opens an upload session on the backend.
+ * @returns The new session id
+ */
+export async function openSession(backendUrl: string, apiKey?: string): Promise<string> {
+    const { sessionId } = await requestJSON<{ sessionId: string }>('POST', '/sessions', backendUrl, {}, apiKey);
+    return sessionId;
+}
+
+/**
+ * Replaces the session's file manifest.
+ * @returns Names of the files whose content the backend does not have yet
+ */
+export async function syncSessionManifest(
+    backendUrl: string,
+    sessionId: string,
+    manifest: FileManifestEntry[],
+    apiKey?: string,
+): Promise<string[]> {
+    const { missing } = await requestJSON<{ missing: string[] }>(
+        'PUT',
+        `/sessions/${encodeURIComponent(sessionId)}/manifest`,
+        backendUrl,
+        { files: manifest },
+        apiKey,
+    );
+    return missing;
+}
+
+/**
+ * Uploads file contents the session reported missing.
+ * @returns Names of the files still missing afterwards
+ */
+export async function uploadSessionFiles(
+    backendUrl: string,
+    sessionId: string,
+    files: WorkspaceFile[],
+    apiKey?: string,
+): Promise<string[]> {
+    const { missing } = await requestJSON<{ missing: string[] }>(
+        'POST',
+        `/sessions/${encodeURIComponent(sessionId)}/files`,
+        backendUrl,
+        { files },
+        apiKey,
+    );
+    return missing;
+}
+
+/**
+ * Asks the backend for the imports and importers of one file. The other files come from the
+ * upload session when `sessionId` is given, otherwise from `files`.
+ * @returns Dependencies of `filename`
+ */
+export async function fetchDependencies(
+    backendUrl: string,
+    filename: string,
+    files: WorkspaceFile[],
+    options: { sessionId?: string; apiKey?: string } = {},
+): Promise<FileDependencies> {
+    const body = options.sessionId ? { sessionId: options.sessionId, filename } : { files, filename };
+    const { files: dependencies } = await requestJSON<DependenciesResponse>('POST', '/dependencies', backendUrl, body, options.apiKey);
+    return dependencies[0];
+}
+
+/**
+ * Asks the backend for a commit message describing a staged diff
+ * @param diff Output of `git diff --cached`
+ * @param options The repository's commit message template, the model to use and the backend API key
+ * @returns The message and which files the model only saw summarized or by name
+ */
+export function requestCommitMessage(
+    backendUrl: string,
+    diff: string,
+    options: { template?: string; model?: string; apiKey?: string } = {},
+): Promise<CommitMessageResponse> {
+    const body = { diff, template: options.template, model: options.model || undefined };
+    return requestJSON<CommitMessageResponse>('POST', '/commit-message', backendUrl, body, options.apiKey);
+}
 
-                    reject(new Error('Backend response received but no AI content was provided.'));
+/**
+ * Asks the backend for the text to insert at the cursor. Busy responses (429) are not retried:
+ * by the time a retry is answered the user has typed on.
+ * @param request The code around the cursor and the neighboring files
+ * @param options The model to use, the backend API key and a signal that cancels the request
+ * @returns The completion, possibly empty
+ */
+export async function requestCompletion(
+    backendUrl: string,
+    request: CompletionRequest,
+    options: { model?: string; apiKey?: string; signal?: AbortSignal } = {},
+): Promise<string> {
+    const body = {
+        prefix: request.prefix,
+        suffix: request.suffix || undefined,
+        language: request.language,
+        path: request.path,
+        files: request.files && request.files.length > 0 ? request.files : undefined,
+        model: options.model || undefined,
+    };
+    const { completion } = await requestJSON<CompletionResponse>('POST', '/complete', backendUrl, body, options.apiKey, options.signal);
+    return completion;
+}
+
+/**
+ * Asks the backend for a short explanation of a function, class or other symbol
+ * @param request The symbol's code, name, kind, language and path
+ * @param options The model to use, the backend API key and a signal that cancels the request
+ * @returns The explanation
+ */
+export async function requestExplanation(
+    backendUrl: string,
+    request: ExplanationRequest,
+    options: { model?: string; apiKey?: string; signal?: AbortSignal } = {},
+): Promise<string> {
+    const body = { ...request, model: options.model || undefined };
+    const { explanation } = await requestJSON<ExplanationResponse>('POST', '/explain', backendUrl, body, options.apiKey, options.signal);
+    return explanation;
+}
+
+/**
+ * Starts a conversation on the backend
+ * @param messages Messages to start with, oldest first
+ * @returns The new conversation; it is titled after its first user message
+ */
+export function createConversation(backendUrl: string, messages: ConversationMessage[], apiKey?: string): Promise<Conversation> {
+    return requestJSON<Conversation>('POST', '/conversations', backendUrl, { messages }, apiKey);
+}
+
+/**
+ * Adds messages to the end of a backend conversation
+ * @returns Summary of the updated conversation
+ */
+export function appendConversationMessages(
+    backendUrl: string,
+    conversationId: string,
+    messages: ConversationMessage[],
+    apiKey?: string,
+): Promise<ConversationSummary> {
+    return requestJSON<ConversationSummary>('POST', `/conversations/${encodeURIComponent(conversationId)}/messages`, backendUrl, { messages }, apiKey);
+}
+
+/**
+ * Lists the conversations of the API key
+ * @returns Summaries, most recently updated first
+ */
+export async function listConversations(backendUrl: string, apiKey?: string): Promise<ConversationSummary[]> {
+    const { conversations } = await requestJSON<{ conversations: ConversationSummary[] }>('GET', '/conversations', backendUrl, undefined, apiKey);
+    return conversations;
+}
+
+/**
+ * Loads a backend conversation with its messages
+ */
+export function getConversation(backendUrl: string, conversationId: string, apiKey?: string): Promise<Conversation> {
+    return requestJSON<Conversation>('GET', `/conversations/${encodeURIComponent(conversationId)}`, backendUrl, undefined, apiKey);
+}
+
+/**
+ * Sends a request and parses its JSON response. GET requests pass `undefined` as the body.
+ */
+function requestJSON<T>(method: 'GET' | 'POST' | 'PUT', path: string, backendUrl: string, body: unknown, apiKey?: string, signal?: AbortSignal): Promise<T> {
+    const send = (encoded: EncodedBody) => new Promise<T>((resolve, reject) => {
+        const req = createRequest(method, path, backendUrl, encoded, apiKey, (res) => {
+            const decoded = decodeResponse(res);
+            let rawData = '';
+
+            decoded.on('error', reject);
+            decoded.on('data', (chunk) => {
+                rawData += chunk;
+            });
+
+            decoded.on('end', () => {
+                if (!res.statusCode || res.statusCode < 200 || res.statusCode >= 300) {
+                    reject(httpError(res, rawData));
+                    return;
+                }
+
+                try {
+                    resolve(JSON.parse(rawData) as T);
                 } catch (error) {
                     reject(new Error(`Invalid response from backend: ${error instanceof Error ? error.message : String(error)}`));
                 }
@@ -58,7 +383,216 @@ export async function callBackendAPI(prompt: string, files: WorkspaceFile[], bac
             reject(error);
         });
 
-        req.write(postData);
-        req.end();
+        if (signal) {
+            if (signal.aborted) {
+                req.destroy(new Error('Request cancelled'));
+                return;
+            }
+            signal.addEventListener('abort', () => req.destroy(new Error('Request cancelled')), { once: true });
+        }
+
+        req.end(encoded.data);
     });
+
+    return body === undefined
+        ? send({ data: Buffer.alloc(0), decodedBytes: 0 })
+        : sendEncoded(path, backendUrl, JSON.stringify(body), undefined, send);
+}
+
+/**
+ * Sends a JSON body, gzip-compressed unless the backend could not decode an earlier compressed body.
+ * The size is checked first: a body the backend will reject is not sent, and `onLargeRequest` hears
+ * about one close to a limit. A compressed body rejected as undecodable (by the backend or a gateway
+ * in front of it) is sent again uncompressed.
+ */
+async function sendEncoded<T>(
+    path: string,
+    backendUrl: string,
+    json: string,
+    onLargeRequest: ((warning: string) => void) | undefined,
+    send: (body: EncodedBody) => Promise<T>,
+): Promise<T> {
+    const body = encodeRequestBody(json, !uncompressedBackends.has(backendUrl));
+    const { error: tooLarge, warning } = checkRequestSize(body);
+    console.log(`[AI Chatbot] ${path} request body: ${describeCompression(body)}`);
+    if (tooLarge) {
+        throw new BackendApiError(undefined, 'PAYLOAD_TOO_LARGE', tooLarge);
+    }
+    if (warning) {
+        onLargeRequest?.(warning);
+    }
+
+    try {
+        return await send(body);
+    } catch (error) {
+        const rejected = error instanceof BackendHttpError
+            && (error.status === 415 || (error instanceof BackendApiError && error.code === 'INVALID_ENCODING'));
+        if (!body.encoding || !rejected) {
+            throw error;
+        }
+        console.warn(`[AI Chatbot] ${backendUrl} could not decode a ${body.encoding} body; sending uncompressed bodies from now on`);
+        uncompressedBackends.add(backendUrl);
+        return send(encodeRequestBody(json, false));
+    }
+}
+
+/**
+ * Runs a request, waiting out the backend's Retry-After and trying again while it answers 429.
+ * `onQueued` is told how long each wait is so the UI can show the request as queued.
+ */
+async function withRateLimitRetry<T>(send: () => Promise<T>, onQueued?: (retryAfterSeconds: number) => void): Promise<T> {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await send();
+        } catch (error) {
+            const retryAfter = error instanceof BackendHttpError && error.status === 429 ? error.retryAfterSeconds : undefined;
+            if (retryAfter === undefined || retryAfter > MAX_RETRY_AFTER_SECONDS || attempt >= MAX_RATE_LIMIT_RETRIES) {
+                throw error;
+            }
+
+            onQueued?.(retryAfter);
+            await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+        }
+    }
+}
+
+/**
+ * Turns a non-2xx response into an error: a `BackendApiError` when the body carries one of
+ * the backend's error codes, otherwise a plain `BackendHttpError` (e.g. from a proxy).
+ */
+function httpError(res: http.IncomingMessage, rawData: string): BackendHttpError {
+    const retryAfter = parseRetryAfter(res.headers['retry-after']);
+
+    try {
+        const typed = backendError(res.statusCode, JSON.parse(rawData), retryAfter);
+        if (typed) {
+            return typed;
+        }
+    } catch {
+        // Not JSON; fall through to the status line
+    }
+
+    return new BackendHttpError(res.statusCode, res.statusMessage, retryAfter);
+}
+
+/**
+ * Reads an error body or stream error event; undefined unless it has a known `code`.
+ * Internal errors carry the underlying cause in `message`, everything else in `error`.
+ */
+function backendError(
+    status: number | undefined,
+    body: { error?: unknown; code?: unknown; message?: unknown; details?: unknown } | null,
+    retryAfterSeconds?: number,
+): BackendApiError | undefined {
+    if (!body || !isBackendErrorCode(body.code)) {
+        return undefined;
+    }
+
+    const text = body.code === 'INTERNAL_ERROR' && typeof body.message === 'string' ? body.message : body.error;
+    const details = Array.isArray(body.details) ? body.details as BackendErrorDetail[] : [];
+    return new BackendApiError(status, body.code, typeof text === 'string' ? text : body.code, details, retryAfterSeconds);
+}
+
+/**
+ * Reads a Retry-After header given as seconds or as an HTTP date.
+ */
+function parseRetryAfter(value: string | undefined): number | undefined {
+    if (!value) {
+        return undefined;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+        return Math.ceil(seconds);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function buildRequestBody(prompt: string, files: WorkspaceFile[], options: BackendRequestOptions): string {
+    return JSON.stringify({
+        files: options.sessionId ? undefined : files,
+        sessionId: options.sessionId || undefined,
+        prompt,
+        model: options.model || undefined,
+        history: options.history && options.history.length > 0 ? options.history : undefined,
+        currentFile: options.currentFile || undefined,
+        // Chat is the backend default; leaving it out keeps chat requests valid for older backends
+        mode: options.mode === 'chat' ? undefined : options.mode,
+        git: options.git,
+        diagnostics: options.diagnostics && options.diagnostics.length > 0 ? options.diagnostics : undefined,
+        tools: options.tools || undefined,
+        toolSteps: options.toolSteps && options.toolSteps.length > 0 ? options.toolSteps : undefined,
+    });
+}
+
+function createRequest(
+    method: 'GET' | 'POST' | 'PUT',
+    path: string,
+    backendUrl: string,
+    body: EncodedBody,
+    apiKey: string | undefined,
+    onResponse: (res: http.IncomingMessage) => void,
+): http.ClientRequest {
+    const endpoint = new URL(path, backendUrl.endsWith('/') ? backendUrl : `${backendUrl}/`);
+    const client = endpoint.protocol === 'https:' ? https : http;
+
+    const options: https.RequestOptions = {
+        hostname: endpoint.hostname,
+        port: endpoint.port || (endpoint.protocol === 'https:' ? 443 : 80),
+        path: endpoint.pathname,
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': body.data.length,
+            'Accept-Encoding': 'gzip, deflate',
+            ...(body.encoding ? { 'Content-Encoding': body.encoding } : {}),
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+    };
+
+    return client.request(options, onResponse);
+}
+
+function parseUploadPayload(rawData: string): BackendResponse {
+    let payload: {
+        error?: string;
+        code?: unknown;
+        aiResponse?: unknown;
+        message?: unknown;
+        citations?: unknown;
+        edits?: unknown;
+        comments?: unknown;
+        toolCalls?: unknown;
+    };
+    try {
+        payload = JSON.parse(rawData);
+    } catch (error) {
+        throw new Error(`Invalid response from backend: ${error instanceof Error ? error.message : String(error)}`);
+    }
+
+    if (payload.error) {
+        throw backendError(undefined, payload) ?? new Error(payload.error);
+    }
+
+    // The model asked for tools; the text before the calls may be empty
+    if (Array.isArray(payload.toolCalls) && payload.toolCalls.length > 0) {
+        return {
+            aiResponse: typeof payload.aiResponse === 'string' ? payload.aiResponse : '',
+            toolCalls: payload.toolCalls as ToolCall[],
+        };
+    }
+
+    const aiResponse = typeof payload.aiResponse === 'string' ? payload.aiResponse : payload.message;
+    if (typeof aiResponse === 'string' && aiResponse.trim().length > 0) {
+        return {
+            aiResponse,
+            citations: Array.isArray(payload.citations) ? payload.citations as Citation[] : undefined,
+            ...(Array.isArray(payload.edits) && { edits: payload.edits as FileEdit[] }),
+            ...(Array.isArray(payload.comments) && { comments: payload.comments as ReviewComment[] }),
+        };
+    }
+
+    throw new Error('Backend response received but no AI content was provided.');
 }
@@ -0,0 +1,75 @@
+import { BackendApiError, BackendErrorCode, ChatAction, isAuthError } from './types';
+
+/** What the chat shows for a failed request: a message and an optional follow-up button. */
+export interface BackendErrorDescription {
+    message: string;
+    action?: ChatAction;
+}
+
+type Remedy = { text: (error: BackendApiError) => string; action?: ChatAction };
+
+const API_KEY_REQUIRED = '⚠️ The backend requires an API key. Set one to continue.';
+const API_KEY_REJECTED = '⚠️ The backend rejected the API key. Update it to continue.';
+
+// `error.message` is the backend's own description, e.g. which file or field is at fault
+const REMEDIES: Record<BackendErrorCode, Remedy> = {
+    INVALID_REQUEST: { text: e => `⚠️ The backend rejected the request: ${e.message}. Please report this as an extension bug.` },
+    INVALID_JSON: { text: e => `⚠️ The backend rejected the request: ${e.message}. Please report this as an extension bug.` },
+    PAYLOAD_TOO_LARGE: {
+        text: () => '⚠️ The workspace upload is larger than the backend accepts. Lower "Max Workspace Files" or enable incremental uploads.',
+        action: 'openSettings',
+    },
+    INVALID_ENCODING: { text: e => `⚠️ The backend could not read the compressed request: ${e.message}. Send your message again.` },
+    INVALID_PATH: { text: e => `⚠️ A workspace file has a path the backend refuses: ${e.message}.` },
+    DUPLICATE_FILE: { text: e => `⚠️ Two workspace files were sent under the same name: ${e.message}.` },
+    FILE_TOO_LARGE: {
+        text: e => `⚠️ A workspace file is too large for the backend: ${e.message}. Exclude it or lower "Max Workspace Files".`,
+        action: 'openSettings',
+    },
+    TOO_MANY_FILES: {
+        text: () => '⚠️ The workspace has more files than the backend accepts. Lower "Max Workspace Files" and try again.',
+        action: 'openSettings',
+    },
+    PROMPT_TOO_LARGE: { text: () => '⚠️ Your message is too long for the backend. Shorten it and try again.' },
+    AUTH_REQUIRED: { text: () => API_KEY_REQUIRED, action: 'updateApiKey' },
+    INVALID_API_KEY: { text: () => API_KEY_REJECTED, action: 'updateApiKey' },
+    NOT_FOUND: {
+        text: () => '⚠️ The backend does not support this request. Check that "Backend Url" points at an up-to-date backend.',
+        action: 'openSettings',
+    },
+    SESSION_NOT_FOUND: { text: () => '⚠️ The upload session expired. Send your message again.' },
+    SESSION_INCOMPLETE: { text: () => '⚠️ The upload session was missing files. Send your message again.' },
+    CONVERSATION_NOT_FOUND: { text: () => '⚠️ The conversation no longer exists on the backend.' },
+    RATE_LIMITED: {
+        text: e => `⚠️ You are sending messages too quickly. Wait ${e.retryAfterSeconds ?? 'a few'} seconds and try again.`,
+    },
+    SERVER_BUSY: { text: () => '⚠️ The backend is busy with other requests. Try again in a moment.' },
+    UNKNOWN_MODEL: {
+        text: e => `⚠️ ${e.message} Choose another model in the settings.`,
+        action: 'openSettings',
+    },
+    PROVIDER_UNAVAILABLE: {
+        text: e => `⚠️ The model provider is not set up on the backend: ${e.message}. Choose another model or ask the backend operator to configure it.`,
+        action: 'openSettings',
+    },
+    PROVIDER_ERROR: { text: e => `⚠️ The model provider failed to answer: ${e.message}. Try again.` },
+    INTERNAL_ERROR: { text: e => `⚠️ The backend hit an internal error: ${e.message}` },
+};
+
+/**
+ * Describes a failed backend request with remediation for the user, or returns
+ * undefined when the error carries no code the extension knows how to explain.
+ */
+export function describeBackendError(error: unknown): BackendErrorDescription | undefined {
+    if (error instanceof BackendApiError) {
+        const remedy = REMEDIES[error.code];
+        return { message: remedy.text(error), action: remedy.action };
+    }
+
+    // Backends without error codes still answer 401/403 for API key problems
+    if (isAuthError(error)) {
+        return { message: error.status === 401 ? API_KEY_REQUIRED : API_KEY_REJECTED, action: 'updateApiKey' };
+    }
+
+    return undefined;
+}
@@ -2,15 +2,48 @@ import * as vscode from 'vscode';
 import * as fs from 'fs';
 import { CONFIG, getLocalResourceRoots } from './config';
 import {
+    BackendResponse,
     ChatMessage,
+    CompletionRequest,
+    EditorDiagnostic,
+    ExplanationRequest,
     ExtensionToWebviewMessage,
+    FileDependencies,
+    FileEdit,
+    GitChanges,
     MESSAGE_TYPES,
+    RedactionSummary,
+    RequestMode,
+    ToolCall,
+    ToolStep,
     WebviewToExtensionMessage,
     WorkspaceFile,
     assertUnreachable,
 } from './types';
 import { createChatStateStore, ChatStateStore } from './stateStore';
-import { callBackendAPI } from './backendClient';
+import { ConversationSync } from './conversationSync';
+import { createApiKeyStore, ApiKeyStore } from './apiKeyStore';
+import {
+    callBackendAPI,
+    fetchDependencies,
+    requestCommitMessage,
+    requestCompletion,
+    requestExplanation,
+    streamBackendAPI,
+} from './backendClient';
+import { describeBackendError } from './backendErrors';
+import { createUploadSession, isSessionGone, UploadSession } from './uploadSession';
+import { compileCustomPatterns, CustomPatternSetting, describeRedactions, redactAroundCursor, redactFiles } from './redaction';
+import { EDIT_COMMAND, parseEditCommand } from './editProposals';
+import { REVIEW_COMMAND, buildFollowUpPrompt, parseReviewCommand, toSarif } from './codeReview';
+import { collectGitChanges, hasGitChanges, truncateDiff } from './gitContext';
+import { findRepository, getGitAPI, readCommitTemplate } from './commitMessage';
+import { EditApplier } from './editApplier';
+import { ReviewComments } from './reviewComments';
+import { asksAboutProblems, collectDiagnostics, toEditorDiagnostic } from './diagnostics';
+import { describeDependencies } from './dependencyReport';
+import { CodeSymbol, describeSymbol } from './symbolActions';
+import { WorkspaceTools } from './workspaceTools';
 import {
     getActiveEditorPath,
     getWorkspaceFiles,
@@ -24,7 +57,11 @@ import {
  *
  * Manages the VS Code webview panel for the AI Chatbot Assistant.
  * Handles communication between the extension and the webview,
- * chat history persistence, and file navigation.
+ * chat history persistence, file navigation, proposed edits, reviews of the
+ * uncommitted git changes (also shown as comment threads in the editor), fixes
+ * and explanations of editor diagnostics, questions about symbols asked from
+ * CodeLenses, the workspace tools the model calls while answering, dependency
+ * reports and the backend requests of inline completions and hover explanations.
  */
 export class ChatWebviewProvider implements vscode.Disposable {
     public static readonly viewType = CONFIG.VIEW_TYPE;
@@ -33,11 +70,34 @@ export class ChatWebviewProvider implements vscode.Disposable {
     private readonly _extensionUri: vscode.Uri;
     private readonly _context: vscode.ExtensionContext;
     private readonly _stateStore: ChatStateStore;
+    private readonly _conversationSync: ConversationSync;
+    private readonly _uploadSession: UploadSession;
+    private readonly _apiKeyStore: ApiKeyStore;
+    private readonly _editApplier: EditApplier;
+    private readonly _reviewComments: ReviewComments;
+    private _responseCounter = 0;
+    // Bumped on every save, so a conversation loaded from the backend never replaces newer messages
+    private _historyVersion = 0;
 
     constructor(extensionUri: vscode.Uri, context: vscode.ExtensionContext) {
         this._extensionUri = extensionUri;
         this._context = context;
         this._stateStore = createChatStateStore(context);
+        this._conversationSync = new ConversationSync(context.globalState);
+        this._uploadSession = createUploadSession();
+        this._apiKeyStore = createApiKeyStore(context);
+        this._editApplier = new EditApplier();
+        this._reviewComments = new ReviewComments();
+    }
+
+    /**
+     * Prompts for a new backend API key and stores it in secret storage
+     */
+    public async updateApiKey(): Promise<void> {
+        if (await this._apiKeyStore.promptForApiKey()) {
+            // Upload sessions belong to the key that opened them
+            this._uploadSession.reset();
+        }
     }
 
     /**
@@ -52,6 +112,246 @@ export class ChatWebviewProvider implements vscode.Disposable {
         this._createNewPanel(initialMessage);
     }
 
+    /**
+     * Shows the imports and importers of the active editor file in the chat
+     */
+    public async showDependencies(): Promise<void> {
+        const filename = this._getCurrentFile();
+        if (!filename) {
+            vscode.window.showInformationMessage('Open a workspace file to see its dependencies.');
+            return;
+        }
+
+        this.createOrShow();
+        const id = `response-${Date.now()}-${++this._responseCounter}`;
+        this._sendMessageToWebview({
+            type: MESSAGE_TYPES.AI_RESPONSE_START,
+            payload: { id },
+        });
+
+        try {
+            const { files } = this._redactWorkspaceFiles(await this._getWorkspaceFilesWithContent());
+            const { text, citations } = describeDependencies(await this._fetchDependencies(filename, files));
+            this._sendMessageToWebview({
+                type: MESSAGE_TYPES.AI_RESPONSE_END,
+                payload: { id, response: text, citations },
+            });
+        } catch (error) {
+            console.error('[AI Chatbot] Error showing dependencies:', error);
+            this._sendErrorResponse(id, error);
+        }
+    }
+
+    /**
+     * Reviews the uncommitted git changes of the workspace in the chat, like sending `/review`
+     */
+    public async reviewChanges(): Promise<void> {
+        this.createOrShow();
+        await this._handleUserMessage(REVIEW_COMMAND);
+    }
+
+    /**
+     * Asks in the chat for a fix of a diagnostic, returned as an edit proposal to preview and apply
+     * @param uri The document the diagnostic is in
+     * @param diagnostic The diagnostic, as passed by the "Fix with AI" code action
+     */
+    public async fixDiagnostic(uri: vscode.Uri, diagnostic: vscode.Diagnostic): Promise<void> {
+        const problem = await this._toEditorDiagnostic(uri, diagnostic);
+        if (!problem) {
+            vscode.window.showInformationMessage('Fix with AI works on files inside the first workspace folder.');
+            return;
+        }
+
+        this.createOrShow();
+        await this._handleUserMessage(`${EDIT_COMMAND} Fix this ${problem.severity} in ${problem.path}:${problem.startLine}: ${problem.message}`, [problem]);
+    }
+
+    /**
+     * Asks in the chat what a diagnostic means and how to fix it
+     * @param uri The document the diagnostic is in
+     * @param diagnostic The diagnostic, as passed by the "Explain this error" code action
+     */
+    public async explainDiagnostic(uri: vscode.Uri, diagnostic: vscode.Diagnostic): Promise<void> {
+        const problem = await this._toEditorDiagnostic(uri, diagnostic);
+        if (!problem) {
+            vscode.window.showInformationMessage('Explain this error works on files inside the first workspace folder.');
+            return;
+        }
+
+        this.createOrShow();
+        await this._handleUserMessage(`Explain this ${problem.severity} in ${problem.path}:${problem.startLine} and how to fix it: ${problem.message}`, [problem]);
+    }
+
+    /**
+     * Asks in the chat what a function, method or class does
+     * @param uri The document the symbol is in
+     * @param symbol The symbol, as passed by the "Explain" CodeLens
+     */
+    public async explainSymbol(uri: vscode.Uri, symbol: CodeSymbol): Promise<void> {
+        await this._askAboutSymbol(uri, symbol, 'Explain', target => `Explain the ${target}: what it does, its inputs and outputs, and anything surprising`);
+    }
+
+    /**
+     * Asks in the chat for unit tests of a function, method or class, returned as an edit proposal
+     * @param uri The document the symbol is in
+     * @param symbol The symbol, as passed by the "Generate tests" CodeLens
+     */
+    public async generateTests(uri: vscode.Uri, symbol: CodeSymbol): Promise<void> {
+        await this._askAboutSymbol(uri, symbol, 'Generate tests', target => `${EDIT_COMMAND} Write unit tests for the ${target}, next to the project's existing tests and in their style`);
+    }
+
+    /**
+     * Asks in the chat for a doc comment on a function, method or class, returned as an edit proposal
+     * @param uri The document the symbol is in
+     * @param symbol The symbol, as passed by the "Document" CodeLens
+     */
+    public async documentSymbol(uri: vscode.Uri, symbol: CodeSymbol): Promise<void> {
+        await this._askAboutSymbol(uri, symbol, 'Document', target => `${EDIT_COMMAND} Add a doc comment to the ${target}, in the style of the file's other comments`);
+    }
+
+    /**
+     * Replaces the lines of a review finding with its suggested change
+     * @param thread The comment thread of the finding
+     */
+    public async applyReviewSuggestion(thread: vscode.CommentThread): Promise<void> {
+        const reason = await this._reviewComments.applySuggestion(thread);
+        if (reason) {
+            vscode.window.showWarningMessage(`Cannot apply the suggestion: ${reason}`);
+        }
+    }
+
+    /**
+     * Closes the comment thread of a review finding
+     * @param thread The comment thread of the finding
+     */
+    public dismissReviewFinding(thread: vscode.CommentThread): void {
+        this._reviewComments.dismiss(thread);
+    }
+
+    /**
+     * Asks the model about a review finding and adds the question and its answer to the finding's thread
+     * @param reply The question typed into the thread's reply box
+     */
+    public async askReviewFollowUp(reply: vscode.CommentReply): Promise<void> {
+        const finding = this._reviewComments.findingOf(reply.thread);
+        const question = reply.text.trim();
+        if (!finding || !question) {
+            return;
+        }
+
+        this._reviewComments.addReply(reply.thread, question, 'You');
+        try {
+            await vscode.window.withProgress({ location: vscode.ProgressLocation.Window, title: 'Asking about the review finding' }, async () => {
+                const { files } = this._redactWorkspaceFiles(await this._getWorkspaceFilesWithContent());
+                const { aiResponse } = await this._callBackendAPI(buildFollowUpPrompt(finding, question), files);
+                this._reviewComments.addReply(reply.thread, aiResponse);
+            });
+        } catch (error) {
+            console.error('[AI Chatbot] Error asking about a review finding:', error);
+            await this._showErrorNotification(error);
+        }
+    }
+
+    /**
+     * Saves the open findings of the latest review as a SARIF file
+     */
+    public async exportReviewSarif(): Promise<void> {
+        const findings = this._reviewComments.findings;
+        const folder = vscode.workspace.workspaceFolders?.[0];
+        if (findings.length === 0 || !folder) {
+            vscode.window.showInformationMessage(`There are no review findings to export. Run ${REVIEW_COMMAND} in the chat first.`);
+            return;
+        }
+
+        const target = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.joinPath(folder.uri, 'ai-review.sarif'),
+            filters: { SARIF: ['sarif', 'json'] },
+        });
+        if (!target) {
+            return;
+        }
+
+        const sarif = toSarif(findings, { rootUri: folder.uri.toString(), toolVersion: this._context.extension?.packageJSON?.version });
+        await vscode.workspace.fs.writeFile(target, Buffer.from(`${JSON.stringify(sarif, null, 2)}\n`, 'utf8'));
+        vscode.window.showInformationMessage(`Exported ${findings.length} review ${findings.length === 1 ? 'finding' : 'findings'} as SARIF.`);
+    }
+
+    /**
+     * Writes a commit message for the staged changes of a repository into its Source Control input box
+     * @param sourceControl The Source Control view the command was run from, if any
+     */
+    public async generateCommitMessage(sourceControl?: vscode.SourceControl): Promise<void> {
+        const git = await getGitAPI();
+        const repository = git && findRepository(git, sourceControl, vscode.window.activeTextEditor?.document.uri);
+        if (!repository) {
+            vscode.window.showInformationMessage('Open a folder in a git repository to generate a commit message.');
+            return;
+        }
+
+        try {
+            await vscode.window.withProgress({ location: vscode.ProgressLocation.SourceControl, title: 'Writing commit message' }, async () => {
+                const staged = await repository.diff(true);
+                if (!staged.trim()) {
+                    vscode.window.showInformationMessage('There are no staged changes. Stage the changes to commit first.');
+                    return;
+                }
+
+                const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+                const { diff, truncated } = truncateDiff(this._redactDiff(staged), CONFIG.COMMIT_DIFF_MAX_CHARS);
+                if (truncated) {
+                    console.warn(`[AI Chatbot] Staged diff cut to ${CONFIG.COMMIT_DIFF_MAX_CHARS} characters for the commit message`);
+                }
+                const { message } = await requestCommitMessage(configuration.get<string>('backendUrl', CONFIG.DEFAULT_BACKEND_URL), diff, {
+                    template: await readCommitTemplate(repository),
+                    model: configuration.get<string>('model', ''),
+                    apiKey: await this._apiKeyStore.getApiKey(),
+                });
+                repository.inputBox.value = message;
+            });
+        } catch (error) {
+            console.error('[AI Chatbot] Error generating commit message:', error);
+            await this._showErrorNotification(error);
+        }
+    }
+
+    /**
+     * Asks the backend for an inline completion, with secrets redacted from the code sent
+     * @param request The code around the cursor and the neighboring files
+     * @param signal Aborts the request when the user typed on
+     * @returns The text to insert at the cursor, possibly empty
+     */
+    public async completeInline(request: CompletionRequest, signal: AbortSignal): Promise<string> {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        const { prefix, suffix } = this._redactAroundCursor(request.path ?? 'untitled', request.prefix, request.suffix);
+        const { files } = this._redactWorkspaceFiles(request.files ?? []);
+        return requestCompletion(configuration.get<string>('backendUrl', CONFIG.DEFAULT_BACKEND_URL), {
+            ...request,
+            prefix,
+            suffix,
+            ...(request.files && { files }),
+        }, {
+            model: configuration.get<string>('model', ''),
+            apiKey: await this._apiKeyStore.getApiKey(),
+            signal,
+        });
+    }
+
+    /**
+     * Asks the backend for a short explanation of a symbol, with secrets redacted from its code
+     * @param request The symbol's code, name, kind, language and path
+     * @param signal Aborts the request when the hover closes
+     * @returns The explanation
+     */
+    public async explainInHover(request: ExplanationRequest, signal: AbortSignal): Promise<string> {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        const [{ content: code }] = this._redactWorkspaceFiles([{ filename: request.path ?? 'untitled', content: request.code }]).files;
+        return requestExplanation(configuration.get<string>('backendUrl', CONFIG.DEFAULT_BACKEND_URL), { ...request, code }, {
+            model: configuration.get<string>('model', ''),
+            apiKey: await this._apiKeyStore.getApiKey(),
+            signal,
+        });
+    }
+
     /**
      * Restores a webview panel from serialized state
      * @param panel The webview panel to restore
@@ -62,6 +362,7 @@ export class ChatWebviewProvider implements vscode.Disposable {
         this._setupWebview(panel);
         this._setupMessageHandlers(panel);
         this._loadChatHistoryWithDelay();
+        void this._restoreConversation();
     }
 
     /**
@@ -70,6 +371,8 @@ export class ChatWebviewProvider implements vscode.Disposable {
     public dispose(): void {
         this._panel?.dispose();
         this._panel = undefined;
+        this._editApplier.dispose();
+        this._reviewComments.dispose();
     }
 
     /**
@@ -107,9 +410,6 @@ export class ChatWebviewProvider implements vscode.Disposable {
     private _createNewPanel(initialMessage?: string): void {
         console.log(`[AI Chatbot] Creating new panel in column ${CONFIG.VIEW_COLUMN}`);
 
-        // Clear chat history when creating a new panel
-        this._clearChatHistory();
-
         this._panel = vscode.window.createWebviewPanel(
             ChatWebviewProvider.viewType,
             CONFIG.PANEL_TITLE,
@@ -133,6 +433,7 @@ export class ChatWebviewProvider implements vscode.Disposable {
         }
 
         this._loadChatHistoryWithDelay();
+        void this._restoreConversation();
     }
 
     /**
@@ -198,44 +499,234 @@ export class ChatWebviewProvider implements vscode.Disposable {
             case MESSAGE_TYPES.REQUEST_CHAT_HISTORY:
                 this._loadChatHistory();
                 break;
+            case MESSAGE_TYPES.UPDATE_API_KEY:
+                await this.updateApiKey();
+                break;
+            case MESSAGE_TYPES.OPEN_SETTINGS:
+                await vscode.commands.executeCommand('workbench.action.openSettings', 'ai-chatbot');
+                break;
+            case MESSAGE_TYPES.PREVIEW_EDIT:
+                await this._previewEdit(message.payload.edit);
+                break;
+            case MESSAGE_TYPES.APPLY_EDITS:
+                await this._applyEdits(message.payload.requestId, message.payload.edits);
+                break;
             default:
                 assertUnreachable(message);
         }
     }
 
     /**
-     * Handles user messages and generates AI responses
+     * Handles user messages and generates AI responses; messages starting with
+     * `/edit` ask the backend for edits to preview and apply, and `/review`
+     * for comments on the uncommitted git changes
      * @param text The user's message text
+     * @param diagnostics Problems the message is about; when omitted, the active file's errors
+     * and warnings are sent with messages that ask about problems
      */
-    private async _handleUserMessage(text: string): Promise<void> {
+    private async _handleUserMessage(text: string, diagnostics?: EditorDiagnostic[]): Promise<void> {
         if (!this._panel) {
             return;
         }
 
-        try {
-            // Show loading state
+        const id = `response-${Date.now()}-${++this._responseCounter}`;
+        const review = parseReviewCommand(text);
+        const { prompt, mode } = review !== undefined ? { prompt: review, mode: 'review' as RequestMode } : parseEditCommand(text);
+
+        // Open an empty AI message bubble that chunks are streamed into
+        this._sendMessageToWebview({
+            type: MESSAGE_TYPES.AI_RESPONSE_START,
+            payload: { id },
+        });
+
+        if (!prompt) {
             this._sendMessageToWebview({
-                type: MESSAGE_TYPES.AI_RESPONSE,
-                payload: { response: '🤖 Analyzing your codebase... Please wait.' },
+                type: MESSAGE_TYPES.AI_RESPONSE_END,
+                payload: { id, response: `Describe the change after ${EDIT_COMMAND}, e.g. "${EDIT_COMMAND} validate the input in handleSubmit".` },
             });
+            return;
+        }
 
-            // Get workspace context with file contents
-            const workspaceFiles = await this._getWorkspaceFilesWithContent();
+        try {
+            const git = await this._collectGitChanges(mode);
+            if (mode === 'review' && (!git || !hasGitChanges(git))) {
+                this._sendMessageToWebview({
+                    type: MESSAGE_TYPES.AI_RESPONSE_END,
+                    payload: {
+                        id,
+                        response: git
+                            ? 'There are no uncommitted changes to review.'
+                            : `${REVIEW_COMMAND} needs a workspace folder inside a git repository, and git installed.`,
+                    },
+                });
+                return;
+            }
+
+            const problems = diagnostics ?? await this._collectActiveFileDiagnostics(prompt);
+
+            // Get workspace context with file contents, with secrets replaced by placeholders
+            const { files: workspaceFiles, summary } = this._redactWorkspaceFiles(await this._getWorkspaceFilesWithContent());
+            if (summary.total > 0) {
+                this._sendMessageToWebview({
+                    type: MESSAGE_TYPES.REDACTION_NOTICE,
+                    payload: { id, summary, text: describeRedactions(summary) },
+                });
+            }
+
+            // Call backend API, forwarding streamed chunks to the open bubble and
+            // showing it as queued while a busy backend asks us to wait
+            const ask = (toolOptions?: { tools: boolean; toolSteps: ToolStep[] }) => this._callBackendAPI(
+                prompt,
+                workspaceFiles,
+                (chunk) => {
+                    this._sendMessageToWebview({
+                        type: MESSAGE_TYPES.AI_RESPONSE_CHUNK,
+                        payload: { id, text: chunk },
+                    });
+                },
+                (retryAfterSeconds) => {
+                    this._sendMessageToWebview({
+                        type: MESSAGE_TYPES.AI_RESPONSE_QUEUED,
+                        payload: { id, retryAfterSeconds },
+                    });
+                },
+                mode,
+                toolOptions,
+                git,
+                problems,
+            );
 
-            // Call backend API
-            const response = await this._callBackendAPI(text, workspaceFiles);
+            // While the model asks for tools, run them here and ask again with every
+            // result so far; once the budget is used up it has to answer without them
+            const tools = this._createWorkspaceTools();
+            const toolSteps: ToolStep[] = [];
+            let offerTools = !!tools;
+            let response = await ask(tools && { tools: true, toolSteps: [] });
+            while (tools && offerTools && response.toolCalls && response.toolCalls.length > 0) {
+                for (const call of response.toolCalls) {
+                    toolSteps.push(await this._runToolCall(id, tools, call));
+                }
+                offerTools = !tools.exhausted;
+                response = await ask({ tools: offerTools, toolSteps: [...toolSteps] });
+            }
+            const { aiResponse, citations, edits, comments } = response;
+            if (mode === 'review' && comments) {
+                this._reviewComments.show(comments);
+            }
 
+            // The webview renders citations from the backend's validated list when it sends one
             this._sendMessageToWebview({
-                type: MESSAGE_TYPES.AI_RESPONSE,
-                payload: { response },
+                type: MESSAGE_TYPES.AI_RESPONSE_END,
+                payload: { id, response: aiResponse, ...(citations && { citations }), ...(edits && { edits }), ...(comments && { comments }) },
             });
         } catch (error) {
             console.error('[AI Chatbot] Error handling user message:', error);
+            this._sendErrorResponse(id, error);
+        }
+    }
+
+    /**
+     * Ends an AI message with the explanation of a failed backend request
+     * @param id The AI message to end
+     * @param error What the request failed with
+     */
+    private _sendErrorResponse(id: string, error: unknown): void {
+        // Errors with a backend error code get specific remediation and, where useful, a follow-up button
+        const described = describeBackendError(error);
+        if (described) {
+            this._sendMessageToWebview({
+                type: MESSAGE_TYPES.AI_RESPONSE_END,
+                payload: { id, response: described.message, ...(described.action && { action: described.action }) },
+            });
+            return;
+        }
+
+        const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+        this._sendMessageToWebview({
+            type: MESSAGE_TYPES.AI_RESPONSE_END,
+            payload: { id, response: `⚠️ Failed to contact the AI backend: ${errorMessage}` },
+        });
+    }
 
-            const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    /**
+     * Shows the explanation of a failed backend request outside the chat, with its follow-up as a button
+     * @param error What the request failed with
+     */
+    private async _showErrorNotification(error: unknown): Promise<void> {
+        const described = describeBackendError(error);
+        if (!described) {
+            vscode.window.showWarningMessage(`⚠️ Failed to contact the backend: ${error instanceof Error ? error.message : 'Unknown error'}`);
+            return;
+        }
+
+        const button = described.action === 'updateApiKey' ? 'Update API Key' : described.action === 'openSettings' ? 'Open Settings' : undefined;
+        const choice = await (button ? vscode.window.showWarningMessage(described.message, button) : vscode.window.showWarningMessage(described.message));
+        if (choice === 'Update API Key') {
+            await this.updateApiKey();
+        } else if (choice === 'Open Settings') {
+            await vscode.commands.executeCommand('workbench.action.openSettings', 'ai-chatbot');
+        }
+    }
+
+    /**
+     * Runs one tool the model asked for and shows it in the chat as a step
+     * @param id The AI message the step belongs to
+     * @param tools Tools for the current message
+     * @param call The call relayed by the backend
+     * @returns The step to send back to the backend
+     */
+    private async _runToolCall(id: string, tools: WorkspaceTools, call: ToolCall): Promise<ToolStep> {
+        this._sendMessageToWebview({
+            type: MESSAGE_TYPES.TOOL_STEP,
+            payload: { id, step: tools.describeCall(call) },
+        });
+
+        const { step, view } = await tools.run(call);
+        this._sendMessageToWebview({
+            type: MESSAGE_TYPES.TOOL_STEP,
+            payload: { id, step: view },
+        });
+        return step;
+    }
+
+    /**
+     * Shows a proposed file edit in the diff editor
+     * @param edit Edits proposed for one file
+     */
+    private async _previewEdit(edit: FileEdit): Promise<void> {
+        try {
+            const conflict = await this._editApplier.preview(edit);
+            if (conflict) {
+                vscode.window.showWarningMessage(`Cannot preview the edit to ${conflict.path}: ${conflict.reason}`);
+            }
+        } catch (error) {
+            console.error('[AI Chatbot] Failed to preview edit:', error);
+            vscode.window.showWarningMessage(`Cannot preview the edit to ${edit.path}: ${error instanceof Error ? error.message : String(error)}`);
+        }
+    }
+
+    /**
+     * Applies a message's proposed edits and reports the outcome to the webview
+     * @param requestId Webview token for the proposal being applied
+     * @param edits Edits proposed in the message
+     */
+    private async _applyEdits(requestId: string, edits: FileEdit[]): Promise<void> {
+        try {
+            const result = await this._editApplier.apply(edits);
+            this._sendMessageToWebview({
+                type: MESSAGE_TYPES.EDITS_RESULT,
+                payload: { requestId, ...result },
+            });
+        } catch (error) {
+            console.error('[AI Chatbot] Failed to apply edits:', error);
             this._sendMessageToWebview({
-                type: MESSAGE_TYPES.AI_RESPONSE,
-                payload: { response: `⚠️ Failed to contact the Gemini backend: ${errorMessage}` },
+                type: MESSAGE_TYPES.EDITS_RESULT,
+                payload: {
+                    requestId,
+                    applied: false,
+                    message: `⚠️ No changes were made: ${error instanceof Error ? error.message : String(error)}`,
+                    conflicts: [],
+                },
             });
         }
     }
@@ -270,11 +761,178 @@ export class ChatWebviewProvider implements vscode.Disposable {
      * @returns Array of workspace files with content
      */
     private _getWorkspaceFilesWithContent(): Promise<WorkspaceFile[]> {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
         return getWorkspaceFilesWithContent({
+            limit: configuration.get<number>('maxWorkspaceFiles', CONFIG.DEFAULT_MAX_WORKSPACE_FILES),
             fileFilter: (filename) => this._isTextFile(filename),
         });
     }
 
+    /**
+     * Replaces secrets in workspace files before they leave the machine
+     * @param files Workspace files read for this request
+     * @returns The files to upload and what was redacted (empty when redaction is disabled)
+     */
+    private _redactWorkspaceFiles(files: WorkspaceFile[]): { files: WorkspaceFile[]; summary: RedactionSummary } {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        if (!configuration.get<boolean>('redaction.enabled', true)) {
+            return { files, summary: { total: 0, files: [] } };
+        }
+
+        const result = redactFiles(files, {
+            excludeFiles: configuration.get<string[]>('redaction.excludeFiles', []),
+            patterns: compileCustomPatterns(configuration.get<(CustomPatternSetting | string)[]>('redaction.additionalPatterns', [])),
+        });
+        if (result.summary.total > 0) {
+            console.log(`[AI Chatbot] Redacted ${result.summary.total} secrets in ${result.summary.files.length} files`);
+        }
+        return result;
+    }
+
+    /**
+     * Replaces secrets in the code around the cursor like in workspace files
+     * @param filename The file being edited, matched against `redaction.excludeFiles`
+     * @param prefix The code before the cursor
+     * @param suffix The code after the cursor
+     * @returns The code on either side of the cursor, unchanged when redaction is disabled
+     */
+    private _redactAroundCursor(filename: string, prefix: string, suffix: string): { prefix: string; suffix: string } {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        if (!configuration.get<boolean>('redaction.enabled', true)) {
+            return { prefix, suffix };
+        }
+
+        const result = redactAroundCursor(filename, prefix, suffix, {
+            excludeFiles: configuration.get<string[]>('redaction.excludeFiles', []),
+            patterns: compileCustomPatterns(configuration.get<(CustomPatternSetting | string)[]>('redaction.additionalPatterns', [])),
+        });
+        if (result.findings.length > 0) {
+            console.log(`[AI Chatbot] Redacted ${result.findings.length} secrets around the cursor in ${filename}`);
+        }
+        return { prefix: result.prefix, suffix: result.suffix };
+    }
+
+    /**
+     * Creates the workspace tools for one user message from the `ai-chatbot.tools.*` settings
+     * @returns The tools, or undefined when they are disabled or no folder is open
+     */
+    private _createWorkspaceTools(): WorkspaceTools | undefined {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        const root = vscode.workspace.workspaceFolders?.[0]?.uri;
+        if (!root || !configuration.get<boolean>('tools.enabled', true)) {
+            return undefined;
+        }
+
+        // Files hidden from the explorer are kept from the model as well
+        const filesExclude = vscode.workspace.getConfiguration('files').get<Record<string, boolean>>('exclude', {});
+        return new WorkspaceTools({
+            root,
+            exclude: [
+                ...configuration.get<string[]>('tools.exclude', []),
+                ...Object.keys(filesExclude).filter(glob => filesExclude[glob] === true),
+            ],
+            budget: {
+                maxCalls: Math.max(1, configuration.get<number>('tools.maxCallsPerMessage', CONFIG.DEFAULT_MAX_TOOL_CALLS)),
+                maxOutputChars: CONFIG.TOOL_OUTPUT_BUDGET_CHARS,
+            },
+            redact: (filename, content) => this._redactWorkspaceFiles([{ filename, content }]).files[0].content,
+            isTextFile: (filename) => this._isTextFile(filename),
+        });
+    }
+
+    /**
+     * Reads the uncommitted git changes of the first workspace folder, with secrets redacted.
+     * Chat and edit requests include them while `ai-chatbot.git.includeInChat` is on.
+     * @param mode Mode of the request the changes are for
+     * @returns The changes, or undefined when they are not wanted or there is no local git repository
+     */
+    private async _collectGitChanges(mode: RequestMode): Promise<GitChanges | undefined> {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        const root = vscode.workspace.workspaceFolders?.[0]?.uri;
+        if (!root || root.scheme !== 'file' || (mode !== 'review' && !configuration.get<boolean>('git.includeInChat', true))) {
+            return undefined;
+        }
+
+        try {
+            return await collectGitChanges({
+                root: root.fsPath,
+                maxDiffChars: CONFIG.GIT_DIFF_BUDGET_CHARS,
+                maxCommits: CONFIG.GIT_RECENT_COMMITS,
+                redact: (text) => this._redactDiff(text),
+            });
+        } catch (error) {
+            console.warn('[AI Chatbot] Failed to read git changes:', error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Reads the errors and warnings of the active editor's file for a chat message that asks
+     * about problems, while `ai-chatbot.diagnostics.includeInChat` is on.
+     * @param prompt The message, without any command
+     * @returns The diagnostics, or undefined when none are wanted or reported
+     */
+    private async _collectActiveFileDiagnostics(prompt: string): Promise<EditorDiagnostic[] | undefined> {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        const root = vscode.workspace.workspaceFolders?.[0]?.uri;
+        // While the chat panel has focus there is no active text editor, so fall back to a visible one
+        const document = (vscode.window.activeTextEditor ?? vscode.window.visibleTextEditors?.[0])?.document;
+        if (!root || !document || !configuration.get<boolean>('diagnostics.includeInChat', true) || !asksAboutProblems(prompt)) {
+            return undefined;
+        }
+
+        const diagnostics = collectDiagnostics(document, root, (text) => this._redactLines(document.uri, text));
+        return diagnostics.length > 0 ? diagnostics : undefined;
+    }
+
+    /**
+     * Sends a chat message about a symbol of a document
+     * @param action Name of the CodeLens, for the message shown outside the workspace folder
+     * @param message Builds the message from the symbol's description, e.g. "function `total` in src/cart.ts:12-30"
+     */
+    private async _askAboutSymbol(uri: vscode.Uri, symbol: CodeSymbol, action: string, message: (target: string) => string): Promise<void> {
+        const root = vscode.workspace.workspaceFolders?.[0]?.uri;
+        const target = root && describeSymbol(symbol, uri, root);
+        if (!target) {
+            vscode.window.showInformationMessage(`${action} works on files inside the first workspace folder.`);
+            return;
+        }
+
+        this.createOrShow();
+        await this._handleUserMessage(message(target));
+    }
+
+    /**
+     * Converts a diagnostic of a document for the backend
+     * @returns The diagnostic, or undefined when the document is outside the first workspace folder
+     */
+    private async _toEditorDiagnostic(uri: vscode.Uri, diagnostic: vscode.Diagnostic): Promise<EditorDiagnostic | undefined> {
+        const root = vscode.workspace.workspaceFolders?.[0]?.uri;
+        if (!root) {
+            return undefined;
+        }
+        const document = await vscode.workspace.openTextDocument(uri);
+        return toEditorDiagnostic(diagnostic, document, root, (text) => this._redactLines(uri, text));
+    }
+
+    /**
+     * Replaces secrets in lines of a file like in the whole file
+     * @param uri The file the lines are from, matched against path-scoped redaction patterns
+     * @param text The lines
+     */
+    private _redactLines(uri: vscode.Uri, text: string): string {
+        return this._redactWorkspaceFiles([{ filename: vscode.workspace.asRelativePath(uri, false), content: text }]).files[0].content;
+    }
+
+    /**
+     * Replaces secrets in a diff like in workspace files
+     * @param diff Output of `git diff`
+     * @returns The diff with secrets redacted, unchanged when redaction is disabled
+     */
+    private _redactDiff(diff: string): string {
+        return this._redactWorkspaceFiles([{ filename: 'git.diff', content: diff }]).files[0].content;
+    }
+
     /**
      * Checks if a file is a text file based on extension
      * @param filename The filename to check
@@ -288,17 +946,106 @@ export class ChatWebviewProvider implements vscode.Disposable {
      * Calls the backend API with files and prompt
      * @param prompt The user's prompt
      * @param files Array of files with content
-     * @returns AI response from backend
+     * @param onChunk Optional callback for streamed text; streaming is used when provided and enabled
+     * @param onQueued Optional callback for each wait while the backend is busy (429)
+     * @param mode `edit` asks for proposed edits instead of a chat answer, `review` for review comments on `git`
+     * @param toolOptions Whether the model may call workspace tools, and the calls it made so far this turn
+     * @param git Uncommitted git changes of the workspace
+     * @param diagnostics Problems the editor reports that the message is about
+     * @returns AI response from backend, the code locations it cites and any proposed edits or review comments,
+     * or the tools the model asked for
      */
-    private async _callBackendAPI(prompt: string, files: WorkspaceFile[]): Promise<string> {
-        const backendUrl = vscode.workspace
-            .getConfiguration('ai-chatbot')
-            .get<string>('backendUrl', CONFIG.DEFAULT_BACKEND_URL);
+    private async _callBackendAPI(
+        prompt: string,
+        files: WorkspaceFile[],
+        onChunk?: (text: string) => void,
+        onQueued?: (retryAfterSeconds: number) => void,
+        mode: RequestMode = 'chat',
+        toolOptions?: { tools: boolean; toolSteps: ToolStep[] },
+        git?: GitChanges,
+        diagnostics?: EditorDiagnostic[],
+    ): Promise<BackendResponse> {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        const backendUrl = configuration.get<string>('backendUrl', CONFIG.DEFAULT_BACKEND_URL);
+        const model = configuration.get<string>('model', '');
+        const stream = configuration.get<boolean>('streamResponses', true);
+        const history = this._stateStore.getConversationHistory(
+            configuration.get<number>('historyMaxMessages', CONFIG.DEFAULT_HISTORY_MAX_MESSAGES),
+            prompt,
+        );
+        const currentFile = this._getCurrentFile();
+        const apiKey = await this._apiKeyStore.getApiKey();
 
-        console.log(`[AI Chatbot] Calling backend API at ${backendUrl}`);
-        console.log(`[AI Chatbot] Sending ${files.length} files with prompt: "${prompt}"`);
+        console.log(`[AI Chatbot] Calling backend API at ${backendUrl} (model: ${model || 'backend default'})`);
+        console.log(`[AI Chatbot] Sending ${files.length} files and ${history.length} history messages with prompt: "${prompt}"`);
 
-        return callBackendAPI(prompt, files, backendUrl);
+        const sessionId = configuration.get<boolean>('incrementalUploads', true)
+            ? await this._syncUploadSession(files, backendUrl, apiKey)
+            : undefined;
+
+        const onLargeRequest = (warning: string) => {
+            vscode.window.showWarningMessage(warning);
+        };
+        const send = (session: string | undefined) => {
+            const options = { model, history, currentFile, sessionId: session, apiKey, onQueued, onLargeRequest, mode, git, diagnostics, ...toolOptions };
+            return onChunk && stream
+                ? streamBackendAPI(prompt, files, backendUrl, onChunk, options)
+                : callBackendAPI(prompt, files, backendUrl, options);
+        };
+
+        try {
+            return await send(sessionId);
+        } catch (error) {
+            if (!sessionId || !isSessionGone(error)) {
+                throw error;
+            }
+            // The session expired between syncing and asking; this turn sends the files inline
+            console.warn('[AI Chatbot] Upload session expired, sending files with the request');
+            this._uploadSession.reset();
+            return send(undefined);
+        }
+    }
+
+    /**
+     * Asks the backend for the imports and importers of a file, through the upload session when enabled
+     * @param filename Workspace-relative path of the file
+     * @param files Workspace files the graph is built from
+     * @returns Dependencies of the file
+     */
+    private async _fetchDependencies(filename: string, files: WorkspaceFile[]): Promise<FileDependencies> {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        const backendUrl = configuration.get<string>('backendUrl', CONFIG.DEFAULT_BACKEND_URL);
+        const apiKey = await this._apiKeyStore.getApiKey();
+        const sessionId = configuration.get<boolean>('incrementalUploads', true)
+            ? await this._syncUploadSession(files, backendUrl, apiKey)
+            : undefined;
+
+        try {
+            return await fetchDependencies(backendUrl, filename, files, { sessionId, apiKey });
+        } catch (error) {
+            if (!sessionId || !isSessionGone(error)) {
+                throw error;
+            }
+            console.warn('[AI Chatbot] Upload session expired, sending files with the request');
+            this._uploadSession.reset();
+            return fetchDependencies(backendUrl, filename, files, { apiKey });
+        }
+    }
+
+    /**
+     * Brings the backend upload session up to date so only changed files are uploaded
+     * @param files Workspace files for this request
+     * @param backendUrl Backend base URL
+     * @param apiKey Backend API key, if one is stored
+     * @returns Session id, or undefined when the backend cannot use sessions (files are then sent inline)
+     */
+    private async _syncUploadSession(files: WorkspaceFile[], backendUrl: string, apiKey?: string): Promise<string | undefined> {
+        try {
+            return await this._uploadSession.sync(files, backendUrl, apiKey);
+        } catch (error) {
+            console.warn('[AI Chatbot] Incremental upload failed, sending files with the request:', error);
+            return undefined;
+        }
     }
 
     /**
@@ -367,20 +1114,51 @@ export class ChatWebviewProvider implements vscode.Disposable {
     }
 
     /**
-     * Saves chat history to storage
-     * @param messages Array of chat messages
+     * Loads the panel's conversation from the backend into the chat. The copy kept in
+     * globalState stays shown when the backend cannot be reached or has no messages.
+     */
+    private async _restoreConversation(): Promise<void> {
+        const version = this._historyVersion;
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        try {
+            const messages = await this._conversationSync.load(
+                configuration.get<string>('backendUrl', CONFIG.DEFAULT_BACKEND_URL),
+                await this._apiKeyStore.getApiKey(),
+            );
+            if (messages.length === 0 || version !== this._historyVersion) {
+                return;
+            }
+            await this._stateStore.saveChatHistory(messages);
+            console.log('[AI Chatbot] Loaded conversation from the backend:', messages.length, 'messages');
+            this._loadChatHistory();
+        } catch (error) {
+            console.warn('[AI Chatbot] Could not load the conversation from the backend; showing the local copy:', error);
+        }
+    }
+
+    /**
+     * Saves chat history to storage and to the panel's backend conversation
+     * @param messages Array of chat messages; empty after the chat was cleared
      */
     private _saveChatHistory(messages: ChatMessage[]): void {
+        this._historyVersion++;
         void this._stateStore.saveChatHistory(messages);
         console.log('[AI Chatbot] Saved chat history:', messages.length, 'messages');
+        void this._syncConversation(messages);
     }
 
-    /**
-     * Clears chat history from storage
-     */
-    private _clearChatHistory(): void {
-        void this._stateStore.clearChatHistory();
-        console.log('[AI Chatbot] Cleared chat history for new panel');
+    private async _syncConversation(messages: ChatMessage[]): Promise<void> {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        try {
+            await this._conversationSync.save(
+                messages,
+                configuration.get<string>('backendUrl', CONFIG.DEFAULT_BACKEND_URL),
+                await this._apiKeyStore.getApiKey(),
+            );
+        } catch (error) {
+            // The local copy is saved; the messages are sent with the next save that succeeds
+            console.warn('[AI Chatbot] Could not save the conversation to the backend:', error);
+        }
     }
 
     /**
@@ -510,6 +1288,32 @@ export class ChatWebviewProvider implements vscode.Disposable {
                     margin-bottom: 8px;
                 }
                 
+                .streaming-text {
+                    white-space: pre-wrap;
+                }
+                
+                .streaming-text::after {
+                    content: '▍';
+                    animation: ai-chatbot-blink 1s steps(1) infinite;
+                }
+                
+                @keyframes ai-chatbot-blink {
+                    50% {
+                        opacity: 0;
+                    }
+                }
+                
+                .message.queued .streaming-text {
+                    color: var(--vscode-descriptionForeground);
+                    font-style: italic;
+                }
+                
+                .redaction-notice {
+                    color: var(--vscode-descriptionForeground);
+                    font-size: 0.9em;
+                    margin-bottom: 6px;
+                }
+                
                 .line-content {
                     line-height: 1.4;
                     word-wrap: break-word;
@@ -553,6 +1357,18 @@ export class ChatWebviewProvider implements vscode.Disposable {
                     text-decoration: none;
                 }
                 
+                .file-link.citation-unverified,
+                .file-link.citation-invalid-line,
+                .file-link.citation-out-of-context {
+                    text-decoration-style: dotted;
+                }
+                
+                .file-link.citation-unknown-file {
+                    color: var(--vscode-errorForeground);
+                    text-decoration: line-through;
+                    cursor: default;
+                }
+                
                 .input-container {
                     display: flex;
                     gap: 10px;
@@ -631,7 +1447,100 @@ export class ChatWebviewProvider implements vscode.Disposable {
                     color: var(--vscode-textLink-activeForeground);
                     text-decoration: none;
                 }
-                
+
+                .message-action {
+                    margin-top: 6px;
+                    padding: 0;
+                }
+
+                .edit-proposal {
+                    margin-top: 8px;
+                    padding: 8px;
+                    border: 1px solid var(--vscode-input-border);
+                    border-radius: 4px;
+                }
+
+                .edit-proposal-title {
+                    font-weight: bold;
+                    margin-bottom: 4px;
+                }
+
+                .edit-proposal .edit-files {
+                    list-style: none;
+                    padding-left: 0;
+                }
+
+                .edit-file-path {
+                    font-family: var(--vscode-editor-font-family);
+                }
+
+                .edit-file-note,
+                .edit-result {
+                    color: var(--vscode-descriptionForeground);
+                    font-size: 0.9em;
+                }
+
+                .edit-file.edit-warning .edit-file-note,
+                .edit-conflict {
+                    color: var(--vscode-errorForeground);
+                }
+
+                .review-comments {
+                    margin-top: 8px;
+                    padding: 8px;
+                    border: 1px solid var(--vscode-input-border);
+                    border-radius: 4px;
+                }
+
+                .review-comments-title {
+                    font-weight: bold;
+                    margin-bottom: 4px;
+                }
+
+                .review-comment-list {
+                    list-style: none;
+                    padding-left: 0;
+                    margin: 0;
+                }
+
+                .review-comment {
+                    margin: 4px 0;
+                }
+
+                .review-comment-location {
+                    font-family: var(--vscode-editor-font-family);
+                }
+
+                .review-comment-note {
+                    color: var(--vscode-descriptionForeground);
+                    font-size: 0.9em;
+                }
+
+                .tool-steps {
+                    margin-bottom: 6px;
+                }
+
+                .tool-step summary {
+                    color: var(--vscode-descriptionForeground);
+                    font-size: 0.9em;
+                    cursor: pointer;
+                }
+
+                .tool-step.failed summary {
+                    color: var(--vscode-errorForeground);
+                }
+
+                .tool-step-detail {
+                    max-height: 200px;
+                    overflow: auto;
+                    margin: 4px 0;
+                    padding: 4px 8px;
+                    background-color: var(--vscode-textCodeBlock-background);
+                    font-family: var(--vscode-editor-font-family);
+                    font-size: 0.85em;
+                    white-space: pre-wrap;
+                }
+
                 ul, ol {
                     margin: 8px 0;
                     padding-left: 20px;
@@ -659,7 +1568,7 @@ export class ChatWebviewProvider implements vscode.Disposable {
             </div>
             
             <div class="input-container">
-                <input type="text" id="messageInput" class="message-input" placeholder="Ask me anything about your code..." />
+                <input type="text" id="messageInput" class="message-input" placeholder="Ask me anything about your code, or /edit to change it..." />
                 <button id="sendButton" class="send-button">Send</button>
             </div>
             
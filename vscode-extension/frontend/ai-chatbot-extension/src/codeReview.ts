@@ -0,0 +1,144 @@
+import { REDACTION_PLACEHOLDER } from './editProposals';
+import { CitationStatus, ReviewComment, ReviewSeverity } from './types';
+
+/** Chat input starting with this reviews the uncommitted changes, e.g. `/review check error handling`. */
+export const REVIEW_COMMAND = '/review';
+
+/** Sent when `/review` is used without saying what to look for. */
+export const DEFAULT_REVIEW_PROMPT = 'Review my uncommitted changes.';
+
+/**
+ * Splits a `/review` command off a chat message.
+ * @returns What to focus the review on, or undefined when the message is not a review request
+ */
+export function parseReviewCommand(text: string): string | undefined {
+    const trimmed = text.trim();
+    const command = trimmed.split(/\s/, 1)[0].toLowerCase();
+    if (command !== REVIEW_COMMAND) {
+        return undefined;
+    }
+    return trimmed.slice(REVIEW_COMMAND.length).trim() || DEFAULT_REVIEW_PROMPT;
+}
+
+/**
+ * Checks that a finding's suggestion still applies to the file: the cited lines
+ * must be unchanged since the review and free of redacted secrets.
+ * @param text Current text of the file, or undefined when it is gone
+ * @returns Why the suggestion cannot be applied, or undefined when it can
+ */
+export function checkSuggestion(comment: ReviewComment, text: string | undefined): string | undefined {
+    const { suggestion, startLine } = comment;
+    if (!suggestion || startLine === null) {
+        return 'The finding has no suggested change.';
+    }
+    if (text === undefined) {
+        return `${comment.path} no longer exists.`;
+    }
+    if (REDACTION_PLACEHOLDER.test(suggestion.original) || REDACTION_PLACEHOLDER.test(suggestion.replacement)) {
+        return 'The suggestion touches a secret that was redacted before upload; apply it by hand.';
+    }
+
+    const endLine = comment.endLine ?? startLine;
+    const lines = text.split(/\r?\n/);
+    if (endLine > lines.length || lines.slice(startLine - 1, endLine).join('\n') !== suggestion.original.replace(/\r/g, '')) {
+        return `${comment.path}:${startLine} changed since the review; apply the suggestion by hand.`;
+    }
+    return undefined;
+}
+
+/**
+ * Builds the chat prompt for a question about a review finding.
+ */
+export function buildFollowUpPrompt(comment: ReviewComment, question: string): string {
+    const lines = comment.startLine === null
+        ? comment.path
+        : `${comment.path}:${comment.startLine}${comment.endLine && comment.endLine !== comment.startLine ? `-${comment.endLine}` : ''}`;
+    return `About your review finding at ${lines} ([${comment.severity}] ${comment.message}): ${question.trim()}`;
+}
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_RULE_ID = 'ai-review';
+const SARIF_LEVELS: Record<ReviewSeverity, SarifLevel> = { error: 'error', warning: 'warning', info: 'note' };
+
+type SarifLevel = 'error' | 'warning' | 'note';
+
+interface SarifRegion {
+    startLine: number;
+    endLine: number;
+}
+
+interface SarifArtifactLocation {
+    uri: string;
+    uriBaseId: string;
+}
+
+interface SarifResult {
+    ruleId: string;
+    level: SarifLevel;
+    message: { text: string };
+    locations: Array<{ physicalLocation: { artifactLocation: SarifArtifactLocation; region?: SarifRegion } }>;
+    fixes?: Array<{
+        description: { text: string };
+        artifactChanges: Array<{
+            artifactLocation: SarifArtifactLocation;
+            replacements: Array<{ deletedRegion: SarifRegion; insertedContent: { text: string } }>;
+        }>;
+    }>;
+    properties: { changed: boolean; citationStatus: CitationStatus };
+}
+
+/** A SARIF 2.1.0 log with one run, as written by {@link toSarif}. */
+export interface SarifLog {
+    $schema: string;
+    version: '2.1.0';
+    runs: Array<{
+        tool: { driver: { name: string; version?: string; rules: Array<{ id: string; shortDescription: { text: string } }> } };
+        originalUriBaseIds?: Record<string, { uri: string }>;
+        results: SarifResult[];
+    }>;
+}
+
+/**
+ * Converts review findings to a SARIF 2.1.0 log for code scanning tools.
+ * Paths stay relative to the `SRCROOT` base; suggestions become fixes.
+ * @param options.rootUri URI of the workspace folder the paths are relative to
+ * @param options.toolVersion Version of the extension, recorded as the tool version
+ */
+export function toSarif(comments: ReviewComment[], options: { rootUri?: string; toolVersion?: string } = {}): SarifLog {
+    const results = comments.map((comment): SarifResult => {
+        const artifactLocation = { uri: comment.path, uriBaseId: 'SRCROOT' };
+        const region = comment.startLine === null ? undefined : { startLine: comment.startLine, endLine: comment.endLine ?? comment.startLine };
+        return {
+            ruleId: SARIF_RULE_ID,
+            level: SARIF_LEVELS[comment.severity],
+            message: { text: comment.message },
+            locations: [{ physicalLocation: { artifactLocation, ...(region && { region }) } }],
+            ...(comment.suggestion && region && {
+                fixes: [{
+                    description: { text: 'Suggested change' },
+                    artifactChanges: [{
+                        artifactLocation,
+                        replacements: [{ deletedRegion: region, insertedContent: { text: comment.suggestion.replacement } }],
+                    }],
+                }],
+            }),
+            properties: { changed: comment.changed, citationStatus: comment.status },
+        };
+    });
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'AI Chatbot Review',
+                    ...(options.toolVersion && { version: options.toolVersion }),
+                    rules: [{ id: SARIF_RULE_ID, shortDescription: { text: 'Finding of an AI code review' } }],
+                },
+            },
+            ...(options.rootUri && { originalUriBaseIds: { SRCROOT: { uri: options.rootUri.endsWith('/') ? options.rootUri : `${options.rootUri}/` } } }),
+            results,
+        }],
+    };
+}
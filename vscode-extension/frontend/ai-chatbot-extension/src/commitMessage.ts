@@ -0,0 +1,83 @@
+import * as os from 'os';
+import * as path from 'path';
+import * as vscode from 'vscode';
+
+// The backend accepts templates up to this length
+const MAX_TEMPLATE_CHARS = 10000;
+// Read when `commit.template` is not set
+const DEFAULT_TEMPLATE_FILE = '.gitmessage';
+
+/** The parts of a repository of the built-in Git extension's API (version 1) used here. */
+export interface GitRepository {
+    readonly rootUri: vscode.Uri;
+    readonly inputBox: { value: string };
+    /** `git diff --cached` with `cached`, `git diff` without. */
+    diff(cached?: boolean): Promise<string>;
+    /** Rejects when the key is not set. */
+    getConfig(key: string): Promise<string>;
+}
+
+/** The parts of the built-in Git extension's API (version 1) used here. */
+export interface GitAPI {
+    readonly repositories: readonly GitRepository[];
+    getRepository(uri: vscode.Uri): GitRepository | null;
+}
+
+interface GitExtension {
+    readonly enabled: boolean;
+    getAPI(version: 1): GitAPI;
+}
+
+/**
+ * Gets the API of the built-in Git extension, activating it when needed.
+ * @returns The API, or undefined when the extension is missing or disabled
+ */
+export async function getGitAPI(): Promise<GitAPI | undefined> {
+    const extension = vscode.extensions.getExtension<GitExtension>('vscode.git');
+    if (!extension) {
+        return undefined;
+    }
+    const git = extension.isActive ? extension.exports : await extension.activate();
+    return git.enabled ? git.getAPI(1) : undefined;
+}
+
+/**
+ * Picks the repository a command is for: the one whose Source Control view title it was run from,
+ * the only one, the one of the active editor's file, or else the first.
+ * @param sourceControl The Source Control view's provider, passed to `scm/title` commands
+ */
+export function findRepository(api: GitAPI, sourceControl?: { rootUri?: vscode.Uri }, activeFile?: vscode.Uri): GitRepository | undefined {
+    if (sourceControl?.rootUri) {
+        const repository = api.getRepository(sourceControl.rootUri);
+        if (repository) {
+            return repository;
+        }
+    }
+    if (api.repositories.length === 1) {
+        return api.repositories[0];
+    }
+    return (activeFile && api.getRepository(activeFile)) || api.repositories[0];
+}
+
+/**
+ * Reads the repository's commit message template: the file `commit.template` names (relative paths
+ * are taken from the repository root, `~/` from the home folder), else `.gitmessage` at the root.
+ * @returns The template, or undefined when there is none
+ */
+export async function readCommitTemplate(repository: GitRepository): Promise<string | undefined> {
+    const configured = (await repository.getConfig('commit.template').catch(() => '')).trim();
+    let file: vscode.Uri;
+    if (!configured) {
+        file = vscode.Uri.joinPath(repository.rootUri, DEFAULT_TEMPLATE_FILE);
+    } else if (configured.startsWith('~/')) {
+        file = vscode.Uri.file(path.join(os.homedir(), configured.slice(2)));
+    } else if (path.isAbsolute(configured)) {
+        file = vscode.Uri.file(configured);
+    } else {
+        file = vscode.Uri.joinPath(repository.rootUri, configured);
+    }
+
+    const template = await Promise.resolve(vscode.workspace.fs.readFile(file))
+        .then(bytes => Buffer.from(bytes).toString('utf8').trim(), () => '');
+    return template ? template.slice(0, MAX_TEMPLATE_CHARS) : undefined;
+}
@@ -4,12 +4,22 @@ export const CONFIG = {
     VIEW_TYPE: 'ai-chatbot.webview',
     PANEL_TITLE: 'AI Chatbot Assistant',
     CHAT_HISTORY_KEY: 'ai-chatbot.chatHistory',
+    CONVERSATION_KEY: 'ai-chatbot.conversation',
+    API_KEY_SECRET: 'ai-chatbot.backendApiKey',
     VIEW_COLUMN: vscode.ViewColumn.Two,
     FILE_OPEN_COLUMN: vscode.ViewColumn.One,
     LOAD_DELAY_MS: 100,
     SAVE_DELAY_MS: 100,
     WEBVIEW_REQUEST_DELAY_MS: 200,
     BACKEND_URL_SETTING: 'ai-chatbot.backendUrl',
+    DEFAULT_HISTORY_MAX_MESSAGES: 20,
+    DEFAULT_MAX_WORKSPACE_FILES: 500,
+    DEFAULT_MAX_TOOL_CALLS: 10,
+    TOOL_OUTPUT_BUDGET_CHARS: 60000,
+    GIT_DIFF_BUDGET_CHARS: 100000,
+    GIT_RECENT_COMMITS: 10,
+    // The backend accepts staged diffs up to this length and summarizes large ones per file
+    COMMIT_DIFF_MAX_CHARS: 200000,
     DEFAULT_BACKEND_URL: 'https://4xwuxxqbqj.execute-api.us-east-1.amazonaws.com/',//'http://localhost:3001',
 } as const;
 
@@ -0,0 +1,141 @@
+import * as vscode from 'vscode';
+import { appendConversationMessages, createConversation, getConversation } from './backendClient';
+import { CONFIG } from './config';
+import { BackendHttpError, ChatMessage, Conversation, ConversationMessage } from './types';
+
+/**
+ * The panel's backend conversation and how many of its messages the backend holds.
+ * Without an id the chat was cleared, and the next message starts a new conversation.
+ */
+interface SyncState {
+    id?: string;
+    synced: number;
+}
+
+/**
+ * Keeps the chat panel's messages in a backend conversation, so they survive new
+ * panels and reloads and other clients with the same API key see the same thread.
+ *
+ * The panel saves its whole message list after every message; only the messages the
+ * backend does not have yet are sent, and the first ones create the conversation.
+ * Saves and loads run one after another, so a message is never sent twice.
+ *
+ * Nothing is synced without an API key: the backend then keeps conversations for
+ * every anonymous client together, where anyone could list them. Only the
+ * conversation whose id this client stored is ever loaded.
+ */
+export class ConversationSync {
+    private _pending: Promise<unknown> = Promise.resolve();
+
+    constructor(
+        private readonly _storage: vscode.Memento,
+        private readonly _key: string = CONFIG.CONVERSATION_KEY,
+    ) {}
+
+    /**
+     * Loads the conversation the panel last saved to.
+     * @returns The messages, oldest first; none without an API key, before the first
+     *   save, after the chat was cleared, or when the conversation is gone
+     */
+    public load(backendUrl: string, apiKey?: string): Promise<ChatMessage[]> {
+        return this._queue(() => this._load(backendUrl, apiKey));
+    }
+
+    /**
+     * Sends the messages the backend does not have yet. An empty list means the chat was
+     * cleared; a list shorter than what was sent means it was cleared and continued.
+     * Both start a new conversation and leave the old one on the backend. Without an
+     * API key nothing is sent; the messages go out with the first save that has one.
+     * @param messages Every message of the panel, oldest first
+     */
+    public save(messages: ChatMessage[], backendUrl: string, apiKey?: string): Promise<void> {
+        return this._queue(() => this._save(messages, backendUrl, apiKey));
+    }
+
+    private _queue<T>(run: () => Promise<T>): Promise<T> {
+        const result = this._pending.then(run);
+        this._pending = result.catch(() => undefined);
+        return result;
+    }
+
+    private async _load(backendUrl: string, apiKey: string | undefined): Promise<ChatMessage[]> {
+        const state = this._storage.get<SyncState>(this._key);
+        if (!apiKey || !state?.id) {
+            return [];
+        }
+
+        let conversation: Conversation;
+        try {
+            conversation = await getConversation(backendUrl, state.id, apiKey);
+        } catch (error) {
+            if (!isConversationGone(error)) {
+                throw error;
+            }
+            // Deleted by another client, or kept by another backend or API key; the
+            // next save starts a new conversation with the local copy
+            console.warn(`[AI Chatbot] Conversation ${state.id} is gone; keeping the local copy`);
+            await this._storage.update(this._key, undefined);
+            return [];
+        }
+
+        await this._storage.update(this._key, { id: conversation.id, synced: conversation.messages.length });
+        return conversation.messages.map(fromConversationMessage);
+    }
+
+    private async _save(messages: ChatMessage[], backendUrl: string, apiKey: string | undefined): Promise<void> {
+        if (messages.length === 0) {
+            await this._storage.update(this._key, { synced: 0 });
+            return;
+        }
+        if (!apiKey) {
+            return;
+        }
+
+        const state = this._storage.get<SyncState>(this._key);
+        if (state?.id && messages.length >= state.synced) {
+            const added = messages.slice(state.synced).map(toConversationMessage);
+            if (added.length === 0) {
+                return;
+            }
+            try {
+                await appendConversationMessages(backendUrl, state.id, added, apiKey);
+                await this._storage.update(this._key, { id: state.id, synced: messages.length });
+                return;
+            } catch (error) {
+                if (!isConversationGone(error)) {
+                    throw error;
+                }
+                console.warn(`[AI Chatbot] Conversation ${state.id} is gone; saving the chat as a new one`);
+            }
+        }
+
+        const { id } = await createConversation(backendUrl, messages.map(toConversationMessage), apiKey);
+        await this._storage.update(this._key, { id, synced: messages.length });
+    }
+}
+
+export function toConversationMessage(message: ChatMessage): ConversationMessage {
+    const { type, content, ...metadata } = message;
+    return {
+        role: type === 'user' ? 'user' : 'assistant',
+        content,
+        ...(Object.keys(metadata).length > 0 && { metadata }),
+    };
+}
+
+export function fromConversationMessage(message: ConversationMessage): ChatMessage {
+    // Metadata comes from any client; only the fields the panel renders are read
+    const { citations, edits, comments, toolSteps } = (message.metadata ?? {}) as Partial<ChatMessage>;
+    return {
+        type: message.role === 'user' ? 'user' : 'ai',
+        content: message.content,
+        ...(Array.isArray(citations) && { citations }),
+        ...(Array.isArray(edits) && { edits }),
+        ...(Array.isArray(comments) && { comments }),
+        ...(Array.isArray(toolSteps) && { toolSteps }),
+    };
+}
+
+function isConversationGone(error: unknown): boolean {
+    return error instanceof BackendHttpError && error.status === 404;
+}
@@ -0,0 +1,90 @@
+import { Citation, DependencyLink, FileDependencies, UnresolvedImport } from './types';
+
+/** A chat message listing a file's dependencies, with a citation for every file and import line. */
+export interface DependencyReport {
+    text: string;
+    citations: Citation[];
+}
+
+/**
+ * Builds message text line by line, recording where each link lands so the
+ * webview can render it like the citations in an answer.
+ */
+class ReportWriter {
+    private _text = '';
+    private readonly _citations: Citation[] = [];
+
+    write(text: string): this {
+        this._text += text;
+        return this;
+    }
+
+    /** Appends a link that opens `path`, at `line` when given. */
+    link(label: string, path: string, line: number | null = null): this {
+        this._citations.push({
+            label,
+            path,
+            startLine: line,
+            endLine: line,
+            column: null,
+            snippet: null,
+            status: 'verified',
+            offset: this._text.length,
+            length: label.length,
+        });
+        return this.write(label);
+    }
+
+    line(): this {
+        return this.write('\n');
+    }
+
+    build(): DependencyReport {
+        return { text: this._text.replace(/\n+$/, ''), citations: this._citations };
+    }
+}
+
+/**
+ * Describes the imports and importers of a file for the chat. Imported files link to the
+ * file, import statements link to their line in `dependencies.filename`, and importers
+ * link to the line that imports it.
+ */
+export function describeDependencies(dependencies: FileDependencies): DependencyReport {
+    const { filename, imports, importedBy, external, unresolved } = dependencies;
+    const report = new ReportWriter().write('Dependencies of ').link(filename, filename).line();
+
+    const section = (title: string, count: number) => report.line().write(`${title} (${count}):`).line();
+    const importLine = (line: number) => report.write(' (').link(`line ${line}`, filename, line).write(')');
+
+    section('Imports', imports.length);
+    imports.forEach((link: DependencyLink) => {
+        report.write('- ').link(link.filename, link.filename).write(` as "${link.specifier}"`);
+        importLine(link.line).line();
+    });
+    if (imports.length === 0) {
+        report.write('No workspace files.').line();
+    }
+
+    section('Imported by', importedBy.length);
+    importedBy.forEach((link: DependencyLink) => {
+        report.write('- ').link(`${link.filename}:${link.line}`, link.filename, link.line).write(` as "${link.specifier}"`).line();
+    });
+    if (importedBy.length === 0) {
+        report.write('No workspace files.').line();
+    }
+
+    const listImports = (title: string, entries: UnresolvedImport[]) => {
+        if (entries.length === 0) {
+            return;
+        }
+        section(title, entries.length);
+        entries.forEach(entry => {
+            report.write(`- ${entry.specifier}`);
+            importLine(entry.line).line();
+        });
+    };
+    listImports('Packages', external);
+    listImports('Not found in the workspace', unresolved);
+
+    return report.build();
+}
@@ -0,0 +1,128 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { DiagnosticSeverity, EditorDiagnostic } from './types';
+
+// Limits of the backend's `diagnostics` field
+const MAX_DIAGNOSTICS = 50;
+const MAX_RELATED_LOCATIONS = 10;
+const MAX_MESSAGE_CHARS = 10000;
+// Lines sent above and below a problem
+const SNIPPET_CONTEXT_LINES = 3;
+
+// Indexed by vscode.DiagnosticSeverity (Error = 0 ... Hint = 3)
+const SEVERITY_NAMES: DiagnosticSeverity[] = ['error', 'warning', 'information', 'hint'];
+
+// Chat messages about problems in the code, e.g. "why doesn't this compile?"
+const PROBLEM_QUESTION = /\b(errors?|warnings?|diagnostics?|problems?|lint(?:er|ing)?|compil(?:e|es|er|ing|ation)|squiggl\w*|exceptions?|fail(?:s|ing|ed)?|broken|what'?s wrong)\b/i;
+
+/** Command run by the "Fix with AI" code action, with the document URI and the diagnostic. */
+export const FIX_DIAGNOSTIC_COMMAND = 'ai-chatbot.fixDiagnostic';
+/** Command run by the "Explain this error" code action, with the document URI and the diagnostic. */
+export const EXPLAIN_DIAGNOSTIC_COMMAND = 'ai-chatbot.explainDiagnostic';
+
+/**
+ * Tells whether a chat message asks about errors, so the active file's diagnostics are worth sending.
+ */
+export function asksAboutProblems(text: string): boolean {
+    return PROBLEM_QUESTION.test(text);
+}
+
+/**
+ * Converts a diagnostic for the backend: 1-based lines, its code as text, related
+ * locations relative to the workspace folder and the lines around it.
+ * @param root Workspace folder the paths are relative to
+ * @param redact Replaces secrets in the lines sent
+ * @returns The diagnostic, or undefined when the document is outside the workspace folder
+ */
+export function toEditorDiagnostic(
+    diagnostic: vscode.Diagnostic,
+    document: vscode.TextDocument,
+    root: vscode.Uri,
+    redact: (text: string) => string,
+): EditorDiagnostic | undefined {
+    const file = relativePath(root, document.uri);
+    if (!file) {
+        return undefined;
+    }
+
+    const { start, end } = diagnostic.range;
+    const first = Math.max(0, start.line - SNIPPET_CONTEXT_LINES);
+    const last = Math.min(document.lineCount - 1, end.line + SNIPPET_CONTEXT_LINES);
+    const lines: string[] = [];
+    for (let line = first; line <= last; line++) {
+        lines.push(document.lineAt(line).text);
+    }
+
+    const code = typeof diagnostic.code === 'object' ? diagnostic.code.value : diagnostic.code;
+    const related = (diagnostic.relatedInformation ?? []).slice(0, MAX_RELATED_LOCATIONS).map(info => ({
+        path: relativePath(root, info.location.uri) ?? info.location.uri.fsPath,
+        line: info.location.range.start.line + 1,
+        message: info.message.slice(0, MAX_MESSAGE_CHARS),
+    }));
+
+    return {
+        path: file,
+        startLine: start.line + 1,
+        endLine: Math.max(start.line, end.line) + 1,
+        severity: SEVERITY_NAMES[diagnostic.severity] ?? 'information',
+        message: diagnostic.message.slice(0, MAX_MESSAGE_CHARS),
+        source: diagnostic.source ?? null,
+        code: code === undefined ? null : String(code),
+        ...(related.length > 0 && { related }),
+        snippet: { startLine: first + 1, text: redact(lines.join('\n')).slice(0, MAX_MESSAGE_CHARS) },
+    };
+}
+
+/**
+ * Collects the errors and warnings VS Code reports for a document, errors first.
+ * @param root Workspace folder the paths are relative to
+ * @param redact Replaces secrets in the lines sent
+ * @returns Up to the number of diagnostics the backend accepts; none for documents outside the folder
+ */
+export function collectDiagnostics(document: vscode.TextDocument, root: vscode.Uri, redact: (text: string) => string): EditorDiagnostic[] {
+    return vscode.languages.getDiagnostics(document.uri)
+        .filter(diagnostic => diagnostic.severity <= vscode.DiagnosticSeverity.Warning)
+        .sort((a, b) => a.severity - b.severity || a.range.start.line - b.range.start.line)
+        .slice(0, MAX_DIAGNOSTICS)
+        .map(diagnostic => toEditorDiagnostic(diagnostic, document, root, redact))
+        .filter((diagnostic): diagnostic is EditorDiagnostic => diagnostic !== undefined);
+}
+
+/**
+ * Offers "Fix with AI" and "Explain this error" on the diagnostics under the cursor or selection.
+ */
+export class DiagnosticsActionProvider implements vscode.CodeActionProvider {
+    public static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+    public provideCodeActions(
+        document: vscode.TextDocument,
+        _range: vscode.Range | vscode.Selection,
+        context: vscode.CodeActionContext,
+    ): vscode.CodeAction[] {
+        // With several problems in range, each action names the one it is for
+        const named = context.diagnostics.length > 1;
+        return context.diagnostics.flatMap((diagnostic) => {
+            const suffix = named ? `: ${shorten(diagnostic.message)}` : '';
+            const fix = new vscode.CodeAction(`Fix with AI${suffix}`, vscode.CodeActionKind.QuickFix);
+            fix.command = { command: FIX_DIAGNOSTIC_COMMAND, title: fix.title, arguments: [document.uri, diagnostic] };
+            fix.diagnostics = [diagnostic];
+            const explain = new vscode.CodeAction(`Explain this error${suffix}`, vscode.CodeActionKind.QuickFix);
+            explain.command = { command: EXPLAIN_DIAGNOSTIC_COMMAND, title: explain.title, arguments: [document.uri, diagnostic] };
+            explain.diagnostics = [diagnostic];
+            return [fix, explain];
+        });
+    }
+}
+
+function relativePath(root: vscode.Uri, uri: vscode.Uri): string | undefined {
+    if (uri.scheme !== root.scheme) {
+        return undefined;
+    }
+    const relative = path.posix.relative(root.path, uri.path);
+    return relative && !relative.startsWith('..') && !path.posix.isAbsolute(relative) ? relative : undefined;
+}
+
+function shorten(message: string): string {
+    const line = message.split('\n')[0];
+    return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+}
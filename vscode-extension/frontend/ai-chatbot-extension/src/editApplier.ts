@@ -0,0 +1,147 @@
+import * as vscode from 'vscode';
+import { EditConflict, FileEdit } from './types';
+import { describeEditResult, EditPlan, planEdits, planFileEdit } from './editProposals';
+import { toWorkspacePath } from './workspaceTools';
+
+const PROPOSED_SCHEME = 'ai-chatbot-proposed';
+
+export interface ApplyEditsResult {
+    applied: boolean;
+    message: string;
+    conflicts: EditConflict[];
+}
+
+/**
+ * Shows proposed edits in VS Code's diff editor and applies them.
+ *
+ * Edits are checked against the live text of each file (including unsaved
+ * changes) right before they are shown or applied. A set of edits is applied
+ * as one `WorkspaceEdit`, so a single Undo reverts all files, and only when
+ * every file still matches; otherwise nothing is changed and the conflicts
+ * are returned. Paths come from the model, so edits to files outside the
+ * first workspace folder are never shown or applied.
+ */
+export class EditApplier implements vscode.Disposable {
+    private readonly _proposed = new Map<string, string>();
+    private readonly _onDidChange = new vscode.EventEmitter<vscode.Uri>();
+    private readonly _registration: vscode.Disposable;
+
+    constructor() {
+        this._registration = vscode.workspace.registerTextDocumentContentProvider(PROPOSED_SCHEME, {
+            onDidChange: this._onDidChange.event,
+            provideTextDocumentContent: (uri) => this._proposed.get(uri.toString()) ?? '',
+        });
+    }
+
+    /**
+     * Opens a diff of a file against its proposed content.
+     * @returns The reason the edit cannot be shown, or undefined once the diff is open
+     */
+    public async preview(edit: FileEdit): Promise<EditConflict | undefined> {
+        const target = this._resolve(edit.path);
+        if (!target) {
+            return this._unresolved(edit.path);
+        }
+
+        const document = await this._openDocument(target);
+        const { plan, conflict } = planFileEdit(edit, document?.getText());
+        if (!plan) {
+            return conflict;
+        }
+
+        const proposedUri = this._proposedUri(edit.path, 'proposed');
+        this._setProposed(proposedUri, plan.updated);
+        let originalUri = target;
+        if (!document) {
+            originalUri = this._proposedUri(edit.path, 'original');
+            this._setProposed(originalUri, '');
+        }
+
+        await vscode.commands.executeCommand('vscode.diff', originalUri, proposedUri, `${edit.path} (proposed edit)`);
+        return undefined;
+    }
+
+    /**
+     * Applies a set of edits as one undoable `WorkspaceEdit`, or nothing when any file conflicts.
+     */
+    public async apply(edits: FileEdit[]): Promise<ApplyEditsResult> {
+        const unresolved = edits.filter(edit => !this._resolve(edit.path));
+        if (unresolved.length > 0) {
+            const refused: EditPlan = { files: [], conflicts: unresolved.map(edit => this._unresolved(edit.path)) };
+            return { applied: false, message: describeEditResult(refused, false), conflicts: refused.conflicts };
+        }
+
+        const documents = new Map<string, vscode.TextDocument | undefined>();
+        const plan = await planEdits(edits, async (path) => {
+            const target = this._resolve(path);
+            const document = target ? await this._openDocument(target) : undefined;
+            documents.set(path, document);
+            return document?.getText();
+        });
+
+        if (plan.conflicts.length > 0) {
+            return { applied: false, message: describeEditResult(plan, false), conflicts: plan.conflicts };
+        }
+
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        for (const file of plan.files) {
+            const target = this._resolve(file.path);
+            if (!target) {
+                continue;
+            }
+
+            const document = documents.get(file.path);
+            if (!document) {
+                workspaceEdit.createFile(target, { ignoreIfExists: false });
+                workspaceEdit.insert(target, new vscode.Position(0, 0), file.updated);
+                continue;
+            }
+            for (const replacement of file.replacements) {
+                workspaceEdit.replace(
+                    target,
+                    new vscode.Range(document.positionAt(replacement.start), document.positionAt(replacement.end)),
+                    replacement.text,
+                );
+            }
+        }
+
+        const applied = await vscode.workspace.applyEdit(workspaceEdit);
+        return { applied, message: describeEditResult(plan, applied), conflicts: [] };
+    }
+
+    public dispose(): void {
+        this._registration.dispose();
+        this._onDidChange.dispose();
+        this._proposed.clear();
+    }
+
+    private _resolve(path: string): vscode.Uri | undefined {
+        const folder = vscode.workspace.workspaceFolders?.[0];
+        const relative = toWorkspacePath(path);
+        return folder && relative ? vscode.Uri.joinPath(folder.uri, relative) : undefined;
+    }
+
+    private _unresolved(path: string): EditConflict {
+        return vscode.workspace.workspaceFolders?.[0]
+            ? { path, reason: 'The file is outside the workspace folder.' }
+            : { path, reason: 'No workspace folder is open.' };
+    }
+
+    private async _openDocument(uri: vscode.Uri): Promise<vscode.TextDocument | undefined> {
+        try {
+            return await vscode.workspace.openTextDocument(uri);
+        } catch {
+            // The file does not exist (yet)
+            return undefined;
+        }
+    }
+
+    private _proposedUri(path: string, side: 'original' | 'proposed'): vscode.Uri {
+        return vscode.Uri.from({ scheme: PROPOSED_SCHEME, path: `/${path}`, query: side });
+    }
+
+    private _setProposed(uri: vscode.Uri, text: string): void {
+        this._proposed.set(uri.toString(), text);
+        this._onDidChange.fire(uri);
+    }
+}
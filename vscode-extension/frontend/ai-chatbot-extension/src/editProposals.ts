@@ -0,0 +1,157 @@
+import { EditConflict, FileEdit, RequestMode } from './types';
+
+/** Chat input starting with this asks for edits instead of an answer, e.g. `/edit add input validation`. */
+export const EDIT_COMMAND = '/edit';
+
+/** A secret redacted before upload, e.g. `[REDACTED:aws-access-key]`. */
+export const REDACTION_PLACEHOLDER = /\[REDACTED:[a-z0-9-]+\]/i;
+
+/** A replacement of the text between two offsets of a file. */
+export interface TextReplacement {
+    start: number;
+    end: number;
+    text: string;
+}
+
+/** A file edit checked against the file's current text. */
+export interface PlannedFileEdit {
+    path: string;
+    create: boolean;
+    /** Current text; empty for new files. */
+    original: string;
+    /** Text after applying every replacement. */
+    updated: string;
+    /** Non-overlapping replacements, in file order. */
+    replacements: TextReplacement[];
+}
+
+export interface EditPlan {
+    files: PlannedFileEdit[];
+    conflicts: EditConflict[];
+}
+
+/**
+ * Splits an `/edit` command off a chat message.
+ * @returns The prompt to send and the request mode
+ */
+export function parseEditCommand(text: string): {prompt: string; mode: RequestMode} {
+    const trimmed = text.trim();
+    const command = trimmed.split(/\s/, 1)[0].toLowerCase();
+    if (command !== EDIT_COMMAND) {
+        return { prompt: text, mode: 'chat' };
+    }
+    return { prompt: trimmed.slice(EDIT_COMMAND.length).trim(), mode: 'edit' };
+}
+
+function indexesOf(text: string, search: string): number[] {
+    const indexes: number[] = [];
+    for (let index = text.indexOf(search); index !== -1; index = text.indexOf(search, index + 1)) {
+        indexes.push(index);
+    }
+    return indexes;
+}
+
+function lineOf(text: string, index: number): number {
+    return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Checks one file's edits against its current text. Every hunk has to find its
+ * `search` text exactly once (or, when it repeats, at the line the backend
+ * located it), so a file that changed since the request is reported instead of
+ * being patched in the wrong place.
+ * @param edit Edits proposed for the file
+ * @param current Current text, undefined when the file does not exist
+ */
+export function planFileEdit(edit: FileEdit, current: string | undefined): {plan?: PlannedFileEdit; conflict?: EditConflict} {
+    const conflict = (reason: string) => ({ conflict: { path: edit.path, reason } });
+
+    if (edit.hunks.length === 0) {
+        return conflict('No changes were proposed for this file.');
+    }
+    if (edit.hunks.some(hunk => REDACTION_PLACEHOLDER.test(hunk.search) || REDACTION_PLACEHOLDER.test(hunk.replace))) {
+        return conflict('The edit touches a secret that was redacted before upload; apply it by hand.');
+    }
+
+    if (edit.create) {
+        if (current !== undefined && current !== '') {
+            return conflict('The file already exists.');
+        }
+        const text = edit.hunks.map(hunk => hunk.replace).join('');
+        return { plan: { path: edit.path, create: current === undefined, original: '', updated: text, replacements: [{ start: 0, end: 0, text }] } };
+    }
+
+    if (current === undefined) {
+        return conflict('The file no longer exists.');
+    }
+
+    const replacements: TextReplacement[] = [];
+    for (const hunk of edit.hunks) {
+        if (hunk.search === '') {
+            return conflict('The file already exists.');
+        }
+
+        const indexes = indexesOf(current, hunk.search);
+        const index = indexes.length === 1
+            ? indexes[0]
+            : indexes.find(candidate => hunk.startLine !== null && lineOf(current, candidate) === hunk.startLine);
+        if (index === undefined) {
+            const where = hunk.startLine ? ` near line ${hunk.startLine}` : '';
+            return conflict(indexes.length > 1
+                ? `The code to replace${where} now appears more than once.`
+                : `The file changed: the code to replace${where} is no longer there.`);
+        }
+
+        const replacement = { start: index, end: index + hunk.search.length, text: hunk.replace };
+        if (replacements.some(other => replacement.start < other.end && other.start < replacement.end)) {
+            return conflict(`Two proposed changes overlap${hunk.startLine ? ` at line ${hunk.startLine}` : ''}.`);
+        }
+        replacements.push(replacement);
+    }
+
+    replacements.sort((a, b) => a.start - b.start);
+    let updated = '';
+    let position = 0;
+    for (const replacement of replacements) {
+        updated += current.slice(position, replacement.start) + replacement.text;
+        position = replacement.end;
+    }
+    updated += current.slice(position);
+
+    return { plan: { path: edit.path, create: false, original: current, updated, replacements } };
+}
+
+/**
+ * Checks a set of proposed edits against the current workspace.
+ * @param edits Proposed edits, one entry per file
+ * @param readCurrent Current text of a workspace file, undefined when it does not exist
+ */
+export async function planEdits(
+    edits: FileEdit[],
+    readCurrent: (path: string) => Promise<string | undefined>,
+): Promise<EditPlan> {
+    const plan: EditPlan = { files: [], conflicts: [] };
+
+    for (const edit of edits) {
+        const result = planFileEdit(edit, await readCurrent(edit.path));
+        if (result.plan) {
+            plan.files.push(result.plan);
+        } else if (result.conflict) {
+            plan.conflicts.push(result.conflict);
+        }
+    }
+
+    return plan;
+}
+
+/** One-line summary of an apply attempt, for the chat. */
+export function describeEditResult(plan: EditPlan, applied: boolean): string {
+    if (!applied) {
+        const count = plan.conflicts.length;
+        return count > 0
+            ? `⚠️ No changes were made: ${count} ${count === 1 ? 'file has' : 'files have'} edits that no longer apply.`
+            : '⚠️ No changes were made: VS Code rejected the edit.';
+    }
+    const count = plan.files.length;
+    return `✅ Applied edits to ${count} ${count === 1 ? 'file' : 'files'}. Use Undo to revert them.`;
+}
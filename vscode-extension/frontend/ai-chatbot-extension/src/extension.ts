@@ -1,6 +1,16 @@
 import * as vscode from 'vscode';
 import { ChatViewProvider } from './chatViewProvider';
 import { ChatWebviewProvider } from './chatWebviewProvider';
+import { DiagnosticsActionProvider, EXPLAIN_DIAGNOSTIC_COMMAND, FIX_DIAGNOSTIC_COMMAND } from './diagnostics';
+import { InlineCompletions, TOGGLE_INLINE_COMPLETIONS_COMMAND } from './inlineCompletions';
+import {
+    DOCUMENT_SYMBOL_COMMAND,
+    EXPLAIN_SYMBOL_COMMAND,
+    GENERATE_TESTS_COMMAND,
+    CodeSymbol,
+    SymbolCodeLensProvider,
+    SymbolHoverProvider,
+} from './symbolActions';
 
 export function activate(context: vscode.ExtensionContext) {
     console.log('AI Chatbot Extension is now active!');
@@ -30,6 +40,90 @@ export function activate(context: vscode.ExtensionContext) {
         }
     });
 
+    const setApiKeyCommand = vscode.commands.registerCommand('ai-chatbot.setApiKey', () => {
+        return chatWebviewProvider.updateApiKey();
+    });
+
+    const showDependenciesCommand = vscode.commands.registerCommand('ai-chatbot.showDependencies', () => {
+        return chatWebviewProvider.showDependencies();
+    });
+
+    const reviewChangesCommand = vscode.commands.registerCommand('ai-chatbot.reviewChanges', () => {
+        return chatWebviewProvider.reviewChanges();
+    });
+
+    const generateCommitMessageCommand = vscode.commands.registerCommand(
+        'ai-chatbot.generateCommitMessage',
+        (sourceControl?: vscode.SourceControl) => chatWebviewProvider.generateCommitMessage(sourceControl),
+    );
+
+    const applyReviewSuggestionCommand = vscode.commands.registerCommand(
+        'ai-chatbot.applyReviewSuggestion',
+        (thread: vscode.CommentThread) => chatWebviewProvider.applyReviewSuggestion(thread),
+    );
+
+    const dismissReviewFindingCommand = vscode.commands.registerCommand(
+        'ai-chatbot.dismissReviewFinding',
+        (thread: vscode.CommentThread) => chatWebviewProvider.dismissReviewFinding(thread),
+    );
+
+    const askReviewFollowUpCommand = vscode.commands.registerCommand(
+        'ai-chatbot.askReviewFollowUp',
+        (reply: vscode.CommentReply) => chatWebviewProvider.askReviewFollowUp(reply),
+    );
+
+    const exportReviewSarifCommand = vscode.commands.registerCommand('ai-chatbot.exportReviewSarif', () => {
+        return chatWebviewProvider.exportReviewSarif();
+    });
+
+    const diagnosticsActions = vscode.languages.registerCodeActionsProvider(
+        { scheme: 'file' },
+        new DiagnosticsActionProvider(),
+        { providedCodeActionKinds: DiagnosticsActionProvider.providedCodeActionKinds },
+    );
+
+    const fixDiagnosticCommand = vscode.commands.registerCommand(
+        FIX_DIAGNOSTIC_COMMAND,
+        (uri: vscode.Uri, diagnostic: vscode.Diagnostic) => chatWebviewProvider.fixDiagnostic(uri, diagnostic),
+    );
+
+    const explainDiagnosticCommand = vscode.commands.registerCommand(
+        EXPLAIN_DIAGNOSTIC_COMMAND,
+        (uri: vscode.Uri, diagnostic: vscode.Diagnostic) => chatWebviewProvider.explainDiagnostic(uri, diagnostic),
+    );
+
+    const inlineCompletions = new InlineCompletions((request, signal) => chatWebviewProvider.completeInline(request, signal));
+    const inlineCompletionsProvider = vscode.languages.registerInlineCompletionItemProvider(
+        [{ scheme: 'file' }, { scheme: 'untitled' }],
+        inlineCompletions,
+    );
+
+    const toggleInlineCompletionsCommand = vscode.commands.registerCommand(TOGGLE_INLINE_COMPLETIONS_COMMAND, () => {
+        return inlineCompletions.toggle();
+    });
+
+    const symbolCodeLenses = new SymbolCodeLensProvider();
+    const symbolCodeLensProvider = vscode.languages.registerCodeLensProvider({ scheme: 'file' }, symbolCodeLenses);
+    const symbolHoverProvider = vscode.languages.registerHoverProvider(
+        { scheme: 'file' },
+        new SymbolHoverProvider((request, signal) => chatWebviewProvider.explainInHover(request, signal)),
+    );
+
+    const explainSymbolCommand = vscode.commands.registerCommand(
+        EXPLAIN_SYMBOL_COMMAND,
+        (uri: vscode.Uri, symbol: CodeSymbol) => chatWebviewProvider.explainSymbol(uri, symbol),
+    );
+
+    const generateTestsCommand = vscode.commands.registerCommand(
+        GENERATE_TESTS_COMMAND,
+        (uri: vscode.Uri, symbol: CodeSymbol) => chatWebviewProvider.generateTests(uri, symbol),
+    );
+
+    const documentSymbolCommand = vscode.commands.registerCommand(
+        DOCUMENT_SYMBOL_COMMAND,
+        (uri: vscode.Uri, symbol: CodeSymbol) => chatWebviewProvider.documentSymbol(uri, symbol),
+    );
+
     // Register webview panel serializer for persistence
     const webviewSerializer = vscode.window.registerWebviewPanelSerializer('ai-chatbot.webview', {
         deserializeWebviewPanel(webviewPanel: vscode.WebviewPanel, state: unknown): Thenable<void> {
@@ -43,9 +137,29 @@ export function activate(context: vscode.ExtensionContext) {
         chatView,
         openChatCommand,
         openChatInEditorCommand,
+        setApiKeyCommand,
+        showDependenciesCommand,
+        reviewChangesCommand,
+        generateCommitMessageCommand,
+        applyReviewSuggestionCommand,
+        dismissReviewFindingCommand,
+        askReviewFollowUpCommand,
+        exportReviewSarifCommand,
+        diagnosticsActions,
+        fixDiagnosticCommand,
+        explainDiagnosticCommand,
+        inlineCompletionsProvider,
+        toggleInlineCompletionsCommand,
+        symbolCodeLensProvider,
+        symbolHoverProvider,
+        explainSymbolCommand,
+        generateTestsCommand,
+        documentSymbolCommand,
         webviewSerializer,
         chatViewProvider,
         chatWebviewProvider,
+        inlineCompletions,
+        symbolCodeLenses,
     );
 }
 
@@ -11,6 +11,7 @@ const TEXT_EXTENSIONS = [
 export interface WorkspaceContentOptions {
     limit?: number;
     maxFileSize?: number;
+    maxTotalSize?: number;
     fileFilter?: (filename: string) => boolean;
 }
 
@@ -43,8 +44,11 @@ export async function getWorkspaceFiles(limit = 100): Promise<string[]> {
 export async function getWorkspaceFilesWithContent(options: WorkspaceContentOptions = {}): Promise<WorkspaceFile[]> {
     const limit = options.limit ?? 50;
     const maxFileSize = options.maxFileSize ?? 50000;
+    // Stay below the backend's 10 MB request body limit
+    const maxTotalSize = options.maxTotalSize ?? 8000000;
     const fileFilter = options.fileFilter ?? isTextFile;
     const files: WorkspaceFile[] = [];
+    let totalSize = 0;
 
     if (!vscode.workspace.workspaceFolders) {
         return files;
@@ -53,9 +57,11 @@ export async function getWorkspaceFilesWithContent(options: WorkspaceContentOpti
     for (const folder of vscode.workspace.workspaceFolders) {
         const pattern = new vscode.RelativePattern(folder, '**/*');
         const fileUris = await vscode.workspace.findFiles(pattern, '**/node_modules/**');
-        const limitedUris = fileUris.slice(0, limit);
+        for (const uri of fileUris) {
+            if (files.length >= limit) {
+                return files;
+            }
 
-        for (const uri of limitedUris) {
             const relativePath = vscode.workspace.asRelativePath(uri);
 
             if (!fileFilter(relativePath)) {
@@ -64,9 +70,10 @@ export async function getWorkspaceFilesWithContent(options: WorkspaceContentOpti
 
             try {
                 const fileContent = await vscode.workspace.fs.readFile(uri);
-                if (fileContent.length > maxFileSize) {
+                if (fileContent.length > maxFileSize || totalSize + fileContent.length > maxTotalSize) {
                     continue;
                 }
+                totalSize += fileContent.length;
 
                 files.push({
                     filename: relativePath,
@@ -82,7 +89,8 @@ export async function getWorkspaceFilesWithContent(options: WorkspaceContentOpti
 }
 
 export function getActiveEditorPath(): string | undefined {
-    const editor = vscode.window.activeTextEditor;
+    // While the chat panel has focus there is no active text editor, so fall back to a visible one
+    const editor = vscode.window.activeTextEditor ?? vscode.window.visibleTextEditors?.[0];
     return editor ? vscode.workspace.asRelativePath(editor.document.uri) : undefined;
 }
 
@@ -0,0 +1,134 @@
+import { execFile } from 'child_process';
+import { GitChanges, GitCommit, GitFileStatus } from './types';
+
+const GIT_TIMEOUT_MS = 10000;
+// The backend accepts at most this many changed paths
+const MAX_STATUS_ENTRIES = 1000;
+const MAX_GIT_OUTPUT_BYTES = 20 * 1024 * 1024;
+// Lines of unchanged code around each change, so a reviewer sees what the change sits in
+const DIFF_CONTEXT_LINES = 5;
+const DIFF_ARGS = ['diff', '--no-color', '--no-ext-diff', '--relative', `-U${DIFF_CONTEXT_LINES}`];
+
+/** Runs `git` with the given arguments in `cwd` and resolves with its standard output. */
+export type GitRunner = (args: string[], cwd: string) => Promise<string>;
+
+export interface GitContextOptions {
+    /** Workspace folder; paths are reported relative to it, even when the repository root is above it. */
+    root: string;
+    /** Characters kept of each diff; longer diffs are cut at a line break. */
+    maxDiffChars: number;
+    /** Commit subjects to include, newest first. */
+    maxCommits: number;
+    /** Replaces secrets in diff text before it leaves the machine. */
+    redact: (text: string) => string;
+    run?: GitRunner;
+}
+
+/** Runs the local `git` executable. */
+export const runGit: GitRunner = (args, cwd) => new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: MAX_GIT_OUTPUT_BYTES, timeout: GIT_TIMEOUT_MS, windowsHide: true }, (error, stdout) => {
+        if (error) {
+            reject(error);
+        } else {
+            resolve(stdout);
+        }
+    });
+});
+
+/**
+ * Reads the branch and changed paths from `git status --porcelain=v1 -z --branch`.
+ * @param prefix Path of the workspace folder inside the repository (`git rev-parse --show-prefix`);
+ *   paths outside it are left out and the rest are made relative to it
+ */
+export function parseGitStatus(output: string, prefix = ''): {branch: string | null; status: GitFileStatus[]} {
+    const entries = output.split('\0');
+    let branch: string | null = null;
+    const status: GitFileStatus[] = [];
+    const relative = (path: string) => (path.startsWith(prefix) ? path.slice(prefix.length) : undefined);
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (entry.startsWith('## ')) {
+            const header = entry.slice(3);
+            if (header.startsWith('No commits yet on ')) {
+                branch = header.slice('No commits yet on '.length);
+            } else if (!header.startsWith('HEAD (no branch)')) {
+                branch = header.split('...')[0].split(' ')[0];
+            }
+            continue;
+        }
+        if (entry.length < 4) {
+            continue;
+        }
+
+        const code = entry.slice(0, 2);
+        const path = relative(entry.slice(3));
+        // Renames and copies are followed by the original path as its own entry
+        const originalPath = code[0] === 'R' || code[0] === 'C' ? relative(entries[++i] || '') : undefined;
+        if (path) {
+            status.push({ path, ...(originalPath && { originalPath }), code });
+        }
+    }
+
+    return { branch, status };
+}
+
+/** Reads the commits of `git log --format=%h%x00%s`. */
+export function parseGitLog(output: string): GitCommit[] {
+    return output.split('\n').filter(line => line.includes('\0')).map(line => {
+        const [hash, subject] = line.split('\0');
+        return { hash, subject };
+    });
+}
+
+/**
+ * Cuts a diff to `maxChars`, at the end of the last whole line that fits.
+ * @returns The diff and whether it was cut
+ */
+export function truncateDiff(diff: string, maxChars: number): {diff: string; truncated: boolean} {
+    if (diff.length <= maxChars) {
+        return { diff, truncated: false };
+    }
+    const cut = diff.lastIndexOf('\n', maxChars - 1);
+    return { diff: cut > 0 ? diff.slice(0, cut + 1) : '', truncated: true };
+}
+
+/** True when there is anything to review: a changed path or a non-empty diff. */
+export function hasGitChanges(git: GitChanges): boolean {
+    return git.status.length > 0 || git.stagedDiff.length > 0 || git.unstagedDiff.length > 0;
+}
+
+/**
+ * Collects the uncommitted changes of the workspace folder with the local `git`:
+ * branch, `git status`, the staged and unstaged diffs and recent commit subjects.
+ * @returns The changes, or undefined when the folder is not in a git repository or git is not installed
+ */
+export async function collectGitChanges(options: GitContextOptions): Promise<GitChanges | undefined> {
+    const run = options.run ?? runGit;
+    let prefix: string;
+    try {
+        prefix = (await run(['rev-parse', '--show-prefix'], options.root)).trim();
+    } catch {
+        return undefined;
+    }
+
+    const [statusOutput, staged, unstaged, log] = await Promise.all([
+        run(['status', '--porcelain=v1', '-z', '--branch', '--untracked-files=all'], options.root),
+        run([...DIFF_ARGS, '--cached'], options.root),
+        run(DIFF_ARGS, options.root),
+        // A repository without commits has no log
+        run(['log', '-n', String(options.maxCommits), '--format=%h%x00%s'], options.root).catch(() => ''),
+    ]);
+
+    const { branch, status } = parseGitStatus(statusOutput, prefix);
+    const stagedDiff = truncateDiff(options.redact(staged), options.maxDiffChars);
+    const unstagedDiff = truncateDiff(options.redact(unstaged), options.maxDiffChars);
+    return {
+        branch,
+        status: status.slice(0, MAX_STATUS_ENTRIES),
+        stagedDiff: stagedDiff.diff,
+        unstagedDiff: unstagedDiff.diff,
+        recentCommits: options.maxCommits > 0 ? parseGitLog(log) : [],
+        ...((stagedDiff.truncated || unstagedDiff.truncated) && { truncated: true }),
+    };
+}
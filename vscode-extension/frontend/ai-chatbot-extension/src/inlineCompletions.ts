@@ -0,0 +1,306 @@
+import * as crypto from 'crypto';
+import * as vscode from 'vscode';
+import { LruCache } from './lruCache';
+import { BackendHttpError, CompletionRequest, WorkspaceFile } from './types';
+import { createIgnoreMatcher, IgnoreMatcher } from './workspaceTools';
+
+/** Command run from the status bar item: turns completions on or off for the active editor's language. */
+export const TOGGLE_INLINE_COMPLETIONS_COMMAND = 'ai-chatbot.toggleInlineCompletions';
+
+// How much of the document around the cursor is sent; the backend keeps the lines nearest the cursor
+const MAX_PREFIX_CHARS = 10000;
+const MAX_SUFFIX_CHARS = 4000;
+// Open documents sent as neighbors, and how much of each
+const MAX_NEIGHBOR_FILES = 3;
+const MAX_NEIGHBOR_CHARS = 4000;
+const DEFAULT_DEBOUNCE_MS = 250;
+// Completions kept, so returning to a spot shows its completion at once
+const MAX_CACHED_COMPLETIONS = 100;
+
+type CompletionState = 'idle' | 'busy' | 'error';
+
+/**
+ * Hashes everything a completion depends on, so identical requests are answered from the cache.
+ */
+export function completionKey(request: CompletionRequest): string {
+    const neighbors = (request.files ?? []).map(file => `${file.filename}\0${file.content}`);
+    return crypto.createHash('sha256')
+        .update([request.language ?? '', request.path ?? '', request.prefix, request.suffix, ...neighbors].join('\0'))
+        .digest('hex');
+}
+
+/**
+ * Tells whether completions are on for a language: `inlineCompletions.enabled` must be on (it is
+ * off by default), and `inlineCompletions.languages` decides per language id, with `*` for the others.
+ */
+export function isEnabledFor(configuration: vscode.WorkspaceConfiguration, languageId: string): boolean {
+    if (!configuration.get<boolean>('inlineCompletions.enabled', false)) {
+        return false;
+    }
+    const languages = configuration.get<Record<string, boolean>>('inlineCompletions.languages', {});
+    return languages[languageId] ?? languages['*'] ?? true;
+}
+
+/**
+ * Shows completions from the backend's `/complete` endpoint as ghost text.
+ *
+ * Requests wait until typing pauses for `inlineCompletions.debounceMs`; a newer
+ * request cancels an older one that is still waiting or running. Answers are
+ * cached by request, so moving back to a position shows its completion again
+ * without a request. A status bar item shows whether completions are on for
+ * the active editor's language and toggles them. Files the workspace tools may
+ * not read (`.gitignore`, `tools.exclude`, `files.exclude`) are neither
+ * completed nor sent as neighbors.
+ */
+export class InlineCompletions implements vscode.InlineCompletionItemProvider, vscode.Disposable {
+    private readonly _cache = new LruCache<string>(MAX_CACHED_COMPLETIONS);
+    private readonly _statusBarItem: vscode.StatusBarItem;
+    private readonly _disposables: vscode.Disposable[] = [];
+    // Ignore matchers by workspace folder, rebuilt when the excludes or a .gitignore change
+    private readonly _ignore = new Map<string, Promise<IgnoreMatcher>>();
+    private _pending: AbortController | undefined;
+    private _state: CompletionState = 'idle';
+    private _lastError: string | undefined;
+
+    /**
+     * @param _complete Sends a request to the backend; rejects when the signal aborts it
+     */
+    constructor(private readonly _complete: (request: CompletionRequest, signal: AbortSignal) => Promise<string>) {
+        this._statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+        this._statusBarItem.command = TOGGLE_INLINE_COMPLETIONS_COMMAND;
+        this._disposables.push(
+            this._statusBarItem,
+            vscode.window.onDidChangeActiveTextEditor(() => this._updateStatus()),
+            vscode.workspace.onDidChangeConfiguration((event) => {
+                if (event.affectsConfiguration('ai-chatbot.inlineCompletions')) {
+                    this._updateStatus();
+                }
+                if (event.affectsConfiguration('ai-chatbot.tools.exclude') || event.affectsConfiguration('files.exclude')) {
+                    this._ignore.clear();
+                }
+            }),
+            vscode.workspace.onDidSaveTextDocument((document) => {
+                if (document.uri.path.endsWith('/.gitignore')) {
+                    this._ignore.clear();
+                }
+            }),
+        );
+        this._updateStatus();
+    }
+
+    public async provideInlineCompletionItems(
+        document: vscode.TextDocument,
+        position: vscode.Position,
+        _context: vscode.InlineCompletionContext,
+        token: vscode.CancellationToken,
+    ): Promise<vscode.InlineCompletionItem[] | undefined> {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        if (!isEnabledFor(configuration, document.languageId)) {
+            return undefined;
+        }
+
+        const request = await this._buildRequest(document, position);
+        if (!request || (!request.prefix.trim() && !request.suffix.trim())) {
+            return undefined;
+        }
+        const key = completionKey(request);
+        const cached = this._cache.get(key);
+        if (cached !== undefined) {
+            return this._toItems(cached, position);
+        }
+
+        // Only the latest request is worth answering
+        this._pending?.abort();
+        const controller = new AbortController();
+        this._pending = controller;
+        const cancellation = token.onCancellationRequested(() => controller.abort());
+
+        try {
+            await delay(configuration.get<number>('inlineCompletions.debounceMs', DEFAULT_DEBOUNCE_MS), controller.signal);
+            if (controller.signal.aborted) {
+                return undefined;
+            }
+
+            this._setState('busy');
+            const completion = await this._complete(request, controller.signal);
+            this._cache.set(key, completion);
+            this._setState('idle');
+            return controller.signal.aborted ? undefined : this._toItems(completion, position);
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                this._reportError(error);
+            }
+            return undefined;
+        } finally {
+            cancellation.dispose();
+            if (this._pending === controller) {
+                this._pending = undefined;
+                if (this._state === 'busy') {
+                    this._setState('idle');
+                }
+            }
+        }
+    }
+
+    /**
+     * Turns completions on or off for the active editor's language, or everywhere without an editor.
+     * Turning a language on while completions are off everywhere turns them on for that language only.
+     */
+    public async toggle(): Promise<void> {
+        const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+        const enabled = configuration.get<boolean>('inlineCompletions.enabled', false);
+        const language = vscode.window.activeTextEditor?.document.languageId;
+        if (!language) {
+            await configuration.update('inlineCompletions.enabled', !enabled, vscode.ConfigurationTarget.Global);
+            return;
+        }
+
+        const languages = { ...configuration.get<Record<string, boolean>>('inlineCompletions.languages', {}) };
+        if (!enabled) {
+            // Languages that were on stay off until turned on one by one
+            languages['*'] = false;
+            languages[language] = true;
+            await configuration.update('inlineCompletions.languages', languages, vscode.ConfigurationTarget.Global);
+            await configuration.update('inlineCompletions.enabled', true, vscode.ConfigurationTarget.Global);
+            return;
+        }
+        languages[language] = !isEnabledFor(configuration, language);
+        await configuration.update('inlineCompletions.languages', languages, vscode.ConfigurationTarget.Global);
+    }
+
+    public dispose(): void {
+        this._pending?.abort();
+        this._disposables.forEach(disposable => disposable.dispose());
+    }
+
+    /**
+     * Collects the code around the cursor and the open documents to send as neighbors:
+     * visible editors first, then other open documents of the same language.
+     * @returns The request, or undefined when the document is ignored
+     */
+    private async _buildRequest(document: vscode.TextDocument, position: vscode.Position): Promise<CompletionRequest | undefined> {
+        const path = workspacePath(document.uri);
+        if (path && await this._isIgnored(document.uri, path)) {
+            return undefined;
+        }
+        const offset = document.offsetAt(position);
+        const text = document.getText();
+
+        const candidates = [
+            ...vscode.window.visibleTextEditors.map(editor => editor.document),
+            ...vscode.workspace.textDocuments.filter(other => other.languageId === document.languageId),
+        ];
+        const files: WorkspaceFile[] = [];
+        for (const candidate of candidates) {
+            const filename = workspacePath(candidate.uri);
+            if (files.length >= MAX_NEIGHBOR_FILES) {
+                break;
+            }
+            if (!filename || filename === path || files.some(file => file.filename === filename) || await this._isIgnored(candidate.uri, filename)) {
+                continue;
+            }
+            files.push({ filename, content: candidate.getText().slice(0, MAX_NEIGHBOR_CHARS) });
+        }
+
+        return {
+            prefix: text.slice(Math.max(0, offset - MAX_PREFIX_CHARS), offset),
+            suffix: text.slice(offset, offset + MAX_SUFFIX_CHARS),
+            language: document.languageId,
+            ...(path && { path }),
+            ...(files.length > 0 && { files }),
+        };
+    }
+
+    /**
+     * Tells whether the workspace tools would refuse to read a file, so its code stays on the machine
+     * @param uri The file
+     * @param relative Its workspace-relative path
+     */
+    private async _isIgnored(uri: vscode.Uri, relative: string): Promise<boolean> {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!folder) {
+            return false;
+        }
+
+        const key = folder.uri.toString();
+        let matcher = this._ignore.get(key);
+        if (!matcher) {
+            const configuration = vscode.workspace.getConfiguration('ai-chatbot');
+            const filesExclude = vscode.workspace.getConfiguration('files').get<Record<string, boolean>>('exclude', {});
+            const exclude = [
+                ...configuration.get<string[]>('tools.exclude', []),
+                ...Object.keys(filesExclude).filter(glob => filesExclude[glob] === true),
+            ];
+            matcher = Promise.resolve(vscode.workspace.fs.readFile(vscode.Uri.joinPath(folder.uri, '.gitignore')))
+                .then(bytes => Buffer.from(bytes).toString('utf8'), () => '')
+                .then(gitignore => createIgnoreMatcher(gitignore, exclude));
+            this._ignore.set(key, matcher);
+        }
+        return (await matcher)(relative);
+    }
+
+    private _toItems(completion: string, position: vscode.Position): vscode.InlineCompletionItem[] {
+        return completion ? [new vscode.InlineCompletionItem(completion, new vscode.Range(position, position))] : [];
+    }
+
+    private _reportError(error: unknown): void {
+        // A busy or rate-limited backend is expected while typing fast; the next pause tries again
+        if (error instanceof BackendHttpError && error.status === 429) {
+            this._setState('idle');
+            return;
+        }
+        console.warn('[AI Chatbot] Inline completion failed:', error);
+        this._lastError = error instanceof Error ? error.message : String(error);
+        this._setState('error');
+    }
+
+    private _setState(state: CompletionState): void {
+        this._state = state;
+        if (state !== 'error') {
+            this._lastError = undefined;
+        }
+        this._updateStatus();
+    }
+
+    private _updateStatus(): void {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            this._statusBarItem.hide();
+            return;
+        }
+
+        const language = editor.document.languageId;
+        const enabled = isEnabledFor(vscode.workspace.getConfiguration('ai-chatbot'), language);
+        const icon = !enabled ? '$(circle-slash)' : this._state === 'busy' ? '$(loading~spin)' : this._state === 'error' ? '$(warning)' : '$(sparkle)';
+        this._statusBarItem.text = `${icon} AI`;
+        this._statusBarItem.tooltip = [
+            `AI completions are ${enabled ? 'on' : 'off'} for ${language}. Click to turn them ${enabled ? 'off' : 'on'}.`,
+            ...(enabled && this._lastError ? [`The last completion failed: ${this._lastError}`] : []),
+        ].join('\n');
+        this._statusBarItem.show();
+    }
+}
+
+/**
+ * Workspace-relative path of a document, or undefined for untitled documents and files outside the workspace.
+ */
+function workspacePath(uri: vscode.Uri): string | undefined {
+    if (uri.scheme !== 'file') {
+        return undefined;
+    }
+    const relative = vscode.workspace.asRelativePath(uri, false);
+    return relative !== uri.fsPath ? relative.replace(/\\/g, '/') : undefined;
+}
+
+/**
+ * Waits for a number of milliseconds, or until the signal aborts.
+ */
+function delay(ms: number, signal: AbortSignal): Promise<void> {
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
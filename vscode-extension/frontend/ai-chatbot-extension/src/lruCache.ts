@@ -0,0 +1,31 @@
+/**
+ * Least recently used cache: holds at most a number of entries and drops the
+ * one read or written longest ago when full.
+ */
+export class LruCache<V> {
+    private readonly _entries = new Map<string, V>();
+
+    constructor(private readonly _maxEntries: number) {}
+
+    public get size(): number {
+        return this._entries.size;
+    }
+
+    public get(key: string): V | undefined {
+        const value = this._entries.get(key);
+        if (value !== undefined) {
+            // Map order is insertion order, so re-inserting marks the entry as recently used
+            this._entries.delete(key);
+            this._entries.set(key, value);
+        }
+        return value;
+    }
+
+    public set(key: string, value: V): void {
+        this._entries.delete(key);
+        this._entries.set(key, value);
+        if (this._entries.size > this._maxEntries) {
+            this._entries.delete(this._entries.keys().next().value as string);
+        }
+    }
+}
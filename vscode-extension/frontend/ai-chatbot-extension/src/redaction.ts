@@ -0,0 +1,278 @@
+import type { FileRedactions, RedactionFinding, RedactionSummary, WorkspaceFile } from './types';
+
+/**
+ * A secret format. `group` names the capture group holding the secret when only
+ * part of the match is sensitive (e.g. the password in a connection string).
+ */
+export interface SecretPattern {
+    type: string;
+    pattern: RegExp;
+    group?: number;
+}
+
+/** A user-defined pattern from the `ai-chatbot.redaction.additionalPatterns` setting. */
+export interface CustomPatternSetting {
+    name?: string;
+    pattern: string;
+}
+
+export interface RedactionOptions {
+    /** Extra patterns applied after the built-in ones. */
+    patterns?: SecretPattern[];
+    /** Glob patterns of workspace-relative paths that are sent unchanged. */
+    excludeFiles?: string[];
+}
+
+// Keep in sync with backend/services/redaction.js, which applies the same
+// formats as a safety net for clients that do not redact. Both are tested against
+// backend/tests/fixtures/redaction-cases.json.
+export const BUILTIN_PATTERNS: readonly SecretPattern[] = [
+    { type: 'private-key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g },
+    { type: 'aws-access-key', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16}\b/g },
+    { type: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { type: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+    { type: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+    { type: 'stripe-key', pattern: /\b[rs]k_live_[A-Za-z0-9]{16,}\b/g },
+    { type: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+    { type: 'openai-key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g },
+    { type: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+    { type: 'connection-string-password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:([^\s/@]{3,})@/gi, group: 1 },
+];
+
+// `NAME = "value"`, `NAME: value`, `name := 'value'`; the value is redacted when the
+// name says it is a secret, or when the value itself looks random
+const ASSIGNMENT = /([A-Za-z_][A-Za-z0-9_.-]*)(["']?\s*(?::=|=|:)\s*)(["'`]?)([^\s"'`,;(){}[\]<>]{8,})\3(?=[\s,;)}\]]|$)/g;
+const SECRET_NAME = /(secret|passw(or)?d|pwd|token|api[_-]?key|apikey|private[_-]?key|access[_-]?key|credential|auth)/i;
+const NON_SECRET_NAME = /(hash|checksum|integrity|digest|sha\d*|commit|uuid|guid)$/i;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// URLs without a query string, absolute or relative paths and `file.ext:line`
+// references are long and varied but not secrets. Only `/`-separated word
+// segments count, so base64 keys that happen to contain `/` are still checked.
+const URL_OR_PATH = /^(?:[a-z][a-z0-9+.-]*:\/\/[^?#]+|(?:~|\.{1,2})?(?:\/[\w@.~-]+)+\/?|(?:[\w@.~-]+\/)*[\w@.~-]+\.[a-z][a-z0-9]{0,9}(?::\d+(?:-\d+)?)?)$/i;
+const MIN_ENTROPY_LENGTH = 20;
+const MIN_ENTROPY_BITS = 3.5;
+
+/** Shannon entropy of a string in bits per character. */
+export function shannonEntropy(value: string): number {
+    const counts = new Map<string, number>();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) ?? 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Classifies an assigned value: a secret by name, a random-looking string, or neither.
+ * Unquoted values without digits under a secret name are usually code
+ * (`password = user.password`, `token: TokenType`), so they are left alone.
+ */
+function classifyAssignment(name: string, value: string, quoted: boolean): string | undefined {
+    if (value.startsWith('[REDACTED:') || value.startsWith('$')) {
+        return undefined;
+    }
+    if (SECRET_NAME.test(name) && !NON_SECRET_NAME.test(name) && (quoted || /[0-9]/.test(value))) {
+        return 'secret-assignment';
+    }
+    if (
+        value.length >= MIN_ENTROPY_LENGTH
+        && /[0-9]/.test(value) && /[A-Za-z]/.test(value)
+        && !NON_SECRET_NAME.test(name) && !UUID.test(value) && !/^sha\d+-/.test(value)
+        && !URL_OR_PATH.test(value) && shannonEntropy(value) >= MIN_ENTROPY_BITS
+    ) {
+        return 'high-entropy-string';
+    }
+    return undefined;
+}
+
+// Multi-line secrets keep their line breaks so line numbers in the file stay valid
+function placeholder(type: string, secret = ''): string {
+    return `[REDACTED:${type}]${'\n'.repeat(secret.split('\n').length - 1)}`;
+}
+
+function lineAt(text: string, index: number): number {
+    let line = 1;
+    for (let i = 0; i < index; i++) {
+        if (text.charCodeAt(i) === 10) {
+            line++;
+        }
+    }
+    return line;
+}
+
+// Where a cursor moves when `length` characters at `offset` are replaced by
+// `replacement` ones; a cursor inside the replaced text moves after the replacement
+function shiftCursor(shifted: number, cursor: number, offset: number, length: number, replacement: number): number {
+    if (offset + length <= cursor) {
+        return shifted + replacement - length;
+    }
+    return offset < cursor ? shifted - cursor + offset + replacement : shifted;
+}
+
+function redactWithCursor(
+    content: string,
+    patterns: readonly SecretPattern[],
+    cursor: number,
+): { content: string; findings: RedactionFinding[]; cursor: number } {
+    const findings: RedactionFinding[] = [];
+    let text = content;
+
+    for (const { type, pattern, group } of patterns) {
+        let shifted = cursor;
+        text = text.replace(new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`), (...args) => {
+            const match: string = args[0];
+            const offset: number = args[args.length - (typeof args[args.length - 1] === 'object' ? 3 : 2)];
+            const secret: string | undefined = group ? args[group] : match;
+            if (!secret) {
+                return match;
+            }
+            findings.push({ type, line: lineAt(text, offset) });
+            const replaced = group ? match.replace(secret, placeholder(type, secret)) : placeholder(type, secret);
+            shifted = shiftCursor(shifted, cursor, offset, match.length, replaced.length);
+            return replaced;
+        });
+        cursor = shifted;
+    }
+
+    let shifted = cursor;
+    text = text.replace(ASSIGNMENT, (match, name: string, separator: string, quote: string, value: string, offset: number) => {
+        const type = classifyAssignment(name, value, quote !== '');
+        if (!type) {
+            return match;
+        }
+        findings.push({ type, line: lineAt(text, offset) });
+        const replaced = `${name}${separator}${quote}${placeholder(type)}${quote}`;
+        shifted = shiftCursor(shifted, cursor, offset, match.length, replaced.length);
+        return replaced;
+    });
+
+    findings.sort((a, b) => a.line - b.line);
+    return { content: text, findings, cursor: shifted };
+}
+
+/**
+ * Replaces secrets in `content` with `[REDACTED:<type>]` placeholders.
+ * @returns The redacted content and what was replaced, by type and 1-based line
+ */
+export function redactSecrets(
+    content: string,
+    patterns: readonly SecretPattern[] = BUILTIN_PATTERNS,
+): { content: string; findings: RedactionFinding[] } {
+    const { content: redacted, findings } = redactWithCursor(content, patterns, 0);
+    return { content: redacted, findings };
+}
+
+
+/**
+ * Converts a glob (`**`, `*`, `?`) over forward-slash paths to a regular expression.
+ */
+export function globToRegExp(glob: string): RegExp {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compiles the user's additional patterns, skipping (and logging) invalid ones.
+ */
+export function compileCustomPatterns(settings: readonly (CustomPatternSetting | string)[]): SecretPattern[] {
+    const patterns: SecretPattern[] = [];
+    for (const setting of settings) {
+        const { name, pattern } = typeof setting === 'string' ? { name: undefined, pattern: setting } : setting;
+        try {
+            patterns.push({ type: name || 'custom', pattern: new RegExp(pattern, 'g') });
+        } catch (error) {
+            console.warn(`[AI Chatbot] Ignoring invalid redaction pattern "${pattern}":`, error);
+        }
+    }
+    return patterns;
+}
+
+/**
+ * Redacts every file that is not excluded.
+ * @returns The files to upload and a summary of what was redacted in which file
+ */
+export function redactFiles(
+    files: WorkspaceFile[],
+    options: RedactionOptions = {},
+): { files: WorkspaceFile[]; summary: RedactionSummary } {
+    const patterns = [...BUILTIN_PATTERNS, ...(options.patterns ?? [])];
+    const excluded = (options.excludeFiles ?? []).map(globToRegExp);
+    const redacted: FileRedactions[] = [];
+
+    const result = files.map(file => {
+        if (excluded.some(glob => glob.test(file.filename.replace(/\\/g, '/')))) {
+            return file;
+        }
+
+        const { content, findings } = redactSecrets(file.content, patterns);
+        if (findings.length === 0) {
+            return file;
+        }
+        redacted.push({ filename: file.filename, findings });
+        return { ...file, content };
+    });
+
+    return {
+        files: result,
+        summary: { total: redacted.reduce((sum, file) => sum + file.findings.length, 0), files: redacted },
+    };
+}
+
+/**
+ * Redacts the code around a cursor unless the file is excluded. The code before
+ * and after the cursor is redacted as one text, so a secret the cursor splits is
+ * still found; its placeholder ends up before the cursor.
+ * @returns The code on either side of the cursor and what was replaced
+ */
+export function redactAroundCursor(
+    filename: string,
+    prefix: string,
+    suffix: string,
+    options: RedactionOptions = {},
+): { prefix: string; suffix: string; findings: RedactionFinding[] } {
+    const excluded = (options.excludeFiles ?? []).map(globToRegExp);
+    if (excluded.some(glob => glob.test(filename.replace(/\\/g, '/')))) {
+        return { prefix, suffix, findings: [] };
+    }
+
+    const patterns = [...BUILTIN_PATTERNS, ...(options.patterns ?? [])];
+    const { content, findings, cursor } = redactWithCursor(prefix + suffix, patterns, prefix.length);
+    return { prefix: content.slice(0, cursor), suffix: content.slice(cursor), findings };
+}
+
+/**
+ * One-line summary for the chat, e.g.
+ * "🔒 Redacted 2 secrets in 1 file before sending: .env (aws-access-key, jwt)".
+ */
+export function describeRedactions(summary: RedactionSummary, maxFiles = 5): string {
+    const listed = summary.files.slice(0, maxFiles).map(file => {
+        const types = Array.from(new Set(file.findings.map(finding => finding.type)));
+        return `${file.filename} (${types.join(', ')})`;
+    });
+    if (summary.files.length > maxFiles) {
+        listed.push(`and ${summary.files.length - maxFiles} more`);
+    }
+
+    const secrets = summary.total === 1 ? 'secret' : 'secrets';
+    const files = summary.files.length === 1 ? 'file' : 'files';
+    return `🔒 Redacted ${summary.total} ${secrets} in ${summary.files.length} ${files} before sending: ${listed.join(', ')}`;
+}
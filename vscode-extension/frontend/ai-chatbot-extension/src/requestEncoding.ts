@@ -0,0 +1,93 @@
+import * as http from 'http';
+import * as zlib from 'zlib';
+
+// The backend's body limit, applied to the decoded body (`express.json({ limit: '10mb' })`)
+export const MAX_DECODED_BODY_BYTES = 10 * 1024 * 1024;
+
+// The Lambda deployment takes events up to 6 MB; a compressed body travels base64-encoded in it, a third larger
+export const MAX_GATEWAY_BODY_BYTES = 4500000;
+
+// Warn once a body uses this share of a limit
+const WARNING_RATIO = 0.8;
+
+// Smaller bodies are sent as they are; compressing them saves too little to matter
+const MIN_COMPRESSED_BYTES = 1024;
+
+/** A JSON request body ready to send, possibly gzip-compressed. */
+export interface EncodedBody {
+    data: Buffer;
+    /** `gzip` when `data` is compressed. */
+    encoding?: 'gzip';
+    /** Size of the JSON before compression. */
+    decodedBytes: number;
+}
+
+/**
+ * Encodes a JSON body for sending, gzip-compressed unless it is small or
+ * compression is turned off for the backend.
+ */
+export function encodeRequestBody(json: string, compress = true): EncodedBody {
+    const raw = Buffer.from(json, 'utf8');
+    if (!compress || raw.length < MIN_COMPRESSED_BYTES) {
+        return { data: raw, decodedBytes: raw.length };
+    }
+
+    const gzipped = zlib.gzipSync(raw);
+    // Already-compact bodies can grow; send those as they are
+    return gzipped.length < raw.length
+        ? { data: gzipped, encoding: 'gzip', decodedBytes: raw.length }
+        : { data: raw, decodedBytes: raw.length };
+}
+
+export function formatBytes(bytes: number): string {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/** One line for the log, e.g. `2.1 MB -> 310.4 KB gzip (6.9x)`. */
+export function describeCompression(body: EncodedBody): string {
+    if (!body.encoding) {
+        return `${formatBytes(body.decodedBytes)} uncompressed`;
+    }
+    return `${formatBytes(body.decodedBytes)} -> ${formatBytes(body.data.length)} ${body.encoding} (${(body.decodedBytes / body.data.length).toFixed(1)}x)`;
+}
+
+/**
+ * Checks a body against the backend's limits before it is sent.
+ * @returns `error` when the backend will certainly reject the body, otherwise a `warning` when it is close to
+ * or over a limit that only some deployments have; both undefined when the body is well within the limits
+ */
+export function checkRequestSize(body: EncodedBody): { error?: string; warning?: string } {
+    const size = body.encoding
+        ? `${formatBytes(body.decodedBytes)} (${formatBytes(body.data.length)} compressed)`
+        : formatBytes(body.decodedBytes);
+
+    if (body.decodedBytes > MAX_DECODED_BODY_BYTES) {
+        return { error: `The request is ${size}; the backend accepts at most ${formatBytes(MAX_DECODED_BODY_BYTES)} uncompressed.` };
+    }
+    if (body.data.length > MAX_GATEWAY_BODY_BYTES) {
+        return { warning: `The request is ${size}, more than the ${formatBytes(MAX_GATEWAY_BODY_BYTES)} an API Gateway deployment of the backend accepts. Lower "Max Workspace Files" or enable incremental uploads if it is rejected.` };
+    }
+    if (body.decodedBytes > MAX_DECODED_BODY_BYTES * WARNING_RATIO || body.data.length > MAX_GATEWAY_BODY_BYTES * WARNING_RATIO) {
+        return { warning: `The request is ${size}, close to the backend's size limits. Lower "Max Workspace Files" or enable incremental uploads to keep requests small.` };
+    }
+    return {};
+}
+
+/**
+ * The response body as UTF-8 text, decompressed when the backend or a proxy
+ * compressed it (`Content-Encoding: gzip` or `deflate`).
+ */
+export function decodeResponse(res: http.IncomingMessage): NodeJS.ReadableStream {
+    const encoding = String(res.headers['content-encoding'] ?? '').toLowerCase();
+    let body: NodeJS.ReadableStream = res;
+    if (encoding === 'gzip') {
+        body = res.pipe(zlib.createGunzip());
+    } else if (encoding === 'deflate') {
+        body = res.pipe(zlib.createInflate());
+    }
+    body.setEncoding('utf8');
+    return body;
+}
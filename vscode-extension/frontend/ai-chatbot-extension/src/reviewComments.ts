@@ -0,0 +1,149 @@
+import * as vscode from 'vscode';
+import { ReviewComment, ReviewSeverity } from './types';
+import { checkSuggestion } from './codeReview';
+
+/** Id of the comment controller; `package.json` menus match it as `commentController`. */
+export const REVIEW_CONTROLLER_ID = 'ai-chatbot.review';
+
+// Thread context values; `package.json` shows "Apply Suggestion" for the second only
+const THREAD_CONTEXT = 'finding';
+const THREAD_CONTEXT_WITH_SUGGESTION = 'finding-with-suggestion';
+
+const REVIEWER = { name: 'AI Review' };
+const SEVERITY_LABELS: Record<ReviewSeverity, string> = { error: 'Error', warning: 'Warning', info: 'Info' };
+
+/**
+ * Shows the findings of a review as comment threads in the editor.
+ *
+ * Each finding with a location gets a thread on its lines. Threads are
+ * expanded for findings on changed lines and collapsed for remarks about the
+ * code around them. A new review replaces the threads of the previous one;
+ * dismissed and applied findings are dropped from the list exported as SARIF.
+ */
+export class ReviewComments implements vscode.Disposable {
+    private readonly _controller: vscode.CommentController;
+    private readonly _threads = new Map<vscode.CommentThread, ReviewComment>();
+
+    constructor() {
+        this._controller = vscode.comments.createCommentController(REVIEW_CONTROLLER_ID, 'AI Review');
+    }
+
+    /** Findings of the latest review that are still open. */
+    public get findings(): ReviewComment[] {
+        return [...this._threads.values()];
+    }
+
+    /**
+     * Replaces the threads of the previous review with threads for these findings.
+     * @returns The number of threads shown; findings without a line or workspace folder get none
+     */
+    public show(comments: ReviewComment[]): number {
+        this.clear();
+        const folder = vscode.workspace.workspaceFolders?.[0];
+        if (!folder) {
+            return 0;
+        }
+
+        for (const comment of comments) {
+            if (comment.startLine === null) {
+                continue;
+            }
+            const endLine = comment.endLine ?? comment.startLine;
+            const thread = this._controller.createCommentThread(
+                vscode.Uri.joinPath(folder.uri, comment.path),
+                new vscode.Range(comment.startLine - 1, 0, endLine - 1, 0),
+                [this._createComment(describeFinding(comment), SEVERITY_LABELS[comment.severity])],
+            );
+            thread.label = `AI review: ${SEVERITY_LABELS[comment.severity].toLowerCase()}`;
+            thread.contextValue = comment.suggestion ? THREAD_CONTEXT_WITH_SUGGESTION : THREAD_CONTEXT;
+            thread.canReply = true;
+            thread.collapsibleState = comment.changed
+                ? vscode.CommentThreadCollapsibleState.Expanded
+                : vscode.CommentThreadCollapsibleState.Collapsed;
+            this._threads.set(thread, comment);
+        }
+        return this._threads.size;
+    }
+
+    /** The finding a thread shows, or undefined for threads of an earlier review. */
+    public findingOf(thread: vscode.CommentThread): ReviewComment | undefined {
+        return this._threads.get(thread);
+    }
+
+    /**
+     * Replaces the finding's lines with its suggestion, as one undoable edit, and closes the thread.
+     * @returns Why the suggestion cannot be applied, or undefined once it is
+     */
+    public async applySuggestion(thread: vscode.CommentThread): Promise<string | undefined> {
+        const finding = this._threads.get(thread);
+        if (!finding) {
+            return 'The finding belongs to an earlier review.';
+        }
+
+        const document = await Promise.resolve(vscode.workspace.openTextDocument(thread.uri)).catch(() => undefined);
+        const reason = checkSuggestion(finding, document?.getText());
+        if (reason || !document || !finding.suggestion || finding.startLine === null) {
+            return reason;
+        }
+
+        const start = finding.startLine - 1;
+        const end = (finding.endLine ?? finding.startLine) - 1;
+        const { replacement } = finding.suggestion;
+        // An empty suggestion deletes the lines, line breaks included
+        const range = replacement || end + 1 >= document.lineCount
+            ? new vscode.Range(start, 0, end, document.lineAt(end).text.length)
+            : new vscode.Range(start, 0, end + 1, 0);
+        const edit = new vscode.WorkspaceEdit();
+        edit.replace(thread.uri, range, document.eol === vscode.EndOfLine.CRLF ? replacement.replace(/\n/g, '\r\n') : replacement);
+        if (!await vscode.workspace.applyEdit(edit)) {
+            return `The edit to ${finding.path} was not applied.`;
+        }
+
+        this.dismiss(thread);
+        return undefined;
+    }
+
+    /** Closes a thread and drops its finding from the review. */
+    public dismiss(thread: vscode.CommentThread): void {
+        this._threads.delete(thread);
+        thread.dispose();
+    }
+
+    /** Adds a comment to a thread, e.g. a follow-up question or its answer. */
+    public addReply(thread: vscode.CommentThread, body: string, author?: string): void {
+        thread.comments = [...thread.comments, this._createComment(body, undefined, author)];
+    }
+
+    /** Closes the threads of the current review. */
+    public clear(): void {
+        this._threads.forEach((_finding, thread) => thread.dispose());
+        this._threads.clear();
+    }
+
+    public dispose(): void {
+        this.clear();
+        this._controller.dispose();
+    }
+
+    private _createComment(body: string, label?: string, author?: string): vscode.Comment {
+        return {
+            body: new vscode.MarkdownString(body),
+            mode: vscode.CommentMode.Preview,
+            author: author ? { name: author } : REVIEWER,
+            ...(label && { label }),
+        };
+    }
+}
+
+/**
+ * Renders a finding as Markdown: its message, then the suggested change as a diff.
+ */
+export function describeFinding(comment: ReviewComment): string {
+    if (!comment.suggestion) {
+        return comment.message;
+    }
+
+    const diffLines = (text: string, sign: string) => (text ? text.split('\n').map(line => `${sign}${line}`) : []);
+    const diff = [...diffLines(comment.suggestion.original, '-'), ...diffLines(comment.suggestion.replacement, '+')];
+    return `${comment.message}\n\nSuggested change:\n\`\`\`diff\n${diff.join('\n')}\n\`\`\``;
+}
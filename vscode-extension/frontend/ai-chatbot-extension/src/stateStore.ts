@@ -1,6 +1,6 @@
 import * as vscode from 'vscode';
 import { CONFIG } from './config';
-import { ChatMessage } from './types';
+import { ChatMessage, ConversationTurn } from './types';
 
 export class ChatStateStore {
     constructor(
@@ -16,6 +16,33 @@ export class ChatStateStore {
         await this.storage.update(this.key, messages);
     }
 
+    /**
+     * Returns the most recent chat messages as backend conversation turns.
+     * Failed-request notices are skipped, and a trailing copy of the prompt being
+     * sent is dropped because the webview may already have saved it.
+     * @param maxMessages Maximum number of messages to return
+     * @param pendingPrompt Prompt about to be sent (optional)
+     */
+    public getConversationHistory(maxMessages: number, pendingPrompt?: string): ConversationTurn[] {
+        const messages = this.getChatHistory().filter(
+            (message) => message.content.trim().length > 0 && !(message.type === 'ai' && message.content.startsWith('⚠️')),
+        );
+
+        const last = messages[messages.length - 1];
+        if (pendingPrompt !== undefined && last?.type === 'user' && last.content.trim() === pendingPrompt.trim()) {
+            messages.pop();
+        }
+
+        if (maxMessages <= 0) {
+            return [];
+        }
+
+        return messages.slice(-maxMessages).map((message) => ({
+            role: message.type === 'user' ? 'user' : 'assistant',
+            content: message.content,
+        }));
+    }
+
     public async clearChatHistory(): Promise<void> {
         await this.storage.update(this.key, []);
     }
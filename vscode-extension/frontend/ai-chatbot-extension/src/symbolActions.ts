@@ -0,0 +1,205 @@
+import * as crypto from 'crypto';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { LruCache } from './lruCache';
+import { ExplanationRequest } from './types';
+
+/** Command run by the "Explain" CodeLens, with the document URI and the symbol. */
+export const EXPLAIN_SYMBOL_COMMAND = 'ai-chatbot.explainSymbol';
+/** Command run by the "Generate tests" CodeLens, with the document URI and the symbol. */
+export const GENERATE_TESTS_COMMAND = 'ai-chatbot.generateTests';
+/** Command run by the "Document" CodeLens, with the document URI and the symbol. */
+export const DOCUMENT_SYMBOL_COMMAND = 'ai-chatbot.documentSymbol';
+
+// Explanations kept, so hovering a symbol again shows its explanation at once
+const MAX_CACHED_EXPLANATIONS = 200;
+
+// Symbols that get lenses and hovers, with the kind named to the model
+const SYMBOL_KINDS = new Map<vscode.SymbolKind, string>([
+    [vscode.SymbolKind.Function, 'function'],
+    [vscode.SymbolKind.Method, 'method'],
+    [vscode.SymbolKind.Constructor, 'constructor'],
+    [vscode.SymbolKind.Class, 'class'],
+]);
+
+const LENSES: [title: string, command: string][] = [
+    ['Explain', EXPLAIN_SYMBOL_COMMAND],
+    ['Generate tests', GENERATE_TESTS_COMMAND],
+    ['Document', DOCUMENT_SYMBOL_COMMAND],
+];
+
+/** A function, method, constructor or class reported by the document's symbol provider. */
+export interface CodeSymbol {
+    name: string;
+    /** `function`, `method`, `constructor` or `class`. */
+    kind: string;
+    /** Lines of the whole symbol, including its body. */
+    range: vscode.Range;
+    /** Range of the symbol's name. */
+    selectionRange: vscode.Range;
+}
+
+/**
+ * Finds the functions, methods, constructors and classes of a document, outer symbols
+ * before the ones they contain, with the language's document symbol provider.
+ * @returns The symbols; none when the language has no symbol provider
+ */
+export async function findSymbols(document: vscode.TextDocument): Promise<CodeSymbol[]> {
+    type Reported = vscode.DocumentSymbol | vscode.SymbolInformation;
+    const found = await vscode.commands.executeCommand<Reported[] | undefined>('vscode.executeDocumentSymbolProvider', document.uri);
+
+    const symbols: CodeSymbol[] = [];
+    const visit = (items: Reported[]) => {
+        for (const item of items) {
+            const kind = SYMBOL_KINDS.get(item.kind);
+            // Older providers answer with flat SymbolInformation, which has no name range or children
+            const range = 'location' in item ? item.location.range : item.range;
+            if (kind) {
+                symbols.push({ name: item.name, kind, range, selectionRange: 'selectionRange' in item ? item.selectionRange : range });
+            }
+            if ('children' in item) {
+                visit(item.children);
+            }
+        }
+    };
+    visit(found ?? []);
+    return symbols;
+}
+
+/**
+ * The innermost symbol whose name is at a position.
+ */
+export function symbolAt(symbols: CodeSymbol[], position: vscode.Position): CodeSymbol | undefined {
+    return symbols.filter(symbol => symbol.selectionRange.contains(position)).pop();
+}
+
+/**
+ * Describes a symbol for a chat message, e.g. "function `total` in src/cart.ts:12-30".
+ * @param root Workspace folder the path is relative to
+ * @returns The description, or undefined when the document is outside the workspace folder
+ */
+export function describeSymbol(symbol: CodeSymbol, uri: vscode.Uri, root: vscode.Uri): string | undefined {
+    const file = relativePath(root, uri);
+    if (!file) {
+        return undefined;
+    }
+    const start = symbol.range.start.line + 1;
+    const end = symbol.range.end.line + 1;
+    return `${symbol.kind} \`${symbol.name}\` in ${file}:${end > start ? `${start}-${end}` : start}`;
+}
+
+/**
+ * Hashes a symbol's code, so an unchanged symbol is explained once.
+ */
+export function explanationKey(request: ExplanationRequest): string {
+    return crypto.createHash('sha256')
+        .update([request.language ?? '', request.kind ?? '', request.name ?? '', request.code].join('\0'))
+        .digest('hex');
+}
+
+/**
+ * Shows "Explain", "Generate tests" and "Document" above functions, methods and classes
+ * while `ai-chatbot.codeLens.enabled` is on.
+ */
+export class SymbolCodeLensProvider implements vscode.CodeLensProvider, vscode.Disposable {
+    private readonly _onDidChangeCodeLenses = new vscode.EventEmitter<void>();
+    private readonly _configurationListener: vscode.Disposable;
+    public readonly onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
+
+    constructor() {
+        this._configurationListener = vscode.workspace.onDidChangeConfiguration((event) => {
+            if (event.affectsConfiguration('ai-chatbot.codeLens')) {
+                this._onDidChangeCodeLenses.fire();
+            }
+        });
+    }
+
+    public async provideCodeLenses(document: vscode.TextDocument): Promise<vscode.CodeLens[]> {
+        if (!vscode.workspace.getConfiguration('ai-chatbot').get<boolean>('codeLens.enabled', true)) {
+            return [];
+        }
+
+        const symbols = await findSymbols(document);
+        return symbols.flatMap(symbol => LENSES.map(([title, command]) => new vscode.CodeLens(symbol.range, {
+            title,
+            command,
+            arguments: [document.uri, symbol],
+        })));
+    }
+
+    public dispose(): void {
+        this._configurationListener.dispose();
+        this._onDidChangeCodeLenses.dispose();
+    }
+}
+
+/**
+ * Explains the function, method or class whose name is hovered, while `ai-chatbot.hover.enabled`
+ * is on. Explanations are fetched on the first hover and kept by a hash of the symbol's code,
+ * so hovering again shows them at once until the code changes.
+ */
+export class SymbolHoverProvider implements vscode.HoverProvider {
+    private readonly _cache = new LruCache<string>(MAX_CACHED_EXPLANATIONS);
+
+    /**
+     * @param _explain Sends a request to the backend; rejects when the signal aborts it
+     */
+    constructor(private readonly _explain: (request: ExplanationRequest, signal: AbortSignal) => Promise<string>) {}
+
+    public async provideHover(
+        document: vscode.TextDocument,
+        position: vscode.Position,
+        token: vscode.CancellationToken,
+    ): Promise<vscode.Hover | undefined> {
+        if (!vscode.workspace.getConfiguration('ai-chatbot').get<boolean>('hover.enabled', false)) {
+            return undefined;
+        }
+
+        const symbol = symbolAt(await findSymbols(document), position);
+        if (!symbol || token.isCancellationRequested) {
+            return undefined;
+        }
+
+        const root = vscode.workspace.workspaceFolders?.[0]?.uri;
+        const file = root && relativePath(root, document.uri);
+        const request: ExplanationRequest = {
+            code: document.getText(symbol.range),
+            name: symbol.name,
+            kind: symbol.kind,
+            language: document.languageId,
+            ...(file && { path: file }),
+        };
+        const key = explanationKey(request);
+        let explanation = this._cache.get(key);
+
+        if (explanation === undefined) {
+            const controller = new AbortController();
+            const cancellation = token.onCancellationRequested(() => controller.abort());
+            try {
+                explanation = await this._explain(request, controller.signal);
+                this._cache.set(key, explanation);
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    return undefined;
+                }
+                console.warn('[AI Chatbot] Explaining the hovered symbol failed:', error);
+                const message = error instanceof Error ? error.message : String(error);
+                return new vscode.Hover(new vscode.MarkdownString(`$(warning) The AI explanation failed: ${message}`, true), symbol.selectionRange);
+            } finally {
+                cancellation.dispose();
+            }
+        }
+
+        return explanation
+            ? new vscode.Hover(new vscode.MarkdownString(`$(sparkle) ${explanation}`, true), symbol.selectionRange)
+            : undefined;
+    }
+}
+
+function relativePath(root: vscode.Uri, uri: vscode.Uri): string | undefined {
+    if (uri.scheme !== root.scheme) {
+        return undefined;
+    }
+    const relative = path.posix.relative(root.path, uri.path);
+    return relative && !relative.startsWith('..') && !path.posix.isAbsolute(relative) ? relative : undefined;
+}
@@ -3,6 +3,20 @@ export type ChatRole = 'user' | 'ai';
 export interface ChatMessage {
     type: ChatRole;
     content: string;
+    /** Code locations cited in an AI message, as returned by the backend. */
+    citations?: Citation[];
+    /** Edits proposed in an AI message answering an `/edit` request. */
+    edits?: FileEdit[];
+    /** Findings of an AI message answering a `/review` request. */
+    comments?: ReviewComment[];
+    /** Workspace tools the model used while answering, in call order. */
+    toolSteps?: ToolStepView[];
+}
+
+/** A chat message in the role vocabulary the backend expects. */
+export interface ConversationTurn {
+    role: 'user' | 'assistant';
+    content: string;
 }
 
 export interface WorkspaceFile {
@@ -10,6 +24,428 @@ export interface WorkspaceFile {
     content: string;
 }
 
+export interface BackendRequestOptions {
+    /** Model name forwarded to the backend; empty means the backend default. */
+    model?: string;
+    /** Earlier conversation turns, oldest first; empty means no history is sent. */
+    history?: ConversationTurn[];
+    /** Workspace-relative path of the active editor file, used to rank context. */
+    currentFile?: string;
+    /** Upload session holding the workspace files; when set, `files` are not sent again. */
+    sessionId?: string;
+    /** Backend API key, sent as `Authorization: Bearer <key>`. */
+    apiKey?: string;
+    /** Called when the backend is busy (429), before waiting `retryAfterSeconds` and retrying. */
+    onQueued?: (retryAfterSeconds: number) => void;
+    /** `edit` asks the backend for structured edits, `review` for review comments on `git`; omitted means a chat answer. */
+    mode?: RequestMode;
+    /** Uncommitted changes of the workspace; required in `review` mode. */
+    git?: GitChanges;
+    /** Problems the editor reports for the files the message is about. */
+    diagnostics?: EditorDiagnostic[];
+    /** The extension can run workspace tools, so the model may answer with tool calls. */
+    tools?: boolean;
+    /** Tool calls of the current message and their results, oldest first. */
+    toolSteps?: ToolStep[];
+    /** Called before sending a request that is close to, or over, a limit of the backend or its gateway. */
+    onLargeRequest?: (warning: string) => void;
+}
+
+export type RequestMode = 'chat' | 'edit' | 'review';
+
+/** A changed path as listed by `git status --porcelain`. */
+export interface GitFileStatus {
+    /** Workspace-relative path. */
+    path: string;
+    /** Path before a rename or copy. */
+    originalPath?: string;
+    /** Two-letter status code, e.g. ` M` (modified, unstaged), `A ` (added, staged), `??` (untracked). */
+    code: string;
+}
+
+export interface GitCommit {
+    /** Abbreviated hash. */
+    hash: string;
+    subject: string;
+}
+
+/** What `git` reports about the workspace's uncommitted changes, redacted before upload. */
+export interface GitChanges {
+    /** Current branch; null when HEAD is detached. */
+    branch: string | null;
+    status: GitFileStatus[];
+    /** `git diff --cached`. */
+    stagedDiff: string;
+    /** `git diff`. */
+    unstagedDiff: string;
+    /** Newest first. */
+    recentCommits: GitCommit[];
+    /** True when a diff was cut short to fit the request. */
+    truncated?: boolean;
+}
+
+export type DiagnosticSeverity = 'error' | 'warning' | 'information' | 'hint';
+
+/** A location a diagnostic points to besides its own, e.g. a conflicting declaration. */
+export interface DiagnosticRelatedLocation {
+    /** Workspace-relative path, or the full path of a file outside the workspace. */
+    path: string;
+    line: number;
+    message: string;
+}
+
+/** A problem reported in the Problems panel, with the lines around it, redacted before upload. */
+export interface EditorDiagnostic {
+    /** Workspace-relative path. */
+    path: string;
+    startLine: number;
+    endLine: number;
+    severity: DiagnosticSeverity;
+    message: string;
+    /** Tool that reported it, e.g. `ts` or `eslint`. */
+    source?: string | null;
+    /** Error code or rule, e.g. `2304` or `no-unused-vars`. */
+    code?: string | null;
+    related?: DiagnosticRelatedLocation[];
+    /** Lines around the problem, starting at line `startLine`. */
+    snippet?: {startLine: number; text: string};
+}
+
+export type ReviewSeverity = 'error' | 'warning' | 'info';
+
+/** A review finding about a range of lines, located by its citation. */
+export interface ReviewComment {
+    path: string;
+    startLine: number | null;
+    endLine: number | null;
+    severity: ReviewSeverity;
+    message: string;
+    /** How the cited location checked out, as for citations. */
+    status: CitationStatus;
+    /** True when the lines include one the diffs add or change. */
+    changed: boolean;
+    /** Suggested replacement for the cited lines, when the finding has a concrete fix. */
+    suggestion?: ReviewSuggestion;
+}
+
+/** Replacement text for the lines of a review finding. */
+export interface ReviewSuggestion {
+    /** The lines as uploaded; the suggestion only applies while the file still has them. */
+    original: string;
+    /** Replaces the whole lines; empty deletes them. */
+    replacement: string;
+}
+
+/**
+ * How a citation checked out against the uploaded files: `corrected` means the
+ * quoted snippet was found on other lines than cited and the lines were moved;
+ * `out-of-context` means the lines exist but were not among those sent to the model.
+ */
+export type CitationStatus = 'verified' | 'corrected' | 'unverified' | 'invalid-line' | 'unknown-file' | 'out-of-context';
+
+/** A code location cited in an answer, validated by the backend. */
+export interface Citation {
+    label: string;
+    /** Workspace-relative path of the uploaded file, or the path as cited for `unknown-file`. */
+    path: string;
+    startLine: number | null;
+    endLine: number | null;
+    column: number | null;
+    /** Text of the cited line, as quoted by the model or read from the file. */
+    snippet: string | null;
+    status: CitationStatus;
+    /** Line the model cited, when the backend moved it. */
+    citedLine?: number;
+    /** Position of the citation link in the answer text. */
+    offset: number;
+    length: number;
+}
+
+/**
+ * How a proposed edit checked out against the uploaded files. The extension checks
+ * again against the file on disk before applying, since it may have changed since.
+ */
+export type EditStatus = 'applies' | 'not-found' | 'ambiguous' | 'unknown-file' | 'file-exists';
+
+/** Replace `search` with `replace`; an empty `search` creates the file. */
+export interface EditHunk {
+    search: string;
+    replace: string;
+    /** Lines `search` spans in the uploaded file; null when it was not found there. */
+    startLine: number | null;
+    endLine: number | null;
+    status: EditStatus;
+}
+
+/** The edits proposed for one file. */
+export interface FileEdit {
+    /** Workspace-relative path. */
+    path: string;
+    /** True when the file does not exist yet. */
+    create: boolean;
+    /** `applies` when every hunk does, otherwise the first failing hunk's status. */
+    status: EditStatus;
+    hunks: EditHunk[];
+}
+
+/** Why a proposed edit was not applied. */
+export interface EditConflict {
+    path: string;
+    reason: string;
+}
+
+/** A workspace tool the model asked for, relayed by the backend. */
+export interface ToolCall {
+    /** Unique within one user message, e.g. `call-3`. */
+    id: string;
+    name: string;
+    arguments: Record<string, unknown>;
+    /** Set when the call cannot run; it is sent back as the call's result. */
+    error?: string;
+}
+
+/** A tool call with the result of running it, sent back to the backend. */
+export interface ToolStep extends ToolCall {
+    output?: string;
+}
+
+/** How a tool step is shown in the chat transcript. */
+export interface ToolStepView {
+    id: string;
+    name: string;
+    /** One line, e.g. `Read src/app.ts (lines 1-80)`. */
+    title: string;
+    /** Output (or error) shown when the step is expanded; shortened for long results. */
+    detail: string;
+    status: 'running' | 'done' | 'failed';
+}
+
+/** An answer from the backend and the code locations it cites. */
+export interface BackendResponse {
+    aiResponse: string;
+    /** Undefined when the backend predates structured citations. */
+    citations?: Citation[];
+    /** Proposed edits; only sent for `mode: 'edit'` requests. */
+    edits?: FileEdit[];
+    /** Review findings; only sent for `mode: 'review'` requests. */
+    comments?: ReviewComment[];
+    /** Tools the model wants run before it answers; `aiResponse` is then only what it wrote before the calls. */
+    toolCalls?: ToolCall[];
+}
+
+/** A secret replaced by a `[REDACTED:<type>]` placeholder before upload. */
+export interface RedactionFinding {
+    type: string;
+    /** 1-based line of the secret in the original file. */
+    line: number;
+}
+
+export interface FileRedactions {
+    filename: string;
+    findings: RedactionFinding[];
+}
+
+/** What was redacted from one request's workspace files. */
+export interface RedactionSummary {
+    total: number;
+    files: FileRedactions[];
+}
+
+/** A workspace file as listed in an upload session manifest. */
+export interface FileManifestEntry {
+    filename: string;
+    /** sha256 hex digest of the UTF-8 file content. */
+    hash: string;
+}
+
+/** An import statement between two workspace files. */
+export interface DependencyLink {
+    /** The imported file (in `imports`) or the importing file (in `importedBy`). */
+    filename: string;
+    /** Module name as written in the import statement, e.g. `./db` or `@/utils`. */
+    specifier: string;
+    /** Line of the import statement in the importing file. */
+    line: number;
+}
+
+/** An import statement that resolves to no uploaded file. */
+export interface UnresolvedImport {
+    specifier: string;
+    line: number;
+}
+
+/** The imports and importers of one file, from the backend's dependency graph. */
+export interface FileDependencies {
+    filename: string;
+    imports: DependencyLink[];
+    importedBy: DependencyLink[];
+    /** Package imports. */
+    external: UnresolvedImport[];
+    /** Relative or path-aliased imports whose file was not uploaded. */
+    unresolved: UnresolvedImport[];
+}
+
+export interface DependenciesResponse {
+    files: FileDependencies[];
+}
+
+/** Body of POST /complete: the code around the cursor and a few neighboring files. */
+export interface CompletionRequest {
+    /** Text of the document before the cursor. */
+    prefix: string;
+    /** Text of the document after the cursor. */
+    suffix: string;
+    /** Language id of the document, e.g. `typescript`. */
+    language?: string;
+    /** Workspace-relative path of the document; absent for untitled documents. */
+    path?: string;
+    /** Neighboring files, most relevant first. */
+    files?: WorkspaceFile[];
+}
+
+export interface CompletionResponse {
+    /** Text to insert at the cursor; empty when the model has nothing to add. */
+    completion: string;
+    provider: {provider: string; model: string};
+}
+
+/** Body of POST /explain: one function, class or other symbol. */
+export interface ExplanationRequest {
+    /** Source of the symbol. */
+    code: string;
+    /** Name of the symbol, e.g. `parseConfig`. */
+    name?: string;
+    /** Kind of the symbol, e.g. `function`, `method` or `class`. */
+    kind?: string;
+    /** Language id of the document, e.g. `typescript`. */
+    language?: string;
+    /** Workspace-relative path of the document; absent for files outside the workspace. */
+    path?: string;
+}
+
+export interface ExplanationResponse {
+    /** One to three sentences of plain text with inline code. */
+    explanation: string;
+    provider: {provider: string; model: string};
+}
+
+/** A chat message as the backend's /conversations endpoints keep it. */
+export interface ConversationMessage {
+    role: 'user' | 'assistant';
+    content: string;
+    /** Stored as sent; the extension keeps an answer's citations, edits, comments and tool steps here. */
+    metadata?: Record<string, unknown>;
+}
+
+/** A backend conversation without its messages, as listed. */
+export interface ConversationSummary {
+    id: string;
+    /** The first line of the first user message until the conversation is renamed. */
+    title: string;
+    createdAt: string;
+    updatedAt: string;
+    messageCount: number;
+}
+
+export interface Conversation extends ConversationSummary {
+    /** Oldest first. */
+    messages: (ConversationMessage & {createdAt: string})[];
+}
+
+export interface CommitMessageResponse {
+    /** Conventional Commits subject, then a blank line and the body when there is one. */
+    message: string;
+    /** Files whose diffs were too large to send and were summarized first. */
+    summarizedFiles: string[];
+    /** Files the model saw only by name and line counts. */
+    omittedFiles: string[];
+    provider: {provider: string; model: string};
+}
+
+/** A non-2xx response from the backend; `status` lets callers react to e.g. an expired session (404). */
+export class BackendHttpError extends Error {
+    constructor(
+        public readonly status: number | undefined,
+        statusMessage: string | undefined,
+        /** Seconds from the response's Retry-After header, e.g. on 429. */
+        public readonly retryAfterSeconds?: number,
+    ) {
+        super(`Backend API error: ${status ?? 'unknown'} ${statusMessage ?? ''}`.trim());
+        this.name = 'BackendHttpError';
+    }
+}
+
+/** Machine-readable codes the backend sends as `code` in error responses and stream error events. */
+export const BACKEND_ERROR_CODES = [
+    'INVALID_REQUEST',
+    'INVALID_JSON',
+    'PAYLOAD_TOO_LARGE',
+    'INVALID_ENCODING',
+    'INVALID_PATH',
+    'DUPLICATE_FILE',
+    'FILE_TOO_LARGE',
+    'TOO_MANY_FILES',
+    'PROMPT_TOO_LARGE',
+    'AUTH_REQUIRED',
+    'INVALID_API_KEY',
+    'NOT_FOUND',
+    'SESSION_NOT_FOUND',
+    'SESSION_INCOMPLETE',
+    'CONVERSATION_NOT_FOUND',
+    'RATE_LIMITED',
+    'SERVER_BUSY',
+    'UNKNOWN_MODEL',
+    'PROVIDER_UNAVAILABLE',
+    'PROVIDER_ERROR',
+    'INTERNAL_ERROR',
+] as const;
+
+export type BackendErrorCode = typeof BACKEND_ERROR_CODES[number];
+
+export function isBackendErrorCode(value: unknown): value is BackendErrorCode {
+    return typeof value === 'string' && (BACKEND_ERROR_CODES as readonly string[]).includes(value);
+}
+
+/** One problem found while validating a request, e.g. `{path: 'files[2].filename', code: 'INVALID_PATH', ...}`. */
+export interface BackendErrorDetail {
+    path: string;
+    code: string;
+    message: string;
+}
+
+/**
+ * An error the backend reported with a known code, from an error response or a stream
+ * error event (where `status` is undefined). `message` is the backend's own text.
+ */
+export class BackendApiError extends BackendHttpError {
+    constructor(
+        status: number | undefined,
+        public readonly code: BackendErrorCode,
+        message: string,
+        public readonly details: BackendErrorDetail[] = [],
+        retryAfterSeconds?: number,
+    ) {
+        super(status, message, retryAfterSeconds);
+        this.name = 'BackendApiError';
+        this.message = message;
+    }
+}
+
+/** True when the backend rejected the request's API key: missing (401) or not recognized (403). */
+export function isAuthError(error: unknown): error is BackendHttpError {
+    return error instanceof BackendHttpError && (error.status === 401 || error.status === 403);
+}
+
+/** Follow-up the user can trigger from a chat message. */
+export type ChatAction = 'updateApiKey' | 'openSettings';
+
+export type BackendStreamEvent =
+    | {type: 'start'; provider?: {provider: string; model: string}}
+    | {type: 'chunk'; text: string}
+    | {type: 'done'; aiResponse?: string; citations?: Citation[]; edits?: FileEdit[]; comments?: ReviewComment[]}
+    | {type: 'tool_calls'; aiResponse?: string; toolCalls?: ToolCall[]}
+    | {type: 'error'; error: string; code?: string; message?: string; details?: BackendErrorDetail[]};
+
 export interface OpenFilePayload {
     fileName: string;
     lineNumber?: number;
@@ -22,7 +458,18 @@ export const MESSAGE_TYPES = {
     OPEN_FILE: 'openFile',
     SAVE_CHAT_HISTORY: 'saveChatHistory',
     REQUEST_CHAT_HISTORY: 'requestChatHistory',
+    UPDATE_API_KEY: 'updateApiKey',
+    OPEN_SETTINGS: 'openSettings',
+    PREVIEW_EDIT: 'previewEdit',
+    APPLY_EDITS: 'applyEdits',
+    EDITS_RESULT: 'editsResult',
     AI_RESPONSE: 'aiResponse',
+    AI_RESPONSE_START: 'aiResponseStart',
+    AI_RESPONSE_CHUNK: 'aiResponseChunk',
+    AI_RESPONSE_QUEUED: 'aiResponseQueued',
+    REDACTION_NOTICE: 'redactionNotice',
+    TOOL_STEP: 'toolStep',
+    AI_RESPONSE_END: 'aiResponseEnd',
     WORKSPACE_FILES: 'workspaceFiles',
     CURRENT_FILE: 'currentFile',
     LOAD_CHAT_HISTORY: 'loadChatHistory',
@@ -38,10 +485,28 @@ export interface WebviewToExtensionPayloadMap {
     [MESSAGE_TYPES.OPEN_FILE]: OpenFilePayload;
     [MESSAGE_TYPES.SAVE_CHAT_HISTORY]: {messages: ChatMessage[]};
     [MESSAGE_TYPES.REQUEST_CHAT_HISTORY]: Record<string, never>;
+    [MESSAGE_TYPES.UPDATE_API_KEY]: Record<string, never>;
+    [MESSAGE_TYPES.OPEN_SETTINGS]: Record<string, never>;
+    [MESSAGE_TYPES.PREVIEW_EDIT]: {edit: FileEdit};
+    [MESSAGE_TYPES.APPLY_EDITS]: {requestId: string; edits: FileEdit[]};
 }
 
 export interface ExtensionToWebviewPayloadMap {
     [MESSAGE_TYPES.AI_RESPONSE]: {response: string};
+    [MESSAGE_TYPES.AI_RESPONSE_START]: {id: string};
+    [MESSAGE_TYPES.AI_RESPONSE_CHUNK]: {id: string; text: string};
+    [MESSAGE_TYPES.AI_RESPONSE_QUEUED]: {id: string; retryAfterSeconds: number};
+    [MESSAGE_TYPES.REDACTION_NOTICE]: {id: string; summary: RedactionSummary; text: string};
+    [MESSAGE_TYPES.TOOL_STEP]: {id: string; step: ToolStepView};
+    [MESSAGE_TYPES.AI_RESPONSE_END]: {
+        id: string;
+        response: string;
+        citations?: Citation[];
+        edits?: FileEdit[];
+        comments?: ReviewComment[];
+        action?: ChatAction;
+    };
+    [MESSAGE_TYPES.EDITS_RESULT]: {requestId: string; applied: boolean; message: string; conflicts: EditConflict[]};
     [MESSAGE_TYPES.WORKSPACE_FILES]: {files: string[]};
     [MESSAGE_TYPES.CURRENT_FILE]: {file?: string};
     [MESSAGE_TYPES.LOAD_CHAT_HISTORY]: {messages: ChatMessage[]};
@@ -0,0 +1,108 @@
+import * as crypto from 'crypto';
+import { openSession, syncSessionManifest, uploadSessionFiles } from './backendClient';
+import { BackendHttpError, FileManifestEntry, WorkspaceFile } from './types';
+
+// Keep each upload well below the 6 MB payload limit of the Lambda deployment
+const MAX_UPLOAD_BATCH_BYTES = 4000000;
+
+export function hashContent(content: string): string {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Keeps a backend upload session in step with the workspace so that each chat
+ * turn only uploads files that changed. The backend compares the manifest of
+ * path + content hash with what it holds and reports the files it is missing.
+ */
+export class UploadSession {
+    private _sessionId: string | undefined;
+    private _backendUrl: string | undefined;
+    private _apiKey: string | undefined;
+
+    /**
+     * Makes the backend session hold exactly `files`, uploading only what it is missing.
+     * An expired session is replaced by a new one once. Sessions belong to an
+     * API key, so changing the backend or the key starts a new session.
+     * @returns The session id to send with the request
+     */
+    public async sync(files: WorkspaceFile[], backendUrl: string, apiKey?: string): Promise<string> {
+        if (backendUrl !== this._backendUrl || apiKey !== this._apiKey) {
+            this._sessionId = undefined;
+            this._backendUrl = backendUrl;
+            this._apiKey = apiKey;
+        }
+
+        const hadSession = this._sessionId !== undefined;
+        try {
+            return await this._sync(files, backendUrl, apiKey);
+        } catch (error) {
+            if (hadSession && isSessionGone(error)) {
+                this.reset();
+                return this._sync(files, backendUrl, apiKey);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Forgets the current session; the next sync opens a new one.
+     */
+    public reset(): void {
+        this._sessionId = undefined;
+    }
+
+    private async _sync(files: WorkspaceFile[], backendUrl: string, apiKey: string | undefined): Promise<string> {
+        if (!this._sessionId) {
+            this._sessionId = await openSession(backendUrl, apiKey);
+        }
+        const sessionId = this._sessionId;
+
+        const manifest: FileManifestEntry[] = files.map(file => ({ filename: file.filename, hash: hashContent(file.content) }));
+        const missing = new Set(await syncSessionManifest(backendUrl, sessionId, manifest, apiKey));
+        const toUpload = files.filter(file => missing.has(file.filename));
+
+        if (toUpload.length > 0) {
+            console.log(`[AI Chatbot] Uploading ${toUpload.length} of ${files.length} files to session ${sessionId}`);
+        }
+
+        for (const batch of batchBySize(toUpload, MAX_UPLOAD_BATCH_BYTES)) {
+            await uploadSessionFiles(backendUrl, sessionId, batch, apiKey);
+        }
+
+        return sessionId;
+    }
+}
+
+/**
+ * True when the backend no longer has the session (expired or restarted) or
+ * is missing content it needs; both are fixed by syncing into a new session.
+ */
+export function isSessionGone(error: unknown): boolean {
+    return error instanceof BackendHttpError && (error.status === 404 || error.status === 409);
+}
+
+function batchBySize(files: WorkspaceFile[], maxBytes: number): WorkspaceFile[][] {
+    const batches: WorkspaceFile[][] = [];
+    let current: WorkspaceFile[] = [];
+    let size = 0;
+
+    for (const file of files) {
+        const fileSize = Buffer.byteLength(file.content);
+        if (current.length > 0 && size + fileSize > maxBytes) {
+            batches.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(file);
+        size += fileSize;
+    }
+
+    if (current.length > 0) {
+        batches.push(current);
+    }
+    return batches;
+}
+
+export function createUploadSession(): UploadSession {
+    return new UploadSession();
+}
@@ -0,0 +1,392 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { globToRegExp } from './redaction';
+import { ToolCall, ToolStep, ToolStepView } from './types';
+
+const MAX_FILE_BYTES = 1000000;
+const MAX_READ_LINES = 400;
+const MAX_LIST_ENTRIES = 500;
+const MAX_SEARCH_FILES = 2000;
+const MAX_SEARCH_MATCHES = 100;
+const MAX_MATCH_CHARS = 200;
+const MAX_DIAGNOSTICS = 200;
+const MAX_DETAIL_CHARS = 2000;
+
+// Never offered to the model, whatever the ignore files say
+const BUILTIN_EXCLUDES = ['**/.git', '**/node_modules'];
+
+const SEVERITY_NAMES = ['error', 'warning', 'info', 'hint'];
+
+/** Limits on the tools run for one user message. */
+export interface ToolBudget {
+    maxCalls: number;
+    /** Characters of tool output returned to the model, over all calls. */
+    maxOutputChars: number;
+}
+
+export interface WorkspaceToolsOptions {
+    /** Workspace folder the tools are confined to. */
+    root: vscode.Uri;
+    /** Workspace-relative globs the tools must not touch, in addition to the root `.gitignore`. */
+    exclude: string[];
+    budget: ToolBudget;
+    /** Replaces secrets in a file's text before it is returned to the model. */
+    redact: (filename: string, content: string) => string;
+    isTextFile: (filename: string) => boolean;
+}
+
+/** True when a workspace-relative path is ignored; `isDirectory` applies rules ending in `/`. */
+export type IgnoreMatcher = (relativePath: string, isDirectory?: boolean) => boolean;
+
+interface IgnoreRule {
+    pattern: RegExp;
+    negate: boolean;
+    directoryOnly: boolean;
+}
+
+function gitignoreRule(line: string): IgnoreRule | undefined {
+    let pattern = line.trimEnd();
+    if (!pattern || pattern.startsWith('#')) {
+        return undefined;
+    }
+
+    const negate = pattern.startsWith('!');
+    if (negate) {
+        pattern = pattern.slice(1);
+    }
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    // A slash anywhere but at the end anchors the pattern to the workspace root
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    return pattern ? { pattern: globToRegExp(anchored ? pattern : `**/${pattern}`), negate, directoryOnly } : undefined;
+}
+
+/**
+ * Builds the matcher for the paths the tools may not touch: `.git`, `node_modules`,
+ * the root `.gitignore` (including `!` negations) and the given globs. Everything
+ * under an ignored folder is ignored.
+ */
+export function createIgnoreMatcher(gitignore: string, exclude: readonly string[] = []): IgnoreMatcher {
+    const rules: IgnoreRule[] = [
+        ...[...BUILTIN_EXCLUDES, ...exclude].map(glob => ({ pattern: globToRegExp(glob.replace(/\/+$/, '')), negate: false, directoryOnly: false })),
+        ...gitignore.split(/\r?\n/).map(gitignoreRule).filter((rule): rule is IgnoreRule => !!rule),
+    ];
+
+    return (relativePath, isDirectory = false) => {
+        const segments = relativePath.replace(/\\/g, '/').split('/').filter(Boolean);
+        for (let i = 1; i <= segments.length; i++) {
+            const candidate = segments.slice(0, i).join('/');
+            const directory = i < segments.length || isDirectory;
+            let ignored = false;
+            for (const rule of rules) {
+                if ((!rule.directoryOnly || directory) && rule.pattern.test(candidate)) {
+                    ignored = !rule.negate;
+                }
+            }
+            if (ignored) {
+                return true;
+            }
+        }
+        return false;
+    };
+}
+
+/**
+ * Normalizes a path the model gave to a workspace-relative one.
+ * @returns The path ('' for the workspace root), or undefined when it leaves the workspace
+ */
+export function toWorkspacePath(value: unknown): string | undefined {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (typeof value !== 'string') {
+        return undefined;
+    }
+
+    const slashed = value.replace(/\\/g, '/');
+    if (slashed.startsWith('/') || /^[a-zA-Z]:/.test(slashed) || slashed.includes('\0')) {
+        return undefined;
+    }
+    const normalized = path.posix.normalize(slashed).replace(/\/+$/, '');
+    if (normalized === '..' || normalized.startsWith('../')) {
+        return undefined;
+    }
+    return normalized === '.' ? '' : normalized;
+}
+
+function shorten(text: string, maxChars: number): string {
+    return text.length > maxChars ? `${text.slice(0, maxChars)}\n… (${text.length - maxChars} more characters)` : text;
+}
+
+class ToolError extends Error {}
+
+interface ToolResult {
+    title: string;
+    output: string;
+    /** Arguments as actually used, e.g. the line range read; replayed to the model. */
+    arguments?: Record<string, unknown>;
+}
+
+/**
+ * Runs the workspace tools the model asks for, against the files on disk.
+ *
+ * Paths are confined to the workspace folder and checked against the ignore
+ * rules; file text is redacted like uploaded files. A call that fails, or that
+ * exceeds the budget for the message, becomes a step with an `error` the model
+ * reads instead of a result. One instance serves one user message.
+ */
+export class WorkspaceTools {
+    private _calls = 0;
+    private _outputChars = 0;
+    private _ignore: Promise<IgnoreMatcher> | undefined;
+
+    constructor(private readonly _options: WorkspaceToolsOptions) {}
+
+    /** True once the budget is used up; the model is then asked to answer without tools. */
+    public get exhausted(): boolean {
+        return this._calls >= this._options.budget.maxCalls || this._outputChars >= this._options.budget.maxOutputChars;
+    }
+
+    /** A view of a call that has not finished yet. */
+    public describeCall(call: ToolCall): ToolStepView {
+        const target = typeof call.arguments.path === 'string' ? ` ${call.arguments.path}` : '';
+        const query = typeof call.arguments.query === 'string' ? ` "${call.arguments.query}"` : '';
+        return { id: call.id, name: call.name, title: `${call.name}${target}${query}`, detail: '', status: 'running' };
+    }
+
+    /**
+     * Runs one call.
+     * @returns The step to send back to the backend and how to show it in the chat
+     */
+    public async run(call: ToolCall): Promise<{ step: ToolStep; view: ToolStepView }> {
+        const fail = (error: string) => ({
+            step: { ...call, error },
+            view: { ...this.describeCall(call), detail: error, status: 'failed' as const },
+        });
+
+        if (call.error) {
+            return fail(call.error);
+        }
+        if (this.exhausted) {
+            return fail(`The tool budget for this question is used up (${this._options.budget.maxCalls} calls). Answer with what you have found.`);
+        }
+        this._calls++;
+
+        let result: ToolResult;
+        try {
+            result = await this._execute(call);
+        } catch (error) {
+            return fail(error instanceof ToolError ? error.message : `The tool failed: ${error instanceof Error ? error.message : String(error)}`);
+        }
+
+        const remaining = Math.max(0, this._options.budget.maxOutputChars - this._outputChars);
+        const output = result.output.length > remaining
+            ? `${result.output.slice(0, remaining)}\n… (output cut off: the tool budget for this question is used up)`
+            : result.output;
+        this._outputChars += Math.min(result.output.length, remaining);
+
+        return {
+            step: { id: call.id, name: call.name, arguments: result.arguments ?? call.arguments, output },
+            view: { id: call.id, name: call.name, title: result.title, detail: shorten(output, MAX_DETAIL_CHARS), status: 'done' },
+        };
+    }
+
+    private _execute(call: ToolCall): Promise<ToolResult> {
+        switch (call.name) {
+            case 'read_file':
+                return this._readFile(call.arguments);
+            case 'list_directory':
+                return this._listDirectory(call.arguments);
+            case 'search_text':
+                return this._searchText(call.arguments);
+            case 'get_diagnostics':
+                return this._getDiagnostics(call.arguments);
+            default:
+                throw new ToolError(`Unknown tool "${call.name}".`);
+        }
+    }
+
+    private async _readFile(args: Record<string, unknown>): Promise<ToolResult> {
+        const relative = await this._checkPath(args.path, false);
+        if (!relative) {
+            throw new ToolError('read_file needs the path of a file.');
+        }
+
+        const content = await this._readText(relative);
+        const lines = content.split('\n');
+        const startLine = Number.isInteger(args.startLine) && (args.startLine as number) > 0 ? args.startLine as number : 1;
+        if (startLine > lines.length) {
+            throw new ToolError(`${relative} has only ${lines.length} lines.`);
+        }
+        const wanted = Number.isInteger(args.endLine) && (args.endLine as number) >= startLine ? args.endLine as number : lines.length;
+        const endLine = Math.min(wanted, lines.length, startLine + MAX_READ_LINES - 1);
+
+        const numbered = lines.slice(startLine - 1, endLine).map((line, index) => `${startLine + index} | ${line}`);
+        const more = endLine < Math.min(wanted, lines.length) ? `\n(Showing ${MAX_READ_LINES} lines; read from line ${endLine + 1} for more.)` : '';
+        return {
+            title: `Read ${relative} (lines ${startLine}-${endLine})`,
+            output: `File: ${relative} (lines ${startLine}-${endLine} of ${lines.length})\n${numbered.join('\n')}${more}`,
+            arguments: { path: relative, startLine, endLine },
+        };
+    }
+
+    private async _listDirectory(args: Record<string, unknown>): Promise<ToolResult> {
+        const relative = await this._checkPath(args.path, true);
+        const ignore = await this._ignoreMatcher();
+
+        let entries: [string, vscode.FileType][];
+        try {
+            entries = await vscode.workspace.fs.readDirectory(this._uri(relative));
+        } catch {
+            throw new ToolError(`${relative || 'The workspace root'} is not a folder in the workspace.`);
+        }
+
+        const listed = entries
+            .map(([name, type]) => ({ name, directory: (type & vscode.FileType.Directory) !== 0 }))
+            .filter(entry => !ignore(relative ? `${relative}/${entry.name}` : entry.name, entry.directory))
+            .sort((a, b) => Number(b.directory) - Number(a.directory) || a.name.localeCompare(b.name))
+            .map(entry => (entry.directory ? `${entry.name}/` : entry.name));
+
+        const shown = listed.slice(0, MAX_LIST_ENTRIES);
+        const more = listed.length > shown.length ? `\n… and ${listed.length - shown.length} more` : '';
+        return {
+            title: `Listed ${relative || 'the workspace root'} (${listed.length} ${listed.length === 1 ? 'entry' : 'entries'})`,
+            output: shown.length > 0 ? `${shown.join('\n')}${more}` : '(empty)',
+        };
+    }
+
+    private async _searchText(args: Record<string, unknown>): Promise<ToolResult> {
+        const query = typeof args.query === 'string' ? args.query : '';
+        if (!query) {
+            throw new ToolError('search_text needs a query.');
+        }
+        // Plain text only: a pattern chosen by the model could backtrack for minutes on the extension host
+        const lowered = query.toLowerCase();
+        const matcher = (line: string) => line.toLowerCase().includes(lowered);
+
+        const scope = await this._checkPath(args.path, true);
+        const ignore = await this._ignoreMatcher();
+        const uris = await vscode.workspace.findFiles(new vscode.RelativePattern(this._options.root, '**/*'), '**/node_modules/**');
+
+        const matches: string[] = [];
+        const matchedFiles = new Set<string>();
+        let scanned = 0;
+        for (const uri of uris) {
+            const relative = this._relative(uri);
+            if (!relative || (scope && relative !== scope && !relative.startsWith(`${scope}/`))) {
+                continue;
+            }
+            if (ignore(relative) || !this._options.isTextFile(relative)) {
+                continue;
+            }
+            if (++scanned > MAX_SEARCH_FILES || matches.length >= MAX_SEARCH_MATCHES) {
+                break;
+            }
+
+            let content: string;
+            try {
+                content = await this._readText(relative);
+            } catch {
+                continue;
+            }
+            content.split('\n').forEach((line, index) => {
+                if (matches.length < MAX_SEARCH_MATCHES && matcher(line)) {
+                    matches.push(`${relative}:${index + 1}: ${line.trim().slice(0, MAX_MATCH_CHARS)}`);
+                    matchedFiles.add(relative);
+                }
+            });
+        }
+
+        const capped = matches.length >= MAX_SEARCH_MATCHES ? `\n(Stopped at ${MAX_SEARCH_MATCHES} matches; narrow the query or path.)` : '';
+        return {
+            title: `Searched for "${query}"${scope ? ` in ${scope}` : ''} (${matches.length} ${matches.length === 1 ? 'match' : 'matches'} in ${matchedFiles.size} ${matchedFiles.size === 1 ? 'file' : 'files'})`,
+            output: matches.length > 0 ? `${matches.join('\n')}${capped}` : '(no matches)',
+        };
+    }
+
+    private async _getDiagnostics(args: Record<string, unknown>): Promise<ToolResult> {
+        const scope = await this._checkPath(args.path, true);
+        const ignore = await this._ignoreMatcher();
+
+        const problems: string[] = [];
+        for (const [uri, diagnostics] of vscode.languages.getDiagnostics()) {
+            const relative = this._relative(uri);
+            if (!relative || ignore(relative) || (scope && relative !== scope && !relative.startsWith(`${scope}/`))) {
+                continue;
+            }
+            for (const diagnostic of diagnostics) {
+                const { line, character } = diagnostic.range.start;
+                const source = diagnostic.source ? ` (${diagnostic.source})` : '';
+                problems.push(`${relative}:${line + 1}:${character + 1} ${SEVERITY_NAMES[diagnostic.severity] ?? 'info'}: ${diagnostic.message}${source}`);
+            }
+        }
+
+        const shown = problems.slice(0, MAX_DIAGNOSTICS);
+        const more = problems.length > shown.length ? `\n… and ${problems.length - shown.length} more` : '';
+        return {
+            title: `Read diagnostics${scope ? ` for ${scope}` : ''} (${problems.length} ${problems.length === 1 ? 'problem' : 'problems'})`,
+            output: shown.length > 0 ? `${shown.join('\n')}${more}` : '(no problems reported)',
+        };
+    }
+
+    /**
+     * Checks a path argument against the workspace and the ignore rules.
+     * @param optional Whether the workspace root may be meant (the argument is missing or empty)
+     */
+    private async _checkPath(value: unknown, optional: boolean): Promise<string> {
+        const relative = toWorkspacePath(value);
+        if (relative === undefined) {
+            throw new ToolError(`"${String(value)}" is outside the workspace.`);
+        }
+        if (!relative && !optional) {
+            return relative;
+        }
+        if (relative && (await this._ignoreMatcher())(relative)) {
+            throw new ToolError(`${relative} is excluded from what the assistant may read.`);
+        }
+        return relative;
+    }
+
+    private async _readText(relative: string): Promise<string> {
+        const uri = this._uri(relative);
+        let stat: vscode.FileStat;
+        try {
+            stat = await vscode.workspace.fs.stat(uri);
+        } catch {
+            throw new ToolError(`${relative} does not exist.`);
+        }
+        if ((stat.type & vscode.FileType.Directory) !== 0) {
+            throw new ToolError(`${relative} is a folder; use list_directory.`);
+        }
+        if (stat.size > MAX_FILE_BYTES) {
+            throw new ToolError(`${relative} is too large to read (${stat.size} bytes).`);
+        }
+
+        const content = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+        if (content.includes('\0')) {
+            throw new ToolError(`${relative} is not a text file.`);
+        }
+        return this._options.redact(relative, content);
+    }
+
+    private _ignoreMatcher(): Promise<IgnoreMatcher> {
+        if (!this._ignore) {
+            this._ignore = Promise.resolve(vscode.workspace.fs.readFile(this._uri('.gitignore')))
+                .then(bytes => Buffer.from(bytes).toString('utf8'), () => '')
+                .then(gitignore => createIgnoreMatcher(gitignore, this._options.exclude));
+        }
+        return this._ignore;
+    }
+
+    private _uri(relative: string): vscode.Uri {
+        return relative ? vscode.Uri.joinPath(this._options.root, relative) : this._options.root;
+    }
+
+    /** Workspace-relative path of a URI, or undefined outside the workspace folder. */
+    private _relative(uri: vscode.Uri): string | undefined {
+        const relative = path.posix.relative(this._options.root.path, uri.path);
+        return relative && !relative.startsWith('..') ? relative : undefined;
+    }
+}
@@ -0,0 +1,518 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as path from 'path';
+import { AddressInfo } from 'net';
+import {
+    appendConversationMessages,
+    callBackendAPI,
+    createConversation,
+    fetchDependencies,
+    getConversation,
+    listConversations,
+    requestCommitMessage,
+    requestCompletion,
+    requestExplanation,
+} from '../src/backendClient';
+import { BACKEND_ERROR_CODES } from '../src/types';
+import type {
+    BackendErrorDetail,
+    BackendResponse,
+    BackendStreamEvent,
+    Citation,
+    CitationStatus,
+    CommitMessageResponse,
+    CompletionRequest,
+    CompletionResponse,
+    Conversation,
+    ConversationMessage,
+    ConversationSummary,
+    ConversationTurn,
+    DependencyLink,
+    DiagnosticRelatedLocation,
+    DiagnosticSeverity,
+    EditHunk,
+    EditStatus,
+    EditorDiagnostic,
+    ExplanationRequest,
+    ExplanationResponse,
+    FileDependencies,
+    FileEdit,
+    FileManifestEntry,
+    FileRedactions,
+    GitChanges,
+    GitCommit,
+    GitFileStatus,
+    RedactionFinding,
+    RedactionSummary,
+    RequestMode,
+    ReviewComment,
+    ReviewSeverity,
+    ReviewSuggestion,
+    ToolCall,
+    ToolStep,
+    UnresolvedImport,
+    WorkspaceFile,
+} from '../src/types';
+
+/**
+ * Checks the request and response types in src/types.ts against the backend's
+ * OpenAPI document (backend/openapi.json, written by `npm run openapi` in the
+ * backend). The field maps below are typed against the TypeScript types, so a
+ * field added to or removed from a type fails to compile until the map is
+ * updated; the tests then compare the maps with the document.
+ */
+
+interface JsonSchema {
+    type?: string | string[];
+    enum?: string[];
+    required?: string[];
+    properties?: Record<string, JsonSchema>;
+    items?: JsonSchema;
+    $ref?: string;
+}
+
+const openApi = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', '..', 'backend', 'openapi.json'), 'utf8'));
+
+/** Keys of `T` that are not optional. */
+type RequiredKeys<T> = { [K in keyof T]-?: Record<string, never> extends Pick<T, K> ? never : K }[keyof T];
+
+type FieldMap<T> = { [K in keyof T]-?: K extends RequiredKeys<T> ? 'required' : 'optional' };
+
+function component(name: string): JsonSchema {
+    const schema = openApi.components.schemas[name];
+    expect(schema, `components.schemas.${name}`).to.be.an('object');
+    return schema;
+}
+
+/** Follows a `$ref` to its component. */
+function resolve(schema: JsonSchema): JsonSchema {
+    return schema.$ref ? component(schema.$ref.split('/').pop() as string) : schema;
+}
+
+function expectFields<T>(schema: JsonSchema, fields: FieldMap<T>): void {
+    const declared = Object.keys(schema.properties ?? {}).sort();
+    const required = [...(schema.required ?? [])].sort();
+
+    expect(Object.keys(fields).sort()).to.deep.equal(declared);
+    expect(Object.keys(fields).filter(field => fields[field as keyof T] === 'required').sort()).to.deep.equal(required);
+}
+
+function expectEnum<T extends string>(schema: JsonSchema, values: Record<T, true>): void {
+    expect(Object.keys(values).sort()).to.deep.equal([...(schema.enum ?? [])].sort());
+}
+
+function jsonType(value: unknown): string {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+describe('API contract (backend/openapi.json)', () => {
+    describe('enums', () => {
+        it('knows every error code the backend sends', () => {
+            expect([...BACKEND_ERROR_CODES].sort()).to.deep.equal([...(component('ErrorResponse').properties?.code.enum ?? [])].sort());
+        });
+
+        it('matches the citation and edit statuses and the review severities', () => {
+            expectEnum<CitationStatus>(component('Citation').properties!.status, {
+                verified: true,
+                corrected: true,
+                unverified: true,
+                'invalid-line': true,
+                'unknown-file': true,
+                'out-of-context': true,
+            });
+            expectEnum<EditStatus>(component('EditHunk').properties!.status, {
+                applies: true,
+                'not-found': true,
+                ambiguous: true,
+                'unknown-file': true,
+                'file-exists': true,
+            });
+            expectEnum<EditStatus>(component('FileEdit').properties!.status, {
+                applies: true,
+                'not-found': true,
+                ambiguous: true,
+                'unknown-file': true,
+                'file-exists': true,
+            });
+            expectEnum<ReviewSeverity>(component('ReviewComment').properties!.severity, { error: true, warning: true, info: true });
+            expectEnum<CitationStatus>(component('ReviewComment').properties!.status, {
+                verified: true,
+                corrected: true,
+                unverified: true,
+                'invalid-line': true,
+                'unknown-file': true,
+                'out-of-context': true,
+            });
+        });
+
+        it('matches the request modes, history roles and stream event types', () => {
+            expectEnum<RequestMode>(component('UploadRequest').properties!.mode, { chat: true, edit: true, review: true });
+            expectEnum<ConversationTurn['role']>(component('HistoryMessage').properties!.role, { user: true, assistant: true });
+            expectEnum<BackendStreamEvent['type']>(component('StreamEventResponse').properties!.type, {
+                start: true,
+                chunk: true,
+                done: true,
+                tool_calls: true,
+                error: true,
+            });
+        });
+    });
+
+    describe('types', () => {
+        it('declares the fields of uploaded files and history', () => {
+            expectFields<WorkspaceFile>(component('WorkspaceFile'), { filename: 'required', content: 'required' });
+            expectFields<ConversationTurn>(component('HistoryMessage'), { role: 'required', content: 'required' });
+            expectFields<FileManifestEntry>(resolve(component('ManifestRequest').properties!.files.items!), {
+                filename: 'required',
+                hash: 'required',
+            });
+        });
+
+        it('declares the fields of citations and edits', () => {
+            expectFields<Citation>(component('Citation'), {
+                label: 'required',
+                path: 'required',
+                startLine: 'required',
+                endLine: 'required',
+                column: 'required',
+                snippet: 'required',
+                status: 'required',
+                citedLine: 'optional',
+                offset: 'required',
+                length: 'required',
+            });
+            expectFields<EditHunk>(component('EditHunk'), {
+                search: 'required',
+                replace: 'required',
+                startLine: 'required',
+                endLine: 'required',
+                status: 'required',
+            });
+            expectFields<FileEdit>(component('FileEdit'), { path: 'required', create: 'required', status: 'required', hunks: 'required' });
+        });
+
+        it('declares the fields of tool calls and steps', () => {
+            expectFields<ToolCall>(component('ToolCall'), { id: 'required', name: 'required', arguments: 'required', error: 'optional' });
+            expectFields<ToolStep>(component('ToolStep'), {
+                id: 'required',
+                name: 'required',
+                arguments: 'required',
+                output: 'optional',
+                error: 'optional',
+            });
+        });
+
+        it('declares the fields of redaction summaries and error details', () => {
+            const redactions = component('UploadResponse').properties!.metadata.properties!.redactions;
+            const files = redactions.properties!.files.items!;
+
+            expectFields<RedactionSummary>(redactions, { total: 'required', files: 'required' });
+            expectFields<FileRedactions>(files, { filename: 'required', findings: 'required' });
+            expectFields<RedactionFinding>(files.properties!.findings.items!, { type: 'required', line: 'required' });
+            expectFields<BackendErrorDetail>(component('ErrorResponse').properties!.details.items!, {
+                path: 'required',
+                code: 'required',
+                message: 'required',
+            });
+        });
+
+        it('declares the fields of file dependencies', () => {
+            const entry = component('DependenciesResponse').properties!.files.items!;
+
+            expectFields<FileDependencies>(entry, {
+                filename: 'required',
+                imports: 'required',
+                importedBy: 'required',
+                external: 'required',
+                unresolved: 'required',
+            });
+            expectFields<DependencyLink>(component('DependencyLink'), { filename: 'required', specifier: 'required', line: 'required' });
+            expectFields<UnresolvedImport>(component('UnresolvedImport'), { specifier: 'required', line: 'required' });
+        });
+
+        it('declares the fields of commit messages', () => {
+            expectFields<CommitMessageResponse>(component('CommitMessageResponse'), {
+                message: 'required',
+                summarizedFiles: 'required',
+                omittedFiles: 'required',
+                provider: 'required',
+            });
+        });
+
+        it('declares the fields of inline completions', () => {
+            expectFields<CompletionResponse>(component('CompleteResponse'), { completion: 'required', provider: 'required' });
+            const fields: FieldMap<CompletionRequest> = {
+                prefix: 'required',
+                suffix: 'required',
+                language: 'optional',
+                path: 'optional',
+                files: 'optional',
+            };
+
+            // The client always has a suffix, possibly empty, which it leaves out of the body
+            expect(Object.keys(component('CompleteRequest').properties!)).to.include.members(Object.keys(fields));
+            expect(component('CompleteRequest').required).to.deep.equal(['prefix']);
+        });
+
+        it('declares the fields of symbol explanations', () => {
+            const fields: FieldMap<ExplanationRequest> = {
+                code: 'required',
+                name: 'optional',
+                kind: 'optional',
+                language: 'optional',
+                path: 'optional',
+            };
+
+            expect(Object.keys(component('ExplainRequest').properties!).filter(field => field !== 'model').sort()).to.deep.equal(Object.keys(fields).sort());
+            expect(component('ExplainRequest').required).to.deep.equal(['code']);
+            expectFields<ExplanationResponse>(component('ExplainResponse'), { explanation: 'required', provider: 'required' });
+        });
+
+        it('declares the fields of conversations', () => {
+            const message: FieldMap<ConversationMessage> = { role: 'required', content: 'required', metadata: 'optional' };
+            const summary: FieldMap<ConversationSummary> = {
+                id: 'required',
+                title: 'required',
+                createdAt: 'required',
+                updatedAt: 'required',
+                messageCount: 'required',
+            };
+
+            expectFields<ConversationMessage>(component('AppendMessagesRequest').properties!.messages.items!, message);
+            expectFields<ConversationSummary>(component('ConversationSummaryResponse'), summary);
+            expectFields<Conversation>(component('ConversationResponse'), { ...summary, messages: 'required' });
+            expectFields<Conversation['messages'][number]>(component('ConversationResponse').properties!.messages.items!, { ...message, createdAt: 'required' });
+        });
+
+        it('declares the fields of git changes and review comments', () => {
+            const git = component('GitChanges');
+
+            expectFields<GitChanges>(git, {
+                branch: 'required',
+                status: 'required',
+                stagedDiff: 'required',
+                unstagedDiff: 'required',
+                recentCommits: 'required',
+                truncated: 'optional',
+            });
+            expectFields<GitFileStatus>(git.properties!.status.items!, { path: 'required', originalPath: 'optional', code: 'required' });
+            expectFields<GitCommit>(git.properties!.recentCommits.items!, { hash: 'required', subject: 'required' });
+            expectFields<ReviewComment>(component('ReviewComment'), {
+                path: 'required',
+                startLine: 'required',
+                endLine: 'required',
+                severity: 'required',
+                message: 'required',
+                status: 'required',
+                changed: 'required',
+                suggestion: 'optional',
+            });
+            expectFields<ReviewSuggestion>(component('ReviewComment').properties!.suggestion, { original: 'required', replacement: 'required' });
+        });
+
+        it('declares the fields of editor diagnostics', () => {
+            const diagnostic = component('Diagnostic');
+
+            expectFields<EditorDiagnostic>(diagnostic, {
+                path: 'required',
+                startLine: 'required',
+                endLine: 'required',
+                severity: 'required',
+                message: 'required',
+                source: 'optional',
+                code: 'optional',
+                related: 'optional',
+                snippet: 'optional',
+            });
+            expectFields<DiagnosticRelatedLocation>(diagnostic.properties!.related.items!, { path: 'required', line: 'required', message: 'required' });
+            expectFields<NonNullable<EditorDiagnostic['snippet']>>(diagnostic.properties!.snippet, { startLine: 'required', text: 'required' });
+            expectEnum<DiagnosticSeverity>(diagnostic.properties!.severity, { error: true, warning: true, information: true, hint: true });
+        });
+
+        it('reads only fields the upload responses declare', () => {
+            const fields: FieldMap<BackendResponse> = {
+                aiResponse: 'required',
+                citations: 'optional',
+                edits: 'optional',
+                comments: 'optional',
+                toolCalls: 'optional',
+            };
+            const declared = [
+                ...Object.keys(component('UploadResponse').properties!),
+                ...Object.keys(component('ToolCallsResponse').properties!),
+            ];
+
+            expect(declared).to.include.members(Object.keys(fields));
+        });
+    });
+
+    describe('requests', () => {
+        let server: http.Server;
+        let baseUrl: string;
+        const bodies: Record<string, unknown>[] = [];
+        const requests: string[] = [];
+
+        before(async () => {
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk: Buffer) => {
+                    body += chunk.toString();
+                });
+                req.on('end', () => {
+                    requests.push(`${req.method} ${req.url}`);
+                    if (body) {
+                        bodies.push(JSON.parse(body));
+                    }
+                    const conversation = { id: 'c1', title: 'Hi', createdAt: '', updatedAt: '', messageCount: 0, messages: [] };
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(req.url === '/conversations' && req.method === 'GET'
+                        ? { conversations: [conversation] }
+                        : req.url?.startsWith('/conversations')
+                        ? conversation
+                        : req.url === '/dependencies'
+                        ? { files: [] }
+                        : req.url === '/complete'
+                        ? { completion: 'a + b;', provider: 'echo' }
+                        : req.url === '/explain'
+                        ? { explanation: 'Adds two numbers.', provider: 'echo' }
+                        : { message: 'ok', aiResponse: 'Answer', citations: [], summarizedFiles: [], omittedFiles: [] }));
+                });
+            });
+            await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+        });
+
+        after(async () => {
+            await new Promise<void>(resolve => server.close(() => resolve()));
+        });
+
+        it('sends upload bodies with declared fields of the declared types', async () => {
+            const files = [{ filename: 'src/app.ts', content: 'const a = 1;' }];
+            await callBackendAPI('Explain', files, baseUrl);
+            await callBackendAPI('Fix it', files, baseUrl, {
+                sessionId: 'session-1',
+                model: 'echo',
+                history: [{ role: 'user', content: 'Hi' }],
+                currentFile: 'src/app.ts',
+                mode: 'edit',
+                git: { branch: 'main', status: [{ path: 'src/app.ts', code: ' M' }], stagedDiff: '', unstagedDiff: '', recentCommits: [] },
+                diagnostics: [{ path: 'src/app.ts', startLine: 1, endLine: 1, severity: 'error', message: "Cannot find name 'b'." }],
+                tools: true,
+                toolSteps: [{ id: 'call-1', name: 'read_file', arguments: { path: 'src/app.ts' }, output: '1 | const a = 1;' }],
+            });
+
+            const schema = component('UploadRequest');
+            expect(Object.keys(bodies[1]).sort()).to.deep.equal(Object.keys(schema.properties!).filter(field => field !== 'files').sort());
+            bodies.forEach((body) => {
+                expect(body).to.include.keys(schema.required!);
+                Object.entries(body).forEach(([field, value]) => {
+                    const declared = schema.properties![field];
+                    expect(declared, `UploadRequest.${field}`).to.be.an('object');
+                    if (declared.type) {
+                        expect([declared.type].flat(), `UploadRequest.${field}`).to.include(jsonType(value));
+                    } else if (declared.enum) {
+                        expect(declared.enum).to.include(value);
+                    }
+                });
+            });
+        });
+
+        it('sends dependency bodies with declared fields', async () => {
+            bodies.length = 0;
+            await fetchDependencies(baseUrl, 'src/app.ts', [{ filename: 'src/app.ts', content: 'import "./b";' }]);
+            await fetchDependencies(baseUrl, 'src/app.ts', [], { sessionId: 'session-1' });
+
+            const schema = component('DependenciesRequest');
+            expect(bodies.map(body => Object.keys(body).sort())).to.deep.equal([['filename', 'files'], ['filename', 'sessionId']]);
+            bodies.forEach(body => expect(Object.keys(schema.properties!)).to.include.members(Object.keys(body)));
+        });
+
+        it('sends commit message bodies with declared fields', async () => {
+            bodies.length = 0;
+            await requestCommitMessage(baseUrl, '+a');
+            await requestCommitMessage(baseUrl, '+a', { template: '# Ticket:', model: 'echo' });
+
+            const schema = component('CommitMessageRequest');
+            expect(bodies.map(body => Object.keys(body).sort())).to.deep.equal([['diff'], ['diff', 'model', 'template']]);
+            bodies.forEach(body => expect(body).to.include.keys(schema.required!));
+            bodies.forEach(body => expect(Object.keys(schema.properties!)).to.include.members(Object.keys(body)));
+        });
+
+        it('sends completion bodies with declared fields', async () => {
+            bodies.length = 0;
+            expect(await requestCompletion(baseUrl, { prefix: 'const total = ', suffix: '' })).to.equal('a + b;');
+            await requestCompletion(baseUrl, {
+                prefix: 'const total = ',
+                suffix: ';\n',
+                language: 'typescript',
+                path: 'src/app.ts',
+                files: [{ filename: 'src/math.ts', content: 'export const a = 1;' }],
+            }, { model: 'echo' });
+
+            const schema = component('CompleteRequest');
+            expect(bodies.map(body => Object.keys(body).sort())).to.deep.equal([
+                ['prefix'],
+                ['files', 'language', 'model', 'path', 'prefix', 'suffix'],
+            ]);
+            bodies.forEach(body => expect(body).to.include.keys(schema.required!));
+            bodies.forEach(body => expect(Object.keys(schema.properties!)).to.include.members(Object.keys(body)));
+        });
+
+        it('sends explanation bodies with declared fields', async () => {
+            bodies.length = 0;
+            expect(await requestExplanation(baseUrl, { code: 'const a = 1;' })).to.equal('Adds two numbers.');
+            await requestExplanation(baseUrl, {
+                code: 'function add(a, b) { return a + b; }',
+                name: 'add',
+                kind: 'function',
+                language: 'javascript',
+                path: 'src/math.js',
+            }, { model: 'echo' });
+
+            const schema = component('ExplainRequest');
+            expect(bodies.map(body => Object.keys(body).sort())).to.deep.equal([
+                ['code'],
+                ['code', 'kind', 'language', 'model', 'name', 'path'],
+            ]);
+            bodies.forEach(body => expect(body).to.include.keys(schema.required!));
+            bodies.forEach(body => expect(Object.keys(schema.properties!)).to.include.members(Object.keys(body)));
+        });
+
+        it('sends conversation requests with declared fields', async () => {
+            bodies.length = 0;
+            requests.length = 0;
+            const messages: ConversationMessage[] = [
+                { role: 'user', content: 'Hi' },
+                { role: 'assistant', content: 'Hello!', metadata: { citations: [] } },
+            ];
+
+            await createConversation(baseUrl, messages);
+            await appendConversationMessages(baseUrl, 'c 1', messages.slice(1));
+            expect(await listConversations(baseUrl)).to.have.length(1);
+            expect((await getConversation(baseUrl, 'c1')).id).to.equal('c1');
+
+            expect(requests).to.deep.equal([
+                'POST /conversations',
+                'POST /conversations/c%201/messages',
+                'GET /conversations',
+                'GET /conversations/c1',
+            ]);
+            expect(bodies).to.have.length(2);
+            for (const [body, name] of [[bodies[0], 'CreateConversationRequest'], [bodies[1], 'AppendMessagesRequest']] as const) {
+                expect(Object.keys(component(name).properties!)).to.include.members(Object.keys(body));
+                const items = component(name).properties!.messages.items!;
+                (body.messages as Record<string, unknown>[]).forEach(message => {
+                    expect(message).to.include.keys(items.required!);
+                    expect(Object.keys(items.properties!)).to.include.members(Object.keys(message));
+                });
+            }
+        });
+    });
+});
@@ -0,0 +1,119 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('ApiKeyStore', () => {
+    interface LegacySettings {
+        globalValue?: string;
+        workspaceValue?: string;
+        folderValues?: (string | undefined)[];
+    }
+
+    function createStore(stored: string | undefined, legacy: LegacySettings = {}) {
+        const secrets = {
+            get: sinon.stub().resolves(stored),
+            store: sinon.stub().resolves(undefined),
+            delete: sinon.stub().resolves(undefined),
+        };
+        const configuration = {
+            inspect: sinon.stub().returns({ globalValue: legacy.globalValue, workspaceValue: legacy.workspaceValue }),
+            update: sinon.stub().resolves(undefined),
+        };
+        const folders = (legacy.folderValues ?? []).map((value, index) => ({
+            uri: { fsPath: `/folder${index}` },
+            configuration: {
+                inspect: sinon.stub().returns({ workspaceFolderValue: value }),
+                update: sinon.stub().resolves(undefined),
+            },
+        }));
+        const getConfiguration = sinon.stub().returns(configuration);
+        for (const folder of folders) {
+            getConfiguration.withArgs('ai-chatbot', folder.uri).returns(folder.configuration);
+        }
+        const vscodeStub = {
+            workspace: {
+                getConfiguration,
+                workspaceFolders: folders.map(({ uri }) => ({ uri })),
+                workspaceFile: folders.length > 0 ? { fsPath: '/app.code-workspace' } : undefined,
+            },
+            window: {
+                showInputBox: sinon.stub(),
+                showInformationMessage: sinon.stub(),
+                showWarningMessage: sinon.stub(),
+            },
+            ConfigurationTarget: { Global: 1, Workspace: 2, WorkspaceFolder: 3 },
+        };
+        const { ApiKeyStore } = proxyquire('../src/apiKeyStore', {
+            vscode: vscodeStub,
+            './config': { CONFIG: { API_KEY_SECRET: 'test.apiKey' } },
+        });
+        return { store: new ApiKeyStore(secrets), secrets, configuration, folders, vscodeStub };
+    }
+
+    it('reads the key from secret storage', async () => {
+        const { store, configuration } = createStore('sk-secret');
+
+        expect(await store.getApiKey()).to.equal('sk-secret');
+        expect(configuration.inspect.called).to.be.false;
+    });
+
+    it('moves a key from the deprecated setting into secret storage', async () => {
+        const { store, secrets, configuration } = createStore(undefined, { globalValue: ' sk-legacy ' });
+
+        expect(await store.getApiKey()).to.equal('sk-legacy');
+        expect(secrets.store.calledOnceWithExactly('test.apiKey', 'sk-legacy')).to.be.true;
+        expect(configuration.update.calledOnceWithExactly('apiKey', undefined, 1)).to.be.true;
+    });
+
+    it('clears the deprecated setting in workspace and folder settings too', async () => {
+        const { store, secrets, configuration, folders } = createStore(undefined, {
+            globalValue: 'sk-user',
+            workspaceValue: 'sk-workspace',
+            folderValues: [undefined, 'sk-folder'],
+        });
+
+        // Folder settings take precedence, as they do for VS Code
+        expect(await store.getApiKey()).to.equal('sk-folder');
+        expect(secrets.store.calledOnceWithExactly('test.apiKey', 'sk-folder')).to.be.true;
+        expect(configuration.update.args).to.deep.equal([['apiKey', undefined, 2], ['apiKey', undefined, 1]]);
+        expect(folders[0].configuration.update.called).to.be.false;
+        expect(folders[1].configuration.update.calledOnceWithExactly('apiKey', undefined, 3)).to.be.true;
+    });
+
+    it('warns when the deprecated setting cannot be cleared', async () => {
+        const { store, configuration, vscodeStub } = createStore(undefined, { workspaceValue: 'sk-legacy' });
+        const warn = sinon.stub(console, 'warn');
+        configuration.update.rejects(new Error('Unable to write into workspace settings'));
+
+        try {
+            expect(await store.getApiKey()).to.equal('sk-legacy');
+        } finally {
+            warn.restore();
+        }
+        expect(vscodeStub.window.showWarningMessage.calledOnce).to.be.true;
+        expect(vscodeStub.window.showWarningMessage.firstCall.args[0]).to.contain('ai-chatbot.apiKey');
+    });
+
+    it('returns undefined when no key is configured', async () => {
+        const { store, secrets } = createStore(undefined);
+
+        expect(await store.getApiKey()).to.be.undefined;
+        expect(secrets.store.called).to.be.false;
+    });
+
+    it('stores a prompted key and removes the key for an empty value', async () => {
+        const { store, secrets, vscodeStub } = createStore(undefined);
+        vscodeStub.window.showInputBox.onFirstCall().resolves('sk-new');
+        vscodeStub.window.showInputBox.onSecondCall().resolves('');
+        vscodeStub.window.showInputBox.onThirdCall().resolves(undefined);
+
+        expect(await store.promptForApiKey()).to.be.true;
+        expect(await store.promptForApiKey()).to.be.true;
+        expect(await store.promptForApiKey()).to.be.false;
+
+        expect(vscodeStub.window.showInputBox.firstCall.args[0].password).to.be.true;
+        expect(secrets.store.calledOnceWithExactly('test.apiKey', 'sk-new')).to.be.true;
+        expect(secrets.delete.calledOnceWithExactly('test.apiKey')).to.be.true;
+    });
+});
@@ -0,0 +1,51 @@
+import { expect } from 'chai';
+import { describeBackendError } from '../src/backendErrors';
+import { BACKEND_ERROR_CODES, BackendApiError, BackendHttpError } from '../src/types';
+
+describe('describeBackendError', () => {
+    it('has a warning message for every backend error code', () => {
+        for (const code of BACKEND_ERROR_CODES) {
+            const described = describeBackendError(new BackendApiError(400, code, 'details'));
+
+            expect(described?.message, code).to.match(/^⚠️ /);
+        }
+    });
+
+    it('includes the backend message where it names the problem', () => {
+        const described = describeBackendError(new BackendApiError(
+            400,
+            'INVALID_PATH',
+            'Invalid request: files[0].filename must be a relative path inside the workspace',
+        ));
+
+        expect(described).to.deep.equal({
+            message: '⚠️ A workspace file has a path the backend refuses: Invalid request: files[0].filename must be a relative path inside the workspace.',
+            action: undefined,
+        });
+    });
+
+    it('offers the settings for problems the user can fix there', () => {
+        for (const code of ['FILE_TOO_LARGE', 'TOO_MANY_FILES', 'UNKNOWN_MODEL', 'PROVIDER_UNAVAILABLE'] as const) {
+            expect(describeBackendError(new BackendApiError(400, code, 'details'))?.action, code).to.equal('openSettings');
+        }
+    });
+
+    it('tells rate-limited users how long to wait', () => {
+        const described = describeBackendError(new BackendApiError(429, 'RATE_LIMITED', 'Too many requests', [], 7));
+
+        expect(described?.message).to.contain('Wait 7 seconds');
+    });
+
+    it('offers to update the API key for coded and uncoded auth errors', () => {
+        const coded = describeBackendError(new BackendApiError(401, 'AUTH_REQUIRED', 'Authentication required'));
+        const uncoded = describeBackendError(new BackendHttpError(403, 'Forbidden'));
+
+        expect(coded).to.deep.equal({ message: '⚠️ The backend requires an API key. Set one to continue.', action: 'updateApiKey' });
+        expect(uncoded).to.deep.equal({ message: '⚠️ The backend rejected the API key. Update it to continue.', action: 'updateApiKey' });
+    });
+
+    it('leaves other errors to the generic message', () => {
+        expect(describeBackendError(new BackendHttpError(500, 'Internal Server Error'))).to.equal(undefined);
+        expect(describeBackendError(new Error('socket hang up'))).to.equal(undefined);
+    });
+});
@@ -26,7 +26,7 @@ describe('Cloud integration: deployed backend', function () {
 
         const result = await callBackendAPI(prompt, files, configuredBackendUrl);
 
-        expect(result).to.be.a('string');
-        expect(result.trim().length).to.be.greaterThan(0);
+        expect(result.aiResponse).to.be.a('string');
+        expect(result.aiResponse.trim().length).to.be.greaterThan(0);
     });
 });
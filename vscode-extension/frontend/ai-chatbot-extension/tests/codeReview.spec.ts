@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import { buildFollowUpPrompt, checkSuggestion, toSarif } from '../src/codeReview';
+import type { ReviewComment } from '../src/types';
+
+describe('codeReview', () => {
+    const finding: ReviewComment = {
+        path: 'src/cart.ts',
+        startLine: 2,
+        endLine: 3,
+        severity: 'warning',
+        message: 'Prices are summed as floats',
+        status: 'verified',
+        changed: true,
+        suggestion: { original: '  let sum = 0;\n  add(sum);', replacement: '  const sum = cents(items);' },
+    };
+    const text = 'function total() {\n  let sum = 0;\n  add(sum);\n}\n';
+
+    describe('checkSuggestion', () => {
+        it('accepts suggestions for unchanged lines, whatever the line endings', () => {
+            expect(checkSuggestion(finding, text)).to.equal(undefined);
+            expect(checkSuggestion(finding, text.replace(/\n/g, '\r\n'))).to.equal(undefined);
+        });
+
+        it('refuses lines that changed or moved since the review', () => {
+            expect(checkSuggestion(finding, text.replace('let sum', 'var sum'))).to.contain('changed since the review');
+            expect(checkSuggestion(finding, `// header\n${text}`)).to.contain('changed since the review');
+            expect(checkSuggestion({ ...finding, startLine: 9, endLine: 10 }, text)).to.contain('changed since the review');
+            expect(checkSuggestion(finding, undefined)).to.equal('src/cart.ts no longer exists.');
+        });
+
+        it('refuses findings without a suggestion and suggestions touching redacted secrets', () => {
+            const { suggestion, ...plain } = finding;
+            const secret = { ...finding, suggestion: { ...suggestion!, replacement: 'key = "[REDACTED:aws-access-key]"' } };
+
+            expect(checkSuggestion(plain, text)).to.equal('The finding has no suggested change.');
+            expect(checkSuggestion(secret, text)).to.contain('redacted');
+        });
+    });
+
+    describe('buildFollowUpPrompt', () => {
+        it('names the finding the question is about', () => {
+            expect(buildFollowUpPrompt(finding, ' Why floats? ')).to.equal(
+                'About your review finding at src/cart.ts:2-3 ([warning] Prices are summed as floats): Why floats?',
+            );
+            expect(buildFollowUpPrompt({ ...finding, endLine: 2 }, 'How?')).to.contain('at src/cart.ts:2 (');
+        });
+    });
+
+    describe('toSarif', () => {
+        it('writes one result per finding, with suggestions as fixes', () => {
+            const located = { ...finding, suggestion: undefined, severity: 'info' as const, changed: false };
+            const unlocated = { ...finding, startLine: null, endLine: null, suggestion: undefined, status: 'unknown-file' as const };
+
+            const sarif = toSarif([finding, located, unlocated], { rootUri: 'file:///work', toolVersion: '1.2.0' });
+
+            expect(sarif.version).to.equal('2.1.0');
+            const [run] = sarif.runs;
+            expect(run.tool.driver).to.include({ name: 'AI Chatbot Review', version: '1.2.0' });
+            expect(run.originalUriBaseIds).to.deep.equal({ SRCROOT: { uri: 'file:///work/' } });
+            expect(run.results.map(result => result.level)).to.deep.equal(['warning', 'note', 'warning']);
+            expect(run.results[0]).to.deep.include({
+                ruleId: 'ai-review',
+                message: { text: 'Prices are summed as floats' },
+                locations: [{ physicalLocation: { artifactLocation: { uri: 'src/cart.ts', uriBaseId: 'SRCROOT' }, region: { startLine: 2, endLine: 3 } } }],
+                properties: { changed: true, citationStatus: 'verified' },
+            });
+            expect(run.results[0].fixes![0].artifactChanges[0].replacements).to.deep.equal([
+                { deletedRegion: { startLine: 2, endLine: 3 }, insertedContent: { text: '  const sum = cents(items);' } },
+            ]);
+            expect(run.results[1]).to.not.have.property('fixes');
+            expect(run.results[2].locations[0].physicalLocation).to.not.have.property('region');
+        });
+
+        it('leaves out the tool version and base URI when they are not known', () => {
+            const [run] = toSarif([]).runs;
+
+            expect(run.tool.driver).to.not.have.property('version');
+            expect(run).to.not.have.property('originalUriBaseIds');
+            expect(run.results).to.deep.equal([]);
+        });
+    });
+});
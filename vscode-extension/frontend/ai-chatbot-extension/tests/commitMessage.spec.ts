@@ -0,0 +1,115 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import * as os from 'os';
+import * as path from 'path';
+import type { GitAPI, GitRepository } from '../src/commitMessage';
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+function uri(fsPath: string) {
+    return { fsPath, toString: () => fsPath };
+}
+
+function loadCommitMessage(files: Record<string, string> = {}, gitExtension?: unknown) {
+    const vscodeStub = {
+        Uri: {
+            file: (fsPath: string) => uri(fsPath),
+            joinPath: (base: {fsPath: string}, ...segments: string[]) => uri(path.join(base.fsPath, ...segments)),
+        },
+        workspace: {
+            fs: {
+                readFile: sinon.stub().callsFake(async (file: {fsPath: string}) => {
+                    if (!(file.fsPath in files)) {
+                        throw new Error('ENOENT');
+                    }
+                    return Buffer.from(files[file.fsPath], 'utf8');
+                }),
+            },
+        },
+        extensions: {
+            getExtension: sinon.stub().returns(gitExtension),
+        },
+    };
+    return { module: proxyquire('../src/commitMessage', { vscode: vscodeStub }), vscodeStub };
+}
+
+function repository(root: string, template?: string): GitRepository {
+    return {
+        rootUri: uri(root) as any,
+        inputBox: { value: '' },
+        diff: sinon.stub().resolves(''),
+        getConfig: template === undefined ? sinon.stub().rejects(new Error('exit code 1')) : sinon.stub().resolves(template),
+    };
+}
+
+describe('commitMessage', () => {
+    describe('getGitAPI', () => {
+        it('activates the Git extension and returns its API', async () => {
+            const api = { repositories: [] };
+            const git = { enabled: true, getAPI: sinon.stub().returns(api) };
+            const extension = { isActive: false, activate: sinon.stub().resolves(git) };
+            const { module, vscodeStub } = loadCommitMessage({}, extension);
+
+            expect(await module.getGitAPI()).to.equal(api);
+            expect(vscodeStub.extensions.getExtension.calledOnceWithExactly('vscode.git')).to.be.true;
+            expect(git.getAPI.calledOnceWithExactly(1)).to.be.true;
+        });
+
+        it('returns undefined when the Git extension is missing or disabled', async () => {
+            const disabled = { isActive: true, exports: { enabled: false, getAPI: sinon.stub() } };
+
+            expect(await loadCommitMessage().module.getGitAPI()).to.equal(undefined);
+            expect(await loadCommitMessage({}, disabled).module.getGitAPI()).to.equal(undefined);
+        });
+    });
+
+    describe('findRepository', () => {
+        const { findRepository } = loadCommitMessage().module;
+        const first = repository('/repos/a');
+        const second = repository('/repos/b');
+        const api: GitAPI = {
+            repositories: [first, second],
+            getRepository: (file: any) => [first, second].find(candidate => file.fsPath.startsWith(candidate.rootUri.fsPath)) ?? null,
+        };
+
+        it('prefers the Source Control view the command was run from, then the active file', () => {
+            expect(findRepository(api, { rootUri: uri('/repos/b') }, uri('/repos/a/x.ts'))).to.equal(second);
+            expect(findRepository(api, undefined, uri('/repos/b/src/y.ts'))).to.equal(second);
+            expect(findRepository(api, undefined, uri('/elsewhere/z.ts'))).to.equal(first);
+        });
+
+        it('returns the only repository, or none', () => {
+            expect(findRepository({ ...api, repositories: [second] })).to.equal(second);
+            expect(findRepository({ repositories: [], getRepository: () => null })).to.equal(undefined);
+        });
+    });
+
+    describe('readCommitTemplate', () => {
+        it('reads the file commit.template names, relative to the repository root or the home folder', async () => {
+            const home = path.join(os.homedir(), '.config', 'git', 'message.txt');
+            const { readCommitTemplate } = loadCommitMessage({
+                [path.join('/repo', '.github', 'commit.txt')]: '# Subject\n\n# Ticket:\n',
+                [home]: 'feat: \n',
+                '/etc/commit.txt': 'absolute',
+            }).module;
+
+            expect(await readCommitTemplate(repository('/repo', '.github/commit.txt'))).to.equal('# Subject\n\n# Ticket:');
+            expect(await readCommitTemplate(repository('/repo', '~/.config/git/message.txt'))).to.equal('feat:');
+            expect(await readCommitTemplate(repository('/repo', '/etc/commit.txt'))).to.equal('absolute');
+        });
+
+        it('falls back to .gitmessage at the root and to no template', async () => {
+            const { readCommitTemplate } = loadCommitMessage({ [path.join('/repo', '.gitmessage')]: 'fix: ' }).module;
+
+            expect(await readCommitTemplate(repository('/repo'))).to.equal('fix:');
+            expect(await readCommitTemplate(repository('/other'))).to.equal(undefined);
+            expect(await readCommitTemplate(repository('/repo', 'missing.txt'))).to.equal(undefined);
+        });
+
+        it('keeps templates within the length the backend accepts', async () => {
+            const { readCommitTemplate } = loadCommitMessage({ [path.join('/repo', '.gitmessage')]: 'x'.repeat(20000) }).module;
+
+            expect(await readCommitTemplate(repository('/repo'))).to.have.length(10000);
+        });
+    });
+});
@@ -0,0 +1,187 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import * as types from '../src/types';
+import { ChatMessage } from '../src/types';
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('ConversationSync', () => {
+    let sandbox: sinon.SinonSandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    const backendUrl = 'http://localhost:3001';
+
+    function createStorage(initial: Record<string, unknown> = {}) {
+        const values: Record<string, unknown> = { ...initial };
+        return {
+            values,
+            get: (key: string) => values[key],
+            update: sandbox.stub().callsFake(async (key: string, value: unknown) => {
+                values[key] = value;
+            }),
+        };
+    }
+
+    function conversation(id: string, messages: types.ConversationMessage[]) {
+        return {
+            id,
+            title: 'Hi',
+            createdAt: '2024-01-15T10:00:00.000Z',
+            updatedAt: '2024-01-15T10:00:00.000Z',
+            messageCount: messages.length,
+            messages: messages.map(message => ({ ...message, createdAt: '2024-01-15T10:00:00.000Z' })),
+        };
+    }
+
+    function setupHarness(initial: Record<string, unknown> = {}) {
+        const backendClientStub = {
+            createConversation: sandbox.stub().callsFake(async (_url: string, messages: types.ConversationMessage[]) => conversation('c1', messages)),
+            appendConversationMessages: sandbox.stub().resolves({ id: 'c1' }),
+            listConversations: sandbox.stub().resolves([]),
+            getConversation: sandbox.stub(),
+        };
+        const storage = createStorage(initial);
+        const module = proxyquire('../src/conversationSync', {
+            vscode: {},
+            './backendClient': backendClientStub,
+            './config': { CONFIG: { CONVERSATION_KEY: 'conversation' } },
+            './types': types,
+        });
+        return { sync: new module.ConversationSync(storage), module, backendClientStub, storage };
+    }
+
+    const question: ChatMessage = { type: 'user', content: 'Where is the total computed?' };
+    const answer: ChatMessage = {
+        type: 'ai',
+        content: 'In `total`.',
+        citations: [{
+            label: 'src/cart.ts:3-5',
+            path: 'src/cart.ts',
+            startLine: 3,
+            endLine: 5,
+            column: null,
+            snippet: null,
+            status: 'verified',
+            offset: 3,
+            length: 7,
+        }],
+    };
+
+    it('creates the conversation with the first messages and appends later ones', async () => {
+        const { sync, backendClientStub, storage } = setupHarness();
+
+        await sync.save([question], backendUrl, 'key');
+        await sync.save([question, answer], backendUrl, 'key');
+        await sync.save([question, answer], backendUrl, 'key');
+
+        expect(backendClientStub.createConversation.calledOnceWithExactly(backendUrl, [
+            { role: 'user', content: 'Where is the total computed?' },
+        ], 'key')).to.be.true;
+        expect(backendClientStub.appendConversationMessages.calledOnceWithExactly(backendUrl, 'c1', [
+            { role: 'assistant', content: 'In `total`.', metadata: { citations: answer.citations } },
+        ], 'key')).to.be.true;
+        expect(storage.values.conversation).to.deep.equal({ id: 'c1', synced: 2 });
+    });
+
+    it('sends each message once when saves overlap', async () => {
+        const { sync, backendClientStub } = setupHarness();
+
+        await Promise.all([
+            sync.save([question], backendUrl, 'key'),
+            sync.save([question, answer], backendUrl, 'key'),
+        ]);
+
+        expect(backendClientStub.createConversation.calledOnce).to.be.true;
+        expect(backendClientStub.appendConversationMessages.firstCall.args[2]).to.have.length(1);
+    });
+
+    it('starts a new conversation after the chat is cleared', async () => {
+        const { sync, backendClientStub, storage } = setupHarness({ conversation: { id: 'c0', synced: 4 } });
+
+        await sync.save([], backendUrl, 'key');
+        expect(storage.values.conversation).to.deep.equal({ synced: 0 });
+        expect(await sync.load(backendUrl, 'key')).to.deep.equal([]);
+        expect(backendClientStub.getConversation.called).to.be.false;
+
+        await sync.save([question], backendUrl, 'key');
+        expect(backendClientStub.createConversation.calledOnce).to.be.true;
+        expect(backendClientStub.appendConversationMessages.called).to.be.false;
+        expect(storage.values.conversation).to.deep.equal({ id: 'c1', synced: 1 });
+    });
+
+    it('syncs nothing without an API key', async () => {
+        const { sync, backendClientStub, storage } = setupHarness({ conversation: { id: 'c0', synced: 1 } });
+
+        await sync.save([question, answer], backendUrl);
+        expect(await sync.load(backendUrl)).to.deep.equal([]);
+        expect(backendClientStub.createConversation.called).to.be.false;
+        expect(backendClientStub.appendConversationMessages.called).to.be.false;
+        expect(backendClientStub.getConversation.called).to.be.false;
+
+        // Held back messages go out once a key is set
+        await sync.save([question, answer], backendUrl, 'key');
+        expect(backendClientStub.appendConversationMessages.calledOnceWith(backendUrl, 'c0')).to.be.true;
+        expect(storage.values.conversation).to.deep.equal({ id: 'c0', synced: 2 });
+    });
+
+    it('saves the whole chat as a new conversation when the old one is gone', async () => {
+        const { sync, backendClientStub, storage } = setupHarness({ conversation: { id: 'c0', synced: 1 } });
+        sandbox.stub(console, 'warn');
+        backendClientStub.appendConversationMessages.rejects(new types.BackendApiError(404, 'CONVERSATION_NOT_FOUND', 'Conversation not found'));
+
+        await sync.save([question, answer], backendUrl, 'key');
+
+        expect(backendClientStub.createConversation.firstCall.args[1]).to.have.length(2);
+        expect(storage.values.conversation).to.deep.equal({ id: 'c1', synced: 2 });
+    });
+
+    it('loads only the conversation it saved to', async () => {
+        const saved = setupHarness({ conversation: { id: 'c0', synced: 1 } });
+        saved.backendClientStub.getConversation.resolves(conversation('c0', [
+            { role: 'user', content: 'Hi' },
+            { role: 'assistant', content: 'Hello!', metadata: { citations: [], toolSteps: 'not a list' } },
+        ]));
+
+        expect(await saved.sync.load(backendUrl, 'key')).to.deep.equal([
+            { type: 'user', content: 'Hi' },
+            { type: 'ai', content: 'Hello!', citations: [] },
+        ]);
+        expect(saved.backendClientStub.getConversation.calledOnceWithExactly(backendUrl, 'c0', 'key')).to.be.true;
+        // Messages other clients added count as held by the backend
+        expect(saved.storage.values.conversation).to.deep.equal({ id: 'c0', synced: 2 });
+
+        // A fresh install never opens a conversation someone else started
+        const fresh = setupHarness();
+        expect(await fresh.sync.load(backendUrl, 'key')).to.deep.equal([]);
+        expect(fresh.backendClientStub.listConversations.called).to.be.false;
+        expect(fresh.backendClientStub.getConversation.called).to.be.false;
+    });
+
+    it('forgets the conversation when it is gone and keeps the local copy', async () => {
+        const { sync, backendClientStub, storage } = setupHarness({ conversation: { id: 'c0', synced: 1 } });
+        sandbox.stub(console, 'warn');
+        backendClientStub.getConversation.rejects(new types.BackendHttpError(404, 'Not Found'));
+
+        expect(await sync.load(backendUrl, 'key')).to.deep.equal([]);
+        expect(storage.values.conversation).to.be.undefined;
+        expect(backendClientStub.listConversations.called).to.be.false;
+
+        await sync.save([question], backendUrl, 'key');
+        expect(backendClientStub.createConversation.calledOnce).to.be.true;
+
+        storage.values.conversation = { id: 'c1', synced: 1 };
+        backendClientStub.getConversation.rejects(new Error('connect ECONNREFUSED'));
+        await sync.load(backendUrl, 'key').then(
+            () => expect.fail('load should fail'),
+            (error: Error) => expect(error.message).to.equal('connect ECONNREFUSED'),
+        );
+        expect(storage.values.conversation).to.deep.equal({ id: 'c1', synced: 1 });
+    });
+});
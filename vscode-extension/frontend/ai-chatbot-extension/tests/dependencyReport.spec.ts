@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import { describeDependencies } from '../src/dependencyReport';
+import { Citation, FileDependencies } from '../src/types';
+
+/** The text each citation links, with where it opens. */
+function links(text: string, citations: Citation[]): string[] {
+    return citations.map(citation => {
+        const label = text.slice(citation.offset, citation.offset + citation.length);
+        return `${label} -> ${citation.path}${citation.startLine ? `:${citation.startLine}` : ''}`;
+    });
+}
+
+describe('dependencyReport', () => {
+    const dependencies: FileDependencies = {
+        filename: 'src/api.ts',
+        imports: [
+            { filename: 'src/client.ts', specifier: '@/client', line: 2 },
+            { filename: 'src/db/index.ts', specifier: './db', line: 3 },
+        ],
+        importedBy: [{ filename: 'src/page.tsx', specifier: './api', line: 7 }],
+        external: [{ specifier: 'express', line: 1 }],
+        unresolved: [{ specifier: './missing', line: 4 }],
+    };
+
+    it('lists imports, importers, packages and missing files', () => {
+        const { text } = describeDependencies(dependencies);
+
+        expect(text).to.equal([
+            'Dependencies of src/api.ts',
+            '',
+            'Imports (2):',
+            '- src/client.ts as "@/client" (line 2)',
+            '- src/db/index.ts as "./db" (line 3)',
+            '',
+            'Imported by (1):',
+            '- src/page.tsx:7 as "./api"',
+            '',
+            'Packages (1):',
+            '- express (line 1)',
+            '',
+            'Not found in the workspace (1):',
+            '- ./missing (line 4)',
+        ].join('\n'));
+    });
+
+    it('links files, import lines and importers', () => {
+        const { text, citations } = describeDependencies(dependencies);
+
+        expect(links(text, citations)).to.deep.equal([
+            'src/api.ts -> src/api.ts',
+            'src/client.ts -> src/client.ts',
+            'line 2 -> src/api.ts:2',
+            'src/db/index.ts -> src/db/index.ts',
+            'line 3 -> src/api.ts:3',
+            'src/page.tsx:7 -> src/page.tsx:7',
+            'line 1 -> src/api.ts:1',
+            'line 4 -> src/api.ts:4',
+        ]);
+        expect(citations.every(citation => citation.status === 'verified' && citation.endLine === citation.startLine)).to.be.true;
+    });
+
+    it('says when a file has no imports or importers', () => {
+        const { text, citations } = describeDependencies({ filename: 'README.md', imports: [], importedBy: [], external: [], unresolved: [] });
+
+        expect(text).to.equal('Dependencies of README.md\n\nImports (0):\nNo workspace files.\n\nImported by (0):\nNo workspace files.');
+        expect(citations).to.have.length(1);
+    });
+});
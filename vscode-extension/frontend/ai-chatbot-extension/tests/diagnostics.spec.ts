@@ -0,0 +1,149 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('diagnostics', () => {
+    let sandbox: sinon.SinonSandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    function createUri(path: string, scheme = 'file') {
+        return { scheme, path, fsPath: path, toString: () => `${scheme}://${path}` };
+    }
+
+    function createDocument(path: string, text: string) {
+        const lines = text.split('\n');
+        return {
+            uri: createUri(path),
+            lineCount: lines.length,
+            lineAt: (line: number) => ({ text: lines[line] }),
+        };
+    }
+
+    function createDiagnostic(line: number, message: string, severity = 0, extra: Record<string, unknown> = {}) {
+        return {
+            range: { start: { line, character: 2 }, end: { line, character: 8 } },
+            message,
+            severity,
+            ...extra,
+        };
+    }
+
+    function setupHarness(reported: unknown[] = []) {
+        class CodeAction {
+            public command: unknown;
+            public diagnostics: unknown;
+            constructor(public title: string, public kind: string) {}
+        }
+
+        const vscodeStub = {
+            languages: {
+                getDiagnostics: sandbox.stub().returns(reported),
+            },
+            CodeAction,
+            CodeActionKind: { QuickFix: 'quickfix' },
+            DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 },
+        };
+
+        const module = proxyquire('../src/diagnostics', { vscode: vscodeStub });
+        return { module, vscodeStub };
+    }
+
+    const root = createUri('/ws');
+    const text = Array.from({ length: 12 }, (_line, index) => `line ${index + 1}`).join('\n');
+    const redact = (value: string) => value.replace('line 5', '[REDACTED]');
+
+    it('converts a diagnostic with 1-based lines, its code and the lines around it', () => {
+        const { module } = setupHarness();
+        const diagnostic = createDiagnostic(4, 'Cannot find name \'total\'.', 0, {
+            source: 'ts',
+            code: { value: 2304, target: createUri('/docs') },
+            relatedInformation: [
+                { location: { uri: createUri('/ws/src/b.ts'), range: { start: { line: 9 } } }, message: 'Declared here' },
+                { location: { uri: createUri('/lib/c.d.ts'), range: { start: { line: 0 } } }, message: 'Also here' },
+            ],
+        });
+
+        expect(module.toEditorDiagnostic(diagnostic, createDocument('/ws/src/a.ts', text), root, redact)).to.deep.equal({
+            path: 'src/a.ts',
+            startLine: 5,
+            endLine: 5,
+            severity: 'error',
+            message: 'Cannot find name \'total\'.',
+            source: 'ts',
+            code: '2304',
+            related: [
+                { path: 'src/b.ts', line: 10, message: 'Declared here' },
+                { path: '/lib/c.d.ts', line: 1, message: 'Also here' },
+            ],
+            snippet: { startLine: 2, text: 'line 2\nline 3\nline 4\n[REDACTED]\nline 6\nline 7\nline 8' },
+        });
+    });
+
+    it('leaves out documents outside the workspace folder and clips snippets at the file edges', () => {
+        const { module } = setupHarness();
+        const diagnostic = createDiagnostic(0, 'Unexpected token', 1);
+
+        expect(module.toEditorDiagnostic(diagnostic, createDocument('/other/a.ts', text), root, redact)).to.equal(undefined);
+        expect(module.toEditorDiagnostic(diagnostic, { ...createDocument('/ws/a.ts', text), uri: createUri('/ws/a.ts', 'untitled') }, root, redact)).to.equal(undefined);
+
+        const converted = module.toEditorDiagnostic(diagnostic, createDocument('/ws/a.ts', 'only line'), root, redact);
+        expect(converted).to.deep.include({ severity: 'warning', source: null, code: null, snippet: { startLine: 1, text: 'only line' } });
+        expect(converted).to.not.have.property('related');
+    });
+
+    it('collects errors before warnings and skips hints', () => {
+        const { module, vscodeStub } = setupHarness([
+            createDiagnostic(8, 'Unused variable', 1),
+            createDiagnostic(6, 'Type mismatch', 0),
+            createDiagnostic(2, 'Consider const', 3),
+            createDiagnostic(1, 'Missing return', 0),
+        ]);
+        const document = createDocument('/ws/a.ts', text);
+
+        const collected = module.collectDiagnostics(document, root, redact);
+
+        expect(vscodeStub.languages.getDiagnostics.calledOnceWithExactly(document.uri)).to.be.true;
+        expect(collected.map((diagnostic: any) => diagnostic.message)).to.deep.equal(['Missing return', 'Type mismatch', 'Unused variable']);
+    });
+
+    it('offers fixing and explaining each diagnostic in range', () => {
+        const { module } = setupHarness();
+        const document = createDocument('/ws/a.ts', text);
+        const single = createDiagnostic(4, 'Type mismatch');
+        const long = createDiagnostic(6, `${'x'.repeat(70)}\nsecond line`);
+        const provider = new module.DiagnosticsActionProvider();
+
+        const actions = provider.provideCodeActions(document, {}, { diagnostics: [single] });
+        expect(actions.map((action: any) => [action.title, action.kind, action.command.command])).to.deep.equal([
+            ['Fix with AI', 'quickfix', 'ai-chatbot.fixDiagnostic'],
+            ['Explain this error', 'quickfix', 'ai-chatbot.explainDiagnostic'],
+        ]);
+        expect(actions[0].command.arguments).to.deep.equal([document.uri, single]);
+        expect(actions[1].diagnostics).to.deep.equal([single]);
+
+        const titles = provider.provideCodeActions(document, {}, { diagnostics: [single, long] }).map((action: any) => action.title);
+        expect(titles).to.deep.equal([
+            'Fix with AI: Type mismatch',
+            'Explain this error: Type mismatch',
+            `Fix with AI: ${'x'.repeat(57)}...`,
+            `Explain this error: ${'x'.repeat(57)}...`,
+        ]);
+    });
+
+    it('recognizes chat messages about problems', () => {
+        const { module } = setupHarness();
+
+        expect(module.asksAboutProblems('Why does this fail to compile?')).to.be.true;
+        expect(module.asksAboutProblems('what\'s wrong here')).to.be.true;
+        expect(module.asksAboutProblems('Fix the lint warnings')).to.be.true;
+        expect(module.asksAboutProblems('Rename total to sum')).to.be.false;
+    });
+});
@@ -0,0 +1,186 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import * as editProposals from '../src/editProposals';
+import * as redaction from '../src/redaction';
+import { FileEdit } from '../src/types';
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('EditApplier', () => {
+    let sandbox: sinon.SinonSandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    function createUri(path: string, query = '') {
+        return { path, query, toString: () => (query ? `${path}?${query}` : path) };
+    }
+
+    function createDocument(text: string) {
+        return {
+            getText: () => text,
+            positionAt: (offset: number) => {
+                const before = text.slice(0, offset).split('\n');
+                return { line: before.length - 1, character: before[before.length - 1].length };
+            },
+        };
+    }
+
+    function setupHarness(files: Record<string, string>) {
+        const operations: unknown[][] = [];
+        let contentProvider: {provideTextDocumentContent(uri: {toString(): string}): string} | undefined;
+
+        class WorkspaceEdit {
+            replace(...args: unknown[]) {
+                operations.push(['replace', ...args]);
+            }
+
+            insert(...args: unknown[]) {
+                operations.push(['insert', ...args]);
+            }
+
+            createFile(...args: unknown[]) {
+                operations.push(['createFile', ...args]);
+            }
+        }
+
+        class Position {
+            constructor(public line: number, public character: number) {}
+        }
+
+        class Range {
+            constructor(public start: unknown, public end: unknown) {}
+        }
+
+        class EventEmitter {
+            event = sandbox.stub();
+            fire = sandbox.stub();
+            dispose = sandbox.stub();
+        }
+
+        const vscodeStub = {
+            workspace: {
+                workspaceFolders: [{ uri: createUri('/ws') }],
+                registerTextDocumentContentProvider: sandbox.stub().callsFake((_scheme: string, provider: typeof contentProvider) => {
+                    contentProvider = provider;
+                    return { dispose: sandbox.stub() };
+                }),
+                openTextDocument: sandbox.stub().callsFake(async (uri: {path: string}) => {
+                    const relative = uri.path.replace('/ws/', '');
+                    if (!(relative in files)) {
+                        throw new Error('ENOENT');
+                    }
+                    return createDocument(files[relative]);
+                }),
+                applyEdit: sandbox.stub().resolves(true),
+            },
+            commands: {
+                executeCommand: sandbox.stub().resolves(undefined),
+            },
+            Uri: {
+                joinPath: (base: {path: string}, path: string) => createUri(`${base.path}/${path}`),
+                from: ({ scheme, path, query }: {scheme: string; path: string; query: string}) => createUri(`${scheme}:${path}`, query),
+            },
+            WorkspaceEdit,
+            Position,
+            Range,
+            EventEmitter,
+        };
+
+        const { EditApplier } = proxyquire('../src/editApplier', {
+            vscode: vscodeStub,
+            './editProposals': editProposals,
+            './workspaceTools': proxyquire('../src/workspaceTools', { vscode: vscodeStub, './redaction': redaction }),
+        });
+
+        return {
+            applier: new EditApplier(),
+            vscodeStub,
+            operations,
+            getContent: (uri: {toString(): string}) => contentProvider?.provideTextDocumentContent(uri),
+        };
+    }
+
+    const change: FileEdit = {
+        path: 'src/a.ts',
+        create: false,
+        status: 'applies',
+        hunks: [{ search: 'return a;', replace: 'return a + 1;', startLine: 2, endLine: 2, status: 'applies' }],
+    };
+    const creation: FileEdit = {
+        path: 'src/new.ts',
+        create: true,
+        status: 'applies',
+        hunks: [{ search: '', replace: 'export {};\n', startLine: 1, endLine: 1, status: 'applies' }],
+    };
+
+    it('applies edits to several files as one workspace edit', async () => {
+        const harness = setupHarness({ 'src/a.ts': 'function f() {\n    return a;\n}\n' });
+
+        const result = await harness.applier.apply([change, creation]);
+
+        expect(result).to.deep.equal({ applied: true, message: '✅ Applied edits to 2 files. Use Undo to revert them.', conflicts: [] });
+        expect(harness.vscodeStub.workspace.applyEdit.calledOnce).to.be.true;
+        const operations = harness.operations.map(([name, uri, ...args]) => [name, String(uri), ...args]);
+        expect(operations).to.deep.equal([
+            ['replace', '/ws/src/a.ts', { start: { line: 1, character: 4 }, end: { line: 1, character: 13 } }, 'return a + 1;'],
+            ['createFile', '/ws/src/new.ts', { ignoreIfExists: false }],
+            ['insert', '/ws/src/new.ts', { line: 0, character: 0 }, 'export {};\n'],
+        ]);
+    });
+
+    it('changes nothing when a file no longer matches', async () => {
+        const harness = setupHarness({ 'src/a.ts': 'function f() {\n    return b;\n}\n' });
+
+        const result = await harness.applier.apply([change, creation]);
+
+        expect(result.applied).to.be.false;
+        expect(result.conflicts).to.deep.equal([
+            { path: 'src/a.ts', reason: 'The file changed: the code to replace near line 2 is no longer there.' },
+        ]);
+        expect(harness.vscodeStub.workspace.applyEdit.called).to.be.false;
+    });
+
+    it('previews a file against its proposed content in the diff editor', async () => {
+        const harness = setupHarness({ 'src/a.ts': 'function f() {\n    return a;\n}\n' });
+
+        const conflict = await harness.applier.preview(change);
+
+        expect(conflict).to.equal(undefined);
+        const [command, left, right, title] = harness.vscodeStub.commands.executeCommand.firstCall.args;
+        expect(command).to.equal('vscode.diff');
+        expect(left.path).to.equal('/ws/src/a.ts');
+        expect(title).to.equal('src/a.ts (proposed edit)');
+        expect(harness.getContent(right)).to.equal('function f() {\n    return a + 1;\n}\n');
+    });
+
+    it('previews new files against an empty document', async () => {
+        const harness = setupHarness({});
+
+        await harness.applier.preview(creation);
+
+        const [, left, right] = harness.vscodeStub.commands.executeCommand.firstCall.args;
+        expect(left.query).to.equal('original');
+        expect(harness.getContent(left)).to.equal('');
+        expect(harness.getContent(right)).to.equal('export {};\n');
+    });
+
+    it('refuses edits to files outside the workspace folder', async () => {
+        const harness = setupHarness({ 'src/a.ts': 'function f() {\n    return a;\n}\n' });
+        const outside = ['../outside.sh', '/etc/profile', 'C:\\evil.bat', 'src/../../evil.js'].map(path => ({ ...creation, path }));
+
+        const result = await harness.applier.apply([change, ...outside]);
+
+        expect(result.applied).to.be.false;
+        expect(result.conflicts).to.deep.equal(outside.map(edit => ({ path: edit.path, reason: 'The file is outside the workspace folder.' })));
+        expect(harness.vscodeStub.workspace.applyEdit.called).to.be.false;
+        expect(await harness.applier.preview(outside[0])).to.deep.equal({ path: '../outside.sh', reason: 'The file is outside the workspace folder.' });
+        expect(harness.vscodeStub.workspace.openTextDocument.called).to.be.false;
+        expect(harness.vscodeStub.commands.executeCommand.called).to.be.false;
+    });
+});
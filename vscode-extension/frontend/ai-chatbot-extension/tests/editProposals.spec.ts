@@ -0,0 +1,114 @@
+import { expect } from 'chai';
+import { describeEditResult, parseEditCommand, planEdits, planFileEdit } from '../src/editProposals';
+import { EditHunk, FileEdit } from '../src/types';
+
+function hunk(search: string, replace: string, startLine: number | null = null): EditHunk {
+    return { search, replace, startLine, endLine: startLine, status: 'applies' };
+}
+
+function fileEdit(path: string, hunks: EditHunk[], create = false): FileEdit {
+    return { path, create, status: 'applies', hunks };
+}
+
+describe('editProposals', () => {
+    describe('parseEditCommand', () => {
+        it('splits the /edit command off the prompt', () => {
+            expect(parseEditCommand('/edit  rename foo to bar')).to.deep.equal({ prompt: 'rename foo to bar', mode: 'edit' });
+            expect(parseEditCommand('/EDIT\nrename foo')).to.deep.equal({ prompt: 'rename foo', mode: 'edit' });
+        });
+
+        it('leaves other messages as chat', () => {
+            expect(parseEditCommand('how do I /edit files?')).to.deep.equal({ prompt: 'how do I /edit files?', mode: 'chat' });
+            expect(parseEditCommand('/editor settings')).to.deep.equal({ prompt: '/editor settings', mode: 'chat' });
+        });
+    });
+
+    describe('planFileEdit', () => {
+        const current = 'const a = 1;\n\nfunction run() {\n    return a;\n}\n';
+
+        it('applies every hunk to the current text', () => {
+            const { plan, conflict } = planFileEdit(fileEdit('src/a.ts', [
+                hunk('    return a;\n', '    return a + 1;\n', 4),
+                hunk('const a = 1;\n', 'const a = 2;\n', 1),
+            ]), current);
+
+            expect(conflict).to.equal(undefined);
+            expect(plan?.updated).to.equal('const a = 2;\n\nfunction run() {\n    return a + 1;\n}\n');
+            expect(plan?.replacements).to.deep.equal([
+                { start: 0, end: 13, text: 'const a = 2;\n' },
+                { start: 31, end: 45, text: '    return a + 1;\n' },
+            ]);
+        });
+
+        it('reports a file that changed since the edit was proposed', () => {
+            const { plan, conflict } = planFileEdit(fileEdit('src/a.ts', [hunk('    return b;\n', '    return c;\n', 4)]), current);
+
+            expect(plan).to.equal(undefined);
+            expect(conflict).to.deep.equal({
+                path: 'src/a.ts',
+                reason: 'The file changed: the code to replace near line 4 is no longer there.',
+            });
+        });
+
+        it('uses the located line to choose between repeated text and reports it when that line moved', () => {
+            const repeated = 'a();\nb();\na();\n';
+
+            expect(planFileEdit(fileEdit('r.ts', [hunk('a();\n', 'c();\n', 3)]), repeated).plan?.updated).to.equal('a();\nb();\nc();\n');
+            expect(planFileEdit(fileEdit('r.ts', [hunk('a();\n', 'c();\n', 2)]), repeated).conflict?.reason)
+                .to.equal('The code to replace near line 2 now appears more than once.');
+        });
+
+        it('rejects overlapping hunks', () => {
+            const { conflict } = planFileEdit(fileEdit('src/a.ts', [
+                hunk('function run() {\n    return a;\n', 'x\n', 3),
+                hunk('    return a;\n}\n', 'y\n', 4),
+            ]), current);
+
+            expect(conflict?.reason).to.equal('Two proposed changes overlap at line 4.');
+        });
+
+        it('creates new files and refuses to overwrite existing ones', () => {
+            const created = fileEdit('src/new.ts', [hunk('', 'export {};\n')], true);
+
+            expect(planFileEdit(created, undefined).plan).to.deep.equal({
+                path: 'src/new.ts',
+                create: true,
+                original: '',
+                updated: 'export {};\n',
+                replacements: [{ start: 0, end: 0, text: 'export {};\n' }],
+            });
+            expect(planFileEdit(created, 'already here\n').conflict?.reason).to.equal('The file already exists.');
+        });
+
+        it('reports edits to files that are gone', () => {
+            expect(planFileEdit(fileEdit('src/a.ts', [hunk('x\n', 'y\n', 1)]), undefined).conflict?.reason).to.equal('The file no longer exists.');
+        });
+
+        it('refuses edits that would write a redaction placeholder into the file', () => {
+            const { conflict } = planFileEdit(fileEdit('.env', [hunk('API_URL=old\n', 'API_URL=new\nAPI_KEY=[REDACTED:secret-assignment]\n', 1)]), 'API_URL=old\n');
+
+            expect(conflict?.reason).to.contain('redacted');
+        });
+    });
+
+    describe('planEdits', () => {
+        it('collects plans and conflicts across files', async () => {
+            const contents: Record<string, string> = { 'a.ts': 'one\n', 'b.ts': 'two\n' };
+
+            const plan = await planEdits([
+                fileEdit('a.ts', [hunk('one\n', '1\n', 1)]),
+                fileEdit('b.ts', [hunk('three\n', '3\n', 1)]),
+            ], async (path) => contents[path]);
+
+            expect(plan.files.map(file => file.updated)).to.deep.equal(['1\n']);
+            expect(plan.conflicts.map(conflict => conflict.path)).to.deep.equal(['b.ts']);
+            expect(describeEditResult(plan, false)).to.equal('⚠️ No changes were made: 1 file has edits that no longer apply.');
+        });
+
+        it('summarizes applied edits', () => {
+            const plan = { files: [{ path: 'a.ts', create: false, original: '', updated: '', replacements: [] }], conflicts: [] };
+
+            expect(describeEditResult(plan, true)).to.equal('✅ Applied edits to 1 file. Use Undo to revert them.');
+        });
+    });
+});
@@ -241,6 +241,43 @@ describe('fileHelpers', () => {
             ]);
         });
 
+        it('counts the limit against accepted files only', async () => {
+            const workspaceFolder = { uri: { fsPath: '/ws', path: '/ws' } };
+            vscodeStub.workspace.workspaceFolders = [workspaceFolder];
+            const fileUris = ['logo.png', 'a.ts', 'icon.png', 'b.ts', 'c.ts'].map(name => ({
+                fsPath: `/ws/${name}`,
+                path: `/ws/${name}`,
+            }));
+
+            vscodeStub.workspace.findFiles.resolves(fileUris);
+            vscodeStub.workspace.asRelativePath.callsFake((uri: {path: string}) => uri.path.replace('/ws/', ''));
+            vscodeStub.workspace.fs.readFile.callsFake(async () => Buffer.from('content'));
+
+            const files = await fileHelpers.getWorkspaceFilesWithContent({
+                limit: 2,
+                fileFilter: (filename: string) => filename.endsWith('.ts'),
+            });
+
+            expect(files.map(file => file.filename)).to.deep.equal(['a.ts', 'b.ts']);
+        });
+
+        it('stops adding files once maxTotalSize is reached', async () => {
+            const workspaceFolder = { uri: { fsPath: '/ws', path: '/ws' } };
+            vscodeStub.workspace.workspaceFolders = [workspaceFolder];
+            const fileUris = ['a.ts', 'b.ts', 'c.ts'].map(name => ({ fsPath: `/ws/${name}`, path: `/ws/${name}` }));
+            const sizes: Record<string, number> = { 'a.ts': 40, 'b.ts': 30, 'c.ts': 10 };
+
+            vscodeStub.workspace.findFiles.resolves(fileUris);
+            vscodeStub.workspace.asRelativePath.callsFake((uri: {path: string}) => uri.path.replace('/ws/', ''));
+            vscodeStub.workspace.fs.readFile.callsFake(async (uri: {fsPath: string}) =>
+                Buffer.from('x'.repeat(sizes[path.basename(uri.fsPath)])),
+            );
+
+            const files = await fileHelpers.getWorkspaceFilesWithContent({ maxTotalSize: 60 });
+
+            expect(files.map(file => file.filename)).to.deep.equal(['a.ts', 'c.ts']);
+        });
+
         it('skips files rejected by fileFilter', async () => {
             const workspaceFolder = { uri: { fsPath: '/ws', path: '/ws' } };
             vscodeStub.workspace.workspaceFolders = [workspaceFolder];
@@ -365,8 +402,20 @@ describe('fileHelpers', () => {
             expect(pathResult).to.equal('src/y.ts');
         });
 
+        it('falls back to a visible editor while the chat panel has focus', () => {
+            const editorUri = { fsPath: '/x/z.ts', path: '/x/z.ts' };
+            vscodeStub.window.activeTextEditor = undefined;
+            vscodeStub.window.visibleTextEditors = [{ document: { uri: editorUri } }];
+            vscodeStub.workspace.asRelativePath.withArgs(editorUri).returns('src/z.ts');
+
+            const pathResult = fileHelpers.getActiveEditorPath();
+
+            expect(pathResult).to.equal('src/z.ts');
+        });
+
         it('returns undefined when no active editor exists', () => {
             vscodeStub.window.activeTextEditor = undefined;
+            vscodeStub.window.visibleTextEditors = [];
 
             const pathResult = fileHelpers.getActiveEditorPath();
 
@@ -5,10 +5,14 @@ import sinon from 'sinon';
 
 // Use a lightweight HTTP server for integration scenarios
 const http = require('http');
+const zlib = require('zlib');
 
 // Frontend function under test
-import { callBackendAPI } from '../src/backendClient';
-import type { WorkspaceFile } from '../src/types';
+import { callBackendAPI, streamBackendAPI } from '../src/backendClient';
+import { hashContent, UploadSession } from '../src/uploadSession';
+import { BackendApiError, BackendHttpError, isAuthError } from '../src/types';
+import { MAX_DECODED_BODY_BYTES } from '../src/requestEncoding';
+import type { Citation, ToolCall, WorkspaceFile } from '../src/types';
 
 describe('Frontend ↔ Backend integration: callBackendAPI + /upload', function () {
     // LLM calls and HTTP spin-up can take a bit
@@ -16,14 +20,23 @@ describe('Frontend ↔ Backend integration: callBackendAPI + /upload', function
 
     let server: any;
     let baseUrl: string;
+    let lastRequestBody: any;
+    let lastRequestHeaders: any;
 
     /**
      * Helper: start a stub backend server on a random port with
-     * configurable behavior (success / fail).
+     * configurable behavior (success / fail / a key is required).
      */
-    async function startBackend(llmMode: 'success' | 'fail'): Promise<void> {
+    async function startBackend(llmMode: 'success' | 'fail' | 'auth'): Promise<void> {
         await new Promise<void>((resolve) => {
             server = http.createServer((req: any, res: any) => {
+                lastRequestHeaders = req.headers;
+                if (llmMode === 'auth' && req.headers.authorization !== 'Bearer sk-valid') {
+                    res.writeHead(req.headers.authorization ? 403 : 401, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: req.headers.authorization ? 'Invalid API key' : 'Authentication required' }));
+                    return;
+                }
+
                 if (req.method === 'POST' && req.url === '/upload') {
                     let body = '';
                     req.on('data', (chunk: Buffer) => {
@@ -33,6 +46,7 @@ describe('Frontend ↔ Backend integration: callBackendAPI + /upload', function
                         let payload: any;
                         try {
                             payload = JSON.parse(body || '{}');
+                            lastRequestBody = payload;
                         } catch {
                             res.writeHead(400, { 'Content-Type': 'application/json' });
                             res.end(JSON.stringify({ error: 'Invalid JSON' }));
@@ -141,6 +155,110 @@ describe('Frontend ↔ Backend integration: callBackendAPI + /upload', function
         });
     }
 
+    /**
+     * Helper: start a stub server for /upload/stream that writes NDJSON events
+     * one line at a time, a plain JSON body (buffered deployments) or a stream
+     * that ends without a `done` event.
+     */
+    async function startStreamingServer(mode: 'chunks' | 'error' | 'json' | 'truncated'): Promise<void> {
+        await new Promise<void>((resolve) => {
+            server = http.createServer((req: any, res: any) => {
+                if (req.method === 'POST' && req.url === '/upload/stream') {
+                    req.resume();
+                    req.on('end', () => {
+                        if (mode === 'json') {
+                            res.writeHead(200, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({ aiResponse: 'Buffered answer' }));
+                            return;
+                        }
+
+                        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+                        res.write(`${JSON.stringify({ type: 'start', provider: { provider: 'echo', model: 'echo' } })}\n`);
+                        res.write(`${JSON.stringify({ type: 'chunk', text: 'Hello ' })}\n`);
+                        if (mode === 'error') {
+                            res.end(`${JSON.stringify({ type: 'error', error: 'Internal server error', message: 'Echo API error: boom' })}\n`);
+                            return;
+                        }
+                        // Split one event across two writes to exercise line buffering
+                        const chunkLine = `${JSON.stringify({ type: 'chunk', text: 'world' })}\n`;
+                        res.write(chunkLine.slice(0, 10));
+                        res.write(chunkLine.slice(10));
+                        if (mode === 'truncated') {
+                            res.end();
+                            return;
+                        }
+                        res.end(`${JSON.stringify({ type: 'done', aiResponse: 'Hello world' })}\n`);
+                    });
+                    return;
+                }
+
+                res.writeHead(404);
+                res.end();
+            }).listen(0, '127.0.0.1', () => {
+                const address = server.address() as { port: number };
+                baseUrl = `http://127.0.0.1:${address.port}`;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Helper: start a stub backend that implements the upload session protocol.
+     * Every file upload is recorded in `uploads`; clearing `sessions` simulates expiry.
+     */
+    const sessions = new Map<string, { manifest: Record<string, string>; blobs: Set<string> }>();
+    let uploads: string[][] = [];
+    let sessionCount = 0;
+
+    async function startSessionServer(): Promise<void> {
+        sessions.clear();
+        uploads = [];
+        await new Promise<void>((resolve) => {
+            server = http.createServer((req: any, res: any) => {
+                let body = '';
+                req.on('data', (chunk: Buffer) => {
+                    body += chunk.toString();
+                });
+                req.on('end', () => {
+                    const payload = body ? JSON.parse(body) : {};
+                    const reply = (status: number, data: unknown) => {
+                        res.writeHead(status, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify(data));
+                    };
+                    const match = /^\/sessions\/([^/]+)\/(manifest|files)$/.exec(req.url);
+                    const session = match ? sessions.get(match[1]) : undefined;
+                    const missing = () => Object.entries(session!.manifest)
+                        .filter(([, hash]) => !session!.blobs.has(hash))
+                        .map(([filename]) => filename);
+
+                    if (req.method === 'POST' && req.url === '/sessions') {
+                        const sessionId = `s${++sessionCount}`;
+                        sessions.set(sessionId, { manifest: {}, blobs: new Set() });
+                        reply(201, { sessionId, expiresAt: new Date().toISOString() });
+                    } else if (match && !session) {
+                        reply(404, { error: 'Session not found or expired' });
+                    } else if (match && req.method === 'PUT' && match[2] === 'manifest') {
+                        session!.manifest = Object.fromEntries(payload.files.map((file: any) => [file.filename, file.hash]));
+                        reply(200, { missing: missing() });
+                    } else if (match && req.method === 'POST' && match[2] === 'files') {
+                        uploads.push(payload.files.map((file: WorkspaceFile) => file.filename));
+                        payload.files.forEach((file: WorkspaceFile) => session!.blobs.add(hashContent(file.content)));
+                        reply(200, { stored: payload.files.length, missing: missing() });
+                    } else if (req.method === 'POST' && req.url === '/upload') {
+                        lastRequestBody = payload;
+                        reply(sessions.has(payload.sessionId) ? 200 : 404, { aiResponse: 'Answered from session' });
+                    } else {
+                        reply(404, {});
+                    }
+                });
+            }).listen(0, '127.0.0.1', () => {
+                const address = server.address() as { port: number };
+                baseUrl = `http://127.0.0.1:${address.port}`;
+                resolve();
+            });
+        });
+    }
+
     async function stopBackend(): Promise<void> {
         if (!server) {
             return;
@@ -158,6 +276,7 @@ describe('Frontend ↔ Backend integration: callBackendAPI + /upload', function
     }
 
     beforeEach(() => {
+        lastRequestBody = undefined;
     });
 
     afterEach(async () => {
@@ -167,7 +286,7 @@ describe('Frontend ↔ Backend integration: callBackendAPI + /upload', function
     /**
      * IA1 – Happy path:
      * Frontend sends prompt + valid files, backend returns aiResponse,
-     * callBackendAPI resolves with that string.
+     * callBackendAPI resolves with that string as `aiResponse`.
      */
     it('IA1: returns AI response for valid prompt and files (happy path)', async () => {
         await startBackend('success');
@@ -184,7 +303,7 @@ describe('Frontend ↔ Backend integration: callBackendAPI + /upload', function
         const result = await callBackendAPI(prompt, files, baseUrl);
 
         // We stubbed LLMService to return this format
-        expect(result).to.equal(`Mock AI response for: ${prompt}`);
+        expect(result.aiResponse).to.equal(`Mock AI response for: ${prompt}`);
     });
 
     /**
@@ -357,4 +476,589 @@ describe('Frontend ↔ Backend integration: callBackendAPI + /upload', function
         const msg = (caughtError as Error).message;
         expect(msg).to.match(/ECONNREFUSED|ENOTFOUND|EHOSTUNREACH/i);
     });
+
+    /**
+     * IA8 – Model selection:
+     * The configured model is forwarded in the /upload body; an empty model is omitted
+     * so the backend picks its default provider.
+     */
+    it('IA8: forwards the requested model and omits an empty one', async () => {
+        await startBackend('success');
+
+        await callBackendAPI('Which model?', [], baseUrl, { model: 'echo' });
+        expect(lastRequestBody.model).to.equal('echo');
+
+        await callBackendAPI('Which model?', [], baseUrl, { model: '' });
+        expect(lastRequestBody).to.not.have.property('model');
+    });
+
+    /**
+     * IA9 – Streaming happy path:
+     * NDJSON chunk events are reported in order (even when split across network
+     * writes) and the promise resolves with the final response.
+     */
+    it('IA9: streams chunks from /upload/stream and resolves with the full response', async () => {
+        await startStreamingServer('chunks');
+        const chunks: string[] = [];
+
+        const result = await streamBackendAPI('Stream please', [], baseUrl, (text) => chunks.push(text));
+
+        expect(chunks).to.deep.equal(['Hello ', 'world']);
+        expect(result.aiResponse).to.equal('Hello world');
+    });
+
+    /**
+     * IA10 – Streaming error:
+     * An `error` event after partial output rejects with the backend message.
+     */
+    it('IA10: rejects when the stream reports an error event', async () => {
+        await startStreamingServer('error');
+        const chunks: string[] = [];
+
+        let caughtError: unknown;
+        try {
+            await streamBackendAPI('Stream please', [], baseUrl, (text) => chunks.push(text));
+        } catch (err) {
+            caughtError = err;
+        }
+
+        expect(chunks).to.deep.equal(['Hello ']);
+        expect(caughtError).to.be.instanceOf(Error);
+        expect((caughtError as Error).message).to.equal('Echo API error: boom');
+    });
+
+    /**
+     * IA11 – Buffered deployments:
+     * A plain JSON body is accepted and reported as a single chunk.
+     */
+    it('IA11: treats a plain JSON body as a single chunk', async () => {
+        await startStreamingServer('json');
+        const onChunk = sinon.spy();
+
+        const result = await streamBackendAPI('Stream please', [], baseUrl, onChunk);
+
+        expect(result.aiResponse).to.equal('Buffered answer');
+        expect(onChunk.calledOnceWithExactly('Buffered answer')).to.be.true;
+    });
+
+    /**
+     * IA12 – Truncated stream:
+     * A stream that closes without a `done` event rejects instead of resolving
+     * with partial output.
+     */
+    it('IA12: rejects when the stream ends before the done event', async () => {
+        await startStreamingServer('truncated');
+
+        let caughtError: unknown;
+        try {
+            await streamBackendAPI('Stream please', [], baseUrl, () => undefined);
+        } catch (err) {
+            caughtError = err;
+        }
+
+        expect(caughtError).to.be.instanceOf(Error);
+        expect((caughtError as Error).message).to.contain('ended before the response was complete');
+    });
+
+    /**
+     * IA13 – Conversation history:
+     * Earlier turns are forwarded in the /upload body; an empty history is omitted.
+     */
+    it('IA13: forwards conversation history and omits an empty one', async () => {
+        await startBackend('success');
+        const history = [
+            { role: 'user' as const, content: 'What is main.ts?' },
+            { role: 'assistant' as const, content: 'The entry point.' },
+        ];
+
+        await callBackendAPI('And utils.ts?', [], baseUrl, { history });
+        expect(lastRequestBody.history).to.deep.equal(history);
+
+        await callBackendAPI('And utils.ts?', [], baseUrl, { history: [] });
+        expect(lastRequestBody).to.not.have.property('history');
+    });
+
+    /**
+     * IA14 – Active file:
+     * The active editor path is forwarded so the backend can rank file context.
+     */
+    it('IA14: forwards the active editor file', async () => {
+        await startBackend('success');
+
+        await callBackendAPI('Explain this file', [], baseUrl, { currentFile: 'src/main.ts' });
+        expect(lastRequestBody.currentFile).to.equal('src/main.ts');
+
+        await callBackendAPI('Explain this file', [], baseUrl, {});
+        expect(lastRequestBody).to.not.have.property('currentFile');
+    });
+
+    /**
+     * IA15 – Incremental uploads:
+     * The first turn uploads every file; later turns upload only changed files,
+     * and the prompt request refers to the session instead of carrying files.
+     */
+    it('IA15: uploads only changed files through the session', async () => {
+        await startSessionServer();
+        const session = new UploadSession();
+        const files: WorkspaceFile[] = [
+            { filename: 'src/a.ts', content: 'export const a = 1;' },
+            { filename: 'src/b.ts', content: 'export const b = 2;' },
+        ];
+
+        const sessionId = await session.sync(files, baseUrl);
+        await session.sync([files[0], { filename: 'src/b.ts', content: 'export const b = 3;' }], baseUrl);
+        const result = await callBackendAPI('prompt', files, baseUrl, { sessionId });
+
+        expect(uploads).to.deep.equal([['src/a.ts', 'src/b.ts'], ['src/b.ts']]);
+        expect(result.aiResponse).to.equal('Answered from session');
+        expect(lastRequestBody.sessionId).to.equal(sessionId);
+        expect(lastRequestBody).to.not.have.property('files');
+    });
+
+    /**
+     * IA16 – Expired session:
+     * When the backend has forgotten the session, sync opens a new one and
+     * uploads everything again.
+     */
+    it('IA16: reopens an expired session and uploads all files again', async () => {
+        await startSessionServer();
+        const session = new UploadSession();
+        const files: WorkspaceFile[] = [{ filename: 'src/a.ts', content: 'export const a = 1;' }];
+
+        const first = await session.sync(files, baseUrl);
+        sessions.clear();
+        const second = await session.sync(files, baseUrl);
+
+        expect(second).to.not.equal(first);
+        expect(uploads).to.deep.equal([['src/a.ts'], ['src/a.ts']]);
+    });
+
+    /**
+     * IA17 – Session-less backend:
+     * A backend without the session endpoints makes sync fail with a
+     * BackendHttpError, so the extension can fall back to inline files.
+     */
+    it('IA17: rejects with the HTTP status when the backend has no session endpoints', async () => {
+        await startBackend('success');
+        const session = new UploadSession();
+
+        try {
+            await session.sync([], baseUrl);
+            expect.fail('Expected sync to reject');
+        } catch (error: any) {
+            expect(error.name).to.equal('BackendHttpError');
+            expect(error.status).to.equal(404);
+        }
+    });
+
+    /**
+     * IA18 – API key:
+     * A configured key is sent as a bearer token on uploads and session calls;
+     * without one no Authorization header is sent.
+     */
+    it('IA18: sends the API key as a bearer token', async () => {
+        await startBackend('auth');
+
+        const result = await callBackendAPI('Hi', [], baseUrl, { apiKey: 'sk-valid' });
+        expect(result.aiResponse).to.equal('Mock AI response for: Hi');
+        expect(lastRequestHeaders.authorization).to.equal('Bearer sk-valid');
+
+        try {
+            await new UploadSession().sync([], baseUrl, 'sk-valid');
+        } catch {
+            // The stub has no session endpoints; only the header matters here
+        }
+        expect(lastRequestHeaders.authorization).to.equal('Bearer sk-valid');
+    });
+
+    /**
+     * IA19 – Rejected API key:
+     * 401 (no key) and 403 (unknown key) reject with a BackendHttpError the
+     * extension recognizes as an authentication failure.
+     */
+    it('IA19: rejects with 401 without a key and 403 with an unknown key', async () => {
+        await startBackend('auth');
+
+        for (const [apiKey, status] of [[undefined, 401], ['sk-wrong', 403]] as const) {
+            try {
+                await callBackendAPI('Hi', [], baseUrl, { apiKey });
+                expect.fail('Expected callBackendAPI to reject');
+            } catch (error: any) {
+                expect(error.status).to.equal(status);
+                expect(isAuthError(error)).to.be.true;
+            }
+        }
+        expect(lastRequestHeaders).to.have.property('authorization', 'Bearer sk-wrong');
+    });
+
+    /**
+     * Helper: start a stub server that answers 429 with the given Retry-After
+     * for the first `busyResponses` requests, then succeeds.
+     */
+    async function startBusyServer(busyResponses: number, retryAfter: string): Promise<{requests: number}> {
+        const counter = { requests: 0 };
+        await new Promise<void>((resolve) => {
+            server = http.createServer((req: any, res: any) => {
+                req.resume();
+                req.on('end', () => {
+                    counter.requests++;
+                    if (counter.requests <= busyResponses) {
+                        res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': retryAfter });
+                        res.end(JSON.stringify({ error: 'Too many requests: rate limit exceeded' }));
+                        return;
+                    }
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ aiResponse: 'finally' }));
+                });
+            }).listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${(server.address() as { port: number }).port}`;
+                resolve();
+            });
+        });
+        return counter;
+    }
+
+    /**
+     * IA20 – Busy backend:
+     * 429 responses are retried after Retry-After, and each wait is reported
+     * so the chat can show the message as queued.
+     */
+    it('IA20: waits out Retry-After on 429 and reports the request as queued', async () => {
+        const counter = await startBusyServer(2, '0');
+        const waits: number[] = [];
+
+        const result = await callBackendAPI('Hi', [], baseUrl, { onQueued: (seconds) => waits.push(seconds) });
+
+        expect(result.aiResponse).to.equal('finally');
+        expect(counter.requests).to.equal(3);
+        expect(waits).to.deep.equal([0, 0]);
+    });
+
+    /**
+     * IA21 – Retry limits:
+     * A Retry-After beyond what the client is willing to wait fails at once
+     * with the 429 and its delay.
+     */
+    it('IA21: rejects a 429 whose Retry-After is too long', async () => {
+        const counter = await startBusyServer(1, '3600');
+
+        try {
+            await streamBackendAPI('Hi', [], baseUrl, () => undefined);
+            expect.fail('Expected streamBackendAPI to reject');
+        } catch (error: any) {
+            expect(error.status).to.equal(429);
+            expect(error.retryAfterSeconds).to.equal(3600);
+        }
+        expect(counter.requests).to.equal(1);
+    });
+
+    /**
+     * Helper: start a stub server whose /upload answers 400 with a coded
+     * validation error and whose /upload/stream fails with a coded error event.
+     */
+    async function startCodedErrorServer(): Promise<void> {
+        await new Promise<void>((resolve) => {
+            server = http.createServer((req: any, res: any) => {
+                req.resume();
+                req.on('end', () => {
+                    if (req.url === '/upload/stream') {
+                        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+                        res.write(`${JSON.stringify({ type: 'start' })}\n`);
+                        res.end(`${JSON.stringify({
+                            type: 'error',
+                            error: 'Gemini API error: quota exceeded',
+                            code: 'PROVIDER_ERROR',
+                            message: 'Gemini API error: quota exceeded',
+                        })}\n`);
+                        return;
+                    }
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        error: 'Invalid request: files[0].filename must be a relative path inside the workspace',
+                        code: 'INVALID_PATH',
+                        details: [{ path: 'files[0].filename', code: 'INVALID_PATH', message: 'files[0].filename must be a relative path inside the workspace' }],
+                    }));
+                });
+            }).listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${(server.address() as { port: number }).port}`;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * IA22 – Coded error responses:
+     * An error body with a known `code` rejects with a BackendApiError carrying
+     * the status, code, backend message and per-field details.
+     */
+    it('IA22: maps coded error responses to BackendApiError', async () => {
+        await startCodedErrorServer();
+
+        try {
+            await callBackendAPI('Hi', [{ filename: '/etc/passwd', content: '' }], baseUrl);
+            expect.fail('Expected callBackendAPI to reject');
+        } catch (error: any) {
+            expect(error).to.be.instanceOf(BackendApiError);
+            expect(error.status).to.equal(400);
+            expect(error.code).to.equal('INVALID_PATH');
+            expect(error.message).to.equal('Invalid request: files[0].filename must be a relative path inside the workspace');
+            expect(error.details[0].path).to.equal('files[0].filename');
+        }
+    });
+
+    /**
+     * IA23 – Coded stream errors:
+     * A stream error event with a code rejects with a BackendApiError without a status.
+     */
+    it('IA23: maps coded stream error events to BackendApiError', async () => {
+        await startCodedErrorServer();
+
+        try {
+            await streamBackendAPI('Hi', [], baseUrl, () => undefined);
+            expect.fail('Expected streamBackendAPI to reject');
+        } catch (error: any) {
+            expect(error).to.be.instanceOf(BackendApiError);
+            expect(error.status).to.equal(undefined);
+            expect(error.code).to.equal('PROVIDER_ERROR');
+            expect(error.message).to.equal('Gemini API error: quota exceeded');
+        }
+    });
+
+    /**
+     * IA24 – Uncoded errors:
+     * Error bodies without a known code (older backends, proxies) still reject
+     * with a plain BackendHttpError.
+     */
+    it('IA24: keeps BackendHttpError for error bodies without a code', async () => {
+        await startBackend('fail');
+
+        try {
+            await callBackendAPI('Hi', [], baseUrl);
+            expect.fail('Expected callBackendAPI to reject');
+        } catch (error: any) {
+            expect(error).to.be.instanceOf(BackendHttpError);
+            expect(error).to.not.be.instanceOf(BackendApiError);
+            expect(error.status).to.equal(500);
+        }
+    });
+
+    /**
+     * Helper: start a stub server whose /upload and /upload/stream answers
+     * carry a validated citations list, as current backends send.
+     */
+    async function startCitingServer(citations: Citation[]): Promise<void> {
+        const aiResponse = 'See [run](src/app.ts:2).';
+        await new Promise<void>((resolve) => {
+            server = http.createServer((req: any, res: any) => {
+                req.resume();
+                req.on('end', () => {
+                    if (req.url === '/upload/stream') {
+                        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+                        res.write(`${JSON.stringify({ type: 'chunk', text: aiResponse })}\n`);
+                        res.end(`${JSON.stringify({ type: 'done', aiResponse, citations })}\n`);
+                        return;
+                    }
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ aiResponse, citations }));
+                });
+            }).listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${(server.address() as { port: number }).port}`;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * IA25 – Structured citations:
+     * Both endpoints resolve with the backend's citations next to the answer;
+     * answers from backends without citations resolve with none.
+     */
+    it('IA25: returns the citations the backend validated', async () => {
+        const citations: Citation[] = [{
+            label: 'run',
+            path: 'src/app.ts',
+            startLine: 2,
+            endLine: 2,
+            column: null,
+            snippet: 'function run() {',
+            status: 'verified',
+            offset: 4,
+            length: 18,
+        }];
+        await startCitingServer(citations);
+
+        const buffered = await callBackendAPI('Hi', [], baseUrl);
+        const streamed = await streamBackendAPI('Hi', [], baseUrl, () => undefined);
+
+        expect(buffered).to.deep.equal({ aiResponse: 'See [run](src/app.ts:2).', citations });
+        expect(streamed).to.deep.equal({ aiResponse: 'See [run](src/app.ts:2).', citations });
+
+        await stopBackend();
+        await startBackend('success');
+        expect((await callBackendAPI('Hi', [], baseUrl)).citations).to.equal(undefined);
+    });
+
+    /**
+     * Helper: start a stub server that asks for a tool while the request carries
+     * no tool steps and answers once it does, recording each request body.
+     */
+    async function startToolCallingServer(call: ToolCall): Promise<unknown[]> {
+        const bodies: any[] = [];
+        await new Promise<void>((resolve) => {
+            server = http.createServer((req: any, res: any) => {
+                let raw = '';
+                req.on('data', (chunk: Buffer) => { raw += chunk; });
+                req.on('end', () => {
+                    const body = JSON.parse(raw);
+                    bodies.push(body);
+                    const answered = Array.isArray(body.toolSteps);
+                    if (req.url === '/upload/stream') {
+                        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+                        res.end(`${JSON.stringify(answered
+                            ? { type: 'done', aiResponse: 'Found it.' }
+                            : { type: 'tool_calls', aiResponse: 'Let me look.', toolCalls: [call] })}\n`);
+                        return;
+                    }
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(answered
+                        ? { aiResponse: 'Found it.' }
+                        : { message: 'The model requested 1 tool call.', aiResponse: '', toolCalls: [call] }));
+                });
+            }).listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${(server.address() as { port: number }).port}`;
+                resolve();
+            });
+        });
+        return bodies;
+    }
+
+    /**
+     * IA26 – Tool calls:
+     * Both endpoints resolve with the tools the model asked for, and the
+     * results of earlier calls are sent back as toolSteps.
+     */
+    it('IA26: relays tool calls and sends tool steps back', async () => {
+        const call: ToolCall = { id: 'call-1', name: 'read_file', arguments: { path: 'src/app.ts' } };
+        const bodies = await startToolCallingServer(call);
+        const toolSteps = [{ ...call, output: '1 | run();' }];
+
+        const buffered = await callBackendAPI('Hi', [], baseUrl, { tools: true });
+        const streamed = await streamBackendAPI('Hi', [], baseUrl, () => undefined, { tools: true });
+        const answered = await callBackendAPI('Hi', [], baseUrl, { tools: false, toolSteps });
+
+        expect(buffered).to.deep.equal({ aiResponse: '', toolCalls: [call] });
+        expect(streamed).to.deep.equal({ aiResponse: 'Let me look.', toolCalls: [call] });
+        expect(answered.aiResponse).to.equal('Found it.');
+        expect(bodies.map((body: any) => [body.tools, body.toolSteps])).to.deep.equal([
+            [true, undefined],
+            [true, undefined],
+            [undefined, toolSteps],
+        ]);
+    });
+
+    /**
+     * Helper: a backend that decodes gzip request bodies like express.json and
+     * gzips its responses. With `rejectGzip` it answers compressed bodies with
+     * 415, like a proxy that does not accept them.
+     */
+    async function startCompressingServer(rejectGzip = false): Promise<{ encodings: (string | undefined)[]; bodies: any[] }> {
+        const seen = { encodings: [] as (string | undefined)[], bodies: [] as any[] };
+        await new Promise<void>((resolve) => {
+            server = http.createServer((req: any, res: any) => {
+                const chunks: Buffer[] = [];
+                req.on('data', (chunk: Buffer) => chunks.push(chunk));
+                req.on('end', () => {
+                    const encoding = req.headers['content-encoding'];
+                    seen.encodings.push(encoding);
+                    if (encoding && rejectGzip) {
+                        res.writeHead(415, { 'Content-Type': 'text/plain' });
+                        res.end('Unsupported Media Type');
+                        return;
+                    }
+
+                    const raw = Buffer.concat(chunks);
+                    const payload = JSON.parse((encoding === 'gzip' ? zlib.gunzipSync(raw) : raw).toString('utf8'));
+                    seen.bodies.push(payload);
+                    const gzip = String(req.headers['accept-encoding']).includes('gzip');
+                    const reply = req.url === '/upload/stream'
+                        ? [{ type: 'start' }, { type: 'chunk', text: 'Compressed ' }, { type: 'chunk', text: 'answer' }, { type: 'done', aiResponse: 'Compressed answer', citations: [] }]
+                            .map(event => `${JSON.stringify(event)}\n`).join('')
+                        : JSON.stringify({ aiResponse: `Read ${payload.files.length} files`, citations: [] });
+                    res.writeHead(200, {
+                        'Content-Type': req.url === '/upload/stream' ? 'application/x-ndjson' : 'application/json',
+                        ...(gzip && { 'Content-Encoding': 'gzip' }),
+                    });
+                    res.end(gzip ? zlib.gzipSync(reply) : reply);
+                });
+            }).listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${(server.address() as { port: number }).port}`;
+                resolve();
+            });
+        });
+        return seen;
+    }
+
+    const sourceFiles: WorkspaceFile[] = Array.from({ length: 20 }, (_, i) => ({
+        filename: `src/module${i}.ts`,
+        content: `export function handler${i}(request: Request): Response {\n    return respond(request);\n}\n`.repeat(20),
+    }));
+
+    /**
+     * IA27 – Compression:
+     * Request bodies are sent gzipped and compressed responses, plain and
+     * streamed, are decoded.
+     */
+    it('IA27: gzips request bodies and decodes compressed responses', async () => {
+        const seen = await startCompressingServer();
+        const chunks: string[] = [];
+
+        const buffered = await callBackendAPI('Explain', sourceFiles, baseUrl);
+        const streamed = await streamBackendAPI('Explain', sourceFiles, baseUrl, chunk => chunks.push(chunk));
+
+        expect(seen.encodings).to.deep.equal(['gzip', 'gzip']);
+        expect(seen.bodies[0].files).to.deep.equal(sourceFiles);
+        expect(buffered.aiResponse).to.equal('Read 20 files');
+        expect(streamed.aiResponse).to.equal('Compressed answer');
+        expect(chunks).to.deep.equal(['Compressed ', 'answer']);
+    });
+
+    /**
+     * IA28 – Compression fallback:
+     * A backend that rejects compressed bodies gets the request again
+     * uncompressed, and uncompressed bodies from then on.
+     */
+    it('IA28: resends uncompressed when the backend rejects gzip bodies', async () => {
+        const seen = await startCompressingServer(true);
+
+        const first = await callBackendAPI('Explain', sourceFiles, baseUrl);
+        const second = await callBackendAPI('Explain', sourceFiles, baseUrl);
+
+        expect(first.aiResponse).to.equal('Read 20 files');
+        expect(second.aiResponse).to.equal('Read 20 files');
+        expect(seen.encodings).to.deep.equal(['gzip', undefined, undefined]);
+    });
+
+    /**
+     * IA29 – Size pre-flight:
+     * Bodies over the backend limit are refused before sending, and bodies
+     * close to it are sent after a warning.
+     */
+    it('IA29: refuses bodies over the backend limit and warns close to it', async () => {
+        const seen = await startCompressingServer();
+        const warnings: string[] = [];
+
+        const tooLarge = await callBackendAPI('Explain', [{ filename: 'big.txt', content: 'x'.repeat(MAX_DECODED_BODY_BYTES) }], baseUrl)
+            .then(() => undefined, (error: unknown) => error);
+        const close = await callBackendAPI('Explain', [{ filename: 'big.txt', content: 'x'.repeat(MAX_DECODED_BODY_BYTES * 0.85) }], baseUrl, {
+            onLargeRequest: warning => warnings.push(warning),
+        });
+
+        expect(tooLarge).to.be.instanceOf(BackendApiError);
+        expect((tooLarge as BackendApiError).code).to.equal('PAYLOAD_TOO_LARGE');
+        expect((tooLarge as BackendApiError).status).to.be.undefined;
+        expect(close.aiResponse).to.equal('Read 1 files');
+        expect(seen.encodings).to.deep.equal(['gzip']);
+        expect(warnings).to.have.length(1);
+        expect(warnings[0]).to.match(/^The request is 8\.5 MB \(\d+\.\d KB compressed\), close to the backend's size limits/);
+    });
 });
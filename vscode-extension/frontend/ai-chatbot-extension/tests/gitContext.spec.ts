@@ -0,0 +1,141 @@
+import { expect } from 'chai';
+import { DEFAULT_REVIEW_PROMPT, parseReviewCommand } from '../src/codeReview';
+import { collectGitChanges, GitRunner, hasGitChanges, parseGitLog, parseGitStatus, truncateDiff } from '../src/gitContext';
+
+describe('gitContext', () => {
+    describe('parseGitStatus', () => {
+        it('reads the branch, changed paths and renames', () => {
+            const output = ['## main...origin/main [ahead 1]', ' M src/app.ts', 'R  src/new.ts', 'src/old.ts', '?? notes.md', ''].join('\0');
+
+            expect(parseGitStatus(output)).to.deep.equal({
+                branch: 'main',
+                status: [
+                    { path: 'src/app.ts', code: ' M' },
+                    { path: 'src/new.ts', originalPath: 'src/old.ts', code: 'R ' },
+                    { path: 'notes.md', code: '??' },
+                ],
+            });
+        });
+
+        it('reports no branch for a detached HEAD and the branch of a new repository', () => {
+            expect(parseGitStatus('## HEAD (no branch)\0').branch).to.equal(null);
+            expect(parseGitStatus('## No commits yet on main\0A  a.ts\0')).to.deep.equal({
+                branch: 'main',
+                status: [{ path: 'a.ts', code: 'A ' }],
+            });
+        });
+
+        it('keeps only paths inside the workspace folder, relative to it', () => {
+            const output = ['## dev', ' M web/src/app.ts', ' M server/index.js', 'R  web/b.ts', 'server/a.ts', ''].join('\0');
+
+            expect(parseGitStatus(output, 'web/').status).to.deep.equal([
+                { path: 'src/app.ts', code: ' M' },
+                { path: 'b.ts', code: 'R ' },
+            ]);
+        });
+    });
+
+    describe('parseGitLog', () => {
+        it('splits hashes from subjects', () => {
+            expect(parseGitLog('abc1234\0Add cart\ndef5678\0Fix: totals\n')).to.deep.equal([
+                { hash: 'abc1234', subject: 'Add cart' },
+                { hash: 'def5678', subject: 'Fix: totals' },
+            ]);
+            expect(parseGitLog('')).to.deep.equal([]);
+        });
+    });
+
+    describe('truncateDiff', () => {
+        it('cuts long diffs at a line break', () => {
+            expect(truncateDiff('+a\n+b\n', 10)).to.deep.equal({ diff: '+a\n+b\n', truncated: false });
+            expect(truncateDiff('+one\n+two\n+three\n', 12)).to.deep.equal({ diff: '+one\n+two\n', truncated: true });
+            expect(truncateDiff('+a very long line\n', 5)).to.deep.equal({ diff: '', truncated: true });
+        });
+    });
+
+    describe('collectGitChanges', () => {
+        function runner(outputs: Record<string, string | Error>): {run: GitRunner; calls: string[][]} {
+            const calls: string[][] = [];
+            const run: GitRunner = async (args, cwd) => {
+                expect(cwd).to.equal('/work');
+                calls.push(args);
+                const output = outputs[args[0]];
+                if (output instanceof Error) {
+                    throw output;
+                }
+                return args.includes('--cached') ? outputs.staged as string : output;
+            };
+            return { run, calls };
+        }
+
+        const options = { root: '/work', maxDiffChars: 1000, maxCommits: 5, redact: (text: string) => text.replace('s3cret', '[REDACTED]') };
+
+        it('collects status, redacted diffs and recent commits', async () => {
+            const { run, calls } = runner({
+                'rev-parse': '\n',
+                status: '## main\0 M a.ts\0A  b.ts\0',
+                staged: '+++ b/b.ts\n+const b = 1;\n',
+                diff: '+++ b/a.ts\n+const key = "s3cret";\n',
+                log: 'abc1234\0Init\n',
+            });
+
+            const git = await collectGitChanges({ ...options, run });
+
+            expect(git).to.deep.equal({
+                branch: 'main',
+                status: [{ path: 'a.ts', code: ' M' }, { path: 'b.ts', code: 'A ' }],
+                stagedDiff: '+++ b/b.ts\n+const b = 1;\n',
+                unstagedDiff: '+++ b/a.ts\n+const key = "[REDACTED]";\n',
+                recentCommits: [{ hash: 'abc1234', subject: 'Init' }],
+            });
+            expect(calls).to.deep.include(['log', '-n', '5', '--format=%h%x00%s']);
+            expect(calls.filter(args => args[0] === 'diff').every(args => args.includes('--relative'))).to.equal(true);
+        });
+
+        it('marks cut diffs and tolerates a repository without commits', async () => {
+            const { run } = runner({
+                'rev-parse': 'web/\n',
+                status: '## No commits yet on main\0?? web/a.ts\0',
+                staged: '',
+                diff: `${'+x\n'.repeat(600)}`,
+                log: new Error('fatal: your current branch does not have any commits yet'),
+            });
+
+            const git = await collectGitChanges({ ...options, run });
+
+            expect(git?.status).to.deep.equal([{ path: 'a.ts', code: '??' }]);
+            expect(git?.unstagedDiff.length).to.be.at.most(1000);
+            expect(git?.truncated).to.equal(true);
+            expect(git?.recentCommits).to.deep.equal([]);
+        });
+
+        it('returns undefined outside a git repository', async () => {
+            const { run, calls } = runner({ 'rev-parse': new Error('fatal: not a git repository') });
+
+            expect(await collectGitChanges({ ...options, run })).to.equal(undefined);
+            expect(calls).to.have.length(1);
+        });
+    });
+
+    describe('hasGitChanges', () => {
+        it('is true for changed paths or diffs only', () => {
+            const clean = { branch: 'main', status: [], stagedDiff: '', unstagedDiff: '', recentCommits: [] };
+
+            expect(hasGitChanges(clean)).to.equal(false);
+            expect(hasGitChanges({ ...clean, status: [{ path: 'a.ts', code: '??' }] })).to.equal(true);
+            expect(hasGitChanges({ ...clean, stagedDiff: '+a\n' })).to.equal(true);
+        });
+    });
+
+    describe('parseReviewCommand', () => {
+        it('splits the /review command off the prompt', () => {
+            expect(parseReviewCommand('/review  check error handling')).to.equal('check error handling');
+            expect(parseReviewCommand('/REVIEW')).to.equal(DEFAULT_REVIEW_PROMPT);
+        });
+
+        it('leaves other messages alone', () => {
+            expect(parseReviewCommand('please /review this')).to.equal(undefined);
+            expect(parseReviewCommand('/reviewer')).to.equal(undefined);
+        });
+    });
+});
@@ -0,0 +1,289 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import * as types from '../src/types';
+import { CompletionRequest } from '../src/types';
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('InlineCompletions', () => {
+    let sandbox: sinon.SinonSandbox;
+    let clock: sinon.SinonFakeTimers;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        clock = sandbox.useFakeTimers();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    function createUri(path: string, scheme = 'file') {
+        return { scheme, path, fsPath: path, toString: () => `${scheme}://${path}` };
+    }
+
+    function createDocument(path: string, text: string, languageId = 'typescript', scheme = 'file') {
+        return {
+            uri: createUri(path, scheme),
+            languageId,
+            getText: () => text,
+            offsetAt: (position: { offset: number }) => position.offset,
+        };
+    }
+
+    function createToken() {
+        let listener: (() => void) | undefined;
+        return {
+            onCancellationRequested: (callback: () => void) => {
+                listener = callback;
+                return { dispose: () => { listener = undefined; } };
+            },
+            cancel: () => listener?.(),
+        };
+    }
+
+    function setupHarness(settings: Record<string, unknown> = {}, gitignore?: string) {
+        const values: Record<string, unknown> = { 'inlineCompletions.enabled': true, ...settings };
+        const listeners: { editor?: () => void; configuration?: (event: unknown) => void; save?: (document: unknown) => void } = {};
+
+        class Range {
+            constructor(public start: unknown, public end: unknown) {}
+        }
+
+        class InlineCompletionItem {
+            constructor(public insertText: string, public range: unknown) {}
+        }
+
+        const statusBarItem = { text: '', tooltip: '', command: undefined as unknown, show: sandbox.stub(), hide: sandbox.stub(), dispose: sandbox.stub() };
+        const configuration = {
+            get: (key: string, fallback?: unknown) => (key in values ? values[key] : fallback),
+            update: sandbox.stub().callsFake(async (key: string, value: unknown) => {
+                values[key] = value;
+            }),
+        };
+
+        const vscodeStub = {
+            window: {
+                activeTextEditor: undefined as unknown,
+                visibleTextEditors: [] as unknown[],
+                createStatusBarItem: sandbox.stub().returns(statusBarItem),
+                onDidChangeActiveTextEditor: (callback: () => void) => {
+                    listeners.editor = callback;
+                    return { dispose: sandbox.stub() };
+                },
+            },
+            workspace: {
+                textDocuments: [] as unknown[],
+                getConfiguration: sandbox.stub().returns(configuration),
+                onDidChangeConfiguration: (callback: (event: unknown) => void) => {
+                    listeners.configuration = callback;
+                    return { dispose: sandbox.stub() };
+                },
+                onDidSaveTextDocument: (callback: (document: unknown) => void) => {
+                    listeners.save = callback;
+                    return { dispose: sandbox.stub() };
+                },
+                asRelativePath: (uri: { fsPath: string }) => (uri.fsPath.startsWith('/ws/') ? uri.fsPath.slice('/ws/'.length) : uri.fsPath),
+                getWorkspaceFolder: (uri: { path: string }) => (uri.path.startsWith('/ws/') ? { uri: createUri('/ws') } : undefined),
+                fs: {
+                    readFile: sandbox.stub().callsFake(async () => {
+                        if (gitignore === undefined) {
+                            throw new Error('FileNotFound');
+                        }
+                        return Buffer.from(gitignore);
+                    }),
+                },
+            },
+            Uri: {
+                joinPath: (base: { path: string }, ...segments: string[]) => createUri([base.path, ...segments].join('/')),
+            },
+            Range,
+            InlineCompletionItem,
+            StatusBarAlignment: { Left: 1, Right: 2 },
+            ConfigurationTarget: { Global: 1, Workspace: 2 },
+        };
+
+        const module = proxyquire('../src/inlineCompletions', {
+            vscode: vscodeStub,
+            './types': types,
+            './workspaceTools': proxyquire('../src/workspaceTools', { vscode: {} }),
+        });
+        const complete = sandbox.stub<[CompletionRequest, AbortSignal], Promise<string>>().resolves('a + b;');
+        const provider = new module.InlineCompletions(complete);
+
+        return { module, provider, complete, vscodeStub, statusBarItem, values, listeners };
+    }
+
+    const document = createDocument('/ws/src/app.ts', 'const total = ;\n');
+    const position = { offset: 14 };
+
+    it('asks for a completion once typing pauses and shows it at the cursor', async () => {
+        const { provider, complete } = setupHarness();
+
+        const pending = provider.provideInlineCompletionItems(document, position, {}, createToken());
+        await clock.tickAsync(249);
+        expect(complete.called).to.be.false;
+        await clock.tickAsync(1);
+
+        expect(await pending).to.deep.equal([{ insertText: 'a + b;', range: { start: position, end: position } }]);
+        expect(complete.firstCall.args[0]).to.deep.equal({ prefix: 'const total = ', suffix: ';\n', language: 'typescript', path: 'src/app.ts' });
+    });
+
+    it('sends visible and open documents of the same language as neighbors', async () => {
+        const { provider, complete, vscodeStub } = setupHarness();
+        vscodeStub.window.visibleTextEditors = [
+            { document },
+            { document: createDocument('/ws/README.md', '# Readme', 'markdown') },
+        ];
+        vscodeStub.workspace.textDocuments = [
+            document,
+            createDocument('/ws/src/math.ts', 'export const add = 1;'),
+            createDocument('/ws/src/style.css', 'body {}', 'css'),
+            createDocument('/other/lib.ts', 'outside'),
+            createDocument('/ws/Untitled-1', 'draft', 'typescript', 'untitled'),
+        ];
+
+        const pending = provider.provideInlineCompletionItems(document, position, {}, createToken());
+        await clock.tickAsync(250);
+        await pending;
+
+        expect(complete.firstCall.args[0].files).to.deep.equal([
+            { filename: 'README.md', content: '# Readme' },
+            { filename: 'src/math.ts', content: 'export const add = 1;' },
+        ]);
+    });
+
+    it('neither completes nor sends files the workspace tools may not read', async () => {
+        const { provider, complete, vscodeStub, values, listeners } = setupHarness({
+            'tools.exclude': ['secrets/**'],
+            exclude: { '**/*.log': true, '**/*.tmp': false },
+        }, '.env\n');
+        vscodeStub.window.visibleTextEditors = [
+            { document: createDocument('/ws/.env', 'API_TOKEN=abc', 'dotenv') },
+            { document: createDocument('/ws/secrets/keys.ts', 'export const key = 1;') },
+            { document: createDocument('/ws/server.log', 'started', 'log') },
+            { document: createDocument('/ws/cache.tmp', 'tmp', 'plaintext') },
+        ];
+
+        expect(await provider.provideInlineCompletionItems(createDocument('/ws/.env', 'API_TOKEN='), { offset: 10 }, {}, createToken())).to.equal(undefined);
+        expect(complete.called).to.be.false;
+
+        const pending = provider.provideInlineCompletionItems(document, position, {}, createToken());
+        await clock.tickAsync(250);
+        await pending;
+        expect(complete.firstCall.args[0].files).to.deep.equal([{ filename: 'cache.tmp', content: 'tmp' }]);
+
+        values['tools.exclude'] = [];
+        listeners.configuration?.({ affectsConfiguration: (section: string) => section === 'ai-chatbot.tools.exclude' });
+        listeners.save?.({ uri: createUri('/ws/.gitignore') });
+        const again = provider.provideInlineCompletionItems(document, { offset: 13 }, {}, createToken());
+        await clock.tickAsync(250);
+        await again;
+        expect(complete.secondCall.args[0].files?.map(file => file.filename)).to.deep.equal(['secrets/keys.ts', 'cache.tmp']);
+        expect(vscodeStub.workspace.fs.readFile.calledTwice).to.be.true;
+    });
+
+    it('cancels a waiting request when a newer one arrives or VS Code cancels it', async () => {
+        const { provider, complete } = setupHarness();
+
+        const first = provider.provideInlineCompletionItems(document, position, {}, createToken());
+        await clock.tickAsync(100);
+        const second = provider.provideInlineCompletionItems(document, { offset: 13 }, {}, createToken());
+        expect(await first).to.equal(undefined);
+
+        const token = createToken();
+        const third = provider.provideInlineCompletionItems(document, { offset: 12 }, {}, token);
+        expect(await second).to.equal(undefined);
+        await clock.tickAsync(100);
+        token.cancel();
+        expect(await third).to.equal(undefined);
+
+        expect(complete.called).to.be.false;
+    });
+
+    it('aborts a running request when a newer one arrives', async () => {
+        const { provider, complete } = setupHarness();
+        complete.onFirstCall().callsFake((_request, signal) => new Promise((_resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('Request cancelled')));
+        }));
+
+        const first = provider.provideInlineCompletionItems(document, position, {}, createToken());
+        await clock.tickAsync(250);
+        const second = provider.provideInlineCompletionItems(document, { offset: 13 }, {}, createToken());
+
+        expect(await first).to.equal(undefined);
+        expect(complete.firstCall.args[1].aborted).to.be.true;
+        await clock.tickAsync(250);
+        expect(await second).to.have.length(1);
+    });
+
+    it('answers repeated requests from the cache', async () => {
+        const { provider, complete } = setupHarness();
+
+        const first = provider.provideInlineCompletionItems(document, position, {}, createToken());
+        await clock.tickAsync(250);
+        await first;
+        const again = await provider.provideInlineCompletionItems(document, position, {}, createToken());
+
+        expect(again).to.deep.equal([{ insertText: 'a + b;', range: { start: position, end: position } }]);
+        expect(complete.calledOnce).to.be.true;
+    });
+
+    it('asks nothing in languages that are turned off', async () => {
+        const { module, provider, complete } = setupHarness({ 'inlineCompletions.languages': { '*': true, markdown: false } });
+
+        expect(await provider.provideInlineCompletionItems(createDocument('/ws/a.md', '# Title', 'markdown'), { offset: 7 }, {}, createToken())).to.equal(undefined);
+        expect(complete.called).to.be.false;
+
+        const configuration = (settings: Record<string, unknown>) => ({ get: (key: string, fallback?: unknown) => (key in settings ? settings[key] : fallback) });
+        expect(module.isEnabledFor(configuration({}), 'python')).to.be.false;
+        expect(module.isEnabledFor(configuration({ 'inlineCompletions.enabled': true }), 'python')).to.be.true;
+        expect(module.isEnabledFor(configuration({ 'inlineCompletions.enabled': true, 'inlineCompletions.languages': { '*': false, python: true } }), 'python')).to.be.true;
+        expect(module.isEnabledFor(configuration({ 'inlineCompletions.enabled': true, 'inlineCompletions.languages': { '*': false, python: true } }), 'go')).to.be.false;
+        expect(module.isEnabledFor(configuration({ 'inlineCompletions.enabled': false, 'inlineCompletions.languages': { python: true } }), 'python')).to.be.false;
+    });
+
+    it('toggles the active editor\'s language and shows its state in the status bar', async () => {
+        const { provider, vscodeStub, statusBarItem, values, listeners } = setupHarness({ 'inlineCompletions.languages': { '*': true } });
+        vscodeStub.window.activeTextEditor = { document };
+        listeners.editor?.();
+        expect(statusBarItem.command).to.equal('ai-chatbot.toggleInlineCompletions');
+        expect(statusBarItem.text).to.equal('$(sparkle) AI');
+        expect(statusBarItem.tooltip).to.contain('on for typescript');
+
+        await provider.toggle();
+        listeners.configuration?.({ affectsConfiguration: (section: string) => section === 'ai-chatbot.inlineCompletions' });
+        expect(values['inlineCompletions.languages']).to.deep.equal({ '*': true, typescript: false });
+        expect(statusBarItem.text).to.equal('$(circle-slash) AI');
+        expect(statusBarItem.tooltip).to.contain('off for typescript');
+
+        values['inlineCompletions.enabled'] = false;
+        await provider.toggle();
+        expect(values).to.deep.include({ 'inlineCompletions.enabled': true, 'inlineCompletions.languages': { '*': false, typescript: true } });
+
+        vscodeStub.window.activeTextEditor = undefined;
+        listeners.editor?.();
+        expect(statusBarItem.hide.called).to.be.true;
+        await provider.toggle();
+        expect(values['inlineCompletions.enabled']).to.equal(false);
+    });
+
+    it('shows failures in the status bar and drops rate-limited requests quietly', async () => {
+        const { provider, complete, vscodeStub, statusBarItem } = setupHarness();
+        sandbox.stub(console, 'warn');
+        vscodeStub.window.activeTextEditor = { document };
+        complete.onFirstCall().rejects(new types.BackendHttpError(429, 'Too Many Requests'));
+        complete.onSecondCall().rejects(new Error('connect ECONNREFUSED'));
+
+        const limited = provider.provideInlineCompletionItems(document, position, {}, createToken());
+        await clock.tickAsync(250);
+        expect(await limited).to.equal(undefined);
+        expect(statusBarItem.text).to.equal('$(sparkle) AI');
+
+        const failed = provider.provideInlineCompletionItems(document, position, {}, createToken());
+        await clock.tickAsync(250);
+        expect(await failed).to.equal(undefined);
+        expect(statusBarItem.text).to.equal('$(warning) AI');
+        expect(statusBarItem.tooltip).to.contain('connect ECONNREFUSED');
+    });
+});
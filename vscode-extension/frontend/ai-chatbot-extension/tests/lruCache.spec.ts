@@ -0,0 +1,28 @@
+import { expect } from 'chai';
+import { LruCache } from '../src/lruCache';
+
+describe('LruCache', () => {
+    it('drops the least recently used entry when full', () => {
+        const cache = new LruCache<string>(2);
+
+        cache.set('a', '1');
+        cache.set('b', '2');
+        expect(cache.get('a')).to.equal('1');
+        cache.set('c', '3');
+
+        expect(cache.get('b')).to.equal(undefined);
+        expect(cache.get('a')).to.equal('1');
+        expect(cache.get('c')).to.equal('3');
+        expect(cache.size).to.equal(2);
+    });
+
+    it('replaces the value of a key without growing', () => {
+        const cache = new LruCache<number>(2);
+
+        cache.set('a', 1);
+        cache.set('a', 2);
+
+        expect(cache.get('a')).to.equal(2);
+        expect(cache.size).to.equal(1);
+    });
+});
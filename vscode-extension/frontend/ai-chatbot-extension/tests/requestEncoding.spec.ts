@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import { PassThrough } from 'stream';
+import * as zlib from 'zlib';
+import {
+    MAX_DECODED_BODY_BYTES,
+    MAX_GATEWAY_BODY_BYTES,
+    checkRequestSize,
+    decodeResponse,
+    describeCompression,
+    encodeRequestBody,
+} from '../src/requestEncoding';
+
+describe('requestEncoding', () => {
+    describe('encodeRequestBody', () => {
+        it('gzips bodies that compress', () => {
+            const json = JSON.stringify({ files: [{ filename: 'a.ts', content: 'const a = 1;\n'.repeat(500) }], prompt: 'x' });
+
+            const body = encodeRequestBody(json);
+
+            expect(body.encoding).to.equal('gzip');
+            expect(body.decodedBytes).to.equal(Buffer.byteLength(json));
+            expect(body.data.length).to.be.lessThan(body.decodedBytes / 10);
+            expect(zlib.gunzipSync(body.data).toString('utf8')).to.equal(json);
+        });
+
+        it('sends small bodies and uncompressed backends plain JSON', () => {
+            const small = encodeRequestBody('{"prompt":"hi"}');
+            const plain = encodeRequestBody(JSON.stringify({ content: 'x'.repeat(5000) }), false);
+
+            expect(small).to.deep.equal({ data: Buffer.from('{"prompt":"hi"}'), decodedBytes: 15 });
+            expect(plain.encoding).to.be.undefined;
+            expect(plain.data.toString('utf8')).to.equal(JSON.stringify({ content: 'x'.repeat(5000) }));
+        });
+
+        it('describes the compression for the log', () => {
+            expect(describeCompression({ data: Buffer.alloc(1024), encoding: 'gzip', decodedBytes: 7 * 1024 })).to.equal('7.0 KB -> 1.0 KB gzip (7.0x)');
+            expect(describeCompression({ data: Buffer.alloc(15), decodedBytes: 15 })).to.equal('15 B uncompressed');
+        });
+    });
+
+    describe('checkRequestSize', () => {
+        it('refuses bodies over the backend limit', () => {
+            const { error, warning } = checkRequestSize({ data: Buffer.alloc(100), encoding: 'gzip', decodedBytes: MAX_DECODED_BODY_BYTES + 1 });
+
+            expect(error).to.equal('The request is 10.0 MB (100 B compressed); the backend accepts at most 10.0 MB uncompressed.');
+            expect(warning).to.be.undefined;
+        });
+
+        it('warns about bodies over the gateway limit or close to a limit', () => {
+            const overGateway = checkRequestSize({ data: Buffer.alloc(MAX_GATEWAY_BODY_BYTES + 1), decodedBytes: MAX_GATEWAY_BODY_BYTES + 1 });
+            const close = checkRequestSize({ data: Buffer.alloc(100), encoding: 'gzip', decodedBytes: 9 * 1024 * 1024 });
+
+            expect(overGateway.error).to.be.undefined;
+            expect(overGateway.warning).to.match(/^The request is 4\.3 MB, more than the 4\.3 MB an API Gateway deployment/);
+            expect(close.warning).to.equal('The request is 9.0 MB (100 B compressed), close to the backend\'s size limits. Lower "Max Workspace Files" or enable incremental uploads to keep requests small.');
+            expect(checkRequestSize({ data: Buffer.alloc(100), decodedBytes: 100 })).to.deep.equal({});
+        });
+    });
+
+    describe('decodeResponse', () => {
+        async function readAll(headers: Record<string, string>, data: Buffer): Promise<string> {
+            const res = Object.assign(new PassThrough(), { headers });
+            const decoded = decodeResponse(res as any);
+            let text = '';
+            decoded.on('data', (chunk: string) => {
+                text += chunk;
+            });
+            res.end(data);
+            await new Promise(resolve => decoded.on('end', resolve));
+            return text;
+        }
+
+        it('decompresses gzip and deflate bodies and keeps others as text', async () => {
+            const json = '{"aiResponse":"héllo"}';
+
+            expect(await readAll({ 'content-encoding': 'gzip' }, zlib.gzipSync(json))).to.equal(json);
+            expect(await readAll({ 'content-encoding': 'deflate' }, zlib.deflateSync(json))).to.equal(json);
+            expect(await readAll({}, Buffer.from(json))).to.equal(json);
+        });
+    });
+});
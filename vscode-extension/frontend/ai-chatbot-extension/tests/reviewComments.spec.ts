@@ -0,0 +1,200 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import * as codeReview from '../src/codeReview';
+import { ReviewComment } from '../src/types';
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('ReviewComments', () => {
+    let sandbox: sinon.SinonSandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    const finding: ReviewComment = {
+        path: 'src/a.ts',
+        startLine: 2,
+        endLine: 3,
+        severity: 'error',
+        message: 'Total is off by one',
+        status: 'verified',
+        changed: true,
+        suggestion: { original: 'b\nc', replacement: 'bc' },
+    };
+
+    function createUri(path: string) {
+        return { path, toString: () => path };
+    }
+
+    function createDocument(text: string, eol = 1) {
+        const lines = text.split(/\r?\n/);
+        return {
+            eol,
+            lineCount: lines.length,
+            getText: () => text,
+            lineAt: (line: number) => ({ text: lines[line] }),
+        };
+    }
+
+    function setupHarness(files: Record<string, string> = {}) {
+        const operations: unknown[][] = [];
+        const threads: any[] = [];
+
+        class WorkspaceEdit {
+            replace(...args: unknown[]) {
+                operations.push(['replace', ...args]);
+            }
+        }
+
+        class Range {
+            constructor(public startLine: number, public startCharacter: number, public endLine: number, public endCharacter: number) {}
+        }
+
+        class MarkdownString {
+            constructor(public value: string) {}
+        }
+
+        const controller = {
+            createCommentThread: sandbox.stub().callsFake((uri: unknown, range: unknown, comments: unknown[]) => {
+                const thread = { uri, range, comments, dispose: sandbox.stub() };
+                threads.push(thread);
+                return thread;
+            }),
+            dispose: sandbox.stub(),
+        };
+
+        const vscodeStub = {
+            comments: {
+                createCommentController: sandbox.stub().returns(controller),
+            },
+            workspace: {
+                workspaceFolders: [{ uri: createUri('/ws') }] as unknown[] | undefined,
+                openTextDocument: sandbox.stub().callsFake(async (uri: {path: string}) => {
+                    if (!(uri.path in files)) {
+                        throw new Error('ENOENT');
+                    }
+                    return createDocument(files[uri.path], files[uri.path].includes('\r\n') ? 2 : 1);
+                }),
+                applyEdit: sandbox.stub().resolves(true),
+            },
+            Uri: {
+                joinPath: (base: {path: string}, ...segments: string[]) => createUri([base.path, ...segments].join('/')),
+            },
+            Range,
+            MarkdownString,
+            WorkspaceEdit,
+            CommentMode: { Editing: 0, Preview: 1 },
+            CommentThreadCollapsibleState: { Collapsed: 0, Expanded: 1 },
+            EndOfLine: { LF: 1, CRLF: 2 },
+        };
+
+        const module = proxyquire('../src/reviewComments', {
+            vscode: vscodeStub,
+            './codeReview': codeReview,
+        });
+
+        return { reviewComments: new module.ReviewComments(), describeFinding: module.describeFinding, vscodeStub, controller, threads, operations };
+    }
+
+    it('creates a thread on the lines of each located finding', () => {
+        const { reviewComments, vscodeStub, threads } = setupHarness();
+        const remark = { ...finding, startLine: 7, endLine: null, severity: 'info' as const, changed: false, suggestion: undefined };
+
+        expect(reviewComments.show([finding, remark, { ...finding, startLine: null, endLine: null }])).to.equal(2);
+
+        expect(vscodeStub.comments.createCommentController.calledOnceWithExactly('ai-chatbot.review', 'AI Review')).to.be.true;
+        expect(threads.map(thread => [thread.uri.path, thread.range.startLine, thread.range.endLine])).to.deep.equal([
+            ['/ws/src/a.ts', 1, 2],
+            ['/ws/src/a.ts', 6, 6],
+        ]);
+        expect(threads.map(thread => thread.contextValue)).to.deep.equal(['finding-with-suggestion', 'finding']);
+        expect(threads.map(thread => thread.collapsibleState)).to.deep.equal([1, 0]);
+        expect(threads[0].label).to.equal('AI review: error');
+        expect(threads[0].canReply).to.equal(true);
+        expect(threads[0].comments[0]).to.deep.include({ mode: 1, author: { name: 'AI Review' }, label: 'Error' });
+        expect(reviewComments.findings).to.deep.equal([finding, remark]);
+    });
+
+    it('replaces the threads of the previous review and shows none without a workspace folder', () => {
+        const { reviewComments, vscodeStub, threads } = setupHarness();
+
+        reviewComments.show([finding]);
+        reviewComments.show([finding]);
+        expect(threads[0].dispose.calledOnce).to.be.true;
+        expect(reviewComments.findingOf(threads[0])).to.equal(undefined);
+        expect(reviewComments.findingOf(threads[1])).to.equal(finding);
+
+        vscodeStub.workspace.workspaceFolders = undefined;
+        expect(reviewComments.show([finding])).to.equal(0);
+        expect(reviewComments.findings).to.deep.equal([]);
+    });
+
+    it('applies a suggestion to the cited lines and closes the thread', async () => {
+        const { reviewComments, vscodeStub, threads, operations } = setupHarness({ '/ws/src/a.ts': 'a\nb\nc\nd\n' });
+        reviewComments.show([finding]);
+
+        expect(await reviewComments.applySuggestion(threads[0])).to.equal(undefined);
+
+        expect(operations).to.have.length(1);
+        const [, uri, range, text] = operations[0] as [string, {path: string}, any, string];
+        expect(uri.path).to.equal('/ws/src/a.ts');
+        expect(range).to.deep.include({ startLine: 1, startCharacter: 0, endLine: 2, endCharacter: 1 });
+        expect(text).to.equal('bc');
+        expect(vscodeStub.workspace.applyEdit.calledOnce).to.be.true;
+        expect(threads[0].dispose.calledOnce).to.be.true;
+        expect(reviewComments.findings).to.deep.equal([]);
+    });
+
+    it('deletes whole lines for an empty suggestion and keeps CRLF line endings', async () => {
+        const { reviewComments, threads, operations } = setupHarness({ '/ws/src/a.ts': 'a\r\nb\r\nc\r\nd\r\n' });
+        const deletion = { ...finding, suggestion: { original: 'b\nc', replacement: '' } };
+        const multiline = { ...finding, suggestion: { original: 'b\nc', replacement: 'x\ny' } };
+
+        reviewComments.show([deletion]);
+        await reviewComments.applySuggestion(threads[0]);
+        reviewComments.show([multiline]);
+        await reviewComments.applySuggestion(threads[1]);
+
+        expect((operations[0][2] as any)).to.deep.include({ startLine: 1, startCharacter: 0, endLine: 3, endCharacter: 0 });
+        expect(operations[0][3]).to.equal('');
+        expect(operations[1][3]).to.equal('x\r\ny');
+    });
+
+    it('leaves files alone when the suggestion no longer applies', async () => {
+        const { reviewComments, vscodeStub, threads } = setupHarness({ '/ws/src/a.ts': 'a\nB\nc\n' });
+        reviewComments.show([finding, { ...finding, path: 'src/gone.ts' }]);
+
+        expect(await reviewComments.applySuggestion(threads[0])).to.contain('changed since the review');
+        expect(await reviewComments.applySuggestion(threads[1])).to.equal('src/gone.ts no longer exists.');
+        expect(await reviewComments.applySuggestion({} as any)).to.contain('earlier review');
+        expect(vscodeStub.workspace.applyEdit.called).to.be.false;
+        expect(threads[0].dispose.called).to.be.false;
+    });
+
+    it('dismisses findings and adds replies to their threads', () => {
+        const { reviewComments, threads } = setupHarness();
+        reviewComments.show([finding]);
+
+        reviewComments.addReply(threads[0], 'Why?', 'You');
+        expect(threads[0].comments.map((comment: any) => [comment.author.name, comment.body.value])).to.deep.equal([
+            ['AI Review', threads[0].comments[0].body.value],
+            ['You', 'Why?'],
+        ]);
+
+        reviewComments.dismiss(threads[0]);
+        expect(threads[0].dispose.calledOnce).to.be.true;
+        expect(reviewComments.findings).to.deep.equal([]);
+    });
+
+    it('renders suggestions as a diff under the message', () => {
+        const { describeFinding } = setupHarness();
+
+        expect(describeFinding(finding)).to.equal('Total is off by one\n\nSuggested change:\n```diff\n-b\n-c\n+bc\n```');
+        expect(describeFinding({ ...finding, suggestion: undefined })).to.equal('Total is off by one');
+    });
+});
@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import type { ChatMessage } from '../src/types';
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('ChatStateStore', () => {
+    function createStore(messages: ChatMessage[]) {
+        const { ChatStateStore } = proxyquire('../src/stateStore', {
+            vscode: {},
+            './config': { CONFIG: { CHAT_HISTORY_KEY: 'test.history' } },
+        });
+        const storage = {
+            get: sinon.stub().returns(messages),
+            update: sinon.stub().resolves(undefined),
+        };
+        return new ChatStateStore(storage);
+    }
+
+    describe('getConversationHistory', () => {
+        const messages: ChatMessage[] = [
+            { type: 'user', content: 'What is a.ts?' },
+            { type: 'ai', content: 'A module.' },
+            { type: 'user', content: 'And b.ts?' },
+            { type: 'ai', content: '⚠️ Failed to contact the AI backend: timeout' },
+            { type: 'user', content: 'And b.ts?' },
+        ];
+
+        it('maps chat messages to backend roles and skips failure notices', () => {
+            const store = createStore(messages);
+
+            expect(store.getConversationHistory(10)).to.deep.equal([
+                { role: 'user', content: 'What is a.ts?' },
+                { role: 'assistant', content: 'A module.' },
+                { role: 'user', content: 'And b.ts?' },
+                { role: 'user', content: 'And b.ts?' },
+            ]);
+        });
+
+        it('drops a trailing copy of the prompt being sent', () => {
+            const store = createStore(messages);
+
+            const history = store.getConversationHistory(10, 'And b.ts?');
+
+            expect(history).to.have.length(3);
+            expect(history[2]).to.deep.equal({ role: 'user', content: 'And b.ts?' });
+        });
+
+        it('keeps only the most recent messages', () => {
+            const store = createStore(messages);
+
+            expect(store.getConversationHistory(2, 'And b.ts?')).to.deep.equal([
+                { role: 'assistant', content: 'A module.' },
+                { role: 'user', content: 'And b.ts?' },
+            ]);
+        });
+
+        it('returns no history when the limit is zero', () => {
+            const store = createStore(messages);
+
+            expect(store.getConversationHistory(0)).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,251 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { ExplanationRequest } from '../src/types';
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('symbolActions', () => {
+    let sandbox: sinon.SinonSandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+    });
+
+    const SymbolKind = { Class: 4, Method: 5, Constructor: 8, Function: 11, Variable: 12 };
+
+    class Position {
+        constructor(public line: number, public character: number) {}
+    }
+
+    class Range {
+        constructor(public start: Position, public end: Position) {}
+
+        contains(position: Position) {
+            const after = position.line > this.start.line || (position.line === this.start.line && position.character >= this.start.character);
+            const before = position.line < this.end.line || (position.line === this.end.line && position.character <= this.end.character);
+            return after && before;
+        }
+    }
+
+    const range = (startLine: number, startCharacter: number, endLine: number, endCharacter: number) =>
+        new Range(new Position(startLine, startCharacter), new Position(endLine, endCharacter));
+
+    function createUri(path: string, scheme = 'file') {
+        return { scheme, path, fsPath: path, toString: () => `${scheme}://${path}` };
+    }
+
+    function createToken(cancelled = false) {
+        let listener: (() => void) | undefined;
+        return {
+            isCancellationRequested: cancelled,
+            onCancellationRequested: (callback: () => void) => {
+                listener = callback;
+                return { dispose: () => { listener = undefined; } };
+            },
+            cancel: () => listener?.(),
+        };
+    }
+
+    // class Cart { total() {...} } and function helper() {...}, with a variable in between
+    const reported = [
+        {
+            name: 'Cart',
+            kind: SymbolKind.Class,
+            range: range(0, 0, 9, 1),
+            selectionRange: range(0, 6, 0, 10),
+            children: [
+                { name: 'total', kind: SymbolKind.Method, range: range(2, 4, 6, 5), selectionRange: range(2, 4, 2, 9), children: [] },
+                { name: 'count', kind: SymbolKind.Variable, range: range(8, 4, 8, 20), selectionRange: range(8, 4, 8, 9), children: [] },
+            ],
+        },
+        { name: 'helper', kind: SymbolKind.Function, range: range(11, 0, 11, 30), selectionRange: range(11, 9, 11, 15), children: [] },
+    ];
+    const text = Array.from({ length: 12 }, (_line, index) => `line ${index}`).join('\n');
+
+    function createDocument(path = '/ws/src/cart.ts', languageId = 'typescript') {
+        return {
+            uri: createUri(path),
+            languageId,
+            getText: (part: Range) => `${text.split('\n')[part.start.line]}...`,
+        };
+    }
+
+    function setupHarness(settings: Record<string, unknown> = {}, symbols: unknown[] | null = reported) {
+        const listeners: { configuration?: (event: unknown) => void } = {};
+
+        class EventEmitter {
+            public listeners: (() => void)[] = [];
+            public event = (listener: () => void) => this.listeners.push(listener);
+            fire() {
+                this.listeners.forEach(listener => listener());
+            }
+            dispose() {}
+        }
+
+        class CodeLens {
+            constructor(public range: Range, public command: { title: string; command: string; arguments: unknown[] }) {}
+        }
+
+        class MarkdownString {
+            constructor(public value: string, public supportThemeIcons?: boolean) {}
+        }
+
+        class Hover {
+            constructor(public contents: MarkdownString, public range: Range) {}
+        }
+
+        const vscodeStub = {
+            commands: {
+                executeCommand: sandbox.stub().resolves(symbols ?? undefined),
+            },
+            workspace: {
+                workspaceFolders: [{ uri: createUri('/ws') }] as unknown[] | undefined,
+                getConfiguration: () => ({ get: (key: string, fallback?: unknown) => (key in settings ? settings[key] : fallback) }),
+                onDidChangeConfiguration: (callback: (event: unknown) => void) => {
+                    listeners.configuration = callback;
+                    return { dispose: sandbox.stub() };
+                },
+            },
+            SymbolKind,
+            EventEmitter,
+            CodeLens,
+            MarkdownString,
+            Hover,
+        };
+
+        const module = proxyquire('../src/symbolActions', { vscode: vscodeStub });
+        return { module, vscodeStub, listeners };
+    }
+
+    it('finds functions, methods and classes with the document symbol provider', async () => {
+        const { module, vscodeStub } = setupHarness();
+        const document = createDocument();
+
+        const symbols = await module.findSymbols(document);
+
+        expect(vscodeStub.commands.executeCommand.calledOnceWithExactly('vscode.executeDocumentSymbolProvider', document.uri)).to.be.true;
+        expect(symbols.map((symbol: any) => [symbol.name, symbol.kind])).to.deep.equal([['Cart', 'class'], ['total', 'method'], ['helper', 'function']]);
+        expect(module.symbolAt(symbols, new Position(2, 6)).name).to.equal('total');
+        expect(module.symbolAt(symbols, new Position(4, 0))).to.equal(undefined);
+    });
+
+    it('reads flat symbol information and languages without a symbol provider', async () => {
+        const flat = [{ name: 'main', kind: SymbolKind.Function, location: { uri: createUri('/ws/a.c'), range: range(3, 0, 8, 1) } }];
+
+        const { module } = setupHarness({}, flat);
+        const [main] = await module.findSymbols(createDocument('/ws/a.c', 'c'));
+        expect(main).to.deep.include({ name: 'main', kind: 'function' });
+        expect(main.selectionRange).to.equal(main.range);
+
+        expect(await setupHarness({}, null).module.findSymbols(createDocument())).to.deep.equal([]);
+    });
+
+    it('describes a symbol with its workspace path and lines', async () => {
+        const { module } = setupHarness();
+        const [cart, , helper] = await module.findSymbols(createDocument());
+        const root = createUri('/ws');
+
+        expect(module.describeSymbol(cart, createUri('/ws/src/cart.ts'), root)).to.equal('class `Cart` in src/cart.ts:1-10');
+        expect(module.describeSymbol(helper, createUri('/ws/src/cart.ts'), root)).to.equal('function `helper` in src/cart.ts:12');
+        expect(module.describeSymbol(helper, createUri('/other/cart.ts'), root)).to.equal(undefined);
+        expect(module.describeSymbol(helper, createUri('/ws/cart.ts', 'untitled'), root)).to.equal(undefined);
+    });
+
+    it('puts Explain, Generate tests and Document above each symbol', async () => {
+        const { module, listeners } = setupHarness();
+        const provider = new module.SymbolCodeLensProvider();
+        const document = createDocument();
+
+        const lenses = await provider.provideCodeLenses(document);
+
+        expect(lenses).to.have.length(9);
+        expect(lenses.slice(3, 6).map((lens: any) => [lens.range, lens.command.title, lens.command.command])).to.deep.equal([
+            [range(2, 4, 6, 5), 'Explain', 'ai-chatbot.explainSymbol'],
+            [range(2, 4, 6, 5), 'Generate tests', 'ai-chatbot.generateTests'],
+            [range(2, 4, 6, 5), 'Document', 'ai-chatbot.documentSymbol'],
+        ]);
+        expect(lenses[3].command.arguments[0]).to.equal(document.uri);
+        expect(lenses[3].command.arguments[1]).to.include({ name: 'total', kind: 'method' });
+
+        const refreshed = sandbox.stub();
+        provider.onDidChangeCodeLenses(refreshed);
+        listeners.configuration?.({ affectsConfiguration: (section: string) => section === 'ai-chatbot.codeLens' });
+        listeners.configuration?.({ affectsConfiguration: () => false });
+        expect(refreshed.calledOnce).to.be.true;
+    });
+
+    it('shows no lenses while they are turned off', async () => {
+        const { module, vscodeStub } = setupHarness({ 'codeLens.enabled': false });
+
+        expect(await new module.SymbolCodeLensProvider().provideCodeLenses(createDocument())).to.deep.equal([]);
+        expect(vscodeStub.commands.executeCommand.called).to.be.false;
+    });
+
+    it('explains the hovered symbol once per version of its code', async () => {
+        const { module } = setupHarness({ 'hover.enabled': true });
+        const explain = sandbox.stub<[ExplanationRequest, AbortSignal], Promise<string>>().resolves('Sums the prices.');
+        const provider = new module.SymbolHoverProvider(explain);
+        const document = createDocument();
+
+        const hover = await provider.provideHover(document, new Position(2, 5), createToken());
+        const again = await provider.provideHover(document, new Position(2, 8), createToken());
+
+        expect(hover.contents).to.deep.equal({ value: '$(sparkle) Sums the prices.', supportThemeIcons: true });
+        expect(hover.range).to.deep.equal(range(2, 4, 2, 9));
+        expect(again.contents.value).to.equal('$(sparkle) Sums the prices.');
+        expect(explain.calledOnce).to.be.true;
+        expect(explain.firstCall.args[0]).to.deep.equal({
+            code: 'line 2...',
+            name: 'total',
+            kind: 'method',
+            language: 'typescript',
+            path: 'src/cart.ts',
+        });
+
+        // Changed code is a new symbol version
+        await provider.provideHover({ ...document, getText: () => 'changed' }, new Position(2, 5), createToken());
+        expect(explain.calledTwice).to.be.true;
+    });
+
+    it('asks nothing while hovers are off or away from a symbol name', async () => {
+        const explain = sandbox.stub().resolves('x');
+
+        const off = setupHarness();
+        expect(await new off.module.SymbolHoverProvider(explain).provideHover(createDocument(), new Position(2, 5), createToken())).to.equal(undefined);
+        expect(off.vscodeStub.commands.executeCommand.called).to.be.false;
+
+        const { module } = setupHarness({ 'hover.enabled': true });
+        const provider = new module.SymbolHoverProvider(explain);
+        expect(await provider.provideHover(createDocument(), new Position(4, 0), createToken())).to.equal(undefined);
+        expect(await provider.provideHover(createDocument(), new Position(2, 5), createToken(true))).to.equal(undefined);
+        expect(explain.called).to.be.false;
+    });
+
+    it('drops cancelled hovers and shows failures without caching them', async () => {
+        const { module } = setupHarness({ 'hover.enabled': true });
+        sandbox.stub(console, 'warn');
+        const token = createToken();
+        const explain = sandbox.stub<[ExplanationRequest, AbortSignal], Promise<string>>();
+        // The mouse moves away while the first explanation is requested
+        explain.onFirstCall().callsFake((_request, signal) => new Promise((_resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('Request cancelled')));
+            token.cancel();
+        }));
+        explain.onSecondCall().rejects(new Error('connect ECONNREFUSED'));
+        explain.onThirdCall().resolves('Sums the prices.');
+        const provider = new module.SymbolHoverProvider(explain);
+
+        const cancelled = provider.provideHover(createDocument(), new Position(2, 5), token);
+        expect(await cancelled).to.equal(undefined);
+
+        const failed = await provider.provideHover(createDocument(), new Position(2, 5), createToken());
+        expect(failed.contents.value).to.equal('$(warning) The AI explanation failed: connect ECONNREFUSED');
+
+        const explained = await provider.provideHover(createDocument(), new Position(2, 5), createToken());
+        expect(explained.contents.value).to.equal('$(sparkle) Sums the prices.');
+    });
+});
@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import * as types from '../src/types';
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('UploadSession', () => {
+    function createSession() {
+        const backendClient = {
+            openSession: sinon.stub(),
+            syncSessionManifest: sinon.stub(),
+            uploadSessionFiles: sinon.stub().resolves([]),
+        };
+        backendClient.openSession.onFirstCall().resolves('s1');
+        backendClient.openSession.onSecondCall().resolves('s2');
+
+        const { UploadSession, hashContent } = proxyquire('../src/uploadSession', {
+            './backendClient': backendClient,
+            './types': types,
+        });
+        return { session: new UploadSession(), backendClient, hashContent };
+    }
+
+    it('sends a manifest of path and sha256 content hash', async () => {
+        const { session, backendClient, hashContent } = createSession();
+        backendClient.syncSessionManifest.resolves([]);
+
+        const sessionId = await session.sync([{ filename: 'a.ts', content: 'abc' }], 'http://backend', 'sk-1');
+
+        expect(sessionId).to.equal('s1');
+        expect(hashContent('abc')).to.equal('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        expect(backendClient.openSession.firstCall.args).to.deep.equal(['http://backend', 'sk-1']);
+        expect(backendClient.syncSessionManifest.firstCall.args).to.deep.equal([
+            'http://backend',
+            's1',
+            [{ filename: 'a.ts', hash: hashContent('abc') }],
+            'sk-1',
+        ]);
+        expect(backendClient.uploadSessionFiles.called).to.be.false;
+    });
+
+    it('uploads missing files in batches that fit the payload limit', async () => {
+        const { session, backendClient } = createSession();
+        const big = 'x'.repeat(3000000);
+        const files = [
+            { filename: 'a.ts', content: big },
+            { filename: 'b.ts', content: big },
+            { filename: 'c.ts', content: 'small' },
+            { filename: 'd.ts', content: 'unchanged' },
+        ];
+        backendClient.syncSessionManifest.resolves(['a.ts', 'b.ts', 'c.ts']);
+
+        await session.sync(files, 'http://backend');
+
+        const batches = backendClient.uploadSessionFiles.getCalls().map((call: sinon.SinonSpyCall) =>
+            call.args[2].map((file: types.WorkspaceFile) => file.filename),
+        );
+        expect(batches).to.deep.equal([['a.ts'], ['b.ts', 'c.ts']]);
+    });
+
+    it('reuses the session across turns and opens a new one for another backend', async () => {
+        const { session, backendClient } = createSession();
+        backendClient.syncSessionManifest.resolves([]);
+
+        await session.sync([], 'http://backend');
+        await session.sync([], 'http://backend');
+        const other = await session.sync([], 'http://other');
+
+        expect(backendClient.openSession.calledTwice).to.be.true;
+        expect(other).to.equal('s2');
+    });
+
+    it('opens a new session when the API key changes', async () => {
+        const { session, backendClient } = createSession();
+        backendClient.syncSessionManifest.resolves([]);
+
+        await session.sync([], 'http://backend', 'sk-1');
+        const sessionId = await session.sync([], 'http://backend', 'sk-2');
+
+        expect(sessionId).to.equal('s2');
+        expect(backendClient.openSession.secondCall.args).to.deep.equal(['http://backend', 'sk-2']);
+    });
+
+    it('opens a new session once when the old one has expired', async () => {
+        const { session, backendClient } = createSession();
+        backendClient.syncSessionManifest.resolves([]);
+        await session.sync([], 'http://backend');
+        backendClient.syncSessionManifest.onSecondCall().rejects(new types.BackendHttpError(404, 'Not Found'));
+
+        const sessionId = await session.sync([], 'http://backend');
+
+        expect(sessionId).to.equal('s2');
+        expect(backendClient.syncSessionManifest.callCount).to.equal(3);
+    });
+
+    it('does not retry errors other than a lost session', async () => {
+        const { session, backendClient } = createSession();
+        backendClient.syncSessionManifest.resolves([]);
+        await session.sync([], 'http://backend');
+        backendClient.syncSessionManifest.rejects(new types.BackendHttpError(500, 'Internal Server Error'));
+
+        try {
+            await session.sync([], 'http://backend');
+            expect.fail('Expected sync to reject');
+        } catch (error) {
+            expect((error as types.BackendHttpError).status).to.equal(500);
+        }
+        expect(backendClient.openSession.calledOnce).to.be.true;
+    });
+});